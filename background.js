@@ -0,0 +1 @@
+"use strict";(()=>{var h=(o,e)=>()=>(e||o((e={exports:{}}).exports,e),e.exports);var p=h((_,u)=>{"use strict";var b="alerts",a=["stop_loss","daily_loss"];function l(){return{notifications:!1,sound:!1,webhook:""}}function k(o){let e=l();return!o||typeof o!="object"||(e.notifications=o.notifications===!0,e.sound=o.sound===!0,e.webhook=typeof o.webhook=="string"&&f(o.webhook)?o.webhook:""),e}function f(o){let e;try{e=new URL(o)}catch{return!1}return e.protocol=="http:"&&["localhost","127.0.0.1"].includes(e.hostname)}function d(){return{opened:[],closed:0}}function m(o,e,t=Date.now()){let r=[],n=(i,c)=>r.push({event:i,values:c,time:t});if(e.robotDeals){let{opened:i,closed:c}=e.robotDeals;i.filter(s=>!o.opened.includes(s)).forEach(s=>n("opened",{id:s,count:i.length})),c.slice(c.length<o.closed?0:o.closed).forEach(s=>n("closed",{profit:s})),o.opened=i.slice(),o.closed=c.length}return e.risk&&e.risk.reason=="take_profit"&&n("take_profit",{limit:e.risk.limit}),e.risk&&a.includes(e.risk.reason)&&n("stop_loss",{limit:e.risk.limit}),e.protocol&&n("protocol",{event:e.protocol.event,problem:e.protocol.problem}),e.feed&&e.feed.stale&&n("no_data",{since:e.feed.since}),r}function w(o){return(o>0?"+":"")+Number(o).toFixed(2)}function g(o,e){let t=Object.assign({},o.values);return t.profit!=null&&(t.profit=w(t.profit)),t.since!=null&&(t.since=new Date(t.since).toLocaleTimeString()),e.alerts[o.event].replace(/\{(\w+)\}/g,(r,n)=>t[n]==null?r:t[n])}u.exports={KEY:b,createSettings:l,readSettings:k,isLocalUrl:f,createState:d,read:m,text:g}});var{isLocalUrl:y}=p();chrome.runtime.onMessage.addListener(function(o,e){if(!o||o.belobot!="alert"||e.id!==chrome.runtime.id)return;let{alert:t,title:r,text:n}=o;o.notify&&chrome.notifications.create({type:"basic",iconUrl:chrome.runtime.getURL("icon/icon_128.png"),title:r,message:n}),typeof o.webhook=="string"&&y(o.webhook)&&fetch(o.webhook,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(Object.assign({text:n},t))}).catch(function(i){console.warn("belobot: the alert webhook failed",i.message)})});})();
@@ -0,0 +1,65 @@
+"use strict";
+
+const path = require("path");
+const esbuild = require("esbuild");
+
+// The extension is loaded straight from the repository root, so the bundles
+// are written next to manifest.json and committed with the sources. Both the
+// page and the content script import the user strategies as
+// `belobot-strategies`; the page imports the channel profiles of text signals
+// as `belobot-channels`.
+const BUNDLES = [
+    { entry: "src/page/index.js", outfile: "web_accessible_resources.js" },
+    { entry: "src/start/index.js", outfile: "document_start.js" },
+    { entry: "src/background/index.js", outfile: "background.js" },
+    {
+        entry: "src/content/index.js",
+        outfile: "document_end.js",
+        banner: "/*! For license information please see document_end.js.LICENSE.txt */"
+    }
+];
+
+/**
+ * Builds every bundle. With `write: false` nothing touches the disk and the
+ * result maps each output file to its contents. `strategies` replaces the
+ * list of user strategies, strategies/index.js, and `channels` the list of
+ * channel profiles, channels/index.js.
+ */
+function build(options = {}) {
+    const write = false !== options.write;
+    const outputs = {};
+    BUNDLES.forEach(function(bundle) {
+        const result = esbuild.buildSync({
+            entryPoints: [path.join(__dirname, bundle.entry)],
+            outfile: path.join(__dirname, bundle.outfile),
+            bundle: true,
+            format: "iife",
+            minify: true,
+            target: "chrome100",
+            legalComments: "none",
+            banner: bundle.banner ? { js: bundle.banner } : undefined,
+            loader: {
+                ".css": "text",
+                ".svg": "text"
+            },
+            alias: {
+                "belobot-strategies": options.strategies || path.join(__dirname, "strategies", "index.js"),
+                "belobot-channels": options.channels || path.join(__dirname, "channels", "index.js")
+            },
+            write
+        });
+        result.outputFiles && result.outputFiles.forEach(file => {
+            outputs[path.relative(__dirname, file.path)] = file.text;
+        });
+    });
+    return outputs;
+}
+
+if (require.main === module) {
+    build();
+}
+
+module.exports = {
+    build,
+    BUNDLES
+};
@@ -0,0 +1,11 @@
+"use strict";
+
+// Channel profiles for text signals of the bridge, bundled with the extension
+// by `npm run build`. List each profile here, e.g.
+//
+//     module.exports = [
+//         { id: "pipes", channels: ["pipes-vip"], pattern: /^(?<asset>[^|]+)\|(?<direction>[^|]+)\|(?<expiry>[^|]+)$/ }
+//     ];
+//
+// See "Text signals" in README.md for the profile.
+module.exports = [];
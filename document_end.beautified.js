@@ -1,12 +0,0 @@
-/*!
- * For license information please see document_end.js.LICENSE.txt
- * 
- * This file appears to be a minified version of jQuery v3.7.1
- * Original source at https://jquery.com/
- * Licensed under MIT license
- */
-
-// The original file appears to be minified jQuery.
-// Since this is a minified library file, beautifying it would not add much value
-// and could potentially cause issues. The bot uses this as a dependency for
-// DOM manipulation.
@@ -1,2 +1,447 @@
 /*! For license information please see document_end.js.LICENSE.txt */
-(()=>{var t={890:(t,e,n)=>{"use strict";n.d(e,{Z:()=>s});var r=n(81),i=n.n(r),o=n(645),a=n.n(o)()(i());a.push([t.id,".input-box {\n\twidth: 175px;\n\tborder: 1px solid #535562;\n\tborder-radius: 4px;\n\tmargin-bottom: 20px;\n\tmargin-top: 5px;\n\tposition: relative;\n}\n\n.input-box_title {\n\tbackground-color: #23283b;\n    color: #8fa5bf;\n\t-webkit-box-align: center;\n    align-items: center;\n    display: -webkit-box;\n    display: flex;\n    font-size: 12px;\n    font-weight: 300;\n    left: 50%;\n    line-height: 16px;\n    margin-bottom: 4px;\t\n    padding: 0 4px;\n    position: absolute;\n    text-align: center;\n    top: -10px;\n    -webkit-transform: translateX(-50%);\n    transform: translateX(-50%);\n    white-space: nowrap;\n    z-index: 1;\t\n\t\n}\n\n.input-box_title i {\n\tcursor: help;\n\tmargin-left: 4px;\t\n}\n\n.input-box_value {\n    display: -webkit-box;\n    display: flex;\n    font-size: 19px;\n    padding: 8px 8px 4px;\n\t\n}\n\n.input-box_value input{\n\t-webkit-appearance: textfield;\n    -moz-appearance: textfield;\n    appearance: textfield;\n    background-color: transparent;\n    border: none;\n    padding: 0;\n    text-align: center;\n    width: 100%;\n}\n\n.input-box_buttons  {\n\tborder-top: 1px solid #535562;\n\ttext-align: center;\n\tbackground-color: #1f2334;\n\tfont-weight: bold;\n\tborder-bottom-right-radius: 4px;\n\tborder-bottom-left-radius: 4px;\n}\n\n.sub-text {\n\tcolor: #8ea5bf;\n    margin: 7px 0;\n}\n\n.po-container {\n\tdisplay: flex;\n\tpadding: 10px 0;\n}\n\n#sub-menu-robot-modal #bb_signals td, #sub-menu-robot-modal #bb_signals th{\n\ttext-align: center;\n\tfill: #8ea5bf;\n\tcursor: pointer;\n\tcolor: #8ea5bf;\n}\n\n.po-ss_button{\n\tdisplay: grid; \n\tgrid-template-columns: 5fr 1fr;\n\tpadding-top: 10px;\n\theight: 40px;\n    align-items: center;\n}\n\n.po-ss_share{\n\tcolor: #ffffbb;\n}\n\n#ss_button{\n\tfloat: right;\n}\n\n#ss_overlay {\n\tposition: fixed;\n\ttop: 15%;\n\tleft: 50%;\n\ttransform: translate(-50%, -50%);\n\tbackground-color: var(--po-ui-kit-modal-background-color);\n    border: 1px solid var(--po-ui-kit-modal-border-color);\n\tpadding: 20px;\n\tborder-radius: 10px;\n\tbox-shadow: 0 0 10px rgba(0, 0, 0, 0.3);\n\tz-index: 80;\n\twidth: 120px;\n\ttext-align: center;\n\tdisplay: none;\n}\n.ss_win {\n    display: inline-block;\n\tcolor: #39b54a;\t\n}\n\n.ss_lost {\n\tcolor: #F3392D;\n\tdisplay: inline-block;\n}\n\n.fraction-input {\n\twidth: 50px;\n\tpadding: 1px 1px;\n\tfont-size: 16px;\n\tborder: 1px solid #535562;\n\tborder-radius: 4px;\n\toutline: none;\n\tbackground-color: transparent;\n\ttext-align: center;\n}\n\n.bb_pt {\n\tpadding-top: 10px;\n}",""]);const s=a},645:t=>{"use strict";t.exports=function(t){var e=[];return e.toString=function(){return this.map((function(e){var n="",r=void 0!==e[5];return e[4]&&(n+="@supports (".concat(e[4],") {")),e[2]&&(n+="@media ".concat(e[2]," {")),r&&(n+="@layer".concat(e[5].length>0?" ".concat(e[5]):""," {")),n+=t(e),r&&(n+="}"),e[2]&&(n+="}"),e[4]&&(n+="}"),n})).join("")},e.i=function(t,n,r,i,o){"string"==typeof t&&(t=[[null,t,void 0]]);var a={};if(r)for(var s=0;s<this.length;s++){var l=this[s][0];null!=l&&(a[l]=!0)}for(var u=0;u<t.length;u++){var c=[].concat(t[u]);r&&a[c[0]]||(void 0!==o&&(void 0===c[5]||(c[1]="@layer".concat(c[5].length>0?" ".concat(c[5]):""," {").concat(c[1],"}")),c[5]=o),n&&(c[2]?(c[1]="@media ".concat(c[2]," {").concat(c[1],"}"),c[2]=n):c[2]=n),i&&(c[4]?(c[1]="@supports (".concat(c[4],") {").concat(c[1],"}"),c[4]=i):c[4]="".concat(i)),e.push(c))}},e}},81:t=>{"use strict";t.exports=function(t){return t[1]}},755:function(t,e){var n;!function(e,n){"use strict";"object"==typeof t.exports?t.exports=e.document?n(e,!0):function(t){if(!t.document)throw new Error("jQuery requires a window with a document");return n(t)}:n(e)}("undefined"!=typeof window?window:this,(function(r,i){"use strict";var o=[],a=Object.getPrototypeOf,s=o.slice,l=o.flat?function(t){return o.flat.call(t)}:function(t){return o.concat.apply([],t)},u=o.push,c=o.indexOf,d={},p=d.toString,f=d.hasOwnProperty,h=f.toString,g=h.call(Object),m={},v=function(t){return"function"==typeof t&&"number"!=typeof t.nodeType&&"function"!=typeof t.item},y=function(t){return null!=t&&t===t.window},b=r.document,x={type:!0,src:!0,nonce:!0,noModule:!0};function w(t,e,n){var r,i,o=(n=n||b).createElement("script");if(o.text=t,e)for(r in x)(i=e[r]||e.getAttribute&&e.getAttribute(r))&&o.setAttribute(r,i);n.head.appendChild(o).parentNode.removeChild(o)}function T(t){return null==t?t+"":"object"==typeof t||"function"==typeof t?d[p.call(t)]||"object":typeof t}var k="3.7.1",S=/HTML$/i,C=function(t,e){return new C.fn.init(t,e)};function E(t){var e=!!t&&"length"in t&&t.length,n=T(t);return!v(t)&&!y(t)&&("array"===n||0===e||"number"==typeof e&&e>0&&e-1 in t)}function A(t,e){return t.nodeName&&t.nodeName.toLowerCase()===e.toLowerCase()}C.fn=C.prototype={jquery:k,constructor:C,length:0,toArray:function(){return s.call(this)},get:function(t){return null==t?s.call(this):t<0?this[t+this.length]:this[t]},pushStack:function(t){var e=C.merge(this.constructor(),t);return e.prevObject=this,e},each:function(t){return C.each(this,t)},map:function(t){return this.pushStack(C.map(this,(function(e,n){return t.call(e,n,e)})))},slice:function(){return this.pushStack(s.apply(this,arguments))},first:function(){return this.eq(0)},last:function(){return this.eq(-1)},even:function(){return this.pushStack(C.grep(this,(function(t,e){return(e+1)%2})))},odd:function(){return this.pushStack(C.grep(this,(function(t,e){return e%2})))},eq:function(t){var e=this.length,n=+t+(t<0?e:0);return this.pushStack(n>=0&&n<e?[this[n]]:[])},end:function(){return this.prevObject||this.constructor()},push:u,sort:o.sort,splice:o.splice},C.extend=C.fn.extend=function(){var t,e,n,r,i,o,a=arguments[0]||{},s=1,l=arguments.length,u=!1;for("boolean"==typeof a&&(u=a,a=arguments[s]||{},s++),"object"==typeof a||v(a)||(a={}),s===l&&(a=this,s--);s<l;s++)if(null!=(t=arguments[s]))for(e in t)r=t[e],"__proto__"!==e&&a!==r&&(u&&r&&(C.isPlainObject(r)||(i=Array.isArray(r)))?(n=a[e],o=i&&!Array.isArray(n)?[]:i||C.isPlainObject(n)?n:{},i=!1,a[e]=C.extend(u,o,r)):void 0!==r&&(a[e]=r));return a},C.extend({expando:"jQuery"+(k+Math.random()).replace(/\D/g,""),isReady:!0,error:function(t){throw new Error(t)},noop:function(){},isPlainObject:function(t){var e,n;return!(!t||"[object Object]"!==p.call(t))&&(!(e=a(t))||"function"==typeof(n=f.call(e,"constructor")&&e.constructor)&&h.call(n)===g)},isEmptyObject:function(t){var e;for(e in t)return!1;return!0},globalEval:function(t,e,n){w(t,{nonce:e&&e.nonce},n)},each:function(t,e){var n,r=0;if(E(t))for(n=t.length;r<n&&!1!==e.call(t[r],r,t[r]);r++);else for(r in t)if(!1===e.call(t[r],r,t[r]))break;return t},text:function(t){var e,n="",r=0,i=t.nodeType;if(!i)for(;e=t[r++];)n+=C.text(e);return 1===i||11===i?t.textContent:9===i?t.documentElement.textContent:3===i||4===i?t.nodeValue:n},makeArray:function(t,e){var n=e||[];return null!=t&&(E(Object(t))?C.merge(n,"string"==typeof t?[t]:t):u.call(n,t)),n},inArray:function(t,e,n){return null==e?-1:c.call(e,t,n)},isXMLDoc:function(t){var e=t&&t.namespaceURI,n=t&&(t.ownerDocument||t).documentElement;return!S.test(e||n&&n.nodeName||"HTML")},merge:function(t,e){for(var n=+e.length,r=0,i=t.length;r<n;r++)t[i++]=e[r];return t.length=i,t},grep:function(t,e,n){for(var r=[],i=0,o=t.length,a=!n;i<o;i++)!e(t[i],i)!==a&&r.push(t[i]);return r},map:function(t,e,n){var r,i,o=0,a=[];if(E(t))for(r=t.length;o<r;o++)null!=(i=e(t[o],o,n))&&a.push(i);else for(o in t)null!=(i=e(t[o],o,n))&&a.push(i);return l(a)},guid:1,support:m}),"function"==typeof Symbol&&(C.fn[Symbol.iterator]=o[Symbol.iterator]),C.each("Boolean Number String Function Array Date RegExp Object Error Symbol".split(" "),(function(t,e){d["[object "+e+"]"]=e.toLowerCase()}));var j=o.pop,_=o.sort,D=o.splice,N="[\\x20\\t\\r\\n\\f]",M=new RegExp("^"+N+"+|((?:^|[^\\\\])(?:\\\\.)*)"+N+"+$","g");C.contains=function(t,e){var n=e&&e.parentNode;return t===n||!(!n||1!==n.nodeType||!(t.contains?t.contains(n):t.compareDocumentPosition&&16&t.compareDocumentPosition(n)))};var L=/([\0-\x1f\x7f]|^-?\d)|^-$|[^\x80-\uFFFF\w-]/g;function q(t,e){return e?"\0"===t?"�":t.slice(0,-1)+"\\"+t.charCodeAt(t.length-1).toString(16)+" ":"\\"+t}C.escapeSelector=function(t){return(t+"").replace(L,q)};var O=b,H=u;!function(){var t,e,n,i,a,l,u,d,p,h,g=H,v=C.expando,y=0,b=0,x=tt(),w=tt(),T=tt(),k=tt(),S=function(t,e){return t===e&&(a=!0),0},E="checked|selected|async|autofocus|autoplay|controls|defer|disabled|hidden|ismap|loop|multiple|open|readonly|required|scoped",L="(?:\\\\[\\da-fA-F]{1,6}"+N+"?|\\\\[^\\r\\n\\f]|[\\w-]|[^\0-\\x7f])+",q="\\["+N+"*("+L+")(?:"+N+"*([*^$|!~]?=)"+N+"*(?:'((?:\\\\.|[^\\\\'])*)'|\"((?:\\\\.|[^\\\\\"])*)\"|("+L+"))|)"+N+"*\\]",P=":("+L+")(?:\\((('((?:\\\\.|[^\\\\'])*)'|\"((?:\\\\.|[^\\\\\"])*)\")|((?:\\\\.|[^\\\\()[\\]]|"+q+")*)|.*)\\)|)",R=new RegExp(N+"+","g"),I=new RegExp("^"+N+"*,"+N+"*"),$=new RegExp("^"+N+"*([>+~]|"+N+")"+N+"*"),F=new RegExp(N+"|>"),W=new RegExp(P),B=new RegExp("^"+L+"$"),Q={ID:new RegExp("^#("+L+")"),CLASS:new RegExp("^\\.("+L+")"),TAG:new RegExp("^("+L+"|[*])"),ATTR:new RegExp("^"+q),PSEUDO:new RegExp("^"+P),CHILD:new RegExp("^:(only|first|last|nth|nth-last)-(child|of-type)(?:\\("+N+"*(even|odd|(([+-]|)(\\d*)n|)"+N+"*(?:([+-]|)"+N+"*(\\d+)|))"+N+"*\\)|)","i"),bool:new RegExp("^(?:"+E+")$","i"),needsContext:new RegExp("^"+N+"*[>+~]|:(even|odd|eq|gt|lt|nth|first|last)(?:\\("+N+"*((?:-\\d)?\\d*)"+N+"*\\)|)(?=[^-]|$)","i")},z=/^(?:input|select|textarea|button)$/i,U=/^h\d$/i,X=/^(?:#([\w-]+)|(\w+)|\.([\w-]+))$/,V=/[+~]/,Z=new RegExp("\\\\[\\da-fA-F]{1,6}"+N+"?|\\\\([^\\r\\n\\f])","g"),G=function(t,e){var n="0x"+t.slice(1)-65536;return e||(n<0?String.fromCharCode(n+65536):String.fromCharCode(n>>10|55296,1023&n|56320))},Y=function(){lt()},J=pt((function(t){return!0===t.disabled&&A(t,"fieldset")}),{dir:"parentNode",next:"legend"});try{g.apply(o=s.call(O.childNodes),O.childNodes),o[O.childNodes.length].nodeType}catch(t){g={apply:function(t,e){H.apply(t,s.call(e))},call:function(t){H.apply(t,s.call(arguments,1))}}}function K(t,e,n,r){var i,o,a,s,u,c,f,h=e&&e.ownerDocument,y=e?e.nodeType:9;if(n=n||[],"string"!=typeof t||!t||1!==y&&9!==y&&11!==y)return n;if(!r&&(lt(e),e=e||l,d)){if(11!==y&&(u=X.exec(t)))if(i=u[1]){if(9===y){if(!(a=e.getElementById(i)))return n;if(a.id===i)return g.call(n,a),n}else if(h&&(a=h.getElementById(i))&&K.contains(e,a)&&a.id===i)return g.call(n,a),n}else{if(u[2])return g.apply(n,e.getElementsByTagName(t)),n;if((i=u[3])&&e.getElementsByClassName)return g.apply(n,e.getElementsByClassName(i)),n}if(!(k[t+" "]||p&&p.test(t))){if(f=t,h=e,1===y&&(F.test(t)||$.test(t))){for((h=V.test(t)&&st(e.parentNode)||e)==e&&m.scope||((s=e.getAttribute("id"))?s=C.escapeSelector(s):e.setAttribute("id",s=v)),o=(c=ct(t)).length;o--;)c[o]=(s?"#"+s:":scope")+" "+dt(c[o]);f=c.join(",")}try{return g.apply(n,h.querySelectorAll(f)),n}catch(e){k(t,!0)}finally{s===v&&e.removeAttribute("id")}}}return yt(t.replace(M,"$1"),e,n,r)}function tt(){var t=[];return function n(r,i){return t.push(r+" ")>e.cacheLength&&delete n[t.shift()],n[r+" "]=i}}function et(t){return t[v]=!0,t}function nt(t){var e=l.createElement("fieldset");try{return!!t(e)}catch(t){return!1}finally{e.parentNode&&e.parentNode.removeChild(e),e=null}}function rt(t){return function(e){return A(e,"input")&&e.type===t}}function it(t){return function(e){return(A(e,"input")||A(e,"button"))&&e.type===t}}function ot(t){return function(e){return"form"in e?e.parentNode&&!1===e.disabled?"label"in e?"label"in e.parentNode?e.parentNode.disabled===t:e.disabled===t:e.isDisabled===t||e.isDisabled!==!t&&J(e)===t:e.disabled===t:"label"in e&&e.disabled===t}}function at(t){return et((function(e){return e=+e,et((function(n,r){for(var i,o=t([],n.length,e),a=o.length;a--;)n[i=o[a]]&&(n[i]=!(r[i]=n[i]))}))}))}function st(t){return t&&void 0!==t.getElementsByTagName&&t}function lt(t){var n,r=t?t.ownerDocument||t:O;return r!=l&&9===r.nodeType&&r.documentElement?(u=(l=r).documentElement,d=!C.isXMLDoc(l),h=u.matches||u.webkitMatchesSelector||u.msMatchesSelector,u.msMatchesSelector&&O!=l&&(n=l.defaultView)&&n.top!==n&&n.addEventListener("unload",Y),m.getById=nt((function(t){return u.appendChild(t).id=C.expando,!l.getElementsByName||!l.getElementsByName(C.expando).length})),m.disconnectedMatch=nt((function(t){return h.call(t,"*")})),m.scope=nt((function(){return l.querySelectorAll(":scope")})),m.cssHas=nt((function(){try{return l.querySelector(":has(*,:jqfake)"),!1}catch(t){return!0}})),m.getById?(e.filter.ID=function(t){var e=t.replace(Z,G);return function(t){return t.getAttribute("id")===e}},e.find.ID=function(t,e){if(void 0!==e.getElementById&&d){var n=e.getElementById(t);return n?[n]:[]}}):(e.filter.ID=function(t){var e=t.replace(Z,G);return function(t){var n=void 0!==t.getAttributeNode&&t.getAttributeNode("id");return n&&n.value===e}},e.find.ID=function(t,e){if(void 0!==e.getElementById&&d){var n,r,i,o=e.getElementById(t);if(o){if((n=o.getAttributeNode("id"))&&n.value===t)return[o];for(i=e.getElementsByName(t),r=0;o=i[r++];)if((n=o.getAttributeNode("id"))&&n.value===t)return[o]}return[]}}),e.find.TAG=function(t,e){return void 0!==e.getElementsByTagName?e.getElementsByTagName(t):e.querySelectorAll(t)},e.find.CLASS=function(t,e){if(void 0!==e.getElementsByClassName&&d)return e.getElementsByClassName(t)},p=[],nt((function(t){var e;u.appendChild(t).innerHTML="<a id='"+v+"' href='' disabled='disabled'></a><select id='"+v+"-\r\\' disabled='disabled'><option selected=''></option></select>",t.querySelectorAll("[selected]").length||p.push("\\["+N+"*(?:value|"+E+")"),t.querySelectorAll("[id~="+v+"-]").length||p.push("~="),t.querySelectorAll("a#"+v+"+*").length||p.push(".#.+[+~]"),t.querySelectorAll(":checked").length||p.push(":checked"),(e=l.createElement("input")).setAttribute("type","hidden"),t.appendChild(e).setAttribute("name","D"),u.appendChild(t).disabled=!0,2!==t.querySelectorAll(":disabled").length&&p.push(":enabled",":disabled"),(e=l.createElement("input")).setAttribute("name",""),t.appendChild(e),t.querySelectorAll("[name='']").length||p.push("\\["+N+"*name"+N+"*="+N+"*(?:''|\"\")")})),m.cssHas||p.push(":has"),p=p.length&&new RegExp(p.join("|")),S=function(t,e){if(t===e)return a=!0,0;var n=!t.compareDocumentPosition-!e.compareDocumentPosition;return n||(1&(n=(t.ownerDocument||t)==(e.ownerDocument||e)?t.compareDocumentPosition(e):1)||!m.sortDetached&&e.compareDocumentPosition(t)===n?t===l||t.ownerDocument==O&&K.contains(O,t)?-1:e===l||e.ownerDocument==O&&K.contains(O,e)?1:i?c.call(i,t)-c.call(i,e):0:4&n?-1:1)},l):l}for(t in K.matches=function(t,e){return K(t,null,null,e)},K.matchesSelector=function(t,e){if(lt(t),d&&!k[e+" "]&&(!p||!p.test(e)))try{var n=h.call(t,e);if(n||m.disconnectedMatch||t.document&&11!==t.document.nodeType)return n}catch(t){k(e,!0)}return K(e,l,null,[t]).length>0},K.contains=function(t,e){return(t.ownerDocument||t)!=l&&lt(t),C.contains(t,e)},K.attr=function(t,n){(t.ownerDocument||t)!=l&&lt(t);var r=e.attrHandle[n.toLowerCase()],i=r&&f.call(e.attrHandle,n.toLowerCase())?r(t,n,!d):void 0;return void 0!==i?i:t.getAttribute(n)},K.error=function(t){throw new Error("Syntax error, unrecognized expression: "+t)},C.uniqueSort=function(t){var e,n=[],r=0,o=0;if(a=!m.sortStable,i=!m.sortStable&&s.call(t,0),_.call(t,S),a){for(;e=t[o++];)e===t[o]&&(r=n.push(o));for(;r--;)D.call(t,n[r],1)}return i=null,t},C.fn.uniqueSort=function(){return this.pushStack(C.uniqueSort(s.apply(this)))},e=C.expr={cacheLength:50,createPseudo:et,match:Q,attrHandle:{},find:{},relative:{">":{dir:"parentNode",first:!0}," ":{dir:"parentNode"},"+":{dir:"previousSibling",first:!0},"~":{dir:"previousSibling"}},preFilter:{ATTR:function(t){return t[1]=t[1].replace(Z,G),t[3]=(t[3]||t[4]||t[5]||"").replace(Z,G),"~="===t[2]&&(t[3]=" "+t[3]+" "),t.slice(0,4)},CHILD:function(t){return t[1]=t[1].toLowerCase(),"nth"===t[1].slice(0,3)?(t[3]||K.error(t[0]),t[4]=+(t[4]?t[5]+(t[6]||1):2*("even"===t[3]||"odd"===t[3])),t[5]=+(t[7]+t[8]||"odd"===t[3])):t[3]&&K.error(t[0]),t},PSEUDO:function(t){var e,n=!t[6]&&t[2];return Q.CHILD.test(t[0])?null:(t[3]?t[2]=t[4]||t[5]||"":n&&W.test(n)&&(e=ct(n,!0))&&(e=n.indexOf(")",n.length-e)-n.length)&&(t[0]=t[0].slice(0,e),t[2]=n.slice(0,e)),t.slice(0,3))}},filter:{TAG:function(t){var e=t.replace(Z,G).toLowerCase();return"*"===t?function(){return!0}:function(t){return A(t,e)}},CLASS:function(t){var e=x[t+" "];return e||(e=new RegExp("(^|"+N+")"+t+"("+N+"|$)"))&&x(t,(function(t){return e.test("string"==typeof t.className&&t.className||void 0!==t.getAttribute&&t.getAttribute("class")||"")}))},ATTR:function(t,e,n){return function(r){var i=K.attr(r,t);return null==i?"!="===e:!e||(i+="","="===e?i===n:"!="===e?i!==n:"^="===e?n&&0===i.indexOf(n):"*="===e?n&&i.indexOf(n)>-1:"$="===e?n&&i.slice(-n.length)===n:"~="===e?(" "+i.replace(R," ")+" ").indexOf(n)>-1:"|="===e&&(i===n||i.slice(0,n.length+1)===n+"-"))}},CHILD:function(t,e,n,r,i){var o="nth"!==t.slice(0,3),a="last"!==t.slice(-4),s="of-type"===e;return 1===r&&0===i?function(t){return!!t.parentNode}:function(e,n,l){var u,c,d,p,f,h=o!==a?"nextSibling":"previousSibling",g=e.parentNode,m=s&&e.nodeName.toLowerCase(),b=!l&&!s,x=!1;if(g){if(o){for(;h;){for(d=e;d=d[h];)if(s?A(d,m):1===d.nodeType)return!1;f=h="only"===t&&!f&&"nextSibling"}return!0}if(f=[a?g.firstChild:g.lastChild],a&&b){for(x=(p=(u=(c=g[v]||(g[v]={}))[t]||[])[0]===y&&u[1])&&u[2],d=p&&g.childNodes[p];d=++p&&d&&d[h]||(x=p=0)||f.pop();)if(1===d.nodeType&&++x&&d===e){c[t]=[y,p,x];break}}else if(b&&(x=p=(u=(c=e[v]||(e[v]={}))[t]||[])[0]===y&&u[1]),!1===x)for(;(d=++p&&d&&d[h]||(x=p=0)||f.pop())&&(!(s?A(d,m):1===d.nodeType)||!++x||(b&&((c=d[v]||(d[v]={}))[t]=[y,x]),d!==e)););return(x-=i)===r||x%r==0&&x/r>=0}}},PSEUDO:function(t,n){var r,i=e.pseudos[t]||e.setFilters[t.toLowerCase()]||K.error("unsupported pseudo: "+t);return i[v]?i(n):i.length>1?(r=[t,t,"",n],e.setFilters.hasOwnProperty(t.toLowerCase())?et((function(t,e){for(var r,o=i(t,n),a=o.length;a--;)t[r=c.call(t,o[a])]=!(e[r]=o[a])})):function(t){return i(t,0,r)}):i}},pseudos:{not:et((function(t){var e=[],n=[],r=vt(t.replace(M,"$1"));return r[v]?et((function(t,e,n,i){for(var o,a=r(t,null,i,[]),s=t.length;s--;)(o=a[s])&&(t[s]=!(e[s]=o))})):function(t,i,o){return e[0]=t,r(e,null,o,n),e[0]=null,!n.pop()}})),has:et((function(t){return function(e){return K(t,e).length>0}})),contains:et((function(t){return t=t.replace(Z,G),function(e){return(e.textContent||C.text(e)).indexOf(t)>-1}})),lang:et((function(t){return B.test(t||"")||K.error("unsupported lang: "+t),t=t.replace(Z,G).toLowerCase(),function(e){var n;do{if(n=d?e.lang:e.getAttribute("xml:lang")||e.getAttribute("lang"))return(n=n.toLowerCase())===t||0===n.indexOf(t+"-")}while((e=e.parentNode)&&1===e.nodeType);return!1}})),target:function(t){var e=r.location&&r.location.hash;return e&&e.slice(1)===t.id},root:function(t){return t===u},focus:function(t){return t===function(){try{return l.activeElement}catch(t){}}()&&l.hasFocus()&&!!(t.type||t.href||~t.tabIndex)},enabled:ot(!1),disabled:ot(!0),checked:function(t){return A(t,"input")&&!!t.checked||A(t,"option")&&!!t.selected},selected:function(t){return t.parentNode&&t.parentNode.selectedIndex,!0===t.selected},empty:function(t){for(t=t.firstChild;t;t=t.nextSibling)if(t.nodeType<6)return!1;return!0},parent:function(t){return!e.pseudos.empty(t)},header:function(t){return U.test(t.nodeName)},input:function(t){return z.test(t.nodeName)},button:function(t){return A(t,"input")&&"button"===t.type||A(t,"button")},text:function(t){var e;return A(t,"input")&&"text"===t.type&&(null==(e=t.getAttribute("type"))||"text"===e.toLowerCase())},first:at((function(){return[0]})),last:at((function(t,e){return[e-1]})),eq:at((function(t,e,n){return[n<0?n+e:n]})),even:at((function(t,e){for(var n=0;n<e;n+=2)t.push(n);return t})),odd:at((function(t,e){for(var n=1;n<e;n+=2)t.push(n);return t})),lt:at((function(t,e,n){var r;for(r=n<0?n+e:n>e?e:n;--r>=0;)t.push(r);return t})),gt:at((function(t,e,n){for(var r=n<0?n+e:n;++r<e;)t.push(r);return t}))}},e.pseudos.nth=e.pseudos.eq,{radio:!0,checkbox:!0,file:!0,password:!0,image:!0})e.pseudos[t]=rt(t);for(t in{submit:!0,reset:!0})e.pseudos[t]=it(t);function ut(){}function ct(t,n){var r,i,o,a,s,l,u,c=w[t+" "];if(c)return n?0:c.slice(0);for(s=t,l=[],u=e.preFilter;s;){for(a in r&&!(i=I.exec(s))||(i&&(s=s.slice(i[0].length)||s),l.push(o=[])),r=!1,(i=$.exec(s))&&(r=i.shift(),o.push({value:r,type:i[0].replace(M," ")}),s=s.slice(r.length)),e.filter)!(i=Q[a].exec(s))||u[a]&&!(i=u[a](i))||(r=i.shift(),o.push({value:r,type:a,matches:i}),s=s.slice(r.length));if(!r)break}return n?s.length:s?K.error(t):w(t,l).slice(0)}function dt(t){for(var e=0,n=t.length,r="";e<n;e++)r+=t[e].value;return r}function pt(t,e,n){var r=e.dir,i=e.next,o=i||r,a=n&&"parentNode"===o,s=b++;return e.first?function(e,n,i){for(;e=e[r];)if(1===e.nodeType||a)return t(e,n,i);return!1}:function(e,n,l){var u,c,d=[y,s];if(l){for(;e=e[r];)if((1===e.nodeType||a)&&t(e,n,l))return!0}else for(;e=e[r];)if(1===e.nodeType||a)if(c=e[v]||(e[v]={}),i&&A(e,i))e=e[r]||e;else{if((u=c[o])&&u[0]===y&&u[1]===s)return d[2]=u[2];if(c[o]=d,d[2]=t(e,n,l))return!0}return!1}}function ft(t){return t.length>1?function(e,n,r){for(var i=t.length;i--;)if(!t[i](e,n,r))return!1;return!0}:t[0]}function ht(t,e,n,r,i){for(var o,a=[],s=0,l=t.length,u=null!=e;s<l;s++)(o=t[s])&&(n&&!n(o,r,i)||(a.push(o),u&&e.push(s)));return a}function gt(t,e,n,r,i,o){return r&&!r[v]&&(r=gt(r)),i&&!i[v]&&(i=gt(i,o)),et((function(o,a,s,l){var u,d,p,f,h=[],m=[],v=a.length,y=o||function(t,e,n){for(var r=0,i=e.length;r<i;r++)K(t,e[r],n);return n}(e||"*",s.nodeType?[s]:s,[]),b=!t||!o&&e?y:ht(y,h,t,s,l);if(n?n(b,f=i||(o?t:v||r)?[]:a,s,l):f=b,r)for(u=ht(f,m),r(u,[],s,l),d=u.length;d--;)(p=u[d])&&(f[m[d]]=!(b[m[d]]=p));if(o){if(i||t){if(i){for(u=[],d=f.length;d--;)(p=f[d])&&u.push(b[d]=p);i(null,f=[],u,l)}for(d=f.length;d--;)(p=f[d])&&(u=i?c.call(o,p):h[d])>-1&&(o[u]=!(a[u]=p))}}else f=ht(f===a?f.splice(v,f.length):f),i?i(null,a,f,l):g.apply(a,f)}))}function mt(t){for(var r,i,o,a=t.length,s=e.relative[t[0].type],l=s||e.relative[" "],u=s?1:0,d=pt((function(t){return t===r}),l,!0),p=pt((function(t){return c.call(r,t)>-1}),l,!0),f=[function(t,e,i){var o=!s&&(i||e!=n)||((r=e).nodeType?d(t,e,i):p(t,e,i));return r=null,o}];u<a;u++)if(i=e.relative[t[u].type])f=[pt(ft(f),i)];else{if((i=e.filter[t[u].type].apply(null,t[u].matches))[v]){for(o=++u;o<a&&!e.relative[t[o].type];o++);return gt(u>1&&ft(f),u>1&&dt(t.slice(0,u-1).concat({value:" "===t[u-2].type?"*":""})).replace(M,"$1"),i,u<o&&mt(t.slice(u,o)),o<a&&mt(t=t.slice(o)),o<a&&dt(t))}f.push(i)}return ft(f)}function vt(t,r){var i,o=[],a=[],s=T[t+" "];if(!s){for(r||(r=ct(t)),i=r.length;i--;)(s=mt(r[i]))[v]?o.push(s):a.push(s);s=T(t,function(t,r){var i=r.length>0,o=t.length>0,a=function(a,s,u,c,p){var f,h,m,v=0,b="0",x=a&&[],w=[],T=n,k=a||o&&e.find.TAG("*",p),S=y+=null==T?1:Math.random()||.1,E=k.length;for(p&&(n=s==l||s||p);b!==E&&null!=(f=k[b]);b++){if(o&&f){for(h=0,s||f.ownerDocument==l||(lt(f),u=!d);m=t[h++];)if(m(f,s||l,u)){g.call(c,f);break}p&&(y=S)}i&&((f=!m&&f)&&v--,a&&x.push(f))}if(v+=b,i&&b!==v){for(h=0;m=r[h++];)m(x,w,s,u);if(a){if(v>0)for(;b--;)x[b]||w[b]||(w[b]=j.call(c));w=ht(w)}g.apply(c,w),p&&!a&&w.length>0&&v+r.length>1&&C.uniqueSort(c)}return p&&(y=S,n=T),x};return i?et(a):a}(a,o)),s.selector=t}return s}function yt(t,n,r,i){var o,a,s,l,u,c="function"==typeof t&&t,p=!i&&ct(t=c.selector||t);if(r=r||[],1===p.length){if((a=p[0]=p[0].slice(0)).length>2&&"ID"===(s=a[0]).type&&9===n.nodeType&&d&&e.relative[a[1].type]){if(!(n=(e.find.ID(s.matches[0].replace(Z,G),n)||[])[0]))return r;c&&(n=n.parentNode),t=t.slice(a.shift().value.length)}for(o=Q.needsContext.test(t)?0:a.length;o--&&(s=a[o],!e.relative[l=s.type]);)if((u=e.find[l])&&(i=u(s.matches[0].replace(Z,G),V.test(a[0].type)&&st(n.parentNode)||n))){if(a.splice(o,1),!(t=i.length&&dt(a)))return g.apply(r,i),r;break}}return(c||vt(t,p))(i,n,!d,r,!n||V.test(t)&&st(n.parentNode)||n),r}ut.prototype=e.filters=e.pseudos,e.setFilters=new ut,m.sortStable=v.split("").sort(S).join("")===v,lt(),m.sortDetached=nt((function(t){return 1&t.compareDocumentPosition(l.createElement("fieldset"))})),C.find=K,C.expr[":"]=C.expr.pseudos,C.unique=C.uniqueSort,K.compile=vt,K.select=yt,K.setDocument=lt,K.tokenize=ct,K.escape=C.escapeSelector,K.getText=C.text,K.isXML=C.isXMLDoc,K.selectors=C.expr,K.support=C.support,K.uniqueSort=C.uniqueSort}();var P=function(t,e,n){for(var r=[],i=void 0!==n;(t=t[e])&&9!==t.nodeType;)if(1===t.nodeType){if(i&&C(t).is(n))break;r.push(t)}return r},R=function(t,e){for(var n=[];t;t=t.nextSibling)1===t.nodeType&&t!==e&&n.push(t);return n},I=C.expr.match.needsContext,$=/^<([a-z][^\/\0>:\x20\t\r\n\f]*)[\x20\t\r\n\f]*\/?>(?:<\/\1>|)$/i;function F(t,e,n){return v(e)?C.grep(t,(function(t,r){return!!e.call(t,r,t)!==n})):e.nodeType?C.grep(t,(function(t){return t===e!==n})):"string"!=typeof e?C.grep(t,(function(t){return c.call(e,t)>-1!==n})):C.filter(e,t,n)}C.filter=function(t,e,n){var r=e[0];return n&&(t=":not("+t+")"),1===e.length&&1===r.nodeType?C.find.matchesSelector(r,t)?[r]:[]:C.find.matches(t,C.grep(e,(function(t){return 1===t.nodeType})))},C.fn.extend({find:function(t){var e,n,r=this.length,i=this;if("string"!=typeof t)return this.pushStack(C(t).filter((function(){for(e=0;e<r;e++)if(C.contains(i[e],this))return!0})));for(n=this.pushStack([]),e=0;e<r;e++)C.find(t,i[e],n);return r>1?C.uniqueSort(n):n},filter:function(t){return this.pushStack(F(this,t||[],!1))},not:function(t){return this.pushStack(F(this,t||[],!0))},is:function(t){return!!F(this,"string"==typeof t&&I.test(t)?C(t):t||[],!1).length}});var W,B=/^(?:\s*(<[\w\W]+>)[^>]*|#([\w-]+))$/;(C.fn.init=function(t,e,n){var r,i;if(!t)return this;if(n=n||W,"string"==typeof t){if(!(r="<"===t[0]&&">"===t[t.length-1]&&t.length>=3?[null,t,null]:B.exec(t))||!r[1]&&e)return!e||e.jquery?(e||n).find(t):this.constructor(e).find(t);if(r[1]){if(e=e instanceof C?e[0]:e,C.merge(this,C.parseHTML(r[1],e&&e.nodeType?e.ownerDocument||e:b,!0)),$.test(r[1])&&C.isPlainObject(e))for(r in e)v(this[r])?this[r](e[r]):this.attr(r,e[r]);return this}return(i=b.getElementById(r[2]))&&(this[0]=i,this.length=1),this}return t.nodeType?(this[0]=t,this.length=1,this):v(t)?void 0!==n.ready?n.ready(t):t(C):C.makeArray(t,this)}).prototype=C.fn,W=C(b);var Q=/^(?:parents|prev(?:Until|All))/,z={children:!0,contents:!0,next:!0,prev:!0};function U(t,e){for(;(t=t[e])&&1!==t.nodeType;);return t}C.fn.extend({has:function(t){var e=C(t,this),n=e.length;return this.filter((function(){for(var t=0;t<n;t++)if(C.contains(this,e[t]))return!0}))},closest:function(t,e){var n,r=0,i=this.length,o=[],a="string"!=typeof t&&C(t);if(!I.test(t))for(;r<i;r++)for(n=this[r];n&&n!==e;n=n.parentNode)if(n.nodeType<11&&(a?a.index(n)>-1:1===n.nodeType&&C.find.matchesSelector(n,t))){o.push(n);break}return this.pushStack(o.length>1?C.uniqueSort(o):o)},index:function(t){return t?"string"==typeof t?c.call(C(t),this[0]):c.call(this,t.jquery?t[0]:t):this[0]&&this[0].parentNode?this.first().prevAll().length:-1},add:function(t,e){return this.pushStack(C.uniqueSort(C.merge(this.get(),C(t,e))))},addBack:function(t){return this.add(null==t?this.prevObject:this.prevObject.filter(t))}}),C.each({parent:function(t){var e=t.parentNode;return e&&11!==e.nodeType?e:null},parents:function(t){return P(t,"parentNode")},parentsUntil:function(t,e,n){return P(t,"parentNode",n)},next:function(t){return U(t,"nextSibling")},prev:function(t){return U(t,"previousSibling")},nextAll:function(t){return P(t,"nextSibling")},prevAll:function(t){return P(t,"previousSibling")},nextUntil:function(t,e,n){return P(t,"nextSibling",n)},prevUntil:function(t,e,n){return P(t,"previousSibling",n)},siblings:function(t){return R((t.parentNode||{}).firstChild,t)},children:function(t){return R(t.firstChild)},contents:function(t){return null!=t.contentDocument&&a(t.contentDocument)?t.contentDocument:(A(t,"template")&&(t=t.content||t),C.merge([],t.childNodes))}},(function(t,e){C.fn[t]=function(n,r){var i=C.map(this,e,n);return"Until"!==t.slice(-5)&&(r=n),r&&"string"==typeof r&&(i=C.filter(r,i)),this.length>1&&(z[t]||C.uniqueSort(i),Q.test(t)&&i.reverse()),this.pushStack(i)}}));var X=/[^\x20\t\r\n\f]+/g;function V(t){return t}function Z(t){throw t}function G(t,e,n,r){var i;try{t&&v(i=t.promise)?i.call(t).done(e).fail(n):t&&v(i=t.then)?i.call(t,e,n):e.apply(void 0,[t].slice(r))}catch(t){n.apply(void 0,[t])}}C.Callbacks=function(t){t="string"==typeof t?function(t){var e={};return C.each(t.match(X)||[],(function(t,n){e[n]=!0})),e}(t):C.extend({},t);var e,n,r,i,o=[],a=[],s=-1,l=function(){for(i=i||t.once,r=e=!0;a.length;s=-1)for(n=a.shift();++s<o.length;)!1===o[s].apply(n[0],n[1])&&t.stopOnFalse&&(s=o.length,n=!1);t.memory||(n=!1),e=!1,i&&(o=n?[]:"")},u={add:function(){return o&&(n&&!e&&(s=o.length-1,a.push(n)),function e(n){C.each(n,(function(n,r){v(r)?t.unique&&u.has(r)||o.push(r):r&&r.length&&"string"!==T(r)&&e(r)}))}(arguments),n&&!e&&l()),this},remove:function(){return C.each(arguments,(function(t,e){for(var n;(n=C.inArray(e,o,n))>-1;)o.splice(n,1),n<=s&&s--})),this},has:function(t){return t?C.inArray(t,o)>-1:o.length>0},empty:function(){return o&&(o=[]),this},disable:function(){return i=a=[],o=n="",this},disabled:function(){return!o},lock:function(){return i=a=[],n||e||(o=n=""),this},locked:function(){return!!i},fireWith:function(t,n){return i||(n=[t,(n=n||[]).slice?n.slice():n],a.push(n),e||l()),this},fire:function(){return u.fireWith(this,arguments),this},fired:function(){return!!r}};return u},C.extend({Deferred:function(t){var e=[["notify","progress",C.Callbacks("memory"),C.Callbacks("memory"),2],["resolve","done",C.Callbacks("once memory"),C.Callbacks("once memory"),0,"resolved"],["reject","fail",C.Callbacks("once memory"),C.Callbacks("once memory"),1,"rejected"]],n="pending",i={state:function(){return n},always:function(){return o.done(arguments).fail(arguments),this},catch:function(t){return i.then(null,t)},pipe:function(){var t=arguments;return C.Deferred((function(n){C.each(e,(function(e,r){var i=v(t[r[4]])&&t[r[4]];o[r[1]]((function(){var t=i&&i.apply(this,arguments);t&&v(t.promise)?t.promise().progress(n.notify).done(n.resolve).fail(n.reject):n[r[0]+"With"](this,i?[t]:arguments)}))})),t=null})).promise()},then:function(t,n,i){var o=0;function a(t,e,n,i){return function(){var s=this,l=arguments,u=function(){var r,u;if(!(t<o)){if((r=n.apply(s,l))===e.promise())throw new TypeError("Thenable self-resolution");u=r&&("object"==typeof r||"function"==typeof r)&&r.then,v(u)?i?u.call(r,a(o,e,V,i),a(o,e,Z,i)):(o++,u.call(r,a(o,e,V,i),a(o,e,Z,i),a(o,e,V,e.notifyWith))):(n!==V&&(s=void 0,l=[r]),(i||e.resolveWith)(s,l))}},c=i?u:function(){try{u()}catch(r){C.Deferred.exceptionHook&&C.Deferred.exceptionHook(r,c.error),t+1>=o&&(n!==Z&&(s=void 0,l=[r]),e.rejectWith(s,l))}};t?c():(C.Deferred.getErrorHook?c.error=C.Deferred.getErrorHook():C.Deferred.getStackHook&&(c.error=C.Deferred.getStackHook()),r.setTimeout(c))}}return C.Deferred((function(r){e[0][3].add(a(0,r,v(i)?i:V,r.notifyWith)),e[1][3].add(a(0,r,v(t)?t:V)),e[2][3].add(a(0,r,v(n)?n:Z))})).promise()},promise:function(t){return null!=t?C.extend(t,i):i}},o={};return C.each(e,(function(t,r){var a=r[2],s=r[5];i[r[1]]=a.add,s&&a.add((function(){n=s}),e[3-t][2].disable,e[3-t][3].disable,e[0][2].lock,e[0][3].lock),a.add(r[3].fire),o[r[0]]=function(){return o[r[0]+"With"](this===o?void 0:this,arguments),this},o[r[0]+"With"]=a.fireWith})),i.promise(o),t&&t.call(o,o),o},when:function(t){var e=arguments.length,n=e,r=Array(n),i=s.call(arguments),o=C.Deferred(),a=function(t){return function(n){r[t]=this,i[t]=arguments.length>1?s.call(arguments):n,--e||o.resolveWith(r,i)}};if(e<=1&&(G(t,o.done(a(n)).resolve,o.reject,!e),"pending"===o.state()||v(i[n]&&i[n].then)))return o.then();for(;n--;)G(i[n],a(n),o.reject);return o.promise()}});var Y=/^(Eval|Internal|Range|Reference|Syntax|Type|URI)Error$/;C.Deferred.exceptionHook=function(t,e){r.console&&r.console.warn&&t&&Y.test(t.name)&&r.console.warn("jQuery.Deferred exception: "+t.message,t.stack,e)},C.readyException=function(t){r.setTimeout((function(){throw t}))};var J=C.Deferred();function K(){b.removeEventListener("DOMContentLoaded",K),r.removeEventListener("load",K),C.ready()}C.fn.ready=function(t){return J.then(t).catch((function(t){C.readyException(t)})),this},C.extend({isReady:!1,readyWait:1,ready:function(t){(!0===t?--C.readyWait:C.isReady)||(C.isReady=!0,!0!==t&&--C.readyWait>0||J.resolveWith(b,[C]))}}),C.ready.then=J.then,"complete"===b.readyState||"loading"!==b.readyState&&!b.documentElement.doScroll?r.setTimeout(C.ready):(b.addEventListener("DOMContentLoaded",K),r.addEventListener("load",K));var tt=function(t,e,n,r,i,o,a){var s=0,l=t.length,u=null==n;if("object"===T(n))for(s in i=!0,n)tt(t,e,s,n[s],!0,o,a);else if(void 0!==r&&(i=!0,v(r)||(a=!0),u&&(a?(e.call(t,r),e=null):(u=e,e=function(t,e,n){return u.call(C(t),n)})),e))for(;s<l;s++)e(t[s],n,a?r:r.call(t[s],s,e(t[s],n)));return i?t:u?e.call(t):l?e(t[0],n):o},et=/^-ms-/,nt=/-([a-z])/g;function rt(t,e){return e.toUpperCase()}function it(t){return t.replace(et,"ms-").replace(nt,rt)}var ot=function(t){return 1===t.nodeType||9===t.nodeType||!+t.nodeType};function at(){this.expando=C.expando+at.uid++}at.uid=1,at.prototype={cache:function(t){var e=t[this.expando];return e||(e={},ot(t)&&(t.nodeType?t[this.expando]=e:Object.defineProperty(t,this.expando,{value:e,configurable:!0}))),e},set:function(t,e,n){var r,i=this.cache(t);if("string"==typeof e)i[it(e)]=n;else for(r in e)i[it(r)]=e[r];return i},get:function(t,e){return void 0===e?this.cache(t):t[this.expando]&&t[this.expando][it(e)]},access:function(t,e,n){return void 0===e||e&&"string"==typeof e&&void 0===n?this.get(t,e):(this.set(t,e,n),void 0!==n?n:e)},remove:function(t,e){var n,r=t[this.expando];if(void 0!==r){if(void 0!==e){n=(e=Array.isArray(e)?e.map(it):(e=it(e))in r?[e]:e.match(X)||[]).length;for(;n--;)delete r[e[n]]}(void 0===e||C.isEmptyObject(r))&&(t.nodeType?t[this.expando]=void 0:delete t[this.expando])}},hasData:function(t){var e=t[this.expando];return void 0!==e&&!C.isEmptyObject(e)}};var st=new at,lt=new at,ut=/^(?:\{[\w\W]*\}|\[[\w\W]*\])$/,ct=/[A-Z]/g;function dt(t,e,n){var r;if(void 0===n&&1===t.nodeType)if(r="data-"+e.replace(ct,"-$&").toLowerCase(),"string"==typeof(n=t.getAttribute(r))){try{n=function(t){return"true"===t||"false"!==t&&("null"===t?null:t===+t+""?+t:ut.test(t)?JSON.parse(t):t)}(n)}catch(t){}lt.set(t,e,n)}else n=void 0;return n}C.extend({hasData:function(t){return lt.hasData(t)||st.hasData(t)},data:function(t,e,n){return lt.access(t,e,n)},removeData:function(t,e){lt.remove(t,e)},_data:function(t,e,n){return st.access(t,e,n)},_removeData:function(t,e){st.remove(t,e)}}),C.fn.extend({data:function(t,e){var n,r,i,o=this[0],a=o&&o.attributes;if(void 0===t){if(this.length&&(i=lt.get(o),1===o.nodeType&&!st.get(o,"hasDataAttrs"))){for(n=a.length;n--;)a[n]&&0===(r=a[n].name).indexOf("data-")&&(r=it(r.slice(5)),dt(o,r,i[r]));st.set(o,"hasDataAttrs",!0)}return i}return"object"==typeof t?this.each((function(){lt.set(this,t)})):tt(this,(function(e){var n;if(o&&void 0===e)return void 0!==(n=lt.get(o,t))||void 0!==(n=dt(o,t))?n:void 0;this.each((function(){lt.set(this,t,e)}))}),null,e,arguments.length>1,null,!0)},removeData:function(t){return this.each((function(){lt.remove(this,t)}))}}),C.extend({queue:function(t,e,n){var r;if(t)return e=(e||"fx")+"queue",r=st.get(t,e),n&&(!r||Array.isArray(n)?r=st.access(t,e,C.makeArray(n)):r.push(n)),r||[]},dequeue:function(t,e){e=e||"fx";var n=C.queue(t,e),r=n.length,i=n.shift(),o=C._queueHooks(t,e);"inprogress"===i&&(i=n.shift(),r--),i&&("fx"===e&&n.unshift("inprogress"),delete o.stop,i.call(t,(function(){C.dequeue(t,e)}),o)),!r&&o&&o.empty.fire()},_queueHooks:function(t,e){var n=e+"queueHooks";return st.get(t,n)||st.access(t,n,{empty:C.Callbacks("once memory").add((function(){st.remove(t,[e+"queue",n])}))})}}),C.fn.extend({queue:function(t,e){var n=2;return"string"!=typeof t&&(e=t,t="fx",n--),arguments.length<n?C.queue(this[0],t):void 0===e?this:this.each((function(){var n=C.queue(this,t,e);C._queueHooks(this,t),"fx"===t&&"inprogress"!==n[0]&&C.dequeue(this,t)}))},dequeue:function(t){return this.each((function(){C.dequeue(this,t)}))},clearQueue:function(t){return this.queue(t||"fx",[])},promise:function(t,e){var n,r=1,i=C.Deferred(),o=this,a=this.length,s=function(){--r||i.resolveWith(o,[o])};for("string"!=typeof t&&(e=t,t=void 0),t=t||"fx";a--;)(n=st.get(o[a],t+"queueHooks"))&&n.empty&&(r++,n.empty.add(s));return s(),i.promise(e)}});var pt=/[+-]?(?:\d*\.|)\d+(?:[eE][+-]?\d+|)/.source,ft=new RegExp("^(?:([+-])=|)("+pt+")([a-z%]*)$","i"),ht=["Top","Right","Bottom","Left"],gt=b.documentElement,mt=function(t){return C.contains(t.ownerDocument,t)},vt={composed:!0};gt.getRootNode&&(mt=function(t){return C.contains(t.ownerDocument,t)||t.getRootNode(vt)===t.ownerDocument});var yt=function(t,e){return"none"===(t=e||t).style.display||""===t.style.display&&mt(t)&&"none"===C.css(t,"display")};function bt(t,e,n,r){var i,o,a=20,s=r?function(){return r.cur()}:function(){return C.css(t,e,"")},l=s(),u=n&&n[3]||(C.cssNumber[e]?"":"px"),c=t.nodeType&&(C.cssNumber[e]||"px"!==u&&+l)&&ft.exec(C.css(t,e));if(c&&c[3]!==u){for(l/=2,u=u||c[3],c=+l||1;a--;)C.style(t,e,c+u),(1-o)*(1-(o=s()/l||.5))<=0&&(a=0),c/=o;c*=2,C.style(t,e,c+u),n=n||[]}return n&&(c=+c||+l||0,i=n[1]?c+(n[1]+1)*n[2]:+n[2],r&&(r.unit=u,r.start=c,r.end=i)),i}var xt={};function wt(t){var e,n=t.ownerDocument,r=t.nodeName,i=xt[r];return i||(e=n.body.appendChild(n.createElement(r)),i=C.css(e,"display"),e.parentNode.removeChild(e),"none"===i&&(i="block"),xt[r]=i,i)}function Tt(t,e){for(var n,r,i=[],o=0,a=t.length;o<a;o++)(r=t[o]).style&&(n=r.style.display,e?("none"===n&&(i[o]=st.get(r,"display")||null,i[o]||(r.style.display="")),""===r.style.display&&yt(r)&&(i[o]=wt(r))):"none"!==n&&(i[o]="none",st.set(r,"display",n)));for(o=0;o<a;o++)null!=i[o]&&(t[o].style.display=i[o]);return t}C.fn.extend({show:function(){return Tt(this,!0)},hide:function(){return Tt(this)},toggle:function(t){return"boolean"==typeof t?t?this.show():this.hide():this.each((function(){yt(this)?C(this).show():C(this).hide()}))}});var kt,St,Ct=/^(?:checkbox|radio)$/i,Et=/<([a-z][^\/\0>\x20\t\r\n\f]*)/i,At=/^$|^module$|\/(?:java|ecma)script/i;kt=b.createDocumentFragment().appendChild(b.createElement("div")),(St=b.createElement("input")).setAttribute("type","radio"),St.setAttribute("checked","checked"),St.setAttribute("name","t"),kt.appendChild(St),m.checkClone=kt.cloneNode(!0).cloneNode(!0).lastChild.checked,kt.innerHTML="<textarea>x</textarea>",m.noCloneChecked=!!kt.cloneNode(!0).lastChild.defaultValue,kt.innerHTML="<option></option>",m.option=!!kt.lastChild;var jt={thead:[1,"<table>","</table>"],col:[2,"<table><colgroup>","</colgroup></table>"],tr:[2,"<table><tbody>","</tbody></table>"],td:[3,"<table><tbody><tr>","</tr></tbody></table>"],_default:[0,"",""]};function _t(t,e){var n;return n=void 0!==t.getElementsByTagName?t.getElementsByTagName(e||"*"):void 0!==t.querySelectorAll?t.querySelectorAll(e||"*"):[],void 0===e||e&&A(t,e)?C.merge([t],n):n}function Dt(t,e){for(var n=0,r=t.length;n<r;n++)st.set(t[n],"globalEval",!e||st.get(e[n],"globalEval"))}jt.tbody=jt.tfoot=jt.colgroup=jt.caption=jt.thead,jt.th=jt.td,m.option||(jt.optgroup=jt.option=[1,"<select multiple='multiple'>","</select>"]);var Nt=/<|&#?\w+;/;function Mt(t,e,n,r,i){for(var o,a,s,l,u,c,d=e.createDocumentFragment(),p=[],f=0,h=t.length;f<h;f++)if((o=t[f])||0===o)if("object"===T(o))C.merge(p,o.nodeType?[o]:o);else if(Nt.test(o)){for(a=a||d.appendChild(e.createElement("div")),s=(Et.exec(o)||["",""])[1].toLowerCase(),l=jt[s]||jt._default,a.innerHTML=l[1]+C.htmlPrefilter(o)+l[2],c=l[0];c--;)a=a.lastChild;C.merge(p,a.childNodes),(a=d.firstChild).textContent=""}else p.push(e.createTextNode(o));for(d.textContent="",f=0;o=p[f++];)if(r&&C.inArray(o,r)>-1)i&&i.push(o);else if(u=mt(o),a=_t(d.appendChild(o),"script"),u&&Dt(a),n)for(c=0;o=a[c++];)At.test(o.type||"")&&n.push(o);return d}var Lt=/^([^.]*)(?:\.(.+)|)/;function qt(){return!0}function Ot(){return!1}function Ht(t,e,n,r,i,o){var a,s;if("object"==typeof e){for(s in"string"!=typeof n&&(r=r||n,n=void 0),e)Ht(t,s,n,r,e[s],o);return t}if(null==r&&null==i?(i=n,r=n=void 0):null==i&&("string"==typeof n?(i=r,r=void 0):(i=r,r=n,n=void 0)),!1===i)i=Ot;else if(!i)return t;return 1===o&&(a=i,i=function(t){return C().off(t),a.apply(this,arguments)},i.guid=a.guid||(a.guid=C.guid++)),t.each((function(){C.event.add(this,e,i,r,n)}))}function Pt(t,e,n){n?(st.set(t,e,!1),C.event.add(t,e,{namespace:!1,handler:function(t){var n,r=st.get(this,e);if(1&t.isTrigger&&this[e]){if(r)(C.event.special[e]||{}).delegateType&&t.stopPropagation();else if(r=s.call(arguments),st.set(this,e,r),this[e](),n=st.get(this,e),st.set(this,e,!1),r!==n)return t.stopImmediatePropagation(),t.preventDefault(),n}else r&&(st.set(this,e,C.event.trigger(r[0],r.slice(1),this)),t.stopPropagation(),t.isImmediatePropagationStopped=qt)}})):void 0===st.get(t,e)&&C.event.add(t,e,qt)}C.event={global:{},add:function(t,e,n,r,i){var o,a,s,l,u,c,d,p,f,h,g,m=st.get(t);if(ot(t))for(n.handler&&(n=(o=n).handler,i=o.selector),i&&C.find.matchesSelector(gt,i),n.guid||(n.guid=C.guid++),(l=m.events)||(l=m.events=Object.create(null)),(a=m.handle)||(a=m.handle=function(e){return void 0!==C&&C.event.triggered!==e.type?C.event.dispatch.apply(t,arguments):void 0}),u=(e=(e||"").match(X)||[""]).length;u--;)f=g=(s=Lt.exec(e[u])||[])[1],h=(s[2]||"").split(".").sort(),f&&(d=C.event.special[f]||{},f=(i?d.delegateType:d.bindType)||f,d=C.event.special[f]||{},c=C.extend({type:f,origType:g,data:r,handler:n,guid:n.guid,selector:i,needsContext:i&&C.expr.match.needsContext.test(i),namespace:h.join(".")},o),(p=l[f])||((p=l[f]=[]).delegateCount=0,d.setup&&!1!==d.setup.call(t,r,h,a)||t.addEventListener&&t.addEventListener(f,a)),d.add&&(d.add.call(t,c),c.handler.guid||(c.handler.guid=n.guid)),i?p.splice(p.delegateCount++,0,c):p.push(c),C.event.global[f]=!0)},remove:function(t,e,n,r,i){var o,a,s,l,u,c,d,p,f,h,g,m=st.hasData(t)&&st.get(t);if(m&&(l=m.events)){for(u=(e=(e||"").match(X)||[""]).length;u--;)if(f=g=(s=Lt.exec(e[u])||[])[1],h=(s[2]||"").split(".").sort(),f){for(d=C.event.special[f]||{},p=l[f=(r?d.delegateType:d.bindType)||f]||[],s=s[2]&&new RegExp("(^|\\.)"+h.join("\\.(?:.*\\.|)")+"(\\.|$)"),a=o=p.length;o--;)c=p[o],!i&&g!==c.origType||n&&n.guid!==c.guid||s&&!s.test(c.namespace)||r&&r!==c.selector&&("**"!==r||!c.selector)||(p.splice(o,1),c.selector&&p.delegateCount--,d.remove&&d.remove.call(t,c));a&&!p.length&&(d.teardown&&!1!==d.teardown.call(t,h,m.handle)||C.removeEvent(t,f,m.handle),delete l[f])}else for(f in l)C.event.remove(t,f+e[u],n,r,!0);C.isEmptyObject(l)&&st.remove(t,"handle events")}},dispatch:function(t){var e,n,r,i,o,a,s=new Array(arguments.length),l=C.event.fix(t),u=(st.get(this,"events")||Object.create(null))[l.type]||[],c=C.event.special[l.type]||{};for(s[0]=l,e=1;e<arguments.length;e++)s[e]=arguments[e];if(l.delegateTarget=this,!c.preDispatch||!1!==c.preDispatch.call(this,l)){for(a=C.event.handlers.call(this,l,u),e=0;(i=a[e++])&&!l.isPropagationStopped();)for(l.currentTarget=i.elem,n=0;(o=i.handlers[n++])&&!l.isImmediatePropagationStopped();)l.rnamespace&&!1!==o.namespace&&!l.rnamespace.test(o.namespace)||(l.handleObj=o,l.data=o.data,void 0!==(r=((C.event.special[o.origType]||{}).handle||o.handler).apply(i.elem,s))&&!1===(l.result=r)&&(l.preventDefault(),l.stopPropagation()));return c.postDispatch&&c.postDispatch.call(this,l),l.result}},handlers:function(t,e){var n,r,i,o,a,s=[],l=e.delegateCount,u=t.target;if(l&&u.nodeType&&!("click"===t.type&&t.button>=1))for(;u!==this;u=u.parentNode||this)if(1===u.nodeType&&("click"!==t.type||!0!==u.disabled)){for(o=[],a={},n=0;n<l;n++)void 0===a[i=(r=e[n]).selector+" "]&&(a[i]=r.needsContext?C(i,this).index(u)>-1:C.find(i,this,null,[u]).length),a[i]&&o.push(r);o.length&&s.push({elem:u,handlers:o})}return u=this,l<e.length&&s.push({elem:u,handlers:e.slice(l)}),s},addProp:function(t,e){Object.defineProperty(C.Event.prototype,t,{enumerable:!0,configurable:!0,get:v(e)?function(){if(this.originalEvent)return e(this.originalEvent)}:function(){if(this.originalEvent)return this.originalEvent[t]},set:function(e){Object.defineProperty(this,t,{enumerable:!0,configurable:!0,writable:!0,value:e})}})},fix:function(t){return t[C.expando]?t:new C.Event(t)},special:{load:{noBubble:!0},click:{setup:function(t){var e=this||t;return Ct.test(e.type)&&e.click&&A(e,"input")&&Pt(e,"click",!0),!1},trigger:function(t){var e=this||t;return Ct.test(e.type)&&e.click&&A(e,"input")&&Pt(e,"click"),!0},_default:function(t){var e=t.target;return Ct.test(e.type)&&e.click&&A(e,"input")&&st.get(e,"click")||A(e,"a")}},beforeunload:{postDispatch:function(t){void 0!==t.result&&t.originalEvent&&(t.originalEvent.returnValue=t.result)}}}},C.removeEvent=function(t,e,n){t.removeEventListener&&t.removeEventListener(e,n)},C.Event=function(t,e){if(!(this instanceof C.Event))return new C.Event(t,e);t&&t.type?(this.originalEvent=t,this.type=t.type,this.isDefaultPrevented=t.defaultPrevented||void 0===t.defaultPrevented&&!1===t.returnValue?qt:Ot,this.target=t.target&&3===t.target.nodeType?t.target.parentNode:t.target,this.currentTarget=t.currentTarget,this.relatedTarget=t.relatedTarget):this.type=t,e&&C.extend(this,e),this.timeStamp=t&&t.timeStamp||Date.now(),this[C.expando]=!0},C.Event.prototype={constructor:C.Event,isDefaultPrevented:Ot,isPropagationStopped:Ot,isImmediatePropagationStopped:Ot,isSimulated:!1,preventDefault:function(){var t=this.originalEvent;this.isDefaultPrevented=qt,t&&!this.isSimulated&&t.preventDefault()},stopPropagation:function(){var t=this.originalEvent;this.isPropagationStopped=qt,t&&!this.isSimulated&&t.stopPropagation()},stopImmediatePropagation:function(){var t=this.originalEvent;this.isImmediatePropagationStopped=qt,t&&!this.isSimulated&&t.stopImmediatePropagation(),this.stopPropagation()}},C.each({altKey:!0,bubbles:!0,cancelable:!0,changedTouches:!0,ctrlKey:!0,detail:!0,eventPhase:!0,metaKey:!0,pageX:!0,pageY:!0,shiftKey:!0,view:!0,char:!0,code:!0,charCode:!0,key:!0,keyCode:!0,button:!0,buttons:!0,clientX:!0,clientY:!0,offsetX:!0,offsetY:!0,pointerId:!0,pointerType:!0,screenX:!0,screenY:!0,targetTouches:!0,toElement:!0,touches:!0,which:!0},C.event.addProp),C.each({focus:"focusin",blur:"focusout"},(function(t,e){function n(t){if(b.documentMode){var n=st.get(this,"handle"),r=C.event.fix(t);r.type="focusin"===t.type?"focus":"blur",r.isSimulated=!0,n(t),r.target===r.currentTarget&&n(r)}else C.event.simulate(e,t.target,C.event.fix(t))}C.event.special[t]={setup:function(){var r;if(Pt(this,t,!0),!b.documentMode)return!1;(r=st.get(this,e))||this.addEventListener(e,n),st.set(this,e,(r||0)+1)},trigger:function(){return Pt(this,t),!0},teardown:function(){var t;if(!b.documentMode)return!1;(t=st.get(this,e)-1)?st.set(this,e,t):(this.removeEventListener(e,n),st.remove(this,e))},_default:function(e){return st.get(e.target,t)},delegateType:e},C.event.special[e]={setup:function(){var r=this.ownerDocument||this.document||this,i=b.documentMode?this:r,o=st.get(i,e);o||(b.documentMode?this.addEventListener(e,n):r.addEventListener(t,n,!0)),st.set(i,e,(o||0)+1)},teardown:function(){var r=this.ownerDocument||this.document||this,i=b.documentMode?this:r,o=st.get(i,e)-1;o?st.set(i,e,o):(b.documentMode?this.removeEventListener(e,n):r.removeEventListener(t,n,!0),st.remove(i,e))}}})),C.each({mouseenter:"mouseover",mouseleave:"mouseout",pointerenter:"pointerover",pointerleave:"pointerout"},(function(t,e){C.event.special[t]={delegateType:e,bindType:e,handle:function(t){var n,r=t.relatedTarget,i=t.handleObj;return r&&(r===this||C.contains(this,r))||(t.type=i.origType,n=i.handler.apply(this,arguments),t.type=e),n}}})),C.fn.extend({on:function(t,e,n,r){return Ht(this,t,e,n,r)},one:function(t,e,n,r){return Ht(this,t,e,n,r,1)},off:function(t,e,n){var r,i;if(t&&t.preventDefault&&t.handleObj)return r=t.handleObj,C(t.delegateTarget).off(r.namespace?r.origType+"."+r.namespace:r.origType,r.selector,r.handler),this;if("object"==typeof t){for(i in t)this.off(i,e,t[i]);return this}return!1!==e&&"function"!=typeof e||(n=e,e=void 0),!1===n&&(n=Ot),this.each((function(){C.event.remove(this,t,n,e)}))}});var Rt=/<script|<style|<link/i,It=/checked\s*(?:[^=]|=\s*.checked.)/i,$t=/^\s*<!\[CDATA\[|\]\]>\s*$/g;function Ft(t,e){return A(t,"table")&&A(11!==e.nodeType?e:e.firstChild,"tr")&&C(t).children("tbody")[0]||t}function Wt(t){return t.type=(null!==t.getAttribute("type"))+"/"+t.type,t}function Bt(t){return"true/"===(t.type||"").slice(0,5)?t.type=t.type.slice(5):t.removeAttribute("type"),t}function Qt(t,e){var n,r,i,o,a,s;if(1===e.nodeType){if(st.hasData(t)&&(s=st.get(t).events))for(i in st.remove(e,"handle events"),s)for(n=0,r=s[i].length;n<r;n++)C.event.add(e,i,s[i][n]);lt.hasData(t)&&(o=lt.access(t),a=C.extend({},o),lt.set(e,a))}}function zt(t,e){var n=e.nodeName.toLowerCase();"input"===n&&Ct.test(t.type)?e.checked=t.checked:"input"!==n&&"textarea"!==n||(e.defaultValue=t.defaultValue)}function Ut(t,e,n,r){e=l(e);var i,o,a,s,u,c,d=0,p=t.length,f=p-1,h=e[0],g=v(h);if(g||p>1&&"string"==typeof h&&!m.checkClone&&It.test(h))return t.each((function(i){var o=t.eq(i);g&&(e[0]=h.call(this,i,o.html())),Ut(o,e,n,r)}));if(p&&(o=(i=Mt(e,t[0].ownerDocument,!1,t,r)).firstChild,1===i.childNodes.length&&(i=o),o||r)){for(s=(a=C.map(_t(i,"script"),Wt)).length;d<p;d++)u=i,d!==f&&(u=C.clone(u,!0,!0),s&&C.merge(a,_t(u,"script"))),n.call(t[d],u,d);if(s)for(c=a[a.length-1].ownerDocument,C.map(a,Bt),d=0;d<s;d++)u=a[d],At.test(u.type||"")&&!st.access(u,"globalEval")&&C.contains(c,u)&&(u.src&&"module"!==(u.type||"").toLowerCase()?C._evalUrl&&!u.noModule&&C._evalUrl(u.src,{nonce:u.nonce||u.getAttribute("nonce")},c):w(u.textContent.replace($t,""),u,c))}return t}function Xt(t,e,n){for(var r,i=e?C.filter(e,t):t,o=0;null!=(r=i[o]);o++)n||1!==r.nodeType||C.cleanData(_t(r)),r.parentNode&&(n&&mt(r)&&Dt(_t(r,"script")),r.parentNode.removeChild(r));return t}C.extend({htmlPrefilter:function(t){return t},clone:function(t,e,n){var r,i,o,a,s=t.cloneNode(!0),l=mt(t);if(!(m.noCloneChecked||1!==t.nodeType&&11!==t.nodeType||C.isXMLDoc(t)))for(a=_t(s),r=0,i=(o=_t(t)).length;r<i;r++)zt(o[r],a[r]);if(e)if(n)for(o=o||_t(t),a=a||_t(s),r=0,i=o.length;r<i;r++)Qt(o[r],a[r]);else Qt(t,s);return(a=_t(s,"script")).length>0&&Dt(a,!l&&_t(t,"script")),s},cleanData:function(t){for(var e,n,r,i=C.event.special,o=0;void 0!==(n=t[o]);o++)if(ot(n)){if(e=n[st.expando]){if(e.events)for(r in e.events)i[r]?C.event.remove(n,r):C.removeEvent(n,r,e.handle);n[st.expando]=void 0}n[lt.expando]&&(n[lt.expando]=void 0)}}}),C.fn.extend({detach:function(t){return Xt(this,t,!0)},remove:function(t){return Xt(this,t)},text:function(t){return tt(this,(function(t){return void 0===t?C.text(this):this.empty().each((function(){1!==this.nodeType&&11!==this.nodeType&&9!==this.nodeType||(this.textContent=t)}))}),null,t,arguments.length)},append:function(){return Ut(this,arguments,(function(t){1!==this.nodeType&&11!==this.nodeType&&9!==this.nodeType||Ft(this,t).appendChild(t)}))},prepend:function(){return Ut(this,arguments,(function(t){if(1===this.nodeType||11===this.nodeType||9===this.nodeType){var e=Ft(this,t);e.insertBefore(t,e.firstChild)}}))},before:function(){return Ut(this,arguments,(function(t){this.parentNode&&this.parentNode.insertBefore(t,this)}))},after:function(){return Ut(this,arguments,(function(t){this.parentNode&&this.parentNode.insertBefore(t,this.nextSibling)}))},empty:function(){for(var t,e=0;null!=(t=this[e]);e++)1===t.nodeType&&(C.cleanData(_t(t,!1)),t.textContent="");return this},clone:function(t,e){return t=null!=t&&t,e=null==e?t:e,this.map((function(){return C.clone(this,t,e)}))},html:function(t){return tt(this,(function(t){var e=this[0]||{},n=0,r=this.length;if(void 0===t&&1===e.nodeType)return e.innerHTML;if("string"==typeof t&&!Rt.test(t)&&!jt[(Et.exec(t)||["",""])[1].toLowerCase()]){t=C.htmlPrefilter(t);try{for(;n<r;n++)1===(e=this[n]||{}).nodeType&&(C.cleanData(_t(e,!1)),e.innerHTML=t);e=0}catch(t){}}e&&this.empty().append(t)}),null,t,arguments.length)},replaceWith:function(){var t=[];return Ut(this,arguments,(function(e){var n=this.parentNode;C.inArray(this,t)<0&&(C.cleanData(_t(this)),n&&n.replaceChild(e,this))}),t)}}),C.each({appendTo:"append",prependTo:"prepend",insertBefore:"before",insertAfter:"after",replaceAll:"replaceWith"},(function(t,e){C.fn[t]=function(t){for(var n,r=[],i=C(t),o=i.length-1,a=0;a<=o;a++)n=a===o?this:this.clone(!0),C(i[a])[e](n),u.apply(r,n.get());return this.pushStack(r)}}));var Vt=new RegExp("^("+pt+")(?!px)[a-z%]+$","i"),Zt=/^--/,Gt=function(t){var e=t.ownerDocument.defaultView;return e&&e.opener||(e=r),e.getComputedStyle(t)},Yt=function(t,e,n){var r,i,o={};for(i in e)o[i]=t.style[i],t.style[i]=e[i];for(i in r=n.call(t),e)t.style[i]=o[i];return r},Jt=new RegExp(ht.join("|"),"i");function Kt(t,e,n){var r,i,o,a,s=Zt.test(e),l=t.style;return(n=n||Gt(t))&&(a=n.getPropertyValue(e)||n[e],s&&a&&(a=a.replace(M,"$1")||void 0),""!==a||mt(t)||(a=C.style(t,e)),!m.pixelBoxStyles()&&Vt.test(a)&&Jt.test(e)&&(r=l.width,i=l.minWidth,o=l.maxWidth,l.minWidth=l.maxWidth=l.width=a,a=n.width,l.width=r,l.minWidth=i,l.maxWidth=o)),void 0!==a?a+"":a}function te(t,e){return{get:function(){if(!t())return(this.get=e).apply(this,arguments);delete this.get}}}!function(){function t(){if(c){u.style.cssText="position:absolute;left:-11111px;width:60px;margin-top:1px;padding:0;border:0",c.style.cssText="position:relative;display:block;box-sizing:border-box;overflow:scroll;margin:auto;border:1px;padding:1px;width:60%;top:1%",gt.appendChild(u).appendChild(c);var t=r.getComputedStyle(c);n="1%"!==t.top,l=12===e(t.marginLeft),c.style.right="60%",a=36===e(t.right),i=36===e(t.width),c.style.position="absolute",o=12===e(c.offsetWidth/3),gt.removeChild(u),c=null}}function e(t){return Math.round(parseFloat(t))}var n,i,o,a,s,l,u=b.createElement("div"),c=b.createElement("div");c.style&&(c.style.backgroundClip="content-box",c.cloneNode(!0).style.backgroundClip="",m.clearCloneStyle="content-box"===c.style.backgroundClip,C.extend(m,{boxSizingReliable:function(){return t(),i},pixelBoxStyles:function(){return t(),a},pixelPosition:function(){return t(),n},reliableMarginLeft:function(){return t(),l},scrollboxSize:function(){return t(),o},reliableTrDimensions:function(){var t,e,n,i;return null==s&&(t=b.createElement("table"),e=b.createElement("tr"),n=b.createElement("div"),t.style.cssText="position:absolute;left:-11111px;border-collapse:separate",e.style.cssText="box-sizing:content-box;border:1px solid",e.style.height="1px",n.style.height="9px",n.style.display="block",gt.appendChild(t).appendChild(e).appendChild(n),i=r.getComputedStyle(e),s=parseInt(i.height,10)+parseInt(i.borderTopWidth,10)+parseInt(i.borderBottomWidth,10)===e.offsetHeight,gt.removeChild(t)),s}}))}();var ee=["Webkit","Moz","ms"],ne=b.createElement("div").style,re={};function ie(t){var e=C.cssProps[t]||re[t];return e||(t in ne?t:re[t]=function(t){for(var e=t[0].toUpperCase()+t.slice(1),n=ee.length;n--;)if((t=ee[n]+e)in ne)return t}(t)||t)}var oe=/^(none|table(?!-c[ea]).+)/,ae={position:"absolute",visibility:"hidden",display:"block"},se={letterSpacing:"0",fontWeight:"400"};function le(t,e,n){var r=ft.exec(e);return r?Math.max(0,r[2]-(n||0))+(r[3]||"px"):e}function ue(t,e,n,r,i,o){var a="width"===e?1:0,s=0,l=0,u=0;if(n===(r?"border":"content"))return 0;for(;a<4;a+=2)"margin"===n&&(u+=C.css(t,n+ht[a],!0,i)),r?("content"===n&&(l-=C.css(t,"padding"+ht[a],!0,i)),"margin"!==n&&(l-=C.css(t,"border"+ht[a]+"Width",!0,i))):(l+=C.css(t,"padding"+ht[a],!0,i),"padding"!==n?l+=C.css(t,"border"+ht[a]+"Width",!0,i):s+=C.css(t,"border"+ht[a]+"Width",!0,i));return!r&&o>=0&&(l+=Math.max(0,Math.ceil(t["offset"+e[0].toUpperCase()+e.slice(1)]-o-l-s-.5))||0),l+u}function ce(t,e,n){var r=Gt(t),i=(!m.boxSizingReliable()||n)&&"border-box"===C.css(t,"boxSizing",!1,r),o=i,a=Kt(t,e,r),s="offset"+e[0].toUpperCase()+e.slice(1);if(Vt.test(a)){if(!n)return a;a="auto"}return(!m.boxSizingReliable()&&i||!m.reliableTrDimensions()&&A(t,"tr")||"auto"===a||!parseFloat(a)&&"inline"===C.css(t,"display",!1,r))&&t.getClientRects().length&&(i="border-box"===C.css(t,"boxSizing",!1,r),(o=s in t)&&(a=t[s])),(a=parseFloat(a)||0)+ue(t,e,n||(i?"border":"content"),o,r,a)+"px"}function de(t,e,n,r,i){return new de.prototype.init(t,e,n,r,i)}C.extend({cssHooks:{opacity:{get:function(t,e){if(e){var n=Kt(t,"opacity");return""===n?"1":n}}}},cssNumber:{animationIterationCount:!0,aspectRatio:!0,borderImageSlice:!0,columnCount:!0,flexGrow:!0,flexShrink:!0,fontWeight:!0,gridArea:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnStart:!0,gridRow:!0,gridRowEnd:!0,gridRowStart:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,scale:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeMiterlimit:!0,strokeOpacity:!0},cssProps:{},style:function(t,e,n,r){if(t&&3!==t.nodeType&&8!==t.nodeType&&t.style){var i,o,a,s=it(e),l=Zt.test(e),u=t.style;if(l||(e=ie(s)),a=C.cssHooks[e]||C.cssHooks[s],void 0===n)return a&&"get"in a&&void 0!==(i=a.get(t,!1,r))?i:u[e];"string"===(o=typeof n)&&(i=ft.exec(n))&&i[1]&&(n=bt(t,e,i),o="number"),null!=n&&n==n&&("number"!==o||l||(n+=i&&i[3]||(C.cssNumber[s]?"":"px")),m.clearCloneStyle||""!==n||0!==e.indexOf("background")||(u[e]="inherit"),a&&"set"in a&&void 0===(n=a.set(t,n,r))||(l?u.setProperty(e,n):u[e]=n))}},css:function(t,e,n,r){var i,o,a,s=it(e);return Zt.test(e)||(e=ie(s)),(a=C.cssHooks[e]||C.cssHooks[s])&&"get"in a&&(i=a.get(t,!0,n)),void 0===i&&(i=Kt(t,e,r)),"normal"===i&&e in se&&(i=se[e]),""===n||n?(o=parseFloat(i),!0===n||isFinite(o)?o||0:i):i}}),C.each(["height","width"],(function(t,e){C.cssHooks[e]={get:function(t,n,r){if(n)return!oe.test(C.css(t,"display"))||t.getClientRects().length&&t.getBoundingClientRect().width?ce(t,e,r):Yt(t,ae,(function(){return ce(t,e,r)}))},set:function(t,n,r){var i,o=Gt(t),a=!m.scrollboxSize()&&"absolute"===o.position,s=(a||r)&&"border-box"===C.css(t,"boxSizing",!1,o),l=r?ue(t,e,r,s,o):0;return s&&a&&(l-=Math.ceil(t["offset"+e[0].toUpperCase()+e.slice(1)]-parseFloat(o[e])-ue(t,e,"border",!1,o)-.5)),l&&(i=ft.exec(n))&&"px"!==(i[3]||"px")&&(t.style[e]=n,n=C.css(t,e)),le(0,n,l)}}})),C.cssHooks.marginLeft=te(m.reliableMarginLeft,(function(t,e){if(e)return(parseFloat(Kt(t,"marginLeft"))||t.getBoundingClientRect().left-Yt(t,{marginLeft:0},(function(){return t.getBoundingClientRect().left})))+"px"})),C.each({margin:"",padding:"",border:"Width"},(function(t,e){C.cssHooks[t+e]={expand:function(n){for(var r=0,i={},o="string"==typeof n?n.split(" "):[n];r<4;r++)i[t+ht[r]+e]=o[r]||o[r-2]||o[0];return i}},"margin"!==t&&(C.cssHooks[t+e].set=le)})),C.fn.extend({css:function(t,e){return tt(this,(function(t,e,n){var r,i,o={},a=0;if(Array.isArray(e)){for(r=Gt(t),i=e.length;a<i;a++)o[e[a]]=C.css(t,e[a],!1,r);return o}return void 0!==n?C.style(t,e,n):C.css(t,e)}),t,e,arguments.length>1)}}),C.Tween=de,de.prototype={constructor:de,init:function(t,e,n,r,i,o){this.elem=t,this.prop=n,this.easing=i||C.easing._default,this.options=e,this.start=this.now=this.cur(),this.end=r,this.unit=o||(C.cssNumber[n]?"":"px")},cur:function(){var t=de.propHooks[this.prop];return t&&t.get?t.get(this):de.propHooks._default.get(this)},run:function(t){var e,n=de.propHooks[this.prop];return this.options.duration?this.pos=e=C.easing[this.easing](t,this.options.duration*t,0,1,this.options.duration):this.pos=e=t,this.now=(this.end-this.start)*e+this.start,this.options.step&&this.options.step.call(this.elem,this.now,this),n&&n.set?n.set(this):de.propHooks._default.set(this),this}},de.prototype.init.prototype=de.prototype,de.propHooks={_default:{get:function(t){var e;return 1!==t.elem.nodeType||null!=t.elem[t.prop]&&null==t.elem.style[t.prop]?t.elem[t.prop]:(e=C.css(t.elem,t.prop,""))&&"auto"!==e?e:0},set:function(t){C.fx.step[t.prop]?C.fx.step[t.prop](t):1!==t.elem.nodeType||!C.cssHooks[t.prop]&&null==t.elem.style[ie(t.prop)]?t.elem[t.prop]=t.now:C.style(t.elem,t.prop,t.now+t.unit)}}},de.propHooks.scrollTop=de.propHooks.scrollLeft={set:function(t){t.elem.nodeType&&t.elem.parentNode&&(t.elem[t.prop]=t.now)}},C.easing={linear:function(t){return t},swing:function(t){return.5-Math.cos(t*Math.PI)/2},_default:"swing"},C.fx=de.prototype.init,C.fx.step={};var pe,fe,he=/^(?:toggle|show|hide)$/,ge=/queueHooks$/;function me(){fe&&(!1===b.hidden&&r.requestAnimationFrame?r.requestAnimationFrame(me):r.setTimeout(me,C.fx.interval),C.fx.tick())}function ve(){return r.setTimeout((function(){pe=void 0})),pe=Date.now()}function ye(t,e){var n,r=0,i={height:t};for(e=e?1:0;r<4;r+=2-e)i["margin"+(n=ht[r])]=i["padding"+n]=t;return e&&(i.opacity=i.width=t),i}function be(t,e,n){for(var r,i=(xe.tweeners[e]||[]).concat(xe.tweeners["*"]),o=0,a=i.length;o<a;o++)if(r=i[o].call(n,e,t))return r}function xe(t,e,n){var r,i,o=0,a=xe.prefilters.length,s=C.Deferred().always((function(){delete l.elem})),l=function(){if(i)return!1;for(var e=pe||ve(),n=Math.max(0,u.startTime+u.duration-e),r=1-(n/u.duration||0),o=0,a=u.tweens.length;o<a;o++)u.tweens[o].run(r);return s.notifyWith(t,[u,r,n]),r<1&&a?n:(a||s.notifyWith(t,[u,1,0]),s.resolveWith(t,[u]),!1)},u=s.promise({elem:t,props:C.extend({},e),opts:C.extend(!0,{specialEasing:{},easing:C.easing._default},n),originalProperties:e,originalOptions:n,startTime:pe||ve(),duration:n.duration,tweens:[],createTween:function(e,n){var r=C.Tween(t,u.opts,e,n,u.opts.specialEasing[e]||u.opts.easing);return u.tweens.push(r),r},stop:function(e){var n=0,r=e?u.tweens.length:0;if(i)return this;for(i=!0;n<r;n++)u.tweens[n].run(1);return e?(s.notifyWith(t,[u,1,0]),s.resolveWith(t,[u,e])):s.rejectWith(t,[u,e]),this}}),c=u.props;for(!function(t,e){var n,r,i,o,a;for(n in t)if(i=e[r=it(n)],o=t[n],Array.isArray(o)&&(i=o[1],o=t[n]=o[0]),n!==r&&(t[r]=o,delete t[n]),(a=C.cssHooks[r])&&"expand"in a)for(n in o=a.expand(o),delete t[r],o)n in t||(t[n]=o[n],e[n]=i);else e[r]=i}(c,u.opts.specialEasing);o<a;o++)if(r=xe.prefilters[o].call(u,t,c,u.opts))return v(r.stop)&&(C._queueHooks(u.elem,u.opts.queue).stop=r.stop.bind(r)),r;return C.map(c,be,u),v(u.opts.start)&&u.opts.start.call(t,u),u.progress(u.opts.progress).done(u.opts.done,u.opts.complete).fail(u.opts.fail).always(u.opts.always),C.fx.timer(C.extend(l,{elem:t,anim:u,queue:u.opts.queue})),u}C.Animation=C.extend(xe,{tweeners:{"*":[function(t,e){var n=this.createTween(t,e);return bt(n.elem,t,ft.exec(e),n),n}]},tweener:function(t,e){v(t)?(e=t,t=["*"]):t=t.match(X);for(var n,r=0,i=t.length;r<i;r++)n=t[r],xe.tweeners[n]=xe.tweeners[n]||[],xe.tweeners[n].unshift(e)},prefilters:[function(t,e,n){var r,i,o,a,s,l,u,c,d="width"in e||"height"in e,p=this,f={},h=t.style,g=t.nodeType&&yt(t),m=st.get(t,"fxshow");for(r in n.queue||(null==(a=C._queueHooks(t,"fx")).unqueued&&(a.unqueued=0,s=a.empty.fire,a.empty.fire=function(){a.unqueued||s()}),a.unqueued++,p.always((function(){p.always((function(){a.unqueued--,C.queue(t,"fx").length||a.empty.fire()}))}))),e)if(i=e[r],he.test(i)){if(delete e[r],o=o||"toggle"===i,i===(g?"hide":"show")){if("show"!==i||!m||void 0===m[r])continue;g=!0}f[r]=m&&m[r]||C.style(t,r)}if((l=!C.isEmptyObject(e))||!C.isEmptyObject(f))for(r in d&&1===t.nodeType&&(n.overflow=[h.overflow,h.overflowX,h.overflowY],null==(u=m&&m.display)&&(u=st.get(t,"display")),"none"===(c=C.css(t,"display"))&&(u?c=u:(Tt([t],!0),u=t.style.display||u,c=C.css(t,"display"),Tt([t]))),("inline"===c||"inline-block"===c&&null!=u)&&"none"===C.css(t,"float")&&(l||(p.done((function(){h.display=u})),null==u&&(c=h.display,u="none"===c?"":c)),h.display="inline-block")),n.overflow&&(h.overflow="hidden",p.always((function(){h.overflow=n.overflow[0],h.overflowX=n.overflow[1],h.overflowY=n.overflow[2]}))),l=!1,f)l||(m?"hidden"in m&&(g=m.hidden):m=st.access(t,"fxshow",{display:u}),o&&(m.hidden=!g),g&&Tt([t],!0),p.done((function(){for(r in g||Tt([t]),st.remove(t,"fxshow"),f)C.style(t,r,f[r])}))),l=be(g?m[r]:0,r,p),r in m||(m[r]=l.start,g&&(l.end=l.start,l.start=0))}],prefilter:function(t,e){e?xe.prefilters.unshift(t):xe.prefilters.push(t)}}),C.speed=function(t,e,n){var r=t&&"object"==typeof t?C.extend({},t):{complete:n||!n&&e||v(t)&&t,duration:t,easing:n&&e||e&&!v(e)&&e};return C.fx.off?r.duration=0:"number"!=typeof r.duration&&(r.duration in C.fx.speeds?r.duration=C.fx.speeds[r.duration]:r.duration=C.fx.speeds._default),null!=r.queue&&!0!==r.queue||(r.queue="fx"),r.old=r.complete,r.complete=function(){v(r.old)&&r.old.call(this),r.queue&&C.dequeue(this,r.queue)},r},C.fn.extend({fadeTo:function(t,e,n,r){return this.filter(yt).css("opacity",0).show().end().animate({opacity:e},t,n,r)},animate:function(t,e,n,r){var i=C.isEmptyObject(t),o=C.speed(e,n,r),a=function(){var e=xe(this,C.extend({},t),o);(i||st.get(this,"finish"))&&e.stop(!0)};return a.finish=a,i||!1===o.queue?this.each(a):this.queue(o.queue,a)},stop:function(t,e,n){var r=function(t){var e=t.stop;delete t.stop,e(n)};return"string"!=typeof t&&(n=e,e=t,t=void 0),e&&this.queue(t||"fx",[]),this.each((function(){var e=!0,i=null!=t&&t+"queueHooks",o=C.timers,a=st.get(this);if(i)a[i]&&a[i].stop&&r(a[i]);else for(i in a)a[i]&&a[i].stop&&ge.test(i)&&r(a[i]);for(i=o.length;i--;)o[i].elem!==this||null!=t&&o[i].queue!==t||(o[i].anim.stop(n),e=!1,o.splice(i,1));!e&&n||C.dequeue(this,t)}))},finish:function(t){return!1!==t&&(t=t||"fx"),this.each((function(){var e,n=st.get(this),r=n[t+"queue"],i=n[t+"queueHooks"],o=C.timers,a=r?r.length:0;for(n.finish=!0,C.queue(this,t,[]),i&&i.stop&&i.stop.call(this,!0),e=o.length;e--;)o[e].elem===this&&o[e].queue===t&&(o[e].anim.stop(!0),o.splice(e,1));for(e=0;e<a;e++)r[e]&&r[e].finish&&r[e].finish.call(this);delete n.finish}))}}),C.each(["toggle","show","hide"],(function(t,e){var n=C.fn[e];C.fn[e]=function(t,r,i){return null==t||"boolean"==typeof t?n.apply(this,arguments):this.animate(ye(e,!0),t,r,i)}})),C.each({slideDown:ye("show"),slideUp:ye("hide"),slideToggle:ye("toggle"),fadeIn:{opacity:"show"},fadeOut:{opacity:"hide"},fadeToggle:{opacity:"toggle"}},(function(t,e){C.fn[t]=function(t,n,r){return this.animate(e,t,n,r)}})),C.timers=[],C.fx.tick=function(){var t,e=0,n=C.timers;for(pe=Date.now();e<n.length;e++)(t=n[e])()||n[e]!==t||n.splice(e--,1);n.length||C.fx.stop(),pe=void 0},C.fx.timer=function(t){C.timers.push(t),C.fx.start()},C.fx.interval=13,C.fx.start=function(){fe||(fe=!0,me())},C.fx.stop=function(){fe=null},C.fx.speeds={slow:600,fast:200,_default:400},C.fn.delay=function(t,e){return t=C.fx&&C.fx.speeds[t]||t,e=e||"fx",this.queue(e,(function(e,n){var i=r.setTimeout(e,t);n.stop=function(){r.clearTimeout(i)}}))},function(){var t=b.createElement("input"),e=b.createElement("select").appendChild(b.createElement("option"));t.type="checkbox",m.checkOn=""!==t.value,m.optSelected=e.selected,(t=b.createElement("input")).value="t",t.type="radio",m.radioValue="t"===t.value}();var we,Te=C.expr.attrHandle;C.fn.extend({attr:function(t,e){return tt(this,C.attr,t,e,arguments.length>1)},removeAttr:function(t){return this.each((function(){C.removeAttr(this,t)}))}}),C.extend({attr:function(t,e,n){var r,i,o=t.nodeType;if(3!==o&&8!==o&&2!==o)return void 0===t.getAttribute?C.prop(t,e,n):(1===o&&C.isXMLDoc(t)||(i=C.attrHooks[e.toLowerCase()]||(C.expr.match.bool.test(e)?we:void 0)),void 0!==n?null===n?void C.removeAttr(t,e):i&&"set"in i&&void 0!==(r=i.set(t,n,e))?r:(t.setAttribute(e,n+""),n):i&&"get"in i&&null!==(r=i.get(t,e))?r:null==(r=C.find.attr(t,e))?void 0:r)},attrHooks:{type:{set:function(t,e){if(!m.radioValue&&"radio"===e&&A(t,"input")){var n=t.value;return t.setAttribute("type",e),n&&(t.value=n),e}}}},removeAttr:function(t,e){var n,r=0,i=e&&e.match(X);if(i&&1===t.nodeType)for(;n=i[r++];)t.removeAttribute(n)}}),we={set:function(t,e,n){return!1===e?C.removeAttr(t,n):t.setAttribute(n,n),n}},C.each(C.expr.match.bool.source.match(/\w+/g),(function(t,e){var n=Te[e]||C.find.attr;Te[e]=function(t,e,r){var i,o,a=e.toLowerCase();return r||(o=Te[a],Te[a]=i,i=null!=n(t,e,r)?a:null,Te[a]=o),i}}));var ke=/^(?:input|select|textarea|button)$/i,Se=/^(?:a|area)$/i;function Ce(t){return(t.match(X)||[]).join(" ")}function Ee(t){return t.getAttribute&&t.getAttribute("class")||""}function Ae(t){return Array.isArray(t)?t:"string"==typeof t&&t.match(X)||[]}C.fn.extend({prop:function(t,e){return tt(this,C.prop,t,e,arguments.length>1)},removeProp:function(t){return this.each((function(){delete this[C.propFix[t]||t]}))}}),C.extend({prop:function(t,e,n){var r,i,o=t.nodeType;if(3!==o&&8!==o&&2!==o)return 1===o&&C.isXMLDoc(t)||(e=C.propFix[e]||e,i=C.propHooks[e]),void 0!==n?i&&"set"in i&&void 0!==(r=i.set(t,n,e))?r:t[e]=n:i&&"get"in i&&null!==(r=i.get(t,e))?r:t[e]},propHooks:{tabIndex:{get:function(t){var e=C.find.attr(t,"tabindex");return e?parseInt(e,10):ke.test(t.nodeName)||Se.test(t.nodeName)&&t.href?0:-1}}},propFix:{for:"htmlFor",class:"className"}}),m.optSelected||(C.propHooks.selected={get:function(t){var e=t.parentNode;return e&&e.parentNode&&e.parentNode.selectedIndex,null},set:function(t){var e=t.parentNode;e&&(e.selectedIndex,e.parentNode&&e.parentNode.selectedIndex)}}),C.each(["tabIndex","readOnly","maxLength","cellSpacing","cellPadding","rowSpan","colSpan","useMap","frameBorder","contentEditable"],(function(){C.propFix[this.toLowerCase()]=this})),C.fn.extend({addClass:function(t){var e,n,r,i,o,a;return v(t)?this.each((function(e){C(this).addClass(t.call(this,e,Ee(this)))})):(e=Ae(t)).length?this.each((function(){if(r=Ee(this),n=1===this.nodeType&&" "+Ce(r)+" "){for(o=0;o<e.length;o++)i=e[o],n.indexOf(" "+i+" ")<0&&(n+=i+" ");a=Ce(n),r!==a&&this.setAttribute("class",a)}})):this},removeClass:function(t){var e,n,r,i,o,a;return v(t)?this.each((function(e){C(this).removeClass(t.call(this,e,Ee(this)))})):arguments.length?(e=Ae(t)).length?this.each((function(){if(r=Ee(this),n=1===this.nodeType&&" "+Ce(r)+" "){for(o=0;o<e.length;o++)for(i=e[o];n.indexOf(" "+i+" ")>-1;)n=n.replace(" "+i+" "," ");a=Ce(n),r!==a&&this.setAttribute("class",a)}})):this:this.attr("class","")},toggleClass:function(t,e){var n,r,i,o,a=typeof t,s="string"===a||Array.isArray(t);return v(t)?this.each((function(n){C(this).toggleClass(t.call(this,n,Ee(this),e),e)})):"boolean"==typeof e&&s?e?this.addClass(t):this.removeClass(t):(n=Ae(t),this.each((function(){if(s)for(o=C(this),i=0;i<n.length;i++)r=n[i],o.hasClass(r)?o.removeClass(r):o.addClass(r);else void 0!==t&&"boolean"!==a||((r=Ee(this))&&st.set(this,"__className__",r),this.setAttribute&&this.setAttribute("class",r||!1===t?"":st.get(this,"__className__")||""))})))},hasClass:function(t){var e,n,r=0;for(e=" "+t+" ";n=this[r++];)if(1===n.nodeType&&(" "+Ce(Ee(n))+" ").indexOf(e)>-1)return!0;return!1}});var je=/\r/g;C.fn.extend({val:function(t){var e,n,r,i=this[0];return arguments.length?(r=v(t),this.each((function(n){var i;1===this.nodeType&&(null==(i=r?t.call(this,n,C(this).val()):t)?i="":"number"==typeof i?i+="":Array.isArray(i)&&(i=C.map(i,(function(t){return null==t?"":t+""}))),(e=C.valHooks[this.type]||C.valHooks[this.nodeName.toLowerCase()])&&"set"in e&&void 0!==e.set(this,i,"value")||(this.value=i))}))):i?(e=C.valHooks[i.type]||C.valHooks[i.nodeName.toLowerCase()])&&"get"in e&&void 0!==(n=e.get(i,"value"))?n:"string"==typeof(n=i.value)?n.replace(je,""):null==n?"":n:void 0}}),C.extend({valHooks:{option:{get:function(t){var e=C.find.attr(t,"value");return null!=e?e:Ce(C.text(t))}},select:{get:function(t){var e,n,r,i=t.options,o=t.selectedIndex,a="select-one"===t.type,s=a?null:[],l=a?o+1:i.length;for(r=o<0?l:a?o:0;r<l;r++)if(((n=i[r]).selected||r===o)&&!n.disabled&&(!n.parentNode.disabled||!A(n.parentNode,"optgroup"))){if(e=C(n).val(),a)return e;s.push(e)}return s},set:function(t,e){for(var n,r,i=t.options,o=C.makeArray(e),a=i.length;a--;)((r=i[a]).selected=C.inArray(C.valHooks.option.get(r),o)>-1)&&(n=!0);return n||(t.selectedIndex=-1),o}}}}),C.each(["radio","checkbox"],(function(){C.valHooks[this]={set:function(t,e){if(Array.isArray(e))return t.checked=C.inArray(C(t).val(),e)>-1}},m.checkOn||(C.valHooks[this].get=function(t){return null===t.getAttribute("value")?"on":t.value})}));var _e=r.location,De={guid:Date.now()},Ne=/\?/;C.parseXML=function(t){var e,n;if(!t||"string"!=typeof t)return null;try{e=(new r.DOMParser).parseFromString(t,"text/xml")}catch(t){}return n=e&&e.getElementsByTagName("parsererror")[0],e&&!n||C.error("Invalid XML: "+(n?C.map(n.childNodes,(function(t){return t.textContent})).join("\n"):t)),e};var Me=/^(?:focusinfocus|focusoutblur)$/,Le=function(t){t.stopPropagation()};C.extend(C.event,{trigger:function(t,e,n,i){var o,a,s,l,u,c,d,p,h=[n||b],g=f.call(t,"type")?t.type:t,m=f.call(t,"namespace")?t.namespace.split("."):[];if(a=p=s=n=n||b,3!==n.nodeType&&8!==n.nodeType&&!Me.test(g+C.event.triggered)&&(g.indexOf(".")>-1&&(m=g.split("."),g=m.shift(),m.sort()),u=g.indexOf(":")<0&&"on"+g,(t=t[C.expando]?t:new C.Event(g,"object"==typeof t&&t)).isTrigger=i?2:3,t.namespace=m.join("."),t.rnamespace=t.namespace?new RegExp("(^|\\.)"+m.join("\\.(?:.*\\.|)")+"(\\.|$)"):null,t.result=void 0,t.target||(t.target=n),e=null==e?[t]:C.makeArray(e,[t]),d=C.event.special[g]||{},i||!d.trigger||!1!==d.trigger.apply(n,e))){if(!i&&!d.noBubble&&!y(n)){for(l=d.delegateType||g,Me.test(l+g)||(a=a.parentNode);a;a=a.parentNode)h.push(a),s=a;s===(n.ownerDocument||b)&&h.push(s.defaultView||s.parentWindow||r)}for(o=0;(a=h[o++])&&!t.isPropagationStopped();)p=a,t.type=o>1?l:d.bindType||g,(c=(st.get(a,"events")||Object.create(null))[t.type]&&st.get(a,"handle"))&&c.apply(a,e),(c=u&&a[u])&&c.apply&&ot(a)&&(t.result=c.apply(a,e),!1===t.result&&t.preventDefault());return t.type=g,i||t.isDefaultPrevented()||d._default&&!1!==d._default.apply(h.pop(),e)||!ot(n)||u&&v(n[g])&&!y(n)&&((s=n[u])&&(n[u]=null),C.event.triggered=g,t.isPropagationStopped()&&p.addEventListener(g,Le),n[g](),t.isPropagationStopped()&&p.removeEventListener(g,Le),C.event.triggered=void 0,s&&(n[u]=s)),t.result}},simulate:function(t,e,n){var r=C.extend(new C.Event,n,{type:t,isSimulated:!0});C.event.trigger(r,null,e)}}),C.fn.extend({trigger:function(t,e){return this.each((function(){C.event.trigger(t,e,this)}))},triggerHandler:function(t,e){var n=this[0];if(n)return C.event.trigger(t,e,n,!0)}});var qe=/\[\]$/,Oe=/\r?\n/g,He=/^(?:submit|button|image|reset|file)$/i,Pe=/^(?:input|select|textarea|keygen)/i;function Re(t,e,n,r){var i;if(Array.isArray(e))C.each(e,(function(e,i){n||qe.test(t)?r(t,i):Re(t+"["+("object"==typeof i&&null!=i?e:"")+"]",i,n,r)}));else if(n||"object"!==T(e))r(t,e);else for(i in e)Re(t+"["+i+"]",e[i],n,r)}C.param=function(t,e){var n,r=[],i=function(t,e){var n=v(e)?e():e;r[r.length]=encodeURIComponent(t)+"="+encodeURIComponent(null==n?"":n)};if(null==t)return"";if(Array.isArray(t)||t.jquery&&!C.isPlainObject(t))C.each(t,(function(){i(this.name,this.value)}));else for(n in t)Re(n,t[n],e,i);return r.join("&")},C.fn.extend({serialize:function(){return C.param(this.serializeArray())},serializeArray:function(){return this.map((function(){var t=C.prop(this,"elements");return t?C.makeArray(t):this})).filter((function(){var t=this.type;return this.name&&!C(this).is(":disabled")&&Pe.test(this.nodeName)&&!He.test(t)&&(this.checked||!Ct.test(t))})).map((function(t,e){var n=C(this).val();return null==n?null:Array.isArray(n)?C.map(n,(function(t){return{name:e.name,value:t.replace(Oe,"\r\n")}})):{name:e.name,value:n.replace(Oe,"\r\n")}})).get()}});var Ie=/%20/g,$e=/#.*$/,Fe=/([?&])_=[^&]*/,We=/^(.*?):[ \t]*([^\r\n]*)$/gm,Be=/^(?:GET|HEAD)$/,Qe=/^\/\//,ze={},Ue={},Xe="*/".concat("*"),Ve=b.createElement("a");function Ze(t){return function(e,n){"string"!=typeof e&&(n=e,e="*");var r,i=0,o=e.toLowerCase().match(X)||[];if(v(n))for(;r=o[i++];)"+"===r[0]?(r=r.slice(1)||"*",(t[r]=t[r]||[]).unshift(n)):(t[r]=t[r]||[]).push(n)}}function Ge(t,e,n,r){var i={},o=t===Ue;function a(s){var l;return i[s]=!0,C.each(t[s]||[],(function(t,s){var u=s(e,n,r);return"string"!=typeof u||o||i[u]?o?!(l=u):void 0:(e.dataTypes.unshift(u),a(u),!1)})),l}return a(e.dataTypes[0])||!i["*"]&&a("*")}function Ye(t,e){var n,r,i=C.ajaxSettings.flatOptions||{};for(n in e)void 0!==e[n]&&((i[n]?t:r||(r={}))[n]=e[n]);return r&&C.extend(!0,t,r),t}Ve.href=_e.href,C.extend({active:0,lastModified:{},etag:{},ajaxSettings:{url:_e.href,type:"GET",isLocal:/^(?:about|app|app-storage|.+-extension|file|res|widget):$/.test(_e.protocol),global:!0,processData:!0,async:!0,contentType:"application/x-www-form-urlencoded; charset=UTF-8",accepts:{"*":Xe,text:"text/plain",html:"text/html",xml:"application/xml, text/xml",json:"application/json, text/javascript"},contents:{xml:/\bxml\b/,html:/\bhtml/,json:/\bjson\b/},responseFields:{xml:"responseXML",text:"responseText",json:"responseJSON"},converters:{"* text":String,"text html":!0,"text json":JSON.parse,"text xml":C.parseXML},flatOptions:{url:!0,context:!0}},ajaxSetup:function(t,e){return e?Ye(Ye(t,C.ajaxSettings),e):Ye(C.ajaxSettings,t)},ajaxPrefilter:Ze(ze),ajaxTransport:Ze(Ue),ajax:function(t,e){"object"==typeof t&&(e=t,t=void 0),e=e||{};var n,i,o,a,s,l,u,c,d,p,f=C.ajaxSetup({},e),h=f.context||f,g=f.context&&(h.nodeType||h.jquery)?C(h):C.event,m=C.Deferred(),v=C.Callbacks("once memory"),y=f.statusCode||{},x={},w={},T="canceled",k={readyState:0,getResponseHeader:function(t){var e;if(u){if(!a)for(a={};e=We.exec(o);)a[e[1].toLowerCase()+" "]=(a[e[1].toLowerCase()+" "]||[]).concat(e[2]);e=a[t.toLowerCase()+" "]}return null==e?null:e.join(", ")},getAllResponseHeaders:function(){return u?o:null},setRequestHeader:function(t,e){return null==u&&(t=w[t.toLowerCase()]=w[t.toLowerCase()]||t,x[t]=e),this},overrideMimeType:function(t){return null==u&&(f.mimeType=t),this},statusCode:function(t){var e;if(t)if(u)k.always(t[k.status]);else for(e in t)y[e]=[y[e],t[e]];return this},abort:function(t){var e=t||T;return n&&n.abort(e),S(0,e),this}};if(m.promise(k),f.url=((t||f.url||_e.href)+"").replace(Qe,_e.protocol+"//"),f.type=e.method||e.type||f.method||f.type,f.dataTypes=(f.dataType||"*").toLowerCase().match(X)||[""],null==f.crossDomain){l=b.createElement("a");try{l.href=f.url,l.href=l.href,f.crossDomain=Ve.protocol+"//"+Ve.host!=l.protocol+"//"+l.host}catch(t){f.crossDomain=!0}}if(f.data&&f.processData&&"string"!=typeof f.data&&(f.data=C.param(f.data,f.traditional)),Ge(ze,f,e,k),u)return k;for(d in(c=C.event&&f.global)&&0==C.active++&&C.event.trigger("ajaxStart"),f.type=f.type.toUpperCase(),f.hasContent=!Be.test(f.type),i=f.url.replace($e,""),f.hasContent?f.data&&f.processData&&0===(f.contentType||"").indexOf("application/x-www-form-urlencoded")&&(f.data=f.data.replace(Ie,"+")):(p=f.url.slice(i.length),f.data&&(f.processData||"string"==typeof f.data)&&(i+=(Ne.test(i)?"&":"?")+f.data,delete f.data),!1===f.cache&&(i=i.replace(Fe,"$1"),p=(Ne.test(i)?"&":"?")+"_="+De.guid+++p),f.url=i+p),f.ifModified&&(C.lastModified[i]&&k.setRequestHeader("If-Modified-Since",C.lastModified[i]),C.etag[i]&&k.setRequestHeader("If-None-Match",C.etag[i])),(f.data&&f.hasContent&&!1!==f.contentType||e.contentType)&&k.setRequestHeader("Content-Type",f.contentType),k.setRequestHeader("Accept",f.dataTypes[0]&&f.accepts[f.dataTypes[0]]?f.accepts[f.dataTypes[0]]+("*"!==f.dataTypes[0]?", "+Xe+"; q=0.01":""):f.accepts["*"]),f.headers)k.setRequestHeader(d,f.headers[d]);if(f.beforeSend&&(!1===f.beforeSend.call(h,k,f)||u))return k.abort();if(T="abort",v.add(f.complete),k.done(f.success),k.fail(f.error),n=Ge(Ue,f,e,k)){if(k.readyState=1,c&&g.trigger("ajaxSend",[k,f]),u)return k;f.async&&f.timeout>0&&(s=r.setTimeout((function(){k.abort("timeout")}),f.timeout));try{u=!1,n.send(x,S)}catch(t){if(u)throw t;S(-1,t)}}else S(-1,"No Transport");function S(t,e,a,l){var d,p,b,x,w,T=e;u||(u=!0,s&&r.clearTimeout(s),n=void 0,o=l||"",k.readyState=t>0?4:0,d=t>=200&&t<300||304===t,a&&(x=function(t,e,n){for(var r,i,o,a,s=t.contents,l=t.dataTypes;"*"===l[0];)l.shift(),void 0===r&&(r=t.mimeType||e.getResponseHeader("Content-Type"));if(r)for(i in s)if(s[i]&&s[i].test(r)){l.unshift(i);break}if(l[0]in n)o=l[0];else{for(i in n){if(!l[0]||t.converters[i+" "+l[0]]){o=i;break}a||(a=i)}o=o||a}if(o)return o!==l[0]&&l.unshift(o),n[o]}(f,k,a)),!d&&C.inArray("script",f.dataTypes)>-1&&C.inArray("json",f.dataTypes)<0&&(f.converters["text script"]=function(){}),x=function(t,e,n,r){var i,o,a,s,l,u={},c=t.dataTypes.slice();if(c[1])for(a in t.converters)u[a.toLowerCase()]=t.converters[a];for(o=c.shift();o;)if(t.responseFields[o]&&(n[t.responseFields[o]]=e),!l&&r&&t.dataFilter&&(e=t.dataFilter(e,t.dataType)),l=o,o=c.shift())if("*"===o)o=l;else if("*"!==l&&l!==o){if(!(a=u[l+" "+o]||u["* "+o]))for(i in u)if((s=i.split(" "))[1]===o&&(a=u[l+" "+s[0]]||u["* "+s[0]])){!0===a?a=u[i]:!0!==u[i]&&(o=s[0],c.unshift(s[1]));break}if(!0!==a)if(a&&t.throws)e=a(e);else try{e=a(e)}catch(t){return{state:"parsererror",error:a?t:"No conversion from "+l+" to "+o}}}return{state:"success",data:e}}(f,x,k,d),d?(f.ifModified&&((w=k.getResponseHeader("Last-Modified"))&&(C.lastModified[i]=w),(w=k.getResponseHeader("etag"))&&(C.etag[i]=w)),204===t||"HEAD"===f.type?T="nocontent":304===t?T="notmodified":(T=x.state,p=x.data,d=!(b=x.error))):(b=T,!t&&T||(T="error",t<0&&(t=0))),k.status=t,k.statusText=(e||T)+"",d?m.resolveWith(h,[p,T,k]):m.rejectWith(h,[k,T,b]),k.statusCode(y),y=void 0,c&&g.trigger(d?"ajaxSuccess":"ajaxError",[k,f,d?p:b]),v.fireWith(h,[k,T]),c&&(g.trigger("ajaxComplete",[k,f]),--C.active||C.event.trigger("ajaxStop")))}return k},getJSON:function(t,e,n){return C.get(t,e,n,"json")},getScript:function(t,e){return C.get(t,void 0,e,"script")}}),C.each(["get","post"],(function(t,e){C[e]=function(t,n,r,i){return v(n)&&(i=i||r,r=n,n=void 0),C.ajax(C.extend({url:t,type:e,dataType:i,data:n,success:r},C.isPlainObject(t)&&t))}})),C.ajaxPrefilter((function(t){var e;for(e in t.headers)"content-type"===e.toLowerCase()&&(t.contentType=t.headers[e]||"")})),C._evalUrl=function(t,e,n){return C.ajax({url:t,type:"GET",dataType:"script",cache:!0,async:!1,global:!1,converters:{"text script":function(){}},dataFilter:function(t){C.globalEval(t,e,n)}})},C.fn.extend({wrapAll:function(t){var e;return this[0]&&(v(t)&&(t=t.call(this[0])),e=C(t,this[0].ownerDocument).eq(0).clone(!0),this[0].parentNode&&e.insertBefore(this[0]),e.map((function(){for(var t=this;t.firstElementChild;)t=t.firstElementChild;return t})).append(this)),this},wrapInner:function(t){return v(t)?this.each((function(e){C(this).wrapInner(t.call(this,e))})):this.each((function(){var e=C(this),n=e.contents();n.length?n.wrapAll(t):e.append(t)}))},wrap:function(t){var e=v(t);return this.each((function(n){C(this).wrapAll(e?t.call(this,n):t)}))},unwrap:function(t){return this.parent(t).not("body").each((function(){C(this).replaceWith(this.childNodes)})),this}}),C.expr.pseudos.hidden=function(t){return!C.expr.pseudos.visible(t)},C.expr.pseudos.visible=function(t){return!!(t.offsetWidth||t.offsetHeight||t.getClientRects().length)},C.ajaxSettings.xhr=function(){try{return new r.XMLHttpRequest}catch(t){}};var Je={0:200,1223:204},Ke=C.ajaxSettings.xhr();m.cors=!!Ke&&"withCredentials"in Ke,m.ajax=Ke=!!Ke,C.ajaxTransport((function(t){var e,n;if(m.cors||Ke&&!t.crossDomain)return{send:function(i,o){var a,s=t.xhr();if(s.open(t.type,t.url,t.async,t.username,t.password),t.xhrFields)for(a in t.xhrFields)s[a]=t.xhrFields[a];for(a in t.mimeType&&s.overrideMimeType&&s.overrideMimeType(t.mimeType),t.crossDomain||i["X-Requested-With"]||(i["X-Requested-With"]="XMLHttpRequest"),i)s.setRequestHeader(a,i[a]);e=function(t){return function(){e&&(e=n=s.onload=s.onerror=s.onabort=s.ontimeout=s.onreadystatechange=null,"abort"===t?s.abort():"error"===t?"number"!=typeof s.status?o(0,"error"):o(s.status,s.statusText):o(Je[s.status]||s.status,s.statusText,"text"!==(s.responseType||"text")||"string"!=typeof s.responseText?{binary:s.response}:{text:s.responseText},s.getAllResponseHeaders()))}},s.onload=e(),n=s.onerror=s.ontimeout=e("error"),void 0!==s.onabort?s.onabort=n:s.onreadystatechange=function(){4===s.readyState&&r.setTimeout((function(){e&&n()}))},e=e("abort");try{s.send(t.hasContent&&t.data||null)}catch(t){if(e)throw t}},abort:function(){e&&e()}}})),C.ajaxPrefilter((function(t){t.crossDomain&&(t.contents.script=!1)})),C.ajaxSetup({accepts:{script:"text/javascript, application/javascript, application/ecmascript, application/x-ecmascript"},contents:{script:/\b(?:java|ecma)script\b/},converters:{"text script":function(t){return C.globalEval(t),t}}}),C.ajaxPrefilter("script",(function(t){void 0===t.cache&&(t.cache=!1),t.crossDomain&&(t.type="GET")})),C.ajaxTransport("script",(function(t){var e,n;if(t.crossDomain||t.scriptAttrs)return{send:function(r,i){e=C("<script>").attr(t.scriptAttrs||{}).prop({charset:t.scriptCharset,src:t.url}).on("load error",n=function(t){e.remove(),n=null,t&&i("error"===t.type?404:200,t.type)}),b.head.appendChild(e[0])},abort:function(){n&&n()}}}));var tn,en=[],nn=/(=)\?(?=&|$)|\?\?/;C.ajaxSetup({jsonp:"callback",jsonpCallback:function(){var t=en.pop()||C.expando+"_"+De.guid++;return this[t]=!0,t}}),C.ajaxPrefilter("json jsonp",(function(t,e,n){var i,o,a,s=!1!==t.jsonp&&(nn.test(t.url)?"url":"string"==typeof t.data&&0===(t.contentType||"").indexOf("application/x-www-form-urlencoded")&&nn.test(t.data)&&"data");if(s||"jsonp"===t.dataTypes[0])return i=t.jsonpCallback=v(t.jsonpCallback)?t.jsonpCallback():t.jsonpCallback,s?t[s]=t[s].replace(nn,"$1"+i):!1!==t.jsonp&&(t.url+=(Ne.test(t.url)?"&":"?")+t.jsonp+"="+i),t.converters["script json"]=function(){return a||C.error(i+" was not called"),a[0]},t.dataTypes[0]="json",o=r[i],r[i]=function(){a=arguments},n.always((function(){void 0===o?C(r).removeProp(i):r[i]=o,t[i]&&(t.jsonpCallback=e.jsonpCallback,en.push(i)),a&&v(o)&&o(a[0]),a=o=void 0})),"script"})),m.createHTMLDocument=((tn=b.implementation.createHTMLDocument("").body).innerHTML="<form></form><form></form>",2===tn.childNodes.length),C.parseHTML=function(t,e,n){return"string"!=typeof t?[]:("boolean"==typeof e&&(n=e,e=!1),e||(m.createHTMLDocument?((r=(e=b.implementation.createHTMLDocument("")).createElement("base")).href=b.location.href,e.head.appendChild(r)):e=b),o=!n&&[],(i=$.exec(t))?[e.createElement(i[1])]:(i=Mt([t],e,o),o&&o.length&&C(o).remove(),C.merge([],i.childNodes)));var r,i,o},C.fn.load=function(t,e,n){var r,i,o,a=this,s=t.indexOf(" ");return s>-1&&(r=Ce(t.slice(s)),t=t.slice(0,s)),v(e)?(n=e,e=void 0):e&&"object"==typeof e&&(i="POST"),a.length>0&&C.ajax({url:t,type:i||"GET",dataType:"html",data:e}).done((function(t){o=arguments,a.html(r?C("<div>").append(C.parseHTML(t)).find(r):t)})).always(n&&function(t,e){a.each((function(){n.apply(this,o||[t.responseText,e,t])}))}),this},C.expr.pseudos.animated=function(t){return C.grep(C.timers,(function(e){return t===e.elem})).length},C.offset={setOffset:function(t,e,n){var r,i,o,a,s,l,u=C.css(t,"position"),c=C(t),d={};"static"===u&&(t.style.position="relative"),s=c.offset(),o=C.css(t,"top"),l=C.css(t,"left"),("absolute"===u||"fixed"===u)&&(o+l).indexOf("auto")>-1?(a=(r=c.position()).top,i=r.left):(a=parseFloat(o)||0,i=parseFloat(l)||0),v(e)&&(e=e.call(t,n,C.extend({},s))),null!=e.top&&(d.top=e.top-s.top+a),null!=e.left&&(d.left=e.left-s.left+i),"using"in e?e.using.call(t,d):c.css(d)}},C.fn.extend({offset:function(t){if(arguments.length)return void 0===t?this:this.each((function(e){C.offset.setOffset(this,t,e)}));var e,n,r=this[0];return r?r.getClientRects().length?(e=r.getBoundingClientRect(),n=r.ownerDocument.defaultView,{top:e.top+n.pageYOffset,left:e.left+n.pageXOffset}):{top:0,left:0}:void 0},position:function(){if(this[0]){var t,e,n,r=this[0],i={top:0,left:0};if("fixed"===C.css(r,"position"))e=r.getBoundingClientRect();else{for(e=this.offset(),n=r.ownerDocument,t=r.offsetParent||n.documentElement;t&&(t===n.body||t===n.documentElement)&&"static"===C.css(t,"position");)t=t.parentNode;t&&t!==r&&1===t.nodeType&&((i=C(t).offset()).top+=C.css(t,"borderTopWidth",!0),i.left+=C.css(t,"borderLeftWidth",!0))}return{top:e.top-i.top-C.css(r,"marginTop",!0),left:e.left-i.left-C.css(r,"marginLeft",!0)}}},offsetParent:function(){return this.map((function(){for(var t=this.offsetParent;t&&"static"===C.css(t,"position");)t=t.offsetParent;return t||gt}))}}),C.each({scrollLeft:"pageXOffset",scrollTop:"pageYOffset"},(function(t,e){var n="pageYOffset"===e;C.fn[t]=function(r){return tt(this,(function(t,r,i){var o;if(y(t)?o=t:9===t.nodeType&&(o=t.defaultView),void 0===i)return o?o[e]:t[r];o?o.scrollTo(n?o.pageXOffset:i,n?i:o.pageYOffset):t[r]=i}),t,r,arguments.length)}})),C.each(["top","left"],(function(t,e){C.cssHooks[e]=te(m.pixelPosition,(function(t,n){if(n)return n=Kt(t,e),Vt.test(n)?C(t).position()[e]+"px":n}))})),C.each({Height:"height",Width:"width"},(function(t,e){C.each({padding:"inner"+t,content:e,"":"outer"+t},(function(n,r){C.fn[r]=function(i,o){var a=arguments.length&&(n||"boolean"!=typeof i),s=n||(!0===i||!0===o?"margin":"border");return tt(this,(function(e,n,i){var o;return y(e)?0===r.indexOf("outer")?e["inner"+t]:e.document.documentElement["client"+t]:9===e.nodeType?(o=e.documentElement,Math.max(e.body["scroll"+t],o["scroll"+t],e.body["offset"+t],o["offset"+t],o["client"+t])):void 0===i?C.css(e,n,s):C.style(e,n,i,s)}),e,a?i:void 0,a)}}))})),C.each(["ajaxStart","ajaxStop","ajaxComplete","ajaxError","ajaxSuccess","ajaxSend"],(function(t,e){C.fn[e]=function(t){return this.on(e,t)}})),C.fn.extend({bind:function(t,e,n){return this.on(t,null,e,n)},unbind:function(t,e){return this.off(t,null,e)},delegate:function(t,e,n,r){return this.on(e,t,n,r)},undelegate:function(t,e,n){return 1===arguments.length?this.off(t,"**"):this.off(e,t||"**",n)},hover:function(t,e){return this.on("mouseenter",t).on("mouseleave",e||t)}}),C.each("blur focus focusin focusout resize scroll click dblclick mousedown mouseup mousemove mouseover mouseout mouseenter mouseleave change select submit keydown keypress keyup contextmenu".split(" "),(function(t,e){C.fn[e]=function(t,n){return arguments.length>0?this.on(e,null,t,n):this.trigger(e)}}));var rn=/^[\s\uFEFF\xA0]+|([^\s\uFEFF\xA0])[\s\uFEFF\xA0]+$/g;C.proxy=function(t,e){var n,r,i;if("string"==typeof e&&(n=t[e],e=t,t=n),v(t))return r=s.call(arguments,2),i=function(){return t.apply(e||this,r.concat(s.call(arguments)))},i.guid=t.guid=t.guid||C.guid++,i},C.holdReady=function(t){t?C.readyWait++:C.ready(!0)},C.isArray=Array.isArray,C.parseJSON=JSON.parse,C.nodeName=A,C.isFunction=v,C.isWindow=y,C.camelCase=it,C.type=T,C.now=Date.now,C.isNumeric=function(t){var e=C.type(t);return("number"===e||"string"===e)&&!isNaN(t-parseFloat(t))},C.trim=function(t){return null==t?"":(t+"").replace(rn,"$1")},void 0===(n=function(){return C}.apply(e,[]))||(t.exports=n);var on=r.jQuery,an=r.$;return C.noConflict=function(t){return r.$===C&&(r.$=an),t&&r.jQuery===C&&(r.jQuery=on),C},void 0===i&&(r.jQuery=r.$=C),C}))},379:t=>{"use strict";var e=[];function n(t){for(var n=-1,r=0;r<e.length;r++)if(e[r].identifier===t){n=r;break}return n}function r(t,r){for(var o={},a=[],s=0;s<t.length;s++){var l=t[s],u=r.base?l[0]+r.base:l[0],c=o[u]||0,d="".concat(u," ").concat(c);o[u]=c+1;var p=n(d),f={css:l[1],media:l[2],sourceMap:l[3],supports:l[4],layer:l[5]};if(-1!==p)e[p].references++,e[p].updater(f);else{var h=i(f,r);r.byIndex=s,e.splice(s,0,{identifier:d,updater:h,references:1})}a.push(d)}return a}function i(t,e){var n=e.domAPI(e);n.update(t);return function(e){if(e){if(e.css===t.css&&e.media===t.media&&e.sourceMap===t.sourceMap&&e.supports===t.supports&&e.layer===t.layer)return;n.update(t=e)}else n.remove()}}t.exports=function(t,i){var o=r(t=t||[],i=i||{});return function(t){t=t||[];for(var a=0;a<o.length;a++){var s=n(o[a]);e[s].references--}for(var l=r(t,i),u=0;u<o.length;u++){var c=n(o[u]);0===e[c].references&&(e[c].updater(),e.splice(c,1))}o=l}}},569:t=>{"use strict";var e={};t.exports=function(t,n){var r=function(t){if(void 0===e[t]){var n=document.querySelector(t);if(window.HTMLIFrameElement&&n instanceof window.HTMLIFrameElement)try{n=n.contentDocument.head}catch(t){n=null}e[t]=n}return e[t]}(t);if(!r)throw new Error("Couldn't find a style target. This probably means that the value for the 'insert' parameter is invalid.");r.appendChild(n)}},216:t=>{"use strict";t.exports=function(t){var e=document.createElement("style");return t.setAttributes(e,t.attributes),t.insert(e,t.options),e}},565:(t,e,n)=>{"use strict";t.exports=function(t){var e=n.nc;e&&t.setAttribute("nonce",e)}},795:t=>{"use strict";t.exports=function(t){if("undefined"==typeof document)return{update:function(){},remove:function(){}};var e=t.insertStyleElement(t);return{update:function(n){!function(t,e,n){var r="";n.supports&&(r+="@supports (".concat(n.supports,") {")),n.media&&(r+="@media ".concat(n.media," {"));var i=void 0!==n.layer;i&&(r+="@layer".concat(n.layer.length>0?" ".concat(n.layer):""," {")),r+=n.css,i&&(r+="}"),n.media&&(r+="}"),n.supports&&(r+="}");var o=n.sourceMap;o&&"undefined"!=typeof btoa&&(r+="\n/*# sourceMappingURL=data:application/json;base64,".concat(btoa(unescape(encodeURIComponent(JSON.stringify(o))))," */")),e.styleTagTransform(r,t,e.options)}(e,t,n)},remove:function(){!function(t){if(null===t.parentNode)return!1;t.parentNode.removeChild(t)}(e)}}}},589:t=>{"use strict";t.exports=function(t,e){if(e.styleSheet)e.styleSheet.cssText=t;else{for(;e.firstChild;)e.removeChild(e.firstChild);e.appendChild(document.createTextNode(t))}}},722:t=>{t.exports='<svg xmlns="http://www.w3.org/2000/svg" height="24" width="24"><path d="M8.4 17 12 13.4 15.6 17 17 15.6 13.4 12 17 8.4 15.6 7 12 10.6 8.4 7 7 8.4 10.6 12 7 15.6ZM12 22Q9.925 22 8.1 21.212Q6.275 20.425 4.925 19.075Q3.575 17.725 2.788 15.9Q2 14.075 2 12Q2 9.925 2.788 8.1Q3.575 6.275 4.925 4.925Q6.275 3.575 8.1 2.787Q9.925 2 12 2Q14.075 2 15.9 2.787Q17.725 3.575 19.075 4.925Q20.425 6.275 21.212 8.1Q22 9.925 22 12Q22 14.075 21.212 15.9Q20.425 17.725 19.075 19.075Q17.725 20.425 15.9 21.212Q14.075 22 12 22ZM12 12Q12 12 12 12Q12 12 12 12Q12 12 12 12Q12 12 12 12Q12 12 12 12Q12 12 12 12Q12 12 12 12Q12 12 12 12ZM12 20Q15.325 20 17.663 17.663Q20 15.325 20 12Q20 8.675 17.663 6.337Q15.325 4 12 4Q8.675 4 6.338 6.337Q4 8.675 4 12Q4 15.325 6.338 17.663Q8.675 20 12 20Z"></path></svg>'},685:t=>{t.exports='<svg xmlns="http://www.w3.org/2000/svg" height="24" width="24"><path d="M9.55 18 3.85 12.3 5.275 10.875 9.55 15.15 18.725 5.975 20.15 7.4Z"></path></svg>'},205:t=>{t.exports='<svg xmlns="http://www.w3.org/2000/svg" height="24" width="24"><path d="M6.7 18 1.05 12.35 2.475 10.95 6.725 15.2 8.125 16.6ZM12.35 18 6.7 12.35 8.1 10.925 12.35 15.175 21.55 5.975 22.95 7.4ZM12.35 12.35 10.925 10.95 15.875 6 17.3 7.4Z"></path></svg>'}},e={};function n(r){var i=e[r];if(void 0!==i)return i.exports;var o=e[r]={id:r,exports:{}};return t[r].call(o.exports,o,o.exports,n),o.exports}n.n=t=>{var e=t&&t.__esModule?()=>t.default:()=>t;return n.d(e,{a:e}),e},n.d=(t,e)=>{for(var r in e)n.o(e,r)&&!n.o(t,r)&&Object.defineProperty(t,r,{enumerable:!0,get:e[r]})},n.o=(t,e)=>Object.prototype.hasOwnProperty.call(t,e),n.nc=void 0,(()=>{"use strict";var t=n(755),e=n.n(t),r=n(379),i=n.n(r),o=n(795),a=n.n(o),s=n(569),l=n.n(s),u=n(565),c=n.n(u),d=n(216),p=n.n(d),f=n(589),h=n.n(f),g=n(890),m={};m.styleTagTransform=h(),m.setAttributes=c(),m.insert=l().bind(null,"head"),m.domAPI=a(),m.insertStyleElement=p();i()(g.Z,m);g.Z&&g.Z.locals&&g.Z.locals;var v=n(722),y=n.n(v),b=n(685),x=n.n(b),w=n(205),T=n.n(w);const k=JSON.parse('{"en":{"grade":"Please <a href=\\"https://chromewebstore.google.com/detail/free-pocket-option-bot/nmeompgfogpnabkpjdepfedkiajgohni/reviews\\" target=\\"_blank\\">share your experience</a> using Pocket Option Bot ","inputs":[{"name":"min. profit","hint":"The bot will only make trades on pairs with higher profitability"},{"name":"delay","hint":"Minimum delay between transactions on one pair"},{"name":"deals limit","hint":"Maximum number of simultaneous trades"},{"name":"take profit","hint":"The bot will automatically stop trading after receiving the specified profit."},{"name":"show statistics","hint":"Show statistics."},{"name":"use Martingale","hint":"If the forecast is incorrect, the next deal is automatically concluded with the specified odds."}],"strategies":[{"name":"signals","description":"The bot will trade based on platform signals. Specify the signal level on each timeframe. After launching the bot, close and reopen the signals window."},{"name":"cci20","description":"Trading using the CCI20 indicator. After launching the bot, alternately switch through the pairs that need to be analyzed. The robot will automatically enter into transactions."},{"name":"4 candles","description":"The robot will make a deal when 4 candles in a row point in the same direction. The trade goes in the opposite direction. After launching the bot, alternately switch through the pairs that need to be analyzed. The robot will automatically enter into transactions."},{"name":"pinBar","description":"Test description"},{"name":"martingale","description":"martingale description"}]}}'),S={stop:chrome.runtime.getURL("/icon/icon_30.png"),animated:chrome.runtime.getURL("/icon/ani.gif"),signal:[y(),x(),T()]};var C="en",E=e()("html").attr("lang");k.hasOwnProperty(E)&&(C=E);var A={inputs:{min_profit:{min:10,max:92,sim:"%",name:k[C].inputs[0].name,hint:k[C].inputs[0].hint},delay:{min:0,max:900,sim:"sec.",name:k[C].inputs[1].name,hint:k[C].inputs[1].hint},deals_limit:{min:1,max:10,sim:"pcs.",name:k[C].inputs[2].name,hint:k[C].inputs[2].hint},take_profit:{min:1,max:900,sim:"%",name:k[C].inputs[3].name,hint:k[C].inputs[3].hint}},strategies:{signals:{name:k[C].strategies[0].name,description:k[C].strategies[0].description},cci:{name:k[C].strategies[1].name,description:k[C].strategies[1].description},candles:{name:k[C].strategies[2].name,description:k[C].strategies[2].description},pinBar:{name:k[C].strategies[3].name,description:k[C].strategies[3].description},martin:{name:k[C].strategies[4].name,description:k[C].strategies[4].description}},shared:!1,signals:[2,2,1,0,0,0],useMartin:!1,martinSteps:[2,2,2,2,2,2,2,2,2]};e()((function(){window.addEventListener("message",(function(t){if(t.data.belobot){if("robotSettings"==t.data.act){e()("#sub-menu-robot-modal  #min_profit").val(t.data.settings.min_profit),e()("#sub-menu-robot-modal  #delay").val(t.data.settings.delay),e()("#sub-menu-robot-modal  #deals_limit").val(t.data.settings.deals_limit),e()("#sub-menu-robot-modal  #take_profit").val(t.data.settings.take_profit.percent),e()("#sub-menu-robot-modal #use_otc").prop("checked",t.data.settings.use_otc),e()("#sub-menu-robot-modal #useMartin").prop("checked",t.data.settings.useMartin),t.data.settings.use_otc?e()("#sub-menu-robot-modal #use_otc").parent().addClass("is-checked"):e()("#sub-menu-robot-modal #use_otc").parent().removeClass("is-checked"),t.data.settings.started?(e()("#sub-menu-robot-modal #ss_button").html("STOP"),e()("#robot_icon").attr("src",S.animated)):(e()("#sub-menu-robot-modal #ss_button").html("START"),e()("#robot_icon").attr("src",S.stop)),e()("#sub-menu-robot-modal #strategy").val(t.data.settings.strategy);var n=e()("#sub-menu-robot-modal #bb_signals td");t.data.settings.signals.forEach((function(t,r){e()(n[r]).html(S.signal[t])})),A.signals=t.data.settings.signals,"signals"==t.data.settings.strategy?e()("#sub-menu-robot-modal #bb_signals").show():e()("#sub-menu-robot-modal #bb_signals").hide(),t.data.settings.useMartin?(e()("#sub-menu-robot-modal #bb_martinSteps").show(),e()("#sub-menu-robot-modal #useMartin").parent().addClass("is-checked")):(e()("#sub-menu-robot-modal #bb_martinSteps").hide(),e()("#sub-menu-robot-modal #useMartin").parent().removeClass("is-checked"));const r=e()("#sub-menu-robot-modal #bb_martinSteps input");t.data.settings.martinSteps.forEach((function(t,e){r[e].value=t})),A.martinSteps=t.data.settings.martinSteps,chrome.storage.local.set({min_profit:t.data.settings.min_profit,delay:t.data.settings.delay,deals_limit:t.data.settings.deals_limit,take_profit:t.data.settings.take_profit.percent,signals:t.data.settings.signals,use_otc:t.data.settings.use_otc,martinSteps:t.data.settings.martinSteps})}if("newDeal"==t.data.act&&e()(".btn-call:first")[0].click(),t.data.info_text&&e()("#sub-menu-robot-modal .settings-modal__content-text").html(t.data.info_text),t.data.robotDeals){var r={win:t.data.robotDeals.closed.filter((t=>t>0)).length,lost:t.data.robotDeals.closed.filter((t=>t<0)).length,percent:50};r.percent=Math.round(r.win/Math.max(r.win+r.lost,1)*100),r.percent>50&&!A.shared?e()("#po_share_mes").html(k[C].grade):e()("#sub-menu-robot-modal").hasClass("mfp-hide")&&e()("#po_share_mes").html(""),e()("#r_win").text(r.win),e()("#r_lost").text(r.lost),e()("#r_percent").text(r.percent+"%")}}})),e()(".left-sidebar nav ul").first().append(`\n\t<li class="tooltip2" data-bs-toggle="modal">    \n\t\t<a href="#sub-menu-robot-modal" class="mfp-modal">       \n\t\t\t<img id="robot_icon" src="${S.stop}"/>        \n\t\t\t<span class="nlabel">Autotrading</span>           \n\t\t</a>            \n\t\t<div class="tooltip-content position-right tooltip-status-on">            \n\t\t\t<div class="tooltip-text">2bot autotrading</div>        \n\t\t</div>    \n\t</li>`),e()("#demo-balance-modal").after((function(){var t='\n\t\t\t<div id="sub-menu-robot-modal" class="sub-menu-profile-modal sub-menu-modal sub-menu-modal--4-menu-item po-modal zoom-anim-dialog po-modal"> \n\t\t\t\t<p class="title">Pocket Option Bot</p>\n\t\t\t\t<ul class="list-links is-icon color-blue">';for(var e in A.inputs)t+=`\n\t\t\t\t<li>\n\t\t\t\t\t<div class="input-box">\n\t\t\t\t\t\t<div class="input-box_title">\n\t\t\t\t\t\t\t<div>${A.inputs[e].name}</div>\n\t\t\t\t\t\t\t<div class="tooltip2">\n\t\t\t\t\t\t\t\t<i class="fa fa-question-circle-o"></i>\n\t\t\t\t\t\t\t\t<div class="tooltip-content tooltip-status-on position-left">\n\t\t\t\t\t\t\t\t\t<div class="tooltip-text">${A.inputs[e].hint}</div>\n\t\t\t\t\t\t\t\t</div>\n\t\t\t\t\t\t\t</div>\n\t\t\t\t\t\t</div>\n\t\t\t\t\t\t<div class="input-box_control">\n\t\t\t\t\t\t\t<div class="input-box_value">\n\t\t\t\t\t\t\t\t<input type="text" autocomplete="off" value="" id="${e}">\n\t\t\t\t\t\t\t</div>\n\t\t\t\t\t\t\t<div class="input-box_buttons">\n\t\t\t\t\t\t\t\t${A.inputs[e].sim}\n\t\t\t\t\t\t\t</div>\n\t\t\t\t\t\t</div>\n\t\t\t\t\t</div>\n\t\t\t\t</li>\t\n\t\t\t`;t+=`\n\t\t\t\t</ul>\n\t\t\t\t\n\t\t\t\t<label class="mdl-switch mdl-js-switch is-upgraded">\n\t\t\t\t\t<input type="checkbox" class="mdl-switch__input" id="use_otc">                    \n\t\t\t\t\t<span class="mdl-switch__label">\n\t\t\t\t\t\tuse OTC                         \n\t\t\t\t\t</span>\n\t\t\t\t</label>\n\t\t\t\t\n\t\t\t\t<label class="mdl-switch mdl-js-switch is-upgraded">\n\t\t\t\t\t<input type="checkbox" class="mdl-switch__input" id="show_stat">                    \n\t\t\t\t\t<span class="mdl-switch__label">\n\t\t\t\t\t\t${k[C].inputs[4].name}                         \n\t\t\t\t\t</span>\n\t\t\t\t</label>\n\n\t\t\t\t<label class="mdl-switch mdl-js-switch is-upgraded">\n\t\t\t\t\t<input type="checkbox" class="mdl-switch__input" id="useMartin">                    \n\t\t\t\t\t<span class="mdl-switch__label">\n\t\t\t\t\t\t${k[C].inputs[5].name}                         \n\t\t\t\t\t</span>\n\t\t\t\t</label>`,t+='\t<div id="bb_martinSteps" class="bb_pt">\n\t\t\t\t\t\t<table>\n\t\t\t\t\t\t\t<tr>';for(var n=0;n<A.martinSteps.length;n++)t+=`<td>       \n\t\t\t\t\t\t<input \n\t\t\t\t\t\t\ttype="number" \n\t\t\t\t\t\t\tstep="0.1" \n\t\t\t\t\t\t\tclass="fraction-input" \n\t\t\t\t\t\t\tvalue="${A.martinSteps[n]}">\n\t\t\t\t\t</td>`;for(var e in t+="\t\t\t\t</tr>\n\t\t\t\t\t\t</table>\n\t\t\t\t\t</div>",t+='\t\t<div class="po-container">\n\t\t\t\t\t<div class="sub-text" style="padding-right:10px">\n\t\t\t\t\t\tstrategy\n\t\t\t\t\t</div>\n\t\t\t\t\t<div class="dropdown bootstrap-select form-control bs3 dropup">\n\t\t\t\t\t\t<select id="strategy" data-size="7" class="form-control selectpicker" tabindex="null">',A.strategies)t+=`<option value="${e}">${A.strategies[e].name}</option>`;return t+='\t\n\t\t\t\t\t\t</select>\n\t\t\t\t\t</div>\t\t\t\t\n\t\t\t\t</div>\t\t\t\n\t\t\t\t\n\t\t\t\t<div class="settings-modal__content-text">\n\t\t\t\t\tThe settings are loading. Please wait.<br/>If this message persists, please let us know.       \n\t\t\t\t</div>\n\t\t\t\t\n\t\t\t\t<div id="bb_signals">\n\t\t\t\t\t<table>\n\t\t\t\t\t\t<tr>\n\t\t\t\t\t\t\t<th>1 min.</th><th>2 min.</th><th>3 min.</th><th>5 min.</th><th>10 min.</th><th>15 min.</th>\n\t\t\t\t\t\t</tr>\n\t\t\t\t\t\t<tr>\n\t\t\t\t\t\t\t<td></td><td></td><td></td><td></td><td></td><td></td>\n\t\t\t\t\t\t</tr>\n\t\t\t\t\t</table>\n\t\t\t\t</div>\n\n\n\t\t\t\t<div class="po-ss_button">\n\t\t\t\t\n\t\t\t\t\t<div class="po-ss_share" id="po_share_mes">\n\n\t\t\t\t\t</div>\n\t\t\t\t\t\n\t\t\t\t\t<div>\n\t\t\t\t\t\t<a href="#" class="btn btn-green" id="ss_button">\n\t\t\t\t\t\t\tSTART\n\t\t\t\t\t\t</a>\n\t\t\t\t\t</div>\n\t\t\t\t\t\n\t\t\t\t</div>\t\t\t\t\t\n\n\t\t\t</div>\t\t\n\t\t'})),e()("body").append('\n\t\t<div id="ss_overlay">\n\t\t\t<div class="ss_win">WIN: </div>\n\t\t\t<div class="ss_win" id="r_win">0</div>\n\t\t\t<br/>\n\t\t\t<div class="ss_lost">LOST: </div>\n\t\t\t<div class="ss_lost" id="r_lost">0</div>\n\t\t\t<br/>\n\t\t\t<div id="r_percent">50%</div>\n\t\t</div>\n\t\t'),e()("#sub-menu-robot-modal input:not(#bb_martinSteps input)").change((function(){let t={};if("use_otc"!=this.id&&"show_stat"!=this.id&&"useMartin"!=this.id&&""!=this.id){var n=Number(e()(this).val());n>A.inputs[this.id].max&&(n=A.inputs[this.id].max),n<A.inputs[this.id].min&&(n=A.inputs[this.id].min),t[this.id]=n}else t[this.id]=e()(this).prop("checked");"show_stat"==this.id?e()(this).prop("checked")?e()("#ss_overlay").show():e()("#ss_overlay").hide():(window.postMessage({belobot:!0,act:"setState",settings:t},window.location.href),window.postMessage({belobot:!0,act:"readState"},window.location.href))})),e()("#sub-menu-robot-modal #strategy").change((function(){var t=e()(this).val();"martin"===t&&(A.useMartin||(A.useMartin=!0),window.postMessage({belobot:!0,act:"setState",settings:{useMartin:A.useMartin}},window.location.href)),window.postMessage({belobot:!0,act:"setState",settings:{strategy:t}},window.location.href),window.postMessage({belobot:!0,act:"readState"},window.location.href)})),e()("#sub-menu-robot-modal #bb_signals").on("click","th, td",(function(){var t=e()(this).index();A.signals[t]<2?A.signals[t]++:A.signals[t]=0,window.postMessage({belobot:!0,act:"setState",settings:{signals:A.signals}},window.location.href),window.postMessage({belobot:!0,act:"readState"},window.location.href)})),e()("#sub-menu-robot-modal #bb_martinSteps").on("input","input",(function(){var t=e()("#sub-menu-robot-modal #bb_martinSteps input").index(this);A.martinSteps[t]=this.valueAsNumber,window.postMessage({belobot:!0,act:"setState",settings:{martinSteps:A.martinSteps}},window.location.href),window.postMessage({belobot:!0,act:"readState"},window.location.href)})),e()("#sub-menu-robot-modal #ss_button").click((function(){window.postMessage({belobot:!0,act:"start_stop"},window.location.href),window.postMessage({belobot:!0,act:"readState"},window.location.href)})),chrome.storage.local.get(["min_profit","delay","deals_limit","take_profit","signals","use_otc","shared","martinSteps"],(function(t){t.shared&&(A.shared=!0),Object.keys(t).length>0&&window.postMessage({belobot:!0,act:"setState",settings:t},window.location.href),window.postMessage({belobot:!0,act:"readState"},window.location.href)}))}))})()})();
\ No newline at end of file
+"use strict";(()=>{var X=(i,a)=>()=>(a||i((a={exports:{}}).exports,a),a.exports);var $n=X((Bi,Ft)=>{(function(i,a){"use strict";typeof Ft=="object"&&typeof Ft.exports=="object"?Ft.exports=i.document?a(i,!0):function(u){if(!u.document)throw new Error("jQuery requires a window with a document");return a(u)}:a(i)})(typeof window<"u"?window:Bi,function(i,a){"use strict";var u=[],d=Object.getPrototypeOf,h=u.slice,T=u.flat?function(e){return u.flat.call(e)}:function(e){return u.concat.apply([],e)},N=u.push,j=u.indexOf,ne={},ze=ne.toString,Me=ne.hasOwnProperty,Le=Me.toString,on=Le.call(Object),R={},H=function(t){return typeof t=="function"&&typeof t.nodeType!="number"&&typeof t.item!="function"},Je=function(t){return t!=null&&t===t.window},L=i.document,xo={type:!0,src:!0,nonce:!0,noModule:!0};function ei(e,t,n){n=n||L;var r,s,l=n.createElement("script");if(l.text=e,t)for(r in xo)s=t[r]||t.getAttribute&&t.getAttribute(r),s&&l.setAttribute(r,s);n.head.appendChild(l).parentNode.removeChild(l)}function Ze(e){return e==null?e+"":typeof e=="object"||typeof e=="function"?ne[ze.call(e)]||"object":typeof e}var ti="3.7.1",wo=/HTML$/i,o=function(e,t){return new o.fn.init(e,t)};o.fn=o.prototype={jquery:ti,constructor:o,length:0,toArray:function(){return h.call(this)},get:function(e){return e==null?h.call(this):e<0?this[e+this.length]:this[e]},pushStack:function(e){var t=o.merge(this.constructor(),e);return t.prevObject=this,t},each:function(e){return o.each(this,e)},map:function(e){return this.pushStack(o.map(this,function(t,n){return e.call(t,n,t)}))},slice:function(){return this.pushStack(h.apply(this,arguments))},first:function(){return this.eq(0)},last:function(){return this.eq(-1)},even:function(){return this.pushStack(o.grep(this,function(e,t){return(t+1)%2}))},odd:function(){return this.pushStack(o.grep(this,function(e,t){return t%2}))},eq:function(e){var t=this.length,n=+e+(e<0?t:0);return this.pushStack(n>=0&&n<t?[this[n]]:[])},end:function(){return this.prevObject||this.constructor()},push:N,sort:u.sort,splice:u.splice},o.extend=o.fn.extend=function(){var e,t,n,r,s,l,c=arguments[0]||{},m=1,p=arguments.length,b=!1;for(typeof c=="boolean"&&(b=c,c=arguments[m]||{},m++),typeof c!="object"&&!H(c)&&(c={}),m===p&&(c=this,m--);m<p;m++)if((e=arguments[m])!=null)for(t in e)r=e[t],!(t==="__proto__"||c===r)&&(b&&r&&(o.isPlainObject(r)||(s=Array.isArray(r)))?(n=c[t],s&&!Array.isArray(n)?l=[]:!s&&!o.isPlainObject(n)?l={}:l=n,s=!1,c[t]=o.extend(b,l,r)):r!==void 0&&(c[t]=r));return c},o.extend({expando:"jQuery"+(ti+Math.random()).replace(/\D/g,""),isReady:!0,error:function(e){throw new Error(e)},noop:function(){},isPlainObject:function(e){var t,n;return!e||ze.call(e)!=="[object Object]"?!1:(t=d(e),t?(n=Me.call(t,"constructor")&&t.constructor,typeof n=="function"&&Le.call(n)===on):!0)},isEmptyObject:function(e){var t;for(t in e)return!1;return!0},globalEval:function(e,t,n){ei(e,{nonce:t&&t.nonce},n)},each:function(e,t){var n,r=0;if(an(e))for(n=e.length;r<n&&t.call(e[r],r,e[r])!==!1;r++);else for(r in e)if(t.call(e[r],r,e[r])===!1)break;return e},text:function(e){var t,n="",r=0,s=e.nodeType;if(!s)for(;t=e[r++];)n+=o.text(t);return s===1||s===11?e.textContent:s===9?e.documentElement.textContent:s===3||s===4?e.nodeValue:n},makeArray:function(e,t){var n=t||[];return e!=null&&(an(Object(e))?o.merge(n,typeof e=="string"?[e]:e):N.call(n,e)),n},inArray:function(e,t,n){return t==null?-1:j.call(t,e,n)},isXMLDoc:function(e){var t=e&&e.namespaceURI,n=e&&(e.ownerDocument||e).documentElement;return!wo.test(t||n&&n.nodeName||"HTML")},merge:function(e,t){for(var n=+t.length,r=0,s=e.length;r<n;r++)e[s++]=t[r];return e.length=s,e},grep:function(e,t,n){for(var r,s=[],l=0,c=e.length,m=!n;l<c;l++)r=!t(e[l],l),r!==m&&s.push(e[l]);return s},map:function(e,t,n){var r,s,l=0,c=[];if(an(e))for(r=e.length;l<r;l++)s=t(e[l],l,n),s!=null&&c.push(s);else for(l in e)s=t(e[l],l,n),s!=null&&c.push(s);return T(c)},guid:1,support:R}),typeof Symbol=="function"&&(o.fn[Symbol.iterator]=u[Symbol.iterator]),o.each("Boolean Number String Function Array Date RegExp Object Error Symbol".split(" "),function(e,t){ne["[object "+t+"]"]=t.toLowerCase()});function an(e){var t=!!e&&"length"in e&&e.length,n=Ze(e);return H(e)||Je(e)?!1:n==="array"||t===0||typeof t=="number"&&t>0&&t-1 in e}function J(e,t){return e.nodeName&&e.nodeName.toLowerCase()===t.toLowerCase()}var _o=u.pop,ko=u.sort,To=u.splice,Y="[\\x20\\t\\r\\n\\f]",ht=new RegExp("^"+Y+"+|((?:^|[^\\\\])(?:\\\\.)*)"+Y+"+$","g");o.contains=function(e,t){var n=t&&t.parentNode;return e===n||!!(n&&n.nodeType===1&&(e.contains?e.contains(n):e.compareDocumentPosition&&e.compareDocumentPosition(n)&16))};var Eo=/([\0-\x1f\x7f]|^-?\d)|^-$|[^\x80-\uFFFF\w-]/g;function So(e,t){return t?e==="\0"?"\uFFFD":e.slice(0,-1)+"\\"+e.charCodeAt(e.length-1).toString(16)+" ":"\\"+e}o.escapeSelector=function(e){return(e+"").replace(Eo,So)};var De=L,sn=N;(function(){var e,t,n,r,s,l=sn,c,m,p,b,w,k=o.expando,y=0,S=0,I=Pt(),Q=Pt(),F=Pt(),oe=Pt(),ie=function(f,g){return f===g&&(s=!0),0},ke="checked|selected|async|autofocus|autoplay|controls|defer|disabled|hidden|ismap|loop|multiple|open|readonly|required|scoped",Te="(?:\\\\[\\da-fA-F]{1,6}"+Y+"?|\\\\[^\\r\\n\\f]|[\\w-]|[^\0-\\x7f])+",U="\\["+Y+"*("+Te+")(?:"+Y+"*([*^$|!~]?=)"+Y+`*(?:'((?:\\\\.|[^\\\\'])*)'|"((?:\\\\.|[^\\\\"])*)"|(`+Te+"))|)"+Y+"*\\]",Ke=":("+Te+`)(?:\\((('((?:\\\\.|[^\\\\'])*)'|"((?:\\\\.|[^\\\\"])*)")|((?:\\\\.|[^\\\\()[\\]]|`+U+")*)|.*)\\)|)",K=new RegExp(Y+"+","g"),te=new RegExp("^"+Y+"*,"+Y+"*"),kt=new RegExp("^"+Y+"*([>+~]|"+Y+")"+Y+"*"),Tn=new RegExp(Y+"|>"),Ee=new RegExp(Ke),Tt=new RegExp("^"+Te+"$"),Se={ID:new RegExp("^#("+Te+")"),CLASS:new RegExp("^\\.("+Te+")"),TAG:new RegExp("^("+Te+"|[*])"),ATTR:new RegExp("^"+U),PSEUDO:new RegExp("^"+Ke),CHILD:new RegExp("^:(only|first|last|nth|nth-last)-(child|of-type)(?:\\("+Y+"*(even|odd|(([+-]|)(\\d*)n|)"+Y+"*(?:([+-]|)"+Y+"*(\\d+)|))"+Y+"*\\)|)","i"),bool:new RegExp("^(?:"+ke+")$","i"),needsContext:new RegExp("^"+Y+"*[>+~]|:(even|odd|eq|gt|lt|nth|first|last)(?:\\("+Y+"*((?:-\\d)?\\d*)"+Y+"*\\)|)(?=[^-]|$)","i")},Re=/^(?:input|select|textarea|button)$/i,He=/^h\d$/i,he=/^(?:#([\w-]+)|(\w+)|\.([\w-]+))$/,En=/[+~]/,Oe=new RegExp("\\\\[\\da-fA-F]{1,6}"+Y+"?|\\\\([^\\r\\n\\f])","g"),Ne=function(f,g){var v="0x"+f.slice(1)-65536;return g||(v<0?String.fromCharCode(v+65536):String.fromCharCode(v>>10|55296,v&1023|56320))},wa=function(){Fe()},_a=Rt(function(f){return f.disabled===!0&&J(f,"fieldset")},{dir:"parentNode",next:"legend"});function ka(){try{return c.activeElement}catch{}}try{l.apply(u=h.call(De.childNodes),De.childNodes),u[De.childNodes.length].nodeType}catch{l={apply:function(g,v){sn.apply(g,h.call(v))},call:function(g){sn.apply(g,h.call(arguments,1))}}}function V(f,g,v,x){var _,C,A,D,M,z,q,P=g&&g.ownerDocument,W=g?g.nodeType:9;if(v=v||[],typeof f!="string"||!f||W!==1&&W!==9&&W!==11)return v;if(!x&&(Fe(g),g=g||c,p)){if(W!==11&&(M=he.exec(f)))if(_=M[1]){if(W===9)if(A=g.getElementById(_)){if(A.id===_)return l.call(v,A),v}else return v;else if(P&&(A=P.getElementById(_))&&V.contains(g,A)&&A.id===_)return l.call(v,A),v}else{if(M[2])return l.apply(v,g.getElementsByTagName(f)),v;if((_=M[3])&&g.getElementsByClassName)return l.apply(v,g.getElementsByClassName(_)),v}if(!oe[f+" "]&&(!b||!b.test(f))){if(q=f,P=g,W===1&&(Tn.test(f)||kt.test(f))){for(P=En.test(f)&&Sn(g.parentNode)||g,(P!=g||!R.scope)&&((D=g.getAttribute("id"))?D=o.escapeSelector(D):g.setAttribute("id",D=k)),z=Et(f),C=z.length;C--;)z[C]=(D?"#"+D:":scope")+" "+Lt(z[C]);q=z.join(",")}try{return l.apply(v,P.querySelectorAll(q)),v}catch{oe(f,!0)}finally{D===k&&g.removeAttribute("id")}}}return Fi(f.replace(ht,"$1"),g,v,x)}function Pt(){var f=[];function g(v,x){return f.push(v+" ")>t.cacheLength&&delete g[f.shift()],g[v+" "]=x}return g}function ve(f){return f[k]=!0,f}function lt(f){var g=c.createElement("fieldset");try{return!!f(g)}catch{return!1}finally{g.parentNode&&g.parentNode.removeChild(g),g=null}}function Ta(f){return function(g){return J(g,"input")&&g.type===f}}function Ea(f){return function(g){return(J(g,"input")||J(g,"button"))&&g.type===f}}function Ri(f){return function(g){return"form"in g?g.parentNode&&g.disabled===!1?"label"in g?"label"in g.parentNode?g.parentNode.disabled===f:g.disabled===f:g.isDisabled===f||g.isDisabled!==!f&&_a(g)===f:g.disabled===f:"label"in g?g.disabled===f:!1}}function Ve(f){return ve(function(g){return g=+g,ve(function(v,x){for(var _,C=f([],v.length,g),A=C.length;A--;)v[_=C[A]]&&(v[_]=!(x[_]=v[_]))})})}function Sn(f){return f&&typeof f.getElementsByTagName<"u"&&f}function Fe(f){var g,v=f?f.ownerDocument||f:De;return v==c||v.nodeType!==9||!v.documentElement||(c=v,m=c.documentElement,p=!o.isXMLDoc(c),w=m.matches||m.webkitMatchesSelector||m.msMatchesSelector,m.msMatchesSelector&&De!=c&&(g=c.defaultView)&&g.top!==g&&g.addEventListener("unload",wa),R.getById=lt(function(x){return m.appendChild(x).id=o.expando,!c.getElementsByName||!c.getElementsByName(o.expando).length}),R.disconnectedMatch=lt(function(x){return w.call(x,"*")}),R.scope=lt(function(){return c.querySelectorAll(":scope")}),R.cssHas=lt(function(){try{return c.querySelector(":has(*,:jqfake)"),!1}catch{return!0}}),R.getById?(t.filter.ID=function(x){var _=x.replace(Oe,Ne);return function(C){return C.getAttribute("id")===_}},t.find.ID=function(x,_){if(typeof _.getElementById<"u"&&p){var C=_.getElementById(x);return C?[C]:[]}}):(t.filter.ID=function(x){var _=x.replace(Oe,Ne);return function(C){var A=typeof C.getAttributeNode<"u"&&C.getAttributeNode("id");return A&&A.value===_}},t.find.ID=function(x,_){if(typeof _.getElementById<"u"&&p){var C,A,D,M=_.getElementById(x);if(M){if(C=M.getAttributeNode("id"),C&&C.value===x)return[M];for(D=_.getElementsByName(x),A=0;M=D[A++];)if(C=M.getAttributeNode("id"),C&&C.value===x)return[M]}return[]}}),t.find.TAG=function(x,_){return typeof _.getElementsByTagName<"u"?_.getElementsByTagName(x):_.querySelectorAll(x)},t.find.CLASS=function(x,_){if(typeof _.getElementsByClassName<"u"&&p)return _.getElementsByClassName(x)},b=[],lt(function(x){var _;m.appendChild(x).innerHTML="<a id='"+k+"' href='' disabled='disabled'></a><select id='"+k+"-\r\\' disabled='disabled'><option selected=''></option></select>",x.querySelectorAll("[selected]").length||b.push("\\["+Y+"*(?:value|"+ke+")"),x.querySelectorAll("[id~="+k+"-]").length||b.push("~="),x.querySelectorAll("a#"+k+"+*").length||b.push(".#.+[+~]"),x.querySelectorAll(":checked").length||b.push(":checked"),_=c.createElement("input"),_.setAttribute("type","hidden"),x.appendChild(_).setAttribute("name","D"),m.appendChild(x).disabled=!0,x.querySelectorAll(":disabled").length!==2&&b.push(":enabled",":disabled"),_=c.createElement("input"),_.setAttribute("name",""),x.appendChild(_),x.querySelectorAll("[name='']").length||b.push("\\["+Y+"*name"+Y+"*="+Y+`*(?:''|"")`)}),R.cssHas||b.push(":has"),b=b.length&&new RegExp(b.join("|")),ie=function(x,_){if(x===_)return s=!0,0;var C=!x.compareDocumentPosition-!_.compareDocumentPosition;return C||(C=(x.ownerDocument||x)==(_.ownerDocument||_)?x.compareDocumentPosition(_):1,C&1||!R.sortDetached&&_.compareDocumentPosition(x)===C?x===c||x.ownerDocument==De&&V.contains(De,x)?-1:_===c||_.ownerDocument==De&&V.contains(De,_)?1:r?j.call(r,x)-j.call(r,_):0:C&4?-1:1)}),c}V.matches=function(f,g){return V(f,null,null,g)},V.matchesSelector=function(f,g){if(Fe(f),p&&!oe[g+" "]&&(!b||!b.test(g)))try{var v=w.call(f,g);if(v||R.disconnectedMatch||f.document&&f.document.nodeType!==11)return v}catch{oe(g,!0)}return V(g,c,null,[f]).length>0},V.contains=function(f,g){return(f.ownerDocument||f)!=c&&Fe(f),o.contains(f,g)},V.attr=function(f,g){(f.ownerDocument||f)!=c&&Fe(f);var v=t.attrHandle[g.toLowerCase()],x=v&&Me.call(t.attrHandle,g.toLowerCase())?v(f,g,!p):void 0;return x!==void 0?x:f.getAttribute(g)},V.error=function(f){throw new Error("Syntax error, unrecognized expression: "+f)},o.uniqueSort=function(f){var g,v=[],x=0,_=0;if(s=!R.sortStable,r=!R.sortStable&&h.call(f,0),ko.call(f,ie),s){for(;g=f[_++];)g===f[_]&&(x=v.push(_));for(;x--;)To.call(f,v[x],1)}return r=null,f},o.fn.uniqueSort=function(){return this.pushStack(o.uniqueSort(h.apply(this)))},t=o.expr={cacheLength:50,createPseudo:ve,match:Se,attrHandle:{},find:{},relative:{">":{dir:"parentNode",first:!0}," ":{dir:"parentNode"},"+":{dir:"previousSibling",first:!0},"~":{dir:"previousSibling"}},preFilter:{ATTR:function(f){return f[1]=f[1].replace(Oe,Ne),f[3]=(f[3]||f[4]||f[5]||"").replace(Oe,Ne),f[2]==="~="&&(f[3]=" "+f[3]+" "),f.slice(0,4)},CHILD:function(f){return f[1]=f[1].toLowerCase(),f[1].slice(0,3)==="nth"?(f[3]||V.error(f[0]),f[4]=+(f[4]?f[5]+(f[6]||1):2*(f[3]==="even"||f[3]==="odd")),f[5]=+(f[7]+f[8]||f[3]==="odd")):f[3]&&V.error(f[0]),f},PSEUDO:function(f){var g,v=!f[6]&&f[2];return Se.CHILD.test(f[0])?null:(f[3]?f[2]=f[4]||f[5]||"":v&&Ee.test(v)&&(g=Et(v,!0))&&(g=v.indexOf(")",v.length-g)-v.length)&&(f[0]=f[0].slice(0,g),f[2]=v.slice(0,g)),f.slice(0,3))}},filter:{TAG:function(f){var g=f.replace(Oe,Ne).toLowerCase();return f==="*"?function(){return!0}:function(v){return J(v,g)}},CLASS:function(f){var g=I[f+" "];return g||(g=new RegExp("(^|"+Y+")"+f+"("+Y+"|$)"))&&I(f,function(v){return g.test(typeof v.className=="string"&&v.className||typeof v.getAttribute<"u"&&v.getAttribute("class")||"")})},ATTR:function(f,g,v){return function(x){var _=V.attr(x,f);return _==null?g==="!=":g?(_+="",g==="="?_===v:g==="!="?_!==v:g==="^="?v&&_.indexOf(v)===0:g==="*="?v&&_.indexOf(v)>-1:g==="$="?v&&_.slice(-v.length)===v:g==="~="?(" "+_.replace(K," ")+" ").indexOf(v)>-1:g==="|="?_===v||_.slice(0,v.length+1)===v+"-":!1):!0}},CHILD:function(f,g,v,x,_){var C=f.slice(0,3)!=="nth",A=f.slice(-4)!=="last",D=g==="of-type";return x===1&&_===0?function(M){return!!M.parentNode}:function(M,z,q){var P,W,O,G,fe,ae=C!==A?"nextSibling":"previousSibling",me=M.parentNode,Ce=D&&M.nodeName.toLowerCase(),ut=!q&&!D,se=!1;if(me){if(C){for(;ae;){for(O=M;O=O[ae];)if(D?J(O,Ce):O.nodeType===1)return!1;fe=ae=f==="only"&&!fe&&"nextSibling"}return!0}if(fe=[A?me.firstChild:me.lastChild],A&&ut){for(W=me[k]||(me[k]={}),P=W[f]||[],G=P[0]===y&&P[1],se=G&&P[2],O=G&&me.childNodes[G];O=++G&&O&&O[ae]||(se=G=0)||fe.pop();)if(O.nodeType===1&&++se&&O===M){W[f]=[y,G,se];break}}else if(ut&&(W=M[k]||(M[k]={}),P=W[f]||[],G=P[0]===y&&P[1],se=G),se===!1)for(;(O=++G&&O&&O[ae]||(se=G=0)||fe.pop())&&!((D?J(O,Ce):O.nodeType===1)&&++se&&(ut&&(W=O[k]||(O[k]={}),W[f]=[y,se]),O===M)););return se-=_,se===x||se%x===0&&se/x>=0}}},PSEUDO:function(f,g){var v,x=t.pseudos[f]||t.setFilters[f.toLowerCase()]||V.error("unsupported pseudo: "+f);return x[k]?x(g):x.length>1?(v=[f,f,"",g],t.setFilters.hasOwnProperty(f.toLowerCase())?ve(function(_,C){for(var A,D=x(_,g),M=D.length;M--;)A=j.call(_,D[M]),_[A]=!(C[A]=D[M])}):function(_){return x(_,0,v)}):x}},pseudos:{not:ve(function(f){var g=[],v=[],x=Dn(f.replace(ht,"$1"));return x[k]?ve(function(_,C,A,D){for(var M,z=x(_,null,D,[]),q=_.length;q--;)(M=z[q])&&(_[q]=!(C[q]=M))}):function(_,C,A){return g[0]=_,x(g,null,A,v),g[0]=null,!v.pop()}}),has:ve(function(f){return function(g){return V(f,g).length>0}}),contains:ve(function(f){return f=f.replace(Oe,Ne),function(g){return(g.textContent||o.text(g)).indexOf(f)>-1}}),lang:ve(function(f){return Tt.test(f||"")||V.error("unsupported lang: "+f),f=f.replace(Oe,Ne).toLowerCase(),function(g){var v;do if(v=p?g.lang:g.getAttribute("xml:lang")||g.getAttribute("lang"))return v=v.toLowerCase(),v===f||v.indexOf(f+"-")===0;while((g=g.parentNode)&&g.nodeType===1);return!1}}),target:function(f){var g=i.location&&i.location.hash;return g&&g.slice(1)===f.id},root:function(f){return f===m},focus:function(f){return f===ka()&&c.hasFocus()&&!!(f.type||f.href||~f.tabIndex)},enabled:Ri(!1),disabled:Ri(!0),checked:function(f){return J(f,"input")&&!!f.checked||J(f,"option")&&!!f.selected},selected:function(f){return f.parentNode&&f.parentNode.selectedIndex,f.selected===!0},empty:function(f){for(f=f.firstChild;f;f=f.nextSibling)if(f.nodeType<6)return!1;return!0},parent:function(f){return!t.pseudos.empty(f)},header:function(f){return He.test(f.nodeName)},input:function(f){return Re.test(f.nodeName)},button:function(f){return J(f,"input")&&f.type==="button"||J(f,"button")},text:function(f){var g;return J(f,"input")&&f.type==="text"&&((g=f.getAttribute("type"))==null||g.toLowerCase()==="text")},first:Ve(function(){return[0]}),last:Ve(function(f,g){return[g-1]}),eq:Ve(function(f,g,v){return[v<0?v+g:v]}),even:Ve(function(f,g){for(var v=0;v<g;v+=2)f.push(v);return f}),odd:Ve(function(f,g){for(var v=1;v<g;v+=2)f.push(v);return f}),lt:Ve(function(f,g,v){var x;for(v<0?x=v+g:v>g?x=g:x=v;--x>=0;)f.push(x);return f}),gt:Ve(function(f,g,v){for(var x=v<0?v+g:v;++x<g;)f.push(x);return f})}},t.pseudos.nth=t.pseudos.eq;for(e in{radio:!0,checkbox:!0,file:!0,password:!0,image:!0})t.pseudos[e]=Ta(e);for(e in{submit:!0,reset:!0})t.pseudos[e]=Ea(e);function Hi(){}Hi.prototype=t.filters=t.pseudos,t.setFilters=new Hi;function Et(f,g){var v,x,_,C,A,D,M,z=Q[f+" "];if(z)return g?0:z.slice(0);for(A=f,D=[],M=t.preFilter;A;){(!v||(x=te.exec(A)))&&(x&&(A=A.slice(x[0].length)||A),D.push(_=[])),v=!1,(x=kt.exec(A))&&(v=x.shift(),_.push({value:v,type:x[0].replace(ht," ")}),A=A.slice(v.length));for(C in t.filter)(x=Se[C].exec(A))&&(!M[C]||(x=M[C](x)))&&(v=x.shift(),_.push({value:v,type:C,matches:x}),A=A.slice(v.length));if(!v)break}return g?A.length:A?V.error(f):Q(f,D).slice(0)}function Lt(f){for(var g=0,v=f.length,x="";g<v;g++)x+=f[g].value;return x}function Rt(f,g,v){var x=g.dir,_=g.next,C=_||x,A=v&&C==="parentNode",D=S++;return g.first?function(M,z,q){for(;M=M[x];)if(M.nodeType===1||A)return f(M,z,q);return!1}:function(M,z,q){var P,W,O=[y,D];if(q){for(;M=M[x];)if((M.nodeType===1||A)&&f(M,z,q))return!0}else for(;M=M[x];)if(M.nodeType===1||A)if(W=M[k]||(M[k]={}),_&&J(M,_))M=M[x]||M;else{if((P=W[C])&&P[0]===y&&P[1]===D)return O[2]=P[2];if(W[C]=O,O[2]=f(M,z,q))return!0}return!1}}function Cn(f){return f.length>1?function(g,v,x){for(var _=f.length;_--;)if(!f[_](g,v,x))return!1;return!0}:f[0]}function Sa(f,g,v){for(var x=0,_=g.length;x<_;x++)V(f,g[x],v);return v}function Ht(f,g,v,x,_){for(var C,A=[],D=0,M=f.length,z=g!=null;D<M;D++)(C=f[D])&&(!v||v(C,x,_))&&(A.push(C),z&&g.push(D));return A}function An(f,g,v,x,_,C){return x&&!x[k]&&(x=An(x)),_&&!_[k]&&(_=An(_,C)),ve(function(A,D,M,z){var q,P,W,O,G=[],fe=[],ae=D.length,me=A||Sa(g||"*",M.nodeType?[M]:M,[]),Ce=f&&(A||!g)?Ht(me,G,f,M,z):me;if(v?(O=_||(A?f:ae||x)?[]:D,v(Ce,O,M,z)):O=Ce,x)for(q=Ht(O,fe),x(q,[],M,z),P=q.length;P--;)(W=q[P])&&(O[fe[P]]=!(Ce[fe[P]]=W));if(A){if(_||f){if(_){for(q=[],P=O.length;P--;)(W=O[P])&&q.push(Ce[P]=W);_(null,O=[],q,z)}for(P=O.length;P--;)(W=O[P])&&(q=_?j.call(A,W):G[P])>-1&&(A[q]=!(D[q]=W))}}else O=Ht(O===D?O.splice(ae,O.length):O),_?_(null,D,O,z):l.apply(D,O)})}function Mn(f){for(var g,v,x,_=f.length,C=t.relative[f[0].type],A=C||t.relative[" "],D=C?1:0,M=Rt(function(P){return P===g},A,!0),z=Rt(function(P){return j.call(g,P)>-1},A,!0),q=[function(P,W,O){var G=!C&&(O||W!=n)||((g=W).nodeType?M(P,W,O):z(P,W,O));return g=null,G}];D<_;D++)if(v=t.relative[f[D].type])q=[Rt(Cn(q),v)];else{if(v=t.filter[f[D].type].apply(null,f[D].matches),v[k]){for(x=++D;x<_&&!t.relative[f[x].type];x++);return An(D>1&&Cn(q),D>1&&Lt(f.slice(0,D-1).concat({value:f[D-2].type===" "?"*":""})).replace(ht,"$1"),v,D<x&&Mn(f.slice(D,x)),x<_&&Mn(f=f.slice(x)),x<_&&Lt(f))}q.push(v)}return Cn(q)}function Ca(f,g){var v=g.length>0,x=f.length>0,_=function(C,A,D,M,z){var q,P,W,O=0,G="0",fe=C&&[],ae=[],me=n,Ce=C||x&&t.find.TAG("*",z),ut=y+=me==null?1:Math.random()||.1,se=Ce.length;for(z&&(n=A==c||A||z);G!==se&&(q=Ce[G])!=null;G++){if(x&&q){for(P=0,!A&&q.ownerDocument!=c&&(Fe(q),D=!p);W=f[P++];)if(W(q,A||c,D)){l.call(M,q);break}z&&(y=ut)}v&&((q=!W&&q)&&O--,C&&fe.push(q))}if(O+=G,v&&G!==O){for(P=0;W=g[P++];)W(fe,ae,A,D);if(C){if(O>0)for(;G--;)fe[G]||ae[G]||(ae[G]=_o.call(M));ae=Ht(ae)}l.apply(M,ae),z&&!C&&ae.length>0&&O+g.length>1&&o.uniqueSort(M)}return z&&(y=ut,n=me),fe};return v?ve(_):_}function Dn(f,g){var v,x=[],_=[],C=F[f+" "];if(!C){for(g||(g=Et(f)),v=g.length;v--;)C=Mn(g[v]),C[k]?x.push(C):_.push(C);C=F(f,Ca(_,x)),C.selector=f}return C}function Fi(f,g,v,x){var _,C,A,D,M,z=typeof f=="function"&&f,q=!x&&Et(f=z.selector||f);if(v=v||[],q.length===1){if(C=q[0]=q[0].slice(0),C.length>2&&(A=C[0]).type==="ID"&&g.nodeType===9&&p&&t.relative[C[1].type]){if(g=(t.find.ID(A.matches[0].replace(Oe,Ne),g)||[])[0],g)z&&(g=g.parentNode);else return v;f=f.slice(C.shift().value.length)}for(_=Se.needsContext.test(f)?0:C.length;_--&&(A=C[_],!t.relative[D=A.type]);)if((M=t.find[D])&&(x=M(A.matches[0].replace(Oe,Ne),En.test(C[0].type)&&Sn(g.parentNode)||g))){if(C.splice(_,1),f=x.length&&Lt(C),!f)return l.apply(v,x),v;break}}return(z||Dn(f,q))(x,g,!p,v,!g||En.test(f)&&Sn(g.parentNode)||g),v}R.sortStable=k.split("").sort(ie).join("")===k,Fe(),R.sortDetached=lt(function(f){return f.compareDocumentPosition(c.createElement("fieldset"))&1}),o.find=V,o.expr[":"]=o.expr.pseudos,o.unique=o.uniqueSort,V.compile=Dn,V.select=Fi,V.setDocument=Fe,V.tokenize=Et,V.escape=o.escapeSelector,V.getText=o.text,V.isXML=o.isXMLDoc,V.selectors=o.expr,V.support=o.support,V.uniqueSort=o.uniqueSort})();var et=function(e,t,n){for(var r=[],s=n!==void 0;(e=e[t])&&e.nodeType!==9;)if(e.nodeType===1){if(s&&o(e).is(n))break;r.push(e)}return r},ni=function(e,t){for(var n=[];e;e=e.nextSibling)e.nodeType===1&&e!==t&&n.push(e);return n},ii=o.expr.match.needsContext,ri=/^<([a-z][^\/\0>:\x20\t\r\n\f]*)[\x20\t\r\n\f]*\/?>(?:<\/\1>|)$/i;function ln(e,t,n){return H(t)?o.grep(e,function(r,s){return!!t.call(r,s,r)!==n}):t.nodeType?o.grep(e,function(r){return r===t!==n}):typeof t!="string"?o.grep(e,function(r){return j.call(t,r)>-1!==n}):o.filter(t,e,n)}o.filter=function(e,t,n){var r=t[0];return n&&(e=":not("+e+")"),t.length===1&&r.nodeType===1?o.find.matchesSelector(r,e)?[r]:[]:o.find.matches(e,o.grep(t,function(s){return s.nodeType===1}))},o.fn.extend({find:function(e){var t,n,r=this.length,s=this;if(typeof e!="string")return this.pushStack(o(e).filter(function(){for(t=0;t<r;t++)if(o.contains(s[t],this))return!0}));for(n=this.pushStack([]),t=0;t<r;t++)o.find(e,s[t],n);return r>1?o.uniqueSort(n):n},filter:function(e){return this.pushStack(ln(this,e||[],!1))},not:function(e){return this.pushStack(ln(this,e||[],!0))},is:function(e){return!!ln(this,typeof e=="string"&&ii.test(e)?o(e):e||[],!1).length}});var oi,Co=/^(?:\s*(<[\w\W]+>)[^>]*|#([\w-]+))$/,Ao=o.fn.init=function(e,t,n){var r,s;if(!e)return this;if(n=n||oi,typeof e=="string")if(e[0]==="<"&&e[e.length-1]===">"&&e.length>=3?r=[null,e,null]:r=Co.exec(e),r&&(r[1]||!t))if(r[1]){if(t=t instanceof o?t[0]:t,o.merge(this,o.parseHTML(r[1],t&&t.nodeType?t.ownerDocument||t:L,!0)),ri.test(r[1])&&o.isPlainObject(t))for(r in t)H(this[r])?this[r](t[r]):this.attr(r,t[r]);return this}else return s=L.getElementById(r[2]),s&&(this[0]=s,this.length=1),this;else return!t||t.jquery?(t||n).find(e):this.constructor(t).find(e);else{if(e.nodeType)return this[0]=e,this.length=1,this;if(H(e))return n.ready!==void 0?n.ready(e):e(o)}return o.makeArray(e,this)};Ao.prototype=o.fn,oi=o(L);var Mo=/^(?:parents|prev(?:Until|All))/,Do={children:!0,contents:!0,next:!0,prev:!0};o.fn.extend({has:function(e){var t=o(e,this),n=t.length;return this.filter(function(){for(var r=0;r<n;r++)if(o.contains(this,t[r]))return!0})},closest:function(e,t){var n,r=0,s=this.length,l=[],c=typeof e!="string"&&o(e);if(!ii.test(e)){for(;r<s;r++)for(n=this[r];n&&n!==t;n=n.parentNode)if(n.nodeType<11&&(c?c.index(n)>-1:n.nodeType===1&&o.find.matchesSelector(n,e))){l.push(n);break}}return this.pushStack(l.length>1?o.uniqueSort(l):l)},index:function(e){return e?typeof e=="string"?j.call(o(e),this[0]):j.call(this,e.jquery?e[0]:e):this[0]&&this[0].parentNode?this.first().prevAll().length:-1},add:function(e,t){return this.pushStack(o.uniqueSort(o.merge(this.get(),o(e,t))))},addBack:function(e){return this.add(e==null?this.prevObject:this.prevObject.filter(e))}});function ai(e,t){for(;(e=e[t])&&e.nodeType!==1;);return e}o.each({parent:function(e){var t=e.parentNode;return t&&t.nodeType!==11?t:null},parents:function(e){return et(e,"parentNode")},parentsUntil:function(e,t,n){return et(e,"parentNode",n)},next:function(e){return ai(e,"nextSibling")},prev:function(e){return ai(e,"previousSibling")},nextAll:function(e){return et(e,"nextSibling")},prevAll:function(e){return et(e,"previousSibling")},nextUntil:function(e,t,n){return et(e,"nextSibling",n)},prevUntil:function(e,t,n){return et(e,"previousSibling",n)},siblings:function(e){return ni((e.parentNode||{}).firstChild,e)},children:function(e){return ni(e.firstChild)},contents:function(e){return e.contentDocument!=null&&d(e.contentDocument)?e.contentDocument:(J(e,"template")&&(e=e.content||e),o.merge([],e.childNodes))}},function(e,t){o.fn[e]=function(n,r){var s=o.map(this,t,n);return e.slice(-5)!=="Until"&&(r=n),r&&typeof r=="string"&&(s=o.filter(r,s)),this.length>1&&(Do[e]||o.uniqueSort(s),Mo.test(e)&&s.reverse()),this.pushStack(s)}});var we=/[^\x20\t\r\n\f]+/g;function $o(e){var t={};return o.each(e.match(we)||[],function(n,r){t[r]=!0}),t}o.Callbacks=function(e){e=typeof e=="string"?$o(e):o.extend({},e);var t,n,r,s,l=[],c=[],m=-1,p=function(){for(s=s||e.once,r=t=!0;c.length;m=-1)for(n=c.shift();++m<l.length;)l[m].apply(n[0],n[1])===!1&&e.stopOnFalse&&(m=l.length,n=!1);e.memory||(n=!1),t=!1,s&&(n?l=[]:l="")},b={add:function(){return l&&(n&&!t&&(m=l.length-1,c.push(n)),(function w(k){o.each(k,function(y,S){H(S)?(!e.unique||!b.has(S))&&l.push(S):S&&S.length&&Ze(S)!=="string"&&w(S)})})(arguments),n&&!t&&p()),this},remove:function(){return o.each(arguments,function(w,k){for(var y;(y=o.inArray(k,l,y))>-1;)l.splice(y,1),y<=m&&m--}),this},has:function(w){return w?o.inArray(w,l)>-1:l.length>0},empty:function(){return l&&(l=[]),this},disable:function(){return s=c=[],l=n="",this},disabled:function(){return!l},lock:function(){return s=c=[],!n&&!t&&(l=n=""),this},locked:function(){return!!s},fireWith:function(w,k){return s||(k=k||[],k=[w,k.slice?k.slice():k],c.push(k),t||p()),this},fire:function(){return b.fireWith(this,arguments),this},fired:function(){return!!r}};return b};function tt(e){return e}function Dt(e){throw e}function si(e,t,n,r){var s;try{e&&H(s=e.promise)?s.call(e).done(t).fail(n):e&&H(s=e.then)?s.call(e,t,n):t.apply(void 0,[e].slice(r))}catch(l){n.apply(void 0,[l])}}o.extend({Deferred:function(e){var t=[["notify","progress",o.Callbacks("memory"),o.Callbacks("memory"),2],["resolve","done",o.Callbacks("once memory"),o.Callbacks("once memory"),0,"resolved"],["reject","fail",o.Callbacks("once memory"),o.Callbacks("once memory"),1,"rejected"]],n="pending",r={state:function(){return n},always:function(){return s.done(arguments).fail(arguments),this},catch:function(l){return r.then(null,l)},pipe:function(){var l=arguments;return o.Deferred(function(c){o.each(t,function(m,p){var b=H(l[p[4]])&&l[p[4]];s[p[1]](function(){var w=b&&b.apply(this,arguments);w&&H(w.promise)?w.promise().progress(c.notify).done(c.resolve).fail(c.reject):c[p[0]+"With"](this,b?[w]:arguments)})}),l=null}).promise()},then:function(l,c,m){var p=0;function b(w,k,y,S){return function(){var I=this,Q=arguments,F=function(){var ie,ke;if(!(w<p)){if(ie=y.apply(I,Q),ie===k.promise())throw new TypeError("Thenable self-resolution");ke=ie&&(typeof ie=="object"||typeof ie=="function")&&ie.then,H(ke)?S?ke.call(ie,b(p,k,tt,S),b(p,k,Dt,S)):(p++,ke.call(ie,b(p,k,tt,S),b(p,k,Dt,S),b(p,k,tt,k.notifyWith))):(y!==tt&&(I=void 0,Q=[ie]),(S||k.resolveWith)(I,Q))}},oe=S?F:function(){try{F()}catch(ie){o.Deferred.exceptionHook&&o.Deferred.exceptionHook(ie,oe.error),w+1>=p&&(y!==Dt&&(I=void 0,Q=[ie]),k.rejectWith(I,Q))}};w?oe():(o.Deferred.getErrorHook?oe.error=o.Deferred.getErrorHook():o.Deferred.getStackHook&&(oe.error=o.Deferred.getStackHook()),i.setTimeout(oe))}}return o.Deferred(function(w){t[0][3].add(b(0,w,H(m)?m:tt,w.notifyWith)),t[1][3].add(b(0,w,H(l)?l:tt)),t[2][3].add(b(0,w,H(c)?c:Dt))}).promise()},promise:function(l){return l!=null?o.extend(l,r):r}},s={};return o.each(t,function(l,c){var m=c[2],p=c[5];r[c[1]]=m.add,p&&m.add(function(){n=p},t[3-l][2].disable,t[3-l][3].disable,t[0][2].lock,t[0][3].lock),m.add(c[3].fire),s[c[0]]=function(){return s[c[0]+"With"](this===s?void 0:this,arguments),this},s[c[0]+"With"]=m.fireWith}),r.promise(s),e&&e.call(s,s),s},when:function(e){var t=arguments.length,n=t,r=Array(n),s=h.call(arguments),l=o.Deferred(),c=function(m){return function(p){r[m]=this,s[m]=arguments.length>1?h.call(arguments):p,--t||l.resolveWith(r,s)}};if(t<=1&&(si(e,l.done(c(n)).resolve,l.reject,!t),l.state()==="pending"||H(s[n]&&s[n].then)))return l.then();for(;n--;)si(s[n],c(n),l.reject);return l.promise()}});var jo=/^(Eval|Internal|Range|Reference|Syntax|Type|URI)Error$/;o.Deferred.exceptionHook=function(e,t){i.console&&i.console.warn&&e&&jo.test(e.name)&&i.console.warn("jQuery.Deferred exception: "+e.message,e.stack,t)},o.readyException=function(e){i.setTimeout(function(){throw e})};var un=o.Deferred();o.fn.ready=function(e){return un.then(e).catch(function(t){o.readyException(t)}),this},o.extend({isReady:!1,readyWait:1,ready:function(e){(e===!0?--o.readyWait:o.isReady)||(o.isReady=!0,!(e!==!0&&--o.readyWait>0)&&un.resolveWith(L,[o]))}}),o.ready.then=un.then;function $t(){L.removeEventListener("DOMContentLoaded",$t),i.removeEventListener("load",$t),o.ready()}L.readyState==="complete"||L.readyState!=="loading"&&!L.documentElement.doScroll?i.setTimeout(o.ready):(L.addEventListener("DOMContentLoaded",$t),i.addEventListener("load",$t));var $e=function(e,t,n,r,s,l,c){var m=0,p=e.length,b=n==null;if(Ze(n)==="object"){s=!0;for(m in n)$e(e,t,m,n[m],!0,l,c)}else if(r!==void 0&&(s=!0,H(r)||(c=!0),b&&(c?(t.call(e,r),t=null):(b=t,t=function(w,k,y){return b.call(o(w),y)})),t))for(;m<p;m++)t(e[m],n,c?r:r.call(e[m],m,t(e[m],n)));return s?e:b?t.call(e):p?t(e[0],n):l},Oo=/^-ms-/,No=/-([a-z])/g;function qo(e,t){return t.toUpperCase()}function _e(e){return e.replace(Oo,"ms-").replace(No,qo)}var mt=function(e){return e.nodeType===1||e.nodeType===9||!+e.nodeType};function gt(){this.expando=o.expando+gt.uid++}gt.uid=1,gt.prototype={cache:function(e){var t=e[this.expando];return t||(t={},mt(e)&&(e.nodeType?e[this.expando]=t:Object.defineProperty(e,this.expando,{value:t,configurable:!0}))),t},set:function(e,t,n){var r,s=this.cache(e);if(typeof t=="string")s[_e(t)]=n;else for(r in t)s[_e(r)]=t[r];return s},get:function(e,t){return t===void 0?this.cache(e):e[this.expando]&&e[this.expando][_e(t)]},access:function(e,t,n){return t===void 0||t&&typeof t=="string"&&n===void 0?this.get(e,t):(this.set(e,t,n),n!==void 0?n:t)},remove:function(e,t){var n,r=e[this.expando];if(r!==void 0){if(t!==void 0)for(Array.isArray(t)?t=t.map(_e):(t=_e(t),t=t in r?[t]:t.match(we)||[]),n=t.length;n--;)delete r[t[n]];(t===void 0||o.isEmptyObject(r))&&(e.nodeType?e[this.expando]=void 0:delete e[this.expando])}},hasData:function(e){var t=e[this.expando];return t!==void 0&&!o.isEmptyObject(t)}};var $=new gt,ue=new gt,Io=/^(?:\{[\w\W]*\}|\[[\w\W]*\])$/,Po=/[A-Z]/g;function Lo(e){return e==="true"?!0:e==="false"?!1:e==="null"?null:e===+e+""?+e:Io.test(e)?JSON.parse(e):e}function li(e,t,n){var r;if(n===void 0&&e.nodeType===1)if(r="data-"+t.replace(Po,"-$&").toLowerCase(),n=e.getAttribute(r),typeof n=="string"){try{n=Lo(n)}catch{}ue.set(e,t,n)}else n=void 0;return n}o.extend({hasData:function(e){return ue.hasData(e)||$.hasData(e)},data:function(e,t,n){return ue.access(e,t,n)},removeData:function(e,t){ue.remove(e,t)},_data:function(e,t,n){return $.access(e,t,n)},_removeData:function(e,t){$.remove(e,t)}}),o.fn.extend({data:function(e,t){var n,r,s,l=this[0],c=l&&l.attributes;if(e===void 0){if(this.length&&(s=ue.get(l),l.nodeType===1&&!$.get(l,"hasDataAttrs"))){for(n=c.length;n--;)c[n]&&(r=c[n].name,r.indexOf("data-")===0&&(r=_e(r.slice(5)),li(l,r,s[r])));$.set(l,"hasDataAttrs",!0)}return s}return typeof e=="object"?this.each(function(){ue.set(this,e)}):$e(this,function(m){var p;if(l&&m===void 0)return p=ue.get(l,e),p!==void 0||(p=li(l,e),p!==void 0)?p:void 0;this.each(function(){ue.set(this,e,m)})},null,t,arguments.length>1,null,!0)},removeData:function(e){return this.each(function(){ue.remove(this,e)})}}),o.extend({queue:function(e,t,n){var r;if(e)return t=(t||"fx")+"queue",r=$.get(e,t),n&&(!r||Array.isArray(n)?r=$.access(e,t,o.makeArray(n)):r.push(n)),r||[]},dequeue:function(e,t){t=t||"fx";var n=o.queue(e,t),r=n.length,s=n.shift(),l=o._queueHooks(e,t),c=function(){o.dequeue(e,t)};s==="inprogress"&&(s=n.shift(),r--),s&&(t==="fx"&&n.unshift("inprogress"),delete l.stop,s.call(e,c,l)),!r&&l&&l.empty.fire()},_queueHooks:function(e,t){var n=t+"queueHooks";return $.get(e,n)||$.access(e,n,{empty:o.Callbacks("once memory").add(function(){$.remove(e,[t+"queue",n])})})}}),o.fn.extend({queue:function(e,t){var n=2;return typeof e!="string"&&(t=e,e="fx",n--),arguments.length<n?o.queue(this[0],e):t===void 0?this:this.each(function(){var r=o.queue(this,e,t);o._queueHooks(this,e),e==="fx"&&r[0]!=="inprogress"&&o.dequeue(this,e)})},dequeue:function(e){return this.each(function(){o.dequeue(this,e)})},clearQueue:function(e){return this.queue(e||"fx",[])},promise:function(e,t){var n,r=1,s=o.Deferred(),l=this,c=this.length,m=function(){--r||s.resolveWith(l,[l])};for(typeof e!="string"&&(t=e,e=void 0),e=e||"fx";c--;)n=$.get(l[c],e+"queueHooks"),n&&n.empty&&(r++,n.empty.add(m));return m(),s.promise(t)}});var ui=/[+-]?(?:\d*\.|)\d+(?:[eE][+-]?\d+|)/.source,bt=new RegExp("^(?:([+-])=|)("+ui+")([a-z%]*)$","i"),je=["Top","Right","Bottom","Left"],We=L.documentElement,nt=function(e){return o.contains(e.ownerDocument,e)},Ro={composed:!0};We.getRootNode&&(nt=function(e){return o.contains(e.ownerDocument,e)||e.getRootNode(Ro)===e.ownerDocument});var jt=function(e,t){return e=t||e,e.style.display==="none"||e.style.display===""&&nt(e)&&o.css(e,"display")==="none"};function ci(e,t,n,r){var s,l,c=20,m=r?function(){return r.cur()}:function(){return o.css(e,t,"")},p=m(),b=n&&n[3]||(o.cssNumber[t]?"":"px"),w=e.nodeType&&(o.cssNumber[t]||b!=="px"&&+p)&&bt.exec(o.css(e,t));if(w&&w[3]!==b){for(p=p/2,b=b||w[3],w=+p||1;c--;)o.style(e,t,w+b),(1-l)*(1-(l=m()/p||.5))<=0&&(c=0),w=w/l;w=w*2,o.style(e,t,w+b),n=n||[]}return n&&(w=+w||+p||0,s=n[1]?w+(n[1]+1)*n[2]:+n[2],r&&(r.unit=b,r.start=w,r.end=s)),s}var di={};function Ho(e){var t,n=e.ownerDocument,r=e.nodeName,s=di[r];return s||(t=n.body.appendChild(n.createElement(r)),s=o.css(t,"display"),t.parentNode.removeChild(t),s==="none"&&(s="block"),di[r]=s,s)}function it(e,t){for(var n,r,s=[],l=0,c=e.length;l<c;l++)r=e[l],r.style&&(n=r.style.display,t?(n==="none"&&(s[l]=$.get(r,"display")||null,s[l]||(r.style.display="")),r.style.display===""&&jt(r)&&(s[l]=Ho(r))):n!=="none"&&(s[l]="none",$.set(r,"display",n)));for(l=0;l<c;l++)s[l]!=null&&(e[l].style.display=s[l]);return e}o.fn.extend({show:function(){return it(this,!0)},hide:function(){return it(this)},toggle:function(e){return typeof e=="boolean"?e?this.show():this.hide():this.each(function(){jt(this)?o(this).show():o(this).hide()})}});var vt=/^(?:checkbox|radio)$/i,fi=/<([a-z][^\/\0>\x20\t\r\n\f]*)/i,pi=/^$|^module$|\/(?:java|ecma)script/i;(function(){var e=L.createDocumentFragment(),t=e.appendChild(L.createElement("div")),n=L.createElement("input");n.setAttribute("type","radio"),n.setAttribute("checked","checked"),n.setAttribute("name","t"),t.appendChild(n),R.checkClone=t.cloneNode(!0).cloneNode(!0).lastChild.checked,t.innerHTML="<textarea>x</textarea>",R.noCloneChecked=!!t.cloneNode(!0).lastChild.defaultValue,t.innerHTML="<option></option>",R.option=!!t.lastChild})();var pe={thead:[1,"<table>","</table>"],col:[2,"<table><colgroup>","</colgroup></table>"],tr:[2,"<table><tbody>","</tbody></table>"],td:[3,"<table><tbody><tr>","</tr></tbody></table>"],_default:[0,"",""]};pe.tbody=pe.tfoot=pe.colgroup=pe.caption=pe.thead,pe.th=pe.td,R.option||(pe.optgroup=pe.option=[1,"<select multiple='multiple'>","</select>"]);function ce(e,t){var n;return typeof e.getElementsByTagName<"u"?n=e.getElementsByTagName(t||"*"):typeof e.querySelectorAll<"u"?n=e.querySelectorAll(t||"*"):n=[],t===void 0||t&&J(e,t)?o.merge([e],n):n}function cn(e,t){for(var n=0,r=e.length;n<r;n++)$.set(e[n],"globalEval",!t||$.get(t[n],"globalEval"))}var Fo=/<|&#?\w+;/;function hi(e,t,n,r,s){for(var l,c,m,p,b,w,k=t.createDocumentFragment(),y=[],S=0,I=e.length;S<I;S++)if(l=e[S],l||l===0)if(Ze(l)==="object")o.merge(y,l.nodeType?[l]:l);else if(!Fo.test(l))y.push(t.createTextNode(l));else{for(c=c||k.appendChild(t.createElement("div")),m=(fi.exec(l)||["",""])[1].toLowerCase(),p=pe[m]||pe._default,c.innerHTML=p[1]+o.htmlPrefilter(l)+p[2],w=p[0];w--;)c=c.lastChild;o.merge(y,c.childNodes),c=k.firstChild,c.textContent=""}for(k.textContent="",S=0;l=y[S++];){if(r&&o.inArray(l,r)>-1){s&&s.push(l);continue}if(b=nt(l),c=ce(k.appendChild(l),"script"),b&&cn(c),n)for(w=0;l=c[w++];)pi.test(l.type||"")&&n.push(l)}return k}var mi=/^([^.]*)(?:\.(.+)|)/;function rt(){return!0}function ot(){return!1}function dn(e,t,n,r,s,l){var c,m;if(typeof t=="object"){typeof n!="string"&&(r=r||n,n=void 0);for(m in t)dn(e,m,n,r,t[m],l);return e}if(r==null&&s==null?(s=n,r=n=void 0):s==null&&(typeof n=="string"?(s=r,r=void 0):(s=r,r=n,n=void 0)),s===!1)s=ot;else if(!s)return e;return l===1&&(c=s,s=function(p){return o().off(p),c.apply(this,arguments)},s.guid=c.guid||(c.guid=o.guid++)),e.each(function(){o.event.add(this,t,s,r,n)})}o.event={global:{},add:function(e,t,n,r,s){var l,c,m,p,b,w,k,y,S,I,Q,F=$.get(e);if(mt(e))for(n.handler&&(l=n,n=l.handler,s=l.selector),s&&o.find.matchesSelector(We,s),n.guid||(n.guid=o.guid++),(p=F.events)||(p=F.events=Object.create(null)),(c=F.handle)||(c=F.handle=function(oe){return typeof o<"u"&&o.event.triggered!==oe.type?o.event.dispatch.apply(e,arguments):void 0}),t=(t||"").match(we)||[""],b=t.length;b--;)m=mi.exec(t[b])||[],S=Q=m[1],I=(m[2]||"").split(".").sort(),S&&(k=o.event.special[S]||{},S=(s?k.delegateType:k.bindType)||S,k=o.event.special[S]||{},w=o.extend({type:S,origType:Q,data:r,handler:n,guid:n.guid,selector:s,needsContext:s&&o.expr.match.needsContext.test(s),namespace:I.join(".")},l),(y=p[S])||(y=p[S]=[],y.delegateCount=0,(!k.setup||k.setup.call(e,r,I,c)===!1)&&e.addEventListener&&e.addEventListener(S,c)),k.add&&(k.add.call(e,w),w.handler.guid||(w.handler.guid=n.guid)),s?y.splice(y.delegateCount++,0,w):y.push(w),o.event.global[S]=!0)},remove:function(e,t,n,r,s){var l,c,m,p,b,w,k,y,S,I,Q,F=$.hasData(e)&&$.get(e);if(!(!F||!(p=F.events))){for(t=(t||"").match(we)||[""],b=t.length;b--;){if(m=mi.exec(t[b])||[],S=Q=m[1],I=(m[2]||"").split(".").sort(),!S){for(S in p)o.event.remove(e,S+t[b],n,r,!0);continue}for(k=o.event.special[S]||{},S=(r?k.delegateType:k.bindType)||S,y=p[S]||[],m=m[2]&&new RegExp("(^|\\.)"+I.join("\\.(?:.*\\.|)")+"(\\.|$)"),c=l=y.length;l--;)w=y[l],(s||Q===w.origType)&&(!n||n.guid===w.guid)&&(!m||m.test(w.namespace))&&(!r||r===w.selector||r==="**"&&w.selector)&&(y.splice(l,1),w.selector&&y.delegateCount--,k.remove&&k.remove.call(e,w));c&&!y.length&&((!k.teardown||k.teardown.call(e,I,F.handle)===!1)&&o.removeEvent(e,S,F.handle),delete p[S])}o.isEmptyObject(p)&&$.remove(e,"handle events")}},dispatch:function(e){var t,n,r,s,l,c,m=new Array(arguments.length),p=o.event.fix(e),b=($.get(this,"events")||Object.create(null))[p.type]||[],w=o.event.special[p.type]||{};for(m[0]=p,t=1;t<arguments.length;t++)m[t]=arguments[t];if(p.delegateTarget=this,!(w.preDispatch&&w.preDispatch.call(this,p)===!1)){for(c=o.event.handlers.call(this,p,b),t=0;(s=c[t++])&&!p.isPropagationStopped();)for(p.currentTarget=s.elem,n=0;(l=s.handlers[n++])&&!p.isImmediatePropagationStopped();)(!p.rnamespace||l.namespace===!1||p.rnamespace.test(l.namespace))&&(p.handleObj=l,p.data=l.data,r=((o.event.special[l.origType]||{}).handle||l.handler).apply(s.elem,m),r!==void 0&&(p.result=r)===!1&&(p.preventDefault(),p.stopPropagation()));return w.postDispatch&&w.postDispatch.call(this,p),p.result}},handlers:function(e,t){var n,r,s,l,c,m=[],p=t.delegateCount,b=e.target;if(p&&b.nodeType&&!(e.type==="click"&&e.button>=1)){for(;b!==this;b=b.parentNode||this)if(b.nodeType===1&&!(e.type==="click"&&b.disabled===!0)){for(l=[],c={},n=0;n<p;n++)r=t[n],s=r.selector+" ",c[s]===void 0&&(c[s]=r.needsContext?o(s,this).index(b)>-1:o.find(s,this,null,[b]).length),c[s]&&l.push(r);l.length&&m.push({elem:b,handlers:l})}}return b=this,p<t.length&&m.push({elem:b,handlers:t.slice(p)}),m},addProp:function(e,t){Object.defineProperty(o.Event.prototype,e,{enumerable:!0,configurable:!0,get:H(t)?function(){if(this.originalEvent)return t(this.originalEvent)}:function(){if(this.originalEvent)return this.originalEvent[e]},set:function(n){Object.defineProperty(this,e,{enumerable:!0,configurable:!0,writable:!0,value:n})}})},fix:function(e){return e[o.expando]?e:new o.Event(e)},special:{load:{noBubble:!0},click:{setup:function(e){var t=this||e;return vt.test(t.type)&&t.click&&J(t,"input")&&Ot(t,"click",!0),!1},trigger:function(e){var t=this||e;return vt.test(t.type)&&t.click&&J(t,"input")&&Ot(t,"click"),!0},_default:function(e){var t=e.target;return vt.test(t.type)&&t.click&&J(t,"input")&&$.get(t,"click")||J(t,"a")}},beforeunload:{postDispatch:function(e){e.result!==void 0&&e.originalEvent&&(e.originalEvent.returnValue=e.result)}}}};function Ot(e,t,n){if(!n){$.get(e,t)===void 0&&o.event.add(e,t,rt);return}$.set(e,t,!1),o.event.add(e,t,{namespace:!1,handler:function(r){var s,l=$.get(this,t);if(r.isTrigger&1&&this[t]){if(l)(o.event.special[t]||{}).delegateType&&r.stopPropagation();else if(l=h.call(arguments),$.set(this,t,l),this[t](),s=$.get(this,t),$.set(this,t,!1),l!==s)return r.stopImmediatePropagation(),r.preventDefault(),s}else l&&($.set(this,t,o.event.trigger(l[0],l.slice(1),this)),r.stopPropagation(),r.isImmediatePropagationStopped=rt)}})}o.removeEvent=function(e,t,n){e.removeEventListener&&e.removeEventListener(t,n)},o.Event=function(e,t){if(!(this instanceof o.Event))return new o.Event(e,t);e&&e.type?(this.originalEvent=e,this.type=e.type,this.isDefaultPrevented=e.defaultPrevented||e.defaultPrevented===void 0&&e.returnValue===!1?rt:ot,this.target=e.target&&e.target.nodeType===3?e.target.parentNode:e.target,this.currentTarget=e.currentTarget,this.relatedTarget=e.relatedTarget):this.type=e,t&&o.extend(this,t),this.timeStamp=e&&e.timeStamp||Date.now(),this[o.expando]=!0},o.Event.prototype={constructor:o.Event,isDefaultPrevented:ot,isPropagationStopped:ot,isImmediatePropagationStopped:ot,isSimulated:!1,preventDefault:function(){var e=this.originalEvent;this.isDefaultPrevented=rt,e&&!this.isSimulated&&e.preventDefault()},stopPropagation:function(){var e=this.originalEvent;this.isPropagationStopped=rt,e&&!this.isSimulated&&e.stopPropagation()},stopImmediatePropagation:function(){var e=this.originalEvent;this.isImmediatePropagationStopped=rt,e&&!this.isSimulated&&e.stopImmediatePropagation(),this.stopPropagation()}},o.each({altKey:!0,bubbles:!0,cancelable:!0,changedTouches:!0,ctrlKey:!0,detail:!0,eventPhase:!0,metaKey:!0,pageX:!0,pageY:!0,shiftKey:!0,view:!0,char:!0,code:!0,charCode:!0,key:!0,keyCode:!0,button:!0,buttons:!0,clientX:!0,clientY:!0,offsetX:!0,offsetY:!0,pointerId:!0,pointerType:!0,screenX:!0,screenY:!0,targetTouches:!0,toElement:!0,touches:!0,which:!0},o.event.addProp),o.each({focus:"focusin",blur:"focusout"},function(e,t){function n(r){if(L.documentMode){var s=$.get(this,"handle"),l=o.event.fix(r);l.type=r.type==="focusin"?"focus":"blur",l.isSimulated=!0,s(r),l.target===l.currentTarget&&s(l)}else o.event.simulate(t,r.target,o.event.fix(r))}o.event.special[e]={setup:function(){var r;if(Ot(this,e,!0),L.documentMode)r=$.get(this,t),r||this.addEventListener(t,n),$.set(this,t,(r||0)+1);else return!1},trigger:function(){return Ot(this,e),!0},teardown:function(){var r;if(L.documentMode)r=$.get(this,t)-1,r?$.set(this,t,r):(this.removeEventListener(t,n),$.remove(this,t));else return!1},_default:function(r){return $.get(r.target,e)},delegateType:t},o.event.special[t]={setup:function(){var r=this.ownerDocument||this.document||this,s=L.documentMode?this:r,l=$.get(s,t);l||(L.documentMode?this.addEventListener(t,n):r.addEventListener(e,n,!0)),$.set(s,t,(l||0)+1)},teardown:function(){var r=this.ownerDocument||this.document||this,s=L.documentMode?this:r,l=$.get(s,t)-1;l?$.set(s,t,l):(L.documentMode?this.removeEventListener(t,n):r.removeEventListener(e,n,!0),$.remove(s,t))}}}),o.each({mouseenter:"mouseover",mouseleave:"mouseout",pointerenter:"pointerover",pointerleave:"pointerout"},function(e,t){o.event.special[e]={delegateType:t,bindType:t,handle:function(n){var r,s=this,l=n.relatedTarget,c=n.handleObj;return(!l||l!==s&&!o.contains(s,l))&&(n.type=c.origType,r=c.handler.apply(this,arguments),n.type=t),r}}}),o.fn.extend({on:function(e,t,n,r){return dn(this,e,t,n,r)},one:function(e,t,n,r){return dn(this,e,t,n,r,1)},off:function(e,t,n){var r,s;if(e&&e.preventDefault&&e.handleObj)return r=e.handleObj,o(e.delegateTarget).off(r.namespace?r.origType+"."+r.namespace:r.origType,r.selector,r.handler),this;if(typeof e=="object"){for(s in e)this.off(s,t,e[s]);return this}return(t===!1||typeof t=="function")&&(n=t,t=void 0),n===!1&&(n=ot),this.each(function(){o.event.remove(this,e,n,t)})}});var Bo=/<script|<style|<link/i,zo=/checked\s*(?:[^=]|=\s*.checked.)/i,Wo=/^\s*<!\[CDATA\[|\]\]>\s*$/g;function gi(e,t){return J(e,"table")&&J(t.nodeType!==11?t:t.firstChild,"tr")&&o(e).children("tbody")[0]||e}function Uo(e){return e.type=(e.getAttribute("type")!==null)+"/"+e.type,e}function Qo(e){return(e.type||"").slice(0,5)==="true/"?e.type=e.type.slice(5):e.removeAttribute("type"),e}function bi(e,t){var n,r,s,l,c,m,p;if(t.nodeType===1){if($.hasData(e)&&(l=$.get(e),p=l.events,p)){$.remove(t,"handle events");for(s in p)for(n=0,r=p[s].length;n<r;n++)o.event.add(t,s,p[s][n])}ue.hasData(e)&&(c=ue.access(e),m=o.extend({},c),ue.set(t,m))}}function Ko(e,t){var n=t.nodeName.toLowerCase();n==="input"&&vt.test(e.type)?t.checked=e.checked:(n==="input"||n==="textarea")&&(t.defaultValue=e.defaultValue)}function at(e,t,n,r){t=T(t);var s,l,c,m,p,b,w=0,k=e.length,y=k-1,S=t[0],I=H(S);if(I||k>1&&typeof S=="string"&&!R.checkClone&&zo.test(S))return e.each(function(Q){var F=e.eq(Q);I&&(t[0]=S.call(this,Q,F.html())),at(F,t,n,r)});if(k&&(s=hi(t,e[0].ownerDocument,!1,e,r),l=s.firstChild,s.childNodes.length===1&&(s=l),l||r)){for(c=o.map(ce(s,"script"),Uo),m=c.length;w<k;w++)p=s,w!==y&&(p=o.clone(p,!0,!0),m&&o.merge(c,ce(p,"script"))),n.call(e[w],p,w);if(m)for(b=c[c.length-1].ownerDocument,o.map(c,Qo),w=0;w<m;w++)p=c[w],pi.test(p.type||"")&&!$.access(p,"globalEval")&&o.contains(b,p)&&(p.src&&(p.type||"").toLowerCase()!=="module"?o._evalUrl&&!p.noModule&&o._evalUrl(p.src,{nonce:p.nonce||p.getAttribute("nonce")},b):ei(p.textContent.replace(Wo,""),p,b))}return e}function vi(e,t,n){for(var r,s=t?o.filter(t,e):e,l=0;(r=s[l])!=null;l++)!n&&r.nodeType===1&&o.cleanData(ce(r)),r.parentNode&&(n&&nt(r)&&cn(ce(r,"script")),r.parentNode.removeChild(r));return e}o.extend({htmlPrefilter:function(e){return e},clone:function(e,t,n){var r,s,l,c,m=e.cloneNode(!0),p=nt(e);if(!R.noCloneChecked&&(e.nodeType===1||e.nodeType===11)&&!o.isXMLDoc(e))for(c=ce(m),l=ce(e),r=0,s=l.length;r<s;r++)Ko(l[r],c[r]);if(t)if(n)for(l=l||ce(e),c=c||ce(m),r=0,s=l.length;r<s;r++)bi(l[r],c[r]);else bi(e,m);return c=ce(m,"script"),c.length>0&&cn(c,!p&&ce(e,"script")),m},cleanData:function(e){for(var t,n,r,s=o.event.special,l=0;(n=e[l])!==void 0;l++)if(mt(n)){if(t=n[$.expando]){if(t.events)for(r in t.events)s[r]?o.event.remove(n,r):o.removeEvent(n,r,t.handle);n[$.expando]=void 0}n[ue.expando]&&(n[ue.expando]=void 0)}}}),o.fn.extend({detach:function(e){return vi(this,e,!0)},remove:function(e){return vi(this,e)},text:function(e){return $e(this,function(t){return t===void 0?o.text(this):this.empty().each(function(){(this.nodeType===1||this.nodeType===11||this.nodeType===9)&&(this.textContent=t)})},null,e,arguments.length)},append:function(){return at(this,arguments,function(e){if(this.nodeType===1||this.nodeType===11||this.nodeType===9){var t=gi(this,e);t.appendChild(e)}})},prepend:function(){return at(this,arguments,function(e){if(this.nodeType===1||this.nodeType===11||this.nodeType===9){var t=gi(this,e);t.insertBefore(e,t.firstChild)}})},before:function(){return at(this,arguments,function(e){this.parentNode&&this.parentNode.insertBefore(e,this)})},after:function(){return at(this,arguments,function(e){this.parentNode&&this.parentNode.insertBefore(e,this.nextSibling)})},empty:function(){for(var e,t=0;(e=this[t])!=null;t++)e.nodeType===1&&(o.cleanData(ce(e,!1)),e.textContent="");return this},clone:function(e,t){return e=e??!1,t=t??e,this.map(function(){return o.clone(this,e,t)})},html:function(e){return $e(this,function(t){var n=this[0]||{},r=0,s=this.length;if(t===void 0&&n.nodeType===1)return n.innerHTML;if(typeof t=="string"&&!Bo.test(t)&&!pe[(fi.exec(t)||["",""])[1].toLowerCase()]){t=o.htmlPrefilter(t);try{for(;r<s;r++)n=this[r]||{},n.nodeType===1&&(o.cleanData(ce(n,!1)),n.innerHTML=t);n=0}catch{}}n&&this.empty().append(t)},null,e,arguments.length)},replaceWith:function(){var e=[];return at(this,arguments,function(t){var n=this.parentNode;o.inArray(this,e)<0&&(o.cleanData(ce(this)),n&&n.replaceChild(t,this))},e)}}),o.each({appendTo:"append",prependTo:"prepend",insertBefore:"before",insertAfter:"after",replaceAll:"replaceWith"},function(e,t){o.fn[e]=function(n){for(var r,s=[],l=o(n),c=l.length-1,m=0;m<=c;m++)r=m===c?this:this.clone(!0),o(l[m])[t](r),N.apply(s,r.get());return this.pushStack(s)}});var fn=new RegExp("^("+ui+")(?!px)[a-z%]+$","i"),pn=/^--/,Nt=function(e){var t=e.ownerDocument.defaultView;return(!t||!t.opener)&&(t=i),t.getComputedStyle(e)},yi=function(e,t,n){var r,s,l={};for(s in t)l[s]=e.style[s],e.style[s]=t[s];r=n.call(e);for(s in t)e.style[s]=l[s];return r},Vo=new RegExp(je.join("|"),"i");(function(){function e(){if(b){p.style.cssText="position:absolute;left:-11111px;width:60px;margin-top:1px;padding:0;border:0",b.style.cssText="position:relative;display:block;box-sizing:border-box;overflow:scroll;margin:auto;border:1px;padding:1px;width:60%;top:1%",We.appendChild(p).appendChild(b);var w=i.getComputedStyle(b);n=w.top!=="1%",m=t(w.marginLeft)===12,b.style.right="60%",l=t(w.right)===36,r=t(w.width)===36,b.style.position="absolute",s=t(b.offsetWidth/3)===12,We.removeChild(p),b=null}}function t(w){return Math.round(parseFloat(w))}var n,r,s,l,c,m,p=L.createElement("div"),b=L.createElement("div");b.style&&(b.style.backgroundClip="content-box",b.cloneNode(!0).style.backgroundClip="",R.clearCloneStyle=b.style.backgroundClip==="content-box",o.extend(R,{boxSizingReliable:function(){return e(),r},pixelBoxStyles:function(){return e(),l},pixelPosition:function(){return e(),n},reliableMarginLeft:function(){return e(),m},scrollboxSize:function(){return e(),s},reliableTrDimensions:function(){var w,k,y,S;return c==null&&(w=L.createElement("table"),k=L.createElement("tr"),y=L.createElement("div"),w.style.cssText="position:absolute;left:-11111px;border-collapse:separate",k.style.cssText="box-sizing:content-box;border:1px solid",k.style.height="1px",y.style.height="9px",y.style.display="block",We.appendChild(w).appendChild(k).appendChild(y),S=i.getComputedStyle(k),c=parseInt(S.height,10)+parseInt(S.borderTopWidth,10)+parseInt(S.borderBottomWidth,10)===k.offsetHeight,We.removeChild(w)),c}}))})();function yt(e,t,n){var r,s,l,c,m=pn.test(t),p=e.style;return n=n||Nt(e),n&&(c=n.getPropertyValue(t)||n[t],m&&c&&(c=c.replace(ht,"$1")||void 0),c===""&&!nt(e)&&(c=o.style(e,t)),!R.pixelBoxStyles()&&fn.test(c)&&Vo.test(t)&&(r=p.width,s=p.minWidth,l=p.maxWidth,p.minWidth=p.maxWidth=p.width=c,c=n.width,p.width=r,p.minWidth=s,p.maxWidth=l)),c!==void 0?c+"":c}function xi(e,t){return{get:function(){if(e()){delete this.get;return}return(this.get=t).apply(this,arguments)}}}var wi=["Webkit","Moz","ms"],_i=L.createElement("div").style,ki={};function Yo(e){for(var t=e[0].toUpperCase()+e.slice(1),n=wi.length;n--;)if(e=wi[n]+t,e in _i)return e}function hn(e){var t=o.cssProps[e]||ki[e];return t||(e in _i?e:ki[e]=Yo(e)||e)}var Xo=/^(none|table(?!-c[ea]).+)/,Go={position:"absolute",visibility:"hidden",display:"block"},Ti={letterSpacing:"0",fontWeight:"400"};function Ei(e,t,n){var r=bt.exec(t);return r?Math.max(0,r[2]-(n||0))+(r[3]||"px"):t}function mn(e,t,n,r,s,l){var c=t==="width"?1:0,m=0,p=0,b=0;if(n===(r?"border":"content"))return 0;for(;c<4;c+=2)n==="margin"&&(b+=o.css(e,n+je[c],!0,s)),r?(n==="content"&&(p-=o.css(e,"padding"+je[c],!0,s)),n!=="margin"&&(p-=o.css(e,"border"+je[c]+"Width",!0,s))):(p+=o.css(e,"padding"+je[c],!0,s),n!=="padding"?p+=o.css(e,"border"+je[c]+"Width",!0,s):m+=o.css(e,"border"+je[c]+"Width",!0,s));return!r&&l>=0&&(p+=Math.max(0,Math.ceil(e["offset"+t[0].toUpperCase()+t.slice(1)]-l-p-m-.5))||0),p+b}function Si(e,t,n){var r=Nt(e),s=!R.boxSizingReliable()||n,l=s&&o.css(e,"boxSizing",!1,r)==="border-box",c=l,m=yt(e,t,r),p="offset"+t[0].toUpperCase()+t.slice(1);if(fn.test(m)){if(!n)return m;m="auto"}return(!R.boxSizingReliable()&&l||!R.reliableTrDimensions()&&J(e,"tr")||m==="auto"||!parseFloat(m)&&o.css(e,"display",!1,r)==="inline")&&e.getClientRects().length&&(l=o.css(e,"boxSizing",!1,r)==="border-box",c=p in e,c&&(m=e[p])),m=parseFloat(m)||0,m+mn(e,t,n||(l?"border":"content"),c,r,m)+"px"}o.extend({cssHooks:{opacity:{get:function(e,t){if(t){var n=yt(e,"opacity");return n===""?"1":n}}}},cssNumber:{animationIterationCount:!0,aspectRatio:!0,borderImageSlice:!0,columnCount:!0,flexGrow:!0,flexShrink:!0,fontWeight:!0,gridArea:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnStart:!0,gridRow:!0,gridRowEnd:!0,gridRowStart:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,scale:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeMiterlimit:!0,strokeOpacity:!0},cssProps:{},style:function(e,t,n,r){if(!(!e||e.nodeType===3||e.nodeType===8||!e.style)){var s,l,c,m=_e(t),p=pn.test(t),b=e.style;if(p||(t=hn(m)),c=o.cssHooks[t]||o.cssHooks[m],n!==void 0){if(l=typeof n,l==="string"&&(s=bt.exec(n))&&s[1]&&(n=ci(e,t,s),l="number"),n==null||n!==n)return;l==="number"&&!p&&(n+=s&&s[3]||(o.cssNumber[m]?"":"px")),!R.clearCloneStyle&&n===""&&t.indexOf("background")===0&&(b[t]="inherit"),(!c||!("set"in c)||(n=c.set(e,n,r))!==void 0)&&(p?b.setProperty(t,n):b[t]=n)}else return c&&"get"in c&&(s=c.get(e,!1,r))!==void 0?s:b[t]}},css:function(e,t,n,r){var s,l,c,m=_e(t),p=pn.test(t);return p||(t=hn(m)),c=o.cssHooks[t]||o.cssHooks[m],c&&"get"in c&&(s=c.get(e,!0,n)),s===void 0&&(s=yt(e,t,r)),s==="normal"&&t in Ti&&(s=Ti[t]),n===""||n?(l=parseFloat(s),n===!0||isFinite(l)?l||0:s):s}}),o.each(["height","width"],function(e,t){o.cssHooks[t]={get:function(n,r,s){if(r)return Xo.test(o.css(n,"display"))&&(!n.getClientRects().length||!n.getBoundingClientRect().width)?yi(n,Go,function(){return Si(n,t,s)}):Si(n,t,s)},set:function(n,r,s){var l,c=Nt(n),m=!R.scrollboxSize()&&c.position==="absolute",p=m||s,b=p&&o.css(n,"boxSizing",!1,c)==="border-box",w=s?mn(n,t,s,b,c):0;return b&&m&&(w-=Math.ceil(n["offset"+t[0].toUpperCase()+t.slice(1)]-parseFloat(c[t])-mn(n,t,"border",!1,c)-.5)),w&&(l=bt.exec(r))&&(l[3]||"px")!=="px"&&(n.style[t]=r,r=o.css(n,t)),Ei(n,r,w)}}}),o.cssHooks.marginLeft=xi(R.reliableMarginLeft,function(e,t){if(t)return(parseFloat(yt(e,"marginLeft"))||e.getBoundingClientRect().left-yi(e,{marginLeft:0},function(){return e.getBoundingClientRect().left}))+"px"}),o.each({margin:"",padding:"",border:"Width"},function(e,t){o.cssHooks[e+t]={expand:function(n){for(var r=0,s={},l=typeof n=="string"?n.split(" "):[n];r<4;r++)s[e+je[r]+t]=l[r]||l[r-2]||l[0];return s}},e!=="margin"&&(o.cssHooks[e+t].set=Ei)}),o.fn.extend({css:function(e,t){return $e(this,function(n,r,s){var l,c,m={},p=0;if(Array.isArray(r)){for(l=Nt(n),c=r.length;p<c;p++)m[r[p]]=o.css(n,r[p],!1,l);return m}return s!==void 0?o.style(n,r,s):o.css(n,r)},e,t,arguments.length>1)}});function de(e,t,n,r,s){return new de.prototype.init(e,t,n,r,s)}o.Tween=de,de.prototype={constructor:de,init:function(e,t,n,r,s,l){this.elem=e,this.prop=n,this.easing=s||o.easing._default,this.options=t,this.start=this.now=this.cur(),this.end=r,this.unit=l||(o.cssNumber[n]?"":"px")},cur:function(){var e=de.propHooks[this.prop];return e&&e.get?e.get(this):de.propHooks._default.get(this)},run:function(e){var t,n=de.propHooks[this.prop];return this.options.duration?this.pos=t=o.easing[this.easing](e,this.options.duration*e,0,1,this.options.duration):this.pos=t=e,this.now=(this.end-this.start)*t+this.start,this.options.step&&this.options.step.call(this.elem,this.now,this),n&&n.set?n.set(this):de.propHooks._default.set(this),this}},de.prototype.init.prototype=de.prototype,de.propHooks={_default:{get:function(e){var t;return e.elem.nodeType!==1||e.elem[e.prop]!=null&&e.elem.style[e.prop]==null?e.elem[e.prop]:(t=o.css(e.elem,e.prop,""),!t||t==="auto"?0:t)},set:function(e){o.fx.step[e.prop]?o.fx.step[e.prop](e):e.elem.nodeType===1&&(o.cssHooks[e.prop]||e.elem.style[hn(e.prop)]!=null)?o.style(e.elem,e.prop,e.now+e.unit):e.elem[e.prop]=e.now}}},de.propHooks.scrollTop=de.propHooks.scrollLeft={set:function(e){e.elem.nodeType&&e.elem.parentNode&&(e.elem[e.prop]=e.now)}},o.easing={linear:function(e){return e},swing:function(e){return .5-Math.cos(e*Math.PI)/2},_default:"swing"},o.fx=de.prototype.init,o.fx.step={};var st,qt,Jo=/^(?:toggle|show|hide)$/,Zo=/queueHooks$/;function gn(){qt&&(L.hidden===!1&&i.requestAnimationFrame?i.requestAnimationFrame(gn):i.setTimeout(gn,o.fx.interval),o.fx.tick())}function Ci(){return i.setTimeout(function(){st=void 0}),st=Date.now()}function It(e,t){var n,r=0,s={height:e};for(t=t?1:0;r<4;r+=2-t)n=je[r],s["margin"+n]=s["padding"+n]=e;return t&&(s.opacity=s.width=e),s}function Ai(e,t,n){for(var r,s=(be.tweeners[t]||[]).concat(be.tweeners["*"]),l=0,c=s.length;l<c;l++)if(r=s[l].call(n,t,e))return r}function ea(e,t,n){var r,s,l,c,m,p,b,w,k="width"in t||"height"in t,y=this,S={},I=e.style,Q=e.nodeType&&jt(e),F=$.get(e,"fxshow");n.queue||(c=o._queueHooks(e,"fx"),c.unqueued==null&&(c.unqueued=0,m=c.empty.fire,c.empty.fire=function(){c.unqueued||m()}),c.unqueued++,y.always(function(){y.always(function(){c.unqueued--,o.queue(e,"fx").length||c.empty.fire()})}));for(r in t)if(s=t[r],Jo.test(s)){if(delete t[r],l=l||s==="toggle",s===(Q?"hide":"show"))if(s==="show"&&F&&F[r]!==void 0)Q=!0;else continue;S[r]=F&&F[r]||o.style(e,r)}if(p=!o.isEmptyObject(t),!(!p&&o.isEmptyObject(S))){k&&e.nodeType===1&&(n.overflow=[I.overflow,I.overflowX,I.overflowY],b=F&&F.display,b==null&&(b=$.get(e,"display")),w=o.css(e,"display"),w==="none"&&(b?w=b:(it([e],!0),b=e.style.display||b,w=o.css(e,"display"),it([e]))),(w==="inline"||w==="inline-block"&&b!=null)&&o.css(e,"float")==="none"&&(p||(y.done(function(){I.display=b}),b==null&&(w=I.display,b=w==="none"?"":w)),I.display="inline-block")),n.overflow&&(I.overflow="hidden",y.always(function(){I.overflow=n.overflow[0],I.overflowX=n.overflow[1],I.overflowY=n.overflow[2]})),p=!1;for(r in S)p||(F?"hidden"in F&&(Q=F.hidden):F=$.access(e,"fxshow",{display:b}),l&&(F.hidden=!Q),Q&&it([e],!0),y.done(function(){Q||it([e]),$.remove(e,"fxshow");for(r in S)o.style(e,r,S[r])})),p=Ai(Q?F[r]:0,r,y),r in F||(F[r]=p.start,Q&&(p.end=p.start,p.start=0))}}function ta(e,t){var n,r,s,l,c;for(n in e)if(r=_e(n),s=t[r],l=e[n],Array.isArray(l)&&(s=l[1],l=e[n]=l[0]),n!==r&&(e[r]=l,delete e[n]),c=o.cssHooks[r],c&&"expand"in c){l=c.expand(l),delete e[r];for(n in l)n in e||(e[n]=l[n],t[n]=s)}else t[r]=s}function be(e,t,n){var r,s,l=0,c=be.prefilters.length,m=o.Deferred().always(function(){delete p.elem}),p=function(){if(s)return!1;for(var k=st||Ci(),y=Math.max(0,b.startTime+b.duration-k),S=y/b.duration||0,I=1-S,Q=0,F=b.tweens.length;Q<F;Q++)b.tweens[Q].run(I);return m.notifyWith(e,[b,I,y]),I<1&&F?y:(F||m.notifyWith(e,[b,1,0]),m.resolveWith(e,[b]),!1)},b=m.promise({elem:e,props:o.extend({},t),opts:o.extend(!0,{specialEasing:{},easing:o.easing._default},n),originalProperties:t,originalOptions:n,startTime:st||Ci(),duration:n.duration,tweens:[],createTween:function(k,y){var S=o.Tween(e,b.opts,k,y,b.opts.specialEasing[k]||b.opts.easing);return b.tweens.push(S),S},stop:function(k){var y=0,S=k?b.tweens.length:0;if(s)return this;for(s=!0;y<S;y++)b.tweens[y].run(1);return k?(m.notifyWith(e,[b,1,0]),m.resolveWith(e,[b,k])):m.rejectWith(e,[b,k]),this}}),w=b.props;for(ta(w,b.opts.specialEasing);l<c;l++)if(r=be.prefilters[l].call(b,e,w,b.opts),r)return H(r.stop)&&(o._queueHooks(b.elem,b.opts.queue).stop=r.stop.bind(r)),r;return o.map(w,Ai,b),H(b.opts.start)&&b.opts.start.call(e,b),b.progress(b.opts.progress).done(b.opts.done,b.opts.complete).fail(b.opts.fail).always(b.opts.always),o.fx.timer(o.extend(p,{elem:e,anim:b,queue:b.opts.queue})),b}o.Animation=o.extend(be,{tweeners:{"*":[function(e,t){var n=this.createTween(e,t);return ci(n.elem,e,bt.exec(t),n),n}]},tweener:function(e,t){H(e)?(t=e,e=["*"]):e=e.match(we);for(var n,r=0,s=e.length;r<s;r++)n=e[r],be.tweeners[n]=be.tweeners[n]||[],be.tweeners[n].unshift(t)},prefilters:[ea],prefilter:function(e,t){t?be.prefilters.unshift(e):be.prefilters.push(e)}}),o.speed=function(e,t,n){var r=e&&typeof e=="object"?o.extend({},e):{complete:n||!n&&t||H(e)&&e,duration:e,easing:n&&t||t&&!H(t)&&t};return o.fx.off?r.duration=0:typeof r.duration!="number"&&(r.duration in o.fx.speeds?r.duration=o.fx.speeds[r.duration]:r.duration=o.fx.speeds._default),(r.queue==null||r.queue===!0)&&(r.queue="fx"),r.old=r.complete,r.complete=function(){H(r.old)&&r.old.call(this),r.queue&&o.dequeue(this,r.queue)},r},o.fn.extend({fadeTo:function(e,t,n,r){return this.filter(jt).css("opacity",0).show().end().animate({opacity:t},e,n,r)},animate:function(e,t,n,r){var s=o.isEmptyObject(e),l=o.speed(t,n,r),c=function(){var m=be(this,o.extend({},e),l);(s||$.get(this,"finish"))&&m.stop(!0)};return c.finish=c,s||l.queue===!1?this.each(c):this.queue(l.queue,c)},stop:function(e,t,n){var r=function(s){var l=s.stop;delete s.stop,l(n)};return typeof e!="string"&&(n=t,t=e,e=void 0),t&&this.queue(e||"fx",[]),this.each(function(){var s=!0,l=e!=null&&e+"queueHooks",c=o.timers,m=$.get(this);if(l)m[l]&&m[l].stop&&r(m[l]);else for(l in m)m[l]&&m[l].stop&&Zo.test(l)&&r(m[l]);for(l=c.length;l--;)c[l].elem===this&&(e==null||c[l].queue===e)&&(c[l].anim.stop(n),s=!1,c.splice(l,1));(s||!n)&&o.dequeue(this,e)})},finish:function(e){return e!==!1&&(e=e||"fx"),this.each(function(){var t,n=$.get(this),r=n[e+"queue"],s=n[e+"queueHooks"],l=o.timers,c=r?r.length:0;for(n.finish=!0,o.queue(this,e,[]),s&&s.stop&&s.stop.call(this,!0),t=l.length;t--;)l[t].elem===this&&l[t].queue===e&&(l[t].anim.stop(!0),l.splice(t,1));for(t=0;t<c;t++)r[t]&&r[t].finish&&r[t].finish.call(this);delete n.finish})}}),o.each(["toggle","show","hide"],function(e,t){var n=o.fn[t];o.fn[t]=function(r,s,l){return r==null||typeof r=="boolean"?n.apply(this,arguments):this.animate(It(t,!0),r,s,l)}}),o.each({slideDown:It("show"),slideUp:It("hide"),slideToggle:It("toggle"),fadeIn:{opacity:"show"},fadeOut:{opacity:"hide"},fadeToggle:{opacity:"toggle"}},function(e,t){o.fn[e]=function(n,r,s){return this.animate(t,n,r,s)}}),o.timers=[],o.fx.tick=function(){var e,t=0,n=o.timers;for(st=Date.now();t<n.length;t++)e=n[t],!e()&&n[t]===e&&n.splice(t--,1);n.length||o.fx.stop(),st=void 0},o.fx.timer=function(e){o.timers.push(e),o.fx.start()},o.fx.interval=13,o.fx.start=function(){qt||(qt=!0,gn())},o.fx.stop=function(){qt=null},o.fx.speeds={slow:600,fast:200,_default:400},o.fn.delay=function(e,t){return e=o.fx&&o.fx.speeds[e]||e,t=t||"fx",this.queue(t,function(n,r){var s=i.setTimeout(n,e);r.stop=function(){i.clearTimeout(s)}})},(function(){var e=L.createElement("input"),t=L.createElement("select"),n=t.appendChild(L.createElement("option"));e.type="checkbox",R.checkOn=e.value!=="",R.optSelected=n.selected,e=L.createElement("input"),e.value="t",e.type="radio",R.radioValue=e.value==="t"})();var Mi,xt=o.expr.attrHandle;o.fn.extend({attr:function(e,t){return $e(this,o.attr,e,t,arguments.length>1)},removeAttr:function(e){return this.each(function(){o.removeAttr(this,e)})}}),o.extend({attr:function(e,t,n){var r,s,l=e.nodeType;if(!(l===3||l===8||l===2)){if(typeof e.getAttribute>"u")return o.prop(e,t,n);if((l!==1||!o.isXMLDoc(e))&&(s=o.attrHooks[t.toLowerCase()]||(o.expr.match.bool.test(t)?Mi:void 0)),n!==void 0){if(n===null){o.removeAttr(e,t);return}return s&&"set"in s&&(r=s.set(e,n,t))!==void 0?r:(e.setAttribute(t,n+""),n)}return s&&"get"in s&&(r=s.get(e,t))!==null?r:(r=o.find.attr(e,t),r??void 0)}},attrHooks:{type:{set:function(e,t){if(!R.radioValue&&t==="radio"&&J(e,"input")){var n=e.value;return e.setAttribute("type",t),n&&(e.value=n),t}}}},removeAttr:function(e,t){var n,r=0,s=t&&t.match(we);if(s&&e.nodeType===1)for(;n=s[r++];)e.removeAttribute(n)}}),Mi={set:function(e,t,n){return t===!1?o.removeAttr(e,n):e.setAttribute(n,n),n}},o.each(o.expr.match.bool.source.match(/\w+/g),function(e,t){var n=xt[t]||o.find.attr;xt[t]=function(r,s,l){var c,m,p=s.toLowerCase();return l||(m=xt[p],xt[p]=c,c=n(r,s,l)!=null?p:null,xt[p]=m),c}});var na=/^(?:input|select|textarea|button)$/i,ia=/^(?:a|area)$/i;o.fn.extend({prop:function(e,t){return $e(this,o.prop,e,t,arguments.length>1)},removeProp:function(e){return this.each(function(){delete this[o.propFix[e]||e]})}}),o.extend({prop:function(e,t,n){var r,s,l=e.nodeType;if(!(l===3||l===8||l===2))return(l!==1||!o.isXMLDoc(e))&&(t=o.propFix[t]||t,s=o.propHooks[t]),n!==void 0?s&&"set"in s&&(r=s.set(e,n,t))!==void 0?r:e[t]=n:s&&"get"in s&&(r=s.get(e,t))!==null?r:e[t]},propHooks:{tabIndex:{get:function(e){var t=o.find.attr(e,"tabindex");return t?parseInt(t,10):na.test(e.nodeName)||ia.test(e.nodeName)&&e.href?0:-1}}},propFix:{for:"htmlFor",class:"className"}}),R.optSelected||(o.propHooks.selected={get:function(e){var t=e.parentNode;return t&&t.parentNode&&t.parentNode.selectedIndex,null},set:function(e){var t=e.parentNode;t&&(t.selectedIndex,t.parentNode&&t.parentNode.selectedIndex)}}),o.each(["tabIndex","readOnly","maxLength","cellSpacing","cellPadding","rowSpan","colSpan","useMap","frameBorder","contentEditable"],function(){o.propFix[this.toLowerCase()]=this});function Ue(e){var t=e.match(we)||[];return t.join(" ")}function Qe(e){return e.getAttribute&&e.getAttribute("class")||""}function bn(e){return Array.isArray(e)?e:typeof e=="string"?e.match(we)||[]:[]}o.fn.extend({addClass:function(e){var t,n,r,s,l,c;return H(e)?this.each(function(m){o(this).addClass(e.call(this,m,Qe(this)))}):(t=bn(e),t.length?this.each(function(){if(r=Qe(this),n=this.nodeType===1&&" "+Ue(r)+" ",n){for(l=0;l<t.length;l++)s=t[l],n.indexOf(" "+s+" ")<0&&(n+=s+" ");c=Ue(n),r!==c&&this.setAttribute("class",c)}}):this)},removeClass:function(e){var t,n,r,s,l,c;return H(e)?this.each(function(m){o(this).removeClass(e.call(this,m,Qe(this)))}):arguments.length?(t=bn(e),t.length?this.each(function(){if(r=Qe(this),n=this.nodeType===1&&" "+Ue(r)+" ",n){for(l=0;l<t.length;l++)for(s=t[l];n.indexOf(" "+s+" ")>-1;)n=n.replace(" "+s+" "," ");c=Ue(n),r!==c&&this.setAttribute("class",c)}}):this):this.attr("class","")},toggleClass:function(e,t){var n,r,s,l,c=typeof e,m=c==="string"||Array.isArray(e);return H(e)?this.each(function(p){o(this).toggleClass(e.call(this,p,Qe(this),t),t)}):typeof t=="boolean"&&m?t?this.addClass(e):this.removeClass(e):(n=bn(e),this.each(function(){if(m)for(l=o(this),s=0;s<n.length;s++)r=n[s],l.hasClass(r)?l.removeClass(r):l.addClass(r);else(e===void 0||c==="boolean")&&(r=Qe(this),r&&$.set(this,"__className__",r),this.setAttribute&&this.setAttribute("class",r||e===!1?"":$.get(this,"__className__")||""))}))},hasClass:function(e){var t,n,r=0;for(t=" "+e+" ";n=this[r++];)if(n.nodeType===1&&(" "+Ue(Qe(n))+" ").indexOf(t)>-1)return!0;return!1}});var ra=/\r/g;o.fn.extend({val:function(e){var t,n,r,s=this[0];return arguments.length?(r=H(e),this.each(function(l){var c;this.nodeType===1&&(r?c=e.call(this,l,o(this).val()):c=e,c==null?c="":typeof c=="number"?c+="":Array.isArray(c)&&(c=o.map(c,function(m){return m==null?"":m+""})),t=o.valHooks[this.type]||o.valHooks[this.nodeName.toLowerCase()],(!t||!("set"in t)||t.set(this,c,"value")===void 0)&&(this.value=c))})):s?(t=o.valHooks[s.type]||o.valHooks[s.nodeName.toLowerCase()],t&&"get"in t&&(n=t.get(s,"value"))!==void 0?n:(n=s.value,typeof n=="string"?n.replace(ra,""):n??"")):void 0}}),o.extend({valHooks:{option:{get:function(e){var t=o.find.attr(e,"value");return t??Ue(o.text(e))}},select:{get:function(e){var t,n,r,s=e.options,l=e.selectedIndex,c=e.type==="select-one",m=c?null:[],p=c?l+1:s.length;for(l<0?r=p:r=c?l:0;r<p;r++)if(n=s[r],(n.selected||r===l)&&!n.disabled&&(!n.parentNode.disabled||!J(n.parentNode,"optgroup"))){if(t=o(n).val(),c)return t;m.push(t)}return m},set:function(e,t){for(var n,r,s=e.options,l=o.makeArray(t),c=s.length;c--;)r=s[c],(r.selected=o.inArray(o.valHooks.option.get(r),l)>-1)&&(n=!0);return n||(e.selectedIndex=-1),l}}}}),o.each(["radio","checkbox"],function(){o.valHooks[this]={set:function(e,t){if(Array.isArray(t))return e.checked=o.inArray(o(e).val(),t)>-1}},R.checkOn||(o.valHooks[this].get=function(e){return e.getAttribute("value")===null?"on":e.value})});var wt=i.location,Di={guid:Date.now()},vn=/\?/;o.parseXML=function(e){var t,n;if(!e||typeof e!="string")return null;try{t=new i.DOMParser().parseFromString(e,"text/xml")}catch{}return n=t&&t.getElementsByTagName("parsererror")[0],(!t||n)&&o.error("Invalid XML: "+(n?o.map(n.childNodes,function(r){return r.textContent}).join(`
+`):e)),t};var $i=/^(?:focusinfocus|focusoutblur)$/,ji=function(e){e.stopPropagation()};o.extend(o.event,{trigger:function(e,t,n,r){var s,l,c,m,p,b,w,k,y=[n||L],S=Me.call(e,"type")?e.type:e,I=Me.call(e,"namespace")?e.namespace.split("."):[];if(l=k=c=n=n||L,!(n.nodeType===3||n.nodeType===8)&&!$i.test(S+o.event.triggered)&&(S.indexOf(".")>-1&&(I=S.split("."),S=I.shift(),I.sort()),p=S.indexOf(":")<0&&"on"+S,e=e[o.expando]?e:new o.Event(S,typeof e=="object"&&e),e.isTrigger=r?2:3,e.namespace=I.join("."),e.rnamespace=e.namespace?new RegExp("(^|\\.)"+I.join("\\.(?:.*\\.|)")+"(\\.|$)"):null,e.result=void 0,e.target||(e.target=n),t=t==null?[e]:o.makeArray(t,[e]),w=o.event.special[S]||{},!(!r&&w.trigger&&w.trigger.apply(n,t)===!1))){if(!r&&!w.noBubble&&!Je(n)){for(m=w.delegateType||S,$i.test(m+S)||(l=l.parentNode);l;l=l.parentNode)y.push(l),c=l;c===(n.ownerDocument||L)&&y.push(c.defaultView||c.parentWindow||i)}for(s=0;(l=y[s++])&&!e.isPropagationStopped();)k=l,e.type=s>1?m:w.bindType||S,b=($.get(l,"events")||Object.create(null))[e.type]&&$.get(l,"handle"),b&&b.apply(l,t),b=p&&l[p],b&&b.apply&&mt(l)&&(e.result=b.apply(l,t),e.result===!1&&e.preventDefault());return e.type=S,!r&&!e.isDefaultPrevented()&&(!w._default||w._default.apply(y.pop(),t)===!1)&&mt(n)&&p&&H(n[S])&&!Je(n)&&(c=n[p],c&&(n[p]=null),o.event.triggered=S,e.isPropagationStopped()&&k.addEventListener(S,ji),n[S](),e.isPropagationStopped()&&k.removeEventListener(S,ji),o.event.triggered=void 0,c&&(n[p]=c)),e.result}},simulate:function(e,t,n){var r=o.extend(new o.Event,n,{type:e,isSimulated:!0});o.event.trigger(r,null,t)}}),o.fn.extend({trigger:function(e,t){return this.each(function(){o.event.trigger(e,t,this)})},triggerHandler:function(e,t){var n=this[0];if(n)return o.event.trigger(e,t,n,!0)}});var oa=/\[\]$/,Oi=/\r?\n/g,aa=/^(?:submit|button|image|reset|file)$/i,sa=/^(?:input|select|textarea|keygen)/i;function yn(e,t,n,r){var s;if(Array.isArray(t))o.each(t,function(l,c){n||oa.test(e)?r(e,c):yn(e+"["+(typeof c=="object"&&c!=null?l:"")+"]",c,n,r)});else if(!n&&Ze(t)==="object")for(s in t)yn(e+"["+s+"]",t[s],n,r);else r(e,t)}o.param=function(e,t){var n,r=[],s=function(l,c){var m=H(c)?c():c;r[r.length]=encodeURIComponent(l)+"="+encodeURIComponent(m??"")};if(e==null)return"";if(Array.isArray(e)||e.jquery&&!o.isPlainObject(e))o.each(e,function(){s(this.name,this.value)});else for(n in e)yn(n,e[n],t,s);return r.join("&")},o.fn.extend({serialize:function(){return o.param(this.serializeArray())},serializeArray:function(){return this.map(function(){var e=o.prop(this,"elements");return e?o.makeArray(e):this}).filter(function(){var e=this.type;return this.name&&!o(this).is(":disabled")&&sa.test(this.nodeName)&&!aa.test(e)&&(this.checked||!vt.test(e))}).map(function(e,t){var n=o(this).val();return n==null?null:Array.isArray(n)?o.map(n,function(r){return{name:t.name,value:r.replace(Oi,`\r
+`)}}):{name:t.name,value:n.replace(Oi,`\r
+`)}}).get()}});var la=/%20/g,ua=/#.*$/,ca=/([?&])_=[^&]*/,da=/^(.*?):[ \t]*([^\r\n]*)$/mg,fa=/^(?:about|app|app-storage|.+-extension|file|res|widget):$/,pa=/^(?:GET|HEAD)$/,ha=/^\/\//,Ni={},xn={},qi="*/".concat("*"),wn=L.createElement("a");wn.href=wt.href;function Ii(e){return function(t,n){typeof t!="string"&&(n=t,t="*");var r,s=0,l=t.toLowerCase().match(we)||[];if(H(n))for(;r=l[s++];)r[0]==="+"?(r=r.slice(1)||"*",(e[r]=e[r]||[]).unshift(n)):(e[r]=e[r]||[]).push(n)}}function Pi(e,t,n,r){var s={},l=e===xn;function c(m){var p;return s[m]=!0,o.each(e[m]||[],function(b,w){var k=w(t,n,r);if(typeof k=="string"&&!l&&!s[k])return t.dataTypes.unshift(k),c(k),!1;if(l)return!(p=k)}),p}return c(t.dataTypes[0])||!s["*"]&&c("*")}function _n(e,t){var n,r,s=o.ajaxSettings.flatOptions||{};for(n in t)t[n]!==void 0&&((s[n]?e:r||(r={}))[n]=t[n]);return r&&o.extend(!0,e,r),e}function ma(e,t,n){for(var r,s,l,c,m=e.contents,p=e.dataTypes;p[0]==="*";)p.shift(),r===void 0&&(r=e.mimeType||t.getResponseHeader("Content-Type"));if(r){for(s in m)if(m[s]&&m[s].test(r)){p.unshift(s);break}}if(p[0]in n)l=p[0];else{for(s in n){if(!p[0]||e.converters[s+" "+p[0]]){l=s;break}c||(c=s)}l=l||c}if(l)return l!==p[0]&&p.unshift(l),n[l]}function ga(e,t,n,r){var s,l,c,m,p,b={},w=e.dataTypes.slice();if(w[1])for(c in e.converters)b[c.toLowerCase()]=e.converters[c];for(l=w.shift();l;)if(e.responseFields[l]&&(n[e.responseFields[l]]=t),!p&&r&&e.dataFilter&&(t=e.dataFilter(t,e.dataType)),p=l,l=w.shift(),l){if(l==="*")l=p;else if(p!=="*"&&p!==l){if(c=b[p+" "+l]||b["* "+l],!c){for(s in b)if(m=s.split(" "),m[1]===l&&(c=b[p+" "+m[0]]||b["* "+m[0]],c)){c===!0?c=b[s]:b[s]!==!0&&(l=m[0],w.unshift(m[1]));break}}if(c!==!0)if(c&&e.throws)t=c(t);else try{t=c(t)}catch(k){return{state:"parsererror",error:c?k:"No conversion from "+p+" to "+l}}}}return{state:"success",data:t}}o.extend({active:0,lastModified:{},etag:{},ajaxSettings:{url:wt.href,type:"GET",isLocal:fa.test(wt.protocol),global:!0,processData:!0,async:!0,contentType:"application/x-www-form-urlencoded; charset=UTF-8",accepts:{"*":qi,text:"text/plain",html:"text/html",xml:"application/xml, text/xml",json:"application/json, text/javascript"},contents:{xml:/\bxml\b/,html:/\bhtml/,json:/\bjson\b/},responseFields:{xml:"responseXML",text:"responseText",json:"responseJSON"},converters:{"* text":String,"text html":!0,"text json":JSON.parse,"text xml":o.parseXML},flatOptions:{url:!0,context:!0}},ajaxSetup:function(e,t){return t?_n(_n(e,o.ajaxSettings),t):_n(o.ajaxSettings,e)},ajaxPrefilter:Ii(Ni),ajaxTransport:Ii(xn),ajax:function(e,t){typeof e=="object"&&(t=e,e=void 0),t=t||{};var n,r,s,l,c,m,p,b,w,k,y=o.ajaxSetup({},t),S=y.context||y,I=y.context&&(S.nodeType||S.jquery)?o(S):o.event,Q=o.Deferred(),F=o.Callbacks("once memory"),oe=y.statusCode||{},ie={},ke={},Te="canceled",U={readyState:0,getResponseHeader:function(K){var te;if(p){if(!l)for(l={};te=da.exec(s);)l[te[1].toLowerCase()+" "]=(l[te[1].toLowerCase()+" "]||[]).concat(te[2]);te=l[K.toLowerCase()+" "]}return te==null?null:te.join(", ")},getAllResponseHeaders:function(){return p?s:null},setRequestHeader:function(K,te){return p==null&&(K=ke[K.toLowerCase()]=ke[K.toLowerCase()]||K,ie[K]=te),this},overrideMimeType:function(K){return p==null&&(y.mimeType=K),this},statusCode:function(K){var te;if(K)if(p)U.always(K[U.status]);else for(te in K)oe[te]=[oe[te],K[te]];return this},abort:function(K){var te=K||Te;return n&&n.abort(te),Ke(0,te),this}};if(Q.promise(U),y.url=((e||y.url||wt.href)+"").replace(ha,wt.protocol+"//"),y.type=t.method||t.type||y.method||y.type,y.dataTypes=(y.dataType||"*").toLowerCase().match(we)||[""],y.crossDomain==null){m=L.createElement("a");try{m.href=y.url,m.href=m.href,y.crossDomain=wn.protocol+"//"+wn.host!=m.protocol+"//"+m.host}catch{y.crossDomain=!0}}if(y.data&&y.processData&&typeof y.data!="string"&&(y.data=o.param(y.data,y.traditional)),Pi(Ni,y,t,U),p)return U;b=o.event&&y.global,b&&o.active++===0&&o.event.trigger("ajaxStart"),y.type=y.type.toUpperCase(),y.hasContent=!pa.test(y.type),r=y.url.replace(ua,""),y.hasContent?y.data&&y.processData&&(y.contentType||"").indexOf("application/x-www-form-urlencoded")===0&&(y.data=y.data.replace(la,"+")):(k=y.url.slice(r.length),y.data&&(y.processData||typeof y.data=="string")&&(r+=(vn.test(r)?"&":"?")+y.data,delete y.data),y.cache===!1&&(r=r.replace(ca,"$1"),k=(vn.test(r)?"&":"?")+"_="+Di.guid+++k),y.url=r+k),y.ifModified&&(o.lastModified[r]&&U.setRequestHeader("If-Modified-Since",o.lastModified[r]),o.etag[r]&&U.setRequestHeader("If-None-Match",o.etag[r])),(y.data&&y.hasContent&&y.contentType!==!1||t.contentType)&&U.setRequestHeader("Content-Type",y.contentType),U.setRequestHeader("Accept",y.dataTypes[0]&&y.accepts[y.dataTypes[0]]?y.accepts[y.dataTypes[0]]+(y.dataTypes[0]!=="*"?", "+qi+"; q=0.01":""):y.accepts["*"]);for(w in y.headers)U.setRequestHeader(w,y.headers[w]);if(y.beforeSend&&(y.beforeSend.call(S,U,y)===!1||p))return U.abort();if(Te="abort",F.add(y.complete),U.done(y.success),U.fail(y.error),n=Pi(xn,y,t,U),!n)Ke(-1,"No Transport");else{if(U.readyState=1,b&&I.trigger("ajaxSend",[U,y]),p)return U;y.async&&y.timeout>0&&(c=i.setTimeout(function(){U.abort("timeout")},y.timeout));try{p=!1,n.send(ie,Ke)}catch(K){if(p)throw K;Ke(-1,K)}}function Ke(K,te,kt,Tn){var Ee,Tt,Se,Re,He,he=te;p||(p=!0,c&&i.clearTimeout(c),n=void 0,s=Tn||"",U.readyState=K>0?4:0,Ee=K>=200&&K<300||K===304,kt&&(Re=ma(y,U,kt)),!Ee&&o.inArray("script",y.dataTypes)>-1&&o.inArray("json",y.dataTypes)<0&&(y.converters["text script"]=function(){}),Re=ga(y,Re,U,Ee),Ee?(y.ifModified&&(He=U.getResponseHeader("Last-Modified"),He&&(o.lastModified[r]=He),He=U.getResponseHeader("etag"),He&&(o.etag[r]=He)),K===204||y.type==="HEAD"?he="nocontent":K===304?he="notmodified":(he=Re.state,Tt=Re.data,Se=Re.error,Ee=!Se)):(Se=he,(K||!he)&&(he="error",K<0&&(K=0))),U.status=K,U.statusText=(te||he)+"",Ee?Q.resolveWith(S,[Tt,he,U]):Q.rejectWith(S,[U,he,Se]),U.statusCode(oe),oe=void 0,b&&I.trigger(Ee?"ajaxSuccess":"ajaxError",[U,y,Ee?Tt:Se]),F.fireWith(S,[U,he]),b&&(I.trigger("ajaxComplete",[U,y]),--o.active||o.event.trigger("ajaxStop")))}return U},getJSON:function(e,t,n){return o.get(e,t,n,"json")},getScript:function(e,t){return o.get(e,void 0,t,"script")}}),o.each(["get","post"],function(e,t){o[t]=function(n,r,s,l){return H(r)&&(l=l||s,s=r,r=void 0),o.ajax(o.extend({url:n,type:t,dataType:l,data:r,success:s},o.isPlainObject(n)&&n))}}),o.ajaxPrefilter(function(e){var t;for(t in e.headers)t.toLowerCase()==="content-type"&&(e.contentType=e.headers[t]||"")}),o._evalUrl=function(e,t,n){return o.ajax({url:e,type:"GET",dataType:"script",cache:!0,async:!1,global:!1,converters:{"text script":function(){}},dataFilter:function(r){o.globalEval(r,t,n)}})},o.fn.extend({wrapAll:function(e){var t;return this[0]&&(H(e)&&(e=e.call(this[0])),t=o(e,this[0].ownerDocument).eq(0).clone(!0),this[0].parentNode&&t.insertBefore(this[0]),t.map(function(){for(var n=this;n.firstElementChild;)n=n.firstElementChild;return n}).append(this)),this},wrapInner:function(e){return H(e)?this.each(function(t){o(this).wrapInner(e.call(this,t))}):this.each(function(){var t=o(this),n=t.contents();n.length?n.wrapAll(e):t.append(e)})},wrap:function(e){var t=H(e);return this.each(function(n){o(this).wrapAll(t?e.call(this,n):e)})},unwrap:function(e){return this.parent(e).not("body").each(function(){o(this).replaceWith(this.childNodes)}),this}}),o.expr.pseudos.hidden=function(e){return!o.expr.pseudos.visible(e)},o.expr.pseudos.visible=function(e){return!!(e.offsetWidth||e.offsetHeight||e.getClientRects().length)},o.ajaxSettings.xhr=function(){try{return new i.XMLHttpRequest}catch{}};var ba={0:200,1223:204},_t=o.ajaxSettings.xhr();R.cors=!!_t&&"withCredentials"in _t,R.ajax=_t=!!_t,o.ajaxTransport(function(e){var t,n;if(R.cors||_t&&!e.crossDomain)return{send:function(r,s){var l,c=e.xhr();if(c.open(e.type,e.url,e.async,e.username,e.password),e.xhrFields)for(l in e.xhrFields)c[l]=e.xhrFields[l];e.mimeType&&c.overrideMimeType&&c.overrideMimeType(e.mimeType),!e.crossDomain&&!r["X-Requested-With"]&&(r["X-Requested-With"]="XMLHttpRequest");for(l in r)c.setRequestHeader(l,r[l]);t=function(m){return function(){t&&(t=n=c.onload=c.onerror=c.onabort=c.ontimeout=c.onreadystatechange=null,m==="abort"?c.abort():m==="error"?typeof c.status!="number"?s(0,"error"):s(c.status,c.statusText):s(ba[c.status]||c.status,c.statusText,(c.responseType||"text")!=="text"||typeof c.responseText!="string"?{binary:c.response}:{text:c.responseText},c.getAllResponseHeaders()))}},c.onload=t(),n=c.onerror=c.ontimeout=t("error"),c.onabort!==void 0?c.onabort=n:c.onreadystatechange=function(){c.readyState===4&&i.setTimeout(function(){t&&n()})},t=t("abort");try{c.send(e.hasContent&&e.data||null)}catch(m){if(t)throw m}},abort:function(){t&&t()}}}),o.ajaxPrefilter(function(e){e.crossDomain&&(e.contents.script=!1)}),o.ajaxSetup({accepts:{script:"text/javascript, application/javascript, application/ecmascript, application/x-ecmascript"},contents:{script:/\b(?:java|ecma)script\b/},converters:{"text script":function(e){return o.globalEval(e),e}}}),o.ajaxPrefilter("script",function(e){e.cache===void 0&&(e.cache=!1),e.crossDomain&&(e.type="GET")}),o.ajaxTransport("script",function(e){if(e.crossDomain||e.scriptAttrs){var t,n;return{send:function(r,s){t=o("<script>").attr(e.scriptAttrs||{}).prop({charset:e.scriptCharset,src:e.url}).on("load error",n=function(l){t.remove(),n=null,l&&s(l.type==="error"?404:200,l.type)}),L.head.appendChild(t[0])},abort:function(){n&&n()}}}});var Li=[],kn=/(=)\?(?=&|$)|\?\?/;o.ajaxSetup({jsonp:"callback",jsonpCallback:function(){var e=Li.pop()||o.expando+"_"+Di.guid++;return this[e]=!0,e}}),o.ajaxPrefilter("json jsonp",function(e,t,n){var r,s,l,c=e.jsonp!==!1&&(kn.test(e.url)?"url":typeof e.data=="string"&&(e.contentType||"").indexOf("application/x-www-form-urlencoded")===0&&kn.test(e.data)&&"data");if(c||e.dataTypes[0]==="jsonp")return r=e.jsonpCallback=H(e.jsonpCallback)?e.jsonpCallback():e.jsonpCallback,c?e[c]=e[c].replace(kn,"$1"+r):e.jsonp!==!1&&(e.url+=(vn.test(e.url)?"&":"?")+e.jsonp+"="+r),e.converters["script json"]=function(){return l||o.error(r+" was not called"),l[0]},e.dataTypes[0]="json",s=i[r],i[r]=function(){l=arguments},n.always(function(){s===void 0?o(i).removeProp(r):i[r]=s,e[r]&&(e.jsonpCallback=t.jsonpCallback,Li.push(r)),l&&H(s)&&s(l[0]),l=s=void 0}),"script"}),R.createHTMLDocument=(function(){var e=L.implementation.createHTMLDocument("").body;return e.innerHTML="<form></form><form></form>",e.childNodes.length===2})(),o.parseHTML=function(e,t,n){if(typeof e!="string")return[];typeof t=="boolean"&&(n=t,t=!1);var r,s,l;return t||(R.createHTMLDocument?(t=L.implementation.createHTMLDocument(""),r=t.createElement("base"),r.href=L.location.href,t.head.appendChild(r)):t=L),s=ri.exec(e),l=!n&&[],s?[t.createElement(s[1])]:(s=hi([e],t,l),l&&l.length&&o(l).remove(),o.merge([],s.childNodes))},o.fn.load=function(e,t,n){var r,s,l,c=this,m=e.indexOf(" ");return m>-1&&(r=Ue(e.slice(m)),e=e.slice(0,m)),H(t)?(n=t,t=void 0):t&&typeof t=="object"&&(s="POST"),c.length>0&&o.ajax({url:e,type:s||"GET",dataType:"html",data:t}).done(function(p){l=arguments,c.html(r?o("<div>").append(o.parseHTML(p)).find(r):p)}).always(n&&function(p,b){c.each(function(){n.apply(this,l||[p.responseText,b,p])})}),this},o.expr.pseudos.animated=function(e){return o.grep(o.timers,function(t){return e===t.elem}).length},o.offset={setOffset:function(e,t,n){var r,s,l,c,m,p,b,w=o.css(e,"position"),k=o(e),y={};w==="static"&&(e.style.position="relative"),m=k.offset(),l=o.css(e,"top"),p=o.css(e,"left"),b=(w==="absolute"||w==="fixed")&&(l+p).indexOf("auto")>-1,b?(r=k.position(),c=r.top,s=r.left):(c=parseFloat(l)||0,s=parseFloat(p)||0),H(t)&&(t=t.call(e,n,o.extend({},m))),t.top!=null&&(y.top=t.top-m.top+c),t.left!=null&&(y.left=t.left-m.left+s),"using"in t?t.using.call(e,y):k.css(y)}},o.fn.extend({offset:function(e){if(arguments.length)return e===void 0?this:this.each(function(s){o.offset.setOffset(this,e,s)});var t,n,r=this[0];if(r)return r.getClientRects().length?(t=r.getBoundingClientRect(),n=r.ownerDocument.defaultView,{top:t.top+n.pageYOffset,left:t.left+n.pageXOffset}):{top:0,left:0}},position:function(){if(this[0]){var e,t,n,r=this[0],s={top:0,left:0};if(o.css(r,"position")==="fixed")t=r.getBoundingClientRect();else{for(t=this.offset(),n=r.ownerDocument,e=r.offsetParent||n.documentElement;e&&(e===n.body||e===n.documentElement)&&o.css(e,"position")==="static";)e=e.parentNode;e&&e!==r&&e.nodeType===1&&(s=o(e).offset(),s.top+=o.css(e,"borderTopWidth",!0),s.left+=o.css(e,"borderLeftWidth",!0))}return{top:t.top-s.top-o.css(r,"marginTop",!0),left:t.left-s.left-o.css(r,"marginLeft",!0)}}},offsetParent:function(){return this.map(function(){for(var e=this.offsetParent;e&&o.css(e,"position")==="static";)e=e.offsetParent;return e||We})}}),o.each({scrollLeft:"pageXOffset",scrollTop:"pageYOffset"},function(e,t){var n=t==="pageYOffset";o.fn[e]=function(r){return $e(this,function(s,l,c){var m;if(Je(s)?m=s:s.nodeType===9&&(m=s.defaultView),c===void 0)return m?m[t]:s[l];m?m.scrollTo(n?m.pageXOffset:c,n?c:m.pageYOffset):s[l]=c},e,r,arguments.length)}}),o.each(["top","left"],function(e,t){o.cssHooks[t]=xi(R.pixelPosition,function(n,r){if(r)return r=yt(n,t),fn.test(r)?o(n).position()[t]+"px":r})}),o.each({Height:"height",Width:"width"},function(e,t){o.each({padding:"inner"+e,content:t,"":"outer"+e},function(n,r){o.fn[r]=function(s,l){var c=arguments.length&&(n||typeof s!="boolean"),m=n||(s===!0||l===!0?"margin":"border");return $e(this,function(p,b,w){var k;return Je(p)?r.indexOf("outer")===0?p["inner"+e]:p.document.documentElement["client"+e]:p.nodeType===9?(k=p.documentElement,Math.max(p.body["scroll"+e],k["scroll"+e],p.body["offset"+e],k["offset"+e],k["client"+e])):w===void 0?o.css(p,b,m):o.style(p,b,w,m)},t,c?s:void 0,c)}})}),o.each(["ajaxStart","ajaxStop","ajaxComplete","ajaxError","ajaxSuccess","ajaxSend"],function(e,t){o.fn[t]=function(n){return this.on(t,n)}}),o.fn.extend({bind:function(e,t,n){return this.on(e,null,t,n)},unbind:function(e,t){return this.off(e,null,t)},delegate:function(e,t,n,r){return this.on(t,e,n,r)},undelegate:function(e,t,n){return arguments.length===1?this.off(e,"**"):this.off(t,e||"**",n)},hover:function(e,t){return this.on("mouseenter",e).on("mouseleave",t||e)}}),o.each("blur focus focusin focusout resize scroll click dblclick mousedown mouseup mousemove mouseover mouseout mouseenter mouseleave change select submit keydown keypress keyup contextmenu".split(" "),function(e,t){o.fn[t]=function(n,r){return arguments.length>0?this.on(t,null,n,r):this.trigger(t)}});var va=/^[\s\uFEFF\xA0]+|([^\s\uFEFF\xA0])[\s\uFEFF\xA0]+$/g;o.proxy=function(e,t){var n,r,s;if(typeof t=="string"&&(n=e[t],t=e,e=n),!!H(e))return r=h.call(arguments,2),s=function(){return e.apply(t||this,r.concat(h.call(arguments)))},s.guid=e.guid=e.guid||o.guid++,s},o.holdReady=function(e){e?o.readyWait++:o.ready(!0)},o.isArray=Array.isArray,o.parseJSON=JSON.parse,o.nodeName=J,o.isFunction=H,o.isWindow=Je,o.camelCase=_e,o.type=Ze,o.now=Date.now,o.isNumeric=function(e){var t=o.type(e);return(t==="number"||t==="string")&&!isNaN(e-parseFloat(e))},o.trim=function(e){return e==null?"":(e+"").replace(va,"$1")},typeof define=="function"&&define.amd&&define("jquery",[],function(){return o});var ya=i.jQuery,xa=i.$;return o.noConflict=function(e){return i.$===o&&(i.$=xa),e&&i.jQuery===o&&(i.jQuery=ya),o},typeof a>"u"&&(i.jQuery=i.$=o),o})});var zt=X((Sl,Ui)=>{"use strict";var Bt=[5,15,30,60,300,900],jn=1e3;function zi(i,a=60){return a*Math.floor(i/a)}function On(i,a){i[a]==null&&(i[a]={rates:{}});let u=i[a];return u.series==null&&(u.series={},u.sizes={},Bt.forEach(function(d){u.series[d]=d==60?u.rates:{},u.sizes[d]=Object.keys(u.series[d]).length})),u.signals==null&&(u.signals={}),u.nextDealTime==null&&(u.nextDealTime=new Date),u.indicators==null&&(u.indicators={}),u.state==null&&(u.state={}),u}function Aa(i,a,u){for(let d in i.indicators){let h=i.indicators[d];h.timeframe==a&&h.at>=u&&delete i.indicators[d]}}function Ma(i,a){let u=i.series[a],d=i.sizes[a]-jn;for(let h in u){if(d--<=0)break;delete u[h],i.sizes[a]--}}function Wi(i,a,u,d,h){let T=zi(u,a),N=i.series[a],j=N[T];j==null||d==a?(j==null&&i.sizes[a]++,N[T]=h.slice()):(d>0&&u==T&&(j[0]=h[0]),(u+d>=T+a||d==0)&&(j[1]=h[1]),j[2]=Math.max(j[2],h[2]),j[3]=Math.min(j[3],h[3])),Aa(i,a,T),i.sizes[a]>jn&&Ma(i,a)}function Da(i,a,u,d=60){let h=On(i,a),T=[u[1],u[2],u[3],u[4]];Bt.forEach(function(N){N>=d&&N%d==0&&Wi(h,N,u[0],d,T)})}function $a(i,a,u){let d=On(i,a),h=u[1];Bt.forEach(function(T){Wi(d,T,u[0],0,[h,h,h,h])})}function ja(i,a){let u=i[a]&&i[a].rates;if(!u)return null;let d=null;for(let h in u)(d==null||Number(h)>Number(d))&&(d=h);return d==null?null:u[d][1]}Ui.exports={PERIOD:60,TIMEFRAMES:Bt,MAX_CANDLES:jn,candleStart:zi,checkRate:On,addRate:Da,addCurrentRate:$a,lastPrice:ja}});var Nn=X((Cl,Vi)=>{"use strict";var{PERIOD:Qi,candleStart:Ki}=zt();function Oa(i,a,u,d=Qi){let h=!1;for(let T=0,N=Ki(a,d);T<=u;T++,N-=d){let j=i[N];if(j==null||j[0]==j[1])return!1;let ne=j[0]<j[1]?"up":"down";if(h&&h!=ne)return!1;h=ne}return h}function Na(i,a,u,d=Qi){let h=Ki(a,d),T=i[h];if(T==null||3*(a-h)<2*d)return!1;let N=Math.abs(T[1]-T[0]),j=T[2]-Math.max(T[0],T[1]),ne=Math.min(T[0],T[1])-T[3];return j>ne&&j>N*u?"down":j<ne&&ne>N*u&&"up"}var Wt=[1,2,3,5,10,15];function qa(i,a){let u=!1;for(let d=0;d<Wt.length;d++){if(a[d]==0)continue;let h=i[Wt[d]];if(h>0)if(h>2){if(u=="up")return!1;u="down",h-=2}else{if(u=="down")return!1;u="up"}if(h<a[d])return!1}return u}function Ia(i){let a=i.findIndex(u=>u>0);return a==-1?null:60*Wt[a]}Vi.exports={candles:Oa,pinBar:Na,signals:qa,signalExpiry:Ia,SIGNAL_TIMEFRAMES:Wt}});var Ji=X((Al,Gi)=>{"use strict";var Ut=Nn(),{candleStart:Pa}=zt();function Yi(i,a,u,d){let h=!1;return a<u&&i.last>u&&(h="down"),a>d&&i.last<d&&(h="up"),i.last=a,h}function Xi(i,a,u){let d=a>u?"up":a<u?"down":!1,h=d&&i.side&&d!=i.side&&d;return d&&(i.side=d),h}Gi.exports=[{id:"signals",name:"signals",description:"The bot will trade based on platform signals. Specify the signal level on each timeframe. After launching the bot, close and reopen the signals window.",events:["signals"],params:{forecastExpiry:{type:"boolean",default:!1,name:"expire with the shortest forecast"}},decide({signals:i,settings:a,params:u}){let d=Ut.signals(i,a.signals);return!d||!u.forecastExpiry?d:{direction:d,expiry:Ut.signalExpiry(a.signals)}}},{id:"cci",name:"cci20",description:"Trading using the CCI20 indicator. After launching the bot, alternately switch through the pairs that need to be analyzed. The robot will automatically enter into transactions.",events:["stream"],params:{period:{type:"integer",min:5,max:50,default:20,name:"period"},upper:{type:"number",min:0,max:300,default:115,name:"upper level"},lower:{type:"number",min:-300,max:0,default:-105,name:"lower level"}},decide({indicators:i,state:a,params:u}){let d=i.cci({period:u.period,constant:.02,open:!0});return d!==!1&&Yi(a,d,u.upper,u.lower)}},{id:"candles",name:"4 candles",description:"The robot will make a deal when 4 candles in a row point in the same direction. The trade goes in the opposite direction. After launching the bot, alternately switch through the pairs that need to be analyzed. The robot will automatically enter into transactions.",events:["stream"],params:{count:{type:"integer",min:1,max:10,default:4,name:"candles"},against:{type:"boolean",default:!0,name:"trade against the run"}},decide({candles:i,time:a,timeframe:u,params:d}){let h=Ut.candles(i,a,d.count,u);return!h||!d.against?h:h=="down"?"up":"down"}},{id:"pinBar",name:"pinBar",description:"Trades against the long shadow of a pin bar, 40 seconds into the candle.",events:["stream"],params:{ratio:{type:"number",min:1,max:20,default:4,name:"shadow to body"}},decide({candles:i,time:a,timeframe:u,params:d}){return Ut.pinBar(i,a,d.ratio,u)}},{id:"rsiReversal",name:"RSI reversal",description:"Trades against the move when RSI comes back from overbought or oversold.",events:["stream"],params:{period:{type:"integer",min:2,max:50,default:14,name:"period"},overbought:{type:"number",min:50,max:100,default:70,name:"overbought"},oversold:{type:"number",min:0,max:50,default:30,name:"oversold"}},decide({indicators:i,state:a,params:u}){let d=i.rsi({period:u.period});return d!==!1&&Yi(a,d,u.overbought,u.oversold)}},{id:"bollingerTouch",name:"Bollinger touch",description:"Trades back towards the middle when the price closes outside the Bollinger Bands.",events:["stream"],params:{period:{type:"integer",min:5,max:50,default:20,name:"period"},width:{type:"number",min:.5,max:4,default:2,name:"deviations"}},decide({indicators:i,candles:a,time:u,timeframe:d,params:h}){let T=i.bollinger(h);if(!T)return!1;let N=a[Pa(u,d)][1];return N>T.upper?"down":N<T.lower&&"up"}},{id:"macdCross",name:"MACD cross",description:"Trades with the MACD line when it crosses its signal line.",events:["stream"],params:{fast:{type:"integer",min:2,max:50,default:12,name:"fast EMA"},slow:{type:"integer",min:3,max:100,default:26,name:"slow EMA"},signal:{type:"integer",min:2,max:50,default:9,name:"signal EMA"}},decide({indicators:i,state:a,params:u}){let d=u.fast<u.slow&&i.macd(u);return d&&Xi(a,d.macd,d.signal)}},{id:"emaCross",name:"EMA cross",description:"Trades with the fast EMA when it crosses the slow one.",events:["stream"],params:{fast:{type:"integer",min:2,max:50,default:9,name:"fast EMA"},slow:{type:"integer",min:3,max:200,default:21,name:"slow EMA"}},decide({indicators:i,state:a,params:u}){let d=i.ema({period:u.fast}),h=i.ema({period:u.slow});return d!==!1&&h!==!1&&Xi(a,d,h)}},{id:"martin",name:"martingale",description:"Repeats every lost deal at the next stake of the Martingale ladder.",events:[],decide(){return!1}}]});var Pn=X((Ml,nr)=>{"use strict";var{PERIOD:La,TIMEFRAMES:Zi}=zt(),qn=["stream","history","signals"],er=["number","integer","boolean"],Ra=["up","down"],Qt=new Map;function qe(i,a){throw new TypeError(`strategy "${i}": ${a}`)}function tr(i){let a=i&&i.id;(typeof a!="string"||!/^[A-Za-z][\w-]*$/.test(a))&&qe(a,"the id must be a word"),(typeof i.name!="string"||i.name=="")&&qe(a,"a name is required"),(!Array.isArray(i.events)||i.events.some(d=>!qn.includes(d)))&&qe(a,`events must be a list of ${qn.join(", ")}`),i.timeframe!=null&&!Zi.includes(i.timeframe)&&qe(a,`timeframe must be one of ${Zi.join(", ")}`),typeof i.decide!="function"&&qe(a,"decide must be a function");let u=i.params||{};for(let d in u){let h=u[d];if(er.includes(h.type)||qe(a,`parameter "${d}" must be of type ${er.join(", ")}`),h.type=="boolean"){typeof h.default!="boolean"&&qe(a,`parameter "${d}" needs a boolean default`);continue}h.min<=h.default&&h.default<=h.max||qe(a,`parameter "${d}" needs min <= default <= max`)}}function In(i){tr(i),Qt.has(i.id)&&qe(i.id,"already registered"),Qt.set(i.id,Object.assign({description:"",timeframe:La,params:{}},i))}function Ha(i){i.forEach(function(a){try{In(a)}catch(u){console.error("belobot:",u.message)}})}function Fa(i){return Qt.get(i)}function Ba(){return Array.from(Qt.values())}function za(i,a={}){let u={};for(let d in i.params){let h=i.params[d],T=a[d];if(h.type=="boolean"){u[d]=typeof T=="boolean"?T:h.default;continue}T=Number(T),(a[d]==null||Number.isNaN(T))&&(T=h.default),h.type=="integer"&&(T=Math.round(T)),u[d]=Math.min(Math.max(T,h.min),h.max)}return u}function Wa(i){return Ra.includes(i)}Ji().forEach(In);nr.exports={EVENTS:qn,validate:tr,register:In,load:Ha,get:Fa,list:Ba,params:za,isDirection:Wa}});var ir=X((Dl,Ua)=>{Ua.exports=`.input-box {
+	width: 175px;
+	border: 1px solid #535562;
+	border-radius: 4px;
+	margin-bottom: 20px;
+	margin-top: 5px;
+	position: relative;
+}
+
+.input-box_title {
+	background-color: #23283b;
+    color: #8fa5bf;
+	-webkit-box-align: center;
+    align-items: center;
+    display: -webkit-box;
+    display: flex;
+    font-size: 12px;
+    font-weight: 300;
+    left: 50%;
+    line-height: 16px;
+    margin-bottom: 4px;	
+    padding: 0 4px;
+    position: absolute;
+    text-align: center;
+    top: -10px;
+    -webkit-transform: translateX(-50%);
+    transform: translateX(-50%);
+    white-space: nowrap;
+    z-index: 1;	
+	
+}
+
+.input-box_title i {
+	cursor: help;
+	margin-left: 4px;	
+}
+
+.input-box_value {
+    display: -webkit-box;
+    display: flex;
+    font-size: 19px;
+    padding: 8px 8px 4px;
+	
+}
+
+.input-box_value input{
+	-webkit-appearance: textfield;
+    -moz-appearance: textfield;
+    appearance: textfield;
+    background-color: transparent;
+    border: none;
+    padding: 0;
+    text-align: center;
+    width: 100%;
+}
+
+.input-box_buttons  {
+	border-top: 1px solid #535562;
+	text-align: center;
+	background-color: #1f2334;
+	font-weight: bold;
+	border-bottom-right-radius: 4px;
+	border-bottom-left-radius: 4px;
+}
+
+.sub-text {
+	color: #8ea5bf;
+    margin: 7px 0;
+}
+
+.po-container {
+	display: flex;
+	padding: 10px 0;
+}
+
+#sub-menu-robot-modal #bb_signals td, #sub-menu-robot-modal #bb_signals th{
+	text-align: center;
+	fill: #8ea5bf;
+	cursor: pointer;
+	color: #8ea5bf;
+}
+
+.po-ss_button{
+	display: grid; 
+	grid-template-columns: 5fr 1fr;
+	padding-top: 10px;
+	height: 40px;
+    align-items: center;
+}
+
+.po-ss_share{
+	color: #ffffbb;
+}
+
+#ss_button{
+	float: right;
+}
+
+#ss_overlay {
+	position: fixed;
+	top: 15%;
+	left: 50%;
+	transform: translate(-50%, -50%);
+	background-color: var(--po-ui-kit-modal-background-color);
+    border: 1px solid var(--po-ui-kit-modal-border-color);
+	padding: 20px;
+	border-radius: 10px;
+	box-shadow: 0 0 10px rgba(0, 0, 0, 0.3);
+	z-index: 80;
+	width: 120px;
+	text-align: center;
+	display: none;
+}
+.ss_win {
+    display: inline-block;
+	color: #39b54a;	
+}
+
+.ss_lost {
+	color: #F3392D;
+	display: inline-block;
+}
+
+.fraction-input {
+	width: 50px;
+	padding: 1px 1px;
+	font-size: 16px;
+	border: 1px solid #535562;
+	border-radius: 4px;
+	outline: none;
+	background-color: transparent;
+	text-align: center;
+}
+
+.bb_pt {
+	padding-top: 10px;
+}
+
+#sub-menu-robot-modal #bb_journal .btn, #sub-menu-robot-modal #bb_schedule .btn, #sub-menu-robot-modal #bb_profiles .btn, #sub-menu-robot-modal #bb_diagnostics .btn {
+	margin-left: 5px;
+}
+
+#sub-menu-robot-modal #blackout_file, #sub-menu-robot-modal #profile_file {
+	display: none;
+}
+
+#sub-menu-robot-modal #bridge_url, #sub-menu-robot-modal #alert_webhook, #sub-menu-robot-modal #schedule_hours, #sub-menu-robot-modal #asset_list {
+	flex: 1;
+	padding: 1px 5px;
+	border: 1px solid #535562;
+	border-radius: 4px;
+	outline: none;
+	background-color: transparent;
+}
+
+#sub-menu-robot-modal #bridge_status, #sub-menu-robot-modal #blackout_count, #sub-menu-robot-modal #alert_status {
+	padding-left: 10px;
+}
+
+#sub-menu-robot-modal .bb_error {
+	color: #ff6b6b;
+	font-size: 12px;
+}
+
+#sub-menu-robot-modal .bb_error:empty {
+	display: none;
+}
+
+#sub-menu-robot-modal input[aria-invalid="true"] {
+	outline: 1px solid #ff6b6b;
+}
+
+#sub-menu-robot-modal #bb_signals td:focus {
+	outline: 2px solid #8ea5bf;
+}
+
+#sub-menu-robot-modal #diagnostics_list {
+	max-height: 150px;
+	overflow-y: auto;
+	font-size: 12px;
+}
+
+#ss_stats {
+	position: fixed;
+	top: 25%;
+	right: 20px;
+	max-height: 70%;
+	overflow-y: auto;
+	background-color: var(--po-ui-kit-modal-background-color);
+	border: 1px solid var(--po-ui-kit-modal-border-color);
+	padding: 10px 20px;
+	border-radius: 10px;
+	box-shadow: 0 0 10px rgba(0, 0, 0, 0.3);
+	z-index: 80;
+	width: 280px;
+	display: none;
+}
+
+.ss_table {
+	width: 100%;
+	margin-bottom: 10px;
+	color: #8ea5bf;
+}
+
+.ss_table th, .ss_table td {
+	padding: 1px 4px;
+	text-align: right;
+}
+
+.ss_table th:first-child, .ss_table td:first-child {
+	text-align: left;
+}
+`});var sr=X(($l,ar)=>{"use strict";function Qa(i,a){return`
+        <li class="tooltip2" data-bs-toggle="modal">
+            <a href="#sub-menu-robot-modal" class="mfp-modal">
+                <img id="robot_icon" src="${i}" alt=""/>
+                <span class="nlabel">${a.modal.sidebar}</span>
+            </a>
+            <div class="tooltip-content position-right tooltip-status-on">
+                <div class="tooltip-text">${a.modal.tooltip}</div>
+            </div>
+        </li>`}function rr(i,a){return`
+        <li>
+            <div class="input-box">
+                <div class="input-box_title">
+                    <label for="${i}">${a.name}</label>
+                    <div class="tooltip2">
+                        <i class="fa fa-question-circle-o" aria-hidden="true"></i>
+                        <div class="tooltip-content tooltip-status-on position-left">
+                            <div class="tooltip-text" id="${i}_hint">${a.hint}</div>
+                        </div>
+                    </div>
+                </div>
+                <div class="input-box_control">
+                    <div class="input-box_value">
+                        <input type="text" inputmode="decimal" autocomplete="off" value="" id="${i}" aria-describedby="${i}_hint ${i}_error">
+                    </div>
+                    <div class="input-box_buttons" aria-hidden="true">
+                        ${a.sim}
+                    </div>
+                </div>
+                ${or(i+"_error")}
+            </div>
+        </li>`}function or(i){return`<div class="sub-text bb_error" id="${i}" aria-live="polite"></div>`}function Kt(i,a){return`
+        <label class="mdl-switch mdl-js-switch is-upgraded">
+            <input type="checkbox" class="mdl-switch__input" id="${i}">
+            <span class="mdl-switch__label">
+                ${a}
+            </span>
+        </label>`}function Ka(i){let a="";for(let u in i.strategies){let d=i.strategies[u];if(Object.keys(d.params).length!=0){a+=`
+            <ul class="list-links is-icon color-blue bb_params" data-strategy="${u}">`;for(let h in d.params){let T=d.params[h];a+=T.type=="boolean"?`<li>${Kt(Ln(u,h),T.name||h)}</li>`:rr(Ln(u,h),{name:T.name||h,hint:`${T.min} - ${T.max}`,sim:""})}a+=`
+            </ul>`}}return a}function Ln(i,a){return`param_${i}_${a}`}function Va(i,a){let u=`
+        <div id="sub-menu-robot-modal" class="sub-menu-profile-modal sub-menu-modal sub-menu-modal--4-menu-item po-modal zoom-anim-dialog po-modal">
+            <p class="title">${a.modal.title}</p>
+            <div id="bb_profiles" class="po-container">
+                <div class="sub-text" style="padding-right:10px">
+                    ${a.profiles.title}
+                </div>
+                <div class="dropdown bootstrap-select form-control bs3 dropup">
+                    <select id="profile" class="form-control selectpicker" tabindex="null"></select>
+                </div>
+                <a href="#" class="btn btn-default" id="profile_new">${a.profiles.new}</a>
+                <a href="#" class="btn btn-default" id="profile_delete">${a.profiles.delete}</a>
+                <a href="#" class="btn btn-default" id="profile_export">${a.profiles.export}</a>
+                <label class="btn btn-default" for="profile_file">${a.profiles.import}</label>
+                <input type="file" id="profile_file" accept=".json,application/json">
+            </div>
+            <ul class="list-links is-icon color-blue">`;for(let d in i.inputs)u+=rr(d,i.inputs[d]);u+=`
+            </ul>
+            ${["use_otc","show_stat","useMartin","record_ws","paper"].map(d=>Kt(d,a.inputs[d].name)).join("")}
+            <div id="bb_martinSteps" class="bb_pt" role="group" aria-label="${a.modal.martinSteps}">
+                <table role="presentation">
+                    <tr>`,i.martinSteps.forEach(function(d,h){u+=`
+                        <td>
+                            <input type="number" step="0.1" class="fraction-input" value="${d}" id="martin_step_${h}"
+                                aria-label="${a.modal.martinStep.replace("{step}",h+1)}" aria-describedby="martin_steps_error">
+                        </td>`}),u+=`
+                    </tr>
+                </table>
+                ${or("martin_steps_error")}
+            </div>
+            <div class="po-container">
+                <label class="sub-text" style="padding-right:10px" for="strategy">
+                    ${a.modal.strategy}
+                </label>
+                <div class="dropdown bootstrap-select form-control bs3 dropup">
+                    <select id="strategy" data-size="7" class="form-control selectpicker" tabindex="null">`;for(let d in i.strategies)u+=`<option value="${d}">${i.strategies[d].name}</option>`;return u+=`
+                    </select>
+                </div>
+            </div>
+            <div class="sub-text" id="bb_strategy_description"></div>
+            ${Ka(i)}
+
+            <div id="bb_stake" class="po-container">
+                <div class="sub-text" style="padding-right:10px">
+                    ${a.stake.title}
+                </div>
+                <div class="dropdown bootstrap-select form-control bs3 dropup">
+                    <select id="stake_mode" class="form-control selectpicker" tabindex="null">
+                        ${i.stakeModes.map(d=>`<option value="${d}">${a.stake[d]}</option>`).join("")}
+                    </select>
+                </div>
+            </div>
+
+            <div class="settings-modal__content-text" aria-live="polite">
+                ${a.modal.loading}
+            </div>
+
+            <div id="bb_signals">
+                <table role="grid" aria-label="${a.signals.title}" aria-describedby="bb_signals_help">
+                    <tr>
+                        ${i.timeframes.map(d=>`<th scope="col">${a.signals.timeframe.replace("{minutes}",d)}</th>`).join("")}
+                    </tr>
+                    <tr>
+                        ${i.timeframes.map((d,h)=>`<td role="gridcell" tabindex="${h==0?0:-1}"></td>`).join("")}
+                    </tr>
+                </table>
+                <div class="sub-text" id="bb_signals_help">${a.signals.help}</div>
+            </div>
+
+            <div id="bb_schedule">
+                <div class="po-container">
+                    <div class="sub-text" style="padding-right:10px">
+                        ${a.schedule.title}
+                    </div>
+                    <input type="text" autocomplete="off" id="schedule_hours" placeholder="${a.schedule.placeholder}">
+                </div>
+                <div class="po-container">
+                    <div class="sub-text" style="padding-right:10px">
+                        ${a.schedule.assets}
+                    </div>
+                    <div class="dropdown bootstrap-select form-control bs3 dropup">
+                        <select id="asset_mode" class="form-control selectpicker" tabindex="null">
+                            ${["all","allow","block"].map(d=>`<option value="${d}">${a.schedule[d]}</option>`).join("")}
+                        </select>
+                    </div>
+                    <input type="text" autocomplete="off" id="asset_list" placeholder="EURUSD, GBPJPY_otc">
+                </div>
+                <div class="po-container">
+                    <div class="sub-text" style="padding-right:10px">
+                        ${a.schedule.blackouts}
+                    </div>
+                    <label class="btn btn-default" for="blackout_file">${a.schedule.import}</label>
+                    <input type="file" id="blackout_file" accept=".json,.ics,application/json,text/calendar">
+                    <a href="#" class="btn btn-default" id="blackout_clear">${a.schedule.clear}</a>
+                    <div class="sub-text" id="blackout_count"></div>
+                </div>
+            </div>
+
+            <div id="bb_bridge" class="po-container">
+                <div class="sub-text" style="padding-right:10px">
+                    ${a.bridge.title}
+                </div>
+                <input type="text" autocomplete="off" id="bridge_url" placeholder="ws://127.0.0.1:8765">
+                <div class="sub-text" id="bridge_status"></div>
+            </div>
+
+            <div id="bb_alerts">
+                <div class="po-container">
+                    <div class="sub-text" style="padding-right:10px">
+                        ${a.alerts.settings}
+                    </div>
+                    ${Kt("alert_notifications",a.alerts.notifications)}
+                    ${Kt("alert_sound",a.alerts.sound)}
+                </div>
+                <div class="po-container">
+                    <input type="text" autocomplete="off" id="alert_webhook" placeholder="http://127.0.0.1:8080/alerts" title="${a.alerts.webhook}">
+                    <div class="sub-text" id="alert_status"></div>
+                </div>
+            </div>
+
+            <div id="bb_journal" class="po-container">
+                <div class="sub-text" style="padding-right:10px">
+                    ${a.journal.title}
+                </div>
+                <a href="#" class="btn btn-default" id="journal_csv">CSV</a>
+                <a href="#" class="btn btn-default" id="journal_json">JSON</a>
+                <a href="#" class="btn btn-default" id="journal_clear">${a.journal.clear}</a>
+            </div>
+
+            <div id="bb_diagnostics">
+                <div class="po-container">
+                    <div class="sub-text" style="padding-right:10px">
+                        ${a.diagnostics.title}
+                    </div>
+                    <a href="#" class="btn btn-default" id="diagnostics_show">${a.diagnostics.show}</a>
+                </div>
+                <div class="sub-text" id="diagnostics_list"></div>
+            </div>
+
+            <div class="po-ss_button">
+                <div class="po-ss_share" id="po_share_mes"></div>
+                <div>
+                    <a href="#" class="btn btn-green" id="ss_button" role="button">
+                        ${a.modal.start}
+                    </a>
+                </div>
+            </div>
+        </div>`,u}function Ya(i){return`
+        <div id="ss_overlay">
+            <div class="ss_win">${i.modal.win}</div>
+            <div class="ss_win" id="r_win">0</div>
+            <br/>
+            <div class="ss_lost">${i.modal.lost}</div>
+            <div class="ss_lost" id="r_lost">0</div>
+            <br/>
+            <div id="r_percent">50%</div>
+            <div id="r_paper">
+                ${i.paper}<span id="r_paper_net">0</span>
+            </div>
+        </div>
+        <div id="ss_stats"></div>`}var Xa={"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"};function Ga(i){return String(i).replace(/[&<>"']/g,a=>Xa[a])}function St(i,a,u,d){let h=`
+        <table class="ss_table">
+            <tr>
+                <th>${i}</th><th>${d.trades}</th><th>${d.winRate}</th><th>${d.net}</th>
+            </tr>`;for(let T in a){let N=a[T];h+=`
+            <tr>
+                <td>${Ga(u(T))}</td><td>${N.trades}</td><td>${N.winRate}%</td>
+                <td class="${N.net<0?"ss_lost":"ss_win"}">${N.net}</td>
+            </tr>`}return h+`
+        </table>`}function Ja(i){let d=Math.min(...i),h=Math.max(...i);return`
+        <svg class="ss_equity" width="260" height="60" viewBox="0 0 260 60">
+            <polyline fill="none" stroke="#8ea5bf" stroke-width="1.5" points="${i.map(function(N,j){let ne=j/Math.max(i.length-1,1)*260,ze=(h-N)/(h-d||1)*60;return ne.toFixed(1)+","+ze.toFixed(1)}).join(" ")}"/>
+        </svg>`}function Za(i,a){if(i.total.trades==0)return`<div class="sub-text">${a.empty}</div>`;let u={};for(let h in i.steps)u[h]=Math.round(i.steps[h]/i.total.trades*100);let d=`
+        <div class="sub-text">
+            ${a.total}: ${i.total.trades}, ${i.total.winRate}%,
+            <span class="${i.total.net<0?"ss_lost":"ss_win"}">${i.total.net}</span>
+        </div>
+        ${Ja(i.equity)}
+        <div class="sub-text">${a.drawdown}: ${i.maxDrawdown}</div>`;d+=St(a.strategy,i.strategy,h=>h,a),d+=St(a.asset,i.asset,h=>h,a),d+=St(a.market,i.market,h=>a[h],a),d+=St(a.hour,i.hour,h=>h+":00",a),Object.keys(i.channel).length>0&&(d+=St(a.channel,i.channel,function(h){let T=i.channel[h].score;return`${h} (${T??"-"})`},a)),d+=`
+        <table class="ss_table">
+            <tr>
+                <th>${a.step}</th><th>${a.trades}</th><th>%</th>
+            </tr>`;for(let h in i.steps)d+=`
+            <tr>
+                <td>${h}</td><td>${i.steps[h]}</td><td>${u[h]}%</td>
+            </tr>`;return d+`
+        </table>`}ar.exports={paramId:Ln,sidebarItem:Qa,modal:Va,overlay:Ya,statsPanel:Za}});var dr=X((jl,cr)=>{"use strict";var es="alerts",ts=["stop_loss","daily_loss"];function lr(){return{notifications:!1,sound:!1,webhook:""}}function ns(i){let a=lr();return!i||typeof i!="object"||(a.notifications=i.notifications===!0,a.sound=i.sound===!0,a.webhook=typeof i.webhook=="string"&&ur(i.webhook)?i.webhook:""),a}function ur(i){let a;try{a=new URL(i)}catch{return!1}return a.protocol=="http:"&&["localhost","127.0.0.1"].includes(a.hostname)}function is(){return{opened:[],closed:0}}function rs(i,a,u=Date.now()){let d=[],h=(T,N)=>d.push({event:T,values:N,time:u});if(a.robotDeals){let{opened:T,closed:N}=a.robotDeals;T.filter(j=>!i.opened.includes(j)).forEach(j=>h("opened",{id:j,count:T.length})),N.slice(N.length<i.closed?0:i.closed).forEach(j=>h("closed",{profit:j})),i.opened=T.slice(),i.closed=N.length}return a.risk&&a.risk.reason=="take_profit"&&h("take_profit",{limit:a.risk.limit}),a.risk&&ts.includes(a.risk.reason)&&h("stop_loss",{limit:a.risk.limit}),a.protocol&&h("protocol",{event:a.protocol.event,problem:a.protocol.problem}),a.feed&&a.feed.stale&&h("no_data",{since:a.feed.since}),d}function os(i){return(i>0?"+":"")+Number(i).toFixed(2)}function as(i,a){let u=Object.assign({},i.values);return u.profit!=null&&(u.profit=os(u.profit)),u.since!=null&&(u.since=new Date(u.since).toLocaleTimeString()),a.alerts[i.event].replace(/\{(\w+)\}/g,(d,h)=>u[h]==null?d:u[h])}cr.exports={KEY:es,createSettings:lr,readSettings:ns,isLocalUrl:ur,createState:is,read:rs,text:as}});var hr=X((Ol,pr)=>{"use strict";var Vt=null,fr=[];function Rn(i,a){let u=Object.assign({belobot:!0,act:i},a);Vt?Vt.postMessage(u):fr.push(u)}function ss(i){Rn("setState",{settings:i}),Rn("readState")}function ls(i,a){if(!i){console.error("belobot: no channel to the page script, the bot cannot be reached");return}i.onmessage=u=>a(u.data),Vt=i,fr.splice(0).forEach(u=>Vt.postMessage(u))}pr.exports={send:Rn,update:ss,connect:ls}});var yr=X((Nl,vr)=>{"use strict";var Yt="journal",Fn=["id","asset","direction","amount","openTime","closeTime","payout","profit","strategy","step","account","source"],Hn=null,mr=Promise.resolve();function Xt(){return Hn=Hn||new Promise(function(i){chrome.storage.local.get(Yt,function(a){i(a[Yt]||[])})}),Hn}function us(i){let a=mr.then(Xt).then(function(u){let d=u.concat([i]).slice(-1e4);return chrome.storage.local.set({[Yt]:d}).then(function(){return u.splice(0,u.length,...d),u})});return mr=a.catch(()=>null),a}function cs(){return Xt().then(function(i){return i.length=0,chrome.storage.local.remove(Yt),i})}function ds(i,a){return a=="openTime"||a=="closeTime"?i[a]==null?"":new Date(i[a]).toISOString():a=="account"?i.isDemo?"demo":"real":a=="source"?i.signal?String(i.signal.source):"":i[a]==null?"":String(i[a])}function fs(i){return/[",\r\n]/.test(i)?'"'+i.replace(/"/g,'""')+'"':i}function gr(i){return[Fn.join(",")].concat(i.map(function(a){return Fn.map(u=>fs(ds(a,u))).join(",")})).join(`\r
+`)+`\r
+`}function br(i){return JSON.stringify(i,null,2)}function Bn(i,a,u){let d=document.createElement("a");d.href=URL.createObjectURL(new Blob([a],{type:u})),d.download=i,document.body.appendChild(d),d.click(),d.remove(),setTimeout(function(){URL.revokeObjectURL(d.href)},1e3)}function ps(i){return Xt().then(function(a){let u="belobot-journal-"+new Date().toISOString().slice(0,10);i=="csv"?Bn(u+".csv",gr(a),"text/csv"):Bn(u+".json",br(a),"application/json")})}vr.exports={COLUMNS:Fn,load:Xt,append:us,clear:cs,toCsv:gr,toJson:br,download:Bn,exportAs:ps}});var Tr=X((ql,kr)=>{"use strict";var hs={up:"up",call:"up",down:"down",put:"down"},Gt={min:5,max:14400},xr=10;function wr(i){if(i.amount==null)return null;if(typeof i.amount!="number"||!(i.amount>0))throw new TypeError("amount must be a positive number");return Math.floor(i.amount*100)/100}function ms(i){if(typeof i.text!="string"||i.text.trim()=="")throw new TypeError("a text is required");if(i.profile!=null&&typeof i.profile!="string")throw new TypeError("profile must be a name");return{id:String(i.id),source:i.source,text:i.text,profile:i.profile||null,amount:wr(i)}}function _r(i){if(!i||!["trade","text"].includes(i.type))throw new TypeError('type must be "trade" or "text"');if(!["string","number"].includes(typeof i.id)||i.id==="")throw new TypeError("an id is required");if(typeof i.source!="string"||i.source=="")throw new TypeError("a source is required");if(i.type=="text")return ms(i);if(typeof i.asset!="string"||i.asset=="")throw new TypeError("an asset is required");let a=hs[String(i.direction).toLowerCase()];if(!a)throw new TypeError("direction must be up, down, call or put");let u={id:String(i.id),source:i.source,asset:i.asset,direction:a,expiry:null,amount:wr(i),martingale:null};if(i.expiry!=null){if(!Number.isInteger(i.expiry)||i.expiry<Gt.min||i.expiry>Gt.max)throw new TypeError(`expiry must be whole seconds from ${Gt.min} to ${Gt.max}`);u.expiry=i.expiry}if(i.martingale===!1)u.martingale={steps:0};else if(i.martingale!=null){let d=i.martingale.steps;if(!Number.isInteger(d)||d<0||d>xr)throw new TypeError(`martingale.steps must be a whole number from 0 to ${xr}`);u.martingale={steps:d}}return u}function gs(i,a,u=WebSocket){let d=null,h=1e3,T=null,N=!1;function j(Me){d&&u.OPEN==d.readyState&&d.send(JSON.stringify(Me))}function ne(Me){let Le=null;try{Le=JSON.parse(Me.data),a.signal(_r(Le))}catch(on){j({type:"ack",id:Le&&Le.id!=null?String(Le.id):null,accepted:!1,reason:"invalid",error:on.message})}}function ze(){a.status("connecting"),d=new u(i),d.addEventListener("open",function(){h=1e3,a.status("open"),j({type:"hello",client:"belobot"})}),d.addEventListener("message",ne),d.addEventListener("close",function(){N||(a.status("closed"),T=setTimeout(ze,h),h=Math.min(2*h,6e4))})}return ze(),{send:j,close(){N=!0,clearTimeout(T),d.close()}}}kr.exports={RETRY_MIN:1e3,RETRY_MAX:6e4,toSignal:_r,connect:gs}});var jr=X((Il,$r)=>{"use strict";var zn=["sun","mon","tue","wed","thu","fri","sat"],ct=[1,2,3,4,5,6,0],bs=6e4,Mr=1440*bs,Dr=500;function vs(i){let a=zn.indexOf(i.slice(0,3).toLowerCase());if(a==-1||!/^[a-z]+$/i.test(i))throw new TypeError(`"${i}" is not a day`);return a}function ys(i){let a=[];return i.split(",").forEach(function(u){let[d,h]=u.split("-").map(vs);if(h===void 0){a.push(d);return}for(let T=ct.indexOf(d);a.push(ct[T]),ct[T]!=h;T=(T+1)%7);}),a.filter((u,d)=>a.indexOf(u)==d)}function Er(i){let a=/^(\d{1,2}):([0-5]\d)$/.exec(i),u=a?60*Number(a[1])+Number(a[2]):NaN;if(!(u<=1440))throw new TypeError(`"${i}" is not a time`);return u%1440}function xs(i){let a=[];return i.split(/[;\n]/).map(u=>u.trim()).filter(Boolean).forEach(function(u){let d=/^([a-z,\-\s]+?)\s+(\d.*)$/i.exec(u);if(!d)throw new TypeError(`"${u}" needs days and hours, e.g. "Mon-Fri 08:00-17:00"`);let h=ys(d[1].replace(/\s+/g,""));d[2].split(/[\s,]+/).forEach(function(T){let[N,j]=T.split("-");if(j===void 0)throw new TypeError(`"${T}" is not a range of hours`);let ne={days:h,from:Er(N),to:Er(j)};if(ne.from==ne.to)throw new TypeError(`"${T}" is empty`);a.push(ne)})}),a}function Sr(i){return`${String(Math.floor(i/60)).padStart(2,"0")}:${String(i%60).padStart(2,"0")}`}function ws(i){let a=[];ct.forEach(function(d,h){if(!i.includes(d))return;let T=a[a.length-1];T&&T.end==h-1?T.end=h:a.push({start:h,end:h})});let u=d=>zn[ct[d]][0].toUpperCase()+zn[ct[d]].slice(1);return a.map(d=>d.start==d.end?u(d.start):`${u(d.start)}-${u(d.end)}`).join(",")}function _s(i){let a=[];return i.forEach(function(u){let d=ws(u.days),h=`${Sr(u.from)}-${Sr(u.to)}`,T=a[a.length-1];T&&T.days==d?T.hours.push(h):a.push({days:d,hours:[h]})}),a.map(u=>`${u.days} ${u.hours.join(" ")}`).join("; ")}function Cr(i,a){let u=typeof i=="number"?i:Date.parse(i);if(!Number.isFinite(u))throw new TypeError(`${a} is not a date`);return u}function ks(i){let a=JSON.parse(i),u=Array.isArray(a)?a:a&&a.events;if(!Array.isArray(u))throw new TypeError("the calendar must be a list of events");return u.map(function(d,h){if(!d||typeof d!="object")throw new TypeError(`event ${h+1} is not an object`);return{title:String(d.title||d.name||d.summary||""),start:Cr(d.start==null?d.time:d.start,`event ${h+1}: start`),end:d.end==null?null:Cr(d.end,`event ${h+1}: end`)}})}function Ar(i,a){let u=/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(i.trim());if(!u)throw new TypeError(`${a} is not a date`);let d=u.slice(1,7).map(h=>Number(h||0));return d[1]--,{time:u[7]?Date.UTC(...d):new Date(...d).getTime(),allDay:!u[4]}}function Ts(i){return i.replace(/\\([,;\\])/g,"$1").replace(/\\n/gi," ").trim()}function Es(i){let a=i.replace(/\r?\n[ \t]/g,"").split(/\r?\n/),u=[],d=null;return a.forEach(function(h){if(/^BEGIN:VEVENT$/i.test(h)){d={};return}if(!d)return;if(/^END:VEVENT$/i.test(h)){let N=`event ${u.length+1}`;if(!d.DTSTART)throw new TypeError(`${N} has no DTSTART`);let j=Ar(d.DTSTART,`${N}: DTSTART`),ne=d.DTEND?Ar(d.DTEND,`${N}: DTEND`).time:j.allDay?j.time+Mr:null;u.push({title:Ts(d.SUMMARY||""),start:j.time,end:ne}),d=null;return}let T=h.indexOf(":");T>0&&(d[h.slice(0,T).split(";")[0].toUpperCase()]=h.slice(T+1))}),u}function Ss(i,a=Date.now()){return(/^\s*BEGIN:VCALENDAR/i.test(i)?Es(i):ks(i)).filter(d=>(d.end==null?d.start:d.end)>a-Mr).sort((d,h)=>d.start-h.start).slice(0,Dr)}$r.exports={MAX_EVENTS:Dr,parseWindows:xs,formatWindows:_s,parseCalendar:Ss}});var Pr=X((Pl,Ir)=>{"use strict";function Nr(){return{trades:0,wins:0,losses:0,net:0}}function dt(i,a,u){let d=i[a]=i[a]||Nr();d.trades++,u.profit>0&&d.wins++,u.profit<0&&d.losses++,d.net=Math.round((d.net+u.profit)*100)/100}function Or(i){for(let a in i){let u=i[a];u.winRate=Math.round(u.wins/Math.max(u.wins+u.losses,1)*100)}return i}function qr(i){let a=i.wins+i.losses;if(a<10)return null;let u=1.96,d=i.wins/a,h=(d+u*u/(2*a)-u*Math.sqrt(d*(1-d)/a+u*u/(4*a*a)))/(1+u*u/a);return Math.round(h*100)}function Cs(i){let a=i.filter(h=>h.profit!=null).sort((h,T)=>h.closeTime-T.closeTime),u={total:{},strategy:{},asset:{},hour:{},market:{},channel:{},steps:{},equity:[0],maxDrawdown:0},d=0;a.forEach(function(h){dt(u.total,"all",h),dt(u.strategy,h.strategy,h),dt(u.asset,h.asset,h),dt(u.hour,new Date(h.openTime).getHours(),h),dt(u.market,h.asset.slice(-3)=="otc"?"otc":"regular",h),h.signal&&dt(u.channel,h.signal.source,h),u.steps[h.step]=(u.steps[h.step]||0)+1;let T=Math.round((u.equity[u.equity.length-1]+h.profit)*100)/100;u.equity.push(T),d=Math.max(d,T),u.maxDrawdown=Math.max(u.maxDrawdown,Math.round((d-T)*100)/100)}),["total","strategy","asset","hour","market","channel"].forEach(h=>Or(u[h]));for(let h in u.channel)u.channel[h].score=qr(u.channel[h]);return u.total=u.total.all||Or({all:Nr()}).all,u}Ir.exports={SCORE_DEALS:10,score:qr,compute:Cs}});var Wn=X((Ll,Hr)=>{"use strict";var As=["platform","fixed","percent","kelly"];function Lr(i){let{balance:a,isDemo:u}=i.userInfo;return u?a.demo:a.real}function Jt(i){return Math.floor(i*100)/100}function Rr(i,a){return i-(1-i)/(a/100)}function Ms(i,a){let{settings:u}=i;if(u.stake_mode=="fixed")return Math.max(Jt(u.stake_amount),1);if(u.stake_mode!="percent"&&u.stake_mode!="kelly")return null;let d=Math.max(Jt(Lr(i)*u.stake_percent/100),1);if(u.stake_mode=="percent")return d;let h=(u.paper?i.paper.closed:i.userInfo.robotDeals.closed).slice(-50).filter(j=>j!=0);if(h.length<10)return Math.max(Jt(u.stake_amount),1);let T=h.filter(j=>j>0).length/h.length,N=Rr(T,i.rates[a].profit)*u.kelly_fraction/100;return Math.min(Math.max(Jt(Lr(i)*N),1),d)}Hr.exports={MODES:As,MIN_STAKE:1,KELLY_DEALS:50,KELLY_MIN_DEALS:10,kelly:Rr,amount:Ms}});var Vn=X((Rl,Br)=>{"use strict";var Un=Pn(),Ds=Wn(),$s=2;function le(i,a){return{type:"number",min:i,max:a}}function Be(i,a){return{type:"integer",min:i,max:a}}var Qn={type:"boolean"},Zt={strategy:{type:"strategy"},min_profit:le(10,92),delay:Be(0,900),deals_limit:Be(1,10),take_profit:le(1,900),signals:{type:"list",of:Be(0,2),length:6},use_otc:Qn,martinSteps:{type:"list",of:le(1,10),length:9},useMartin:Qn,stop_loss:le(0,100),stop_loss_sum:le(0,1e5),daily_loss:le(0,1e5),martin_exposure:le(0,1e5),loss_streak:Be(0,20),cooldown:le(1,1440),params:{type:"params"},paper:Qn,paper_amount:le(1,1e4),min_score:le(0,100),expiry:Be(0,14400),stake_mode:{type:"choice",values:Ds.MODES},stake_amount:le(1,1e4),stake_percent:le(.1,100),kelly_fraction:le(1,100),schedule:{type:"list",max:50,of:{type:"object",fields:{days:{type:"list",max:7,of:Be(0,6)},from:Be(0,1439),to:Be(0,1439)}}},asset_mode:{type:"choice",values:["all","allow","block"]},assets:{type:"list",max:200,of:{type:"symbol"}},blackouts:{type:"list",max:500,of:{type:"object",fields:{title:{type:"string"},start:{type:"time"},end:{type:"time",optional:!0}}}},blackout_before:le(0,240),blackout_after:le(0,240)};function ge(i){throw new TypeError(i)}function Fr(i,a,u,d){let h=typeof a=="number"?a:typeof a=="string"&&a.trim()!=""?Number(a):NaN;Number.isFinite(h)||ge(`${u} must be a number`),i.type=="integer"&&(h=Math.round(h));let T=Math.min(Math.max(h,i.min),i.max);return T!=h&&d.push(`${u} was ${h}, set to ${T}`),T}var js={number:Fr,integer:Fr,boolean(i,a,u){return typeof a!="boolean"&&ge(`${u} must be true or false`),a},string(i,a,u){return typeof a!="string"&&ge(`${u} must be a text`),a},symbol(i,a,u){return(typeof a!="string"||!/^#?[A-Za-z0-9_.]+$/.test(a))&&ge(`${u} must be an asset symbol`),a},time(i,a,u){return a==null&&i.optional?null:(Number.isFinite(a)||ge(`${u} must be a time in ms`),a)},choice(i,a,u){return i.values.includes(a)||ge(`${u} must be one of ${i.values.join(", ")}`),a},strategy(i,a,u){return Un.get(a)||ge(`${u}: there is no strategy "${a}"`),a},list(i,a,u,d){return Array.isArray(a)||ge(`${u} must be a list`),i.length!=null&&a.length!=i.length&&ge(`${u} must have ${i.length} items`),i.max!=null&&a.length>i.max&&ge(`${u} may have at most ${i.max} items`),a.map((h,T)=>Kn(i.of,h,`${u}[${T}]`,d))},object(i,a,u,d){(!a||typeof a!="object")&&ge(`${u} must be an object`);let h={};for(let T in i.fields)h[T]=Kn(i.fields[T],a[T],`${u}.${T}`,d);return h},params(i,a,u){(!a||typeof a!="object")&&ge(`${u} must be an object`);let d={};for(let h in a){let T=Un.get(h);d[h]=T?Un.params(T,a[h]):a[h]}return d}};function Kn(i,a,u,d){return js[i.type](i,a,u,d)}function Os(i){let a={},u=[];for(let d in i)if(Object.prototype.hasOwnProperty.call(Zt,d))try{a[d]=Kn(Zt[d],i[d],d,u)}catch(h){u.push(h.message)}return{values:a,problems:u}}function Ns(i){let a={};for(let u in Zt)a[u]=u=="take_profit"?i.take_profit.percent:i[u];return a}Br.exports={VERSION:$s,SCHEMA:Zt,sanitize:Os,pick:Ns}});var Qr=X((Hl,Ur)=>{"use strict";var ft=Vn(),zr="profiles",Yn="default",Wr=["min_profit","delay","deals_limit","take_profit","signals","use_otc","martinSteps"];function qs(i){let a=i[zr];if(a&&ft.VERSION==a.version)return{profiles:a,migrated:!1};let u={};return Wr.forEach(function(d){i[d]!==void 0&&(u[d]=i[d])}),{profiles:{version:ft.VERSION,active:Yn,list:{[Yn]:ft.sanitize(u).values}},migrated:!0}}function Is(i,a){return JSON.stringify({schema:ft.VERSION,name:i,settings:a},null,2)}function Ps(i,a){let u=JSON.parse(i);if(!u||typeof u!="object"||Array.isArray(u))throw new TypeError("a profile must be an object");let d=u.schema==null?1:u.schema;if(!Number.isInteger(d)||d<1)throw new TypeError("schema must be a version number");if(d>ft.VERSION)throw new TypeError(`the profile needs a newer bot (schema ${d})`);let h=d==1?u:u.settings;if(!h||typeof h!="object")throw new TypeError("the profile has no settings");let{values:T,problems:N}=ft.sanitize(h);return{name:typeof u.name=="string"&&u.name.trim()!=""?u.name.trim():a,settings:T,problems:N}}function Ls(i,a){let u=a;for(let d=2;u in i.list;d++)u=`${a} (${d})`;return u}Ur.exports={KEY:zr,DEFAULT:Yn,LEGACY_KEYS:Wr,migrate:qs,toJson:Is,fromJson:Ps,uniqueName:Ls}});var Kr=X((Fl,Rs)=>{Rs.exports={grade:'Please <a href="https://chromewebstore.google.com/detail/free-pocket-option-bot/nmeompgfogpnabkpjdepfedkiajgohni/reviews" target="_blank">share your experience</a> using Pocket Option Bot ',modal:{title:"Pocket Option Bot",sidebar:"Autotrading",tooltip:"2bot autotrading",loading:"The settings are loading. Please wait. If this message persists, please let us know.",strategy:"strategy",start:"START",stop:"STOP",win:"WIN: ",lost:"LOST: ",martinSteps:"Martingale multipliers",martinStep:"Multiplier of Martingale step {step}"},units:{percent:"%",seconds:"sec.",minutes:"min.",count:"pcs.",money:"$"},inputs:{min_profit:{name:"min. profit",hint:"The bot will only make trades on pairs with higher profitability"},delay:{name:"delay",hint:"Minimum delay between transactions on one pair"},deals_limit:{name:"deals limit",hint:"Maximum number of simultaneous trades"},take_profit:{name:"take profit",hint:"The bot will automatically stop trading after receiving the specified profit."},show_stat:{name:"show statistics",hint:"Show statistics."},useMartin:{name:"use Martingale",hint:"If the forecast is incorrect, the next deal is automatically concluded with the specified odds."},stop_loss:{name:"stop loss",hint:"The bot stops once its deals have lost this share of the balance it was started with. 0 turns it off."},stop_loss_sum:{name:"stop loss sum",hint:"The bot stops once its deals have lost this sum since it was started. 0 turns it off."},daily_loss:{name:"daily loss",hint:"The bot stops once its deals have lost this sum today, also after the page is reloaded. 0 turns it off."},martin_exposure:{name:"max. Martingale stake",hint:"Most that one Martingale chain may put at stake on a pair, counting the deals it has already lost. 0 turns it off."},loss_streak:{name:"losses in a row",hint:"After this many lost deals in a row the bot pauses. 0 turns it off."},cooldown:{name:"cooldown",hint:"How long the bot pauses after the losses in a row."},paper:{name:"paper trading",hint:"Deals are simulated at the current price and never reach the broker. Their result shows on the statistics overlay."},paper_amount:{name:"paper amount",hint:"Stake of a simulated deal before Martingale."},min_score:{name:"min. channel score",hint:"Ignore bridge channels whose confidence score is below this. A channel is scored after 10 won or lost deals. 0 turns this off."},expiry:{name:"expiry",hint:"Expiry of deals whose strategy or signal does not set one. 0 keeps the expiry set in the platform."},stake_amount:{name:"stake",hint:"The fixed stake, and the Kelly stake until 10 deals have closed."},stake_percent:{name:"stake percent",hint:"Stake as a percent of the balance, and the most the Kelly stake may be."},kelly_fraction:{name:"Kelly fraction",hint:"Part of the full Kelly stake to use. Half Kelly, 50, is much less volatile than the full stake."},blackout_before:{name:"blackout before",hint:"How long before a news event the bot stops opening deals."},blackout_after:{name:"blackout after",hint:"How long after a news event ends the bot waits to open deals again."},use_otc:{name:"use OTC",hint:"Also trade the platform's OTC pairs."},record_ws:{name:"record traffic",hint:"Record the broker socket traffic for replaying it later."}},signals:{title:"Signal level per timeframe",timeframe:"{minutes} min.",levels:["off","signal","strong signal"],cell:"{timeframe}: {level}",help:"Enter or Space changes the level, the arrow keys move between timeframes."},validation:{number:"Enter a number.",integer:"Enter a whole number.",range:"Enter a value from {min} to {max}.",refused:"The bot fixed or left out these settings: {problems}"},profiles:{title:"profile",new:"save as",delete:"delete",export:"export",import:"import",name:"Name of the new profile:",confirm:'Delete the profile "{name}"?',imported:'Profile "{name}" imported.',problems:'Profile "{name}" imported. Fixed or left out: {problems}',invalid:"The profile was not imported: {error}"},schedule:{title:"trading hours",placeholder:"any time, or e.g. Mon-Fri 08:00-12:00 14:00-17:00",assets:"assets",all:"all",allow:"only these",block:"all but these",blackouts:"news blackouts",import:"import",clear:"clear",count:"{count} events",schedule:"Outside the trading hours until {until}. Open deals run to their expiry.",blackout:"News blackout ({title}) until {until}. Open deals run to their expiry.",open:"Inside the trading hours again.",never:"the schedule changes",invalid:"The schedule was not changed: {error}"},stake:{title:"stake",platform:"as set in the platform",fixed:"fixed",percent:"percent of balance",kelly:"Kelly"},strategies:{},risk:{stop_loss:"Stop loss of {limit} reached. The bot has stopped.",daily_loss:"Daily loss of {limit} reached. The bot has stopped until tomorrow.",cooldown:"{limit} losses in a row. The bot is paused until {until}.",martin_exposure:"The Martingale chain on {asset} would exceed {limit} at stake and was not continued.",take_profit:"Take profit of {limit} reached. The bot has stopped.",other:"Risk limit {reason} ({limit}) reached. Check the bot settings."},journal:{title:"trade journal",clear:"clear",confirm:"Delete all {count} deals from the trade journal?",failed:"The deal was not written to the journal: {error}"},bridge:{title:"signal bridge",off:"off",connecting:"connecting...",open:"connected",closed:"disconnected, retrying"},stats:{empty:"No closed robot deals yet.",total:"deals",drawdown:"max. drawdown",trades:"deals",winRate:"win",net:"net",strategy:"strategy",asset:"asset",market:"pairs",otc:"OTC",regular:"regular",hour:"hour",step:"Martingale step",channel:"channel (score)"},paper:"PAPER: ",diagnostics:{title:"protocol diagnostics",show:"refresh",version:"Protocol adapter version {version}",unknown:"not read",failures:"Frames that could not be read:",noFailures:"Every frame read as expected.",stopped:"The broker sent a {event} the bot could not read ({problem}). The bot has stopped; see the protocol diagnostics."},alerts:{title:"Pocket Option Bot",settings:"alerts",notifications:"notifications",sound:"sound",webhook:"Local webhook address: every alert is posted to it as JSON",invalid:"The webhook must be an http:// address on localhost or 127.0.0.1.",opened:"Deal {id} opened, {count} open.",closed:"Deal closed: {profit}.",take_profit:"Take profit of {limit} reached. The bot has stopped.",stop_loss:"Stop loss of {limit} reached. The bot has stopped.",protocol:"The bot stopped: the broker sent a {event} it could not read ({problem}).",no_data:"No market data since {since}."},orders:{not_sent:"The {direction} on {asset} was not placed: the platform sent no order for the click.",not_confirmed:"The {direction} on {asset} was sent but the platform did not confirm it in time.",not_closed:"The {direction} on {asset} was not reported closed in time and no longer counts against the deals limit."}}});var Vr=X((Bl,Hs)=>{Hs.exports={grade:'\u041F\u043E\u0436\u0430\u043B\u0443\u0439\u0441\u0442\u0430, <a href="https://chromewebstore.google.com/detail/free-pocket-option-bot/nmeompgfogpnabkpjdepfedkiajgohni/reviews" target="_blank">\u043F\u043E\u0434\u0435\u043B\u0438\u0442\u0435\u0441\u044C \u0432\u043F\u0435\u0447\u0430\u0442\u043B\u0435\u043D\u0438\u044F\u043C\u0438</a> \u043E Pocket Option Bot ',modal:{title:"Pocket Option Bot",sidebar:"\u0410\u0432\u0442\u043E\u0442\u043E\u0440\u0433\u043E\u0432\u043B\u044F",tooltip:"\u0430\u0432\u0442\u043E\u0442\u043E\u0440\u0433\u043E\u0432\u043B\u044F 2bot",loading:"\u041D\u0430\u0441\u0442\u0440\u043E\u0439\u043A\u0438 \u0437\u0430\u0433\u0440\u0443\u0436\u0430\u044E\u0442\u0441\u044F. \u041F\u043E\u0436\u0430\u043B\u0443\u0439\u0441\u0442\u0430, \u043F\u043E\u0434\u043E\u0436\u0434\u0438\u0442\u0435. \u0415\u0441\u043B\u0438 \u044D\u0442\u043E \u0441\u043E\u043E\u0431\u0449\u0435\u043D\u0438\u0435 \u043D\u0435 \u0438\u0441\u0447\u0435\u0437\u0430\u0435\u0442, \u0441\u043E\u043E\u0431\u0449\u0438\u0442\u0435 \u043D\u0430\u043C.",strategy:"\u0441\u0442\u0440\u0430\u0442\u0435\u0433\u0438\u044F",start:"\u0421\u0422\u0410\u0420\u0422",stop:"\u0421\u0422\u041E\u041F",win:"\u041F\u041B\u042E\u0421: ",lost:"\u041C\u0418\u041D\u0423\u0421: ",martinSteps:"\u041C\u043D\u043E\u0436\u0438\u0442\u0435\u043B\u0438 \u041C\u0430\u0440\u0442\u0438\u043D\u0433\u0435\u0439\u043B\u0430",martinStep:"\u041C\u043D\u043E\u0436\u0438\u0442\u0435\u043B\u044C \u0448\u0430\u0433\u0430 \u041C\u0430\u0440\u0442\u0438\u043D\u0433\u0435\u0439\u043B\u0430 {step}"},units:{percent:"%",seconds:"\u0441\u0435\u043A.",minutes:"\u043C\u0438\u043D.",count:"\u0448\u0442.",money:"$"},inputs:{min_profit:{name:"\u043C\u0438\u043D. \u0434\u043E\u0445\u043E\u0434\u043D\u043E\u0441\u0442\u044C",hint:"\u0411\u043E\u0442 \u0442\u043E\u0440\u0433\u0443\u0435\u0442 \u0442\u043E\u043B\u044C\u043A\u043E \u043F\u0430\u0440\u0430\u043C\u0438 \u0441 \u0431\u043E\u043B\u0435\u0435 \u0432\u044B\u0441\u043E\u043A\u043E\u0439 \u0434\u043E\u0445\u043E\u0434\u043D\u043E\u0441\u0442\u044C\u044E."},delay:{name:"\u0437\u0430\u0434\u0435\u0440\u0436\u043A\u0430",hint:"\u041C\u0438\u043D\u0438\u043C\u0430\u043B\u044C\u043D\u0430\u044F \u043F\u0430\u0443\u0437\u0430 \u043C\u0435\u0436\u0434\u0443 \u0441\u0434\u0435\u043B\u043A\u0430\u043C\u0438 \u043F\u043E \u043E\u0434\u043D\u043E\u0439 \u043F\u0430\u0440\u0435."},deals_limit:{name:"\u043B\u0438\u043C\u0438\u0442 \u0441\u0434\u0435\u043B\u043E\u043A",hint:"\u041D\u0430\u0438\u0431\u043E\u043B\u044C\u0448\u0435\u0435 \u0447\u0438\u0441\u043B\u043E \u043E\u0434\u043D\u043E\u0432\u0440\u0435\u043C\u0435\u043D\u043D\u043E \u043E\u0442\u043A\u0440\u044B\u0442\u044B\u0445 \u0441\u0434\u0435\u043B\u043E\u043A."},take_profit:{name:"\u0442\u0435\u0439\u043A-\u043F\u0440\u043E\u0444\u0438\u0442",hint:"\u0411\u043E\u0442 \u0441\u0430\u043C \u043E\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u0441\u044F, \u043F\u043E\u043B\u0443\u0447\u0438\u0432 \u0443\u043A\u0430\u0437\u0430\u043D\u043D\u0443\u044E \u043F\u0440\u0438\u0431\u044B\u043B\u044C."},show_stat:{name:"\u043F\u043E\u043A\u0430\u0437\u044B\u0432\u0430\u0442\u044C \u0441\u0442\u0430\u0442\u0438\u0441\u0442\u0438\u043A\u0443",hint:"\u041F\u043E\u043A\u0430\u0437\u044B\u0432\u0430\u0442\u044C \u0441\u0442\u0430\u0442\u0438\u0441\u0442\u0438\u043A\u0443."},useMartin:{name:"\u041C\u0430\u0440\u0442\u0438\u043D\u0433\u0435\u0439\u043B",hint:"\u0415\u0441\u043B\u0438 \u043F\u0440\u043E\u0433\u043D\u043E\u0437 \u043D\u0435 \u0441\u0431\u044B\u043B\u0441\u044F, \u0441\u043B\u0435\u0434\u0443\u044E\u0449\u0430\u044F \u0441\u0434\u0435\u043B\u043A\u0430 \u043E\u0442\u043A\u0440\u044B\u0432\u0430\u0435\u0442\u0441\u044F \u0441 \u0443\u043A\u0430\u0437\u0430\u043D\u043D\u044B\u043C \u043C\u043D\u043E\u0436\u0438\u0442\u0435\u043B\u0435\u043C."},stop_loss:{name:"\u0441\u0442\u043E\u043F-\u043B\u043E\u0441\u0441",hint:"\u0411\u043E\u0442 \u043E\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u0441\u044F, \u043A\u043E\u0433\u0434\u0430 \u0435\u0433\u043E \u0441\u0434\u0435\u043B\u043A\u0438 \u043F\u043E\u0442\u0435\u0440\u044F\u044E\u0442 \u044D\u0442\u0443 \u0434\u043E\u043B\u044E \u0431\u0430\u043B\u0430\u043D\u0441\u0430, \u0441 \u043A\u043E\u0442\u043E\u0440\u044B\u043C \u043E\u043D \u0431\u044B\u043B \u0437\u0430\u043F\u0443\u0449\u0435\u043D. 0 \u043E\u0442\u043A\u043B\u044E\u0447\u0430\u0435\u0442."},stop_loss_sum:{name:"\u0441\u0442\u043E\u043F-\u043B\u043E\u0441\u0441, \u0441\u0443\u043C\u043C\u0430",hint:"\u0411\u043E\u0442 \u043E\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u0441\u044F, \u043A\u043E\u0433\u0434\u0430 \u0435\u0433\u043E \u0441\u0434\u0435\u043B\u043A\u0438 \u043F\u043E\u0442\u0435\u0440\u044F\u044E\u0442 \u044D\u0442\u0443 \u0441\u0443\u043C\u043C\u0443 \u0441 \u043C\u043E\u043C\u0435\u043D\u0442\u0430 \u0437\u0430\u043F\u0443\u0441\u043A\u0430. 0 \u043E\u0442\u043A\u043B\u044E\u0447\u0430\u0435\u0442."},daily_loss:{name:"\u0434\u043D\u0435\u0432\u043D\u043E\u0439 \u0443\u0431\u044B\u0442\u043E\u043A",hint:"\u0411\u043E\u0442 \u043E\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u0441\u044F, \u043A\u043E\u0433\u0434\u0430 \u0435\u0433\u043E \u0441\u0434\u0435\u043B\u043A\u0438 \u043F\u043E\u0442\u0435\u0440\u044F\u044E\u0442 \u044D\u0442\u0443 \u0441\u0443\u043C\u043C\u0443 \u0437\u0430 \u0434\u0435\u043D\u044C, \u0434\u0430\u0436\u0435 \u043F\u043E\u0441\u043B\u0435 \u043F\u0435\u0440\u0435\u0437\u0430\u0433\u0440\u0443\u0437\u043A\u0438 \u0441\u0442\u0440\u0430\u043D\u0438\u0446\u044B. 0 \u043E\u0442\u043A\u043B\u044E\u0447\u0430\u0435\u0442."},martin_exposure:{name:"\u043C\u0430\u043A\u0441. \u0441\u0442\u0430\u0432\u043A\u0430 \u041C\u0430\u0440\u0442\u0438\u043D\u0433\u0435\u0439\u043B\u0430",hint:"\u0421\u043A\u043E\u043B\u044C\u043A\u043E \u043E\u0434\u043D\u0430 \u0446\u0435\u043F\u043E\u0447\u043A\u0430 \u041C\u0430\u0440\u0442\u0438\u043D\u0433\u0435\u0439\u043B\u0430 \u043C\u043E\u0436\u0435\u0442 \u043F\u043E\u0441\u0442\u0430\u0432\u0438\u0442\u044C \u043D\u0430 \u043F\u0430\u0440\u0443, \u0441\u0447\u0438\u0442\u0430\u044F \u0443\u0436\u0435 \u043F\u0440\u043E\u0438\u0433\u0440\u0430\u043D\u043D\u044B\u0435 \u0441\u0434\u0435\u043B\u043A\u0438. 0 \u043E\u0442\u043A\u043B\u044E\u0447\u0430\u0435\u0442."},loss_streak:{name:"\u0443\u0431\u044B\u0442\u043A\u043E\u0432 \u043F\u043E\u0434\u0440\u044F\u0434",hint:"\u041F\u043E\u0441\u043B\u0435 \u0441\u0442\u043E\u043B\u044C\u043A\u0438\u0445 \u043F\u0440\u043E\u0438\u0433\u0440\u0430\u043D\u043D\u044B\u0445 \u0441\u0434\u0435\u043B\u043E\u043A \u043F\u043E\u0434\u0440\u044F\u0434 \u0431\u043E\u0442 \u0434\u0435\u043B\u0430\u0435\u0442 \u043F\u0430\u0443\u0437\u0443. 0 \u043E\u0442\u043A\u043B\u044E\u0447\u0430\u0435\u0442."},cooldown:{name:"\u043F\u0430\u0443\u0437\u0430",hint:"\u041A\u0430\u043A \u0434\u043E\u043B\u0433\u043E \u0431\u043E\u0442 \u0436\u0434\u0451\u0442 \u043F\u043E\u0441\u043B\u0435 \u0441\u0435\u0440\u0438\u0438 \u0443\u0431\u044B\u0442\u043A\u043E\u0432."},paper:{name:"\u0431\u0443\u043C\u0430\u0436\u043D\u0430\u044F \u0442\u043E\u0440\u0433\u043E\u0432\u043B\u044F",hint:"\u0421\u0434\u0435\u043B\u043A\u0438 \u043C\u043E\u0434\u0435\u043B\u0438\u0440\u0443\u044E\u0442\u0441\u044F \u043F\u043E \u0442\u0435\u043A\u0443\u0449\u0435\u0439 \u0446\u0435\u043D\u0435 \u0438 \u043D\u0435 \u0434\u043E\u0445\u043E\u0434\u044F\u0442 \u0434\u043E \u0431\u0440\u043E\u043A\u0435\u0440\u0430. \u0418\u0445 \u0440\u0435\u0437\u0443\u043B\u044C\u0442\u0430\u0442 \u0432\u0438\u0434\u0435\u043D \u043D\u0430 \u043F\u0430\u043D\u0435\u043B\u0438 \u0441\u0442\u0430\u0442\u0438\u0441\u0442\u0438\u043A\u0438."},paper_amount:{name:"\u0431\u0443\u043C\u0430\u0436\u043D\u0430\u044F \u0441\u0442\u0430\u0432\u043A\u0430",hint:"\u0421\u0442\u0430\u0432\u043A\u0430 \u043C\u043E\u0434\u0435\u043B\u0438\u0440\u0443\u0435\u043C\u043E\u0439 \u0441\u0434\u0435\u043B\u043A\u0438 \u0434\u043E \u041C\u0430\u0440\u0442\u0438\u043D\u0433\u0435\u0439\u043B\u0430."},min_score:{name:"\u043C\u0438\u043D. \u0440\u0435\u0439\u0442\u0438\u043D\u0433 \u043A\u0430\u043D\u0430\u043B\u0430",hint:"\u041F\u0440\u043E\u043F\u0443\u0441\u043A\u0430\u0442\u044C \u043A\u0430\u043D\u0430\u043B\u044B \u043C\u043E\u0441\u0442\u0430 \u0441 \u0440\u0435\u0439\u0442\u0438\u043D\u0433\u043E\u043C \u043D\u0438\u0436\u0435 \u044D\u0442\u043E\u0433\u043E. \u0420\u0435\u0439\u0442\u0438\u043D\u0433 \u043F\u043E\u044F\u0432\u043B\u044F\u0435\u0442\u0441\u044F \u043F\u043E\u0441\u043B\u0435 10 \u0432\u044B\u0438\u0433\u0440\u0430\u043D\u043D\u044B\u0445 \u0438\u043B\u0438 \u043F\u0440\u043E\u0438\u0433\u0440\u0430\u043D\u043D\u044B\u0445 \u0441\u0434\u0435\u043B\u043E\u043A. 0 \u043E\u0442\u043A\u043B\u044E\u0447\u0430\u0435\u0442."},expiry:{name:"\u044D\u043A\u0441\u043F\u0438\u0440\u0430\u0446\u0438\u044F",hint:"\u042D\u043A\u0441\u043F\u0438\u0440\u0430\u0446\u0438\u044F \u0441\u0434\u0435\u043B\u043E\u043A, \u0434\u043B\u044F \u043A\u043E\u0442\u043E\u0440\u044B\u0445 \u0435\u0451 \u043D\u0435 \u0437\u0430\u0434\u0430\u0451\u0442 \u043D\u0438 \u0441\u0442\u0440\u0430\u0442\u0435\u0433\u0438\u044F, \u043D\u0438 \u0441\u0438\u0433\u043D\u0430\u043B. 0 \u043E\u0441\u0442\u0430\u0432\u043B\u044F\u0435\u0442 \u044D\u043A\u0441\u043F\u0438\u0440\u0430\u0446\u0438\u044E, \u0432\u044B\u0431\u0440\u0430\u043D\u043D\u0443\u044E \u043D\u0430 \u043F\u043B\u0430\u0442\u0444\u043E\u0440\u043C\u0435."},stake_amount:{name:"\u0441\u0442\u0430\u0432\u043A\u0430",hint:"\u0424\u0438\u043A\u0441\u0438\u0440\u043E\u0432\u0430\u043D\u043D\u0430\u044F \u0441\u0442\u0430\u0432\u043A\u0430, \u0430 \u0442\u0430\u043A\u0436\u0435 \u0441\u0442\u0430\u0432\u043A\u0430 \u041A\u0435\u043B\u043B\u0438, \u043F\u043E\u043A\u0430 \u043D\u0435 \u0437\u0430\u043A\u0440\u044B\u0442\u043E 10 \u0441\u0434\u0435\u043B\u043E\u043A."},stake_percent:{name:"\u0441\u0442\u0430\u0432\u043A\u0430, \u043F\u0440\u043E\u0446\u0435\u043D\u0442",hint:"\u0421\u0442\u0430\u0432\u043A\u0430 \u0432 \u043F\u0440\u043E\u0446\u0435\u043D\u0442\u0430\u0445 \u043E\u0442 \u0431\u0430\u043B\u0430\u043D\u0441\u0430 \u0438 \u043D\u0430\u0438\u0431\u043E\u043B\u044C\u0448\u0430\u044F \u0441\u0442\u0430\u0432\u043A\u0430 \u041A\u0435\u043B\u043B\u0438."},kelly_fraction:{name:"\u0434\u043E\u043B\u044F \u041A\u0435\u043B\u043B\u0438",hint:"\u041A\u0430\u043A\u0443\u044E \u0447\u0430\u0441\u0442\u044C \u043F\u043E\u043B\u043D\u043E\u0439 \u0441\u0442\u0430\u0432\u043A\u0438 \u041A\u0435\u043B\u043B\u0438 \u0438\u0441\u043F\u043E\u043B\u044C\u0437\u043E\u0432\u0430\u0442\u044C. \u041F\u043E\u043B\u043E\u0432\u0438\u043D\u0430, 50, \u0433\u043E\u0440\u0430\u0437\u0434\u043E \u0441\u043F\u043E\u043A\u043E\u0439\u043D\u0435\u0435 \u043F\u043E\u043B\u043D\u043E\u0439 \u0441\u0442\u0430\u0432\u043A\u0438."},blackout_before:{name:"\u043F\u0430\u0443\u0437\u0430 \u0434\u043E \u043D\u043E\u0432\u043E\u0441\u0442\u0435\u0439",hint:"\u0417\u0430 \u0441\u043A\u043E\u043B\u044C\u043A\u043E \u0434\u043E \u043D\u043E\u0432\u043E\u0441\u0442\u043D\u043E\u0433\u043E \u0441\u043E\u0431\u044B\u0442\u0438\u044F \u0431\u043E\u0442 \u043F\u0435\u0440\u0435\u0441\u0442\u0430\u0451\u0442 \u043E\u0442\u043A\u0440\u044B\u0432\u0430\u0442\u044C \u0441\u0434\u0435\u043B\u043A\u0438."},blackout_after:{name:"\u043F\u0430\u0443\u0437\u0430 \u043F\u043E\u0441\u043B\u0435 \u043D\u043E\u0432\u043E\u0441\u0442\u0435\u0439",hint:"\u0421\u043A\u043E\u043B\u044C\u043A\u043E \u043F\u043E\u0441\u043B\u0435 \u043E\u043A\u043E\u043D\u0447\u0430\u043D\u0438\u044F \u043D\u043E\u0432\u043E\u0441\u0442\u043D\u043E\u0433\u043E \u0441\u043E\u0431\u044B\u0442\u0438\u044F \u0431\u043E\u0442 \u0436\u0434\u0451\u0442, \u043F\u0440\u0435\u0436\u0434\u0435 \u0447\u0435\u043C \u0441\u043D\u043E\u0432\u0430 \u043E\u0442\u043A\u0440\u044B\u0432\u0430\u0442\u044C \u0441\u0434\u0435\u043B\u043A\u0438."},use_otc:{name:"\u0442\u043E\u0440\u0433\u043E\u0432\u0430\u0442\u044C OTC",hint:"\u0422\u043E\u0440\u0433\u043E\u0432\u0430\u0442\u044C \u0442\u0430\u043A\u0436\u0435 OTC-\u043F\u0430\u0440\u0430\u043C\u0438 \u043F\u043B\u0430\u0442\u0444\u043E\u0440\u043C\u044B."},record_ws:{name:"\u0437\u0430\u043F\u0438\u0441\u044C \u0442\u0440\u0430\u0444\u0438\u043A\u0430",hint:"\u0417\u0430\u043F\u0438\u0441\u044B\u0432\u0430\u0442\u044C \u0442\u0440\u0430\u0444\u0438\u043A \u0441\u043E\u043A\u0435\u0442\u0430 \u0431\u0440\u043E\u043A\u0435\u0440\u0430, \u0447\u0442\u043E\u0431\u044B \u043F\u043E\u0442\u043E\u043C \u0432\u043E\u0441\u043F\u0440\u043E\u0438\u0437\u0432\u0435\u0441\u0442\u0438 \u0435\u0433\u043E."}},signals:{title:"\u0423\u0440\u043E\u0432\u0435\u043D\u044C \u0441\u0438\u0433\u043D\u0430\u043B\u0430 \u043F\u043E \u0442\u0430\u0439\u043C\u0444\u0440\u0435\u0439\u043C\u0430\u043C",timeframe:"{minutes} \u043C\u0438\u043D.",levels:["\u0432\u044B\u043A\u043B.","\u0441\u0438\u0433\u043D\u0430\u043B","\u0441\u0438\u043B\u044C\u043D\u044B\u0439 \u0441\u0438\u0433\u043D\u0430\u043B"],cell:"{timeframe}: {level}",help:"Enter \u0438\u043B\u0438 \u043F\u0440\u043E\u0431\u0435\u043B \u043C\u0435\u043D\u044F\u044E\u0442 \u0443\u0440\u043E\u0432\u0435\u043D\u044C, \u0441\u0442\u0440\u0435\u043B\u043A\u0438 \u043F\u0435\u0440\u0435\u0445\u043E\u0434\u044F\u0442 \u043C\u0435\u0436\u0434\u0443 \u0442\u0430\u0439\u043C\u0444\u0440\u0435\u0439\u043C\u0430\u043C\u0438."},validation:{number:"\u0412\u0432\u0435\u0434\u0438\u0442\u0435 \u0447\u0438\u0441\u043B\u043E.",integer:"\u0412\u0432\u0435\u0434\u0438\u0442\u0435 \u0446\u0435\u043B\u043E\u0435 \u0447\u0438\u0441\u043B\u043E.",range:"\u0412\u0432\u0435\u0434\u0438\u0442\u0435 \u0437\u043D\u0430\u0447\u0435\u043D\u0438\u0435 \u043E\u0442 {min} \u0434\u043E {max}.",refused:"\u0411\u043E\u0442 \u0438\u0441\u043F\u0440\u0430\u0432\u0438\u043B \u0438\u043B\u0438 \u043F\u0440\u043E\u043F\u0443\u0441\u0442\u0438\u043B \u044D\u0442\u0438 \u043D\u0430\u0441\u0442\u0440\u043E\u0439\u043A\u0438: {problems}"},profiles:{title:"\u043F\u0440\u043E\u0444\u0438\u043B\u044C",new:"\u0441\u043E\u0445\u0440\u0430\u043D\u0438\u0442\u044C \u043A\u0430\u043A",delete:"\u0443\u0434\u0430\u043B\u0438\u0442\u044C",export:"\u044D\u043A\u0441\u043F\u043E\u0440\u0442",import:"\u0438\u043C\u043F\u043E\u0440\u0442",name:"\u041D\u0430\u0437\u0432\u0430\u043D\u0438\u0435 \u043D\u043E\u0432\u043E\u0433\u043E \u043F\u0440\u043E\u0444\u0438\u043B\u044F:",confirm:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C \u043F\u0440\u043E\u0444\u0438\u043B\u044C \xAB{name}\xBB?",imported:"\u041F\u0440\u043E\u0444\u0438\u043B\u044C \xAB{name}\xBB \u0438\u043C\u043F\u043E\u0440\u0442\u0438\u0440\u043E\u0432\u0430\u043D.",problems:"\u041F\u0440\u043E\u0444\u0438\u043B\u044C \xAB{name}\xBB \u0438\u043C\u043F\u043E\u0440\u0442\u0438\u0440\u043E\u0432\u0430\u043D. \u0418\u0441\u043F\u0440\u0430\u0432\u043B\u0435\u043D\u043E \u0438\u043B\u0438 \u043F\u0440\u043E\u043F\u0443\u0449\u0435\u043D\u043E: {problems}",invalid:"\u041F\u0440\u043E\u0444\u0438\u043B\u044C \u043D\u0435 \u0438\u043C\u043F\u043E\u0440\u0442\u0438\u0440\u043E\u0432\u0430\u043D: {error}"},schedule:{title:"\u0447\u0430\u0441\u044B \u0442\u043E\u0440\u0433\u043E\u0432\u043B\u0438",placeholder:"\u0432 \u043B\u044E\u0431\u043E\u0435 \u0432\u0440\u0435\u043C\u044F \u0438\u043B\u0438, \u043D\u0430\u043F\u0440\u0438\u043C\u0435\u0440, Mon-Fri 08:00-12:00 14:00-17:00",assets:"\u0430\u043A\u0442\u0438\u0432\u044B",all:"\u0432\u0441\u0435",allow:"\u0442\u043E\u043B\u044C\u043A\u043E \u044D\u0442\u0438",block:"\u0432\u0441\u0435, \u043A\u0440\u043E\u043C\u0435 \u044D\u0442\u0438\u0445",blackouts:"\u043D\u043E\u0432\u043E\u0441\u0442\u043D\u044B\u0435 \u043F\u0430\u0443\u0437\u044B",import:"\u0438\u043C\u043F\u043E\u0440\u0442",clear:"\u043E\u0447\u0438\u0441\u0442\u0438\u0442\u044C",count:"\u0441\u043E\u0431\u044B\u0442\u0438\u0439: {count}",schedule:"\u0412\u043D\u0435 \u0447\u0430\u0441\u043E\u0432 \u0442\u043E\u0440\u0433\u043E\u0432\u043B\u0438 \u0434\u043E {until}. \u041E\u0442\u043A\u0440\u044B\u0442\u044B\u0435 \u0441\u0434\u0435\u043B\u043A\u0438 \u0434\u043E\u0436\u0438\u0432\u0443\u0442 \u0434\u043E \u044D\u043A\u0441\u043F\u0438\u0440\u0430\u0446\u0438\u0438.",blackout:"\u041D\u043E\u0432\u043E\u0441\u0442\u043D\u0430\u044F \u043F\u0430\u0443\u0437\u0430 ({title}) \u0434\u043E {until}. \u041E\u0442\u043A\u0440\u044B\u0442\u044B\u0435 \u0441\u0434\u0435\u043B\u043A\u0438 \u0434\u043E\u0436\u0438\u0432\u0443\u0442 \u0434\u043E \u044D\u043A\u0441\u043F\u0438\u0440\u0430\u0446\u0438\u0438.",open:"\u0421\u043D\u043E\u0432\u0430 \u0432 \u0447\u0430\u0441\u0430\u0445 \u0442\u043E\u0440\u0433\u043E\u0432\u043B\u0438.",never:"\u0438\u0437\u043C\u0435\u043D\u0435\u043D\u0438\u044F \u0440\u0430\u0441\u043F\u0438\u0441\u0430\u043D\u0438\u044F",invalid:"\u0420\u0430\u0441\u043F\u0438\u0441\u0430\u043D\u0438\u0435 \u043D\u0435 \u0438\u0437\u043C\u0435\u043D\u0435\u043D\u043E: {error}"},stake:{title:"\u0441\u0442\u0430\u0432\u043A\u0430",platform:"\u043A\u0430\u043A \u043D\u0430 \u043F\u043B\u0430\u0442\u0444\u043E\u0440\u043C\u0435",fixed:"\u0444\u0438\u043A\u0441\u0438\u0440\u043E\u0432\u0430\u043D\u043D\u0430\u044F",percent:"\u043F\u0440\u043E\u0446\u0435\u043D\u0442 \u043E\u0442 \u0431\u0430\u043B\u0430\u043D\u0441\u0430",kelly:"\u041A\u0435\u043B\u043B\u0438"},strategies:{signals:{name:"\u0441\u0438\u0433\u043D\u0430\u043B\u044B",description:"\u0411\u043E\u0442 \u0442\u043E\u0440\u0433\u0443\u0435\u0442 \u043F\u043E \u0441\u0438\u0433\u043D\u0430\u043B\u0430\u043C \u043F\u043B\u0430\u0442\u0444\u043E\u0440\u043C\u044B. \u0423\u043A\u0430\u0436\u0438\u0442\u0435 \u0443\u0440\u043E\u0432\u0435\u043D\u044C \u0441\u0438\u0433\u043D\u0430\u043B\u0430 \u0434\u043B\u044F \u043A\u0430\u0436\u0434\u043E\u0433\u043E \u0442\u0430\u0439\u043C\u0444\u0440\u0435\u0439\u043C\u0430. \u041F\u043E\u0441\u043B\u0435 \u0437\u0430\u043F\u0443\u0441\u043A\u0430 \u0431\u043E\u0442\u0430 \u0437\u0430\u043A\u0440\u043E\u0439\u0442\u0435 \u0438 \u0441\u043D\u043E\u0432\u0430 \u043E\u0442\u043A\u0440\u043E\u0439\u0442\u0435 \u043E\u043A\u043D\u043E \u0441\u0438\u0433\u043D\u0430\u043B\u043E\u0432.",params:{forecastExpiry:"\u044D\u043A\u0441\u043F\u0438\u0440\u0430\u0446\u0438\u044F \u043F\u043E \u0441\u0430\u043C\u043E\u043C\u0443 \u043A\u043E\u0440\u043E\u0442\u043A\u043E\u043C\u0443 \u043F\u0440\u043E\u0433\u043D\u043E\u0437\u0443"}},cci:{name:"cci20",description:"\u0422\u043E\u0440\u0433\u043E\u0432\u043B\u044F \u043F\u043E \u0438\u043D\u0434\u0438\u043A\u0430\u0442\u043E\u0440\u0443 CCI20: \u0441\u0434\u0435\u043B\u043A\u0430 \u043F\u0440\u043E\u0442\u0438\u0432 \u0434\u0432\u0438\u0436\u0435\u043D\u0438\u044F, \u043A\u043E\u0433\u0434\u0430 CCI \u0432\u043E\u0437\u0432\u0440\u0430\u0449\u0430\u0435\u0442\u0441\u044F \u0438\u0437-\u0437\u0430 \u0441\u0432\u043E\u0438\u0445 \u0443\u0440\u043E\u0432\u043D\u0435\u0439. \u041F\u043E\u0441\u043B\u0435 \u0437\u0430\u043F\u0443\u0441\u043A\u0430 \u0431\u043E\u0442\u0430 \u043F\u043E \u043E\u0447\u0435\u0440\u0435\u0434\u0438 \u043F\u0435\u0440\u0435\u043A\u043B\u044E\u0447\u0438\u0442\u0435 \u043F\u0430\u0440\u044B, \u043A\u043E\u0442\u043E\u0440\u044B\u0435 \u043D\u0443\u0436\u043D\u043E \u0430\u043D\u0430\u043B\u0438\u0437\u0438\u0440\u043E\u0432\u0430\u0442\u044C.",params:{period:"\u043F\u0435\u0440\u0438\u043E\u0434",upper:"\u0432\u0435\u0440\u0445\u043D\u0438\u0439 \u0443\u0440\u043E\u0432\u0435\u043D\u044C",lower:"\u043D\u0438\u0436\u043D\u0438\u0439 \u0443\u0440\u043E\u0432\u0435\u043D\u044C"}},candles:{name:"4 \u0441\u0432\u0435\u0447\u0438",description:"\u0411\u043E\u0442 \u043E\u0442\u043A\u0440\u044B\u0432\u0430\u0435\u0442 \u0441\u0434\u0435\u043B\u043A\u0443, \u043A\u043E\u0433\u0434\u0430 4 \u0441\u0432\u0435\u0447\u0438 \u043F\u043E\u0434\u0440\u044F\u0434 \u0438\u0434\u0443\u0442 \u0432 \u043E\u0434\u043D\u0443 \u0441\u0442\u043E\u0440\u043E\u043D\u0443; \u0441\u0434\u0435\u043B\u043A\u0430 \u043F\u0440\u043E\u0442\u0438\u0432 \u044D\u0442\u043E\u0433\u043E \u0434\u0432\u0438\u0436\u0435\u043D\u0438\u044F. \u041F\u043E\u0441\u043B\u0435 \u0437\u0430\u043F\u0443\u0441\u043A\u0430 \u0431\u043E\u0442\u0430 \u043F\u043E \u043E\u0447\u0435\u0440\u0435\u0434\u0438 \u043F\u0435\u0440\u0435\u043A\u043B\u044E\u0447\u0438\u0442\u0435 \u043F\u0430\u0440\u044B, \u043A\u043E\u0442\u043E\u0440\u044B\u0435 \u043D\u0443\u0436\u043D\u043E \u0430\u043D\u0430\u043B\u0438\u0437\u0438\u0440\u043E\u0432\u0430\u0442\u044C.",params:{count:"\u0441\u0432\u0435\u0447\u0435\u0439",against:"\u043F\u0440\u043E\u0442\u0438\u0432 \u0441\u0435\u0440\u0438\u0438"}},pinBar:{name:"\u043F\u0438\u043D-\u0431\u0430\u0440",description:"\u0422\u043E\u0440\u0433\u0443\u0435\u0442 \u043F\u0440\u043E\u0442\u0438\u0432 \u0434\u043B\u0438\u043D\u043D\u043E\u0439 \u0442\u0435\u043D\u0438 \u043F\u0438\u043D-\u0431\u0430\u0440\u0430 \u0447\u0435\u0440\u0435\u0437 40 \u0441\u0435\u043A\u0443\u043D\u0434 \u043F\u043E\u0441\u043B\u0435 \u043D\u0430\u0447\u0430\u043B\u0430 \u0441\u0432\u0435\u0447\u0438.",params:{ratio:"\u0442\u0435\u043D\u044C \u043A \u0442\u0435\u043B\u0443"}},rsiReversal:{name:"\u0440\u0430\u0437\u0432\u043E\u0440\u043E\u0442 RSI",description:"\u0422\u043E\u0440\u0433\u0443\u0435\u0442 \u043F\u0440\u043E\u0442\u0438\u0432 \u0434\u0432\u0438\u0436\u0435\u043D\u0438\u044F, \u043A\u043E\u0433\u0434\u0430 RSI \u0432\u043E\u0437\u0432\u0440\u0430\u0449\u0430\u0435\u0442\u0441\u044F \u0438\u0437 \u0437\u043E\u043D\u044B \u043F\u0435\u0440\u0435\u043A\u0443\u043F\u043B\u0435\u043D\u043D\u043E\u0441\u0442\u0438 \u0438\u043B\u0438 \u043F\u0435\u0440\u0435\u043F\u0440\u043E\u0434\u0430\u043D\u043D\u043E\u0441\u0442\u0438.",params:{period:"\u043F\u0435\u0440\u0438\u043E\u0434",overbought:"\u043F\u0435\u0440\u0435\u043A\u0443\u043F\u043B\u0435\u043D\u043D\u043E\u0441\u0442\u044C",oversold:"\u043F\u0435\u0440\u0435\u043F\u0440\u043E\u0434\u0430\u043D\u043D\u043E\u0441\u0442\u044C"}},bollingerTouch:{name:"\u043A\u0430\u0441\u0430\u043D\u0438\u0435 \u0411\u043E\u043B\u043B\u0438\u043D\u0434\u0436\u0435\u0440\u0430",description:"\u0422\u043E\u0440\u0433\u0443\u0435\u0442 \u043E\u0431\u0440\u0430\u0442\u043D\u043E \u043A \u0441\u0435\u0440\u0435\u0434\u0438\u043D\u0435, \u043A\u043E\u0433\u0434\u0430 \u0446\u0435\u043D\u0430 \u0437\u0430\u043A\u0440\u044B\u0432\u0430\u0435\u0442\u0441\u044F \u0437\u0430 \u043F\u043E\u043B\u043E\u0441\u0430\u043C\u0438 \u0411\u043E\u043B\u043B\u0438\u043D\u0434\u0436\u0435\u0440\u0430.",params:{period:"\u043F\u0435\u0440\u0438\u043E\u0434",width:"\u043E\u0442\u043A\u043B\u043E\u043D\u0435\u043D\u0438\u0439"}},macdCross:{name:"\u043F\u0435\u0440\u0435\u0441\u0435\u0447\u0435\u043D\u0438\u0435 MACD",description:"\u0422\u043E\u0440\u0433\u0443\u0435\u0442 \u043F\u043E \u043B\u0438\u043D\u0438\u0438 MACD, \u043A\u043E\u0433\u0434\u0430 \u043E\u043D\u0430 \u043F\u0435\u0440\u0435\u0441\u0435\u043A\u0430\u0435\u0442 \u0441\u0438\u0433\u043D\u0430\u043B\u044C\u043D\u0443\u044E \u043B\u0438\u043D\u0438\u044E.",params:{fast:"\u0431\u044B\u0441\u0442\u0440\u0430\u044F EMA",slow:"\u043C\u0435\u0434\u043B\u0435\u043D\u043D\u0430\u044F EMA",signal:"\u0441\u0438\u0433\u043D\u0430\u043B\u044C\u043D\u0430\u044F EMA"}},emaCross:{name:"\u043F\u0435\u0440\u0435\u0441\u0435\u0447\u0435\u043D\u0438\u0435 EMA",description:"\u0422\u043E\u0440\u0433\u0443\u0435\u0442 \u0432 \u0441\u0442\u043E\u0440\u043E\u043D\u0443 \u0431\u044B\u0441\u0442\u0440\u043E\u0439 EMA, \u043A\u043E\u0433\u0434\u0430 \u043E\u043D\u0430 \u043F\u0435\u0440\u0435\u0441\u0435\u043A\u0430\u0435\u0442 \u043C\u0435\u0434\u043B\u0435\u043D\u043D\u0443\u044E.",params:{fast:"\u0431\u044B\u0441\u0442\u0440\u0430\u044F EMA",slow:"\u043C\u0435\u0434\u043B\u0435\u043D\u043D\u0430\u044F EMA"}},martin:{name:"\u043C\u0430\u0440\u0442\u0438\u043D\u0433\u0435\u0439\u043B",description:"\u041F\u043E\u0432\u0442\u043E\u0440\u044F\u0435\u0442 \u043A\u0430\u0436\u0434\u0443\u044E \u043F\u0440\u043E\u0438\u0433\u0440\u0430\u043D\u043D\u0443\u044E \u0441\u0434\u0435\u043B\u043A\u0443 \u0441\u043E \u0441\u043B\u0435\u0434\u0443\u044E\u0449\u0435\u0439 \u0441\u0442\u0430\u0432\u043A\u043E\u0439 \u043B\u0435\u0441\u0442\u043D\u0438\u0446\u044B \u041C\u0430\u0440\u0442\u0438\u043D\u0433\u0435\u0439\u043B\u0430."}},risk:{stop_loss:"\u0414\u043E\u0441\u0442\u0438\u0433\u043D\u0443\u0442 \u0441\u0442\u043E\u043F-\u043B\u043E\u0441\u0441 {limit}. \u0411\u043E\u0442 \u043E\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D.",daily_loss:"\u0414\u043E\u0441\u0442\u0438\u0433\u043D\u0443\u0442 \u0434\u043D\u0435\u0432\u043D\u043E\u0439 \u0443\u0431\u044B\u0442\u043E\u043A {limit}. \u0411\u043E\u0442 \u043E\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D \u0434\u043E \u0437\u0430\u0432\u0442\u0440\u0430.",cooldown:"\u0423\u0431\u044B\u0442\u043A\u043E\u0432 \u043F\u043E\u0434\u0440\u044F\u0434: {limit}. \u0411\u043E\u0442 \u043D\u0430 \u043F\u0430\u0443\u0437\u0435 \u0434\u043E {until}.",martin_exposure:"\u0426\u0435\u043F\u043E\u0447\u043A\u0430 \u041C\u0430\u0440\u0442\u0438\u043D\u0433\u0435\u0439\u043B\u0430 \u043D\u0430 {asset} \u043F\u0440\u0435\u0432\u044B\u0441\u0438\u043B\u0430 \u0431\u044B \u0441\u0442\u0430\u0432\u043A\u0443 {limit} \u0438 \u043D\u0435 \u043F\u0440\u043E\u0434\u043E\u043B\u0436\u0435\u043D\u0430.",take_profit:"\u0414\u043E\u0441\u0442\u0438\u0433\u043D\u0443\u0442 \u0442\u0435\u0439\u043A-\u043F\u0440\u043E\u0444\u0438\u0442 {limit}. \u0411\u043E\u0442 \u043E\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D.",other:"\u0414\u043E\u0441\u0442\u0438\u0433\u043D\u0443\u0442 \u043B\u0438\u043C\u0438\u0442 \u0440\u0438\u0441\u043A\u0430 {reason} ({limit}). \u041F\u0440\u043E\u0432\u0435\u0440\u044C\u0442\u0435 \u043D\u0430\u0441\u0442\u0440\u043E\u0439\u043A\u0438 \u0431\u043E\u0442\u0430."},journal:{title:"\u0436\u0443\u0440\u043D\u0430\u043B \u0441\u0434\u0435\u043B\u043E\u043A",clear:"\u043E\u0447\u0438\u0441\u0442\u0438\u0442\u044C",confirm:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C \u0432\u0441\u0435 \u0441\u0434\u0435\u043B\u043A\u0438 ({count}) \u0438\u0437 \u0436\u0443\u0440\u043D\u0430\u043B\u0430?",failed:"\u0421\u0434\u0435\u043B\u043A\u0430 \u043D\u0435 \u0437\u0430\u043F\u0438\u0441\u0430\u043D\u0430 \u0432 \u0436\u0443\u0440\u043D\u0430\u043B: {error}"},bridge:{title:"\u043C\u043E\u0441\u0442 \u0441\u0438\u0433\u043D\u0430\u043B\u043E\u0432",off:"\u0432\u044B\u043A\u043B\u044E\u0447\u0435\u043D",connecting:"\u043F\u043E\u0434\u043A\u043B\u044E\u0447\u0435\u043D\u0438\u0435...",open:"\u043F\u043E\u0434\u043A\u043B\u044E\u0447\u0451\u043D",closed:"\u043E\u0442\u043A\u043B\u044E\u0447\u0451\u043D, \u043F\u043E\u0432\u0442\u043E\u0440\u043D\u043E\u0435 \u043F\u043E\u0434\u043A\u043B\u044E\u0447\u0435\u043D\u0438\u0435"},stats:{empty:"\u0417\u0430\u043A\u0440\u044B\u0442\u044B\u0445 \u0441\u0434\u0435\u043B\u043E\u043A \u0431\u043E\u0442\u0430 \u043F\u043E\u043A\u0430 \u043D\u0435\u0442.",total:"\u0441\u0434\u0435\u043B\u043E\u043A",drawdown:"\u043C\u0430\u043A\u0441. \u043F\u0440\u043E\u0441\u0430\u0434\u043A\u0430",trades:"\u0441\u0434\u0435\u043B\u043E\u043A",winRate:"\u0432\u044B\u0438\u0433\u0440\u044B\u0448",net:"\u0438\u0442\u043E\u0433",strategy:"\u0441\u0442\u0440\u0430\u0442\u0435\u0433\u0438\u044F",asset:"\u0430\u043A\u0442\u0438\u0432",market:"\u043F\u0430\u0440\u044B",otc:"OTC",regular:"\u043E\u0431\u044B\u0447\u043D\u044B\u0435",hour:"\u0447\u0430\u0441",step:"\u0448\u0430\u0433 \u041C\u0430\u0440\u0442\u0438\u043D\u0433\u0435\u0439\u043B\u0430",channel:"\u043A\u0430\u043D\u0430\u043B (\u0440\u0435\u0439\u0442\u0438\u043D\u0433)"},paper:"\u0411\u0423\u041C\u0410\u0413\u0410: ",diagnostics:{title:"\u0434\u0438\u0430\u0433\u043D\u043E\u0441\u0442\u0438\u043A\u0430 \u043F\u0440\u043E\u0442\u043E\u043A\u043E\u043B\u0430",show:"\u043E\u0431\u043D\u043E\u0432\u0438\u0442\u044C",version:"\u0412\u0435\u0440\u0441\u0438\u044F \u0430\u0434\u0430\u043F\u0442\u0435\u0440\u0430 \u043F\u0440\u043E\u0442\u043E\u043A\u043E\u043B\u0430 {version}",unknown:"\u043D\u0435 \u0447\u0438\u0442\u0430\u0435\u0442\u0441\u044F",failures:"\u041A\u0430\u0434\u0440\u044B, \u043A\u043E\u0442\u043E\u0440\u044B\u0435 \u043D\u0435 \u0443\u0434\u0430\u043B\u043E\u0441\u044C \u043F\u0440\u043E\u0447\u0438\u0442\u0430\u0442\u044C:",noFailures:"\u0412\u0441\u0435 \u043A\u0430\u0434\u0440\u044B \u043F\u0440\u043E\u0447\u0438\u0442\u0430\u043D\u044B \u043A\u0430\u043A \u043E\u0436\u0438\u0434\u0430\u043B\u043E\u0441\u044C.",stopped:"\u0411\u0440\u043E\u043A\u0435\u0440 \u043F\u0440\u0438\u0441\u043B\u0430\u043B {event}, \u043A\u043E\u0442\u043E\u0440\u044B\u0439 \u0431\u043E\u0442 \u043D\u0435 \u0441\u043C\u043E\u0433 \u043F\u0440\u043E\u0447\u0438\u0442\u0430\u0442\u044C ({problem}). \u0411\u043E\u0442 \u043E\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D; \u0441\u043C. \u0434\u0438\u0430\u0433\u043D\u043E\u0441\u0442\u0438\u043A\u0443 \u043F\u0440\u043E\u0442\u043E\u043A\u043E\u043B\u0430."},alerts:{title:"Pocket Option Bot",settings:"\u043E\u043F\u043E\u0432\u0435\u0449\u0435\u043D\u0438\u044F",notifications:"\u0443\u0432\u0435\u0434\u043E\u043C\u043B\u0435\u043D\u0438\u044F",sound:"\u0437\u0432\u0443\u043A",webhook:"\u0410\u0434\u0440\u0435\u0441 \u043B\u043E\u043A\u0430\u043B\u044C\u043D\u043E\u0433\u043E \u0432\u0435\u0431\u0445\u0443\u043A\u0430: \u043A\u0430\u0436\u0434\u043E\u0435 \u043E\u043F\u043E\u0432\u0435\u0449\u0435\u043D\u0438\u0435 \u043E\u0442\u043F\u0440\u0430\u0432\u043B\u044F\u0435\u0442\u0441\u044F \u043D\u0430 \u043D\u0435\u0433\u043E \u0432 JSON",invalid:"\u0412\u0435\u0431\u0445\u0443\u043A \u0434\u043E\u043B\u0436\u0435\u043D \u0431\u044B\u0442\u044C \u0430\u0434\u0440\u0435\u0441\u043E\u043C http:// \u043D\u0430 localhost \u0438\u043B\u0438 127.0.0.1.",opened:"\u0421\u0434\u0435\u043B\u043A\u0430 {id} \u043E\u0442\u043A\u0440\u044B\u0442\u0430, \u043E\u0442\u043A\u0440\u044B\u0442\u043E: {count}.",closed:"\u0421\u0434\u0435\u043B\u043A\u0430 \u0437\u0430\u043A\u0440\u044B\u0442\u0430: {profit}.",take_profit:"\u0414\u043E\u0441\u0442\u0438\u0433\u043D\u0443\u0442 \u0442\u0435\u0439\u043A-\u043F\u0440\u043E\u0444\u0438\u0442 {limit}. \u0411\u043E\u0442 \u043E\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D.",stop_loss:"\u0414\u043E\u0441\u0442\u0438\u0433\u043D\u0443\u0442 \u0441\u0442\u043E\u043F-\u043B\u043E\u0441\u0441 {limit}. \u0411\u043E\u0442 \u043E\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D.",protocol:"\u0411\u043E\u0442 \u043E\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D: \u0431\u0440\u043E\u043A\u0435\u0440 \u043F\u0440\u0438\u0441\u043B\u0430\u043B {event}, \u043A\u043E\u0442\u043E\u0440\u044B\u0439 \u043D\u0435 \u0443\u0434\u0430\u043B\u043E\u0441\u044C \u043F\u0440\u043E\u0447\u0438\u0442\u0430\u0442\u044C ({problem}).",no_data:"\u041D\u0435\u0442 \u0440\u044B\u043D\u043E\u0447\u043D\u044B\u0445 \u0434\u0430\u043D\u043D\u044B\u0445 \u0441 {since}."},orders:{not_sent:"{direction} \u043D\u0430 {asset} \u043D\u0435 \u043E\u0442\u043A\u0440\u044B\u0442: \u043F\u043B\u0430\u0442\u0444\u043E\u0440\u043C\u0430 \u043D\u0435 \u043E\u0442\u043F\u0440\u0430\u0432\u0438\u043B\u0430 \u043E\u0440\u0434\u0435\u0440 \u043D\u0430 \u043D\u0430\u0436\u0430\u0442\u0438\u0435.",not_confirmed:"{direction} \u043D\u0430 {asset} \u043E\u0442\u043F\u0440\u0430\u0432\u043B\u0435\u043D, \u043D\u043E \u043F\u043B\u0430\u0442\u0444\u043E\u0440\u043C\u0430 \u043D\u0435 \u043F\u043E\u0434\u0442\u0432\u0435\u0440\u0434\u0438\u043B\u0430 \u0435\u0433\u043E \u0432\u043E\u0432\u0440\u0435\u043C\u044F.",not_closed:"\u041E \u0437\u0430\u043A\u0440\u044B\u0442\u0438\u0438 {direction} \u043D\u0430 {asset} \u043D\u0435 \u0441\u043E\u043E\u0431\u0449\u0438\u043B\u0438 \u0432\u043E\u0432\u0440\u0435\u043C\u044F; \u0441\u0434\u0435\u043B\u043A\u0430 \u0431\u043E\u043B\u044C\u0448\u0435 \u043D\u0435 \u0443\u0447\u0438\u0442\u044B\u0432\u0430\u0435\u0442\u0441\u044F \u0432 \u043B\u0438\u043C\u0438\u0442\u0435 \u0441\u0434\u0435\u043B\u043E\u043A."}}});var Yr=X((zl,Fs)=>{Fs.exports={grade:'Por favor, <a href="https://chromewebstore.google.com/detail/free-pocket-option-bot/nmeompgfogpnabkpjdepfedkiajgohni/reviews" target="_blank">comparte tu experiencia</a> con Pocket Option Bot ',modal:{title:"Pocket Option Bot",sidebar:"Autotrading",tooltip:"autotrading de 2bot",loading:"Cargando la configuraci\xF3n. Espera, por favor. Si este mensaje no desaparece, av\xEDsanos.",strategy:"estrategia",start:"INICIAR",stop:"DETENER",win:"GANADAS: ",lost:"PERDIDAS: ",martinSteps:"Multiplicadores de Martingala",martinStep:"Multiplicador del paso {step} de Martingala"},units:{percent:"%",seconds:"s",minutes:"min",count:"uds.",money:"$"},inputs:{min_profit:{name:"rentabilidad m\xEDn.",hint:"El bot solo opera pares con una rentabilidad mayor."},delay:{name:"retardo",hint:"Pausa m\xEDnima entre operaciones en un mismo par."},deals_limit:{name:"l\xEDmite de operaciones",hint:"N\xFAmero m\xE1ximo de operaciones abiertas a la vez."},take_profit:{name:"take profit",hint:"El bot deja de operar al alcanzar la ganancia indicada."},show_stat:{name:"mostrar estad\xEDsticas",hint:"Mostrar estad\xEDsticas."},useMartin:{name:"usar Martingala",hint:"Si el pron\xF3stico falla, la siguiente operaci\xF3n se abre con el multiplicador indicado."},stop_loss:{name:"stop loss",hint:"El bot se detiene cuando sus operaciones han perdido esta parte del saldo con el que se inici\xF3. 0 lo desactiva."},stop_loss_sum:{name:"stop loss, importe",hint:"El bot se detiene cuando sus operaciones han perdido este importe desde que se inici\xF3. 0 lo desactiva."},daily_loss:{name:"p\xE9rdida diaria",hint:"El bot se detiene cuando sus operaciones han perdido este importe hoy, tambi\xE9n tras recargar la p\xE1gina. 0 lo desactiva."},martin_exposure:{name:"apuesta m\xE1x. de Martingala",hint:"Lo m\xE1ximo que una cadena de Martingala puede arriesgar en un par, contando las operaciones ya perdidas. 0 lo desactiva."},loss_streak:{name:"p\xE9rdidas seguidas",hint:"Tras tantas operaciones perdidas seguidas el bot hace una pausa. 0 lo desactiva."},cooldown:{name:"pausa",hint:"Cu\xE1nto espera el bot tras las p\xE9rdidas seguidas."},paper:{name:"operar en papel",hint:"Las operaciones se simulan al precio actual y nunca llegan al br\xF3ker. Su resultado aparece en el panel de estad\xEDsticas."},paper_amount:{name:"importe en papel",hint:"Importe de una operaci\xF3n simulada antes de la Martingala."},min_score:{name:"puntuaci\xF3n m\xEDn. del canal",hint:"Ignora los canales del puente con una puntuaci\xF3n menor. Un canal se punt\xFAa tras 10 operaciones ganadas o perdidas. 0 lo desactiva."},expiry:{name:"vencimiento",hint:"Vencimiento de las operaciones cuya estrategia o se\xF1al no lo fija. 0 mantiene el vencimiento elegido en la plataforma."},stake_amount:{name:"importe",hint:"El importe fijo, y el importe Kelly hasta que se hayan cerrado 10 operaciones."},stake_percent:{name:"porcentaje del importe",hint:"El importe como porcentaje del saldo, y lo m\xE1ximo que puede ser el importe Kelly."},kelly_fraction:{name:"fracci\xF3n de Kelly",hint:"Parte del importe Kelly completo que se usa. Medio Kelly, 50, es mucho menos vol\xE1til que el importe completo."},blackout_before:{name:"pausa antes de noticias",hint:"Cu\xE1nto antes de una noticia el bot deja de abrir operaciones."},blackout_after:{name:"pausa tras noticias",hint:"Cu\xE1nto espera el bot tras el fin de una noticia antes de volver a abrir operaciones."},use_otc:{name:"usar OTC",hint:"Operar tambi\xE9n los pares OTC de la plataforma."},record_ws:{name:"grabar tr\xE1fico",hint:"Grabar el tr\xE1fico del socket del br\xF3ker para reproducirlo despu\xE9s."}},signals:{title:"Nivel de se\xF1al por marco temporal",timeframe:"{minutes} min",levels:["desactivado","se\xF1al","se\xF1al fuerte"],cell:"{timeframe}: {level}",help:"Intro o Espacio cambian el nivel, las flechas pasan de un marco temporal a otro."},validation:{number:"Introduce un n\xFAmero.",integer:"Introduce un n\xFAmero entero.",range:"Introduce un valor de {min} a {max}.",refused:"El bot corrigi\xF3 u omiti\xF3 estos ajustes: {problems}"},profiles:{title:"perfil",new:"guardar como",delete:"eliminar",export:"exportar",import:"importar",name:"Nombre del nuevo perfil:",confirm:'\xBFEliminar el perfil "{name}"?',imported:'Perfil "{name}" importado.',problems:'Perfil "{name}" importado. Corregido u omitido: {problems}',invalid:"El perfil no se import\xF3: {error}"},schedule:{title:"horario de operaci\xF3n",placeholder:"a cualquier hora, o p. ej. Mon-Fri 08:00-12:00 14:00-17:00",assets:"activos",all:"todos",allow:"solo estos",block:"todos menos estos",blackouts:"pausas por noticias",import:"importar",clear:"borrar",count:"{count} eventos",schedule:"Fuera del horario de operaci\xF3n hasta {until}. Las operaciones abiertas siguen hasta su vencimiento.",blackout:"Pausa por noticias ({title}) hasta {until}. Las operaciones abiertas siguen hasta su vencimiento.",open:"De nuevo dentro del horario de operaci\xF3n.",never:"que cambie el horario",invalid:"El horario no se cambi\xF3: {error}"},stake:{title:"importe",platform:"como en la plataforma",fixed:"fijo",percent:"porcentaje del saldo",kelly:"Kelly"},strategies:{signals:{name:"se\xF1ales",description:"El bot opera seg\xFAn las se\xF1ales de la plataforma. Indica el nivel de se\xF1al para cada marco temporal. Tras iniciar el bot, cierra y vuelve a abrir la ventana de se\xF1ales.",params:{forecastExpiry:"vencer con el pron\xF3stico m\xE1s corto"}},cci:{name:"cci20",description:"Opera con el indicador CCI20: en contra del movimiento cuando el CCI vuelve dentro de sus niveles. Tras iniciar el bot, cambia uno tras otro a los pares que quieras analizar.",params:{period:"periodo",upper:"nivel superior",lower:"nivel inferior"}},candles:{name:"4 velas",description:"El bot abre una operaci\xF3n cuando 4 velas seguidas van en la misma direcci\xF3n; la operaci\xF3n va en contra. Tras iniciar el bot, cambia uno tras otro a los pares que quieras analizar.",params:{count:"velas",against:"operar en contra de la racha"}},pinBar:{name:"pin bar",description:"Opera en contra de la sombra larga de una pin bar, a los 40 segundos de la vela.",params:{ratio:"sombra frente a cuerpo"}},rsiReversal:{name:"giro del RSI",description:"Opera en contra del movimiento cuando el RSI vuelve de sobrecompra o sobreventa.",params:{period:"periodo",overbought:"sobrecompra",oversold:"sobreventa"}},bollingerTouch:{name:"toque de Bollinger",description:"Opera de vuelta hacia el centro cuando el precio cierra fuera de las Bandas de Bollinger.",params:{period:"periodo",width:"desviaciones"}},macdCross:{name:"cruce del MACD",description:"Opera con la l\xEDnea MACD cuando cruza su l\xEDnea de se\xF1al.",params:{fast:"EMA r\xE1pida",slow:"EMA lenta",signal:"EMA de se\xF1al"}},emaCross:{name:"cruce de EMA",description:"Opera con la EMA r\xE1pida cuando cruza la lenta.",params:{fast:"EMA r\xE1pida",slow:"EMA lenta"}},martin:{name:"martingala",description:"Repite cada operaci\xF3n perdida con el siguiente importe de la escala de Martingala."}},risk:{stop_loss:"Stop loss de {limit} alcanzado. El bot se ha detenido.",daily_loss:"P\xE9rdida diaria de {limit} alcanzada. El bot se ha detenido hasta ma\xF1ana.",cooldown:"{limit} p\xE9rdidas seguidas. El bot est\xE1 en pausa hasta las {until}.",martin_exposure:"La cadena de Martingala en {asset} superar\xEDa {limit} en juego y no se continu\xF3.",take_profit:"Take profit de {limit} alcanzado. El bot se ha detenido.",other:"L\xEDmite de riesgo {reason} ({limit}) alcanzado. Revisa la configuraci\xF3n del bot."},journal:{title:"diario de operaciones",clear:"borrar",confirm:"\xBFBorrar las {count} operaciones del diario?",failed:"La operaci\xF3n no se guard\xF3 en el diario: {error}"},bridge:{title:"puente de se\xF1ales",off:"apagado",connecting:"conectando...",open:"conectado",closed:"desconectado, reintentando"},stats:{empty:"A\xFAn no hay operaciones del bot cerradas.",total:"operaciones",drawdown:"ca\xEDda m\xE1x.",trades:"operaciones",winRate:"ganadas",net:"neto",strategy:"estrategia",asset:"activo",market:"pares",otc:"OTC",regular:"normales",hour:"hora",step:"paso de Martingala",channel:"canal (puntuaci\xF3n)"},paper:"PAPEL: ",diagnostics:{title:"diagn\xF3stico del protocolo",show:"actualizar",version:"Versi\xF3n del adaptador de protocolo {version}",unknown:"no se lee",failures:"Tramas que no se pudieron leer:",noFailures:"Todas las tramas se leyeron como se esperaba.",stopped:"El br\xF3ker envi\xF3 un {event} que el bot no pudo leer ({problem}). El bot se ha detenido; consulta el diagn\xF3stico del protocolo."},alerts:{title:"Pocket Option Bot",settings:"alertas",notifications:"notificaciones",sound:"sonido",webhook:"Direcci\xF3n del webhook local: cada alerta se le env\xEDa como JSON",invalid:"El webhook debe ser una direcci\xF3n http:// en localhost o 127.0.0.1.",opened:"Operaci\xF3n {id} abierta, {count} abiertas.",closed:"Operaci\xF3n cerrada: {profit}.",take_profit:"Take profit de {limit} alcanzado. El bot se ha detenido.",stop_loss:"Stop loss de {limit} alcanzado. El bot se ha detenido.",protocol:"El bot se detuvo: el br\xF3ker envi\xF3 un {event} que no pudo leer ({problem}).",no_data:"Sin datos de mercado desde las {since}."},orders:{not_sent:"El {direction} en {asset} no se abri\xF3: la plataforma no envi\xF3 ninguna orden para el clic.",not_confirmed:"El {direction} en {asset} se envi\xF3, pero la plataforma no lo confirm\xF3 a tiempo.",not_closed:"El cierre del {direction} en {asset} no se notific\xF3 a tiempo y ya no cuenta para el l\xEDmite de operaciones."}}});var Xr=X((Wl,Bs)=>{Bs.exports={grade:'Por favor, <a href="https://chromewebstore.google.com/detail/free-pocket-option-bot/nmeompgfogpnabkpjdepfedkiajgohni/reviews" target="_blank">compartilhe sua experi\xEAncia</a> com o Pocket Option Bot ',modal:{title:"Pocket Option Bot",sidebar:"Autotrading",tooltip:"autotrading do 2bot",loading:"As configura\xE7\xF5es est\xE3o carregando. Aguarde, por favor. Se esta mensagem continuar, avise-nos.",strategy:"estrat\xE9gia",start:"INICIAR",stop:"PARAR",win:"GANHOS: ",lost:"PERDAS: ",martinSteps:"Multiplicadores do Martingale",martinStep:"Multiplicador do passo {step} do Martingale"},units:{percent:"%",seconds:"s",minutes:"min",count:"un.",money:"$"},inputs:{min_profit:{name:"lucro m\xEDn.",hint:"O bot s\xF3 opera pares com rentabilidade maior."},delay:{name:"intervalo",hint:"Intervalo m\xEDnimo entre opera\xE7\xF5es no mesmo par."},deals_limit:{name:"limite de opera\xE7\xF5es",hint:"N\xFAmero m\xE1ximo de opera\xE7\xF5es abertas ao mesmo tempo."},take_profit:{name:"take profit",hint:"O bot para de operar sozinho ao atingir o lucro indicado."},show_stat:{name:"mostrar estat\xEDsticas",hint:"Mostrar estat\xEDsticas."},useMartin:{name:"usar Martingale",hint:"Se a previs\xE3o errar, a pr\xF3xima opera\xE7\xE3o \xE9 aberta com o multiplicador indicado."},stop_loss:{name:"stop loss",hint:"O bot para quando suas opera\xE7\xF5es perderam esta parte do saldo com que ele foi iniciado. 0 desativa."},stop_loss_sum:{name:"stop loss, valor",hint:"O bot para quando suas opera\xE7\xF5es perderam este valor desde que foi iniciado. 0 desativa."},daily_loss:{name:"perda di\xE1ria",hint:"O bot para quando suas opera\xE7\xF5es perderam este valor hoje, mesmo depois de recarregar a p\xE1gina. 0 desativa."},martin_exposure:{name:"entrada m\xE1x. do Martingale",hint:"O m\xE1ximo que uma cadeia de Martingale pode arriscar em um par, contando as opera\xE7\xF5es j\xE1 perdidas. 0 desativa."},loss_streak:{name:"perdas seguidas",hint:"Depois de tantas opera\xE7\xF5es perdidas seguidas o bot faz uma pausa. 0 desativa."},cooldown:{name:"pausa",hint:"Quanto tempo o bot espera depois das perdas seguidas."},paper:{name:"operar no papel",hint:"As opera\xE7\xF5es s\xE3o simuladas ao pre\xE7o atual e nunca chegam \xE0 corretora. O resultado aparece no painel de estat\xEDsticas."},paper_amount:{name:"valor no papel",hint:"Valor de uma opera\xE7\xE3o simulada antes do Martingale."},min_score:{name:"pontua\xE7\xE3o m\xEDn. do canal",hint:"Ignora canais da ponte com pontua\xE7\xE3o menor. Um canal \xE9 pontuado ap\xF3s 10 opera\xE7\xF5es ganhas ou perdidas. 0 desativa."},expiry:{name:"expira\xE7\xE3o",hint:"Expira\xE7\xE3o das opera\xE7\xF5es cuja estrat\xE9gia ou sinal n\xE3o define uma. 0 mant\xE9m a expira\xE7\xE3o escolhida na plataforma."},stake_amount:{name:"valor",hint:"O valor fixo, e o valor Kelly at\xE9 que 10 opera\xE7\xF5es tenham fechado."},stake_percent:{name:"percentual do valor",hint:"O valor como percentual do saldo, e o m\xE1ximo que o valor Kelly pode ser."},kelly_fraction:{name:"fra\xE7\xE3o de Kelly",hint:"Parte do valor Kelly completo que \xE9 usada. Meio Kelly, 50, \xE9 bem menos vol\xE1til que o valor completo."},blackout_before:{name:"pausa antes de not\xEDcias",hint:"Quanto tempo antes de uma not\xEDcia o bot para de abrir opera\xE7\xF5es."},blackout_after:{name:"pausa ap\xF3s not\xEDcias",hint:"Quanto tempo depois do fim de uma not\xEDcia o bot espera para abrir opera\xE7\xF5es de novo."},use_otc:{name:"usar OTC",hint:"Operar tamb\xE9m os pares OTC da plataforma."},record_ws:{name:"gravar tr\xE1fego",hint:"Gravar o tr\xE1fego do socket da corretora para reproduzi-lo depois."}},signals:{title:"N\xEDvel de sinal por per\xEDodo",timeframe:"{minutes} min",levels:["desligado","sinal","sinal forte"],cell:"{timeframe}: {level}",help:"Enter ou Espa\xE7o mudam o n\xEDvel, as setas passam de um per\xEDodo a outro."},validation:{number:"Digite um n\xFAmero.",integer:"Digite um n\xFAmero inteiro.",range:"Digite um valor de {min} a {max}.",refused:"O bot corrigiu ou deixou de fora estas configura\xE7\xF5es: {problems}"},profiles:{title:"perfil",new:"salvar como",delete:"excluir",export:"exportar",import:"importar",name:"Nome do novo perfil:",confirm:'Excluir o perfil "{name}"?',imported:'Perfil "{name}" importado.',problems:'Perfil "{name}" importado. Corrigido ou deixado de fora: {problems}',invalid:"O perfil n\xE3o foi importado: {error}"},schedule:{title:"hor\xE1rio de opera\xE7\xE3o",placeholder:"a qualquer hora, ou p. ex. Mon-Fri 08:00-12:00 14:00-17:00",assets:"ativos",all:"todos",allow:"s\xF3 estes",block:"todos menos estes",blackouts:"pausas por not\xEDcias",import:"importar",clear:"limpar",count:"{count} eventos",schedule:"Fora do hor\xE1rio de opera\xE7\xE3o at\xE9 {until}. As opera\xE7\xF5es abertas seguem at\xE9 a expira\xE7\xE3o.",blackout:"Pausa por not\xEDcia ({title}) at\xE9 {until}. As opera\xE7\xF5es abertas seguem at\xE9 a expira\xE7\xE3o.",open:"Dentro do hor\xE1rio de opera\xE7\xE3o de novo.",never:"o hor\xE1rio mudar",invalid:"O hor\xE1rio n\xE3o foi alterado: {error}"},stake:{title:"valor",platform:"como na plataforma",fixed:"fixo",percent:"percentual do saldo",kelly:"Kelly"},strategies:{signals:{name:"sinais",description:"O bot opera com os sinais da plataforma. Defina o n\xEDvel de sinal em cada per\xEDodo. Depois de iniciar o bot, feche e abra de novo a janela de sinais.",params:{forecastExpiry:"expirar com a previs\xE3o mais curta"}},cci:{name:"cci20",description:"Opera com o indicador CCI20: contra o movimento quando o CCI volta para dentro dos seus n\xEDveis. Depois de iniciar o bot, passe um a um pelos pares que devem ser analisados.",params:{period:"per\xEDodo",upper:"n\xEDvel superior",lower:"n\xEDvel inferior"}},candles:{name:"4 velas",description:"O bot abre uma opera\xE7\xE3o quando 4 velas seguidas v\xE3o na mesma dire\xE7\xE3o; a opera\xE7\xE3o vai na dire\xE7\xE3o contr\xE1ria. Depois de iniciar o bot, passe um a um pelos pares que devem ser analisados.",params:{count:"velas",against:"operar contra a sequ\xEAncia"}},pinBar:{name:"pin bar",description:"Opera contra a sombra longa de um pin bar, 40 segundos depois do in\xEDcio da vela.",params:{ratio:"sombra sobre corpo"}},rsiReversal:{name:"revers\xE3o do RSI",description:"Opera contra o movimento quando o RSI volta de sobrecompra ou sobrevenda.",params:{period:"per\xEDodo",overbought:"sobrecompra",oversold:"sobrevenda"}},bollingerTouch:{name:"toque de Bollinger",description:"Opera de volta ao meio quando o pre\xE7o fecha fora das Bandas de Bollinger.",params:{period:"per\xEDodo",width:"desvios"}},macdCross:{name:"cruzamento do MACD",description:"Opera com a linha MACD quando ela cruza a linha de sinal.",params:{fast:"EMA r\xE1pida",slow:"EMA lenta",signal:"EMA de sinal"}},emaCross:{name:"cruzamento de EMA",description:"Opera com a EMA r\xE1pida quando ela cruza a lenta.",params:{fast:"EMA r\xE1pida",slow:"EMA lenta"}},martin:{name:"martingale",description:"Repete cada opera\xE7\xE3o perdida com o pr\xF3ximo valor da escada do Martingale."}},risk:{stop_loss:"Stop loss de {limit} atingido. O bot parou.",daily_loss:"Perda di\xE1ria de {limit} atingida. O bot parou at\xE9 amanh\xE3.",cooldown:"{limit} perdas seguidas. O bot est\xE1 em pausa at\xE9 {until}.",martin_exposure:"A cadeia de Martingale em {asset} passaria de {limit} em jogo e n\xE3o foi continuada.",take_profit:"Take profit de {limit} atingido. O bot parou.",other:"Limite de risco {reason} ({limit}) atingido. Verifique as configura\xE7\xF5es do bot."},journal:{title:"di\xE1rio de opera\xE7\xF5es",clear:"limpar",confirm:"Excluir todas as {count} opera\xE7\xF5es do di\xE1rio?",failed:"A opera\xE7\xE3o n\xE3o foi gravada no di\xE1rio: {error}"},bridge:{title:"ponte de sinais",off:"desligada",connecting:"conectando...",open:"conectada",closed:"desconectada, tentando de novo"},stats:{empty:"Ainda n\xE3o h\xE1 opera\xE7\xF5es do bot fechadas.",total:"opera\xE7\xF5es",drawdown:"rebaixamento m\xE1x.",trades:"opera\xE7\xF5es",winRate:"ganhos",net:"l\xEDquido",strategy:"estrat\xE9gia",asset:"ativo",market:"pares",otc:"OTC",regular:"normais",hour:"hora",step:"passo do Martingale",channel:"canal (pontua\xE7\xE3o)"},paper:"PAPEL: ",diagnostics:{title:"diagn\xF3stico do protocolo",show:"atualizar",version:"Vers\xE3o do adaptador de protocolo {version}",unknown:"n\xE3o lido",failures:"Quadros que n\xE3o puderam ser lidos:",noFailures:"Todos os quadros foram lidos como esperado.",stopped:"A corretora enviou um {event} que o bot n\xE3o conseguiu ler ({problem}). O bot parou; veja o diagn\xF3stico do protocolo."},alerts:{title:"Pocket Option Bot",settings:"alertas",notifications:"notifica\xE7\xF5es",sound:"som",webhook:"Endere\xE7o do webhook local: cada alerta \xE9 enviado a ele em JSON",invalid:"O webhook deve ser um endere\xE7o http:// em localhost ou 127.0.0.1.",opened:"Opera\xE7\xE3o {id} aberta, {count} abertas.",closed:"Opera\xE7\xE3o fechada: {profit}.",take_profit:"Take profit de {limit} atingido. O bot parou.",stop_loss:"Stop loss de {limit} atingido. O bot parou.",protocol:"O bot parou: a corretora enviou um {event} que n\xE3o p\xF4de ser lido ({problem}).",no_data:"Sem dados de mercado desde {since}."},orders:{not_sent:"O {direction} em {asset} n\xE3o foi aberto: a plataforma n\xE3o enviou ordem para o clique.",not_confirmed:"O {direction} em {asset} foi enviado, mas a plataforma n\xE3o o confirmou a tempo.",not_closed:"O fechamento do {direction} em {asset} n\xE3o foi informado a tempo e ele n\xE3o conta mais no limite de opera\xE7\xF5es."}}});var Gr=X((Ul,zs)=>{zs.exports={grade:'\u0915\u0943\u092A\u092F\u093E Pocket Option Bot \u0915\u0947 \u0938\u093E\u0925 <a href="https://chromewebstore.google.com/detail/free-pocket-option-bot/nmeompgfogpnabkpjdepfedkiajgohni/reviews" target="_blank">\u0905\u092A\u0928\u093E \u0905\u0928\u0941\u092D\u0935 \u0938\u093E\u091D\u093E \u0915\u0930\u0947\u0902</a> ',modal:{title:"Pocket Option Bot",sidebar:"\u0911\u091F\u094B\u091F\u094D\u0930\u0947\u0921\u093F\u0902\u0917",tooltip:"2bot \u0911\u091F\u094B\u091F\u094D\u0930\u0947\u0921\u093F\u0902\u0917",loading:"\u0938\u0947\u091F\u093F\u0902\u0917\u094D\u0938 \u0932\u094B\u0921 \u0939\u094B \u0930\u0939\u0940 \u0939\u0948\u0902\u0964 \u0915\u0943\u092A\u092F\u093E \u092A\u094D\u0930\u0924\u0940\u0915\u094D\u0937\u093E \u0915\u0930\u0947\u0902\u0964 \u0905\u0917\u0930 \u092F\u0939 \u0938\u0902\u0926\u0947\u0936 \u092C\u0928\u093E \u0930\u0939\u0947, \u0924\u094B \u0939\u092E\u0947\u0902 \u092C\u0924\u093E\u090F\u0901\u0964",strategy:"\u0930\u0923\u0928\u0940\u0924\u093F",start:"\u0936\u0941\u0930\u0942 \u0915\u0930\u0947\u0902",stop:"\u0930\u094B\u0915\u0947\u0902",win:"\u091C\u0940\u0924: ",lost:"\u0939\u093E\u0930: ",martinSteps:"\u092E\u093E\u0930\u094D\u091F\u093F\u0902\u0917\u0947\u0932 \u0917\u0941\u0923\u0915",martinStep:"\u092E\u093E\u0930\u094D\u091F\u093F\u0902\u0917\u0947\u0932 \u091A\u0930\u0923 {step} \u0915\u093E \u0917\u0941\u0923\u0915"},units:{percent:"%",seconds:"\u0938\u0947.",minutes:"\u092E\u093F.",count:"\u0938\u0902.",money:"$"},inputs:{min_profit:{name:"\u0928\u094D\u092F\u0942\u0928\u0924\u092E \u0932\u093E\u092D",hint:"\u092C\u0949\u091F \u0915\u0947\u0935\u0932 \u0905\u0927\u093F\u0915 \u0932\u093E\u092D \u0935\u093E\u0932\u0940 \u091C\u094B\u0921\u093C\u093F\u092F\u094B\u0902 \u092A\u0930 \u091F\u094D\u0930\u0947\u0921 \u0915\u0930\u0924\u093E \u0939\u0948\u0964"},delay:{name:"\u0905\u0902\u0924\u0930\u093E\u0932",hint:"\u090F\u0915 \u091C\u094B\u0921\u093C\u0940 \u092A\u0930 \u0926\u094B \u0938\u094C\u0926\u094B\u0902 \u0915\u0947 \u092C\u0940\u091A \u0928\u094D\u092F\u0942\u0928\u0924\u092E \u0905\u0902\u0924\u0930\u093E\u0932\u0964"},deals_limit:{name:"\u0938\u094C\u0926\u094B\u0902 \u0915\u0940 \u0938\u0940\u092E\u093E",hint:"\u090F\u0915 \u0938\u093E\u0925 \u0916\u0941\u0932\u0947 \u0938\u094C\u0926\u094B\u0902 \u0915\u0940 \u0905\u0927\u093F\u0915\u0924\u092E \u0938\u0902\u0916\u094D\u092F\u093E\u0964"},take_profit:{name:"\u091F\u0947\u0915 \u092A\u094D\u0930\u0949\u092B\u093C\u093F\u091F",hint:"\u0924\u092F \u0932\u093E\u092D \u092E\u093F\u0932\u0928\u0947 \u092A\u0930 \u092C\u0949\u091F \u0905\u092A\u0928\u0947 \u0906\u092A \u091F\u094D\u0930\u0947\u0921\u093F\u0902\u0917 \u0930\u094B\u0915 \u0926\u0947\u0924\u093E \u0939\u0948\u0964"},show_stat:{name:"\u0906\u0901\u0915\u0921\u093C\u0947 \u0926\u093F\u0916\u093E\u090F\u0901",hint:"\u0906\u0901\u0915\u0921\u093C\u0947 \u0926\u093F\u0916\u093E\u090F\u0901\u0964"},useMartin:{name:"\u092E\u093E\u0930\u094D\u091F\u093F\u0902\u0917\u0947\u0932 \u0907\u0938\u094D\u0924\u0947\u092E\u093E\u0932 \u0915\u0930\u0947\u0902",hint:"\u092A\u0942\u0930\u094D\u0935\u093E\u0928\u0941\u092E\u093E\u0928 \u0917\u0932\u0924 \u0939\u094B\u0928\u0947 \u092A\u0930 \u0905\u0917\u0932\u093E \u0938\u094C\u0926\u093E \u0924\u092F \u0917\u0941\u0923\u0915 \u0915\u0947 \u0938\u093E\u0925 \u0916\u0941\u0932\u0924\u093E \u0939\u0948\u0964"},stop_loss:{name:"\u0938\u094D\u091F\u0949\u092A \u0932\u0949\u0938",hint:"\u091C\u092C \u092C\u0949\u091F \u0915\u0947 \u0938\u094C\u0926\u0947 \u0936\u0941\u0930\u0941\u0906\u0924\u0940 \u092C\u0948\u0932\u0947\u0902\u0938 \u0915\u093E \u0907\u0924\u0928\u093E \u0939\u093F\u0938\u094D\u0938\u093E \u0917\u0901\u0935\u093E \u0926\u0947\u0902, \u092C\u0949\u091F \u0930\u0941\u0915 \u091C\u093E\u0924\u093E \u0939\u0948\u0964 0 \u0907\u0938\u0947 \u092C\u0902\u0926 \u0915\u0930\u0924\u093E \u0939\u0948\u0964"},stop_loss_sum:{name:"\u0938\u094D\u091F\u0949\u092A \u0932\u0949\u0938 \u0930\u093E\u0936\u093F",hint:"\u091C\u092C \u092C\u0949\u091F \u0915\u0947 \u0938\u094C\u0926\u0947 \u0936\u0941\u0930\u0942 \u0939\u094B\u0928\u0947 \u0915\u0947 \u092C\u093E\u0926 \u0938\u0947 \u0907\u0924\u0928\u0940 \u0930\u093E\u0936\u093F \u0917\u0901\u0935\u093E \u0926\u0947\u0902, \u092C\u0949\u091F \u0930\u0941\u0915 \u091C\u093E\u0924\u093E \u0939\u0948\u0964 0 \u0907\u0938\u0947 \u092C\u0902\u0926 \u0915\u0930\u0924\u093E \u0939\u0948\u0964"},daily_loss:{name:"\u0926\u0948\u0928\u093F\u0915 \u0939\u093E\u0928\u093F",hint:"\u091C\u092C \u092C\u0949\u091F \u0915\u0947 \u0938\u094C\u0926\u0947 \u0906\u091C \u0907\u0924\u0928\u0940 \u0930\u093E\u0936\u093F \u0917\u0901\u0935\u093E \u0926\u0947\u0902, \u092C\u0949\u091F \u0930\u0941\u0915 \u091C\u093E\u0924\u093E \u0939\u0948, \u092A\u0947\u091C \u0926\u094B\u092C\u093E\u0930\u093E \u0932\u094B\u0921 \u0915\u0930\u0928\u0947 \u0915\u0947 \u092C\u093E\u0926 \u092D\u0940\u0964 0 \u0907\u0938\u0947 \u092C\u0902\u0926 \u0915\u0930\u0924\u093E \u0939\u0948\u0964"},martin_exposure:{name:"\u0905\u0927\u093F\u0915\u0924\u092E \u092E\u093E\u0930\u094D\u091F\u093F\u0902\u0917\u0947\u0932 \u0926\u093E\u0901\u0935",hint:"\u090F\u0915 \u092E\u093E\u0930\u094D\u091F\u093F\u0902\u0917\u0947\u0932 \u0936\u0943\u0902\u0916\u0932\u093E \u0915\u093F\u0938\u0940 \u091C\u094B\u0921\u093C\u0940 \u092A\u0930 \u0915\u093F\u0924\u0928\u093E \u0926\u093E\u0901\u0935 \u0932\u0917\u093E \u0938\u0915\u0924\u0940 \u0939\u0948, \u0939\u093E\u0930\u0947 \u0939\u0941\u090F \u0938\u094C\u0926\u094B\u0902 \u0938\u092E\u0947\u0924\u0964 0 \u0907\u0938\u0947 \u092C\u0902\u0926 \u0915\u0930\u0924\u093E \u0939\u0948\u0964"},loss_streak:{name:"\u0932\u0917\u093E\u0924\u093E\u0930 \u0939\u093E\u0930",hint:"\u0907\u0924\u0928\u0947 \u0938\u094C\u0926\u0947 \u0932\u0917\u093E\u0924\u093E\u0930 \u0939\u093E\u0930\u0928\u0947 \u0915\u0947 \u092C\u093E\u0926 \u092C\u0949\u091F \u0930\u0941\u0915\u0915\u0930 \u0907\u0902\u0924\u091C\u093C\u093E\u0930 \u0915\u0930\u0924\u093E \u0939\u0948\u0964 0 \u0907\u0938\u0947 \u092C\u0902\u0926 \u0915\u0930\u0924\u093E \u0939\u0948\u0964"},cooldown:{name:"\u0935\u093F\u0930\u093E\u092E",hint:"\u0932\u0917\u093E\u0924\u093E\u0930 \u0939\u093E\u0930 \u0915\u0947 \u092C\u093E\u0926 \u092C\u0949\u091F \u0915\u093F\u0924\u0928\u0940 \u0926\u0947\u0930 \u0930\u0941\u0915\u0924\u093E \u0939\u0948\u0964"},paper:{name:"\u092A\u0947\u092A\u0930 \u091F\u094D\u0930\u0947\u0921\u093F\u0902\u0917",hint:"\u0938\u094C\u0926\u0947 \u092E\u094C\u091C\u0942\u0926\u093E \u092D\u093E\u0935 \u092A\u0930 \u0928\u0915\u0932\u0940 \u0924\u094C\u0930 \u092A\u0930 \u091A\u0932\u0924\u0947 \u0939\u0948\u0902 \u0914\u0930 \u092C\u094D\u0930\u094B\u0915\u0930 \u0924\u0915 \u0928\u0939\u0940\u0902 \u092A\u0939\u0941\u0901\u091A\u0924\u0947\u0964 \u0909\u0928\u0915\u093E \u0928\u0924\u0940\u091C\u093E \u0906\u0901\u0915\u0921\u093C\u094B\u0902 \u0915\u0947 \u092A\u0948\u0928\u0932 \u092A\u0930 \u0926\u093F\u0916\u0924\u093E \u0939\u0948\u0964"},paper_amount:{name:"\u092A\u0947\u092A\u0930 \u0930\u093E\u0936\u093F",hint:"\u092E\u093E\u0930\u094D\u091F\u093F\u0902\u0917\u0947\u0932 \u0938\u0947 \u092A\u0939\u0932\u0947 \u0928\u0915\u0932\u0940 \u0938\u094C\u0926\u0947 \u0915\u093E \u0926\u093E\u0901\u0935\u0964"},min_score:{name:"\u0928\u094D\u092F\u0942\u0928\u0924\u092E \u091A\u0948\u0928\u0932 \u0938\u094D\u0915\u094B\u0930",hint:"\u0907\u0938\u0938\u0947 \u0915\u092E \u0938\u094D\u0915\u094B\u0930 \u0935\u093E\u0932\u0947 \u092C\u094D\u0930\u093F\u091C \u091A\u0948\u0928\u0932\u094B\u0902 \u0915\u094B \u0905\u0928\u0926\u0947\u0916\u093E \u0915\u0930\u0947\u0902\u0964 10 \u091C\u0940\u0924\u0947 \u092F\u093E \u0939\u093E\u0930\u0947 \u0938\u094C\u0926\u094B\u0902 \u0915\u0947 \u092C\u093E\u0926 \u091A\u0948\u0928\u0932 \u0915\u093E \u0938\u094D\u0915\u094B\u0930 \u092C\u0928\u0924\u093E \u0939\u0948\u0964 0 \u0907\u0938\u0947 \u092C\u0902\u0926 \u0915\u0930\u0924\u093E \u0939\u0948\u0964"},expiry:{name:"\u0938\u092E\u093E\u092A\u094D\u0924\u093F",hint:"\u0909\u0928 \u0938\u094C\u0926\u094B\u0902 \u0915\u0940 \u0938\u092E\u093E\u092A\u094D\u0924\u093F \u091C\u093F\u0928\u0915\u0940 \u0930\u0923\u0928\u0940\u0924\u093F \u092F\u093E \u0938\u093F\u0917\u094D\u0928\u0932 \u0907\u0938\u0947 \u0924\u092F \u0928\u0939\u0940\u0902 \u0915\u0930\u0924\u0947\u0964 0 \u092A\u094D\u0932\u0947\u091F\u092B\u093C\u0949\u0930\u094D\u092E \u092E\u0947\u0902 \u091A\u0941\u0928\u0940 \u0938\u092E\u093E\u092A\u094D\u0924\u093F \u0930\u0916\u0924\u093E \u0939\u0948\u0964"},stake_amount:{name:"\u0926\u093E\u0901\u0935",hint:"\u0924\u092F \u0926\u093E\u0901\u0935, \u0914\u0930 10 \u0938\u094C\u0926\u0947 \u092C\u0902\u0926 \u0939\u094B\u0928\u0947 \u0924\u0915 \u0915\u0947\u0932\u0940 \u0926\u093E\u0901\u0935\u0964"},stake_percent:{name:"\u0926\u093E\u0901\u0935 \u092A\u094D\u0930\u0924\u093F\u0936\u0924",hint:"\u092C\u0948\u0932\u0947\u0902\u0938 \u0915\u0947 \u092A\u094D\u0930\u0924\u093F\u0936\u0924 \u0915\u0947 \u0930\u0942\u092A \u092E\u0947\u0902 \u0926\u093E\u0901\u0935, \u0914\u0930 \u0915\u0947\u0932\u0940 \u0926\u093E\u0901\u0935 \u0915\u0940 \u0905\u0927\u093F\u0915\u0924\u092E \u0938\u0940\u092E\u093E\u0964"},kelly_fraction:{name:"\u0915\u0947\u0932\u0940 \u0905\u0902\u0936",hint:"\u092A\u0942\u0930\u0947 \u0915\u0947\u0932\u0940 \u0926\u093E\u0901\u0935 \u0915\u093E \u0915\u093F\u0924\u0928\u093E \u0939\u093F\u0938\u094D\u0938\u093E \u0907\u0938\u094D\u0924\u0947\u092E\u093E\u0932 \u0939\u094B\u0964 \u0906\u0927\u093E \u0915\u0947\u0932\u0940, 50, \u092A\u0942\u0930\u0947 \u0926\u093E\u0901\u0935 \u0938\u0947 \u092C\u0939\u0941\u0924 \u0915\u092E \u0909\u0924\u093E\u0930-\u091A\u0922\u093C\u093E\u0935 \u0935\u093E\u0932\u093E \u0939\u0948\u0964"},blackout_before:{name:"\u0916\u092C\u0930 \u0938\u0947 \u092A\u0939\u0932\u0947 \u0935\u093F\u0930\u093E\u092E",hint:"\u0915\u093F\u0938\u0940 \u0916\u092C\u0930 \u0938\u0947 \u0915\u093F\u0924\u0928\u093E \u092A\u0939\u0932\u0947 \u092C\u0949\u091F \u0928\u090F \u0938\u094C\u0926\u0947 \u0916\u094B\u0932\u0928\u093E \u092C\u0902\u0926 \u0915\u0930 \u0926\u0947\u0924\u093E \u0939\u0948\u0964"},blackout_after:{name:"\u0916\u092C\u0930 \u0915\u0947 \u092C\u093E\u0926 \u0935\u093F\u0930\u093E\u092E",hint:"\u0916\u092C\u0930 \u0916\u0924\u094D\u092E \u0939\u094B\u0928\u0947 \u0915\u0947 \u092C\u093E\u0926 \u092C\u0949\u091F \u0926\u094B\u092C\u093E\u0930\u093E \u0938\u094C\u0926\u0947 \u0916\u094B\u0932\u0928\u0947 \u0938\u0947 \u092A\u0939\u0932\u0947 \u0915\u093F\u0924\u0928\u093E \u0907\u0902\u0924\u091C\u093C\u093E\u0930 \u0915\u0930\u0924\u093E \u0939\u0948\u0964"},use_otc:{name:"OTC \u0907\u0938\u094D\u0924\u0947\u092E\u093E\u0932 \u0915\u0930\u0947\u0902",hint:"\u092A\u094D\u0932\u0947\u091F\u092B\u093C\u0949\u0930\u094D\u092E \u0915\u0940 OTC \u091C\u094B\u0921\u093C\u093F\u092F\u094B\u0902 \u092A\u0930 \u092D\u0940 \u091F\u094D\u0930\u0947\u0921 \u0915\u0930\u0947\u0902\u0964"},record_ws:{name:"\u091F\u094D\u0930\u0948\u092B\u093C\u093F\u0915 \u0930\u093F\u0915\u0949\u0930\u094D\u0921 \u0915\u0930\u0947\u0902",hint:"\u092C\u094D\u0930\u094B\u0915\u0930 \u0938\u0949\u0915\u0947\u091F \u0915\u093E \u091F\u094D\u0930\u0948\u092B\u093C\u093F\u0915 \u092C\u093E\u0926 \u092E\u0947\u0902 \u0926\u094B\u092C\u093E\u0930\u093E \u091A\u0932\u093E\u0928\u0947 \u0915\u0947 \u0932\u093F\u090F \u0930\u093F\u0915\u0949\u0930\u094D\u0921 \u0915\u0930\u0947\u0902\u0964"}},signals:{title:"\u0939\u0930 \u091F\u093E\u0907\u092E\u092B\u093C\u094D\u0930\u0947\u092E \u0915\u0947 \u0932\u093F\u090F \u0938\u093F\u0917\u094D\u0928\u0932 \u0938\u094D\u0924\u0930",timeframe:"{minutes} \u092E\u093F.",levels:["\u092C\u0902\u0926","\u0938\u093F\u0917\u094D\u0928\u0932","\u092E\u091C\u093C\u092C\u0942\u0924 \u0938\u093F\u0917\u094D\u0928\u0932"],cell:"{timeframe}: {level}",help:"Enter \u092F\u093E Space \u0938\u094D\u0924\u0930 \u092C\u0926\u0932\u0924\u0947 \u0939\u0948\u0902, \u0924\u0940\u0930 \u0915\u0941\u0902\u091C\u093F\u092F\u093E\u0901 \u091F\u093E\u0907\u092E\u092B\u093C\u094D\u0930\u0947\u092E \u0915\u0947 \u092C\u0940\u091A \u0932\u0947 \u091C\u093E\u0924\u0940 \u0939\u0948\u0902\u0964"},validation:{number:"\u090F\u0915 \u0938\u0902\u0916\u094D\u092F\u093E \u0926\u0930\u094D\u091C \u0915\u0930\u0947\u0902\u0964",integer:"\u090F\u0915 \u092A\u0942\u0930\u094D\u0923 \u0938\u0902\u0916\u094D\u092F\u093E \u0926\u0930\u094D\u091C \u0915\u0930\u0947\u0902\u0964",range:"{min} \u0938\u0947 {max} \u0924\u0915 \u0915\u093E \u092E\u093E\u0928 \u0926\u0930\u094D\u091C \u0915\u0930\u0947\u0902\u0964",refused:"\u092C\u0949\u091F \u0928\u0947 \u092F\u0947 \u0938\u0947\u091F\u093F\u0902\u0917\u094D\u0938 \u0920\u0940\u0915 \u0915\u0940\u0902 \u092F\u093E \u091B\u094B\u0921\u093C \u0926\u0940\u0902: {problems}"},profiles:{title:"\u092A\u094D\u0930\u094B\u092B\u093C\u093E\u0907\u0932",new:"\u0907\u0938 \u0928\u093E\u092E \u0938\u0947 \u0938\u0939\u0947\u091C\u0947\u0902",delete:"\u0939\u091F\u093E\u090F\u0901",export:"\u0928\u093F\u0930\u094D\u092F\u093E\u0924",import:"\u0906\u092F\u093E\u0924",name:"\u0928\u0908 \u092A\u094D\u0930\u094B\u092B\u093C\u093E\u0907\u0932 \u0915\u093E \u0928\u093E\u092E:",confirm:'\u092A\u094D\u0930\u094B\u092B\u093C\u093E\u0907\u0932 "{name}" \u0939\u091F\u093E\u090F\u0901?',imported:'\u092A\u094D\u0930\u094B\u092B\u093C\u093E\u0907\u0932 "{name}" \u0906\u092F\u093E\u0924 \u0939\u0941\u0908\u0964',problems:'\u092A\u094D\u0930\u094B\u092B\u093C\u093E\u0907\u0932 "{name}" \u0906\u092F\u093E\u0924 \u0939\u0941\u0908\u0964 \u0938\u0941\u0927\u093E\u0930\u093E \u0917\u092F\u093E \u092F\u093E \u091B\u094B\u0921\u093C\u093E \u0917\u092F\u093E: {problems}',invalid:"\u092A\u094D\u0930\u094B\u092B\u093C\u093E\u0907\u0932 \u0906\u092F\u093E\u0924 \u0928\u0939\u0940\u0902 \u0939\u0941\u0908: {error}"},schedule:{title:"\u091F\u094D\u0930\u0947\u0921\u093F\u0902\u0917 \u0915\u0947 \u0918\u0902\u091F\u0947",placeholder:"\u0915\u092D\u0940 \u092D\u0940, \u092F\u093E \u091C\u0948\u0938\u0947 Mon-Fri 08:00-12:00 14:00-17:00",assets:"\u090F\u0938\u0947\u091F",all:"\u0938\u092D\u0940",allow:"\u0915\u0947\u0935\u0932 \u092F\u0947",block:"\u0907\u0928\u0915\u0947 \u0938\u093F\u0935\u093E \u0938\u092D\u0940",blackouts:"\u0916\u092C\u0930\u094B\u0902 \u0915\u093E \u0935\u093F\u0930\u093E\u092E",import:"\u0906\u092F\u093E\u0924",clear:"\u0938\u093E\u092B\u093C \u0915\u0930\u0947\u0902",count:"{count} \u0918\u091F\u0928\u093E\u090F\u0901",schedule:"{until} \u0924\u0915 \u091F\u094D\u0930\u0947\u0921\u093F\u0902\u0917 \u0915\u0947 \u0918\u0902\u091F\u094B\u0902 \u0938\u0947 \u092C\u093E\u0939\u0930\u0964 \u0916\u0941\u0932\u0947 \u0938\u094C\u0926\u0947 \u0905\u092A\u0928\u0940 \u0938\u092E\u093E\u092A\u094D\u0924\u093F \u0924\u0915 \u091A\u0932\u0924\u0947 \u0939\u0948\u0902\u0964",blackout:"{until} \u0924\u0915 \u0916\u092C\u0930 \u0915\u093E \u0935\u093F\u0930\u093E\u092E ({title})\u0964 \u0916\u0941\u0932\u0947 \u0938\u094C\u0926\u0947 \u0905\u092A\u0928\u0940 \u0938\u092E\u093E\u092A\u094D\u0924\u093F \u0924\u0915 \u091A\u0932\u0924\u0947 \u0939\u0948\u0902\u0964",open:"\u092B\u093F\u0930 \u0938\u0947 \u091F\u094D\u0930\u0947\u0921\u093F\u0902\u0917 \u0915\u0947 \u0918\u0902\u091F\u094B\u0902 \u092E\u0947\u0902\u0964",never:"\u0936\u0947\u0921\u094D\u092F\u0942\u0932 \u092C\u0926\u0932\u0928\u0947",invalid:"\u0936\u0947\u0921\u094D\u092F\u0942\u0932 \u0928\u0939\u0940\u0902 \u092C\u0926\u0932\u093E: {error}"},stake:{title:"\u0926\u093E\u0901\u0935",platform:"\u092A\u094D\u0932\u0947\u091F\u092B\u093C\u0949\u0930\u094D\u092E \u091C\u0948\u0938\u093E",fixed:"\u0924\u092F",percent:"\u092C\u0948\u0932\u0947\u0902\u0938 \u0915\u093E \u092A\u094D\u0930\u0924\u093F\u0936\u0924",kelly:"\u0915\u0947\u0932\u0940"},strategies:{signals:{name:"\u0938\u093F\u0917\u094D\u0928\u0932",description:"\u092C\u0949\u091F \u092A\u094D\u0932\u0947\u091F\u092B\u093C\u0949\u0930\u094D\u092E \u0915\u0947 \u0938\u093F\u0917\u094D\u0928\u0932\u094B\u0902 \u092A\u0930 \u091F\u094D\u0930\u0947\u0921 \u0915\u0930\u0924\u093E \u0939\u0948\u0964 \u0939\u0930 \u091F\u093E\u0907\u092E\u092B\u093C\u094D\u0930\u0947\u092E \u0915\u0947 \u0932\u093F\u090F \u0938\u093F\u0917\u094D\u0928\u0932 \u0938\u094D\u0924\u0930 \u091A\u0941\u0928\u0947\u0902\u0964 \u092C\u0949\u091F \u0936\u0941\u0930\u0942 \u0915\u0930\u0928\u0947 \u0915\u0947 \u092C\u093E\u0926 \u0938\u093F\u0917\u094D\u0928\u0932 \u0935\u093F\u0902\u0921\u094B \u092C\u0902\u0926 \u0915\u0930\u0915\u0947 \u092B\u093F\u0930 \u0916\u094B\u0932\u0947\u0902\u0964",params:{forecastExpiry:"\u0938\u092C\u0938\u0947 \u091B\u094B\u091F\u0947 \u092A\u0942\u0930\u094D\u0935\u093E\u0928\u0941\u092E\u093E\u0928 \u0915\u0947 \u0938\u093E\u0925 \u0938\u092E\u093E\u092A\u094D\u0924\u093F"}},cci:{name:"cci20",description:"CCI20 \u0907\u0902\u0921\u093F\u0915\u0947\u091F\u0930 \u0938\u0947 \u091F\u094D\u0930\u0947\u0921\u093F\u0902\u0917: CCI \u0915\u0947 \u0905\u092A\u0928\u0947 \u0938\u094D\u0924\u0930\u094B\u0902 \u0915\u0947 \u0905\u0902\u0926\u0930 \u0932\u094C\u091F\u0928\u0947 \u092A\u0930 \u091A\u093E\u0932 \u0915\u0947 \u0935\u093F\u092A\u0930\u0940\u0924 \u0938\u094C\u0926\u093E\u0964 \u092C\u0949\u091F \u0936\u0941\u0930\u0942 \u0915\u0930\u0928\u0947 \u0915\u0947 \u092C\u093E\u0926 \u091C\u093F\u0928 \u091C\u094B\u0921\u093C\u093F\u092F\u094B\u0902 \u0915\u093E \u0935\u093F\u0936\u094D\u0932\u0947\u0937\u0923 \u0915\u0930\u0928\u093E \u0939\u0948, \u0909\u0928\u094D\u0939\u0947\u0902 \u090F\u0915-\u090F\u0915 \u0915\u0930\u0915\u0947 \u0916\u094B\u0932\u0947\u0902\u0964",params:{period:"\u0905\u0935\u0927\u093F",upper:"\u090A\u092A\u0930\u0940 \u0938\u094D\u0924\u0930",lower:"\u0928\u093F\u091A\u0932\u093E \u0938\u094D\u0924\u0930"}},candles:{name:"4 \u0915\u0948\u0902\u0921\u0932",description:"\u091C\u092C \u0932\u0917\u093E\u0924\u093E\u0930 4 \u0915\u0948\u0902\u0921\u0932 \u090F\u0915 \u0939\u0940 \u0926\u093F\u0936\u093E \u092E\u0947\u0902 \u0939\u094B\u0902, \u092C\u0949\u091F \u0938\u094C\u0926\u093E \u0916\u094B\u0932\u0924\u093E \u0939\u0948; \u0938\u094C\u0926\u093E \u0909\u0932\u094D\u091F\u0940 \u0926\u093F\u0936\u093E \u092E\u0947\u0902 \u0939\u094B\u0924\u093E \u0939\u0948\u0964 \u092C\u0949\u091F \u0936\u0941\u0930\u0942 \u0915\u0930\u0928\u0947 \u0915\u0947 \u092C\u093E\u0926 \u091C\u093F\u0928 \u091C\u094B\u0921\u093C\u093F\u092F\u094B\u0902 \u0915\u093E \u0935\u093F\u0936\u094D\u0932\u0947\u0937\u0923 \u0915\u0930\u0928\u093E \u0939\u0948, \u0909\u0928\u094D\u0939\u0947\u0902 \u090F\u0915-\u090F\u0915 \u0915\u0930\u0915\u0947 \u0916\u094B\u0932\u0947\u0902\u0964",params:{count:"\u0915\u0948\u0902\u0921\u0932",against:"\u0938\u093F\u0932\u0938\u093F\u0932\u0947 \u0915\u0947 \u0935\u093F\u092A\u0930\u0940\u0924 \u091F\u094D\u0930\u0947\u0921"}},pinBar:{name:"\u092A\u093F\u0928 \u092C\u093E\u0930",description:"\u0915\u0948\u0902\u0921\u0932 \u0915\u0947 40 \u0938\u0947\u0915\u0902\u0921 \u092A\u0930 \u092A\u093F\u0928 \u092C\u093E\u0930 \u0915\u0940 \u0932\u0902\u092C\u0940 \u091B\u093E\u092F\u093E \u0915\u0947 \u0935\u093F\u092A\u0930\u0940\u0924 \u091F\u094D\u0930\u0947\u0921 \u0915\u0930\u0924\u093E \u0939\u0948\u0964",params:{ratio:"\u091B\u093E\u092F\u093E \u0914\u0930 \u092C\u0949\u0921\u0940 \u0915\u093E \u0905\u0928\u0941\u092A\u093E\u0924"}},rsiReversal:{name:"RSI \u092A\u0932\u091F\u093E\u0935",description:"RSI \u0915\u0947 \u0913\u0935\u0930\u092C\u0949\u091F \u092F\u093E \u0913\u0935\u0930\u0938\u094B\u0932\u094D\u0921 \u0938\u0947 \u0932\u094C\u091F\u0928\u0947 \u092A\u0930 \u091A\u093E\u0932 \u0915\u0947 \u0935\u093F\u092A\u0930\u0940\u0924 \u091F\u094D\u0930\u0947\u0921 \u0915\u0930\u0924\u093E \u0939\u0948\u0964",params:{period:"\u0905\u0935\u0927\u093F",overbought:"\u0913\u0935\u0930\u092C\u0949\u091F",oversold:"\u0913\u0935\u0930\u0938\u094B\u0932\u094D\u0921"}},bollingerTouch:{name:"\u092C\u094B\u0932\u093F\u0902\u091C\u0930 \u0938\u094D\u092A\u0930\u094D\u0936",description:"\u092D\u093E\u0935 \u0915\u0947 \u092C\u094B\u0932\u093F\u0902\u091C\u0930 \u092C\u0948\u0902\u0921 \u0938\u0947 \u092C\u093E\u0939\u0930 \u092C\u0902\u0926 \u0939\u094B\u0928\u0947 \u092A\u0930 \u092C\u0940\u091A \u0915\u0940 \u0913\u0930 \u0935\u093E\u092A\u0938 \u091F\u094D\u0930\u0947\u0921 \u0915\u0930\u0924\u093E \u0939\u0948\u0964",params:{period:"\u0905\u0935\u0927\u093F",width:"\u0935\u093F\u091A\u0932\u0928"}},macdCross:{name:"MACD \u0915\u094D\u0930\u0949\u0938",description:"MACD \u0930\u0947\u0916\u093E \u0915\u0947 \u0905\u092A\u0928\u0940 \u0938\u093F\u0917\u094D\u0928\u0932 \u0930\u0947\u0916\u093E \u0915\u094B \u092A\u093E\u0930 \u0915\u0930\u0928\u0947 \u092A\u0930 \u0909\u0938\u0915\u0940 \u0926\u093F\u0936\u093E \u092E\u0947\u0902 \u091F\u094D\u0930\u0947\u0921 \u0915\u0930\u0924\u093E \u0939\u0948\u0964",params:{fast:"\u0924\u0947\u091C\u093C EMA",slow:"\u0927\u0940\u092E\u0940 EMA",signal:"\u0938\u093F\u0917\u094D\u0928\u0932 EMA"}},emaCross:{name:"EMA \u0915\u094D\u0930\u0949\u0938",description:"\u0924\u0947\u091C\u093C EMA \u0915\u0947 \u0927\u0940\u092E\u0940 EMA \u0915\u094B \u092A\u093E\u0930 \u0915\u0930\u0928\u0947 \u092A\u0930 \u0924\u0947\u091C\u093C EMA \u0915\u0940 \u0926\u093F\u0936\u093E \u092E\u0947\u0902 \u091F\u094D\u0930\u0947\u0921 \u0915\u0930\u0924\u093E \u0939\u0948\u0964",params:{fast:"\u0924\u0947\u091C\u093C EMA",slow:"\u0927\u0940\u092E\u0940 EMA"}},martin:{name:"\u092E\u093E\u0930\u094D\u091F\u093F\u0902\u0917\u0947\u0932",description:"\u0939\u0930 \u0939\u093E\u0930\u0947 \u0938\u094C\u0926\u0947 \u0915\u094B \u092E\u093E\u0930\u094D\u091F\u093F\u0902\u0917\u0947\u0932 \u0938\u0940\u0922\u093C\u0940 \u0915\u0947 \u0905\u0917\u0932\u0947 \u0926\u093E\u0901\u0935 \u092A\u0930 \u0926\u094B\u0939\u0930\u093E\u0924\u093E \u0939\u0948\u0964"}},risk:{stop_loss:"{limit} \u0915\u093E \u0938\u094D\u091F\u0949\u092A \u0932\u0949\u0938 \u092A\u0942\u0930\u093E \u0939\u0941\u0906\u0964 \u092C\u0949\u091F \u0930\u0941\u0915 \u0917\u092F\u093E \u0939\u0948\u0964",daily_loss:"{limit} \u0915\u0940 \u0926\u0948\u0928\u093F\u0915 \u0939\u093E\u0928\u093F \u092A\u0942\u0930\u0940 \u0939\u0941\u0908\u0964 \u092C\u0949\u091F \u0915\u0932 \u0924\u0915 \u0930\u0941\u0915\u093E \u0939\u0948\u0964",cooldown:"\u0932\u0917\u093E\u0924\u093E\u0930 {limit} \u0939\u093E\u0930\u0964 \u092C\u0949\u091F {until} \u0924\u0915 \u0930\u0941\u0915\u093E \u0939\u0948\u0964",martin_exposure:"{asset} \u092A\u0930 \u092E\u093E\u0930\u094D\u091F\u093F\u0902\u0917\u0947\u0932 \u0936\u0943\u0902\u0916\u0932\u093E {limit} \u0915\u0947 \u0926\u093E\u0901\u0935 \u0938\u0947 \u0906\u0917\u0947 \u091C\u093E\u0924\u0940, \u0907\u0938\u0932\u093F\u090F \u091C\u093E\u0930\u0940 \u0928\u0939\u0940\u0902 \u0930\u0916\u0940 \u0917\u0908\u0964",take_profit:"{limit} \u0915\u093E \u091F\u0947\u0915 \u092A\u094D\u0930\u0949\u092B\u093C\u093F\u091F \u092A\u0942\u0930\u093E \u0939\u0941\u0906\u0964 \u092C\u0949\u091F \u0930\u0941\u0915 \u0917\u092F\u093E \u0939\u0948\u0964",other:"\u091C\u094B\u0916\u093F\u092E \u0938\u0940\u092E\u093E {reason} ({limit}) \u092A\u0942\u0930\u0940 \u0939\u0941\u0908\u0964 \u092C\u0949\u091F \u0915\u0940 \u0938\u0947\u091F\u093F\u0902\u0917\u094D\u0938 \u091C\u093E\u0901\u091A\u0947\u0902\u0964"},journal:{title:"\u091F\u094D\u0930\u0947\u0921 \u091C\u0930\u094D\u0928\u0932",clear:"\u0938\u093E\u092B\u093C \u0915\u0930\u0947\u0902",confirm:"\u091F\u094D\u0930\u0947\u0921 \u091C\u0930\u094D\u0928\u0932 \u0938\u0947 \u0938\u092D\u0940 {count} \u0938\u094C\u0926\u0947 \u0939\u091F\u093E\u090F\u0901?",failed:"\u0938\u094C\u0926\u093E \u091C\u0930\u094D\u0928\u0932 \u092E\u0947\u0902 \u0928\u0939\u0940\u0902 \u0932\u093F\u0916\u093E \u0917\u092F\u093E: {error}"},bridge:{title:"\u0938\u093F\u0917\u094D\u0928\u0932 \u092C\u094D\u0930\u093F\u091C",off:"\u092C\u0902\u0926",connecting:"\u091C\u0941\u0921\u093C \u0930\u0939\u093E \u0939\u0948...",open:"\u091C\u0941\u0921\u093C\u093E \u0939\u0948",closed:"\u0915\u0928\u0947\u0915\u094D\u0936\u0928 \u091F\u0942\u091F\u093E, \u092B\u093F\u0930 \u0915\u094B\u0936\u093F\u0936 \u0939\u094B \u0930\u0939\u0940 \u0939\u0948"},stats:{empty:"\u0905\u092D\u0940 \u0924\u0915 \u092C\u0949\u091F \u0915\u093E \u0915\u094B\u0908 \u092C\u0902\u0926 \u0938\u094C\u0926\u093E \u0928\u0939\u0940\u0902\u0964",total:"\u0938\u094C\u0926\u0947",drawdown:"\u0905\u0927\u093F\u0915\u0924\u092E \u0917\u093F\u0930\u093E\u0935\u091F",trades:"\u0938\u094C\u0926\u0947",winRate:"\u091C\u0940\u0924",net:"\u0936\u0941\u0926\u094D\u0927",strategy:"\u0930\u0923\u0928\u0940\u0924\u093F",asset:"\u090F\u0938\u0947\u091F",market:"\u091C\u094B\u0921\u093C\u093F\u092F\u093E\u0901",otc:"OTC",regular:"\u0938\u093E\u092E\u093E\u0928\u094D\u092F",hour:"\u0918\u0902\u091F\u093E",step:"\u092E\u093E\u0930\u094D\u091F\u093F\u0902\u0917\u0947\u0932 \u091A\u0930\u0923",channel:"\u091A\u0948\u0928\u0932 (\u0938\u094D\u0915\u094B\u0930)"},paper:"\u092A\u0947\u092A\u0930: ",diagnostics:{title:"\u092A\u094D\u0930\u094B\u091F\u094B\u0915\u0949\u0932 \u091C\u093E\u0901\u091A",show:"\u0924\u093E\u091C\u093C\u093E \u0915\u0930\u0947\u0902",version:"\u092A\u094D\u0930\u094B\u091F\u094B\u0915\u0949\u0932 \u090F\u0921\u0948\u092A\u094D\u091F\u0930 \u0938\u0902\u0938\u094D\u0915\u0930\u0923 {version}",unknown:"\u092A\u0922\u093C\u093E \u0928\u0939\u0940\u0902 \u091C\u093E\u0924\u093E",failures:"\u091C\u094B \u092B\u093C\u094D\u0930\u0947\u092E \u092A\u0922\u093C\u0947 \u0928\u0939\u0940\u0902 \u091C\u093E \u0938\u0915\u0947:",noFailures:"\u0938\u092D\u0940 \u092B\u093C\u094D\u0930\u0947\u092E \u0909\u092E\u094D\u092E\u0940\u0926 \u0915\u0947 \u092E\u0941\u0924\u093E\u092C\u093F\u0915 \u092A\u0922\u093C\u0947 \u0917\u090F\u0964",stopped:"\u092C\u094D\u0930\u094B\u0915\u0930 \u0928\u0947 {event} \u092D\u0947\u091C\u093E \u091C\u093F\u0938\u0947 \u092C\u0949\u091F \u092A\u0922\u093C \u0928\u0939\u0940\u0902 \u0938\u0915\u093E ({problem})\u0964 \u092C\u0949\u091F \u0930\u0941\u0915 \u0917\u092F\u093E \u0939\u0948; \u092A\u094D\u0930\u094B\u091F\u094B\u0915\u0949\u0932 \u091C\u093E\u0901\u091A \u0926\u0947\u0916\u0947\u0902\u0964"},alerts:{title:"Pocket Option Bot",settings:"\u0905\u0932\u0930\u094D\u091F",notifications:"\u0938\u0942\u091A\u0928\u093E\u090F\u0901",sound:"\u0906\u0935\u093E\u091C\u093C",webhook:"\u0938\u094D\u0925\u093E\u0928\u0940\u092F \u0935\u0947\u092C\u0939\u0941\u0915 \u092A\u0924\u093E: \u0939\u0930 \u0905\u0932\u0930\u094D\u091F \u0907\u0938 \u092A\u0930 JSON \u0915\u0947 \u0930\u0942\u092A \u092E\u0947\u0902 \u092D\u0947\u091C\u093E \u091C\u093E\u0924\u093E \u0939\u0948",invalid:"\u0935\u0947\u092C\u0939\u0941\u0915 localhost \u092F\u093E 127.0.0.1 \u092A\u0930 http:// \u092A\u0924\u093E \u0939\u094B\u0928\u093E \u091A\u093E\u0939\u093F\u090F\u0964",opened:"\u0938\u094C\u0926\u093E {id} \u0916\u0941\u0932\u093E, {count} \u0916\u0941\u0932\u0947 \u0939\u0948\u0902\u0964",closed:"\u0938\u094C\u0926\u093E \u092C\u0902\u0926: {profit}\u0964",take_profit:"{limit} \u0915\u093E \u091F\u0947\u0915 \u092A\u094D\u0930\u0949\u092B\u093C\u093F\u091F \u092A\u0942\u0930\u093E \u0939\u0941\u0906\u0964 \u092C\u0949\u091F \u0930\u0941\u0915 \u0917\u092F\u093E \u0939\u0948\u0964",stop_loss:"{limit} \u0915\u093E \u0938\u094D\u091F\u0949\u092A \u0932\u0949\u0938 \u092A\u0942\u0930\u093E \u0939\u0941\u0906\u0964 \u092C\u0949\u091F \u0930\u0941\u0915 \u0917\u092F\u093E \u0939\u0948\u0964",protocol:"\u092C\u0949\u091F \u0930\u0941\u0915 \u0917\u092F\u093E: \u092C\u094D\u0930\u094B\u0915\u0930 \u0928\u0947 {event} \u092D\u0947\u091C\u093E \u091C\u093F\u0938\u0947 \u092A\u0922\u093C\u093E \u0928\u0939\u0940\u0902 \u091C\u093E \u0938\u0915\u093E ({problem})\u0964",no_data:"{since} \u0938\u0947 \u0915\u094B\u0908 \u092C\u093E\u091C\u093C\u093E\u0930 \u0921\u0947\u091F\u093E \u0928\u0939\u0940\u0902\u0964"},orders:{not_sent:"{asset} \u092A\u0930 {direction} \u0928\u0939\u0940\u0902 \u0916\u0941\u0932\u093E: \u0915\u094D\u0932\u093F\u0915 \u092A\u0930 \u092A\u094D\u0932\u0947\u091F\u092B\u093C\u0949\u0930\u094D\u092E \u0928\u0947 \u0915\u094B\u0908 \u0911\u0930\u094D\u0921\u0930 \u0928\u0939\u0940\u0902 \u092D\u0947\u091C\u093E\u0964",not_confirmed:"{asset} \u092A\u0930 {direction} \u092D\u0947\u091C\u093E \u0917\u092F\u093E, \u092A\u0930 \u092A\u094D\u0932\u0947\u091F\u092B\u093C\u0949\u0930\u094D\u092E \u0928\u0947 \u0938\u092E\u092F \u092A\u0930 \u092A\u0941\u0937\u094D\u091F\u093F \u0928\u0939\u0940\u0902 \u0915\u0940\u0964",not_closed:"{asset} \u092A\u0930 {direction} \u0915\u0947 \u092C\u0902\u0926 \u0939\u094B\u0928\u0947 \u0915\u0940 \u0938\u0942\u091A\u0928\u093E \u0938\u092E\u092F \u092A\u0930 \u0928\u0939\u0940\u0902 \u092E\u093F\u0932\u0940, \u0905\u092C \u092F\u0939 \u0938\u094C\u0926\u094B\u0902 \u0915\u0940 \u0938\u0940\u092E\u093E \u092E\u0947\u0902 \u0928\u0939\u0940\u0902 \u0917\u093F\u0928\u093E \u091C\u093E\u0924\u093E\u0964"}}});var Xn=X((Ql,eo)=>{"use strict";var en={en:Kr(),ru:Vr(),es:Yr(),pt:Xr(),hi:Gr()};function Jr(i){return!!i&&typeof i=="object"&&!Array.isArray(i)}function Zr(i,a){let u=Object.assign({},i);for(let d in a)u[d]=Jr(i[d])&&Jr(a[d])?Zr(i[d],a[d]):a[d];return u}function Ws(i){let a=String(i||"").toLowerCase().split(/[-_]/)[0];return Object.prototype.hasOwnProperty.call(en,a)?a:"en"}function Us(i){return Zr(en.en,en[i])}function Qs(i,a){let u=a.strategies[i.id]||{},d={};for(let h in i.params){let T=u.params&&u.params[h];d[h]=T?Object.assign({},i.params[h],{name:T}):i.params[h]}return Object.assign({},i,{name:u.name||i.name,description:u.description||i.description,params:d})}eo.exports={LOCALES:en,pick:Ws,catalog:Us,strategy:Qs}});var no=X((Kl,to)=>{"use strict";function Ks(i,a){let u=String(i??"").trim().replace(",","."),d=Number(u);return u==""||!Number.isFinite(d)?{error:"number",values:{}}:a.type=="integer"&&!Number.isInteger(d)?{error:"integer",values:{}}:d<a.min||d>a.max?{error:"range",values:{min:a.min,max:a.max}}:{value:d}}function Vs(i,a){return i.error?a.validation[i.error].replace(/\{(\w+)\}/g,(u,d)=>i.values[d]==null?u:i.values[d]):""}to.exports={checkNumber:Ks,message:Vs}});var ao=X((Vl,oo)=>{"use strict";var Ys=$n(),ro=Xn(),io=ro.pick(Ys("html").attr("lang"));oo.exports={locale:io,messages:ro.catalog(io)}});var lo=X((Yl,so)=>{"use strict";so.exports=[]});var uo=X((Xl,Xs)=>{Xs.exports=`<svg xmlns="http://www.w3.org/2000/svg" height="24" width="24"><path d="M8.4 17 12 13.4 15.6 17 17 15.6 13.4 12 17 8.4 15.6 7 12 10.6 8.4 7 7 8.4 10.6 12 7 15.6ZM12 22Q9.925 22 8.1 21.212Q6.275 20.425 4.925 19.075Q3.575 17.725 2.788 15.9Q2 14.075 2 12Q2 9.925 2.788 8.1Q3.575 6.275 4.925 4.925Q6.275 3.575 8.1 2.787Q9.925 2 12 2Q14.075 2 15.9 2.787Q17.725 3.575 19.075 4.925Q20.425 6.275 21.212 8.1Q22 9.925 22 12Q22 14.075 21.212 15.9Q20.425 17.725 19.075 19.075Q17.725 20.425 15.9 21.212Q14.075 22 12 22ZM12 12Q12 12 12 12Q12 12 12 12Q12 12 12 12Q12 12 12 12Q12 12 12 12Q12 12 12 12Q12 12 12 12Q12 12 12 12ZM12 20Q15.325 20 17.663 17.663Q20 15.325 20 12Q20 8.675 17.663 6.337Q15.325 4 12 4Q8.675 4 6.338 6.337Q4 8.675 4 12Q4 15.325 6.338 17.663Q8.675 20 12 20Z"></path></svg>
+`});var co=X((Gl,Gs)=>{Gs.exports=`<svg xmlns="http://www.w3.org/2000/svg" height="24" width="24"><path d="M9.55 18 3.85 12.3 5.275 10.875 9.55 15.15 18.725 5.975 20.15 7.4Z"></path></svg>
+`});var fo=X((Jl,Js)=>{Js.exports=`<svg xmlns="http://www.w3.org/2000/svg" height="24" width="24"><path d="M6.7 18 1.05 12.35 2.475 10.95 6.725 15.2 8.125 16.6ZM12.35 18 6.7 12.35 8.1 10.925 12.35 15.175 21.55 5.975 22.95 7.4ZM12.35 12.35 10.925 10.95 15.875 6 17.3 7.4Z"></path></svg>
+`});var E=$n(),Ge=Pn(),Zs=ir(),Xe=sr(),Pe=dr(),{send:Ae,update:ye,connect:el}=hr(),Ye=yr(),tl=Tr(),Jn=jr(),nl=Pr(),Ie=Qr(),Zn=Vn(),il=Wn(),rl=Nn(),ol=Xn(),At=no(),{messages:B}=ao();Ge.load(lo());var nn={stop:chrome.runtime.getURL("/icon/icon_30.png"),animated:chrome.runtime.getURL("/icon/ani.gif"),signal:[uo(),co(),fo()]};function re(i,a){let{type:u,min:d,max:h}=Zn.SCHEMA[i];return{type:u,min:d,max:h,sim:B.units[a],name:B.inputs[i].name,hint:B.inputs[i].hint}}var ee={inputs:{min_profit:re("min_profit","percent"),delay:re("delay","seconds"),deals_limit:re("deals_limit","count"),take_profit:re("take_profit","percent"),expiry:re("expiry","seconds"),stake_amount:re("stake_amount","money"),stake_percent:re("stake_percent","percent"),kelly_fraction:re("kelly_fraction","percent"),stop_loss:re("stop_loss","percent"),stop_loss_sum:re("stop_loss_sum","money"),daily_loss:re("daily_loss","money"),martin_exposure:re("martin_exposure","money"),loss_streak:re("loss_streak","count"),cooldown:re("cooldown","minutes"),blackout_before:re("blackout_before","minutes"),blackout_after:re("blackout_after","minutes"),paper_amount:re("paper_amount","money"),min_score:re("min_score","percent")},timeframes:rl.SIGNAL_TIMEFRAMES,strategies:{},params:{},stakeModes:il.MODES,shared:!1,signals:[2,2,1,0,0,0],useMartin:!1,martinSteps:[2,2,2,2,2,2,2,2,2]};Ge.list().forEach(function(i){ee.strategies[i.id]=ol.strategy(i,B)});var al=["use_otc","show_stat","useMartin","record_ws","paper"],sl=["stop_loss","stop_loss_sum","daily_loss","martin_exposure","loss_streak","cooldown","paper_amount","min_score","expiry","stake_mode","stake_amount","stake_percent","kelly_fraction","asset_mode","blackout_before","blackout_after"],rn={};function ll(i,a){let u="#sub-menu-robot-modal";E(`${u} .bb_params`).hide(),E(`${u} .bb_params[data-strategy="${i}"]`).show(),E(`${u} #bb_strategy_description`).text(ee.strategies[i]?ee.strategies[i].description:""),Ge.list().forEach(function(d){let h=Ge.params(d,(a||{})[d.id]);for(let T in h){let N=Xe.paramId(d.id,T);d.params[T].type=="boolean"?Mt(N,h[T]):E(`${u} #${N}`).val(h[T])}})}var vo=document.createElement("style");vo.textContent=Zs;document.head.appendChild(vo);function tn(i,a,u=`#${i.id}_error`){return E(i).attr("aria-invalid",a.error?"true":"false"),E(u).text(At.message(a,B)),!a.error}function ul(i){if(ee.inputs[i.id])return ee.inputs[i.id];let a=Ge.get(E(i).closest(".bb_params").data("strategy"));return a.params[i.id.slice(Xe.paramId(a.id,"").length)]}function cl(i){E("#sub-menu-robot-modal #bb_signals td").each(function(a){let u=B.signals.timeframe.replace("{minutes}",ee.timeframes[a]);E(this).html(nn.signal[i[a]]).attr("aria-label",B.signals.cell.replace("{timeframe}",u).replace("{level}",B.signals.levels[i[a]])),E(this).children().attr("aria-hidden","true")})}function Mt(i,a){let u=E(`#sub-menu-robot-modal #${i}`);u.prop("checked",a),a?u.parent().addClass("is-checked"):u.parent().removeClass("is-checked")}function dl(i,a){let u="#sub-menu-robot-modal";E(`${u} #min_profit`).val(i.min_profit),E(`${u} #delay`).val(i.delay),E(`${u} #deals_limit`).val(i.deals_limit),E(`${u} #take_profit`).val(i.take_profit.percent),sl.forEach(function(h){E(`${u} #${h}`).val(i[h])}),E(`${u} #schedule_hours`).val(Jn.formatWindows(i.schedule)),E(`${u} #asset_list`).val(i.assets.join(", ")),E(`${u} #blackout_count`).text(B.schedule.count.replace("{count}",i.blackouts.length)),Mt("use_otc",i.use_otc),Mt("useMartin",i.useMartin),Mt("paper",i.paper),i.paper?E("#r_paper").show():E("#r_paper").hide(),a!==void 0&&Mt("record_ws",a),i.started?(E(`${u} #ss_button`).text(B.modal.stop),E("#robot_icon").attr("src",nn.animated)):(E(`${u} #ss_button`).text(B.modal.start),E("#robot_icon").attr("src",nn.stop)),E(`${u} #strategy`).val(i.strategy),ee.params=i.params,ll(i.strategy,i.params),cl(i.signals),ee.signals=i.signals,i.strategy=="signals"?E(`${u} #bb_signals`).show():E(`${u} #bb_signals`).hide(),i.useMartin?E(`${u} #bb_martinSteps`).show():E(`${u} #bb_martinSteps`).hide();let d=E(`${u} #bb_martinSteps input`);i.martinSteps.forEach(function(h,T){d[T].value=h}),E(`${u} input[aria-invalid="true"]`).attr("aria-invalid","false"),E(`${u} .bb_error`).text(""),ee.martinSteps=i.martinSteps,Z&&(Z.list[Z.active]=Zn.pick(i),yo())}var Z=null;function yo(){chrome.storage.local.set({[Ie.KEY]:Z})}function fl(){E("#sub-menu-robot-modal #profile").empty().append(Object.keys(Z.list).map(function(i){return E("<option>").val(i).text(i)})).val(Z.active)}function Ct(i){Z.active=i,yo(),fl(),Ae("setState",{settings:Z.list[i],replace:!0}),Ae("readState")}function po(i){E("#sub-menu-robot-modal .settings-modal__content-text").text(i)}function pl(i){let a=Math.round(i.closed.reduce((h,T)=>h+T,0)*100)/100,u=i.closed.filter(h=>h>0).length,d=i.closed.filter(h=>h<0).length;E("#r_paper_net").text(`${a} (${u}/${d})`).attr("class",a<0?"ss_lost":"ss_win")}function Gn(i){let a=nl.compute(i);rn={};for(let u in a.channel)rn[u]=a.channel[u].score;E("#ss_stats").html(Xe.statsPanel(a,B.stats))}var pt=null;function ho(i){if(pt&&pt.close(),pt=null,E("#bridge_url").val(i),!i){E("#bridge_status").text(B.bridge.off);return}pt=tl.connect(i,{signal(a){a.score=Object.prototype.hasOwnProperty.call(rn,a.source)?rn[a.source]:null,Ae("signal",{signal:a})},status(a){E("#bridge_status").text(B.bridge[a])}})}function hl(i){let a=(B.risk[i.reason]||B.risk.other).replace("{reason}",i.reason).replace("{limit}",i.limit).replace("{asset}",i.asset).replace("{until}",new Date(i.until).toLocaleTimeString());E("#sub-menu-robot-modal .settings-modal__content-text").text(a)}function ml(i){let a=B.orders[i.reason];a&&E("#sub-menu-robot-modal .settings-modal__content-text").text(a.replace("{direction}",i.direction.toUpperCase()).replace("{asset}",i.asset))}function gl(i){let a=i.until==null?B.schedule.never:new Date(i.until).toLocaleString(),u=B.schedule[i.reason].replace("{title}",i.title).replace("{until}",a);E("#sub-menu-robot-modal .settings-modal__content-text").text(u)}function mo(i){E("#sub-menu-robot-modal .settings-modal__content-text").text(B.schedule.invalid.replace("{error}",i.message))}function bl(i){let a=B.diagnostics.stopped.replace("{event}",i.event).replace("{problem}",i.problem);E("#sub-menu-robot-modal .settings-modal__content-text").text(a),Ae("readDiagnostics")}function go(i,a){return Object.keys(i).sort((u,d)=>i[d].last-i[u].last).map(function(u){let d=i[u],h=d.known?"":` (${B.diagnostics.unknown})`;return`${a} ${u} \xD7${d.count}, ${new Date(d.last).toLocaleTimeString()}${h}`})}function vl(i){let a=[B.diagnostics.version.replace("{version}",i.version)].concat(go(i.in,"\u2190"),go(i.out,"\u2192"));a.push(i.failures.length>0?B.diagnostics.failures:B.diagnostics.noFailures),i.failures.slice().reverse().forEach(function(u){a.push(`${new Date(u.time).toLocaleTimeString()} ${u.event||"?"}: ${u.problem}`)}),E("#diagnostics_list").empty().append(a.map(u=>E("<div>").text(u)))}function yl(i){let a={win:i.closed.filter(u=>u>0).length,lost:i.closed.filter(u=>u<0).length,percent:50};a.percent=Math.round(a.win/Math.max(a.win+a.lost,1)*100),a.percent>50&&!ee.shared?E("#po_share_mes").html(B.grade):E("#sub-menu-robot-modal").hasClass("mfp-hide")&&E("#po_share_mes").html(""),E("#r_win").text(a.win),E("#r_lost").text(a.lost),E("#r_percent").text(a.percent+"%")}function xl(i){let a=new DOMParser().parseFromString(i,"text/html").body.textContent,u=E("#sub-menu-robot-modal .settings-modal__content-text").empty();a.split(/(https:\/\/[^\s"'<>]+)/).forEach(function(d,h){u.append(h%2?E("<a>",{href:d,target:"_blank",rel:"noopener noreferrer",text:d}):document.createTextNode(d))})}var xe=Pe.createSettings(),wl=Pe.createState();function _l(){let i=new AudioContext,a=i.createOscillator(),u=i.createGain();a.frequency.value=880,u.gain.setValueAtTime(.2,i.currentTime),u.gain.exponentialRampToValueAtTime(.001,i.currentTime+.4),a.connect(u).connect(i.destination),a.onended=()=>i.close(),a.start(),a.stop(i.currentTime+.4)}function kl(i){i.forEach(function(a){let u=Pe.text(a,B);xe.sound&&_l(),!(!xe.notifications&&!xe.webhook)&&chrome.runtime.sendMessage({belobot:"alert",alert:a,title:B.alerts.title,text:u,notify:xe.notifications,webhook:xe.webhook},()=>chrome.runtime.lastError)})}function bo(){E("#alert_notifications").prop("checked",xe.notifications),E("#alert_sound").prop("checked",xe.sound),E("#alert_webhook").val(xe.webhook),E("#alert_status").text("")}var Tl=window.belobotPort;delete window.belobotPort;E(function(){el(Tl,function(i){!i||!i.belobot||(kl(Pe.read(wl,i)),i.act=="robotSettings"&&dl(i.settings,i.recording),i.act=="newDeal"&&E(".btn-call:first")[0].click(),typeof i.info_text=="string"&&i.info_text&&xl(i.info_text),i.robotDeals&&yl(i.robotDeals),i.paperDeals&&pl(i.paperDeals),i.risk&&hl(i.risk),i.protocol&&bl(i.protocol),i.diagnostics&&vl(i.diagnostics),i.orderFailed&&ml(i.orderFailed),i.settingsProblems&&E("#sub-menu-robot-modal .settings-modal__content-text").text(B.validation.refused.replace("{problems}",i.settingsProblems.join("; "))),i.schedule&&gl(i.schedule),i.journal&&Ye.append(i.journal).then(Gn).catch(function(a){E("#sub-menu-robot-modal .settings-modal__content-text").text(B.journal.failed.replace("{error}",a.message))}),i.remote&&pt&&pt.send(i.remote))}),E(".left-sidebar nav ul").first().append(Xe.sidebarItem(nn.stop,B)),E("#demo-balance-modal").after(Xe.modal(ee,B)),E("body").append(Xe.overlay(B)),Ye.load().then(Gn),E("#sub-menu-robot-modal").on("input",".input-box input",function(){tn(this,At.checkNumber(E(this).val(),ul(this)))}),E("#sub-menu-robot-modal input:not(#bb_martinSteps input, .bb_params input, #bridge_url, #bb_alerts input, #bb_schedule input, #profile_file)").change(function(){let i={};if(al.includes(this.id)||this.id=="")i[this.id]=E(this).prop("checked");else{let a=At.checkNumber(E(this).val(),ee.inputs[this.id]);if(!tn(this,a))return;i[this.id]=a.value}this.id=="show_stat"?i.show_stat?E("#ss_overlay, #ss_stats").show():E("#ss_overlay, #ss_stats").hide():this.id=="record_ws"?(Ae("record",{enabled:i.record_ws}),Ae("readState")):ye(i)}),E("#sub-menu-robot-modal .bb_params input").change(function(){let i=Ge.get(E(this).closest(".bb_params").data("strategy")),a=this.id.slice(Xe.paramId(i.id,"").length),u=Object.assign({},ee.params[i.id]);if(i.params[a].type=="boolean")u[a]=E(this).prop("checked");else{let d=At.checkNumber(E(this).val(),i.params[a]);if(!tn(this,d))return;u[a]=d.value}ee.params=Object.assign({},ee.params,{[i.id]:Ge.params(i,u)}),ye({params:ee.params})}),E("#sub-menu-robot-modal #strategy").change(function(){let i=E(this).val();i==="martin"&&(ee.useMartin=!0,Ae("setState",{settings:{useMartin:ee.useMartin}})),ye({strategy:i})}),E("#sub-menu-robot-modal #stake_mode").change(function(){ye({stake_mode:E(this).val()})}),E("#sub-menu-robot-modal #bb_signals").on("click","th, td",function(){let i=E(this).index();ee.signals[i]=ee.signals[i]<2?ee.signals[i]+1:0,ye({signals:ee.signals})}),E("#sub-menu-robot-modal #bb_signals").on("keydown","td",function(i){let a=E("#sub-menu-robot-modal #bb_signals td"),u=a.index(this),d={ArrowLeft:Math.max(u-1,0),ArrowRight:Math.min(u+1,a.length-1),Home:0,End:a.length-1};i.key=="Enter"||i.key==" "?(i.preventDefault(),E(this).click()):Object.prototype.hasOwnProperty.call(d,i.key)&&(i.preventDefault(),a.attr("tabindex",-1),a.eq(d[i.key]).attr("tabindex",0).focus())}),E("#sub-menu-robot-modal #bb_martinSteps").on("input","input",function(){let i=E("#sub-menu-robot-modal #bb_martinSteps input").index(this),a=At.checkNumber(E(this).val(),Zn.SCHEMA.martinSteps.of);tn(this,a,"#martin_steps_error")&&(ee.martinSteps[i]=a.value,ye({martinSteps:ee.martinSteps}))}),E("#sub-menu-robot-modal #schedule_hours").change(function(){try{ye({schedule:Jn.parseWindows(E(this).val())})}catch(i){mo(i)}}),E("#sub-menu-robot-modal #asset_mode").change(function(){ye({asset_mode:E(this).val()})}),E("#sub-menu-robot-modal #asset_list").change(function(){ye({assets:E(this).val().split(/[\s,;]+/).filter(Boolean)})}),E("#sub-menu-robot-modal #blackout_file").change(function(){let i=this.files[0];this.value="",i&&i.text().then(function(a){ye({blackouts:Jn.parseCalendar(a)})}).catch(mo)}),E("#sub-menu-robot-modal #blackout_clear").click(function(){ye({blackouts:[]})}),E("#sub-menu-robot-modal #profile").change(function(){Ct(E(this).val())}),E("#sub-menu-robot-modal #profile_new").click(function(){let i=(prompt(B.profiles.name)||"").trim();if(!i)return;let a=Ie.uniqueName(Z,i);Z.list[a]=Object.assign({},Z.list[Z.active]),Ct(a)}),E("#sub-menu-robot-modal #profile_delete").click(function(){let i=Object.keys(Z.list);i.length<2||!confirm(B.profiles.confirm.replace("{name}",Z.active))||(delete Z.list[Z.active],Ct(i.find(a=>a!=Z.active)))}),E("#sub-menu-robot-modal #profile_export").click(function(){Ye.download(`belobot-profile-${Z.active}.json`,Ie.toJson(Z.active,Z.list[Z.active]),"application/json")}),E("#sub-menu-robot-modal #profile_file").change(function(){let i=this.files[0];this.value="",i&&i.text().then(function(a){let u=Ie.fromJson(a,i.name.replace(/\.json$/i,"")),d=Ie.uniqueName(Z,u.name);Z.list[d]=u.settings,Ct(d),po(u.problems.length>0?B.profiles.problems.replace("{name}",d).replace("{problems}",u.problems.join("; ")):B.profiles.imported.replace("{name}",d))}).catch(function(a){po(B.profiles.invalid.replace("{error}",a.message))})}),E("#sub-menu-robot-modal #bridge_url").change(function(){let i=E(this).val().trim();chrome.storage.local.set({bridge_url:i}),ho(i)}),E("#sub-menu-robot-modal #bb_alerts input").change(function(){let i=E("#alert_webhook").val().trim();if(i&&!Pe.isLocalUrl(i)){E("#alert_status").text(B.alerts.invalid);return}xe={notifications:E("#alert_notifications").prop("checked"),sound:E("#alert_sound").prop("checked"),webhook:i},chrome.storage.local.set({[Pe.KEY]:xe}),bo()}),E("#sub-menu-robot-modal #journal_csv").click(function(){Ye.exportAs("csv")}),E("#sub-menu-robot-modal #journal_json").click(function(){Ye.exportAs("json")}),E("#sub-menu-robot-modal #journal_clear").click(function(){Ye.load().then(function(i){i.length>0&&confirm(B.journal.confirm.replace("{count}",i.length))&&Ye.clear().then(Gn)})}),E("#sub-menu-robot-modal #diagnostics_show").click(function(){Ae("readDiagnostics")}),E("#sub-menu-robot-modal #ss_button").click(function(){Ae("start_stop"),Ae("readState")}),chrome.storage.local.get([Ie.KEY,"shared","bridge_url",Pe.KEY].concat(Ie.LEGACY_KEYS),function(i){i.shared&&(ee.shared=!0),ho(i.bridge_url||""),xe=Pe.readSettings(i[Pe.KEY]),bo();let{profiles:a,migrated:u}=Ie.migrate(i);Z=a,u&&chrome.storage.local.remove(Ie.LEGACY_KEYS),Ct(Z.active)})});})();
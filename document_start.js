@@ -1 +1 @@
-(()=>{var e=document.createElement("script");e.src=chrome.runtime.getURL("web_accessible_resources.js"),e.onload=function(){this.parentNode.removeChild(this)},(document.head||document.documentElement).appendChild(e)})();
\ No newline at end of file
+"use strict";(()=>{var p=(t,e)=>()=>(e||t((e={exports:{}}).exports,e),e.exports);var f=p((h,d)=>{"use strict";var s="belobot:port",c=null,r=[];function u(t){let e=new MessageChannel,n=new MessageEvent(s,{ports:[e.port2],cancelable:!0});if(!window.dispatchEvent(n)){t(e.port1);return}if(document.readyState!="loading")return;function i(){window.removeEventListener(s,a),document.removeEventListener("DOMContentLoaded",i)}function a(o){!o.ports||!o.ports[0]||(i(),o.preventDefault(),t(o.ports[0]))}window.addEventListener(s,a),document.addEventListener("DOMContentLoaded",i)}function E(t){let e=Object.assign({belobot:!0},t);if(c){c.postMessage(e);return}r.push(e),r.length>200&&r.shift()}function l(t){u(function(e){e.onmessage=n=>t(n.data),c=e,r.splice(0).forEach(n=>c.postMessage(n))})}d.exports={PORT_EVENT:s,MAX_QUEUE:200,handOver:u,post:E,open:l}});var{handOver:w}=f();w(function(t){window.belobotPort=t});})();
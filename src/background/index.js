@@ -0,0 +1,31 @@
+"use strict";
+
+const { isLocalUrl } = require("../content/alerts");
+
+// The extension's service worker: shows the alerts document_end.js sends as
+// browser notifications and posts them to the local webhook, which a content
+// script could not reach past the platform's page. Only this extension's own
+// scripts can send to `onMessage`.
+chrome.runtime.onMessage.addListener(function(message, sender) {
+    if (!message || "alert" != message.belobot || sender.id !== chrome.runtime.id) return;
+    const { alert, title, text } = message;
+
+    if (message.notify) {
+        chrome.notifications.create({
+            type: "basic",
+            iconUrl: chrome.runtime.getURL("icon/icon_128.png"),
+            title,
+            message: text
+        });
+    }
+
+    if ("string" == typeof message.webhook && isLocalUrl(message.webhook)) {
+        fetch(message.webhook, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(Object.assign({ text }, alert))
+        }).catch(function(error) {
+            console.warn("belobot: the alert webhook failed", error.message);
+        });
+    }
+});
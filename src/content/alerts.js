@@ -0,0 +1,107 @@
+"use strict";
+
+// Alerts on what the page script reports: deals opened and closed, the take
+// profit or a stop loss reached, a stop on a frame the bot could not read
+// and a feed gone quiet. They go to a browser notification, through the
+// extension's service worker, to a sound and to a local webhook, each as the
+// user set them under "alerts" in chrome.storage.local.
+
+// chrome.storage.local key of the alert settings.
+const KEY = "alerts";
+
+const STOP_LOSS = ["stop_loss", "daily_loss"];
+
+function createSettings() {
+    return {
+        notifications: false,
+        sound: false,
+        webhook: ""
+    };
+}
+
+// The alert settings in `stored`, what chrome.storage.local holds under KEY,
+// with anything unusable left at its default.
+function readSettings(stored) {
+    const settings = createSettings();
+    if (!stored || "object" != typeof stored) return settings;
+    settings.notifications = true === stored.notifications;
+    settings.sound = true === stored.sound;
+    settings.webhook = "string" == typeof stored.webhook && isLocalUrl(stored.webhook) ? stored.webhook : "";
+    return settings;
+}
+
+// Whether `url` is an http address on this machine, the only place the
+// webhook may post to; manifest.json grants the service worker these hosts.
+function isLocalUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+    return "http:" == parsed.protocol && ["localhost", "127.0.0.1"].includes(parsed.hostname);
+}
+
+// What has been alerted on so far: the open robot deals and the count of
+// closed ones, as the last `robotDeals` had them.
+function createState() {
+    return {
+        opened: [],
+        closed: 0
+    };
+}
+
+/**
+ * The alerts a message from the page script makes, each `{event, values,
+ * time}`, updating `state`. A `robotDeals` gives one per deal opened or
+ * closed since the last, a `risk` one for the take profit or a stop loss,
+ * a `protocol` one for the stop and a stale `feed` one for the quiet feed.
+ */
+function read(state, data, now = Date.now()) {
+    const alerts = [];
+    const alert = (event, values) => alerts.push({ event, values, time: now });
+
+    if (data.robotDeals) {
+        const { opened, closed } = data.robotDeals;
+        opened.filter(id => !state.opened.includes(id)).forEach(id => alert("opened", { id, count: opened.length }));
+        // A bot started again begins a new list.
+        closed.slice(closed.length < state.closed ? 0 : state.closed).forEach(profit => alert("closed", { profit }));
+        state.opened = opened.slice();
+        state.closed = closed.length;
+    }
+    if (data.risk && "take_profit" == data.risk.reason) {
+        alert("take_profit", { limit: data.risk.limit });
+    }
+    if (data.risk && STOP_LOSS.includes(data.risk.reason)) {
+        alert("stop_loss", { limit: data.risk.limit });
+    }
+    if (data.protocol) {
+        alert("protocol", { event: data.protocol.event, problem: data.protocol.problem });
+    }
+    if (data.feed && data.feed.stale) {
+        alert("no_data", { since: data.feed.since });
+    }
+    return alerts;
+}
+
+function money(value) {
+    return (value > 0 ? "+" : "") + Number(value).toFixed(2);
+}
+
+// The alert's text in `messages.alerts`, with its values filled in.
+function text(alert, messages) {
+    const values = Object.assign({}, alert.values);
+    null != values.profit && (values.profit = money(values.profit));
+    null != values.since && (values.since = new Date(values.since).toLocaleTimeString());
+    return messages.alerts[alert.event].replace(/\{(\w+)\}/g, (match, name) => null == values[name] ? match : values[name]);
+}
+
+module.exports = {
+    KEY,
+    createSettings,
+    readSettings,
+    isLocalUrl,
+    createState,
+    read,
+    text
+};
@@ -0,0 +1,44 @@
+"use strict";
+
+// The content script's end of the channel to the page script, see
+// src/page/channel.js.
+
+let port = null;
+const queue = [];
+
+/**
+ * Sends a `belobot` command to the injected page script, or keeps it until
+ * the channel is open.
+ */
+function send(act, data) {
+    const message = Object.assign({ belobot: true, act }, data);
+    port ? port.postMessage(message) : queue.push(message);
+}
+
+// Every change is followed by a readState so the modal redraws from what the
+// page script actually applied.
+function update(settings) {
+    send("setState", { settings });
+    send("readState");
+}
+
+/**
+ * Takes the content scripts' end of the channel, `channel`, which
+ * document_start.js opened, and hands every message the page script posts
+ * to `receive`.
+ */
+function connect(channel, receive) {
+    if (!channel) {
+        console.error("belobot: no channel to the page script, the bot cannot be reached");
+        return;
+    }
+    channel.onmessage = message => receive(message.data);
+    port = channel;
+    queue.splice(0).forEach(message => port.postMessage(message));
+}
+
+module.exports = {
+    send,
+    update,
+    connect
+};
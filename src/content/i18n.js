@@ -0,0 +1,12 @@
+"use strict";
+
+const $ = require("jquery");
+const locales = require("./locales");
+
+// The platform's own language decides; anything without a catalog gets English.
+const locale = locales.pick($("html").attr("lang"));
+
+module.exports = {
+    locale,
+    messages: locales.catalog(locale)
+};
@@ -0,0 +1,678 @@
+"use strict";
+
+const $ = require("jquery");
+const registry = require("../strategies/registry");
+const css = require("./style.css");
+const templates = require("./templates");
+const alerts = require("./alerts");
+const { send, update, connect } = require("./bridge");
+const journal = require("./journal");
+const remote = require("./remote");
+const schedule = require("./schedule");
+const stats = require("./stats");
+const profiles = require("./profiles");
+const schema = require("../page/settings");
+const stake = require("../page/stake");
+const patterns = require("../page/strategies");
+const locales = require("./locales");
+const validate = require("./validate");
+const { messages } = require("./i18n");
+
+registry.load(require("belobot-strategies"));
+
+const icons = {
+    stop: chrome.runtime.getURL("/icon/icon_30.png"),
+    animated: chrome.runtime.getURL("/icon/ani.gif"),
+    // Signal level 0 (timeframe ignored), 1 and 2.
+    signal: [require("./icons/stop.svg"), require("./icons/check.svg"), require("./icons/double-check.svg")]
+};
+
+// A numeric input of the modal, checked against the page script's schema.
+function input(id, unit) {
+    const { type, min, max } = schema.SCHEMA[id];
+    return { type, min, max, sim: messages.units[unit], name: messages.inputs[id].name, hint: messages.inputs[id].hint };
+}
+
+const config = {
+    inputs: {
+        min_profit: input("min_profit", "percent"),
+        delay: input("delay", "seconds"),
+        deals_limit: input("deals_limit", "count"),
+        take_profit: input("take_profit", "percent"),
+        expiry: input("expiry", "seconds"),
+        stake_amount: input("stake_amount", "money"),
+        stake_percent: input("stake_percent", "percent"),
+        kelly_fraction: input("kelly_fraction", "percent"),
+        stop_loss: input("stop_loss", "percent"),
+        stop_loss_sum: input("stop_loss_sum", "money"),
+        daily_loss: input("daily_loss", "money"),
+        martin_exposure: input("martin_exposure", "money"),
+        loss_streak: input("loss_streak", "count"),
+        cooldown: input("cooldown", "minutes"),
+        blackout_before: input("blackout_before", "minutes"),
+        blackout_after: input("blackout_after", "minutes"),
+        paper_amount: input("paper_amount", "money"),
+        min_score: input("min_score", "percent")
+    },
+    // The forecast timeframes of the signals grid, in minutes.
+    timeframes: patterns.SIGNAL_TIMEFRAMES,
+    // Every registered strategy, with the catalog's name and description
+    // where it has them.
+    strategies: {},
+    params: {},
+    stakeModes: stake.MODES,
+    shared: false,
+    signals: [2, 2, 1, 0, 0, 0],
+    useMartin: false,
+    martinSteps: [2, 2, 2, 2, 2, 2, 2, 2, 2]
+};
+
+registry.list().forEach(function(strategy) {
+    config.strategies[strategy.id] = locales.strategy(strategy, messages);
+});
+
+// Switches that are not numeric inputs of `config.inputs`.
+const SWITCHES = ["use_otc", "show_stat", "useMartin", "record_ws", "paper"];
+
+// Settings shown as they are, in the input or select of the same id: the
+// risk limits, where 0 turns a limit off, and the bridge, stake and schedule
+// settings. `stake_mode` selects one of stake.MODES.
+const PLAIN_SETTINGS = [
+    "stop_loss", "stop_loss_sum", "daily_loss", "martin_exposure", "loss_streak", "cooldown",
+    "paper_amount", "min_score",
+    "expiry", "stake_mode", "stake_amount", "stake_percent", "kelly_fraction",
+    "asset_mode", "blackout_before", "blackout_after"
+];
+
+// Bridge channel scores from the trade journal, see stats.score.
+let scores = {};
+
+function showParams(strategy, stored) {
+    const modal = "#sub-menu-robot-modal";
+    $(`${modal} .bb_params`).hide();
+    $(`${modal} .bb_params[data-strategy="${strategy}"]`).show();
+    $(`${modal} #bb_strategy_description`).text(config.strategies[strategy] ? config.strategies[strategy].description : "");
+
+    registry.list().forEach(function(declaration) {
+        const values = registry.params(declaration, (stored || {})[declaration.id]);
+        for (const key in values) {
+            const id = templates.paramId(declaration.id, key);
+            "boolean" == declaration.params[key].type ? setSwitch(id, values[key]) : $(`${modal} #${id}`).val(values[key]);
+        }
+    });
+}
+
+const style = document.createElement("style");
+style.textContent = css;
+document.head.appendChild(style);
+
+// Shows what `result`, from validate.checkNumber, says about `input`: the
+// error under it, or nothing. True when the value is usable.
+function showCheck(input, result, box = `#${input.id}_error`) {
+    $(input).attr("aria-invalid", result.error ? "true" : "false");
+    $(box).text(validate.message(result, messages));
+    return !result.error;
+}
+
+// The rule of a numeric input of the modal other than a Martingale step.
+function ruleOf(input) {
+    if (config.inputs[input.id]) return config.inputs[input.id];
+    const strategy = registry.get($(input).closest(".bb_params").data("strategy"));
+    return strategy.params[input.id.slice(templates.paramId(strategy.id, "").length)];
+}
+
+function showSignals(signals) {
+    $("#sub-menu-robot-modal #bb_signals td").each(function(i) {
+        const timeframe = messages.signals.timeframe.replace("{minutes}", config.timeframes[i]);
+        $(this).html(icons.signal[signals[i]]).attr("aria-label", messages.signals.cell
+            .replace("{timeframe}", timeframe)
+            .replace("{level}", messages.signals.levels[signals[i]]));
+        $(this).children().attr("aria-hidden", "true");
+    });
+}
+
+function setSwitch(id, checked) {
+    const input = $(`#sub-menu-robot-modal #${id}`);
+    input.prop("checked", checked);
+    checked ? input.parent().addClass("is-checked") : input.parent().removeClass("is-checked");
+}
+
+function showSettings(settings, recording) {
+    const modal = "#sub-menu-robot-modal";
+    $(`${modal} #min_profit`).val(settings.min_profit);
+    $(`${modal} #delay`).val(settings.delay);
+    $(`${modal} #deals_limit`).val(settings.deals_limit);
+    $(`${modal} #take_profit`).val(settings.take_profit.percent);
+    PLAIN_SETTINGS.forEach(function(id) {
+        $(`${modal} #${id}`).val(settings[id]);
+    });
+    $(`${modal} #schedule_hours`).val(schedule.formatWindows(settings.schedule));
+    $(`${modal} #asset_list`).val(settings.assets.join(", "));
+    $(`${modal} #blackout_count`).text(messages.schedule.count.replace("{count}", settings.blackouts.length));
+    setSwitch("use_otc", settings.use_otc);
+    setSwitch("useMartin", settings.useMartin);
+    setSwitch("paper", settings.paper);
+    settings.paper ? $("#r_paper").show() : $("#r_paper").hide();
+    if (undefined !== recording) {
+        setSwitch("record_ws", recording);
+    }
+
+    if (settings.started) {
+        $(`${modal} #ss_button`).text(messages.modal.stop);
+        $("#robot_icon").attr("src", icons.animated);
+    } else {
+        $(`${modal} #ss_button`).text(messages.modal.start);
+        $("#robot_icon").attr("src", icons.stop);
+    }
+    $(`${modal} #strategy`).val(settings.strategy);
+    config.params = settings.params;
+    showParams(settings.strategy, settings.params);
+
+    showSignals(settings.signals);
+    config.signals = settings.signals;
+    "signals" == settings.strategy ? $(`${modal} #bb_signals`).show() : $(`${modal} #bb_signals`).hide();
+    settings.useMartin ? $(`${modal} #bb_martinSteps`).show() : $(`${modal} #bb_martinSteps`).hide();
+
+    const steps = $(`${modal} #bb_martinSteps input`);
+    settings.martinSteps.forEach(function(step, i) {
+        steps[i].value = step;
+    });
+    // What the page script applied replaces what was refused.
+    $(`${modal} input[aria-invalid="true"]`).attr("aria-invalid", "false");
+    $(`${modal} .bb_error`).text("");
+    config.martinSteps = settings.martinSteps;
+
+    // What the page script applied is what the active profile holds.
+    if (store) {
+        store.list[store.active] = schema.pick(settings);
+        saveProfiles();
+    }
+}
+
+// The settings profiles, once loaded from storage.
+let store = null;
+
+function saveProfiles() {
+    chrome.storage.local.set({ [profiles.KEY]: store });
+}
+
+function showProfiles() {
+    $("#sub-menu-robot-modal #profile").empty().append(Object.keys(store.list).map(function(name) {
+        return $("<option>").val(name).text(name);
+    })).val(store.active);
+}
+
+// Makes `name` the active profile and hands its settings to the page script
+// in place of the current ones.
+function switchProfile(name) {
+    store.active = name;
+    saveProfiles();
+    showProfiles();
+    send("setState", { settings: store.list[name], replace: true });
+    send("readState");
+}
+
+function showProfileText(text) {
+    $("#sub-menu-robot-modal .settings-modal__content-text").text(text);
+}
+
+function showPaper(paperDeals) {
+    const net = Math.round(paperDeals.closed.reduce((sum, profit) => sum + profit, 0) * 100) / 100;
+    const win = paperDeals.closed.filter(profit => profit > 0).length;
+    const lost = paperDeals.closed.filter(profit => profit < 0).length;
+    $("#r_paper_net")
+        .text(`${net} (${win}/${lost})`)
+        .attr("class", net < 0 ? "ss_lost" : "ss_win");
+}
+
+function showStats(entries) {
+    const computed = stats.compute(entries);
+    scores = {};
+    for (const channel in computed.channel) {
+        scores[channel] = computed.channel[channel].score;
+    }
+    $("#ss_stats").html(templates.statsPanel(computed, messages.stats));
+}
+
+// The open connection to the signal bridge, if one is set up.
+let bridge = null;
+
+function connectBridge(url) {
+    bridge && bridge.close();
+    bridge = null;
+    $("#bridge_url").val(url);
+    if (!url) {
+        $("#bridge_status").text(messages.bridge.off);
+        return;
+    }
+    bridge = remote.connect(url, {
+        signal(signal) {
+            signal.score = Object.prototype.hasOwnProperty.call(scores, signal.source) ? scores[signal.source] : null;
+            send("signal", { signal });
+        },
+        status(status) {
+            $("#bridge_status").text(messages.bridge[status]);
+        }
+    });
+}
+
+// A reason this modal has no text for, e.g. from a newer page script, gets
+// the generic one.
+function showRisk(limit) {
+    const text = (messages.risk[limit.reason] || messages.risk.other)
+        .replace("{reason}", limit.reason)
+        .replace("{limit}", limit.limit)
+        .replace("{asset}", limit.asset)
+        .replace("{until}", new Date(limit.until).toLocaleTimeString());
+    $("#sub-menu-robot-modal .settings-modal__content-text").text(text);
+}
+
+// A robot order that failed, see page/orders.js. Orders dropped because the
+// bot stopped are not shown.
+function showOrderFailure(order) {
+    const text = messages.orders[order.reason];
+    if (!text) return;
+    $("#sub-menu-robot-modal .settings-modal__content-text").text(text
+        .replace("{direction}", order.direction.toUpperCase())
+        .replace("{asset}", order.asset));
+}
+
+function showSchedule(state) {
+    const until = null == state.until ? messages.schedule.never : new Date(state.until).toLocaleString();
+    const text = messages.schedule[state.reason]
+        .replace("{title}", state.title)
+        .replace("{until}", until);
+    $("#sub-menu-robot-modal .settings-modal__content-text").text(text);
+}
+
+function showScheduleError(error) {
+    $("#sub-menu-robot-modal .settings-modal__content-text").text(messages.schedule.invalid.replace("{error}", error.message));
+}
+
+// The bot stopped on a frame it could not read, see bot.failSafe.
+function showProtocolFailure(failure) {
+    const text = messages.diagnostics.stopped
+        .replace("{event}", failure.event)
+        .replace("{problem}", failure.problem);
+    $("#sub-menu-robot-modal .settings-modal__content-text").text(text);
+    send("readDiagnostics");
+}
+
+function eventLines(events, arrow) {
+    return Object.keys(events).sort((a, b) => events[b].last - events[a].last).map(function(name) {
+        const event = events[name];
+        const unknown = event.known ? "" : ` (${messages.diagnostics.unknown})`;
+        return `${arrow} ${name} ×${event.count}, ${new Date(event.last).toLocaleTimeString()}${unknown}`;
+    });
+}
+
+// The event names the bot has seen on the socket, the latest first, and the
+// frames it could not read.
+function showDiagnostics(diagnostics) {
+    const lines = [messages.diagnostics.version.replace("{version}", diagnostics.version)]
+        .concat(eventLines(diagnostics.in, "←"), eventLines(diagnostics.out, "→"));
+    lines.push(diagnostics.failures.length > 0 ? messages.diagnostics.failures : messages.diagnostics.noFailures);
+    diagnostics.failures.slice().reverse().forEach(function(failure) {
+        lines.push(`${new Date(failure.time).toLocaleTimeString()} ${failure.event || "?"}: ${failure.problem}`);
+    });
+    $("#diagnostics_list").empty().append(lines.map(line => $("<div>").text(line)));
+}
+
+function showDeals(robotDeals) {
+    const stat = {
+        win: robotDeals.closed.filter(profit => profit > 0).length,
+        lost: robotDeals.closed.filter(profit => profit < 0).length,
+        percent: 50
+    };
+    stat.percent = Math.round(stat.win / Math.max(stat.win + stat.lost, 1) * 100);
+    if (stat.percent > 50 && !config.shared) {
+        $("#po_share_mes").html(messages.grade);
+    } else if ($("#sub-menu-robot-modal").hasClass("mfp-hide")) {
+        $("#po_share_mes").html("");
+    }
+    $("#r_win").text(stat.win);
+    $("#r_lost").text(stat.lost);
+    $("#r_percent").text(stat.percent + "%");
+}
+
+// Server and status text as plain text, with its https:// addresses as links.
+// Markup in it is shown as its text only.
+function showInfo(text) {
+    const plain = new DOMParser().parseFromString(text, "text/html").body.textContent;
+    const box = $("#sub-menu-robot-modal .settings-modal__content-text").empty();
+    plain.split(/(https:\/\/[^\s"'<>]+)/).forEach(function(part, i) {
+        box.append(i % 2 ? $("<a>", { href: part, target: "_blank", rel: "noopener noreferrer", text: part }) : document.createTextNode(part));
+    });
+}
+
+let alertSettings = alerts.createSettings();
+const alertState = alerts.createState();
+
+// A short beep, for alerts with the sound on.
+function beep() {
+    const audio = new AudioContext();
+    const oscillator = audio.createOscillator();
+    const gain = audio.createGain();
+    oscillator.frequency.value = 880;
+    gain.gain.setValueAtTime(0.2, audio.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, audio.currentTime + 0.4);
+    oscillator.connect(gain).connect(audio.destination);
+    oscillator.onended = () => audio.close();
+    oscillator.start();
+    oscillator.stop(audio.currentTime + 0.4);
+}
+
+// Sends each alert the way the user chose, see alerts.js. Notifications and
+// the webhook go through the service worker, src/background/index.js.
+function raise(list) {
+    list.forEach(function(alert) {
+        const text = alerts.text(alert, messages);
+        alertSettings.sound && beep();
+        if (!alertSettings.notifications && !alertSettings.webhook) return;
+        chrome.runtime.sendMessage({
+            belobot: "alert",
+            alert,
+            title: messages.alerts.title,
+            text,
+            notify: alertSettings.notifications,
+            webhook: alertSettings.webhook
+        }, () => chrome.runtime.lastError);
+    });
+}
+
+function showAlertSettings() {
+    $("#alert_notifications").prop("checked", alertSettings.notifications);
+    $("#alert_sound").prop("checked", alertSettings.sound);
+    $("#alert_webhook").val(alertSettings.webhook);
+    $("#alert_status").text("");
+}
+
+// The channel's end document_start.js left in this content script world.
+const pagePort = window.belobotPort;
+delete window.belobotPort;
+
+$(function() {
+    connect(pagePort, function(data) {
+        if (!data || !data.belobot) return;
+        raise(alerts.read(alertState, data));
+
+        if ("robotSettings" == data.act) {
+            showSettings(data.settings, data.recording);
+        }
+
+        if ("newDeal" == data.act) {
+            $(".btn-call:first")[0].click();
+        }
+
+        if ("string" == typeof data.info_text && data.info_text) {
+            showInfo(data.info_text);
+        }
+
+        if (data.robotDeals) {
+            showDeals(data.robotDeals);
+        }
+
+        if (data.paperDeals) {
+            showPaper(data.paperDeals);
+        }
+
+        if (data.risk) {
+            showRisk(data.risk);
+        }
+
+        if (data.protocol) {
+            showProtocolFailure(data.protocol);
+        }
+
+        if (data.diagnostics) {
+            showDiagnostics(data.diagnostics);
+        }
+
+        if (data.orderFailed) {
+            showOrderFailure(data.orderFailed);
+        }
+
+        if (data.settingsProblems) {
+            $("#sub-menu-robot-modal .settings-modal__content-text").text(messages.validation.refused.replace("{problems}", data.settingsProblems.join("; ")));
+        }
+
+        if (data.schedule) {
+            showSchedule(data.schedule);
+        }
+
+        if (data.journal) {
+            journal.append(data.journal).then(showStats).catch(function(error) {
+                $("#sub-menu-robot-modal .settings-modal__content-text").text(messages.journal.failed.replace("{error}", error.message));
+            });
+        }
+
+        if (data.remote) {
+            bridge && bridge.send(data.remote);
+        }
+    });
+
+    $(".left-sidebar nav ul").first().append(templates.sidebarItem(icons.stop, messages));
+    $("#demo-balance-modal").after(templates.modal(config, messages));
+    $("body").append(templates.overlay(messages));
+    journal.load().then(showStats);
+
+    // Numeric inputs say what is wrong as it is typed; only a usable value is
+    // sent on change.
+    $("#sub-menu-robot-modal").on("input", ".input-box input", function() {
+        showCheck(this, validate.checkNumber($(this).val(), ruleOf(this)));
+    });
+
+    $("#sub-menu-robot-modal input:not(#bb_martinSteps input, .bb_params input, #bridge_url, #bb_alerts input, #bb_schedule input, #profile_file)").change(function() {
+        const settings = {};
+        if (SWITCHES.includes(this.id) || "" == this.id) {
+            settings[this.id] = $(this).prop("checked");
+        } else {
+            const result = validate.checkNumber($(this).val(), config.inputs[this.id]);
+            if (!showCheck(this, result)) return;
+            settings[this.id] = result.value;
+        }
+
+        if ("show_stat" == this.id) {
+            settings.show_stat ? $("#ss_overlay, #ss_stats").show() : $("#ss_overlay, #ss_stats").hide();
+        } else if ("record_ws" == this.id) {
+            send("record", { enabled: settings.record_ws });
+            send("readState");
+        } else {
+            update(settings);
+        }
+    });
+
+    $("#sub-menu-robot-modal .bb_params input").change(function() {
+        const strategy = registry.get($(this).closest(".bb_params").data("strategy"));
+        const key = this.id.slice(templates.paramId(strategy.id, "").length);
+        const stored = Object.assign({}, config.params[strategy.id]);
+        if ("boolean" == strategy.params[key].type) {
+            stored[key] = $(this).prop("checked");
+        } else {
+            const result = validate.checkNumber($(this).val(), strategy.params[key]);
+            if (!showCheck(this, result)) return;
+            stored[key] = result.value;
+        }
+        config.params = Object.assign({}, config.params, {
+            [strategy.id]: registry.params(strategy, stored)
+        });
+        update({ params: config.params });
+    });
+
+    $("#sub-menu-robot-modal #strategy").change(function() {
+        const strategy = $(this).val();
+        if ("martin" === strategy) {
+            config.useMartin = true;
+            send("setState", { settings: { useMartin: config.useMartin } });
+        }
+        update({ strategy });
+    });
+
+    $("#sub-menu-robot-modal #stake_mode").change(function() {
+        update({ stake_mode: $(this).val() });
+    });
+
+    $("#sub-menu-robot-modal #bb_signals").on("click", "th, td", function() {
+        const i = $(this).index();
+        config.signals[i] = config.signals[i] < 2 ? config.signals[i] + 1 : 0;
+        update({ signals: config.signals });
+    });
+
+    // The grid is one tab stop: Enter or Space cycles the focused level as a
+    // click does, the arrow keys, Home and End move along the timeframes.
+    $("#sub-menu-robot-modal #bb_signals").on("keydown", "td", function(event) {
+        const cells = $("#sub-menu-robot-modal #bb_signals td");
+        const i = cells.index(this);
+        const moves = {
+            ArrowLeft: Math.max(i - 1, 0),
+            ArrowRight: Math.min(i + 1, cells.length - 1),
+            Home: 0,
+            End: cells.length - 1
+        };
+        if ("Enter" == event.key || " " == event.key) {
+            event.preventDefault();
+            $(this).click();
+        } else if (Object.prototype.hasOwnProperty.call(moves, event.key)) {
+            event.preventDefault();
+            cells.attr("tabindex", -1);
+            cells.eq(moves[event.key]).attr("tabindex", 0).focus();
+        }
+    });
+
+    $("#sub-menu-robot-modal #bb_martinSteps").on("input", "input", function() {
+        const i = $("#sub-menu-robot-modal #bb_martinSteps input").index(this);
+        const result = validate.checkNumber($(this).val(), schema.SCHEMA.martinSteps.of);
+        if (!showCheck(this, result, "#martin_steps_error")) return;
+        config.martinSteps[i] = result.value;
+        update({ martinSteps: config.martinSteps });
+    });
+
+    $("#sub-menu-robot-modal #schedule_hours").change(function() {
+        try {
+            update({ schedule: schedule.parseWindows($(this).val()) });
+        } catch (error) {
+            showScheduleError(error);
+        }
+    });
+
+    $("#sub-menu-robot-modal #asset_mode").change(function() {
+        update({ asset_mode: $(this).val() });
+    });
+
+    $("#sub-menu-robot-modal #asset_list").change(function() {
+        update({ assets: $(this).val().split(/[\s,;]+/).filter(Boolean) });
+    });
+
+    $("#sub-menu-robot-modal #blackout_file").change(function() {
+        const file = this.files[0];
+        this.value = "";
+        file && file.text().then(function(text) {
+            update({ blackouts: schedule.parseCalendar(text) });
+        }).catch(showScheduleError);
+    });
+
+    $("#sub-menu-robot-modal #blackout_clear").click(function() {
+        update({ blackouts: [] });
+    });
+
+    $("#sub-menu-robot-modal #profile").change(function() {
+        switchProfile($(this).val());
+    });
+
+    $("#sub-menu-robot-modal #profile_new").click(function() {
+        const name = (prompt(messages.profiles.name) || "").trim();
+        if (!name) return;
+        const copy = profiles.uniqueName(store, name);
+        store.list[copy] = Object.assign({}, store.list[store.active]);
+        switchProfile(copy);
+    });
+
+    $("#sub-menu-robot-modal #profile_delete").click(function() {
+        const names = Object.keys(store.list);
+        if (names.length < 2 || !confirm(messages.profiles.confirm.replace("{name}", store.active))) return;
+        delete store.list[store.active];
+        switchProfile(names.find(name => name != store.active));
+    });
+
+    $("#sub-menu-robot-modal #profile_export").click(function() {
+        journal.download(`belobot-profile-${store.active}.json`, profiles.toJson(store.active, store.list[store.active]), "application/json");
+    });
+
+    $("#sub-menu-robot-modal #profile_file").change(function() {
+        const file = this.files[0];
+        this.value = "";
+        file && file.text().then(function(text) {
+            const profile = profiles.fromJson(text, file.name.replace(/\.json$/i, ""));
+            const name = profiles.uniqueName(store, profile.name);
+            store.list[name] = profile.settings;
+            switchProfile(name);
+            showProfileText(profile.problems.length > 0
+                ? messages.profiles.problems.replace("{name}", name).replace("{problems}", profile.problems.join("; "))
+                : messages.profiles.imported.replace("{name}", name));
+        }).catch(function(error) {
+            showProfileText(messages.profiles.invalid.replace("{error}", error.message));
+        });
+    });
+
+    $("#sub-menu-robot-modal #bridge_url").change(function() {
+        const url = $(this).val().trim();
+        chrome.storage.local.set({ bridge_url: url });
+        connectBridge(url);
+    });
+
+    $("#sub-menu-robot-modal #bb_alerts input").change(function() {
+        const webhook = $("#alert_webhook").val().trim();
+        if (webhook && !alerts.isLocalUrl(webhook)) {
+            $("#alert_status").text(messages.alerts.invalid);
+            return;
+        }
+        alertSettings = {
+            notifications: $("#alert_notifications").prop("checked"),
+            sound: $("#alert_sound").prop("checked"),
+            webhook
+        };
+        chrome.storage.local.set({ [alerts.KEY]: alertSettings });
+        showAlertSettings();
+    });
+
+    $("#sub-menu-robot-modal #journal_csv").click(function() {
+        journal.exportAs("csv");
+    });
+
+    $("#sub-menu-robot-modal #journal_json").click(function() {
+        journal.exportAs("json");
+    });
+
+    $("#sub-menu-robot-modal #journal_clear").click(function() {
+        journal.load().then(function(list) {
+            if (list.length > 0 && confirm(messages.journal.confirm.replace("{count}", list.length))) {
+                journal.clear().then(showStats);
+            }
+        });
+    });
+
+    $("#sub-menu-robot-modal #diagnostics_show").click(function() {
+        send("readDiagnostics");
+    });
+
+    $("#sub-menu-robot-modal #ss_button").click(function() {
+        send("start_stop");
+        send("readState");
+    });
+
+    chrome.storage.local.get([profiles.KEY, "shared", "bridge_url", alerts.KEY].concat(profiles.LEGACY_KEYS), function(stored) {
+        if (stored.shared) {
+            config.shared = true;
+        }
+        // The bridge is the content script's own; the page script never sees its address.
+        connectBridge(stored.bridge_url || "");
+        alertSettings = alerts.readSettings(stored[alerts.KEY]);
+        showAlertSettings();
+        const { profiles: loaded, migrated } = profiles.migrate(stored);
+        store = loaded;
+        if (migrated) {
+            chrome.storage.local.remove(profiles.LEGACY_KEYS);
+        }
+        switchProfile(store.active);
+    });
+});
@@ -0,0 +1,108 @@
+"use strict";
+
+// chrome.storage.local key of the trade journal, oldest entry first.
+const KEY = "journal";
+// Oldest entries are dropped past this, to stay well inside the storage quota.
+const MAX_ENTRIES = 10000;
+
+const COLUMNS = ["id", "asset", "direction", "amount", "openTime", "closeTime", "payout", "profit", "strategy", "step", "account", "source"];
+
+let entries = null;
+let writing = Promise.resolve();
+
+// Every change waits for the journal to load and then writes it back whole,
+// so entries that close in quick succession are all kept.
+function load() {
+    entries = entries || new Promise(function(resolve) {
+        chrome.storage.local.get(KEY, function(stored) {
+            resolve(stored[KEY] || []);
+        });
+    });
+    return entries;
+}
+
+// Appends wait for the write before them and only change the loaded list once
+// theirs is stored, so a failed write leaves the journal as it was on disk.
+function append(entry) {
+    const done = writing.then(load).then(function(list) {
+        const next = list.concat([entry]).slice(-MAX_ENTRIES);
+        return chrome.storage.local.set({ [KEY]: next }).then(function() {
+            list.splice(0, list.length, ...next);
+            return list;
+        });
+    });
+    writing = done.catch(() => null);
+    return done;
+}
+
+function clear() {
+    return load().then(function(list) {
+        list.length = 0;
+        chrome.storage.local.remove(KEY);
+        return list;
+    });
+}
+
+function column(entry, name) {
+    if ("openTime" == name || "closeTime" == name) {
+        return null == entry[name] ? "" : new Date(entry[name]).toISOString();
+    }
+    if ("account" == name) {
+        return entry.isDemo ? "demo" : "real";
+    }
+    // The bridge source a signal deal was opened for.
+    if ("source" == name) {
+        return entry.signal ? String(entry.signal.source) : "";
+    }
+    return null == entry[name] ? "" : String(entry[name]);
+}
+
+function csvField(value) {
+    return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
+
+/**
+ * The journal as CSV with one row per deal and times in UTC, for reconciling
+ * with broker statements.
+ */
+function toCsv(list) {
+    return [COLUMNS.join(",")].concat(list.map(function(entry) {
+        return COLUMNS.map(name => csvField(column(entry, name))).join(",");
+    })).join("\r\n") + "\r\n";
+}
+
+function toJson(list) {
+    return JSON.stringify(list, null, 2);
+}
+
+function download(name, text, type) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(function() {
+        URL.revokeObjectURL(link.href);
+    }, 1000);
+}
+
+function exportAs(format) {
+    return load().then(function(list) {
+        const name = "belobot-journal-" + new Date().toISOString().slice(0, 10);
+        "csv" == format
+            ? download(name + ".csv", toCsv(list), "text/csv")
+            : download(name + ".json", toJson(list), "application/json");
+    });
+}
+
+module.exports = {
+    COLUMNS,
+    load,
+    append,
+    clear,
+    toCsv,
+    toJson,
+    download,
+    exportAs
+};
@@ -0,0 +1,60 @@
+"use strict";
+
+// The modal's message catalogs, one per language. English is complete; a
+// message another catalog lacks is taken from it.
+const LOCALES = {
+    en: require("./en.json"),
+    ru: require("./ru.json"),
+    es: require("./es.json"),
+    pt: require("./pt.json"),
+    hi: require("./hi.json")
+};
+
+function isObject(value) {
+    return !!value && "object" == typeof value && !Array.isArray(value);
+}
+
+function merge(base, messages) {
+    const merged = Object.assign({}, base);
+    for (const key in messages) {
+        merged[key] = isObject(base[key]) && isObject(messages[key]) ? merge(base[key], messages[key]) : messages[key];
+    }
+    return merged;
+}
+
+// The catalog for a page in `lang`, such as "pt-BR"; English for a language
+// without one.
+function pick(lang) {
+    const language = String(lang || "").toLowerCase().split(/[-_]/)[0];
+    return Object.prototype.hasOwnProperty.call(LOCALES, language) ? language : "en";
+}
+
+function catalog(locale) {
+    return merge(LOCALES.en, LOCALES[locale]);
+}
+
+/**
+ * A strategy declaration with the name, description and parameter names of
+ * `messages.strategies`, where the catalog has them; the declaration's own
+ * English ones otherwise.
+ */
+function strategy(declaration, messages) {
+    const text = messages.strategies[declaration.id] || {};
+    const params = {};
+    for (const key in declaration.params) {
+        const name = text.params && text.params[key];
+        params[key] = name ? Object.assign({}, declaration.params[key], { name }) : declaration.params[key];
+    }
+    return Object.assign({}, declaration, {
+        name: text.name || declaration.name,
+        description: text.description || declaration.description,
+        params
+    });
+}
+
+module.exports = {
+    LOCALES,
+    pick,
+    catalog,
+    strategy
+};
@@ -0,0 +1,92 @@
+"use strict";
+
+const settings = require("../page/settings");
+
+/*
+ * Named settings profiles, kept in chrome.storage.local under "profiles":
+ *
+ *     {"version": 2, "active": "default", "list": {"default": {...}, "news days": {...}}}
+ *
+ * Each profile is a full settings set, see settings.pick. A profile is
+ * exported as `{"schema": 2, "name": "...", "settings": {...}}`.
+ */
+
+const KEY = "profiles";
+const DEFAULT = "default";
+
+// The keys settings were stored under, one by one, before profiles.
+const LEGACY_KEYS = ["min_profit", "delay", "deals_limit", "take_profit", "signals", "use_otc", "martinSteps"];
+
+/**
+ * The profiles in `stored`, what chrome.storage.local holds under KEY and
+ * LEGACY_KEYS, and whether they had to be migrated. Version 1, the flat keys,
+ * becomes the "default" profile; keys that do not validate are left to the
+ * page script's defaults.
+ */
+function migrate(stored) {
+    const profiles = stored[KEY];
+    if (profiles && settings.VERSION == profiles.version) return { profiles, migrated: false };
+
+    const legacy = {};
+    LEGACY_KEYS.forEach(function(key) {
+        if (undefined !== stored[key]) legacy[key] = stored[key];
+    });
+    return {
+        profiles: {
+            version: settings.VERSION,
+            active: DEFAULT,
+            list: {
+                [DEFAULT]: settings.sanitize(legacy).values
+            }
+        },
+        migrated: true
+    };
+}
+
+function toJson(name, values) {
+    return JSON.stringify({
+        schema: settings.VERSION,
+        name,
+        settings: values
+    }, null, 2);
+}
+
+/**
+ * The profile in an exported file: its `name`, its `settings` validated and
+ * clamped, and the `problems` met. A file without a schema is read as a set
+ * of version 1 settings. Throws a TypeError for a file of a newer version or
+ * not a profile at all, JSON's SyntaxError for one that is not JSON.
+ */
+function fromJson(text, fallbackName) {
+    const data = JSON.parse(text);
+    if (!data || "object" != typeof data || Array.isArray(data)) throw new TypeError("a profile must be an object");
+    const schema = null == data.schema ? 1 : data.schema;
+    if (!Number.isInteger(schema) || schema < 1) throw new TypeError("schema must be a version number");
+    if (schema > settings.VERSION) throw new TypeError(`the profile needs a newer bot (schema ${schema})`);
+    const values = 1 == schema ? data : data.settings;
+    if (!values || "object" != typeof values) throw new TypeError("the profile has no settings");
+    const { values: clean, problems } = settings.sanitize(values);
+    const name = "string" == typeof data.name && "" != data.name.trim() ? data.name.trim() : fallbackName;
+    return { name, settings: clean, problems };
+}
+
+// `name`, or "name (2)" and so on if a profile has it already. Names every
+// object answers to, such as "__proto__" or "toString", count as taken, so a
+// profile never replaces the list's prototype or hides one of its methods.
+function uniqueName(profiles, name) {
+    let candidate = name;
+    for (let i = 2; candidate in profiles.list; i++) {
+        candidate = `${name} (${i})`;
+    }
+    return candidate;
+}
+
+module.exports = {
+    KEY,
+    DEFAULT,
+    LEGACY_KEYS,
+    migrate,
+    toJson,
+    fromJson,
+    uniqueName
+};
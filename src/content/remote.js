@@ -0,0 +1,161 @@
+"use strict";
+
+// The signal bridge: trade commands pushed over a WebSocket by an outside
+// source, such as a Telegram or MT4 relay or a script on localhost.
+
+// Reconnection delay after the bridge drops, doubled on every failed attempt.
+const RETRY_MIN = 1000;
+const RETRY_MAX = 60000;
+
+const DIRECTIONS = {
+    up: "up",
+    call: "up",
+    down: "down",
+    put: "down"
+};
+const EXPIRY = { min: 5, max: 14400 };
+const MAX_STEPS = 10;
+
+function readAmount(message) {
+    if (null == message.amount) return null;
+    if ("number" != typeof message.amount || !(message.amount > 0)) throw new TypeError("amount must be a positive number");
+    return Math.floor(message.amount * 100) / 100;
+}
+
+// A channel's message as posted, for the page script to parse with the
+// channel's profile (see telegram.js):
+//
+//     {"type": "text", "id": "43", "source": "vip", "text": "EUR/USD OTC 🔼 CALL 5 min", "amount": 5}
+//
+// `profile` names a profile to use instead of the channel's.
+function toTextSignal(message) {
+    if ("string" != typeof message.text || "" == message.text.trim()) throw new TypeError("a text is required");
+    if (null != message.profile && "string" != typeof message.profile) throw new TypeError("profile must be a name");
+    return {
+        id: String(message.id),
+        source: message.source,
+        text: message.text,
+        profile: message.profile || null,
+        amount: readAmount(message)
+    };
+}
+
+/**
+ * The signal the page script trades for a command such as
+ *
+ *     {"type": "trade", "id": "42", "source": "vip", "asset": "EURUSD_otc",
+ *      "direction": "call", "expiry": 60, "amount": 5, "martingale": {"steps": 2}}
+ *
+ * or for a "text" command. `expiry` (seconds), `amount` and `martingale` are
+ * optional and default to the platform's order and the bot's Martingale
+ * settings; `"martingale": false` turns re-entries off. Throws a TypeError
+ * naming what is wrong.
+ */
+function toSignal(message) {
+    if (!message || !["trade", "text"].includes(message.type)) throw new TypeError('type must be "trade" or "text"');
+    if (!["string", "number"].includes(typeof message.id) || "" === message.id) throw new TypeError("an id is required");
+    if ("string" != typeof message.source || "" == message.source) throw new TypeError("a source is required");
+    if ("text" == message.type) return toTextSignal(message);
+    if ("string" != typeof message.asset || "" == message.asset) throw new TypeError("an asset is required");
+    const direction = DIRECTIONS[String(message.direction).toLowerCase()];
+    if (!direction) throw new TypeError("direction must be up, down, call or put");
+
+    const signal = {
+        id: String(message.id),
+        source: message.source,
+        asset: message.asset,
+        direction,
+        expiry: null,
+        amount: readAmount(message),
+        martingale: null
+    };
+    if (null != message.expiry) {
+        if (!Number.isInteger(message.expiry) || message.expiry < EXPIRY.min || message.expiry > EXPIRY.max) {
+            throw new TypeError(`expiry must be whole seconds from ${EXPIRY.min} to ${EXPIRY.max}`);
+        }
+        signal.expiry = message.expiry;
+    }
+    if (false === message.martingale) {
+        signal.martingale = { steps: 0 };
+    } else if (null != message.martingale) {
+        const steps = message.martingale.steps;
+        if (!Number.isInteger(steps) || steps < 0 || steps > MAX_STEPS) {
+            throw new TypeError(`martingale.steps must be a whole number from 0 to ${MAX_STEPS}`);
+        }
+        signal.martingale = { steps };
+    }
+    return signal;
+}
+
+/**
+ * Keeps a WebSocket to the bridge at `url` open, reconnecting when it drops.
+ * Valid commands go to `handlers.signal`, invalid ones are refused on the
+ * spot; `handlers.status` follows the connection: "connecting", "open" or
+ * "closed". Returns `send(message)` for acknowledgements and results, and
+ * `close()`.
+ */
+function connect(url, handlers, Socket = WebSocket) {
+    let socket = null;
+    let retry = RETRY_MIN;
+    let timer = null;
+    let closed = false;
+
+    function send(message) {
+        if (socket && Socket.OPEN == socket.readyState) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    function receive(event) {
+        let message = null;
+        try {
+            message = JSON.parse(event.data);
+            handlers.signal(toSignal(message));
+        } catch (error) {
+            send({
+                type: "ack",
+                id: message && null != message.id ? String(message.id) : null,
+                accepted: false,
+                reason: "invalid",
+                error: error.message
+            });
+        }
+    }
+
+    function open() {
+        handlers.status("connecting");
+        socket = new Socket(url);
+        socket.addEventListener("open", function() {
+            retry = RETRY_MIN;
+            handlers.status("open");
+            send({
+                type: "hello",
+                client: "belobot"
+            });
+        });
+        socket.addEventListener("message", receive);
+        socket.addEventListener("close", function() {
+            if (closed) return;
+            handlers.status("closed");
+            timer = setTimeout(open, retry);
+            retry = Math.min(2 * retry, RETRY_MAX);
+        });
+    }
+
+    open();
+    return {
+        send,
+        close() {
+            closed = true;
+            clearTimeout(timer);
+            socket.close();
+        }
+    };
+}
+
+module.exports = {
+    RETRY_MIN,
+    RETRY_MAX,
+    toSignal,
+    connect
+};
@@ -0,0 +1,187 @@
+"use strict";
+
+// The trading schedule as the settings modal edits it: weekly hours as text
+// and news calendars imported as JSON or ICS. The page script keeps the
+// parsed windows and events, see src/page/schedule.js.
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+// The order days are listed in, Monday first.
+const WEEK = [1, 2, 3, 4, 5, 6, 0];
+const MINUTE = 60000;
+const DAY = 1440 * MINUTE;
+// The most blackouts kept; a calendar usually covers a week or two.
+const MAX_EVENTS = 500;
+
+function readDay(name) {
+    const day = DAYS.indexOf(name.slice(0, 3).toLowerCase());
+    if (-1 == day || !/^[a-z]+$/i.test(name)) throw new TypeError(`"${name}" is not a day`);
+    return day;
+}
+
+// "Mon-Fri", "Sat,Sun" or "Mon-Wed,Fri" as days of the week.
+function readDays(text) {
+    const days = [];
+    text.split(",").forEach(function(part) {
+        const [first, last] = part.split("-").map(readDay);
+        if (undefined === last) {
+            days.push(first);
+            return;
+        }
+        for (let i = WEEK.indexOf(first); ; i = (i + 1) % 7) {
+            days.push(WEEK[i]);
+            if (WEEK[i] == last) break;
+        }
+    });
+    return days.filter((day, i) => days.indexOf(day) == i);
+}
+
+function readTime(text) {
+    const match = /^(\d{1,2}):([0-5]\d)$/.exec(text);
+    const minutes = match ? 60 * Number(match[1]) + Number(match[2]) : NaN;
+    if (!(minutes <= 1440)) throw new TypeError(`"${text}" is not a time`);
+    return minutes % 1440;
+}
+
+/**
+ * Weekly windows from text such as "Mon-Fri 08:00-12:00 14:00-17:00; Sun
+ * 22:00-02:00", one group of days per part; an empty text is no windows.
+ * Throws a TypeError naming the part it cannot read.
+ */
+function parseWindows(text) {
+    const windows = [];
+    text.split(/[;\n]/).map(part => part.trim()).filter(Boolean).forEach(function(part) {
+        const match = /^([a-z,\-\s]+?)\s+(\d.*)$/i.exec(part);
+        if (!match) throw new TypeError(`"${part}" needs days and hours, e.g. "Mon-Fri 08:00-17:00"`);
+        const days = readDays(match[1].replace(/\s+/g, ""));
+        match[2].split(/[\s,]+/).forEach(function(range) {
+            const [from, to] = range.split("-");
+            if (undefined === to) throw new TypeError(`"${range}" is not a range of hours`);
+            const window = { days, from: readTime(from), to: readTime(to) };
+            if (window.from == window.to) throw new TypeError(`"${range}" is empty`);
+            windows.push(window);
+        });
+    });
+    return windows;
+}
+
+function formatTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// Days as runs of consecutive ones, "Mon-Fri,Sun".
+function formatDays(days) {
+    const runs = [];
+    WEEK.forEach(function(day, i) {
+        if (!days.includes(day)) return;
+        const run = runs[runs.length - 1];
+        if (run && run.end == i - 1) {
+            run.end = i;
+        } else {
+            runs.push({ start: i, end: i });
+        }
+    });
+    const name = i => DAYS[WEEK[i]][0].toUpperCase() + DAYS[WEEK[i]].slice(1);
+    return runs.map(run => run.start == run.end ? name(run.start) : `${name(run.start)}-${name(run.end)}`).join(",");
+}
+
+// The text `parseWindows` reads back into `windows`.
+function formatWindows(windows) {
+    const parts = [];
+    windows.forEach(function(window) {
+        const days = formatDays(window.days);
+        const hours = `${formatTime(window.from)}-${formatTime(window.to)}`;
+        const last = parts[parts.length - 1];
+        if (last && last.days == days) {
+            last.hours.push(hours);
+        } else {
+            parts.push({ days, hours: [hours] });
+        }
+    });
+    return parts.map(part => `${part.days} ${part.hours.join(" ")}`).join("; ");
+}
+
+function readDate(value, what) {
+    const time = "number" == typeof value ? value : Date.parse(value);
+    if (!Number.isFinite(time)) throw new TypeError(`${what} is not a date`);
+    return time;
+}
+
+// `[{"title": "NFP", "start": "2025-01-10T13:30:00Z", "end": ...}]`, or the
+// same list under "events".
+function readJson(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data && data.events;
+    if (!Array.isArray(list)) throw new TypeError("the calendar must be a list of events");
+    return list.map(function(event, i) {
+        if (!event || "object" != typeof event) throw new TypeError(`event ${i + 1} is not an object`);
+        return {
+            title: String(event.title || event.name || event.summary || ""),
+            start: readDate(null == event.start ? event.time : event.start, `event ${i + 1}: start`),
+            end: null == event.end ? null : readDate(event.end, `event ${i + 1}: end`)
+        };
+    });
+}
+
+// An ICS DATE or DATE-TIME. Times without a "Z" are read as local time, a
+// TZID included.
+function readIcsDate(value, what) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!match) throw new TypeError(`${what} is not a date`);
+    const parts = match.slice(1, 7).map(part => Number(part || 0));
+    parts[1]--;
+    return {
+        time: match[7] ? Date.UTC(...parts) : new Date(...parts).getTime(),
+        allDay: !match[4]
+    };
+}
+
+function unescapeIcs(value) {
+    return value.replace(/\\([,;\\])/g, "$1").replace(/\\n/gi, " ").trim();
+}
+
+function readIcs(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+    const events = [];
+    let event = null;
+    lines.forEach(function(line) {
+        if (/^BEGIN:VEVENT$/i.test(line)) {
+            event = {};
+            return;
+        }
+        if (!event) return;
+        if (/^END:VEVENT$/i.test(line)) {
+            const what = `event ${events.length + 1}`;
+            if (!event.DTSTART) throw new TypeError(`${what} has no DTSTART`);
+            const start = readIcsDate(event.DTSTART, `${what}: DTSTART`);
+            const end = event.DTEND ? readIcsDate(event.DTEND, `${what}: DTEND`).time : start.allDay ? start.time + DAY : null;
+            events.push({ title: unescapeIcs(event.SUMMARY || ""), start: start.time, end });
+            event = null;
+            return;
+        }
+        const colon = line.indexOf(":");
+        if (colon > 0) {
+            event[line.slice(0, colon).split(";")[0].toUpperCase()] = line.slice(colon + 1);
+        }
+    });
+    return events;
+}
+
+/**
+ * The news events of a JSON or ICS calendar that have not ended a day
+ * before `now`, in order of their start, at most MAX_EVENTS of them. Throws
+ * a TypeError, or JSON's SyntaxError, when the calendar cannot be read.
+ */
+function parseCalendar(text, now = Date.now()) {
+    const events = /^\s*BEGIN:VCALENDAR/i.test(text) ? readIcs(text) : readJson(text);
+    return events
+        .filter(event => (null == event.end ? event.start : event.end) > now - DAY)
+        .sort((a, b) => a.start - b.start)
+        .slice(0, MAX_EVENTS);
+}
+
+module.exports = {
+    MAX_EVENTS,
+    parseWindows,
+    formatWindows,
+    parseCalendar
+};
@@ -0,0 +1,93 @@
+"use strict";
+
+// Bridge channels need this many won or lost deals before they are scored.
+const SCORE_DEALS = 10;
+
+function group() {
+    return {
+        trades: 0,
+        wins: 0,
+        losses: 0,
+        net: 0
+    };
+}
+
+function add(groups, key, entry) {
+    const stat = groups[key] = groups[key] || group();
+    stat.trades++;
+    if (entry.profit > 0) stat.wins++;
+    if (entry.profit < 0) stat.losses++;
+    stat.net = Math.round((stat.net + entry.profit) * 100) / 100;
+}
+
+// Draws count as trades but not towards the win rate, as on the overlay.
+function finish(groups) {
+    for (const key in groups) {
+        const stat = groups[key];
+        stat.winRate = Math.round(stat.wins / Math.max(stat.wins + stat.losses, 1) * 100);
+    }
+    return groups;
+}
+
+/**
+ * A channel's confidence score: the lower bound of the 95% Wilson interval of
+ * its win rate, in percent. It stays low until a good win rate has enough
+ * deals behind it; null below SCORE_DEALS.
+ */
+function score(stat) {
+    const n = stat.wins + stat.losses;
+    if (n < SCORE_DEALS) return null;
+    const z = 1.96;
+    const p = stat.wins / n;
+    const bound = (p + z * z / (2 * n) - z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n))) / (1 + z * z / n);
+    return Math.round(bound * 100);
+}
+
+/**
+ * Statistics over closed journal entries: totals, then win rate and net
+ * profit per strategy, asset, hour of day (local time of opening), OTC vs
+ * regular pairs and bridge channel, with the channel's score, how many deals
+ * ran at each Martingale step, and the equity curve of the cumulative profit
+ * in closing order with its largest drawdown.
+ */
+function compute(entries) {
+    const closed = entries.filter(entry => null != entry.profit).sort((a, b) => a.closeTime - b.closeTime);
+    const stats = {
+        total: {},
+        strategy: {},
+        asset: {},
+        hour: {},
+        market: {},
+        channel: {},
+        steps: {},
+        equity: [0],
+        maxDrawdown: 0
+    };
+    let peak = 0;
+    closed.forEach(function(entry) {
+        add(stats.total, "all", entry);
+        add(stats.strategy, entry.strategy, entry);
+        add(stats.asset, entry.asset, entry);
+        add(stats.hour, new Date(entry.openTime).getHours(), entry);
+        add(stats.market, "otc" == entry.asset.slice(-3) ? "otc" : "regular", entry);
+        entry.signal && add(stats.channel, entry.signal.source, entry);
+        stats.steps[entry.step] = (stats.steps[entry.step] || 0) + 1;
+
+        const equity = Math.round((stats.equity[stats.equity.length - 1] + entry.profit) * 100) / 100;
+        stats.equity.push(equity);
+        peak = Math.max(peak, equity);
+        stats.maxDrawdown = Math.max(stats.maxDrawdown, Math.round((peak - equity) * 100) / 100);
+    });
+    ["total", "strategy", "asset", "hour", "market", "channel"].forEach(key => finish(stats[key]));
+    for (const channel in stats.channel) {
+        stats.channel[channel].score = score(stats.channel[channel]);
+    }
+    stats.total = stats.total.all || finish({ all: group() }).all;
+    return stats;
+}
+
+module.exports = {
+    SCORE_DEALS,
+    score,
+    compute
+};
@@ -0,0 +1,362 @@
+"use strict";
+
+function sidebarItem(icon, messages) {
+    return `
+        <li class="tooltip2" data-bs-toggle="modal">
+            <a href="#sub-menu-robot-modal" class="mfp-modal">
+                <img id="robot_icon" src="${icon}" alt=""/>
+                <span class="nlabel">${messages.modal.sidebar}</span>
+            </a>
+            <div class="tooltip-content position-right tooltip-status-on">
+                <div class="tooltip-text">${messages.modal.tooltip}</div>
+            </div>
+        </li>`;
+}
+
+// A numeric input with its label, hint and the error its value would give,
+// see validate.js.
+function numberInput(id, input) {
+    return `
+        <li>
+            <div class="input-box">
+                <div class="input-box_title">
+                    <label for="${id}">${input.name}</label>
+                    <div class="tooltip2">
+                        <i class="fa fa-question-circle-o" aria-hidden="true"></i>
+                        <div class="tooltip-content tooltip-status-on position-left">
+                            <div class="tooltip-text" id="${id}_hint">${input.hint}</div>
+                        </div>
+                    </div>
+                </div>
+                <div class="input-box_control">
+                    <div class="input-box_value">
+                        <input type="text" inputmode="decimal" autocomplete="off" value="" id="${id}" aria-describedby="${id}_hint ${id}_error">
+                    </div>
+                    <div class="input-box_buttons" aria-hidden="true">
+                        ${input.sim}
+                    </div>
+                </div>
+                ${errorText(id + "_error")}
+            </div>
+        </li>`;
+}
+
+function errorText(id) {
+    return `<div class="sub-text bb_error" id="${id}" aria-live="polite"></div>`;
+}
+
+function switchInput(id, label) {
+    return `
+        <label class="mdl-switch mdl-js-switch is-upgraded">
+            <input type="checkbox" class="mdl-switch__input" id="${id}">
+            <span class="mdl-switch__label">
+                ${label}
+            </span>
+        </label>`;
+}
+
+// Inputs for the parameters of every strategy that has any, one list per
+// strategy; only the selected strategy's list is shown.
+function strategyParams(config) {
+    let html = "";
+    for (const id in config.strategies) {
+        const strategy = config.strategies[id];
+        if (0 == Object.keys(strategy.params).length) continue;
+        html += `
+            <ul class="list-links is-icon color-blue bb_params" data-strategy="${id}">`;
+        for (const key in strategy.params) {
+            const param = strategy.params[key];
+            html += "boolean" == param.type
+                ? `<li>${switchInput(paramId(id, key), param.name || key)}</li>`
+                : numberInput(paramId(id, key), {
+                    name: param.name || key,
+                    hint: `${param.min} - ${param.max}`,
+                    sim: ""
+                });
+        }
+        html += `
+            </ul>`;
+    }
+    return html;
+}
+
+function paramId(strategy, key) {
+    return `param_${strategy}_${key}`;
+}
+
+function modal(config, messages) {
+    let html = `
+        <div id="sub-menu-robot-modal" class="sub-menu-profile-modal sub-menu-modal sub-menu-modal--4-menu-item po-modal zoom-anim-dialog po-modal">
+            <p class="title">${messages.modal.title}</p>
+            <div id="bb_profiles" class="po-container">
+                <div class="sub-text" style="padding-right:10px">
+                    ${messages.profiles.title}
+                </div>
+                <div class="dropdown bootstrap-select form-control bs3 dropup">
+                    <select id="profile" class="form-control selectpicker" tabindex="null"></select>
+                </div>
+                <a href="#" class="btn btn-default" id="profile_new">${messages.profiles.new}</a>
+                <a href="#" class="btn btn-default" id="profile_delete">${messages.profiles.delete}</a>
+                <a href="#" class="btn btn-default" id="profile_export">${messages.profiles.export}</a>
+                <label class="btn btn-default" for="profile_file">${messages.profiles.import}</label>
+                <input type="file" id="profile_file" accept=".json,application/json">
+            </div>
+            <ul class="list-links is-icon color-blue">`;
+    for (const id in config.inputs) {
+        html += numberInput(id, config.inputs[id]);
+    }
+    html += `
+            </ul>
+            ${["use_otc", "show_stat", "useMartin", "record_ws", "paper"].map(id => switchInput(id, messages.inputs[id].name)).join("")}
+            <div id="bb_martinSteps" class="bb_pt" role="group" aria-label="${messages.modal.martinSteps}">
+                <table role="presentation">
+                    <tr>`;
+    config.martinSteps.forEach(function(step, i) {
+        html += `
+                        <td>
+                            <input type="number" step="0.1" class="fraction-input" value="${step}" id="martin_step_${i}"
+                                aria-label="${messages.modal.martinStep.replace("{step}", i + 1)}" aria-describedby="martin_steps_error">
+                        </td>`;
+    });
+    html += `
+                    </tr>
+                </table>
+                ${errorText("martin_steps_error")}
+            </div>
+            <div class="po-container">
+                <label class="sub-text" style="padding-right:10px" for="strategy">
+                    ${messages.modal.strategy}
+                </label>
+                <div class="dropdown bootstrap-select form-control bs3 dropup">
+                    <select id="strategy" data-size="7" class="form-control selectpicker" tabindex="null">`;
+    for (const id in config.strategies) {
+        html += `<option value="${id}">${config.strategies[id].name}</option>`;
+    }
+    html += `
+                    </select>
+                </div>
+            </div>
+            <div class="sub-text" id="bb_strategy_description"></div>
+            ${strategyParams(config)}
+
+            <div id="bb_stake" class="po-container">
+                <div class="sub-text" style="padding-right:10px">
+                    ${messages.stake.title}
+                </div>
+                <div class="dropdown bootstrap-select form-control bs3 dropup">
+                    <select id="stake_mode" class="form-control selectpicker" tabindex="null">
+                        ${config.stakeModes.map(mode => `<option value="${mode}">${messages.stake[mode]}</option>`).join("")}
+                    </select>
+                </div>
+            </div>
+
+            <div class="settings-modal__content-text" aria-live="polite">
+                ${messages.modal.loading}
+            </div>
+
+            <div id="bb_signals">
+                <table role="grid" aria-label="${messages.signals.title}" aria-describedby="bb_signals_help">
+                    <tr>
+                        ${config.timeframes.map(minutes => `<th scope="col">${messages.signals.timeframe.replace("{minutes}", minutes)}</th>`).join("")}
+                    </tr>
+                    <tr>
+                        ${config.timeframes.map((minutes, i) => `<td role="gridcell" tabindex="${0 == i ? 0 : -1}"></td>`).join("")}
+                    </tr>
+                </table>
+                <div class="sub-text" id="bb_signals_help">${messages.signals.help}</div>
+            </div>
+
+            <div id="bb_schedule">
+                <div class="po-container">
+                    <div class="sub-text" style="padding-right:10px">
+                        ${messages.schedule.title}
+                    </div>
+                    <input type="text" autocomplete="off" id="schedule_hours" placeholder="${messages.schedule.placeholder}">
+                </div>
+                <div class="po-container">
+                    <div class="sub-text" style="padding-right:10px">
+                        ${messages.schedule.assets}
+                    </div>
+                    <div class="dropdown bootstrap-select form-control bs3 dropup">
+                        <select id="asset_mode" class="form-control selectpicker" tabindex="null">
+                            ${["all", "allow", "block"].map(mode => `<option value="${mode}">${messages.schedule[mode]}</option>`).join("")}
+                        </select>
+                    </div>
+                    <input type="text" autocomplete="off" id="asset_list" placeholder="EURUSD, GBPJPY_otc">
+                </div>
+                <div class="po-container">
+                    <div class="sub-text" style="padding-right:10px">
+                        ${messages.schedule.blackouts}
+                    </div>
+                    <label class="btn btn-default" for="blackout_file">${messages.schedule.import}</label>
+                    <input type="file" id="blackout_file" accept=".json,.ics,application/json,text/calendar">
+                    <a href="#" class="btn btn-default" id="blackout_clear">${messages.schedule.clear}</a>
+                    <div class="sub-text" id="blackout_count"></div>
+                </div>
+            </div>
+
+            <div id="bb_bridge" class="po-container">
+                <div class="sub-text" style="padding-right:10px">
+                    ${messages.bridge.title}
+                </div>
+                <input type="text" autocomplete="off" id="bridge_url" placeholder="ws://127.0.0.1:8765">
+                <div class="sub-text" id="bridge_status"></div>
+            </div>
+
+            <div id="bb_alerts">
+                <div class="po-container">
+                    <div class="sub-text" style="padding-right:10px">
+                        ${messages.alerts.settings}
+                    </div>
+                    ${switchInput("alert_notifications", messages.alerts.notifications)}
+                    ${switchInput("alert_sound", messages.alerts.sound)}
+                </div>
+                <div class="po-container">
+                    <input type="text" autocomplete="off" id="alert_webhook" placeholder="http://127.0.0.1:8080/alerts" title="${messages.alerts.webhook}">
+                    <div class="sub-text" id="alert_status"></div>
+                </div>
+            </div>
+
+            <div id="bb_journal" class="po-container">
+                <div class="sub-text" style="padding-right:10px">
+                    ${messages.journal.title}
+                </div>
+                <a href="#" class="btn btn-default" id="journal_csv">CSV</a>
+                <a href="#" class="btn btn-default" id="journal_json">JSON</a>
+                <a href="#" class="btn btn-default" id="journal_clear">${messages.journal.clear}</a>
+            </div>
+
+            <div id="bb_diagnostics">
+                <div class="po-container">
+                    <div class="sub-text" style="padding-right:10px">
+                        ${messages.diagnostics.title}
+                    </div>
+                    <a href="#" class="btn btn-default" id="diagnostics_show">${messages.diagnostics.show}</a>
+                </div>
+                <div class="sub-text" id="diagnostics_list"></div>
+            </div>
+
+            <div class="po-ss_button">
+                <div class="po-ss_share" id="po_share_mes"></div>
+                <div>
+                    <a href="#" class="btn btn-green" id="ss_button" role="button">
+                        ${messages.modal.start}
+                    </a>
+                </div>
+            </div>
+        </div>`;
+    return html;
+}
+
+function overlay(messages) {
+    return `
+        <div id="ss_overlay">
+            <div class="ss_win">${messages.modal.win}</div>
+            <div class="ss_win" id="r_win">0</div>
+            <br/>
+            <div class="ss_lost">${messages.modal.lost}</div>
+            <div class="ss_lost" id="r_lost">0</div>
+            <br/>
+            <div id="r_percent">50%</div>
+            <div id="r_paper">
+                ${messages.paper}<span id="r_paper_net">0</span>
+            </div>
+        </div>
+        <div id="ss_stats"></div>`;
+}
+
+const ENTITIES = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;"
+};
+
+// `text`, such as a channel name from the signal bridge, safe to put in markup.
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ENTITIES[char]);
+}
+
+function statsTable(title, groups, label, messages) {
+    let html = `
+        <table class="ss_table">
+            <tr>
+                <th>${title}</th><th>${messages.trades}</th><th>${messages.winRate}</th><th>${messages.net}</th>
+            </tr>`;
+    for (const key in groups) {
+        const stat = groups[key];
+        html += `
+            <tr>
+                <td>${escapeHtml(label(key))}</td><td>${stat.trades}</td><td>${stat.winRate}%</td>
+                <td class="${stat.net < 0 ? "ss_lost" : "ss_win"}">${stat.net}</td>
+            </tr>`;
+    }
+    return html + `
+        </table>`;
+}
+
+function equityCurve(equity) {
+    const width = 260;
+    const height = 60;
+    const min = Math.min(...equity);
+    const max = Math.max(...equity);
+    const points = equity.map(function(value, i) {
+        const x = i / Math.max(equity.length - 1, 1) * width;
+        const y = (max - value) / (max - min || 1) * height;
+        return x.toFixed(1) + "," + y.toFixed(1);
+    }).join(" ");
+    return `
+        <svg class="ss_equity" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+            <polyline fill="none" stroke="#8ea5bf" stroke-width="1.5" points="${points}"/>
+        </svg>`;
+}
+
+// The statistics panel shown with the overlay; `stats` comes from stats.compute.
+function statsPanel(stats, messages) {
+    if (0 == stats.total.trades) {
+        return `<div class="sub-text">${messages.empty}</div>`;
+    }
+    const steps = {};
+    for (const step in stats.steps) {
+        steps[step] = Math.round(stats.steps[step] / stats.total.trades * 100);
+    }
+    let html = `
+        <div class="sub-text">
+            ${messages.total}: ${stats.total.trades}, ${stats.total.winRate}%,
+            <span class="${stats.total.net < 0 ? "ss_lost" : "ss_win"}">${stats.total.net}</span>
+        </div>
+        ${equityCurve(stats.equity)}
+        <div class="sub-text">${messages.drawdown}: ${stats.maxDrawdown}</div>`;
+    html += statsTable(messages.strategy, stats.strategy, key => key, messages);
+    html += statsTable(messages.asset, stats.asset, key => key, messages);
+    html += statsTable(messages.market, stats.market, key => messages[key], messages);
+    html += statsTable(messages.hour, stats.hour, key => key + ":00", messages);
+    if (Object.keys(stats.channel).length > 0) {
+        html += statsTable(messages.channel, stats.channel, function(key) {
+            const score = stats.channel[key].score;
+            return `${key} (${null == score ? "-" : score})`;
+        }, messages);
+    }
+    html += `
+        <table class="ss_table">
+            <tr>
+                <th>${messages.step}</th><th>${messages.trades}</th><th>%</th>
+            </tr>`;
+    for (const step in stats.steps) {
+        html += `
+            <tr>
+                <td>${step}</td><td>${stats.steps[step]}</td><td>${steps[step]}%</td>
+            </tr>`;
+    }
+    return html + `
+        </table>`;
+}
+
+module.exports = {
+    paramId,
+    sidebarItem,
+    modal,
+    overlay,
+    statsPanel
+};
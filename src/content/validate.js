@@ -0,0 +1,28 @@
+"use strict";
+
+/**
+ * Checks what was typed into a numeric input against `rule`, `{type, min,
+ * max}` as src/page/settings.js and strategy params declare them. Gives
+ * `{value}` for a usable number and `{error, values}` otherwise, where
+ * `error` names a text of `messages.validation`. A decimal comma is read as
+ * a point.
+ */
+function checkNumber(text, rule) {
+    const trimmed = String(null == text ? "" : text).trim().replace(",", ".");
+    const value = Number(trimmed);
+    if ("" == trimmed || !Number.isFinite(value)) return { error: "number", values: {} };
+    if ("integer" == rule.type && !Number.isInteger(value)) return { error: "integer", values: {} };
+    if (value < rule.min || value > rule.max) return { error: "range", values: { min: rule.min, max: rule.max } };
+    return { value };
+}
+
+// The text for a failed check, "" for a passed one.
+function message(result, messages) {
+    if (!result.error) return "";
+    return messages.validation[result.error].replace(/\{(\w+)\}/g, (match, name) => null == result.values[name] ? match : result.values[name]);
+}
+
+module.exports = {
+    checkNumber,
+    message
+};
@@ -0,0 +1,506 @@
+"use strict";
+
+const candles = require("./candles");
+const diagnostics = require("./diagnostics");
+const feed = require("./feed");
+const { post } = require("./channel");
+const planner = require("./planner");
+const journal = require("./journal");
+const orders = require("./orders");
+const paper = require("./paper");
+const recorder = require("./recorder");
+const remote = require("./remote");
+const risk = require("./risk");
+const schedule = require("./schedule");
+const settings = require("./settings");
+const stake = require("./stake");
+const { getNextMartingaleStep } = require("./martingale");
+
+/**
+ * The bot state shared by the socket patch and the control channel: user
+ * settings, per-asset candles and signals in `rates`, the account, the
+ * deals the robot has queued, opened and closed with their `journal`
+ * entries, the `session` the risk limits are measured against and the
+ * virtual positions of paper mode.
+ */
+function createBot() {
+    return {
+        settings: {
+            strategy: "signals",
+            min_profit: 80,
+            delay: 0,
+            deals_limit: 10,
+            take_profit: {
+                percent: 20,
+                sum: 0
+            },
+            signals: [2, 2, 1, 0, 0, 0],
+            use_otc: true,
+            started: false,
+            martinSteps: [2, 2, 2, 2, 2, 2, 2, 2, 2],
+            useMartin: false,
+            stop_loss: 0,
+            stop_loss_sum: 0,
+            daily_loss: 0,
+            martin_exposure: 0,
+            loss_streak: 0,
+            cooldown: 15,
+            // Parameter values per strategy id; missing ones take the defaults.
+            params: {},
+            paper: false,
+            paper_amount: 1,
+            // Bridge channels scoring below this are ignored; 0 turns it off.
+            min_score: 0,
+            // Expiry in seconds of deals that do not set their own; 0 keeps
+            // the platform's.
+            expiry: 0,
+            // How the first stake of a chain is chosen, see stake.js.
+            stake_mode: "platform",
+            stake_amount: 1,
+            stake_percent: 1,
+            kelly_fraction: 50,
+            // The trading schedule, see schedule.js: weekly windows (none
+            // for any time), the asset list and the news blackouts.
+            schedule: [],
+            asset_mode: "all",
+            assets: [],
+            blackouts: [],
+            blackout_before: 15,
+            blackout_after: 15
+        },
+        rates: {},
+        // Set by a text frame, consumed by the binary frame that follows it.
+        action: false,
+        // Event names seen on the socket and frames that did not read.
+        diagnostics: diagnostics.create(),
+        // When the bot last had a tick, see feed.js.
+        feed: feed.createFeed(),
+        recording: false,
+        userInfo: {
+            uid: false,
+            isDemo: true,
+            balance: {
+                demo: 0,
+                real: 0
+            },
+            onlyDemo: true,
+            robotDeals: {
+                opened: [],
+                closed: []
+            },
+            startSum: false
+        },
+        // The robot's orders from planned to closed, see orders.js.
+        orders: orders.createOrders(),
+        session: risk.createSession(),
+        // Why the schedule keeps the running bot from trading, as last posted.
+        offSchedule: null,
+        // Journal entries of the open robot deals, by deal id.
+        journal: {},
+        paper: paper.createPaper(),
+
+        getNextMartingaleStep(startSum, amount) {
+            return getNextMartingaleStep(this.settings.martinSteps, startSum, amount);
+        },
+
+        checkDial(asset, time) {
+            if (!this.checkSchedule()) return false;
+            if (!planner.canTrade(this, asset)) return false;
+            if (!this.checkTakeProfit()) return false;
+            if (!this.checkRisk()) return false;
+
+            const plan = planner.planDeal(this, asset, time);
+            plan && this.deal(asset, plan.direction, {
+                amount: plan.amount || stake.amount(this, asset),
+                expiry: plan.expiry || this.settings.expiry || null
+            });
+        },
+
+        // Stops the bot once the balance has reached the take profit. False
+        // from then on.
+        checkTakeProfit() {
+            if (!planner.reachedTakeProfit(this)) return true;
+            this.settings.started = false;
+            orders.stop(this);
+            post({
+                act: "robotSettings",
+                settings: this.settings
+            });
+            post({
+                risk: {
+                    reason: "take_profit",
+                    limit: this.settings.take_profit.sum
+                }
+            });
+            return false;
+        },
+
+        // Tells the content script when the trading schedule closes or opens
+        // again for the running bot. Deals already open run to their expiry.
+        // False while it is closed.
+        checkSchedule() {
+            const now = Date.now();
+            const closed = this.settings.started ? schedule.check(this.settings, now) : null;
+            const last = this.offSchedule;
+            this.offSchedule = closed;
+            if (closed && (!last || last.reason != closed.reason || last.title != closed.title)) {
+                post({
+                    schedule: Object.assign({ until: schedule.reopens(this.settings, now) }, closed)
+                });
+            } else if (!closed && last) {
+                post({
+                    schedule: { reason: "open" }
+                });
+            }
+            return !closed;
+        },
+
+        // Runs a command from the signal bridge and answers its source. A text
+        // signal with its entry time still ahead waits for it.
+        signal(command) {
+            let signal;
+            try {
+                signal = remote.read(this, command, Date.now());
+            } catch (error) {
+                post({
+                    remote: remote.unread(command, error)
+                });
+                return;
+            }
+            if (signal.entry > Date.now()) {
+                post({
+                    remote: remote.scheduled(signal)
+                });
+                setTimeout(() => post({
+                    remote: remote.execute(this, signal)
+                }), signal.entry - Date.now());
+                return;
+            }
+            post({
+                remote: remote.execute(this, signal)
+            });
+        },
+
+        check_reg(uid) {
+            const bot = this;
+            const request = new XMLHttpRequest;
+            request.open("POST", "https://2bot.top/check_user/", true);
+            request.setRequestHeader("Content-type", "application/json; charset=utf-8");
+            request.onreadystatechange = function() {
+                if (request.readyState != XMLHttpRequest.DONE) return;
+                if (200 == request.status) {
+                    const response = JSON.parse(request.response);
+                    bot.userInfo.onlyDemo = !response.confirm;
+                    post({
+                        info_text: String(response.message || "")
+                    });
+                } else {
+                    post({
+                        info_text: "Server https://2bot.top is not available. Please report a problem trader.vitaly@gmail.com"
+                    });
+                }
+            };
+            request.send(JSON.stringify({
+                user_id: uid
+            }));
+        },
+
+        // Plans an order for the deal, see orders.js: the content script is
+        // asked to click CALL, which makes the platform send an order the bot
+        // then rewrites. In paper mode
+        // the deal becomes a virtual position and nothing reaches the broker.
+        // `options` may set the deal's `amount` and `expiry` in seconds, both
+        // left to the platform's order when null; a Martingale re-entry also
+        // passes its chain's `step` and `base` stake. `signal` is the bridge
+        // command the deal was opened for, if any. False when it was not
+        // opened.
+        deal(pair, direction, options = {}) {
+            const { amount = null, expiry = null, step = 0, signal = null } = options;
+            if (!this.checkRisk()) return false;
+            if (amount && !risk.allowsStake(this, pair, amount)) {
+                // The chain is abandoned; the next deal on the pair starts a new one.
+                delete this.session.exposure[pair];
+                post({
+                    risk: {
+                        reason: "martin_exposure",
+                        limit: this.settings.martin_exposure,
+                        asset: pair
+                    }
+                });
+                return false;
+            }
+            if (this.settings.paper) {
+                const sum = amount || this.settings.paper_amount;
+                if (!paper.open(this, pair, direction, { amount: sum, expiry, step, base: options.base || sum, signal })) return false;
+                this.postPaper();
+            } else {
+                orders.plan(this, {
+                    asset: pair,
+                    direction: "up" == direction ? "call" : "put",
+                    amount,
+                    expiry,
+                    // Null for a chain that starts at the platform's amount.
+                    base: options.base || amount,
+                    strategy: signal ? "remote" : this.settings.strategy,
+                    step,
+                    signal
+                });
+            }
+            const next = new Date;
+            next.setSeconds(next.getSeconds() + this.settings.delay);
+            this.rates[pair].nextDealTime = next;
+            return true;
+        },
+
+        // Notes a frame that does not read as protocol.js expects. One of an
+        // event the bot trades on, `action`, stops the running bot: trading
+        // on a protocol it no longer understands could place wrong orders.
+        failSafe(action, error) {
+            const failure = diagnostics.failed(this.diagnostics, action, error.message);
+            if (!action || !this.settings.started) return;
+            this.settings.started = false;
+            orders.stop(this);
+            post({
+                act: "robotSettings",
+                settings: this.settings
+            });
+            post({
+                protocol: failure
+            });
+        },
+
+        // Stops the bot when a loss limit has fired, and reports each new limit
+        // to the content script once. False while any limit holds.
+        checkRisk() {
+            const limit = risk.check(this);
+            const last = this.session.limit;
+            this.session.limit = limit;
+            if (!limit) return true;
+
+            if (risk.isStopping(limit)) {
+                this.settings.started = false;
+                orders.stop(this);
+                post({
+                    act: "robotSettings",
+                    settings: this.settings
+                });
+            }
+            if (!last || last.reason != limit.reason) {
+                post({
+                    risk: limit
+                });
+            }
+            return false;
+        },
+
+        // Settles paper positions on a tick and re-enters them as Martingale
+        // would a real deal.
+        settlePaper(asset, time, price) {
+            const closed = paper.tick(this, asset, time, price);
+            closed.forEach(function(position) {
+                risk.settle(this, position, { daily: false });
+                position.signal && post({
+                    remote: remote.result(position.signal, position, position.step, true)
+                });
+                if (this.settings.started && this.checkRisk() && this.checkSchedule()) {
+                    const reentry = planner.planReentry(this, position, position);
+                    reentry && this.deal(reentry.asset, reentry.direction, reentry);
+                }
+            }, this);
+            closed.length > 0 && this.postPaper();
+        },
+
+        postPaper() {
+            post({
+                paperDeals: {
+                    opened: this.paper.opened.length,
+                    closed: this.paper.closed
+                }
+            });
+        },
+
+        // A frame that cannot be recorded is still handled.
+        record(dir, data, sent) {
+            try {
+                recorder.record(this, dir, data, sent);
+            } catch (error) {
+                console.error("belobot: recording", error);
+            }
+        },
+
+        startRecording() {
+            recorder.startRecording(this);
+        },
+
+        stopRecording() {
+            recorder.stopRecording(this);
+        },
+
+        addRate(rate) {
+            candles.addRate(this.rates, rate.name, rate.elm, rate.period);
+        },
+
+        addCurrentRate(rate) {
+            candles.addCurrentRate(this.rates, rate.name, rate.elm);
+        },
+
+        checkRate(asset) {
+            candles.checkRate(this.rates, asset);
+        },
+
+        update(data) {
+            if ("updateHistory" == this.action) {
+                this.checkRate(data.asset);
+                data.candles.forEach(function(candle) {
+                    this.addRate({
+                        name: data.asset,
+                        elm: candle,
+                        period: data.period
+                    });
+                }, this);
+                data.history.forEach(function(tick) {
+                    this.addCurrentRate({
+                        name: data.asset,
+                        elm: tick
+                    });
+                }, this);
+                this.checkDial(data.asset);
+            }
+
+            if ("updateStream" == this.action) {
+                data.length > 0 && feed.tick(this);
+                data.forEach(function(tick) {
+                    this.checkRate(tick.asset);
+                    this.addCurrentRate({
+                        name: tick.asset,
+                        elm: [tick.time, tick.price]
+                    });
+                    this.settlePaper(tick.asset, tick.time, tick.price);
+                    this.checkDial(tick.asset, tick.time);
+                }, this);
+            }
+
+            if ("updateAssets" == this.action) {
+                data.forEach(function(asset) {
+                    this.checkRate(asset.symbol);
+                    this.rates[asset.symbol].profit = asset.payout;
+                    this.rates[asset.symbol].active = asset.active;
+                    this.rates[asset.symbol].fullname = asset.name;
+                }, this);
+            }
+
+            if ("updateBalance" == this.action) {
+                if (!this.userInfo.uid) {
+                    this.userInfo.uid = AppData.uid;
+                    this.check_reg(this.userInfo.uid);
+                }
+                if (data.isDemo) {
+                    this.userInfo.balance.demo = data.balance;
+                } else {
+                    this.userInfo.balance.real = data.balance;
+                }
+                this.userInfo.isDemo = data.isDemo;
+            }
+
+            if ("successopenOrder" === this.action) {
+                // The martin strategy opens nothing itself and re-enters the
+                // deals the user opens instead.
+                const order = orders.confirm(this, data) ||
+                    (this.settings.started && !this.settings.paper && "martin" == this.settings.strategy ? orders.adopt(this, data, "martin") : null);
+                if (order) {
+                    this.userInfo.robotDeals.opened = orders.dealIds(this);
+                    journal.opened(this, data, order);
+                    post({
+                        robotDeals: this.userInfo.robotDeals
+                    });
+                }
+            }
+
+            if ("successcloseOrder" === this.action) {
+                data.deals.forEach(function(deal) {
+                    if (orders.close(this, deal)) {
+                        this.userInfo.robotDeals.opened = orders.dealIds(this);
+                        this.userInfo.robotDeals.closed.push(deal.profit);
+                        risk.settle(this, deal);
+                        const entry = journal.closed(this, deal);
+                        entry && post({
+                            journal: entry
+                        });
+                        const signal = entry && entry.signal;
+                        signal && post({
+                            remote: remote.result(signal, deal, entry.step, false)
+                        });
+                        if (this.settings.started && this.checkRisk() && this.checkSchedule()) {
+                            const reentry = planner.planReentry(this, deal, entry || {});
+                            reentry && this.deal(reentry.asset, reentry.direction, reentry);
+                        }
+                    }
+                }, this);
+                post({
+                    robotDeals: this.userInfo.robotDeals
+                });
+            }
+
+            if ("signals" === this.action) {
+                data.forEach(function(signal) {
+                    this.checkRate(signal.asset);
+                    signal.forecasts.forEach(function(forecast) {
+                        this.rates[signal.asset].signals[forecast[0]] = forecast[1];
+                    }, this);
+                    this.checkDial(signal.asset);
+                }, this);
+            }
+
+            this.action = false;
+            return false;
+        },
+
+        getState() {
+            post({
+                data: {
+                    settings: this.settings
+                }
+            });
+        },
+
+        // Applies the settings the content script sent, validated and clamped
+        // against settings.SCHEMA; what it refuses keeps its current value.
+        // With `replace`, as for a profile, settings it leaves out go back to
+        // their defaults. What it refused or clamped is posted to the modal.
+        setState(input, replace = false) {
+            const { values, problems } = settings.sanitize(replace ? Object.assign(settings.pick(createBot().settings), input) : input);
+            problems.length > 0 && post({
+                settingsProblems: problems
+            });
+            for (const key in values) {
+                if ("take_profit" == key) {
+                    // The modal sends the take profit as a bare percent.
+                    this.settings.take_profit.percent = values[key];
+                } else {
+                    this.settings[key] = values[key];
+                }
+            }
+        },
+
+        startStop() {
+            if (!this.userInfo.isDemo && this.userInfo.onlyDemo) return false;
+            const balance = this.userInfo.isDemo ? this.userInfo.balance.demo : this.userInfo.balance.real;
+            this.settings.take_profit.sum = Math.floor(balance * (this.settings.take_profit.percent + 100) / 100);
+            this.settings.started = !this.settings.started;
+            orders.stop(this);
+            if (this.settings.started) {
+                feed.started(this);
+                risk.startSession(this);
+                this.checkRisk();
+            } else {
+                post({
+                    robotDeals: this.userInfo.robotDeals
+                });
+            }
+        }
+    };
+}
+
+module.exports = {
+    createBot
+};
@@ -0,0 +1,134 @@
+"use strict";
+
+// Candles are kept per asset and timeframe as `{ts: [open, close, high, low]}`,
+// keyed by the start of their bucket in seconds. The one-minute series is the
+// asset's `rates`, which strategies read by default.
+const PERIOD = 60;
+const TIMEFRAMES = [5, 15, 30, 60, 300, 900];
+// Candles kept per series; the oldest are dropped so that a long session on
+// many pairs stays within a fixed amount of memory.
+const MAX_CANDLES = 1000;
+
+function candleStart(time, timeframe = PERIOD) {
+    return timeframe * Math.floor(time / timeframe);
+}
+
+function checkRate(rates, asset) {
+    if (null == rates[asset]) {
+        rates[asset] = {
+            rates: {}
+        };
+    }
+    const rate = rates[asset];
+    if (null == rate.series) {
+        rate.series = {};
+        rate.sizes = {};
+        TIMEFRAMES.forEach(function(timeframe) {
+            rate.series[timeframe] = PERIOD == timeframe ? rate.rates : {};
+            rate.sizes[timeframe] = Object.keys(rate.series[timeframe]).length;
+        });
+    }
+    if (null == rate.signals) {
+        rate.signals = {};
+    }
+    if (null == rate.nextDealTime) {
+        rate.nextDealTime = new Date;
+    }
+    // Indicator states cached per closed candle, see indicators.js.
+    if (null == rate.indicators) {
+        rate.indicators = {};
+    }
+    // What strategies remember about the asset between ticks, per strategy.
+    if (null == rate.state) {
+        rate.state = {};
+    }
+    return rate;
+}
+
+// Drops the indicator states that include the candle of `timeframe` starting
+// at `start`, once that candle has changed.
+function invalidate(rate, timeframe, start) {
+    for (const key in rate.indicators) {
+        const cached = rate.indicators[key];
+        if (cached.timeframe == timeframe && cached.at >= start) {
+            delete rate.indicators[key];
+        }
+    }
+}
+
+function evict(rate, timeframe) {
+    const candles = rate.series[timeframe];
+    let excess = rate.sizes[timeframe] - MAX_CANDLES;
+    // Keys are integers, which objects keep in ascending order: oldest first.
+    for (const start in candles) {
+        if (excess-- <= 0) break;
+        delete candles[start];
+        rate.sizes[timeframe]--;
+    }
+}
+
+/**
+ * Folds `candle`, which covers `period` seconds from `ts`, into the candle of
+ * `timeframe` it falls in. A tick is a candle of period 0 and moves the close;
+ * a history candle sets the open when it starts the bucket and the close when
+ * it ends it, whichever order the history comes in.
+ */
+function merge(rate, timeframe, ts, period, candle) {
+    const start = candleStart(ts, timeframe);
+    const candles = rate.series[timeframe];
+    const target = candles[start];
+    if (null == target || period == timeframe) {
+        null == target && rate.sizes[timeframe]++;
+        candles[start] = candle.slice();
+    } else {
+        if (period > 0 && ts == start) target[0] = candle[0];
+        if (ts + period >= start + timeframe || 0 == period) target[1] = candle[1];
+        target[2] = Math.max(target[2], candle[2]);
+        target[3] = Math.min(target[3], candle[3]);
+    }
+    invalidate(rate, timeframe, start);
+    if (rate.sizes[timeframe] > MAX_CANDLES) evict(rate, timeframe);
+}
+
+// A finished candle from `updateHistoryNew`, [ts, open, close, high, low] over
+// `period` seconds. It goes into every series it divides evenly.
+function addRate(rates, asset, candle, period = PERIOD) {
+    const rate = checkRate(rates, asset);
+    const ohlc = [candle[1], candle[2], candle[3], candle[4]];
+    TIMEFRAMES.forEach(function(timeframe) {
+        if (timeframe >= period && 0 == timeframe % period) {
+            merge(rate, timeframe, candle[0], period, ohlc);
+        }
+    });
+}
+
+// A [ts, price] tick folded into the candle it belongs to in every series.
+function addCurrentRate(rates, asset, tick) {
+    const rate = checkRate(rates, asset);
+    const price = tick[1];
+    TIMEFRAMES.forEach(function(timeframe) {
+        merge(rate, timeframe, tick[0], 0, [price, price, price, price]);
+    });
+}
+
+// The close of the latest candle, which the last tick keeps current.
+function lastPrice(rates, asset) {
+    const candles = rates[asset] && rates[asset].rates;
+    if (!candles) return null;
+    let last = null;
+    for (const start in candles) {
+        if (null == last || Number(start) > Number(last)) last = start;
+    }
+    return null == last ? null : candles[last][1];
+}
+
+module.exports = {
+    PERIOD,
+    TIMEFRAMES,
+    MAX_CANDLES,
+    candleStart,
+    checkRate,
+    addRate,
+    addCurrentRate,
+    lastPrice
+};
@@ -0,0 +1,81 @@
+"use strict";
+
+/*
+ * The private channel between the page script and the content script.
+ *
+ * Every script on the broker's page sees what goes through window.postMessage
+ * and the DOM, so neither carries anything of the channel. Both ends run at
+ * document_start, the page script as a content script of the page's world
+ * (see manifest.json), before any script of the page can listen, and meet in
+ * `handOver`: each dispatches a synchronous `belobot:port` event on the window
+ * carrying one end of a MessageChannel, and the other, if it already
+ * listens, takes it and cancels the event. Whichever side came first takes
+ * the other's port and stops listening, so the page's own scripts never see
+ * a port and cannot offer one. The other side runs before the document is
+ * parsed, so a side still waiting at DOMContentLoaded stops listening too.
+ */
+
+const PORT_EVENT = "belobot:port";
+// The most messages kept for the content script before it connects.
+const MAX_QUEUE = 200;
+
+let out = null;
+const queue = [];
+
+/**
+ * Meets the other end of the channel, see above, and calls `take` at most
+ * once, with this end's port.
+ */
+function handOver(take) {
+    const channel = new MessageChannel();
+    const offer = new MessageEvent(PORT_EVENT, { ports: [channel.port2], cancelable: true });
+    if (!window.dispatchEvent(offer)) {
+        take(channel.port1);
+        return;
+    }
+    // Past loading, the other side has offered already if it ever will.
+    if ("loading" != document.readyState) return;
+    function stop() {
+        window.removeEventListener(PORT_EVENT, accept);
+        document.removeEventListener("DOMContentLoaded", stop);
+    }
+    function accept(event) {
+        if (!event.ports || !event.ports[0]) return;
+        stop();
+        event.preventDefault();
+        take(event.ports[0]);
+    }
+    window.addEventListener(PORT_EVENT, accept);
+    document.addEventListener("DOMContentLoaded", stop);
+}
+
+/**
+ * Posts a `belobot` message to the content script, or keeps it until the
+ * content script connects.
+ */
+function post(data) {
+    const message = Object.assign({ belobot: true }, data);
+    if (out) {
+        out.postMessage(message);
+        return;
+    }
+    queue.push(message);
+    if (queue.length > MAX_QUEUE) queue.shift();
+}
+
+// Hands every message the content script sends on the channel to `handle`.
+function open(handle) {
+    handOver(function(port) {
+        port.onmessage = message => handle(message.data);
+        out = port;
+        queue.splice(0).forEach(message => out.postMessage(message));
+    });
+}
+
+module.exports = {
+    PORT_EVENT,
+    MAX_QUEUE,
+    handOver,
+    post,
+    open
+};
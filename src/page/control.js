@@ -0,0 +1,94 @@
+"use strict";
+
+const channel = require("./channel");
+const { post } = channel;
+
+function isObject(value) {
+    return !!value && "object" == typeof value && !Array.isArray(value);
+}
+
+function isOptional(value, check) {
+    return null == value || check(value);
+}
+
+// A signal as the content script's remote.toSignal makes it.
+function isSignal(signal) {
+    if (!isObject(signal) || "string" != typeof signal.id || "string" != typeof signal.source) return false;
+    if (!isOptional(signal.amount, amount => "number" == typeof amount && amount > 0)) return false;
+    if (!isOptional(signal.score, Number.isFinite)) return false;
+    if (null != signal.text) {
+        return "string" == typeof signal.text && isOptional(signal.profile, profile => "string" == typeof profile);
+    }
+    return "string" == typeof signal.asset &&
+        ("up" == signal.direction || "down" == signal.direction) &&
+        isOptional(signal.expiry, Number.isInteger) &&
+        isOptional(signal.martingale, martingale => isObject(martingale) && Number.isInteger(martingale.steps));
+}
+
+// What each command carries. A command that is not here or does not match
+// is dropped; the settings themselves are checked by bot.setState.
+const COMMANDS = {
+    readState: () => true,
+    readDiagnostics: () => true,
+    start_stop: () => true,
+    record: data => "boolean" == typeof data.enabled,
+    setState: data => isObject(data.settings) && isOptional(data.replace, replace => "boolean" == typeof replace),
+    signal: data => isSignal(data.signal)
+};
+
+// Whether `data` is a command the bot runs.
+function isCommand(data) {
+    return isObject(data) && true === data.belobot && Object.prototype.hasOwnProperty.call(COMMANDS, data.act) && COMMANDS[data.act](data);
+}
+
+/**
+ * Runs the `belobot` commands the content script sends from the modal over
+ * the private channel, see channel.js.
+ */
+function listen(bot) {
+    channel.open(function(data) {
+        if (!isCommand(data)) {
+            console.warn("belobot: dropped a malformed command", data && data.act);
+            return;
+        }
+
+        if ("readState" == data.act || "setState" == data.act || "start_stop" == data.act || "signal" == data.act) {
+            bot.record("ctl", data);
+        }
+
+        if ("readState" == data.act) {
+            post({
+                act: "robotSettings",
+                settings: bot.settings,
+                recording: !!bot.recording
+            });
+        }
+
+        if ("readDiagnostics" == data.act) {
+            post({
+                diagnostics: bot.diagnostics
+            });
+        }
+
+        if ("record" == data.act) {
+            data.enabled ? bot.startRecording() : bot.stopRecording();
+        }
+
+        if ("setState" == data.act) {
+            bot.setState(data.settings, !!data.replace);
+        }
+
+        if ("start_stop" == data.act) {
+            bot.startStop();
+        }
+
+        if ("signal" == data.act) {
+            bot.signal(data.signal);
+        }
+    });
+}
+
+module.exports = {
+    isCommand,
+    listen
+};
@@ -0,0 +1,50 @@
+"use strict";
+
+const protocol = require("./protocol");
+
+// The most event names kept per direction and the most failures kept; the
+// oldest failure goes first.
+const MAX_EVENTS = 100;
+const MAX_FAILURES = 20;
+
+/**
+ * What the bot has seen on the broker socket, for the diagnostics view: the
+ * event names received (`in`) and sent (`out`) with how often and when last,
+ * and the frames it could not read. The event tables have no prototype, as
+ * the names in them are whatever the broker sends.
+ */
+function create() {
+    return {
+        version: protocol.VERSION,
+        in: Object.create(null),
+        out: Object.create(null),
+        failures: []
+    };
+}
+
+function seen(diagnostics, direction, event, now = Date.now()) {
+    const events = diagnostics[direction];
+    const entry = events[event.name];
+    if (entry) {
+        entry.count++;
+        entry.last = now;
+    } else if (Object.keys(events).length < MAX_EVENTS) {
+        events[event.name] = { count: 1, last: now, known: !!event.action || "openOrder" == event.name };
+    }
+}
+
+// Notes that `event` could not be read for `problem`; returns the failure.
+function failed(diagnostics, event, problem, now = Date.now()) {
+    const failure = { time: now, event, problem };
+    diagnostics.failures.push(failure);
+    if (diagnostics.failures.length > MAX_FAILURES) diagnostics.failures.shift();
+    return failure;
+}
+
+module.exports = {
+    MAX_EVENTS,
+    MAX_FAILURES,
+    create,
+    seen,
+    failed
+};
@@ -0,0 +1,66 @@
+"use strict";
+
+const { post } = require("./channel");
+
+// How long the running bot may go without a tick before the content script
+// is told, and how often that is looked at, in ms.
+const STALE = 120000;
+const CHECK = 30000;
+
+/**
+ * When the bot last had market data. `since` is the last tick, or the start
+ * of the bot when that is later, so a bot started on a quiet page gets the
+ * same grace as one that was trading.
+ */
+function createFeed() {
+    return {
+        since: 0,
+        stale: false
+    };
+}
+
+function tick(bot, now = Date.now()) {
+    bot.feed.since = now;
+    if (!bot.feed.stale) return;
+    bot.feed.stale = false;
+    post({
+        feed: {
+            stale: false,
+            since: now
+        }
+    });
+}
+
+function started(bot, now = Date.now()) {
+    bot.feed.since = Math.max(bot.feed.since, now);
+}
+
+// Posts `{feed: {stale: true, since}}` once the running bot has gone STALE
+// without a tick, and `stale: false` on the tick that ends it.
+function check(bot, now = Date.now()) {
+    if (!bot.settings.started || bot.feed.stale || now - bot.feed.since < STALE) return;
+    bot.feed.stale = true;
+    post({
+        feed: {
+            stale: true,
+            since: bot.feed.since
+        }
+    });
+}
+
+function watch(bot) {
+    setTimeout(function next() {
+        check(bot);
+        setTimeout(next, CHECK);
+    }, CHECK);
+}
+
+module.exports = {
+    STALE,
+    CHECK,
+    createFeed,
+    tick,
+    started,
+    check,
+    watch
+};
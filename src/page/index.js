@@ -0,0 +1,22 @@
+"use strict";
+
+const registry = require("../strategies/registry");
+const { createBot } = require("./bot");
+const { listen } = require("./control");
+const feed = require("./feed");
+const { patchWebSocket } = require("./socket");
+const { RECORD_KEY } = require("./recorder");
+const telegram = require("./telegram");
+
+registry.load(require("belobot-strategies"));
+telegram.load(require("belobot-channels"));
+
+const bot = createBot();
+
+if (localStorage.getItem(RECORD_KEY)) {
+    bot.startRecording();
+}
+
+listen(bot);
+patchWebSocket(bot);
+feed.watch(bot);
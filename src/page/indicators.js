@@ -0,0 +1,287 @@
+"use strict";
+
+const { PERIOD, candleStart } = require("./candles");
+
+// How far back a recursive indicator looks for an unbroken run of candles to
+// warm up on.
+const MAX_LOOKBACK = 1000;
+
+/*
+ * Every indicator reads the candles of one series of an asset,
+ * `{ts: [open, close, high, low]}`, up to and including the live candle at
+ * `time`, and is false until it has enough of them. `timeframe` in the
+ * options is the length of those candles in seconds, one minute by default.
+ *
+ * Window indicators (SMA, Bollinger Bands, Stochastic, CCI) look at their
+ * last `period` candles on every call. Recursive ones (EMA, RSI, MACD, ATR)
+ * carry a state from candle to candle; given the asset's `cache`, the state
+ * after the last closed candle is kept there, so a tick on the live candle
+ * costs a single step and a new candle one more.
+ */
+
+function close(candle) {
+    return candle[1];
+}
+
+// The `count` candles ending with the live one, oldest first, or false if
+// one is missing.
+function lastCandles(candles, time, count, timeframe = PERIOD) {
+    const list = [];
+    for (let i = count - 1, start = candleStart(time, timeframe); i >= 0; i--) {
+        const candle = candles[start - timeframe * i];
+        if (null == candle) return false;
+        list.push(candle);
+    }
+    return list;
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function sma(candles, time, { period, timeframe }) {
+    const list = lastCandles(candles, time, period, timeframe);
+    return list && mean(list.map(close));
+}
+
+function bollinger(candles, time, { period, width, timeframe }) {
+    const list = lastCandles(candles, time, period, timeframe);
+    if (!list) return false;
+    const closes = list.map(close);
+    const middle = mean(closes);
+    const deviation = Math.sqrt(mean(closes.map(value => (value - middle) ** 2)));
+    return {
+        middle,
+        upper: middle + width * deviation,
+        lower: middle - width * deviation
+    };
+}
+
+// %K of the live candle and the `smooth` - 1 before it, %D their average.
+function stochastic(candles, time, { period, smooth, timeframe }) {
+    const list = lastCandles(candles, time, period + smooth - 1, timeframe);
+    if (!list) return false;
+    const k = [];
+    for (let end = period; end <= list.length; end++) {
+        const part = list.slice(end - period, end);
+        const high = Math.max(...part.map(candle => candle[2]));
+        const low = Math.min(...part.map(candle => candle[3]));
+        k.push(high == low ? 50 : (close(part[period - 1]) - low) / (high - low) * 100);
+    }
+    return {
+        k: k[k.length - 1],
+        d: mean(k)
+    };
+}
+
+// Commodity Channel Index of the typical price, with Lambert's 0.015 unless
+// another `constant` is given. With `open` the typical price averages the
+// open as well, as the bot's first CCI did.
+function cci(candles, time, { period, timeframe, constant = 0.015, open = false }) {
+    const list = lastCandles(candles, time, period, timeframe);
+    if (!list) return false;
+    const prices = list.map(candle => open
+        ? (candle[0] + candle[1] + candle[2] + candle[3]) / 4
+        : (candle[2] + candle[3] + candle[1]) / 3);
+    const average = mean(prices);
+    const deviation = mean(prices.map(price => Math.abs(price - average)));
+    return 0 == deviation ? 0 : (prices[period - 1] - average) / (constant * deviation);
+}
+
+/**
+ * Runs a recursive indicator, `{warmup, seed(candles), step(state, candle),
+ * value(state)}`, up to the live candle. `seed` gets the first `warmup`
+ * candles of the unbroken run before the live one; `step` must return a new
+ * state rather than change the one it is given. Cached states are keyed by
+ * timeframe and `key`, and remember their timeframe for `candles.invalidate`.
+ */
+function recursive(candles, time, indicator, cache, key, timeframe = PERIOD) {
+    key = `${timeframe}:${key}`;
+    const start = candleStart(time, timeframe);
+    const live = candles[start];
+    if (null == live) return false;
+
+    let cached = cache && cache[key];
+    if (cached && cached.at < start) {
+        for (let ts = cached.at + timeframe; ts < start; ts += timeframe) {
+            if (null == candles[ts]) {
+                cached = null;
+                break;
+            }
+        }
+    } else {
+        cached = null;
+    }
+
+    let state;
+    if (cached) {
+        state = cached.state;
+        for (let ts = cached.at + timeframe; ts < start; ts += timeframe) {
+            state = indicator.step(state, candles[ts]);
+        }
+    } else {
+        let first = start;
+        while (start - first < timeframe * MAX_LOOKBACK && null != candles[first - timeframe]) {
+            first -= timeframe;
+        }
+        const run = [];
+        for (let ts = first; ts < start; ts += timeframe) {
+            run.push(candles[ts]);
+        }
+        if (run.length < indicator.warmup) return false;
+        state = indicator.seed(run.slice(0, indicator.warmup));
+        run.slice(indicator.warmup).forEach(function(candle) {
+            state = indicator.step(state, candle);
+        });
+    }
+    if (cache) {
+        cache[key] = {
+            timeframe,
+            at: start - timeframe,
+            state
+        };
+    }
+    return indicator.value(indicator.step(state, live));
+}
+
+function emaOf(period) {
+    const k = 2 / (period + 1);
+    return {
+        warmup: period,
+        seed: list => mean(list.map(close)),
+        step: (value, candle) => value + k * (close(candle) - value),
+        value: value => value
+    };
+}
+
+function ema(candles, time, { period, timeframe }, cache) {
+    return recursive(candles, time, emaOf(period), cache, `ema:${period}`, timeframe);
+}
+
+// Wilder's RSI: gains and losses smoothed over `period`.
+function rsi(candles, time, { period, timeframe }, cache) {
+    return recursive(candles, time, {
+        warmup: period + 1,
+        seed(list) {
+            let gain = 0;
+            let loss = 0;
+            for (let i = 1; i < list.length; i++) {
+                const change = close(list[i]) - close(list[i - 1]);
+                change > 0 ? gain += change : loss -= change;
+            }
+            return {
+                gain: gain / period,
+                loss: loss / period,
+                close: close(list[list.length - 1])
+            };
+        },
+        step(state, candle) {
+            const change = close(candle) - state.close;
+            return {
+                gain: (state.gain * (period - 1) + Math.max(change, 0)) / period,
+                loss: (state.loss * (period - 1) + Math.max(-change, 0)) / period,
+                close: close(candle)
+            };
+        },
+        value(state) {
+            if (0 == state.loss) return 0 == state.gain ? 50 : 100;
+            return 100 - 100 / (1 + state.gain / state.loss);
+        }
+    }, cache, `rsi:${period}`, timeframe);
+}
+
+// MACD line (fast EMA - slow EMA), its signal EMA and the histogram between
+// them. Both EMAs start on the first `slow` candles, the signal line on the
+// first `signal` MACD values.
+function macd(candles, time, { fast, slow, signal, timeframe }, cache) {
+    const fastEma = emaOf(fast);
+    const slowEma = emaOf(slow);
+    const signalK = 2 / (signal + 1);
+    return recursive(candles, time, {
+        warmup: slow + signal - 1,
+        seed(list) {
+            let state = {
+                fast: mean(list.slice(slow - fast, slow).map(close)),
+                slow: mean(list.slice(0, slow).map(close))
+            };
+            const lines = [state.fast - state.slow];
+            list.slice(slow).forEach(function(candle) {
+                state = {
+                    fast: fastEma.step(state.fast, candle),
+                    slow: slowEma.step(state.slow, candle)
+                };
+                lines.push(state.fast - state.slow);
+            });
+            state.signal = mean(lines);
+            return state;
+        },
+        step(state, candle) {
+            const next = {
+                fast: fastEma.step(state.fast, candle),
+                slow: slowEma.step(state.slow, candle)
+            };
+            next.signal = state.signal + signalK * (next.fast - next.slow - state.signal);
+            return next;
+        },
+        value(state) {
+            const line = state.fast - state.slow;
+            return {
+                macd: line,
+                signal: state.signal,
+                histogram: line - state.signal
+            };
+        }
+    }, cache, `macd:${fast}:${slow}:${signal}`, timeframe);
+}
+
+// Wilder's average true range.
+function atr(candles, time, { period, timeframe }, cache) {
+    const range = (candle, previous) => Math.max(candle[2], previous) - Math.min(candle[3], previous);
+    return recursive(candles, time, {
+        warmup: period + 1,
+        seed(list) {
+            let sum = 0;
+            for (let i = 1; i < list.length; i++) {
+                sum += range(list[i], close(list[i - 1]));
+            }
+            return {
+                atr: sum / period,
+                close: close(list[list.length - 1])
+            };
+        },
+        step: (state, candle) => ({
+            atr: (state.atr * (period - 1) + range(candle, state.close)) / period,
+            close: close(candle)
+        }),
+        value: state => state.atr
+    }, cache, `atr:${period}`, timeframe);
+}
+
+/**
+ * Every indicator bound to one asset's series of `timeframe`, cache and time,
+ * as strategies get them: `indicators.rsi({ period: 14 })`.
+ */
+function bind(rate, time, timeframe = PERIOD) {
+    const bound = {};
+    for (const name in INDICATORS) {
+        bound[name] = options => INDICATORS[name](rate.series[timeframe], time, Object.assign({}, options, {
+            timeframe
+        }), rate.indicators);
+    }
+    return bound;
+}
+
+const INDICATORS = {
+    sma,
+    ema,
+    rsi,
+    bollinger,
+    macd,
+    stochastic,
+    atr,
+    cci
+};
+
+module.exports = Object.assign({
+    bind
+}, INDICATORS);
@@ -0,0 +1,42 @@
+"use strict";
+
+/**
+ * Journal entries for robot deals. The order the platform confirmed, see
+ * orders.js, gives the deal its strategy, Martingale chain, expiry and
+ * bridge signal. The entry is completed when the deal closes and then handed
+ * to the content script to store.
+ */
+function opened(bot, data, order) {
+    const rate = bot.rates[data.asset];
+    bot.journal[data.id] = {
+        id: data.id,
+        asset: data.asset,
+        direction: 0 == data.command ? "call" : "put",
+        amount: data.amount,
+        openTime: data.openTimestamp ? 1000 * data.openTimestamp : Date.now(),
+        closeTime: null,
+        payout: null != data.percentProfit ? data.percentProfit : rate && rate.profit,
+        profit: null,
+        strategy: order.strategy,
+        step: order.step,
+        // The order's expiry in seconds and the first stake of its chain.
+        expiry: order.expiry || null,
+        base: order.base || data.amount,
+        signal: order.signal || null,
+        isDemo: !!(null != data.isDemo ? data.isDemo : bot.userInfo.isDemo)
+    };
+}
+
+function closed(bot, deal) {
+    const entry = bot.journal[deal.id];
+    if (!entry) return null;
+    delete bot.journal[deal.id];
+    entry.closeTime = deal.closeTimestamp ? 1000 * deal.closeTimestamp : Date.now();
+    entry.profit = deal.profit;
+    return entry;
+}
+
+module.exports = {
+    opened,
+    closed
+};
@@ -0,0 +1,22 @@
+"use strict";
+
+/**
+ * Stake for the deal after a loss of `amount`. The ladder is walked from the
+ * session's first stake, each step multiplying the previous stake by its
+ * coefficient and rounding down to cents; once `amount` is past the end of
+ * the ladder the stake is simply doubled.
+ */
+function getNextMartingaleStep(steps, startSum, amount) {
+    let stake = startSum;
+    for (let i = 0; i < steps.length; i++) {
+        if (amount === stake) {
+            return Math.floor(stake * steps[i] * 100) / 100;
+        }
+        stake = Math.floor(steps[i] * stake * 100) / 100;
+    }
+    return 2 * amount;
+}
+
+module.exports = {
+    getNextMartingaleStep
+};
@@ -0,0 +1,232 @@
+"use strict";
+
+const { post } = require("./channel");
+
+/*
+ * The robot's orders on the platform, each going
+ *
+ *     planned → sent → confirmed → closed
+ *
+ * or ending `failed`. A planned order waits for the content script to click
+ * CALL. Only one click is asked for at a time, so the next order frame the
+ * platform sends is the one that click made, or, with no click waiting, the
+ * one a click given up on made late. A sent order is matched to its
+ * `successopenOrder` by the platform's `requestId`, and a confirmed one to
+ * its `successcloseOrder` by the deal id. A confirmed order whose close is
+ * not reported by a while past its expiry fails, so that a lost frame does
+ * not hold a place in the deals limit. The deals limit and the robot's open
+ * deals are counted from these states; deals the user opens by hand match no
+ * order and are left alone, unless the running strategy follows them up (see
+ * `adopt`).
+ */
+
+// How long a click may take to make the platform send an order, and a sent
+// order to be confirmed, in ms.
+const SEND_TIMEOUT = 10000;
+const CONFIRM_TIMEOUT = 30000;
+// How long past its expiry a deal may take to be reported closed, in ms.
+const CLOSE_GRACE = 60000;
+// The longest expiry a deal may ask for, in seconds; also the one assumed
+// for a deal that gives no close time.
+const MAX_EXPIRY = 14400;
+// How long an order that was not sent, not confirmed or not reported closed
+// in time may still be, in ms.
+const LATE = 300000;
+
+const ACTIVE = ["planned", "sent", "confirmed"];
+// The reasons of failed orders that may still turn up late.
+const LATE_REASONS = ["not_sent", "not_confirmed", "not_closed"];
+
+function createOrders() {
+    return {
+        list: [],
+        nextId: 1
+    };
+}
+
+function fail(bot, order, reason) {
+    order.state = "failed";
+    order.reason = reason;
+    order.failedAt = Date.now();
+    post({
+        orderFailed: {
+            id: order.id,
+            asset: order.asset,
+            direction: order.direction,
+            reason
+        }
+    });
+    pump(bot);
+}
+
+// Whether `order` failed for `reason` and may still turn up late.
+function late(order, reason) {
+    return "failed" == order.state && reason == order.reason;
+}
+
+// Drops orders that are done with, except one not sent, not confirmed or not
+// closed in time, which is kept a while for the frame that came late.
+function prune(bot) {
+    const now = Date.now();
+    bot.orders.list = bot.orders.list.filter(order => ACTIVE.includes(order.state) ||
+        (LATE_REASONS.some(reason => late(order, reason)) && order.failedAt > now - LATE));
+}
+
+// Asks the content script to click for the oldest planned order, once no
+// other planned order is waiting for its click to reach the socket.
+function pump(bot) {
+    prune(bot);
+    const planned = bot.orders.list.filter(order => "planned" == order.state);
+    if (0 == planned.length || planned.some(order => order.requestedAt)) return;
+    const order = planned[0];
+    order.requestedAt = Date.now();
+    post({
+        act: "newDeal",
+        order: order.id
+    });
+    setTimeout(() => "planned" == order.state && fail(bot, order, "not_sent"), SEND_TIMEOUT);
+}
+
+/**
+ * Plans an order for `deal`: its `asset`, `direction` ("call" or "put"),
+ * `amount` and `expiry` in seconds, each null for the platform's own, the
+ * `base` stake and `step` of its Martingale chain, its `strategy` and the
+ * bridge `signal` it was opened for.
+ */
+function plan(bot, deal) {
+    const order = Object.assign({
+        id: bot.orders.nextId++,
+        state: "planned",
+        plannedAt: Date.now(),
+        requestedAt: null,
+        requestId: null,
+        dealId: null
+    }, deal);
+    bot.orders.list.push(order);
+    pump(bot);
+    return order;
+}
+
+// The order the platform's next order frame was clicked for, or null. With
+// no click waiting, a frame that comes late for a click given up on as not
+// sent is still that order's, rather than an order of the user's own.
+function next(bot) {
+    prune(bot);
+    return bot.orders.list.find(order => "planned" == order.state && order.requestedAt) ||
+        bot.orders.list.find(order => late(order, "not_sent")) || null;
+}
+
+// `order` went out with the platform's `requestId`.
+function sent(bot, order, requestId) {
+    order.state = "sent";
+    order.reason = null;
+    order.requestId = null == requestId ? null : requestId;
+    order.sentAt = Date.now();
+    setTimeout(() => "sent" == order.state && fail(bot, order, "not_confirmed"), CONFIRM_TIMEOUT);
+    pump(bot);
+}
+
+// `order` is open as the platform's deal `data`. Its close is waited for
+// until the deal's close time, or its expiry, and CLOSE_GRACE after.
+function opened(bot, order, data) {
+    const now = Date.now();
+    order.state = "confirmed";
+    order.reason = null;
+    order.dealId = data.id;
+    order.confirmedAt = now;
+    const closesAt = data.closeTimestamp ? 1000 * data.closeTimestamp : now + 1000 * (order.expiry || MAX_EXPIRY);
+    setTimeout(function() {
+        if ("confirmed" != order.state) return;
+        fail(bot, order, "not_closed");
+        bot.userInfo.robotDeals.opened = dealIds(bot);
+        post({
+            robotDeals: bot.userInfo.robotDeals
+        });
+    }, Math.max(0, closesAt - now) + CLOSE_GRACE);
+    return order;
+}
+
+/**
+ * The order the platform confirmed with `data`, now confirmed, or null for a
+ * deal the robot did not open. A confirmation without a `requestId` takes
+ * the oldest sent order on its asset.
+ */
+function confirm(bot, data) {
+    const waiting = bot.orders.list.filter(order => "sent" == order.state || late(order, "not_confirmed"));
+    const order = null != data.requestId
+        ? waiting.find(order => order.requestId == data.requestId)
+        : waiting.find(order => order.asset == data.asset);
+    return order ? opened(bot, order, data) : null;
+}
+
+/**
+ * Takes the deal the user opened by hand, confirmed with `data`, as a
+ * confirmed order of `strategy`, the first of its Martingale chain. For a
+ * strategy that follows up the user's deals instead of opening its own.
+ */
+function adopt(bot, data, strategy) {
+    const order = {
+        id: bot.orders.nextId++,
+        asset: data.asset,
+        direction: 0 == data.command ? "call" : "put",
+        amount: data.amount,
+        expiry: data.openTimestamp && data.closeTimestamp ? data.closeTimestamp - data.openTimestamp : null,
+        base: data.amount,
+        strategy,
+        step: 0,
+        signal: null,
+        plannedAt: Date.now(),
+        requestedAt: null,
+        requestId: null != data.requestId ? data.requestId : null
+    };
+    bot.orders.list.push(order);
+    return opened(bot, order, data);
+}
+
+// The open order `deal` closed, now closed, or null. One given up on as not
+// closed in time is still closed by its late frame.
+function close(bot, deal) {
+    const order = bot.orders.list.find(order => ("confirmed" == order.state || late(order, "not_closed")) && order.dealId == deal.id);
+    if (!order) return null;
+    order.state = "closed";
+    order.profit = deal.profit;
+    prune(bot);
+    return order;
+}
+
+// Drops the orders not sent yet, for a bot that stops.
+function stop(bot) {
+    bot.orders.list.forEach(function(order) {
+        if ("planned" != order.state && !late(order, "not_sent")) return;
+        order.state = "failed";
+        order.reason = "stopped";
+    });
+    prune(bot);
+}
+
+// Orders planned, sent or open: what the deals limit counts.
+function count(bot) {
+    return bot.orders.list.filter(order => ACTIVE.includes(order.state)).length;
+}
+
+// The platform's ids of the robot's open deals.
+function dealIds(bot) {
+    return bot.orders.list.filter(order => "confirmed" == order.state).map(order => order.dealId);
+}
+
+module.exports = {
+    SEND_TIMEOUT,
+    CONFIRM_TIMEOUT,
+    CLOSE_GRACE,
+    MAX_EXPIRY,
+    createOrders,
+    plan,
+    next,
+    sent,
+    confirm,
+    adopt,
+    close,
+    stop,
+    count,
+    dealIds
+};
@@ -0,0 +1,87 @@
+"use strict";
+
+// Paper positions run for the platform's default one-minute expiry, unless
+// their deal sets another.
+const EXPIRY = 60;
+// Older results are dropped past this, as the journal drops old entries; the
+// modal's paper total covers the ones kept.
+const MAX_CLOSED = 1000;
+
+// `last` holds the latest `{time, price}` tick of each asset.
+function createPaper() {
+    return {
+        opened: [],
+        closed: [],
+        last: new Map()
+    };
+}
+
+/**
+ * Opens a virtual position in paper mode instead of an order: at the price
+ * and time of the last tick of `asset`, so it runs on the clock it settles
+ * on, for the deal's `amount` and `expiry`, paying out the asset's current
+ * `profit` percent. The position keeps the deal's Martingale `step` and
+ * `base` and its bridge `signal`. False when no tick has been seen for the
+ * asset yet.
+ */
+function open(bot, asset, direction, deal) {
+    const last = bot.paper.last.get(asset);
+    if (!last) return false;
+    const position = {
+        asset,
+        command: "up" == direction ? 0 : 1,
+        amount: deal.amount,
+        openPrice: last.price,
+        closePrice: last.price,
+        openTime: last.time,
+        closeTime: last.time + (deal.expiry || EXPIRY),
+        payout: bot.rates[asset].profit,
+        expiry: deal.expiry || EXPIRY,
+        step: deal.step || 0,
+        base: deal.base || deal.amount,
+        signal: deal.signal || null
+    };
+    bot.paper.opened.push(position);
+    return position;
+}
+
+/**
+ * Follows an `updateStream` tick: positions on `asset` keep the last price
+ * seen up to their expiry and settle on the first tick past it. Returns the
+ * positions that closed, with their `profit` set.
+ */
+function tick(bot, asset, time, price) {
+    const closed = [];
+    bot.paper.last.set(asset, { time, price });
+    bot.paper.opened = bot.paper.opened.filter(function(position) {
+        if (position.asset != asset) return true;
+        if (time <= position.closeTime) {
+            position.closePrice = price;
+        }
+        if (time < position.closeTime) return true;
+
+        const diff = position.closePrice - position.openPrice;
+        if (0 == diff) {
+            position.profit = 0;
+        } else if ((0 == position.command) == (diff > 0)) {
+            position.profit = Math.round(position.amount * position.payout) / 100;
+        } else {
+            position.profit = -position.amount;
+        }
+        bot.paper.closed.push(position.profit);
+        if (bot.paper.closed.length > MAX_CLOSED) {
+            bot.paper.closed.splice(0, bot.paper.closed.length - MAX_CLOSED);
+        }
+        closed.push(position);
+        return false;
+    });
+    return closed;
+}
+
+module.exports = {
+    EXPIRY,
+    MAX_CLOSED,
+    createPaper,
+    open,
+    tick
+};
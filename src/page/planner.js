@@ -0,0 +1,158 @@
+"use strict";
+
+const indicators = require("./indicators");
+const orders = require("./orders");
+const registry = require("../strategies/registry");
+const schedule = require("./schedule");
+
+// The longest expiry a deal may ask for, in seconds.
+const { MAX_EXPIRY } = orders;
+
+// The strategy event each update action stands for.
+const EVENTS = {
+    updateStream: "stream",
+    updateHistory: "history",
+    signals: "signals"
+};
+
+/**
+ * Why the bot may not open a new deal on `asset` right now, or false if it
+ * may: it must be running inside its trading schedule (see schedule.js), the
+ * asset known, let through by the asset list and open for trading with
+ * enough payout, the pair's delay passed and the deals limit, which paper
+ * positions count towards, must leave room.
+ */
+function refusal(bot, asset) {
+    const { settings } = bot;
+    const rate = bot.rates[asset];
+    if (!settings.started) return "stopped";
+    const closed = schedule.check(settings, Date.now());
+    if (closed) return closed.reason;
+    if (!rate) return "unknown_asset";
+    if (!schedule.allowsAsset(settings, asset)) return "asset_blocked";
+    if ("otc" == asset.slice(-3) && !settings.use_otc) return "otc";
+    if (!rate.active) return "inactive";
+    if (orders.count(bot) + bot.paper.opened.length >= settings.deals_limit) return "deals_limit";
+    if (rate.nextDealTime > new Date) return "delay";
+    if (rate.profit < settings.min_profit) return "min_profit";
+    return false;
+}
+
+function canTrade(bot, asset) {
+    return !refusal(bot, asset);
+}
+
+function reachedTakeProfit(bot) {
+    const { balance, isDemo } = bot.userInfo;
+    return (isDemo ? balance.demo : balance.real) >= bot.settings.take_profit.sum;
+}
+
+/**
+ * A strategy's verdict as a deal: "up" or "down", or `{direction, expiry,
+ * amount}` to set the deal's own expiry in seconds and stake. Throws a
+ * TypeError for an expiry or stake the platform would not take.
+ */
+function toPlan(verdict) {
+    const plan = registry.isDirection(verdict) ? { direction: verdict } : verdict;
+    if (!plan || !registry.isDirection(plan.direction)) return false;
+    const { expiry = null, amount = null } = plan;
+    if (null != expiry && !(Number.isInteger(expiry) && expiry > 0 && expiry <= MAX_EXPIRY)) {
+        throw new TypeError(`expiry must be whole seconds up to ${MAX_EXPIRY}`);
+    }
+    if (null != amount && !(amount > 0)) throw new TypeError("amount must be a positive number");
+    return {
+        direction: plan.direction,
+        expiry,
+        amount: null == amount ? null : Math.floor(amount * 100) / 100
+    };
+}
+
+/**
+ * The deal the selected strategy opens on `asset` for the frame being
+ * handled, `{direction, expiry, amount}`, or false. Expiry and amount are
+ * null where the strategy leaves them to the bot. The strategy's `decide`
+ * only runs for the events it declares, with a context of:
+ *
+ * - `event`: "stream", "history" or "signals";
+ * - `asset` and `time`, the tick time in whole seconds (the current time for
+ *   history and signals);
+ * - `candles`: the asset's `{ts: [open, close, high, low]}` candles of the
+ *   strategy's timeframe, and `timeframe`, their length in seconds;
+ * - `signals`: the platform forecast per timeframe in minutes;
+ * - `rate`: everything the bot keeps for the asset;
+ * - `indicators`: the functions of indicators.js bound to the asset, time
+ *   and timeframe, e.g. `indicators.rsi({ period: 14 })`;
+ * - `state`: an object the strategy keeps per asset between calls;
+ * - `params`: the strategy's parameter values;
+ * - `settings`: the bot settings.
+ *
+ * A strategy that throws is reported and treated as having no opinion.
+ */
+function planDeal(bot, asset, time) {
+    const strategy = registry.get(bot.settings.strategy);
+    const event = EVENTS[bot.action];
+    if (!strategy || !strategy.events.includes(event)) return false;
+
+    const rate = bot.rates[asset];
+    const now = Math.trunc(null == time ? Date.now() / 1000 : time);
+    rate.state[strategy.id] = rate.state[strategy.id] || {};
+    const context = {
+        event,
+        asset,
+        time: now,
+        candles: rate.series[strategy.timeframe],
+        timeframe: strategy.timeframe,
+        signals: rate.signals,
+        rate,
+        indicators: indicators.bind(rate, now, strategy.timeframe),
+        state: rate.state[strategy.id],
+        params: registry.params(strategy, (bot.settings.params || {})[strategy.id]),
+        settings: bot.settings
+    };
+    try {
+        return toPlan(strategy.decide(context));
+    } catch (error) {
+        console.error("belobot:", strategy.id, error);
+        return false;
+    }
+}
+
+/**
+ * The Martingale re-entry for a robot deal that has just closed: the same
+ * asset, direction and expiry at the next stake of the ladder after a loss,
+ * or at the same stake after a draw. Null when no re-entry is due. `chain`
+ * is the deal's journal entry or paper position: its ladder `step`, `expiry`,
+ * the `base` stake the chain started from, and the bridge `signal` it was
+ * opened for. The result carries them on to the next deal.
+ *
+ * A deal opened for a bridge signal follows the signal's Martingale policy
+ * when it has one, at most `steps` re-entries, and the bot's settings
+ * otherwise.
+ */
+function planReentry(bot, deal, chain = {}) {
+    const { settings } = bot;
+    const { step = 0, expiry = null, signal = null } = chain;
+    const policy = signal && signal.martingale;
+    const martin = policy ? step < policy.steps : "martin" === settings.strategy || settings.useMartin;
+    if (!martin || !settings.started || deal.profit > 0) return null;
+    const base = chain.base || bot.userInfo.startSum;
+    const loss = deal.profit < 0;
+    return {
+        asset: deal.asset,
+        direction: 0 == deal.command ? "up" : "down",
+        amount: loss ? bot.getNextMartingaleStep(base, deal.amount) : deal.amount,
+        expiry,
+        base,
+        step: loss ? step + 1 : step,
+        signal
+    };
+}
+
+module.exports = {
+    MAX_EXPIRY,
+    refusal,
+    canTrade,
+    reachedTakeProfit,
+    planDeal,
+    planReentry
+};
@@ -0,0 +1,227 @@
+"use strict";
+
+/*
+ * The adapter between the broker's socket and the bot. Only this module
+ * knows how frames are laid out: everything else reads the payloads it
+ * returns, with named fields where the broker sends positional rows.
+ *
+ * Version 1 reads Socket.IO v4 packets as the platform sent them in 2025:
+ * events announced by a text frame such as
+ * `451-["updateStream",{"_placeholder":true,"num":0}]` and carried by the
+ * binary frame after it, or carried inline as `42["name",{...}]`.
+ */
+const VERSION = 1;
+
+// Events the bot reads, mapped to the action `update` handles them as.
+const EVENTS = {
+    updateHistoryNew: "updateHistory",
+    updateStream: "updateStream",
+    updateAssets: "updateAssets",
+    successupdateBalance: "updateBalance",
+    updateOpenedDeals: "updateOpenedDeals",
+    successopenOrder: "successopenOrder",
+    successcloseOrder: "successcloseOrder",
+    upsignals: "signals",
+    updateSignalForecast: "signals",
+    "signals/load": "signals",
+    "signals/update": "signals"
+};
+
+// An Engine.IO message (4) holding a Socket.IO packet: its type, the number
+// of binary attachments, a namespace, an ack id and the JSON data.
+const PACKET = /^4(\d)(?:(\d+)-)?(?:\/[^,]*,)?\d*(\[[\s\S]*)?$/;
+const EVENT = "2";
+const BINARY_EVENT = "5";
+
+function fail(problem) {
+    throw new TypeError(problem);
+}
+
+function check(condition, problem) {
+    if (!condition) fail(problem);
+}
+
+function isObject(value) {
+    return !!value && "object" == typeof value && !Array.isArray(value);
+}
+
+function isId(value) {
+    return ("string" == typeof value && "" != value) || Number.isFinite(value);
+}
+
+// A list whose every item passes `item`, which throws naming what is wrong.
+function checkList(value, name, item) {
+    check(Array.isArray(value), `${name} must be a list`);
+    value.forEach((entry, i) => item(entry, `${name}[${i}]`));
+}
+
+function checkNumbers(row, name, count) {
+    check(Array.isArray(row) && row.length >= count, `${name} must have ${count} numbers`);
+    for (let i = 0; i < count; i++) {
+        check(Number.isFinite(row[i]), `${name}[${i}] must be a number`);
+    }
+}
+
+/**
+ * Readers per action: each checks the decoded payload and returns it the way
+ * `bot.update` reads it, or throws a TypeError naming what is wrong.
+ */
+const READERS = {
+    updateHistory(data) {
+        check(isObject(data), "the history must be an object");
+        check("string" == typeof data.asset, "asset must be a symbol");
+        check(Number.isInteger(data.period) && data.period > 0, "period must be whole seconds");
+        // [time, open, close, high, low] and [time, price]
+        checkList(data.candles, "candles", (candle, name) => checkNumbers(candle, name, 5));
+        checkList(data.history, "history", (tick, name) => checkNumbers(tick, name, 2));
+        return data;
+    },
+
+    // [asset, time, price]
+    updateStream(data) {
+        checkList(data, "ticks", function(tick, name) {
+            check(Array.isArray(tick) && "string" == typeof tick[0], `${name}[0] must be a symbol`);
+            checkNumbers(tick.slice(1), name, 2);
+        });
+        return data.map(tick => ({ asset: tick[0], time: tick[1], price: tick[2] }));
+    },
+
+    // [id, symbol, name, ..., payout at 5, ..., active at 14]
+    updateAssets(data) {
+        checkList(data, "assets", function(row, name) {
+            check(Array.isArray(row) && row.length >= 15, `${name} must have 15 fields`);
+            check("string" == typeof row[1] && "" != row[1], `${name}[1] must be a symbol`);
+            check("string" == typeof row[2], `${name}[2] must be a name`);
+            check(Number.isFinite(row[5]), `${name}[5] must be a payout`);
+            check("boolean" == typeof row[14], `${name}[14] must be true or false`);
+        });
+        return data.map(row => ({ symbol: row[1], name: row[2], payout: row[5], active: row[14] }));
+    },
+
+    updateBalance(data) {
+        check(isObject(data), "the balance must be an object");
+        check(Number.isFinite(data.balance), "balance must be a number");
+        check([0, 1, true, false].includes(data.isDemo), "isDemo must be 0 or 1");
+        return data;
+    },
+
+    updateOpenedDeals(data) {
+        check(Array.isArray(data), "the opened deals must be a list");
+        return data;
+    },
+
+    successopenOrder(data) {
+        check(isObject(data), "the deal must be an object");
+        check(isId(data.id), "id is required");
+        check("string" == typeof data.asset, "asset must be a symbol");
+        check(Number.isFinite(data.amount), "amount must be a number");
+        check(0 == data.command || 1 == data.command, "command must be 0 or 1");
+        return data;
+    },
+
+    successcloseOrder(data) {
+        check(isObject(data), "the closed deals must be an object");
+        checkList(data.deals, "deals", function(deal, name) {
+            check(isObject(deal) && isId(deal.id), `${name}.id is required`);
+            check(Number.isFinite(deal.profit), `${name}.profit must be a number`);
+        });
+        return data;
+    },
+
+    // [asset, [[timeframe, level], ...]]
+    signals(data) {
+        check(isObject(data), "the signals must be an object");
+        checkList(data.signals, "signals", function(signal, name) {
+            check(Array.isArray(signal) && "string" == typeof signal[0], `${name}[0] must be a symbol`);
+            checkList(signal[1], `${name}[1]`, (forecast, item) => checkNumbers(forecast, item, 2));
+        });
+        return data.signals.map(signal => ({ asset: signal[0], forecasts: signal[1] }));
+    }
+};
+
+/**
+ * The Socket.IO event in a text frame: its `name`, the `action` the bot
+ * reads it as if any, whether its payload follows as a `binary` frame and
+ * the `args` it carries. Null for frames that are not events, such as pings.
+ * Throws a TypeError for an event frame that cannot be read.
+ */
+function parseEvent(frame) {
+    const packet = PACKET.exec(frame);
+    if (!packet || (EVENT != packet[1] && BINARY_EVENT != packet[1])) return null;
+    let args;
+    try {
+        args = JSON.parse(packet[3]);
+    } catch {
+        fail("the event is not JSON");
+    }
+    check(Array.isArray(args) && "string" == typeof args[0], "the event has no name");
+    const name = args[0];
+    return {
+        name,
+        action: Object.prototype.hasOwnProperty.call(EVENTS, name) ? EVENTS[name] : null,
+        binary: BINARY_EVENT == packet[1],
+        attachments: Number(packet[2] || 0),
+        args
+    };
+}
+
+// The action the binary frame after `event` is read as, or null when the
+// bot does not read it. Throws a TypeError for an event the bot reads that
+// does not carry exactly one payload.
+function binaryAction(event) {
+    if (!event.binary || !event.action) return null;
+    check(1 == event.attachments, `${event.name} carries ${event.attachments} binary payloads instead of one`);
+    return event.action;
+}
+
+// The JSON a binary frame carries, read as UTF-8.
+function decodePayload(buffer) {
+    try {
+        return JSON.parse(new TextDecoder().decode(buffer));
+    } catch {
+        fail("the payload is not JSON");
+    }
+}
+
+// The payload of `action` checked and in the shape `bot.update` reads.
+function readPayload(action, data) {
+    return READERS[action](data);
+}
+
+const DIRECTIONS = ["call", "put"];
+
+/**
+ * The order in an outbound frame such as `42["openOrder",{...}]`, as its
+ * packet `prefix` and `message`, or null for any other frame. Throws a
+ * TypeError for an openOrder the bot could not rewrite safely.
+ */
+function parseOrder(frame) {
+    const event = parseEvent(frame);
+    if (!event || "openOrder" != event.name) return null;
+    check(!event.binary, "openOrder carries a binary payload");
+    const params = event.args[1];
+    check(isObject(params), "openOrder has no parameters");
+    check("string" == typeof params.asset, "openOrder: asset must be a symbol");
+    check(Number.isFinite(params.amount) && params.amount > 0, "openOrder: amount must be a positive number");
+    check(DIRECTIONS.includes(params.action), "openOrder: action must be call or put");
+    check(Number.isInteger(params.time) && params.time > 0, "openOrder: time must be whole seconds");
+    return {
+        prefix: frame.slice(0, frame.indexOf("[")),
+        message: event.args
+    };
+}
+
+function buildOrder(order) {
+    return order.prefix + JSON.stringify(order.message);
+}
+
+module.exports = {
+    VERSION,
+    EVENTS,
+    parseEvent,
+    binaryAction,
+    decodePayload,
+    readPayload,
+    parseOrder,
+    buildOrder
+};
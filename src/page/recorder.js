@@ -0,0 +1,107 @@
+"use strict";
+
+// Page localStorage flag that keeps recording on across reloads, so that a
+// recording can start with the very first frame of the socket.
+const RECORD_KEY = "belobot_record";
+const MAX_FRAMES = 200000;
+// Bytes turned into characters at a time, few enough for one call's arguments.
+const CHUNK = 8192;
+
+// The bytes of a binary frame as one character each, as replay.js reads them.
+function byteString(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let text = "";
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+        text += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+    }
+    return text;
+}
+
+/**
+ * Appends a frame to the running recording: "in" and "out" for the socket,
+ * "ctl" for control messages from the content script. Binary frames are kept
+ * as a string of one character per byte; `sent` is the frame that actually
+ * went out when the bot rewrote an outbound one.
+ */
+function record(bot, dir, data, sent) {
+    const recording = bot.recording;
+    if (!recording) return;
+    if (recording.frames.length >= MAX_FRAMES) {
+        recording.truncated = true;
+        return;
+    }
+    const frame = {
+        t: Date.now(),
+        dir
+    };
+    if (data instanceof ArrayBuffer) {
+        frame.binary = byteString(data);
+    } else if ("ctl" == dir) {
+        frame.data = data;
+    } else {
+        frame.text = data;
+    }
+    if (sent && sent !== data) {
+        frame.sent = sent;
+    }
+    recording.frames.push(frame);
+}
+
+// A recording started mid-session carries what the bot already knows in its
+// header, for the replay runner to prime a fresh bot with.
+function startRecording(bot) {
+    localStorage.setItem(RECORD_KEY, "1");
+    if (bot.recording) return;
+    const assets = [];
+    for (const asset in bot.rates) {
+        const rate = bot.rates[asset];
+        if (null != rate.profit) {
+            assets.push([asset, rate.fullname, rate.profit, rate.active]);
+        }
+    }
+    bot.recording = {
+        version: 1,
+        url: window.location.href,
+        startedAt: Date.now(),
+        uid: bot.userInfo.uid,
+        isDemo: bot.userInfo.isDemo,
+        onlyDemo: bot.userInfo.onlyDemo,
+        balance: Object.assign({}, bot.userInfo.balance),
+        settings: JSON.parse(JSON.stringify(bot.settings)),
+        assets,
+        frames: [],
+        truncated: false
+    };
+}
+
+function stopRecording(bot) {
+    localStorage.removeItem(RECORD_KEY);
+    if (!bot.recording) return;
+    const recording = bot.recording;
+    bot.recording = false;
+    download(
+        "belobot-" + new Date(recording.startedAt).toISOString().replace(/[:.]/g, "-") + ".json",
+        JSON.stringify(recording)
+    );
+}
+
+function download(name, text) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([text], {
+        type: "application/json"
+    }));
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(function() {
+        URL.revokeObjectURL(link.href);
+    }, 1000);
+}
+
+module.exports = {
+    RECORD_KEY,
+    record,
+    startRecording,
+    stopRecording
+};
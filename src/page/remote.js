@@ -0,0 +1,129 @@
+"use strict";
+
+const planner = require("./planner");
+const risk = require("./risk");
+const stake = require("./stake");
+const telegram = require("./telegram");
+
+// How long after its entry time a text signal may still be traded.
+const LATE = 60000;
+
+/**
+ * The signal a bridge command stands for: a trade command as it came, a text
+ * one parsed with its channel's profile against the assets in `rates`.
+ * Throws a TypeError when the text cannot be read.
+ */
+function read(bot, signal, now) {
+    if (null == signal.text) return signal;
+    const assets = {};
+    for (const symbol in bot.rates) {
+        assets[symbol] = bot.rates[symbol].fullname;
+    }
+    const parsed = telegram.parse(signal.text, assets, telegram.profile(signal.profile, signal.source), now);
+    return Object.assign({}, signal, parsed, {
+        martingale: null == parsed.martingale ? null : { steps: parsed.martingale }
+    });
+}
+
+/**
+ * Why a bridge signal cannot be traded, or false when it can. A channel
+ * whose `score` (see stats.js) is below `min_score` is ignored; the signal
+ * then goes through what the bot's own deals go through: the rates table
+ * (known, active asset with enough payout, OTC allowed), the delay and deals
+ * limit, the take profit and the risk limits.
+ */
+function refusal(bot, signal, now = Date.now()) {
+    const { min_score } = bot.settings;
+    if (min_score > 0 && null != signal.score && signal.score < min_score) return "low_score";
+    if (signal.entry && signal.entry < now - LATE) return "late";
+    const reason = planner.refusal(bot, signal.asset);
+    if (reason) return reason;
+    if (!bot.checkTakeProfit()) return "take_profit";
+    if (!bot.checkRisk()) return bot.session.limit.reason;
+    const amount = signal.amount || stake.amount(bot, signal.asset);
+    if (amount && !risk.allowsStake(bot, signal.asset, amount)) return "martin_exposure";
+    return false;
+}
+
+/**
+ * Queues the deal of a signal `refusal` let through. Without an amount or
+ * expiry of its own the deal takes the bot's stake and expiry. Why it was not
+ * opened, or false once it is queued.
+ */
+function open(bot, signal) {
+    const opened = bot.deal(signal.asset, signal.direction, {
+        amount: signal.amount || stake.amount(bot, signal.asset),
+        expiry: signal.expiry || bot.settings.expiry || null,
+        signal
+    });
+    // In paper mode a position needs a price to open at.
+    return !opened && "no_price";
+}
+
+// The acknowledgement sent back to the signal's source. A text signal's is
+// followed by what was read from it.
+function ack(signal, fields) {
+    return Object.assign({
+        type: "ack",
+        id: signal.id,
+        source: signal.source
+    }, fields, null == signal.text || null == signal.asset ? {} : {
+        signal: {
+            asset: signal.asset,
+            direction: signal.direction,
+            expiry: signal.expiry,
+            entry: signal.entry,
+            martingale: signal.martingale
+        }
+    });
+}
+
+function execute(bot, signal) {
+    const reason = refusal(bot, signal) || open(bot, signal);
+    return ack(signal, Object.assign({
+        accepted: !reason
+    }, reason ? { reason } : {}));
+}
+
+function unread(signal, error) {
+    return ack(signal, {
+        accepted: false,
+        reason: "unparsed",
+        error: error.message
+    });
+}
+
+function scheduled(signal) {
+    return ack(signal, {
+        accepted: true,
+        scheduled: signal.entry
+    });
+}
+
+// What the source learns about each closed deal of its signal, Martingale
+// re-entries included.
+function result(signal, deal, step, paper) {
+    return {
+        type: "result",
+        id: signal.id,
+        source: signal.source,
+        deal: paper ? null : deal.id,
+        asset: deal.asset,
+        direction: 0 == deal.command ? "up" : "down",
+        amount: deal.amount,
+        step,
+        profit: deal.profit,
+        paper
+    };
+}
+
+module.exports = {
+    LATE,
+    read,
+    refusal,
+    open,
+    execute,
+    unread,
+    scheduled,
+    result
+};
@@ -0,0 +1,159 @@
+"use strict";
+
+// Page localStorage keys for the day's realized result of robot deals on the
+// demo and the real account, so that the daily loss cap holds across page
+// reloads and one account's losses never count against the other's.
+const DAILY_KEYS = {
+    demo: "belobot_daily_demo",
+    real: "belobot_daily_real"
+};
+// The one key both accounts shared before.
+const LEGACY_DAILY_KEY = "belobot_daily";
+
+// Limits that stop the bot; the cooldown only pauses it.
+const STOPPING = ["stop_loss", "daily_loss"];
+
+function today() {
+    const now = new Date;
+    return [now.getFullYear(), now.getMonth() + 1, now.getDate()].join("-");
+}
+
+/**
+ * What the risk limits are measured against: the balance the session started
+ * with, the realized result of its robot deals, the current run of losses and
+ * the stakes lost so far in each asset's Martingale chain.
+ */
+function createSession() {
+    return {
+        start: 0,
+        net: 0,
+        streak: 0,
+        cooldownUntil: 0,
+        exposure: {},
+        // The limit last reported to the content script.
+        limit: false
+    };
+}
+
+function dailyKey(isDemo) {
+    return isDemo ? DAILY_KEYS.demo : DAILY_KEYS.real;
+}
+
+// Moves a record under LEGACY_DAILY_KEY to the account read first, unless an
+// account already has a record of its own, and drops the old key.
+function migrateDaily(isDemo) {
+    const legacy = localStorage.getItem(LEGACY_DAILY_KEY);
+    if (null == legacy) return;
+    if (null == localStorage.getItem(DAILY_KEYS.demo) && null == localStorage.getItem(DAILY_KEYS.real)) {
+        localStorage.setItem(dailyKey(isDemo), legacy);
+    }
+    localStorage.removeItem(LEGACY_DAILY_KEY);
+}
+
+function readDaily(isDemo) {
+    migrateDaily(isDemo);
+    let daily = null;
+    try {
+        daily = JSON.parse(localStorage.getItem(dailyKey(isDemo)));
+    } catch {}
+    return daily && today() == daily.day ? daily : {
+        day: today(),
+        net: 0
+    };
+}
+
+function startSession(bot) {
+    const { balance, isDemo } = bot.userInfo;
+    Object.assign(bot.session, createSession(), {
+        start: isDemo ? balance.demo : balance.real,
+        cooldownUntil: bot.session.cooldownUntil
+    });
+}
+
+/**
+ * Books a closed robot deal: the session and daily results, the losing streak
+ * and the asset's Martingale exposure. A streak of `loss_streak` losses starts
+ * a cooldown of `cooldown` minutes. With `daily: false`, for a paper deal, the
+ * account's daily result is left alone.
+ */
+function settle(bot, deal, { daily = true } = {}) {
+    const { settings, session } = bot;
+    if (daily) {
+        const isDemo = null != deal.isDemo ? !!deal.isDemo : bot.userInfo.isDemo;
+        const record = readDaily(isDemo);
+        record.net += deal.profit;
+        localStorage.setItem(dailyKey(isDemo), JSON.stringify(record));
+    }
+    session.net += deal.profit;
+
+    if (deal.profit < 0) {
+        session.streak++;
+        session.exposure[deal.asset] = (session.exposure[deal.asset] || 0) + deal.amount;
+    } else if (deal.profit > 0) {
+        session.streak = 0;
+        delete session.exposure[deal.asset];
+    }
+
+    if (settings.loss_streak > 0 && session.streak >= settings.loss_streak) {
+        session.cooldownUntil = Date.now() + 60000 * settings.cooldown;
+        session.streak = 0;
+    }
+}
+
+/**
+ * The limit that keeps the bot from opening deals right now, or false. Zero
+ * turns a limit off; the percent stop loss is taken from the session's
+ * starting balance.
+ */
+function check(bot) {
+    const { settings, session } = bot;
+    const loss = -session.net;
+    if (loss > 0 && settings.stop_loss > 0 && session.start > 0 && loss >= session.start * settings.stop_loss / 100) {
+        return {
+            reason: "stop_loss",
+            limit: settings.stop_loss + "%"
+        };
+    }
+    if (loss > 0 && settings.stop_loss_sum > 0 && loss >= settings.stop_loss_sum) {
+        return {
+            reason: "stop_loss",
+            limit: settings.stop_loss_sum
+        };
+    }
+    const daily = readDaily(bot.userInfo.isDemo);
+    if (daily.net < 0 && settings.daily_loss > 0 && -daily.net >= settings.daily_loss) {
+        return {
+            reason: "daily_loss",
+            limit: settings.daily_loss
+        };
+    }
+    if (session.cooldownUntil > Date.now()) {
+        return {
+            reason: "cooldown",
+            limit: settings.loss_streak,
+            until: session.cooldownUntil
+        };
+    }
+    return false;
+}
+
+// Whether the next stake of an asset's Martingale chain stays within
+// `martin_exposure` together with the stakes the chain has already lost.
+function allowsStake(bot, asset, amount) {
+    const max = bot.settings.martin_exposure;
+    return !(max > 0 && (bot.session.exposure[asset] || 0) + amount > max);
+}
+
+function isStopping(limit) {
+    return STOPPING.includes(limit.reason);
+}
+
+module.exports = {
+    DAILY_KEYS,
+    createSession,
+    startSession,
+    settle,
+    check,
+    allowsStake,
+    isStopping
+};
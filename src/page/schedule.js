@@ -0,0 +1,90 @@
+"use strict";
+
+/*
+ * When the bot may open deals: inside the weekly trading windows, outside
+ * the news blackouts, and on the assets the list lets through. Times are the
+ * browser's local time, the user's own.
+ *
+ * A window is `{days, from, to}`: the days of the week it opens on, 0 for
+ * Sunday, and minutes since midnight. A window whose `to` is not after its
+ * `from` runs overnight into the next day. No windows means any time.
+ *
+ * A blackout is a news event, `{title, start, end}` in ms with `end` null for
+ * a point in time, widened by `blackout_before` and `blackout_after` minutes.
+ */
+
+const MINUTE = 60000;
+// How far ahead `reopens` looks for the next open time, in days.
+const HORIZON = 8;
+
+function inWindow(window, date) {
+    const day = date.getDay();
+    const minutes = 60 * date.getHours() + date.getMinutes();
+    if (window.from < window.to) {
+        return window.days.includes(day) && minutes >= window.from && minutes < window.to;
+    }
+    return window.days.includes(day) && minutes >= window.from || window.days.includes((day + 6) % 7) && minutes < window.to;
+}
+
+function blackoutEnd(settings, event) {
+    return (null == event.end ? event.start : event.end) + settings.blackout_after * MINUTE;
+}
+
+function blackoutAt(settings, now) {
+    return settings.blackouts.find(event => event.start - settings.blackout_before * MINUTE <= now && now < blackoutEnd(settings, event)) || null;
+}
+
+/**
+ * Why no deal may open at `now` whatever the asset: `{reason: "schedule"}`
+ * outside the windows, `{reason: "blackout", title}` during a blackout; null
+ * when trading is open.
+ */
+function check(settings, now) {
+    const date = new Date(now);
+    if (settings.schedule.length > 0 && !settings.schedule.some(window => inWindow(window, date))) {
+        return { reason: "schedule" };
+    }
+    const event = blackoutAt(settings, now);
+    return event ? { reason: "blackout", title: event.title } : null;
+}
+
+/**
+ * The first time after `now` that trading opens again, in ms, or null if
+ * that is more than HORIZON days away. The candidates are the window openings
+ * and the blackout ends.
+ */
+function reopens(settings, now) {
+    const times = settings.blackouts.map(event => blackoutEnd(settings, event));
+    for (let i = 0; i < HORIZON; i++) {
+        const date = new Date(now);
+        date.setDate(date.getDate() + i);
+        settings.schedule.forEach(function(window) {
+            if (!window.days.includes(date.getDay())) return;
+            date.setHours(0, window.from, 0, 0);
+            times.push(date.getTime());
+        });
+    }
+    const open = times.filter(time => time > now).sort((a, b) => a - b).find(time => !check(settings, time));
+    return undefined === open ? null : open;
+}
+
+/**
+ * Whether the asset list lets `asset` through. `asset_mode` is "all",
+ * "allow" for only the listed assets or "block" for all but them. A listed
+ * pair covers its OTC variant too: "EURUSD" stands for EURUSD_otc as well.
+ */
+function allowsAsset(settings, asset) {
+    if ("allow" != settings.asset_mode && "block" != settings.asset_mode) return true;
+    const symbol = asset.toUpperCase();
+    const listed = settings.assets.some(function(entry) {
+        const name = entry.toUpperCase();
+        return name == symbol || `${name}_OTC` == symbol;
+    });
+    return listed == ("allow" == settings.asset_mode);
+}
+
+module.exports = {
+    check,
+    reopens,
+    allowsAsset
+};
@@ -0,0 +1,191 @@
+"use strict";
+
+const registry = require("../strategies/registry");
+const stake = require("./stake");
+
+// The version of the settings layout that profiles are stored and exported
+// with. Version 1 is the flat keys stored before profiles; see
+// src/content/profiles.js for the migration.
+const VERSION = 2;
+
+function number(min, max) {
+    return { type: "number", min, max };
+}
+
+function integer(min, max) {
+    return { type: "integer", min, max };
+}
+
+const BOOLEAN = { type: "boolean" };
+
+/**
+ * Every setting the content script may set, with its bounds. Numbers outside
+ * their bounds are clamped; a value of the wrong kind is refused and the
+ * setting keeps its current value. `take_profit` is the percent, the sum
+ * follows from it when the bot starts.
+ */
+const SCHEMA = {
+    strategy: { type: "strategy" },
+    min_profit: number(10, 92),
+    delay: integer(0, 900),
+    deals_limit: integer(1, 10),
+    take_profit: number(1, 900),
+    // Minimum forecast strength per timeframe, see patterns.signals.
+    signals: { type: "list", of: integer(0, 2), length: 6 },
+    use_otc: BOOLEAN,
+    martinSteps: { type: "list", of: number(1, 10), length: 9 },
+    useMartin: BOOLEAN,
+    stop_loss: number(0, 100),
+    stop_loss_sum: number(0, 100000),
+    daily_loss: number(0, 100000),
+    martin_exposure: number(0, 100000),
+    loss_streak: integer(0, 20),
+    cooldown: number(1, 1440),
+    params: { type: "params" },
+    paper: BOOLEAN,
+    paper_amount: number(1, 10000),
+    min_score: number(0, 100),
+    expiry: integer(0, 14400),
+    stake_mode: { type: "choice", values: stake.MODES },
+    stake_amount: number(1, 10000),
+    stake_percent: number(0.1, 100),
+    kelly_fraction: number(1, 100),
+    schedule: {
+        type: "list",
+        max: 50,
+        of: {
+            type: "object",
+            fields: {
+                days: { type: "list", max: 7, of: integer(0, 6) },
+                from: integer(0, 1439),
+                to: integer(0, 1439)
+            }
+        }
+    },
+    asset_mode: { type: "choice", values: ["all", "allow", "block"] },
+    assets: { type: "list", max: 200, of: { type: "symbol" } },
+    blackouts: {
+        type: "list",
+        max: 500,
+        of: {
+            type: "object",
+            fields: {
+                title: { type: "string" },
+                start: { type: "time" },
+                end: { type: "time", optional: true }
+            }
+        }
+    },
+    blackout_before: number(0, 240),
+    blackout_after: number(0, 240)
+};
+
+function fail(problem) {
+    throw new TypeError(problem);
+}
+
+function readNumber(rule, value, name, problems) {
+    let result = "number" == typeof value ? value : "string" == typeof value && "" != value.trim() ? Number(value) : NaN;
+    if (!Number.isFinite(result)) fail(`${name} must be a number`);
+    if ("integer" == rule.type) result = Math.round(result);
+    const clamped = Math.min(Math.max(result, rule.min), rule.max);
+    if (clamped != result) problems.push(`${name} was ${result}, set to ${clamped}`);
+    return clamped;
+}
+
+// A reader per rule type: `value` checked against `rule`, clamped into its
+// bounds with the clamp noted in `problems`. Each throws a TypeError for a
+// value of the wrong kind.
+const READERS = {
+    number: readNumber,
+    integer: readNumber,
+    boolean(rule, value, name) {
+        if ("boolean" != typeof value) fail(`${name} must be true or false`);
+        return value;
+    },
+    string(rule, value, name) {
+        if ("string" != typeof value) fail(`${name} must be a text`);
+        return value;
+    },
+    symbol(rule, value, name) {
+        if ("string" != typeof value || !/^#?[A-Za-z0-9_.]+$/.test(value)) fail(`${name} must be an asset symbol`);
+        return value;
+    },
+    time(rule, value, name) {
+        if (null == value && rule.optional) return null;
+        if (!Number.isFinite(value)) fail(`${name} must be a time in ms`);
+        return value;
+    },
+    choice(rule, value, name) {
+        if (!rule.values.includes(value)) fail(`${name} must be one of ${rule.values.join(", ")}`);
+        return value;
+    },
+    strategy(rule, value, name) {
+        if (!registry.get(value)) fail(`${name}: there is no strategy "${value}"`);
+        return value;
+    },
+    list(rule, value, name, problems) {
+        if (!Array.isArray(value)) fail(`${name} must be a list`);
+        if (null != rule.length && value.length != rule.length) fail(`${name} must have ${rule.length} items`);
+        if (null != rule.max && value.length > rule.max) fail(`${name} may have at most ${rule.max} items`);
+        return value.map((item, i) => read(rule.of, item, `${name}[${i}]`, problems));
+    },
+    object(rule, value, name, problems) {
+        if (!value || "object" != typeof value) fail(`${name} must be an object`);
+        const result = {};
+        for (const key in rule.fields) {
+            result[key] = read(rule.fields[key], value[key], `${name}.${key}`, problems);
+        }
+        return result;
+    },
+    params(rule, value, name) {
+        if (!value || "object" != typeof value) fail(`${name} must be an object`);
+        const result = {};
+        for (const id in value) {
+            const strategy = registry.get(id);
+            // Kept as they are for a user strategy this build does not have.
+            result[id] = strategy ? registry.params(strategy, value[id]) : value[id];
+        }
+        return result;
+    }
+};
+
+function read(rule, value, name, problems) {
+    return READERS[rule.type](rule, value, name, problems);
+}
+
+/**
+ * The settings of `input` that SCHEMA knows, each validated and clamped,
+ * and the `problems` met on the way: values refused or clamped. Keys it does
+ * not know, such as `started`, are left out.
+ */
+function sanitize(input) {
+    const values = {};
+    const problems = [];
+    for (const key in input) {
+        if (!Object.prototype.hasOwnProperty.call(SCHEMA, key)) continue;
+        try {
+            values[key] = read(SCHEMA[key], input[key], key, problems);
+        } catch (error) {
+            problems.push(error.message);
+        }
+    }
+    return { values, problems };
+}
+
+// The settings a profile holds: every key of SCHEMA, `take_profit` as its
+// percent.
+function pick(settings) {
+    const values = {};
+    for (const key in SCHEMA) {
+        values[key] = "take_profit" == key ? settings.take_profit.percent : settings[key];
+    }
+    return values;
+}
+
+module.exports = {
+    VERSION,
+    SCHEMA,
+    sanitize,
+    pick
+};
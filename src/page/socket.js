@@ -0,0 +1,147 @@
+"use strict";
+
+const diagnostics = require("./diagnostics");
+const orders = require("./orders");
+const protocol = require("./protocol");
+
+// Hands the payload `read` returns to `bot.update` as `action`, or fails
+// safe when it does not read as the protocol says.
+function receive(bot, action, read) {
+    let data;
+    try {
+        data = protocol.readPayload(action, read());
+    } catch (error) {
+        bot.failSafe(action, error);
+        return;
+    }
+    bot.action = action;
+    bot.update(data);
+}
+
+// An inbound text frame: an event carried inline is read at once, one
+// carried by the next binary frame sets `bot.action` for it.
+function receiveText(bot, frame) {
+    let event;
+    try {
+        event = protocol.parseEvent(frame);
+    } catch (error) {
+        bot.failSafe(null, error);
+        return;
+    }
+    if (!event) return;
+    diagnostics.seen(bot.diagnostics, "in", event);
+    if (event.binary) {
+        bot.action = false;
+        try {
+            bot.action = protocol.binaryAction(event) || false;
+        } catch (error) {
+            bot.failSafe(event.action, error);
+        }
+    } else if (event.action) {
+        receive(bot, event.action, () => event.args[1]);
+    }
+}
+
+// The order in an outbound frame, null for any other frame. Throws when the
+// frame is an openOrder the bot cannot read.
+function readOrder(bot, frame) {
+    if ("string" != typeof frame) return null;
+    let event;
+    try {
+        event = protocol.parseEvent(frame);
+    } catch (error) {
+        bot.failSafe(null, error);
+        return null;
+    }
+    if (!event) return null;
+    diagnostics.seen(bot.diagnostics, "out", event);
+    return protocol.parseOrder(frame);
+}
+
+/**
+ * Replaces `window.WebSocket` so that every socket the platform opens feeds
+ * the bot and lets it rewrite outbound orders. While an order is planned,
+ * the next order the platform sends takes its asset, direction and stake,
+ * see orders.js.
+ * In paper mode every frame goes out as the page sent it. A frame the bot
+ * trades on that does not read as protocol.js expects stops the bot, see
+ * `bot.failSafe`.
+ */
+function patchWebSocket(bot) {
+    const NativeWebSocket = window.WebSocket;
+
+    window.WebSocket = function(url, protocols) {
+        const socket = protocols ? new NativeWebSocket(url, protocols) : new NativeWebSocket(url);
+
+        socket.addEventListener("message", function(event) {
+            bot.record("in", event.data);
+            if (event.data instanceof ArrayBuffer) {
+                const action = bot.action;
+                bot.action = false;
+                action && receive(bot, action, () => protocol.decodePayload(event.data));
+            } else if ("string" == typeof event.data) {
+                receiveText(bot, event.data);
+            }
+        });
+
+        socket.oldSend = NativeWebSocket.prototype.send;
+        socket.send = function(frame) {
+            const { settings, userInfo } = bot;
+            let order = null;
+            let problem = null;
+            try {
+                order = readOrder(bot, frame);
+            } catch (error) {
+                problem = error;
+            }
+            const planned = orders.next(bot);
+            if (!settings.started || settings.paper || !(planned || !userInfo.startSum) || !(order || problem)) {
+                bot.record("out", frame);
+                socket.oldSend.apply(this, [frame]);
+                return;
+            }
+            if (problem) {
+                // With an order planned the frame is the bot's own click; sent
+                // as the platform made it, it would trade the platform's asset
+                // and stake instead.
+                bot.failSafe("openOrder", problem);
+                bot.record("out", frame);
+                planned || socket.oldSend.apply(this, [frame]);
+                return;
+            }
+
+            const params = order.message[1];
+            userInfo.startSum = params.amount;
+            if (!planned) {
+                // An order of the user's own, which gives the platform's stake.
+                bot.record("out", frame);
+                socket.oldSend.apply(this, [frame]);
+                return;
+            }
+            params.asset = planned.asset;
+            params.action = planned.direction;
+            if (planned.amount) {
+                params.amount = planned.amount;
+            }
+            if (planned.expiry) {
+                params.time = planned.expiry;
+            } else {
+                planned.expiry = params.time;
+            }
+            planned.base = planned.base || userInfo.startSum;
+            if (userInfo.onlyDemo) {
+                params.isDemo = 1;
+            }
+            const rewritten = protocol.buildOrder(order);
+            orders.sent(bot, planned, params.requestId);
+            bot.record("out", frame, rewritten);
+            socket.oldSend.apply(this, [rewritten]);
+        };
+
+        return socket;
+    };
+}
+
+module.exports = {
+    patchWebSocket
+};
@@ -0,0 +1,64 @@
+"use strict";
+
+// How the first stake of a deal is chosen when its strategy or signal does
+// not set one: the amount set in the platform, a fixed sum, a percent of the
+// balance, or the Kelly fraction of the balance.
+const MODES = ["platform", "fixed", "percent", "kelly"];
+
+// The platform's smallest stake.
+const MIN_STAKE = 1;
+// Robot deals the Kelly estimate looks back on, and how many it needs before
+// it is used instead of the fixed sum.
+const KELLY_DEALS = 50;
+const KELLY_MIN_DEALS = 10;
+
+function balance(bot) {
+    const { balance, isDemo } = bot.userInfo;
+    return isDemo ? balance.demo : balance.real;
+}
+
+function cents(amount) {
+    return Math.floor(amount * 100) / 100;
+}
+
+/**
+ * The fraction of the balance the Kelly criterion stakes at win rate `p`
+ * and `payout` percent: p - (1 - p) / b, where b is what a won deal pays per
+ * unit staked. Zero or less means the deals have no edge.
+ */
+function kelly(p, payout) {
+    return p - (1 - p) / (payout / 100);
+}
+
+/**
+ * The stake of a new deal on `asset`, or null to keep the platform's amount.
+ * The percent stake is `stake_percent` of the balance. The Kelly stake is
+ * `kelly_fraction` percent of the full Kelly stake, from the win rate of the
+ * last KELLY_DEALS robot deals (paper ones in paper mode) and the asset's
+ * payout, and never more than the percent stake. Until there are enough
+ * deals it is the fixed sum, and without an edge the platform's minimum, so
+ * that the win rate keeps being measured.
+ */
+function amount(bot, asset) {
+    const { settings } = bot;
+    if ("fixed" == settings.stake_mode) return Math.max(cents(settings.stake_amount), MIN_STAKE);
+    if ("percent" != settings.stake_mode && "kelly" != settings.stake_mode) return null;
+
+    const cap = Math.max(cents(balance(bot) * settings.stake_percent / 100), MIN_STAKE);
+    if ("percent" == settings.stake_mode) return cap;
+
+    const recent = (settings.paper ? bot.paper.closed : bot.userInfo.robotDeals.closed).slice(-KELLY_DEALS).filter(profit => 0 != profit);
+    if (recent.length < KELLY_MIN_DEALS) return Math.max(cents(settings.stake_amount), MIN_STAKE);
+    const p = recent.filter(profit => profit > 0).length / recent.length;
+    const fraction = kelly(p, bot.rates[asset].profit) * settings.kelly_fraction / 100;
+    return Math.min(Math.max(cents(balance(bot) * fraction), MIN_STAKE), cap);
+}
+
+module.exports = {
+    MODES,
+    MIN_STAKE,
+    KELLY_DEALS,
+    KELLY_MIN_DEALS,
+    kelly,
+    amount
+};
@@ -0,0 +1,77 @@
+"use strict";
+
+const { PERIOD, candleStart } = require("./candles");
+
+/**
+ * The direction shared by the live candle and the `count` candles before it,
+ * or false as soon as one is missing, flat or points the other way.
+ */
+function candlesInRow(candles, time, count, timeframe = PERIOD) {
+    let direction = false;
+    for (let i = 0, ts = candleStart(time, timeframe); i <= count; i++, ts -= timeframe) {
+        const candle = candles[ts];
+        if (null == candle) return false;
+        if (candle[0] == candle[1]) return false;
+        const current = candle[0] < candle[1] ? "up" : "down";
+        if (direction && direction != current) return false;
+        direction = current;
+    }
+    return direction;
+}
+
+/**
+ * Pin bar on the live candle once two thirds of it have passed (40 seconds of
+ * a minute): a shadow longer than the other one and `ratio` times the body
+ * points against the shadow.
+ */
+function pinBar(candles, time, ratio, timeframe = PERIOD) {
+    const start = candleStart(time, timeframe);
+    const candle = candles[start];
+    if (null == candle || 3 * (time - start) < 2 * timeframe) return false;
+    const body = Math.abs(candle[1] - candle[0]);
+    const upper = candle[2] - Math.max(candle[0], candle[1]);
+    const lower = Math.min(candle[0], candle[1]) - candle[3];
+    if (upper > lower && upper > body * ratio) return "down";
+    return upper < lower && lower > body * ratio && "up";
+}
+
+// Platform forecasts per timeframe in minutes: 1-2 is the strength of an up
+// forecast, 3-4 of a down one. `levels` holds the minimum strength required
+// on the 1, 2, 3, 5, 10 and 15 minute timeframes, 0 to ignore one. A
+// timeframe without a forecast yet does not hold the others back.
+const SIGNAL_TIMEFRAMES = [1, 2, 3, 5, 10, 15];
+
+function signals(forecasts, levels) {
+    let direction = false;
+    for (let i = 0; i < SIGNAL_TIMEFRAMES.length; i++) {
+        if (0 == levels[i]) continue;
+        let level = forecasts[SIGNAL_TIMEFRAMES[i]];
+        if (level > 0) {
+            if (level > 2) {
+                if ("up" == direction) return false;
+                direction = "down";
+                level -= 2;
+            } else {
+                if ("down" == direction) return false;
+                direction = "up";
+            }
+        }
+        if (level < levels[i]) return false;
+    }
+    return direction;
+}
+
+// The expiry in seconds of the shortest forecast `levels` requires, the one
+// a signals deal can be trusted for; null when no level is set.
+function signalExpiry(levels) {
+    const i = levels.findIndex(level => level > 0);
+    return -1 == i ? null : 60 * SIGNAL_TIMEFRAMES[i];
+}
+
+module.exports = {
+    candles: candlesInRow,
+    pinBar,
+    signals,
+    signalExpiry,
+    SIGNAL_TIMEFRAMES
+};
@@ -0,0 +1,248 @@
+"use strict";
+
+/*
+ * Reads free-text signals as channels post them, e.g.
+ *
+ *     EUR/USD OTC 🔼 CALL 5 min, M1 up to 2 gales
+ *
+ * into the asset as the platform names it, the direction, the expiry in
+ * seconds, the entry time and the Martingale depth. Parsing is deterministic
+ * and offline: the only inputs are the text, the assets of `updateAssets`,
+ * the channel's profile and the current time.
+ *
+ * The fields are read one after the other, Martingale depth, entry time,
+ * expiry, asset and direction, and each match is blanked out before the next
+ * field is looked for, so that "up to 2 gales" is not read as a direction.
+ * Of several expiries the first wins: "5 min, M1" expires in five minutes.
+ */
+
+const MINUTE = 60;
+
+/**
+ * A profile is a set of patterns. Any of them can be replaced per channel;
+ * `pattern`, if given, must match the whole message and its named groups
+ * (`asset`, `direction`, `expiry`, `entry`, `martingale`) narrow each field to
+ * its part of the text.
+ */
+const DEFAULT = {
+    id: "default",
+    // Bridge sources that use the profile.
+    channels: [],
+    // Minutes east of UTC the channel's entry times are given in; null for
+    // the browser's time zone.
+    utcOffset: null,
+    pattern: null,
+    up: /\b(?:call|buy|up|higher|compra|acima)\b|🔼|⬆|📈|🟢/iu,
+    down: /\b(?:put|sell|down|lower|venda|abaixo)\b|🔽|⬇|📉|🔴/iu,
+    // [pattern, seconds per unit], tried in order.
+    expiry: [
+        [/\b(\d{1,3})\s*(?:min(?:ute)?s?|m)\b/i, MINUTE],
+        [/\b(\d{1,3})\s*(?:sec(?:ond)?s?|s)\b/i, 1],
+        [/\b(\d{1,2})\s*(?:hours?|h)\b/i, 60 * MINUTE],
+        [/\bM(\d{1,2})\b/i, MINUTE],
+        [/\bS(\d{1,2})\b/i, 1],
+        [/\bH(\d)\b/i, 60 * MINUTE]
+    ],
+    entry: /\b([01]?\d|2[0-3])[:h]([0-5]\d)\b/i,
+    martingale: /\b(?:up to|max(?:imum)?|até|hasta)?\s*(\d)\s*(?:gales?|martingales?)\b|\b(?:gale|martingale|mg)\s*(\d)\b/i,
+    noMartingale: /\b(?:no|without|sem|sin)\s+(?:gales?|martingales?)\b/i
+};
+
+const profiles = new Map();
+
+function register(profile) {
+    if ("string" != typeof profile.id || "" == profile.id) throw new TypeError("a profile needs an id");
+    if (profiles.has(profile.id)) throw new TypeError(`profile "${profile.id}" is already registered`);
+    profiles.set(profile.id, Object.assign({}, DEFAULT, profile));
+}
+
+// Channel profiles are loaded one by one, as strategies are, so a broken one
+// is reported and left out.
+function load(list) {
+    list.forEach(function(profile) {
+        try {
+            register(profile);
+        } catch (error) {
+            console.error("belobot:", error.message);
+        }
+    });
+}
+
+// The profile named by a command, else the one that lists its channel, else
+// the default.
+function profile(id, channel) {
+    if (id && profiles.has(id)) return profiles.get(id);
+    for (const candidate of profiles.values()) {
+        if (candidate.channels.includes(channel)) return candidate;
+    }
+    return profiles.get("default");
+}
+
+function fail(problem) {
+    throw new TypeError(problem);
+}
+
+// The first match of `pattern` in `text`, and the text with it blanked out.
+function take(text, pattern) {
+    const match = pattern.exec(text);
+    if (!match) return { match: null, rest: text };
+    return {
+        match,
+        rest: text.slice(0, match.index) + " ".repeat(match[0].length) + text.slice(match.index + match[0].length)
+    };
+}
+
+function escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// What an asset is called in a message: "EUR/USD", "eurusd", "EUR-USD" for
+// a pair, the ticker or the platform's full name otherwise.
+function names(symbol, fullname) {
+    const base = symbol.replace(/^#/, "").replace(/_otc$/i, "");
+    const list = [];
+    if (/^[A-Z]{6}$/i.test(base)) {
+        list.push(`${base.slice(0, 3)}\\s*[/\\-_.]?\\s*${base.slice(3)}`);
+    } else {
+        list.push(escape(base));
+    }
+    if (fullname) {
+        const name = fullname.replace(/\s*\bOTC\b\s*/i, " ").trim();
+        name && name.toUpperCase() != base.toUpperCase() && list.push(escape(name).replace(/\s+/g, "\\s*"));
+    }
+    return { base: base.toUpperCase(), pattern: list.join("|") };
+}
+
+/**
+ * The platform symbol of the asset named first in `text`, "OTC" after the
+ * name choosing the OTC variant, and the text with the name blanked out.
+ * `assets` maps symbols to their full names, as `rates` keeps them.
+ */
+function readAsset(text, assets) {
+    let best = null;
+    for (const symbol in assets) {
+        const { base, pattern } = names(symbol, assets[symbol]);
+        const match = new RegExp(`(?:^|[^A-Z0-9])(${pattern})(?![A-Z0-9])`, "i").exec(text);
+        if (!match) continue;
+        const index = match.index + match[0].length - match[1].length;
+        if (!best || index < best.index || index == best.index && match[1].length > best.length) {
+            best = { base, index, length: match[1].length };
+        }
+    }
+    if (!best) fail("no known asset");
+
+    const after = /^[\s\-_([]*OTC\b\)?/i.exec(text.slice(best.index + best.length));
+    const otc = !!after;
+    const end = best.index + best.length + (after ? after[0].length : 0);
+    const symbol = Object.keys(assets).find(function(candidate) {
+        const base = candidate.replace(/^#/, "").replace(/_otc$/i, "").toUpperCase();
+        return base == best.base && otc == /_otc$/i.test(candidate);
+    });
+    if (!symbol) fail(`${best.base}${otc ? " OTC" : ""} is not offered`);
+    return {
+        asset: symbol,
+        rest: text.slice(0, best.index) + " ".repeat(end - best.index) + text.slice(end)
+    };
+}
+
+function readDirection(text, { up, down }) {
+    const isUp = up.test(text);
+    const isDown = down.test(text);
+    if (isUp == isDown) fail(isUp ? "both directions" : "no direction");
+    return isUp ? "up" : "down";
+}
+
+function readExpiry(text, patterns) {
+    for (const [pattern, unit] of patterns) {
+        const { match, rest } = take(text, pattern);
+        if (match && Number(match[1]) > 0) return { expiry: unit * Number(match[1]), rest };
+    }
+    return { expiry: null, rest: text };
+}
+
+function readMartingale(text, { martingale, noMartingale }) {
+    const none = take(text, noMartingale);
+    if (none.match) return { martingale: 0, rest: none.rest };
+    const { match, rest } = take(text, martingale);
+    return { martingale: match ? Number(match[1] || match[2]) : null, rest };
+}
+
+/**
+ * The time in ms of the HH:MM entry nearest to `now`, a day before or after
+ * included, so that a signal posted just before midnight keeps its day.
+ */
+function readEntry(text, pattern, utcOffset, now) {
+    const { match, rest } = take(text, pattern);
+    if (!match) return { entry: null, rest };
+    const date = new Date(now);
+    if (null == utcOffset) {
+        date.setHours(Number(match[1]), Number(match[2]), 0, 0);
+    } else {
+        date.setTime(now + 60000 * utcOffset);
+        date.setUTCHours(Number(match[1]), Number(match[2]), 0, 0);
+        date.setTime(date.getTime() - 60000 * utcOffset);
+    }
+    const day = 86400000;
+    const entry = [date.getTime() - day, date.getTime(), date.getTime() + day]
+        .reduce((nearest, time) => Math.abs(time - now) < Math.abs(nearest - now) ? time : nearest);
+    return { entry, rest };
+}
+
+// The parts of `text` the profile's `pattern` assigns to each field, or the
+// whole text for every field.
+function fields(text, pattern) {
+    const all = {
+        asset: text,
+        direction: text,
+        expiry: text,
+        entry: text,
+        martingale: text
+    };
+    if (!pattern) return all;
+    const match = pattern.exec(text);
+    if (!match) fail("the message does not have the channel's format");
+    const groups = match.groups || {};
+    for (const key in all) {
+        all[key] = null == groups[key] ? "" : groups[key];
+    }
+    return all;
+}
+
+/**
+ * Reads a signal out of `text` with `profile`, or throws a TypeError naming
+ * what is missing. `martingale` is null when the text does not say.
+ */
+function parse(text, assets, profile = profiles.get("default"), now = Date.now()) {
+    const parts = fields(String(text), profile.pattern);
+    // Without a pattern each field is read from what the previous ones left.
+    const shared = !profile.pattern;
+    const martingale = readMartingale(parts.martingale, profile);
+    const entry = readEntry(shared ? martingale.rest : parts.entry, profile.entry, profile.utcOffset, now);
+    const expiry = readExpiry(shared ? entry.rest : parts.expiry, profile.expiry);
+    const asset = readAsset(shared ? expiry.rest : parts.asset, assets);
+    return {
+        asset: asset.asset,
+        direction: readDirection(shared ? asset.rest : parts.direction, profile),
+        expiry: expiry.expiry,
+        entry: entry.entry,
+        martingale: martingale.martingale
+    };
+}
+
+register({ id: "default" });
+
+// "M5;EURUSD-OTC;14:05;PUT": expiry, asset, entry time in Brasília time and
+// direction, as lists of scheduled signals are often posted.
+register({
+    id: "semicolon",
+    utcOffset: -180,
+    pattern: /^\s*(?<expiry>[MSH]\d+)\s*;\s*(?<asset>[^;]+?)\s*;\s*(?<entry>\d{1,2}:\d{2})\s*;\s*(?<direction>\w+)\s*(?:;(?<martingale>.*))?$/iu
+});
+
+module.exports = {
+    DEFAULT,
+    register,
+    load,
+    profile,
+    parse
+};
@@ -0,0 +1,12 @@
+"use strict";
+
+const { handOver } = require("../page/channel");
+
+// The bot runs in the page's own world, where the platform's
+// `window.WebSocket` is, as a content script of its own; see manifest.json.
+// This script opens the private channel to it, see src/page/channel.js, and
+// leaves the content scripts' end on this world's `window` for
+// document_end.js, which the page's scripts do not share.
+handOver(function(port) {
+    window.belobotPort = port;
+});
@@ -0,0 +1,160 @@
+"use strict";
+
+const patterns = require("../page/strategies");
+const { candleStart } = require("../page/candles");
+
+// Trades when `value` comes back inside the levels it had crossed on the
+// previous call for the asset.
+function reversal(state, value, upper, lower) {
+    let direction = false;
+    if (value < upper && state.last > upper) direction = "down";
+    if (value > lower && state.last < lower) direction = "up";
+    state.last = value;
+    return direction;
+}
+
+// "up" when `fast` has just crossed above `slow`, "down" when below.
+function cross(state, fast, slow) {
+    const side = fast > slow ? "up" : fast < slow ? "down" : false;
+    const direction = side && state.side && side != state.side && side;
+    if (side) state.side = side;
+    return direction;
+}
+
+// The strategies that ship with the bot. The English name and description
+// double as the defaults for catalogs that do not translate them.
+module.exports = [
+    {
+        id: "signals",
+        name: "signals",
+        description: "The bot will trade based on platform signals. Specify the signal level on each timeframe. After launching the bot, close and reopen the signals window.",
+        events: ["signals"],
+        params: {
+            forecastExpiry: { type: "boolean", default: false, name: "expire with the shortest forecast" }
+        },
+        decide({ signals, settings, params }) {
+            const direction = patterns.signals(signals, settings.signals);
+            if (!direction || !params.forecastExpiry) return direction;
+            return {
+                direction,
+                expiry: patterns.signalExpiry(settings.signals)
+            };
+        }
+    },
+    {
+        id: "cci",
+        name: "cci20",
+        description: "Trading using the CCI20 indicator. After launching the bot, alternately switch through the pairs that need to be analyzed. The robot will automatically enter into transactions.",
+        events: ["stream"],
+        params: {
+            period: { type: "integer", min: 5, max: 50, default: 20, name: "period" },
+            upper: { type: "number", min: 0, max: 300, default: 115, name: "upper level" },
+            lower: { type: "number", min: -300, max: 0, default: -105, name: "lower level" }
+        },
+        // The CCI and levels this bot has always traded on, not the textbook ones.
+        decide({ indicators, state, params }) {
+            const value = indicators.cci({ period: params.period, constant: 0.02, open: true });
+            return false !== value && reversal(state, value, params.upper, params.lower);
+        }
+    },
+    {
+        id: "candles",
+        name: "4 candles",
+        description: "The robot will make a deal when 4 candles in a row point in the same direction. The trade goes in the opposite direction. After launching the bot, alternately switch through the pairs that need to be analyzed. The robot will automatically enter into transactions.",
+        events: ["stream"],
+        params: {
+            count: { type: "integer", min: 1, max: 10, default: 4, name: "candles" },
+            against: { type: "boolean", default: true, name: "trade against the run" }
+        },
+        decide({ candles, time, timeframe, params }) {
+            const direction = patterns.candles(candles, time, params.count, timeframe);
+            if (!direction || !params.against) return direction;
+            return "down" == direction ? "up" : "down";
+        }
+    },
+    {
+        id: "pinBar",
+        name: "pinBar",
+        description: "Trades against the long shadow of a pin bar, 40 seconds into the candle.",
+        events: ["stream"],
+        params: {
+            ratio: { type: "number", min: 1, max: 20, default: 4, name: "shadow to body" }
+        },
+        decide({ candles, time, timeframe, params }) {
+            return patterns.pinBar(candles, time, params.ratio, timeframe);
+        }
+    },
+    {
+        id: "rsiReversal",
+        name: "RSI reversal",
+        description: "Trades against the move when RSI comes back from overbought or oversold.",
+        events: ["stream"],
+        params: {
+            period: { type: "integer", min: 2, max: 50, default: 14, name: "period" },
+            overbought: { type: "number", min: 50, max: 100, default: 70, name: "overbought" },
+            oversold: { type: "number", min: 0, max: 50, default: 30, name: "oversold" }
+        },
+        decide({ indicators, state, params }) {
+            const value = indicators.rsi({ period: params.period });
+            return false !== value && reversal(state, value, params.overbought, params.oversold);
+        }
+    },
+    {
+        id: "bollingerTouch",
+        name: "Bollinger touch",
+        description: "Trades back towards the middle when the price closes outside the Bollinger Bands.",
+        events: ["stream"],
+        params: {
+            period: { type: "integer", min: 5, max: 50, default: 20, name: "period" },
+            width: { type: "number", min: 0.5, max: 4, default: 2, name: "deviations" }
+        },
+        decide({ indicators, candles, time, timeframe, params }) {
+            const bands = indicators.bollinger(params);
+            if (!bands) return false;
+            const price = candles[candleStart(time, timeframe)][1];
+            if (price > bands.upper) return "down";
+            return price < bands.lower && "up";
+        }
+    },
+    {
+        id: "macdCross",
+        name: "MACD cross",
+        description: "Trades with the MACD line when it crosses its signal line.",
+        events: ["stream"],
+        params: {
+            fast: { type: "integer", min: 2, max: 50, default: 12, name: "fast EMA" },
+            slow: { type: "integer", min: 3, max: 100, default: 26, name: "slow EMA" },
+            signal: { type: "integer", min: 2, max: 50, default: 9, name: "signal EMA" }
+        },
+        decide({ indicators, state, params }) {
+            const value = params.fast < params.slow && indicators.macd(params);
+            return value && cross(state, value.macd, value.signal);
+        }
+    },
+    {
+        id: "emaCross",
+        name: "EMA cross",
+        description: "Trades with the fast EMA when it crosses the slow one.",
+        events: ["stream"],
+        params: {
+            fast: { type: "integer", min: 2, max: 50, default: 9, name: "fast EMA" },
+            slow: { type: "integer", min: 3, max: 200, default: 21, name: "slow EMA" }
+        },
+        decide({ indicators, state, params }) {
+            const fast = indicators.ema({ period: params.fast });
+            const slow = indicators.ema({ period: params.slow });
+            return false !== fast && false !== slow && cross(state, fast, slow);
+        }
+    },
+    {
+        // Opens nothing itself: it turns on the Martingale re-entries of the
+        // deals the user opens.
+        id: "martin",
+        name: "martingale",
+        description: "Repeats every lost deal at the next stake of the Martingale ladder.",
+        events: [],
+        decide() {
+            return false;
+        }
+    }
+];
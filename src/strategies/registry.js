@@ -0,0 +1,127 @@
+"use strict";
+
+const { PERIOD, TIMEFRAMES } = require("../page/candles");
+
+// What a strategy can be run on: `updateStream` ticks, `updateHistoryNew`
+// candles and `signals/update` forecasts.
+const EVENTS = ["stream", "history", "signals"];
+const TYPES = ["number", "integer", "boolean"];
+const DIRECTIONS = ["up", "down"];
+
+const strategies = new Map();
+
+function fail(id, problem) {
+    throw new TypeError(`strategy "${id}": ${problem}`);
+}
+
+/**
+ * Checks a strategy declaration:
+ *
+ *     {
+ *         id: "threeSoldiers",
+ *         name: "3 soldiers",
+ *         description: "Trades with three rising or falling candles.",
+ *         events: ["stream"],
+ *         timeframe: 300,
+ *         params: {
+ *             count: { type: "integer", min: 2, max: 10, default: 3, name: "candles" }
+ *         },
+ *         decide(context) { return "up"; }
+ *     }
+ *
+ * `timeframe` is the length in seconds of the candles the strategy reads, one
+ * of TIMEFRAMES in candles.js, one minute if left out. `decide` returns "up",
+ * "down" or nothing; its context is described at `decide` in planner.js.
+ */
+function validate(strategy) {
+    const id = strategy && strategy.id;
+    if ("string" != typeof id || !/^[A-Za-z][\w-]*$/.test(id)) fail(id, "the id must be a word");
+    if ("string" != typeof strategy.name || "" == strategy.name) fail(id, "a name is required");
+    if (!Array.isArray(strategy.events) || strategy.events.some(event => !EVENTS.includes(event))) {
+        fail(id, `events must be a list of ${EVENTS.join(", ")}`);
+    }
+    if (null != strategy.timeframe && !TIMEFRAMES.includes(strategy.timeframe)) {
+        fail(id, `timeframe must be one of ${TIMEFRAMES.join(", ")}`);
+    }
+    if ("function" != typeof strategy.decide) fail(id, "decide must be a function");
+    const params = strategy.params || {};
+    for (const key in params) {
+        const param = params[key];
+        if (!TYPES.includes(param.type)) fail(id, `parameter "${key}" must be of type ${TYPES.join(", ")}`);
+        if ("boolean" == param.type) {
+            if ("boolean" != typeof param.default) fail(id, `parameter "${key}" needs a boolean default`);
+            continue;
+        }
+        if (!(param.min <= param.default && param.default <= param.max)) {
+            fail(id, `parameter "${key}" needs min <= default <= max`);
+        }
+    }
+}
+
+function register(strategy) {
+    validate(strategy);
+    if (strategies.has(strategy.id)) fail(strategy.id, "already registered");
+    strategies.set(strategy.id, Object.assign({
+        description: "",
+        timeframe: PERIOD,
+        params: {}
+    }, strategy));
+}
+
+// User strategies are loaded one by one, so a broken one is reported and
+// left out instead of taking the bot down with it.
+function load(list) {
+    list.forEach(function(strategy) {
+        try {
+            register(strategy);
+        } catch (error) {
+            console.error("belobot:", error.message);
+        }
+    });
+}
+
+function get(id) {
+    return strategies.get(id);
+}
+
+function list() {
+    return Array.from(strategies.values());
+}
+
+/**
+ * The parameter values a strategy runs with: the stored ones where they are
+ * valid, clamped to their bounds, and the declared defaults elsewhere.
+ */
+function params(strategy, stored = {}) {
+    const values = {};
+    for (const key in strategy.params) {
+        const param = strategy.params[key];
+        let value = stored[key];
+        if ("boolean" == param.type) {
+            values[key] = "boolean" == typeof value ? value : param.default;
+            continue;
+        }
+        value = Number(value);
+        if (null == stored[key] || Number.isNaN(value)) value = param.default;
+        if ("integer" == param.type) value = Math.round(value);
+        values[key] = Math.min(Math.max(value, param.min), param.max);
+    }
+    return values;
+}
+
+function isDirection(value) {
+    return DIRECTIONS.includes(value);
+}
+
+require("./builtin").forEach(register);
+
+module.exports = {
+    EVENTS,
+    validate,
+    register,
+    load,
+    get,
+    list,
+    params,
+    isDirection
+};
@@ -0,0 +1,11 @@
+"use strict";
+
+// User strategies, bundled with the extension by `npm run build`. Put each
+// strategy in its own file in this directory and list it here, e.g.
+//
+//     module.exports = [
+//         require("./threeSoldiers")
+//     ];
+//
+// See "Strategies" in README.md for the declaration.
+module.exports = [];
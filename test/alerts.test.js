@@ -0,0 +1,91 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const alerts = require("../src/content/alerts");
+const feed = require("../src/page/feed");
+const en = require("../src/content/locales/en.json");
+const { startedPage, signal, open, close, ORDER } = require("./helpers");
+
+function events(state, data) {
+    return alerts.read(state, data, 0).map(alert => [alert.event, alert.values]);
+}
+
+test("robotDeals alert on every deal opened or closed since the last", () => {
+    const state = alerts.createState();
+    assert.deepEqual(events(state, { belobot: true, robotDeals: { opened: ["a"], closed: [] } }), [["opened", { id: "a", count: 1 }]]);
+    assert.deepEqual(events(state, { belobot: true, robotDeals: { opened: ["a"], closed: [] } }), []);
+    assert.deepEqual(events(state, { belobot: true, robotDeals: { opened: ["b"], closed: [-5, 4.6] } }), [
+        ["opened", { id: "b", count: 1 }],
+        ["closed", { profit: -5 }],
+        ["closed", { profit: 4.6 }]
+    ]);
+    // A bot started again begins a new list.
+    assert.deepEqual(events(state, { belobot: true, robotDeals: { opened: [], closed: [1] } }), [["closed", { profit: 1 }]]);
+});
+
+test("limits, protocol stops and a quiet feed alert, other risks do not", () => {
+    const state = alerts.createState();
+    assert.deepEqual(events(state, { risk: { reason: "take_profit", limit: 120 } }), [["take_profit", { limit: 120 }]]);
+    assert.deepEqual(events(state, { risk: { reason: "daily_loss", limit: 50 } }), [["stop_loss", { limit: 50 }]]);
+    assert.deepEqual(events(state, { risk: { reason: "cooldown", limit: 3, until: 0 } }), []);
+    assert.deepEqual(events(state, { protocol: { event: "updateAssets", problem: "assets must be a list" } }), [
+        ["protocol", { event: "updateAssets", problem: "assets must be a list" }]
+    ]);
+    assert.deepEqual(events(state, { feed: { stale: true, since: 5 } }), [["no_data", { since: 5 }]]);
+    assert.deepEqual(events(state, { feed: { stale: false, since: 6 } }), []);
+});
+
+test("alert texts fill in their values", () => {
+    assert.equal(alerts.text({ event: "closed", values: { profit: 4.6 } }, en), "Deal closed: +4.60.");
+    assert.equal(alerts.text({ event: "closed", values: { profit: -5 } }, en), "Deal closed: -5.00.");
+    assert.equal(alerts.text({ event: "take_profit", values: { limit: 120 } }, en), "Take profit of 120 reached. The bot has stopped.");
+    for (const event of ["opened", "closed", "take_profit", "stop_loss", "protocol", "no_data"]) {
+        assert.equal("string", typeof en.alerts[event], event);
+    }
+});
+
+test("the webhook only posts to this machine", () => {
+    assert.ok(alerts.isLocalUrl("http://127.0.0.1:8080/alerts"));
+    assert.ok(alerts.isLocalUrl("http://localhost/hook"));
+    assert.ok(!alerts.isLocalUrl("https://example.com/hook"));
+    assert.ok(!alerts.isLocalUrl("http://localhost.example.com/hook"));
+    assert.ok(!alerts.isLocalUrl("file:///tmp/hook"));
+    assert.ok(!alerts.isLocalUrl("not a url"));
+
+    assert.deepEqual(alerts.readSettings({ notifications: true, sound: "yes", webhook: "http://10.0.0.1/hook" }), {
+        notifications: true,
+        sound: false,
+        webhook: ""
+    });
+    assert.deepEqual(alerts.readSettings(undefined), alerts.createSettings());
+});
+
+test("the page posts robotDeals when a robot deal opens and when it closes", () => {
+    const { page, posted } = startedPage();
+    signal(page);
+    page.send(ORDER);
+    const deal = open(page, "deal-1", 5);
+    page.flush();
+    assert.deepEqual(posted.filter(data => data.robotDeals).pop().robotDeals, { opened: ["deal-1"], closed: [] });
+    close(page, deal, 4.6);
+    assert.deepEqual(posted.filter(data => data.robotDeals).pop().robotDeals, { opened: [], closed: [4.6] });
+});
+
+test("the running bot says when the feed goes quiet and when it is back", () => {
+    const { page, posted } = startedPage();
+    page.advance(feed.STALE - 1);
+    page.flush();
+    assert.ok(!posted.some(data => data.feed));
+    page.advance(feed.CHECK);
+    page.flush();
+    assert.deepEqual(posted.filter(data => data.feed).map(data => data.feed.stale), [true]);
+    page.advance(feed.CHECK);
+    page.flush();
+    assert.equal(posted.filter(data => data.feed).length, 1);
+
+    page.receive('451-["updateStream",{"_placeholder":true,"num":0}]');
+    page.receive([["EURUSD_otc", Date.now() / 1000, 1.08]]);
+    page.flush();
+    assert.deepEqual(posted.filter(data => data.feed).map(data => data.feed.stale), [true, false]);
+});
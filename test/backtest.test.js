@@ -0,0 +1,40 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runBacktest, summarize } = require("../tools/backtest");
+const { pageSource } = require("./helpers");
+
+test("summarize reports win rate, net, drawdown and losing streak", () => {
+    const stats = summarize([1.8, -2, -2, 0, -2, 1.8, 1.8].map(profit => ({ profit })));
+    assert.equal(stats.trades, 7);
+    assert.equal(stats.wins, 3);
+    assert.equal(stats.losses, 3);
+    assert.equal(stats.draws, 1);
+    assert.equal(stats.winRate, 50);
+    assert.equal(stats.net, -0.6);
+    assert.equal(stats.maxDrawdown, 6);
+    assert.equal(stats.longestLosingStreak, 3);
+});
+
+test("the candles strategy trades against five candles in a row", () => {
+    // Five rising minutes, then the price falls: the put wins.
+    const start = 1700000040;
+    const candles = { EURUSD_otc: {} };
+    [1, 1.1, 1.2, 1.3, 1.4, 1.3, 1.2].forEach(function(open, i) {
+        const close = i < 5 ? open + 0.1 : open - 0.1;
+        candles.EURUSD_otc[start + 60 * i] = [open, close, Math.max(open, close), Math.min(open, close)];
+    });
+
+    const report = runBacktest(candles, {
+        source: pageSource(),
+        payout: 90,
+        strategies: ["candles"],
+        criteria: { minTrades: 2 }
+    });
+    const result = report.strategies.candles;
+    assert.equal(result.total.trades, 1);
+    assert.equal(result.total.wins, 1);
+    assert.equal(result.total.net, 0.9);
+    assert.deepEqual(result.verdict, { rejected: true, reasons: ["1 trades, fewer than 2"] });
+});
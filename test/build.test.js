@@ -0,0 +1,15 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { builtBundles } = require("./helpers");
+
+test("committed bundles are built from the current sources", () => {
+    const bundles = builtBundles();
+    for (const file in bundles) {
+        const committed = fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+        assert.ok(committed === bundles[file], `${file} is out of date, run npm run build`);
+    }
+});
@@ -0,0 +1,94 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const candles = require("../src/page/candles");
+
+test("checkRate creates an empty entry once", () => {
+    const rates = {};
+    const rate = candles.checkRate(rates, "EURUSD_otc");
+    assert.deepEqual(rate.rates, {});
+    assert.deepEqual(rate.signals, {});
+    assert.deepEqual(rate.indicators, {});
+    assert.deepEqual(rate.state, {});
+    rate.rates[60] = [1, 1, 1, 1];
+    assert.equal(candles.checkRate(rates, "EURUSD_otc"), rate);
+    assert.deepEqual(rate.rates[60], [1, 1, 1, 1]);
+});
+
+test("addRate stores a history candle as [open, close, high, low]", () => {
+    const rates = {};
+    candles.checkRate(rates, "EURUSD_otc");
+    candles.addRate(rates, "EURUSD_otc", [1700000040, 1.1, 1.2, 1.3, 1.0]);
+    assert.deepEqual(rates.EURUSD_otc.rates[1700000040], [1.1, 1.2, 1.3, 1.0]);
+});
+
+test("addCurrentRate folds ticks into the minute they fall in", () => {
+    const rates = {};
+    candles.addCurrentRate(rates, "EURUSD_otc", [1700000041.5, 1.5]);
+    candles.addCurrentRate(rates, "EURUSD_otc", [1700000050, 1.7]);
+    candles.addCurrentRate(rates, "EURUSD_otc", [1700000059.9, 1.2]);
+    candles.addCurrentRate(rates, "EURUSD_otc", [1700000059.95, 1.4]);
+    assert.deepEqual(rates.EURUSD_otc.rates[1700000040], [1.5, 1.4, 1.7, 1.2]);
+
+    candles.addCurrentRate(rates, "EURUSD_otc", [1700000100, 1.3]);
+    assert.deepEqual(rates.EURUSD_otc.rates[1700000100], [1.3, 1.3, 1.3, 1.3]);
+});
+
+test("lastPrice is the close of the latest candle", () => {
+    const rates = {};
+    assert.equal(candles.lastPrice(rates, "EURUSD_otc"), null);
+    candles.addCurrentRate(rates, "EURUSD_otc", [1700000100, 1.3]);
+    candles.addRate(rates, "EURUSD_otc", [1700000040, 1.1, 1.2, 1.3, 1.0]);
+    assert.equal(candles.lastPrice(rates, "EURUSD_otc"), 1.3);
+});
+
+test("ticks build a candle in every timeframe", () => {
+    const rates = {};
+    candles.addCurrentRate(rates, "EURUSD_otc", [1700000101, 1.5]);
+    candles.addCurrentRate(rates, "EURUSD_otc", [1700000112, 1.7]);
+    candles.addCurrentRate(rates, "EURUSD_otc", [1700000121, 1.4]);
+    const { series } = rates.EURUSD_otc;
+    assert.equal(series[60], rates.EURUSD_otc.rates);
+    assert.deepEqual(series[5], {
+        1700000100: [1.5, 1.5, 1.5, 1.5],
+        1700000110: [1.7, 1.7, 1.7, 1.7],
+        1700000120: [1.4, 1.4, 1.4, 1.4]
+    });
+    assert.deepEqual(series[15], {
+        1700000100: [1.5, 1.7, 1.7, 1.5],
+        1700000115: [1.4, 1.4, 1.4, 1.4]
+    });
+    assert.deepEqual(series[300][1700000100], [1.5, 1.4, 1.7, 1.4]);
+    assert.deepEqual(series[900][1700000100], [1.5, 1.4, 1.7, 1.4]);
+});
+
+test("history candles go into the timeframes they divide", () => {
+    const rates = {};
+    // 1700000100 starts a five and a fifteen-minute candle; fed newest first.
+    candles.addRate(rates, "EURUSD_otc", [1700000160, 1.2, 1.1, 1.3, 1.0], 60);
+    candles.addRate(rates, "EURUSD_otc", [1700000100, 1.0, 1.2, 1.4, 0.9], 60);
+    const { series } = rates.EURUSD_otc;
+    assert.deepEqual(series[300][1700000100], [1.0, 1.1, 1.4, 0.9]);
+    assert.deepEqual(series[5], {});
+    assert.deepEqual(series[30], {});
+
+    candles.addRate(rates, "EURUSD_otc", [1700000700, 1.1, 1.0, 1.1, 0.9], 300);
+    assert.equal(series[60][1700000700], undefined);
+    assert.deepEqual(series[900][1700000100], [1.0, 1.0, 1.4, 0.9]);
+});
+
+test("every series keeps only the latest MAX_CANDLES candles", () => {
+    const rates = {};
+    const start = 1700000100;
+    for (let i = 0; i < candles.MAX_CANDLES + 50; i++) {
+        candles.addCurrentRate(rates, "EURUSD_otc", [start + 5 * i, 1 + i / 1e4]);
+    }
+    const { series, sizes } = rates.EURUSD_otc;
+    const keys = Object.keys(series[5]);
+    assert.equal(keys.length, candles.MAX_CANDLES);
+    assert.equal(sizes[5], candles.MAX_CANDLES);
+    assert.equal(Number(keys[0]), start + 5 * 50);
+    assert.equal(Number(keys[keys.length - 1]), start + 5 * (candles.MAX_CANDLES + 49));
+    assert.equal(Object.keys(series[60]).length, sizes[60]);
+});
@@ -0,0 +1,90 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isCommand } = require("../src/page/control");
+const { createPage } = require("../tools/sandbox");
+const { pageSource, startedPage } = require("./helpers");
+
+function settingsOf(page, posted) {
+    page.post({ belobot: true, act: "readState" });
+    page.flush();
+    return posted.filter(data => "robotSettings" == data.act).pop().settings;
+}
+
+test("the channel is handed over whichever end runs first", () => {
+    [false, true].forEach(function(contentLast) {
+        const page = createPage({ source: pageSource(), contentLast });
+        const posted = [];
+        page.observe(data => posted.push(data));
+        page.post({ belobot: true, act: "readState" });
+        page.flush();
+        assert.equal(posted.filter(data => "robotSettings" == data.act).length, 1);
+        assert.deepEqual(page.errors, []);
+    });
+});
+
+test("the bot takes the first port offered while the document loads and no other", () => {
+    const page = createPage({ source: pageSource(), content: false });
+    const first = page.createChannel();
+    assert.equal(page.offerPort(first.port2), true);
+    assert.equal(page.offerPort(page.createChannel().port2), false);
+
+    const late = createPage({ source: pageSource(), content: false });
+    late.load();
+    assert.equal(late.offerPort(late.createChannel().port2), false);
+    assert.deepEqual(late.errors, []);
+});
+
+test("commands posted to the window are ignored", () => {
+    const { page, posted, sent } = startedPage({ useMartin: false });
+    page.postWindow({ belobot: true, act: "setState", settings: { delay: 9 } });
+    page.postWindow({ belobot: true, act: "start_stop" });
+    page.postWindow({ belobot: true, act: "readState" });
+    page.flush();
+    const settings = settingsOf(page, posted);
+    assert.equal(settings.delay, 0);
+    assert.equal(settings.started, true);
+    assert.equal(posted.filter(data => "robotSettings" == data.act).length, 1);
+    assert.deepEqual(sent, []);
+});
+
+test("a port offered after the hand-over is neither taken nor answered", () => {
+    const { page, posted } = startedPage({ useMartin: false });
+    const thief = page.createChannel();
+    const replies = [];
+    thief.port1.onmessage = event => replies.push(event.data);
+    assert.equal(page.offerPort(thief.port2), false);
+
+    thief.port1.postMessage({ belobot: true, act: "start_stop" });
+    page.flush();
+    assert.deepEqual(replies, []);
+    assert.equal(settingsOf(page, posted).started, true);
+});
+
+test("malformed commands are dropped", () => {
+    assert.ok(isCommand({ belobot: true, act: "setState", settings: { delay: 1 }, replace: true }));
+    assert.ok(isCommand({ belobot: true, act: "record", enabled: false }));
+    assert.ok(isCommand({ belobot: true, act: "signal", signal: { id: "1", source: "vip", text: "EURUSD CALL", profile: null, amount: null } }));
+    assert.ok(!isCommand({ belobot: true, act: "setState", settings: [1] }));
+    assert.ok(!isCommand({ belobot: true, act: "setState", settings: {}, replace: "yes" }));
+    assert.ok(!isCommand({ belobot: true, act: "record" }));
+    assert.ok(!isCommand({ belobot: true, act: "eval" }));
+    assert.ok(!isCommand({ belobot: true, act: "toString" }));
+    assert.ok(!isCommand({ belobot: "true", act: "readState" }));
+    assert.ok(!isCommand({ belobot: true, act: "signal", signal: { id: "1", source: "vip", asset: "EURUSD_otc", direction: "sideways" } }));
+    assert.ok(!isCommand({ belobot: true, act: "signal", signal: { id: "1", source: "vip", asset: "EURUSD_otc", direction: "up", amount: -5 } }));
+
+    const { page, posted } = startedPage({ useMartin: false });
+    page.post({ belobot: true, act: "setState", settings: "delay=9" });
+    page.post({ belobot: true, act: "signal", signal: { id: 1, asset: "EURUSD_otc", direction: "up" } });
+    page.flush();
+    assert.equal(settingsOf(page, posted).delay, 0);
+    assert.ok(!posted.some(data => data.remote));
+    assert.deepEqual(page.errors, []);
+});
+
+test("server text reaches the modal as a plain string", () => {
+    const { posted } = startedPage({ useMartin: false }, { infoText: "<b>Demo only</b>" });
+    assert.deepEqual(posted.filter(data => null != data.info_text).map(data => data.info_text), ["<b>Demo only</b>"]);
+});
@@ -0,0 +1,6 @@
+"use strict";
+
+module.exports = [
+    { id: "pipes", channels: ["pipes-vip"], pattern: /^(?<asset>[^|]+)\|(?<direction>[^|]+)\|(?<expiry>[^|]+)$/ },
+    { channels: ["broken"] }
+];
@@ -0,0 +1,21 @@
+"use strict";
+
+// Follows `count` minutes whose closes rise one after the other.
+module.exports = {
+    id: "risingCloses",
+    name: "rising closes",
+    description: "Buys after a run of rising closes.",
+    events: ["stream"],
+    params: {
+        count: { type: "integer", min: 2, max: 10, default: 3, name: "minutes" }
+    },
+    decide({ candles, time, params }) {
+        const start = 60 * Math.floor(time / 60);
+        for (let i = 0; i < params.count - 1; i++) {
+            const candle = candles[start - 60 * i];
+            const before = candles[start - 60 * (i + 1)];
+            if (!candle || !before || candle[1] <= before[1]) return false;
+        }
+        return "up";
+    }
+};
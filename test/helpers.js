@@ -0,0 +1,81 @@
+"use strict";
+
+const { build } = require("../build");
+const { createPage } = require("../tools/sandbox");
+
+const ORDER = '42["openOrder",{"asset":"AUDCAD_otc","amount":5,"action":"call","isDemo":0,"requestId":7,"optionType":100,"time":60}]';
+
+let bundles = null;
+
+// The page bundle built in memory from src/, so tests never run against a
+// stale web_accessible_resources.js.
+function pageSource() {
+    bundles = bundles || build({ write: false });
+    return bundles["web_accessible_resources.js"];
+}
+
+function builtBundles() {
+    bundles = bundles || build({ write: false });
+    return bundles;
+}
+
+// One-minute candles from a list of [open, close, high, low], the last one
+// starting at `end`.
+function series(end, candles) {
+    const rates = {};
+    candles.forEach(function(candle, i) {
+        rates[end - 60 * (candles.length - 1 - i)] = candle;
+    });
+    return rates;
+}
+
+// A page whose bot trades EURUSD_otc on a demo balance of 100, started with
+// `settings`. `sent` collects the socket frames, `posted` the page's messages.
+function startedPage(settings = { useMartin: true }, options = {}) {
+    const page = createPage(Object.assign({ source: pageSource(), now: Date.UTC(2025, 0, 6, 10) }, options));
+    const sent = [];
+    const posted = [];
+    page.connect();
+    page.onSend(frame => sent.push(frame));
+    page.observe(data => posted.push(data));
+    page.receive('451-["updateAssets",{"_placeholder":true,"num":0}]');
+    page.receive([[1, "EURUSD_otc", "EUR/USD OTC", 0, 0, 92, 0, 0, 0, 0, 0, 0, 0, 0, true]]);
+    page.receive('451-["successupdateBalance",{"_placeholder":true,"num":0}]');
+    page.receive({ isDemo: 1, balance: 100 });
+    page.post({ belobot: true, act: "setState", settings });
+    page.post({ belobot: true, act: "start_stop" });
+    page.flush();
+    return { page, sent, posted };
+}
+
+// A CALL signal on EURUSD_otc strong enough for the default levels.
+function signal(page) {
+    page.receive('451-["signals/update",{"_placeholder":true,"num":0}]');
+    page.receive({ signals: [["EURUSD_otc", [[1, 2], [2, 2], [3, 1]]]] });
+    page.flush();
+}
+
+// The platform confirms an order the bot sent, then closes it a minute later.
+function open(page, id, amount) {
+    page.receive('451-["successopenOrder",{"_placeholder":true,"num":0}]');
+    page.receive({ id, asset: "EURUSD_otc", amount, command: 0 });
+    return { id, asset: "EURUSD_otc", amount, command: 0 };
+}
+
+function close(page, deal, profit) {
+    page.advance(60000);
+    page.receive('451-["successcloseOrder",{"_placeholder":true,"num":0}]');
+    page.receive({ profit, deals: [Object.assign({}, deal, { profit })] });
+    page.flush();
+}
+
+module.exports = {
+    ORDER,
+    pageSource,
+    builtBundles,
+    series,
+    startedPage,
+    signal,
+    open,
+    close
+};
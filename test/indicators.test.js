@@ -0,0 +1,113 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const indicators = require("../src/page/indicators");
+const candles = require("../src/page/candles");
+const { series } = require("./helpers");
+
+const NOW = 1700000040;
+
+// Candles with the given closes, each opening at the previous close.
+function closes(values, spread = 0) {
+    return series(NOW, values.map((close, i) => {
+        const open = i ? values[i - 1] : close;
+        return [open, close, Math.max(open, close) + spread, Math.min(open, close) - spread];
+    }));
+}
+
+function near(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test("sma and ema", () => {
+    near(indicators.sma(closes([1, 2, 3, 4, 5]), NOW, { period: 5 }), 3);
+    assert.equal(indicators.sma(closes([1, 2, 3]), NOW, { period: 5 }), false);
+    // Seeded with the SMA of 1..3, then 2 / (3 + 1) of the way to each close.
+    near(indicators.ema(closes([1, 2, 3, 4, 5]), NOW, { period: 3 }), 4);
+    near(indicators.ema(closes([1, 2, 3, 7, 5]), NOW, { period: 3 }), 4.75);
+    assert.equal(indicators.ema(closes([1, 2, 3]), NOW, { period: 3 }), false);
+});
+
+test("rsi", () => {
+    assert.equal(indicators.rsi(closes([1, 2, 3, 4, 5]), NOW, { period: 3 }), 100);
+    assert.equal(indicators.rsi(closes([5, 4, 3, 2, 1]), NOW, { period: 3 }), 0);
+    assert.equal(indicators.rsi(closes([1, 1, 1, 1, 1]), NOW, { period: 3 }), 50);
+    // Seed over 1 -> 2 -> 1 -> 2: gain 2/3, loss 1/3; then a loss of 1.
+    near(indicators.rsi(closes([1, 2, 1, 2, 1]), NOW, { period: 3 }), 100 - 100 / (1 + (4 / 9) / (5 / 9)));
+    assert.equal(indicators.rsi(closes([1, 2, 3, 4]), NOW, { period: 3 }), false);
+});
+
+test("bollinger, stochastic and atr", () => {
+    const bands = indicators.bollinger(closes([1, 2, 3, 4, 5]), NOW, { period: 5, width: 2 });
+    near(bands.middle, 3);
+    near(bands.upper, 3 + 2 * Math.sqrt(2));
+    near(bands.lower, 3 - 2 * Math.sqrt(2));
+
+    const stochastic = indicators.stochastic(closes([1, 2, 3, 4, 5]), NOW, { period: 3, smooth: 2 });
+    assert.deepEqual(stochastic, { k: 100, d: 100 });
+    const falling = indicators.stochastic(closes([5, 4, 3, 2, 1], 1), NOW, { period: 3, smooth: 1 });
+    near(falling.k, 1 / 5 * 100);
+
+    // Every candle spans one unit either side of a flat price.
+    near(indicators.atr(closes([1, 1, 1, 1, 1, 1], 1), NOW, { period: 3 }), 2);
+});
+
+test("macd of a flat and of a rising market", () => {
+    const flat = indicators.macd(closes(new Array(40).fill(1)), NOW, { fast: 12, slow: 26, signal: 9 });
+    assert.deepEqual(flat, { macd: 0, signal: 0, histogram: 0 });
+    const rising = indicators.macd(closes(new Array(40).fill(0).map((_, i) => 1 + i / 100)), NOW, { fast: 12, slow: 26, signal: 9 });
+    assert.ok(rising.macd > 0 && rising.signal > 0);
+    assert.equal(indicators.macd(closes(new Array(33).fill(1)), NOW, { fast: 12, slow: 26, signal: 9 }), false);
+});
+
+test("cci is false until the whole window of candles exists", () => {
+    const window = series(NOW, new Array(19).fill([1, 1.1, 1.2, 0.9]));
+    assert.equal(indicators.cci(window, NOW + 30, { period: 20 }), false);
+    assert.equal(indicators.cci({}, NOW, { period: 20 }), false);
+    delete window[NOW - 600];
+    window[NOW - 19 * 60] = [1, 1.1, 1.2, 0.9];
+    assert.equal(indicators.cci(window, NOW, { period: 20 }), false);
+});
+
+test("cci uses the typical price and the 0.015 constant", () => {
+    // Eleven typical prices of 3.02 / 3 and nine of 3.04 / 3.
+    const flat = new Array(19).fill(0).map((_, i) => i % 2 ? [1, 1.02, 1.03, 0.99] : [1.02, 1, 1.03, 0.99]);
+    near(indicators.cci(series(NOW, flat.concat([[1.02, 1, 1.03, 0.99]])), NOW, { period: 20 }), -0.45 / (0.015 * 0.495));
+    const up = indicators.cci(series(NOW, flat.concat([[1, 1.2, 1.25, 1]])), NOW + 59, { period: 20 });
+    assert.ok(up > 100, `cci ${up}`);
+});
+
+test("cci takes the open into the typical price and another constant when asked", () => {
+    const flat = new Array(19).fill(0).map((_, i) => i % 2 ? [1, 1.02, 1.03, 0.99] : [1.02, 1, 1.03, 0.99]);
+    const legacy = indicators.cci(series(NOW, flat.concat([[1, 1.2, 1.25, 1]])), NOW, { period: 20, constant: 0.02, open: true });
+    // Nineteen typical prices of 1.01 and one of 1.1125.
+    near(legacy, 500);
+});
+
+test("recursive indicators computed tick by tick match a full recalculation", () => {
+    const rates = {};
+    let price = 1.1;
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    for (let t = NOW; t < NOW + 90 * 60; t += 15) {
+        price += (random() - 0.5) / 100;
+        candles.addCurrentRate(rates, "EURUSD_otc", [t, price]);
+        const rate = rates.EURUSD_otc;
+        for (const [name, options] of [["ema", { period: 9 }], ["rsi", { period: 14 }], ["atr", { period: 14 }], ["macd", { fast: 12, slow: 26, signal: 9 }]]) {
+            const cached = indicators[name](rate.rates, t, options, rate.indicators);
+            const full = indicators[name](rate.rates, t, options);
+            assert.deepEqual(cached, full, `${name} at ${t}`);
+        }
+    }
+    assert.deepEqual(Object.keys(rates.EURUSD_otc.indicators).sort(), ["60:atr:14", "60:ema:9", "60:macd:12:26:9", "60:rsi:14"]);
+});
+
+test("a corrected candle drops the states built on it", () => {
+    const rate = candles.checkRate({ EURUSD_otc: { rates: closes([1, 2, 3, 4, 5]) } }, "EURUSD_otc");
+    const rates = { EURUSD_otc: rate };
+    const before = indicators.ema(rate.rates, NOW, { period: 3 }, rate.indicators);
+    candles.addRate(rates, "EURUSD_otc", [NOW - 60, 3, 7, 7, 3]);
+    assert.deepEqual(rate.indicators, {});
+    assert.notEqual(indicators.ema(rate.rates, NOW, { period: 3 }, rate.indicators), before);
+});
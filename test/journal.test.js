@@ -0,0 +1,116 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { toCsv, load, append } = require("../src/content/journal");
+const { startedPage, signal, close, ORDER } = require("./helpers");
+
+function confirmOpen(page, id, amount) {
+    page.receive('451-["successopenOrder",{"_placeholder":true,"num":0}]');
+    page.receive({ id, asset: "EURUSD_otc", amount, command: 0, openTimestamp: 1736157600, closeTimestamp: 1736157660, percentProfit: 92, isDemo: 1 });
+    return { id, asset: "EURUSD_otc", amount, command: 0, closeTimestamp: 1736157660 };
+}
+
+test("every closed robot deal is posted as a journal entry", () => {
+    const { page, posted } = startedPage({ useMartin: true });
+    signal(page);
+    page.send(ORDER);
+    close(page, confirmOpen(page, "deal-1", 5), -5);
+    page.send(ORDER);
+    close(page, confirmOpen(page, "deal-2", 10), 9.2);
+
+    assert.deepEqual(posted.filter(data => data.journal).map(data => data.journal), [{
+        id: "deal-1",
+        asset: "EURUSD_otc",
+        direction: "call",
+        amount: 5,
+        openTime: 1736157600000,
+        closeTime: 1736157660000,
+        payout: 92,
+        profit: -5,
+        strategy: "signals",
+        step: 0,
+        expiry: 60,
+        base: 5,
+        signal: null,
+        isDemo: true
+    }, {
+        id: "deal-2",
+        asset: "EURUSD_otc",
+        direction: "call",
+        amount: 10,
+        openTime: 1736157600000,
+        closeTime: 1736157660000,
+        payout: 92,
+        profit: 9.2,
+        strategy: "signals",
+        step: 1,
+        expiry: 60,
+        base: 5,
+        signal: null,
+        isDemo: true
+    }]);
+});
+
+test("deals the robot did not open stay out of the journal", () => {
+    const { page, posted } = startedPage();
+    page.send(ORDER);
+    page.post({ belobot: true, act: "start_stop" });
+    page.flush();
+    close(page, confirmOpen(page, "manual-1", 5), 4.6);
+    assert.ok(!posted.some(data => data.journal));
+});
+
+test("toCsv writes one row per deal with UTC times", () => {
+    const csv = toCsv([{
+        id: "deal-1",
+        asset: "EURUSD_otc",
+        direction: "put",
+        amount: 2.5,
+        openTime: Date.UTC(2025, 0, 6, 10, 0, 0),
+        closeTime: Date.UTC(2025, 0, 6, 10, 1, 0),
+        payout: 92,
+        profit: -2.5,
+        strategy: "cci",
+        step: 2,
+        isDemo: false
+    }, {
+        id: "deal-2",
+        asset: "EUR/USD, \"OTC\"",
+        direction: "call",
+        amount: 1,
+        openTime: Date.UTC(2025, 0, 6, 10, 2, 0),
+        closeTime: null,
+        payout: 80,
+        profit: null,
+        strategy: "remote",
+        step: 0,
+        isDemo: true,
+        signal: { id: "7", source: "vip" }
+    }]);
+    assert.equal(csv, [
+        "id,asset,direction,amount,openTime,closeTime,payout,profit,strategy,step,account,source",
+        "deal-1,EURUSD_otc,put,2.5,2025-01-06T10:00:00.000Z,2025-01-06T10:01:00.000Z,92,-2.5,cci,2,real,",
+        "deal-2,\"EUR/USD, \"\"OTC\"\"\",call,1,2025-01-06T10:02:00.000Z,,80,,remote,0,demo,vip",
+        ""
+    ].join("\r\n"));
+});
+
+test("a journal entry that cannot be stored rejects the append", async () => {
+    global.chrome = {
+        storage: {
+            local: {
+                get: (key, callback) => callback({}),
+                set: () => Promise.reject(new Error("QUOTA_BYTES quota exceeded"))
+            }
+        }
+    };
+    try {
+        await assert.rejects(append({ id: "deal-1" }), /QUOTA_BYTES/);
+        assert.deepEqual(await load(), []);
+        global.chrome.storage.local.set = () => Promise.resolve();
+        assert.deepEqual(await append({ id: "deal-2" }), [{ id: "deal-2" }]);
+    } finally {
+        delete global.chrome;
+    }
+});
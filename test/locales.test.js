@@ -0,0 +1,59 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const locales = require("../src/content/locales");
+const builtin = require("../src/strategies/builtin");
+
+// Every message path of `catalog` but the strategies, each with the
+// placeholders its text uses.
+function messages(catalog, path = "", out = {}) {
+    for (const key in catalog) {
+        if ("" == path && "strategies" == key) continue;
+        const value = catalog[key];
+        if (value && "object" == typeof value) {
+            messages(value, path + key + ".", out);
+        } else {
+            out[path + key] = (String(value).match(/\{\w+\}/g) || []).sort();
+        }
+    }
+    return out;
+}
+
+test("every catalog translates every message with the same placeholders", () => {
+    const english = messages(locales.LOCALES.en);
+    for (const locale in locales.LOCALES) {
+        assert.deepEqual(messages(locales.LOCALES[locale]), english, locale);
+    }
+});
+
+test("every catalog but English names and describes every built-in strategy", () => {
+    for (const locale in locales.LOCALES) {
+        if ("en" == locale) continue;
+        builtin.forEach(function(strategy) {
+            const text = locales.LOCALES[locale].strategies[strategy.id];
+            assert.ok(text && text.name && text.description, `${locale} ${strategy.id}`);
+            assert.deepEqual(Object.keys(text.params || {}).sort(), Object.keys(strategy.params || {}).sort(), `${locale} ${strategy.id}`);
+        });
+    }
+});
+
+test("the page's language picks the catalog", () => {
+    assert.equal(locales.pick("ru"), "ru");
+    assert.equal(locales.pick("pt-BR"), "pt");
+    assert.equal(locales.pick("ES"), "es");
+    assert.equal(locales.pick("de"), "en");
+    assert.equal(locales.pick(undefined), "en");
+});
+
+test("strategies take the catalog's names and keep the declaration's rules", () => {
+    const cci = builtin.find(strategy => "cci" == strategy.id);
+    const text = locales.strategy(cci, locales.catalog("ru"));
+    assert.equal(text.params.upper.name, "верхний уровень");
+    assert.equal(text.params.upper.max, 300);
+    assert.equal(cci.params.upper.name, "upper level");
+
+    const english = locales.strategy(cci, locales.catalog("en"));
+    assert.equal(english.description, cci.description);
+    assert.equal(english.params.period.name, "period");
+});
@@ -0,0 +1,26 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getNextMartingaleStep } = require("../src/page/martingale");
+
+test("walks the ladder from the first stake", () => {
+    const steps = [2, 2.5, 3];
+    assert.equal(getNextMartingaleStep(steps, 1, 1), 2);
+    assert.equal(getNextMartingaleStep(steps, 1, 2), 5);
+    assert.equal(getNextMartingaleStep(steps, 1, 5), 15);
+});
+
+test("rounds every step down to cents", () => {
+    assert.equal(getNextMartingaleStep([2.15, 2.15], 1.33, 1.33), 2.85);
+    assert.equal(getNextMartingaleStep([2.15, 2.15], 1.33, 2.85), 6.12);
+});
+
+test("doubles once the ladder has run out", () => {
+    assert.equal(getNextMartingaleStep([3, 3], 1, 9), 18);
+    assert.equal(getNextMartingaleStep([], 1, 1), 2);
+});
+
+test("doubles a stake that is not on the ladder", () => {
+    assert.equal(getNextMartingaleStep([3, 3, 3], 1, 4), 8);
+});
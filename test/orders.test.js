@@ -0,0 +1,185 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { SEND_TIMEOUT, CONFIRM_TIMEOUT, CLOSE_GRACE } = require("../src/page/orders");
+const { startedPage, signal, close, ORDER } = require("./helpers");
+
+const ROW = [0, 0, 92, 0, 0, 0, 0, 0, 0, 0, 0, true];
+
+// The platform's order for a click, with its own request id.
+function order(requestId) {
+    return ORDER.replace('"requestId":7', `"requestId":${requestId}`);
+}
+
+function sentOrder(frame) {
+    return JSON.parse(frame.slice(2))[1];
+}
+
+// A page trading EURUSD_otc and GBPUSD_otc, both signalled in the same frame.
+function twoPairs(settings) {
+    const started = startedPage(settings);
+    const { page } = started;
+    page.receive('451-["updateAssets",{"_placeholder":true,"num":0}]');
+    page.receive([[1, "EURUSD_otc", "EUR/USD OTC"].concat(ROW), [2, "GBPUSD_otc", "GBP/USD OTC"].concat(ROW)]);
+    page.receive('451-["signals/update",{"_placeholder":true,"num":0}]');
+    page.receive({ signals: [["EURUSD_otc", [[1, 2], [2, 2], [3, 1]]], ["GBPUSD_otc", [[1, 2], [2, 2], [3, 1]]]] });
+    page.flush();
+    return started;
+}
+
+function confirm(page, requestId, id, asset, amount) {
+    page.receive('451-["successopenOrder",{"_placeholder":true,"num":0}]');
+    page.receive({ id, asset, amount, command: 0, requestId });
+    page.flush();
+    return { id, asset, amount, command: 0 };
+}
+
+function clicks(posted) {
+    return posted.filter(data => "newDeal" == data.act).length;
+}
+
+test("signals on several pairs in the same second are clicked one at a time", () => {
+    const { page, sent, posted } = twoPairs();
+    assert.equal(clicks(posted), 1);
+
+    page.send(order(21));
+    page.flush();
+    assert.equal(clicks(posted), 2);
+    page.send(order(22));
+    page.flush();
+    assert.equal(clicks(posted), 2);
+    assert.deepEqual(sent.map(frame => [sentOrder(frame).asset, sentOrder(frame).requestId]), [["EURUSD_otc", 21], ["GBPUSD_otc", 22]]);
+
+    // Confirmations in any order go to the order with their request id.
+    const gbp = confirm(page, 22, "deal-2", "GBPUSD_otc", 5);
+    const eur = confirm(page, 21, "deal-1", "EURUSD_otc", 5);
+    assert.deepEqual(page.errors, []);
+    close(page, gbp, 4.6);
+    close(page, eur, -5);
+    const journal = posted.filter(data => data.journal).map(data => [data.journal.asset, data.journal.step]);
+    assert.deepEqual(journal, [["GBPUSD_otc", 0], ["EURUSD_otc", 0]]);
+    assert.deepEqual(posted.filter(data => data.robotDeals).pop().robotDeals, { opened: [], closed: [4.6, -5] });
+});
+
+test("a Martingale re-entry keeps its own stake while another pair's deal is open", () => {
+    const { page, sent, posted } = twoPairs();
+    page.send(order(21));
+    page.flush();
+    page.send(order(22));
+    page.flush();
+    const eur = confirm(page, 21, "deal-1", "EURUSD_otc", 5);
+    confirm(page, 22, "deal-2", "GBPUSD_otc", 5);
+    close(page, eur, -5);
+
+    assert.deepEqual(posted.filter(data => data.robotDeals).pop().robotDeals, { opened: ["deal-2"], closed: [-5] });
+    page.send(order(23));
+    page.flush();
+    const reentry = sentOrder(sent[2]);
+    assert.equal(reentry.asset, "EURUSD_otc");
+    assert.equal(reentry.amount, 10);
+    confirm(page, 23, "deal-3", "EURUSD_otc", 10);
+    assert.deepEqual(posted.filter(data => data.robotDeals).pop().robotDeals, { opened: ["deal-2", "deal-3"], closed: [-5] });
+});
+
+test("a click the platform sends no order for fails and the next order is clicked", () => {
+    const { page, sent, posted } = twoPairs();
+    page.advance(SEND_TIMEOUT);
+    page.flush();
+
+    const failure = posted.filter(data => data.orderFailed).pop().orderFailed;
+    assert.deepEqual([failure.asset, failure.direction, failure.reason], ["EURUSD_otc", "call", "not_sent"]);
+    assert.equal(clicks(posted), 2);
+    page.send(order(22));
+    assert.equal(sentOrder(sent[0]).asset, "GBPUSD_otc");
+});
+
+test("an order sent late for a click given up on is still the robot's", () => {
+    const { page, sent, posted } = startedPage({ useMartin: false });
+    signal(page);
+    page.advance(SEND_TIMEOUT);
+    page.flush();
+    assert.deepEqual(posted.filter(data => data.orderFailed).map(data => data.orderFailed.reason), ["not_sent"]);
+
+    page.send(order(21));
+    page.flush();
+    assert.equal(sentOrder(sent[0]).asset, "EURUSD_otc");
+    close(page, confirm(page, 21, "deal-1", "EURUSD_otc", 5), 4.6);
+    assert.deepEqual(posted.filter(data => data.robotDeals).pop().robotDeals, { opened: [], closed: [4.6] });
+    assert.equal(posted.filter(data => data.journal).length, 1);
+
+    // Taken once, the order no longer claims the user's own.
+    page.send(order(22));
+    page.flush();
+    close(page, confirm(page, 22, "manual-1", "EURUSD_otc", 5), 4.6);
+    assert.equal(posted.filter(data => data.journal).length, 1);
+});
+
+test("an order not confirmed in time fails but still counts when confirmed late", () => {
+    const { page, posted } = startedPage();
+    signal(page);
+    page.send(order(21));
+    page.flush();
+    page.advance(CONFIRM_TIMEOUT);
+    page.flush();
+    assert.deepEqual(posted.filter(data => data.orderFailed).map(data => data.orderFailed.reason), ["not_confirmed"]);
+
+    close(page, confirm(page, 21, "deal-1", "EURUSD_otc", 5), 4.6);
+    assert.deepEqual(posted.filter(data => data.robotDeals).pop().robotDeals, { opened: [], closed: [4.6] });
+    assert.equal(posted.filter(data => data.journal).pop().journal.asset, "EURUSD_otc");
+});
+
+test("a deal whose close is never reported frees its place in the deals limit", () => {
+    const { page, posted } = startedPage({ useMartin: false, deals_limit: 1, delay: 0 });
+    signal(page);
+    page.send(order(21));
+    page.flush();
+    page.receive('451-["successopenOrder",{"_placeholder":true,"num":0}]');
+    page.receive({ id: "deal-1", asset: "EURUSD_otc", amount: 5, command: 0, requestId: 21, closeTimestamp: page.clock.now / 1000 + 60 });
+    page.flush();
+    page.advance(60000 + CLOSE_GRACE - 1);
+    signal(page);
+    assert.equal(clicks(posted), 1);
+
+    page.advance(1);
+    page.flush();
+    assert.deepEqual(posted.filter(data => data.orderFailed).map(data => data.orderFailed.reason), ["not_closed"]);
+    assert.deepEqual(posted.filter(data => data.robotDeals).pop().robotDeals, { opened: [], closed: [] });
+    signal(page);
+    assert.equal(clicks(posted), 2);
+
+    // The close that comes late still settles the deal.
+    close(page, { id: "deal-1", asset: "EURUSD_otc", amount: 5, command: 0 }, -5);
+    assert.deepEqual(posted.filter(data => data.robotDeals).pop().robotDeals, { opened: [], closed: [-5] });
+    assert.equal(posted.filter(data => data.journal).pop().journal.id, "deal-1");
+});
+
+test("deals the user opens are neither counted nor closed as the robot's", () => {
+    const { page, sent, posted } = startedPage({ useMartin: true, deals_limit: 1 });
+    page.send(ORDER);
+    const manual = confirm(page, 7, "deal-9", "AUDCAD_otc", 5);
+    assert.deepEqual(sent, [ORDER]);
+
+    signal(page);
+    assert.equal(clicks(posted), 1);
+    close(page, manual, 4.6);
+    assert.ok(!posted.some(data => data.journal));
+    assert.deepEqual(posted.filter(data => data.robotDeals).pop().robotDeals, { opened: [], closed: [] });
+});
+
+test("the martin strategy re-enters a deal the user lost", () => {
+    const { page, sent, posted } = startedPage({ strategy: "martin" });
+    const manual = order(31).replace("AUDCAD_otc", "EURUSD_otc");
+    page.send(manual);
+    const deal = confirm(page, 31, "deal-9", "EURUSD_otc", 5);
+    assert.deepEqual(posted.filter(data => data.robotDeals).pop().robotDeals, { opened: ["deal-9"], closed: [] });
+    assert.equal(clicks(posted), 0);
+
+    close(page, deal, -5);
+    assert.deepEqual(posted.filter(data => data.journal).map(data => [data.journal.id, data.journal.strategy, data.journal.step]), [["deal-9", "martin", 0]]);
+    assert.equal(clicks(posted), 1);
+    page.send(order(32));
+    const reentry = sentOrder(sent[1]);
+    assert.deepEqual([reentry.asset, reentry.action, reentry.amount], ["EURUSD_otc", "call", 10]);
+    assert.deepEqual(page.errors, []);
+});
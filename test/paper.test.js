@@ -0,0 +1,107 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const paper = require("../src/page/paper");
+const { startedPage, signal, ORDER } = require("./helpers");
+
+// A tick at the page's clock, or `lag` milliseconds behind it.
+function tick(page, price, lag = 0) {
+    page.receive('451-["updateStream",{"_placeholder":true,"num":0}]');
+    page.receive([["EURUSD_otc", (page.clock.now - lag) / 1000, price]]);
+    page.flush();
+}
+
+function paperDeals(posted) {
+    return posted.filter(data => data.paperDeals).pop().paperDeals;
+}
+
+test("paper deals never click or rewrite an order", () => {
+    const { page, sent, posted } = startedPage({ paper: true });
+    tick(page, 1.1);
+    signal(page);
+    page.send(ORDER);
+
+    assert.ok(!posted.some(data => "newDeal" == data.act));
+    assert.deepEqual(sent, [ORDER]);
+    assert.deepEqual(paperDeals(posted), { opened: 1, closed: [] });
+});
+
+test("a paper position settles at the last price before its expiry", () => {
+    const { page, posted } = startedPage({ paper: true, paper_amount: 5 });
+    tick(page, 1.1);
+    signal(page);
+    page.advance(30000);
+    tick(page, 1.2);
+    page.advance(29000);
+    tick(page, 1.15);
+    assert.deepEqual(paperDeals(posted), { opened: 1, closed: [] });
+
+    page.advance(2000);
+    tick(page, 1.0);
+    assert.deepEqual(paperDeals(posted), { opened: 0, closed: [4.6] });
+    assert.deepEqual(page.errors, []);
+});
+
+test("a paper position runs on the time of the ticks, not the page clock", () => {
+    const { page, posted } = startedPage({ paper: true, paper_amount: 5 });
+    tick(page, 1.1, 10000);
+    signal(page);
+    page.advance(59000);
+    tick(page, 1.2, 10000);
+    assert.deepEqual(paperDeals(posted), { opened: 1, closed: [] });
+
+    page.advance(2000);
+    tick(page, 1.2, 10000);
+    assert.deepEqual(paperDeals(posted), { opened: 0, closed: [4.6] });
+});
+
+test("a lost paper position counts towards the stop loss but not the daily loss", () => {
+    const { page, posted } = startedPage({ paper: true, paper_amount: 5, stop_loss_sum: 5, daily_loss: 5 });
+    tick(page, 1.1);
+    signal(page);
+    page.advance(59000);
+    tick(page, 1.0);
+    page.advance(2000);
+    tick(page, 1.0);
+
+    assert.deepEqual(paperDeals(posted), { opened: 0, closed: [-5] });
+    assert.deepEqual(posted.filter(data => data.risk).map(data => data.risk), [{ reason: "stop_loss", limit: 5 }]);
+    assert.equal(posted.filter(data => "robotSettings" == data.act).pop().settings.started, false);
+    assert.deepEqual(Array.from(page.storage.keys()).filter(key => key.startsWith("belobot_daily")), []);
+});
+
+test("only the latest paper results are kept", () => {
+    const bot = { paper: paper.createPaper(), rates: { EURUSD_otc: { profit: 92 } } };
+    bot.paper.closed = new Array(paper.MAX_CLOSED).fill(-1);
+    paper.tick(bot, "EURUSD_otc", 1000, 1.1);
+    paper.open(bot, "EURUSD_otc", "up", { amount: 5 });
+    paper.tick(bot, "EURUSD_otc", 1060, 1.2);
+
+    assert.equal(bot.paper.closed.length, paper.MAX_CLOSED);
+    assert.equal(bot.paper.closed[paper.MAX_CLOSED - 1], 4.6);
+});
+
+test("a lost paper position re-enters on the Martingale ladder", () => {
+    const { page, posted } = startedPage({ paper: true, useMartin: true, paper_amount: 5 });
+    tick(page, 1.1);
+    signal(page);
+    page.advance(30000);
+    tick(page, 1.0);
+    page.advance(31000);
+    tick(page, 1.0);
+    assert.deepEqual(paperDeals(posted), { opened: 1, closed: [-5] });
+
+    page.advance(30000);
+    tick(page, 1.2);
+    page.advance(31000);
+    tick(page, 1.2);
+    assert.deepEqual(paperDeals(posted), { opened: 0, closed: [-5, 9.2] });
+    assert.ok(!posted.some(data => "newDeal" == data.act));
+});
+
+test("there is no paper deal before the asset has a price", () => {
+    const { page, posted } = startedPage({ paper: true });
+    signal(page);
+    assert.ok(!posted.some(data => data.paperDeals || "newDeal" == data.act));
+});
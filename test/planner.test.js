@@ -0,0 +1,213 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const planner = require("../src/page/planner");
+const { createBot } = require("../src/page/bot");
+const { checkRate } = require("../src/page/candles");
+
+function readyBot(asset = "EURUSD_otc") {
+    const bot = createBot();
+    bot.settings.started = true;
+    bot.userInfo.balance.demo = 100;
+    bot.settings.take_profit.sum = 120;
+    const rate = checkRate(bot.rates, asset);
+    rate.profit = 85;
+    rate.active = true;
+    rate.nextDealTime = new Date(0);
+    return bot;
+}
+
+test("canTrade needs a running bot and a tradable asset", () => {
+    assert.ok(planner.canTrade(readyBot(), "EURUSD_otc"));
+
+    const stopped = readyBot();
+    stopped.settings.started = false;
+    assert.ok(!planner.canTrade(stopped, "EURUSD_otc"));
+
+    const inactive = readyBot();
+    inactive.rates.EURUSD_otc.active = false;
+    assert.ok(!planner.canTrade(inactive, "EURUSD_otc"));
+
+    const lowPayout = readyBot();
+    lowPayout.settings.min_profit = 90;
+    assert.ok(!planner.canTrade(lowPayout, "EURUSD_otc"));
+});
+
+test("canTrade honours use_otc, the delay and the deals limit", () => {
+    const noOtc = readyBot();
+    noOtc.settings.use_otc = false;
+    assert.ok(!planner.canTrade(noOtc, "EURUSD_otc"));
+    const regular = readyBot("EURUSD");
+    regular.settings.use_otc = false;
+    assert.ok(planner.canTrade(regular, "EURUSD"));
+
+    const delayed = readyBot();
+    delayed.rates.EURUSD_otc.nextDealTime = new Date(Date.now() + 60000);
+    assert.ok(!planner.canTrade(delayed, "EURUSD_otc"));
+
+    const busy = readyBot();
+    busy.settings.deals_limit = 2;
+    busy.orders.list.push({ state: "confirmed" }, { state: "planned" });
+    assert.ok(!planner.canTrade(busy, "EURUSD_otc"));
+});
+
+test("reachedTakeProfit looks at the balance of the current account", () => {
+    const bot = readyBot();
+    assert.ok(!planner.reachedTakeProfit(bot));
+    bot.userInfo.balance.demo = 120;
+    assert.ok(planner.reachedTakeProfit(bot));
+    bot.userInfo.isDemo = false;
+    assert.ok(!planner.reachedTakeProfit(bot));
+});
+
+test("planDeal trades the candles strategy against the run", () => {
+    const bot = readyBot();
+    bot.settings.strategy = "candles";
+    bot.action = "updateStream";
+    for (let i = 0; i < 5; i++) {
+        bot.rates.EURUSD_otc.rates[1700000040 - 60 * i] = [1, 1.1, 1.2, 0.9];
+    }
+    assert.equal(planner.planDeal(bot, "EURUSD_otc", 1700000050.3).direction, "down");
+    bot.action = "signals";
+    assert.equal(planner.planDeal(bot, "EURUSD_otc", 1700000050.3), false);
+});
+
+test("planDeal trades cci when it comes back inside the levels", () => {
+    const bot = readyBot();
+    bot.settings.strategy = "cci";
+    bot.action = "updateStream";
+    const rate = bot.rates.EURUSD_otc;
+    for (let i = 0; i < 20; i++) {
+        rate.rates[1700000040 - 60 * i] = i % 2 ? [1, 1.02, 1.03, 0.99] : [1.02, 1, 1.03, 0.99];
+    }
+    assert.equal(planner.planDeal(bot, "EURUSD_otc", 1700000050), false);
+    rate.state.cci.last = 150;
+    assert.deepEqual(planner.planDeal(bot, "EURUSD_otc", 1700000050), { direction: "down", expiry: null, amount: null });
+    assert.ok(rate.state.cci.last < 100);
+    rate.state.cci.last = -150;
+    assert.equal(planner.planDeal(bot, "EURUSD_otc", 1700000050).direction, "up");
+    bot.settings.params = { cci: { lower: -50 } };
+    rate.state.cci.last = -150;
+    assert.equal(planner.planDeal(bot, "EURUSD_otc", 1700000050), false);
+});
+
+test("planReentry raises the stake after a loss and repeats it after a draw", () => {
+    const bot = readyBot();
+    bot.settings.useMartin = true;
+    bot.settings.martinSteps = [2, 3];
+    bot.userInfo.startSum = 1;
+    assert.deepEqual(planner.planReentry(bot, { asset: "EURUSD_otc", command: 0, amount: 2, profit: -2 }),
+        { asset: "EURUSD_otc", direction: "up", amount: 6, expiry: null, base: 1, step: 1, signal: null });
+    assert.deepEqual(planner.planReentry(bot, { asset: "EURUSD_otc", command: 1, amount: 2, profit: 0 }),
+        { asset: "EURUSD_otc", direction: "down", amount: 2, expiry: null, base: 1, step: 0, signal: null });
+    assert.equal(planner.planReentry(bot, { asset: "EURUSD_otc", command: 1, amount: 2, profit: 1.7 }), null);
+    assert.equal(planner.planReentry(bot, { asset: "EURUSD_otc", command: 0, amount: 2, profit: -2 }, { step: 2 }).step, 3);
+});
+
+test("planReentry keeps the chain's expiry and walks the ladder from its base", () => {
+    const bot = readyBot();
+    bot.settings.useMartin = true;
+    bot.settings.martinSteps = [2, 3];
+    bot.userInfo.startSum = 1;
+    const reentry = planner.planReentry(bot, { asset: "EURUSD_otc", command: 0, amount: 10, profit: -10 }, { step: 1, expiry: 300, base: 5 });
+    assert.equal(reentry.amount, 30);
+    assert.equal(reentry.expiry, 300);
+    assert.equal(reentry.base, 5);
+});
+
+test("planReentry needs Martingale on and the bot running", () => {
+    const loss = { asset: "EURUSD_otc", command: 0, amount: 1, profit: -1 };
+    const bot = readyBot();
+    bot.userInfo.startSum = 1;
+    assert.equal(planner.planReentry(bot, loss), null);
+    bot.settings.strategy = "martin";
+    assert.equal(planner.planReentry(bot, loss).amount, 2);
+    bot.settings.started = false;
+    assert.equal(planner.planReentry(bot, loss), null);
+});
+
+test("planDeal runs a strategy only for its events and survives its errors", t => {
+    const registry = require("../src/strategies/registry");
+    const error = t.mock.method(console, "error", () => {});
+    registry.register({
+        id: "plannerProbe",
+        name: "probe",
+        events: ["history"],
+        decide({ event, params }) {
+            if (params.fail) throw new Error("boom");
+            return "sideways" == event ? "up" : "down";
+        },
+        params: {
+            fail: { type: "boolean", default: false }
+        }
+    });
+    const bot = readyBot();
+    bot.settings.strategy = "plannerProbe";
+    bot.action = "updateStream";
+    assert.equal(planner.planDeal(bot, "EURUSD_otc", 1700000050), false);
+    bot.action = "updateHistory";
+    assert.equal(planner.planDeal(bot, "EURUSD_otc").direction, "down");
+    bot.settings.params = { plannerProbe: { fail: true } };
+    assert.equal(planner.planDeal(bot, "EURUSD_otc"), false);
+    assert.equal(error.mock.callCount(), 1);
+});
+
+test("planDeal hands a strategy the candles and indicators of its timeframe", () => {
+    const registry = require("../src/strategies/registry");
+    const { addCurrentRate } = require("../src/page/candles");
+    let seen;
+    registry.register({
+        id: "fiveMinuteProbe",
+        name: "probe",
+        events: ["stream"],
+        timeframe: 300,
+        decide(context) {
+            seen = context;
+            return "up";
+        }
+    });
+    const bot = readyBot();
+    bot.settings.strategy = "fiveMinuteProbe";
+    bot.action = "updateStream";
+    [[1700000100, 1.1], [1700000170, 1.3], [1700000250, 1.2]].forEach(tick => addCurrentRate(bot.rates, "EURUSD_otc", tick));
+    assert.equal(planner.planDeal(bot, "EURUSD_otc", 1700000250).direction, "up");
+    assert.equal(seen.timeframe, 300);
+    assert.deepEqual(seen.candles, { 1700000100: [1.1, 1.2, 1.3, 1.1] });
+    assert.equal(seen.indicators.sma({ period: 1 }), 1.2);
+    assert.equal(seen.indicators.sma({ period: 2 }), false);
+});
+
+test("planDeal takes a strategy's own expiry and stake", t => {
+    const registry = require("../src/strategies/registry");
+    const error = t.mock.method(console, "error", () => {});
+    registry.register({
+        id: "expiryProbe",
+        name: "probe",
+        events: ["stream"],
+        decide({ params }) {
+            return { direction: "up", expiry: params.expiry, amount: 2.555 };
+        },
+        params: {
+            expiry: { type: "integer", min: 0, max: 100000, default: 300 }
+        }
+    });
+    const bot = readyBot();
+    bot.settings.strategy = "expiryProbe";
+    bot.action = "updateStream";
+    assert.deepEqual(planner.planDeal(bot, "EURUSD_otc"), { direction: "up", expiry: 300, amount: 2.55 });
+    bot.settings.params = { expiryProbe: { expiry: 20000 } };
+    assert.equal(planner.planDeal(bot, "EURUSD_otc"), false);
+    assert.match(String(error.mock.calls[0].arguments[2]), /expiry must be whole seconds/);
+});
+
+test("the signals strategy expires with the shortest forecast it needs once asked to", () => {
+    const bot = readyBot();
+    bot.action = "signals";
+    bot.rates.EURUSD_otc.signals = { 1: 4, 2: 4, 3: 3, 5: 4 };
+    assert.deepEqual(planner.planDeal(bot, "EURUSD_otc"), { direction: "down", expiry: null, amount: null });
+    bot.settings.params = { signals: { forecastExpiry: true } };
+    assert.deepEqual(planner.planDeal(bot, "EURUSD_otc"), { direction: "down", expiry: 60, amount: null });
+    bot.settings.signals = [0, 0, 0, 2, 0, 0];
+    assert.equal(planner.planDeal(bot, "EURUSD_otc").expiry, 300);
+});
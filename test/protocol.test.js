@@ -0,0 +1,142 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const protocol = require("../src/page/protocol");
+const diagnostics = require("../src/page/diagnostics");
+const { startedPage, signal, ORDER } = require("./helpers");
+
+// The action a text frame announces a binary payload for.
+function announced(frame) {
+    const event = protocol.parseEvent(frame);
+    return event && protocol.binaryAction(event);
+}
+
+test("parseEvent maps announced events to update actions", () => {
+    assert.equal(announced('451-["updateStream",{"_placeholder":true,"num":0}]'), "updateStream");
+    assert.equal(announced('451-["updateHistoryNew",{"_placeholder":true,"num":0}]'), "updateHistory");
+    assert.equal(announced('451-["successupdateBalance",{"_placeholder":true,"num":0}]'), "updateBalance");
+    assert.equal(announced('451-["signals/update",{"_placeholder":true,"num":0}]'), "signals");
+    assert.deepEqual(protocol.parseEvent('42["successopenOrder",{"id":"1"}]'), {
+        name: "successopenOrder",
+        action: "successopenOrder",
+        binary: false,
+        attachments: 0,
+        args: ["successopenOrder", { id: "1" }]
+    });
+});
+
+test("parseEvent ignores unknown events and frames that are not events", () => {
+    assert.equal(announced('451-["loadHistoryPeriod",{"_placeholder":true,"num":0}]'), null);
+    assert.equal(announced('451-["constructor",{}]'), null);
+    assert.equal(protocol.parseEvent("40"), null);
+    assert.equal(protocol.parseEvent("3"), null);
+    assert.equal(protocol.parseEvent("0{\"sid\":\"abc\",\"upgrades\":[]}"), null);
+});
+
+test("parseEvent and binaryAction reject event frames they cannot read", () => {
+    assert.throws(() => protocol.parseEvent('451-["updateStream",{'), /the event is not JSON/);
+    assert.throws(() => protocol.parseEvent('42[{"name":"updateStream"}]'), /the event has no name/);
+    const event = protocol.parseEvent('452-["updateStream",{"_placeholder":true,"num":0},{"_placeholder":true,"num":1}]');
+    assert.throws(() => protocol.binaryAction(event), /updateStream carries 2 binary payloads instead of one/);
+});
+
+test("decodePayload reads the JSON carried by a binary frame", () => {
+    const bytes = new TextEncoder().encode('[["EURUSD_otc",1700000041.5,1.08]]');
+    assert.deepEqual(protocol.decodePayload(bytes.buffer), [["EURUSD_otc", 1700000041.5, 1.08]]);
+    assert.throws(() => protocol.decodePayload(new TextEncoder().encode("[1,").buffer), /the payload is not JSON/);
+});
+
+test("decodePayload reads large and non-ASCII payloads", () => {
+    const ticks = new Array(50000).fill(["EURUSD_otc", 1700000041.5, 1.08]);
+    assert.equal(protocol.decodePayload(new TextEncoder().encode(JSON.stringify(ticks)).buffer).length, 50000);
+    assert.deepEqual(protocol.decodePayload(new TextEncoder().encode('["Nikkei 225 — 日経"]').buffer), ["Nikkei 225 — 日経"]);
+});
+
+test("payloads are checked and positional rows get named fields", () => {
+    const row = [1, "EURUSD_otc", "EUR/USD OTC", 0, 0, 92, 0, 0, 0, 0, 0, 0, 0, 0, true, "extra"];
+    assert.deepEqual(protocol.readPayload("updateAssets", [row]), [{ symbol: "EURUSD_otc", name: "EUR/USD OTC", payout: 92, active: true }]);
+    assert.deepEqual(protocol.readPayload("updateStream", [["EURUSD_otc", 1700000041.5, 1.08]]), [{ asset: "EURUSD_otc", time: 1700000041.5, price: 1.08 }]);
+    assert.deepEqual(protocol.readPayload("signals", { signals: [["EURUSD_otc", [[1, 2]]]] }), [{ asset: "EURUSD_otc", forecasts: [[1, 2]] }]);
+
+    const moved = row.slice();
+    moved[5] = "92%";
+    assert.throws(() => protocol.readPayload("updateAssets", [moved]), /assets\[0\]\[5\] must be a payout/);
+    assert.throws(() => protocol.readPayload("updateAssets", [row.slice(0, 10)]), /assets\[0\] must have 15 fields/);
+    assert.throws(() => protocol.readPayload("updateStream", [[1.08, "EURUSD_otc"]]), /ticks\[0\]\[0\] must be a symbol/);
+    assert.throws(() => protocol.readPayload("updateBalance", { balance: "100" }), /balance must be a number/);
+    assert.throws(() => protocol.readPayload("successcloseOrder", { deals: [{ id: "a" }] }), /deals\[0\].profit must be a number/);
+    assert.throws(() => protocol.readPayload("updateHistory", { asset: "EURUSD_otc", period: 60, candles: [[1, 2]], history: [] }), /candles\[0\] must have 5 numbers/);
+});
+
+test("orders round-trip through parseOrder and buildOrder", () => {
+    const frame = '42["openOrder",{"asset":"EURUSD_otc","amount":1,"action":"call","isDemo":1,"requestId":5,"optionType":100,"time":60}]';
+    const order = protocol.parseOrder(frame);
+    assert.equal(order.prefix, "42");
+    assert.equal(order.message[1].asset, "EURUSD_otc");
+    assert.equal(protocol.buildOrder(order), frame);
+    // With an ack id.
+    const acked = "4217" + frame.slice(2);
+    assert.equal(protocol.buildOrder(protocol.parseOrder(acked)), acked);
+
+    assert.equal(protocol.parseOrder("3"), null);
+    assert.equal(protocol.parseOrder('42["ps",{}]'), null);
+    assert.throws(() => protocol.parseOrder('42["openOrder",{"asset":"EURUSD_otc","amount":"1","action":"call","time":60}]'), /amount must be a positive number/);
+    assert.throws(() => protocol.parseOrder('42["openOrder",{"asset":"EURUSD_otc","amount":1,"action":"higher","time":60}]'), /action must be call or put/);
+});
+
+test("a malformed frame of an event the bot trades on stops it and says why", () => {
+    const { page, posted } = startedPage();
+    page.receive('451-["updateAssets",{"_placeholder":true,"num":0}]');
+    page.receive([[1, "EURUSD_otc", "EUR/USD OTC", 0, 0, "92", 0, 0, 0, 0, 0, 0, 0, 0, true]]);
+    page.flush();
+
+    const failure = posted.filter(data => data.protocol).pop().protocol;
+    assert.equal(failure.event, "updateAssets");
+    assert.equal(failure.problem, "assets[0][5] must be a payout");
+    assert.equal(posted.filter(data => "robotSettings" == data.act).pop().settings.started, false);
+    // Stopped, it opens no deal on the next signal.
+    signal(page);
+    assert.ok(!posted.some(data => "newDeal" == data.act));
+});
+
+test("an order the bot cannot rewrite is not sent", () => {
+    const { page, sent, posted } = startedPage();
+    signal(page);
+    assert.ok(posted.some(data => "newDeal" == data.act));
+    page.send('42["openOrder",{"asset":"AUDCAD_otc","amount":5,"action":"higher","time":60}]');
+    page.flush();
+    assert.deepEqual(sent, []);
+    assert.equal(posted.filter(data => data.protocol).pop().protocol.event, "openOrder");
+
+    // Stopped, the bot passes every frame through.
+    page.send(ORDER);
+    assert.deepEqual(sent, [ORDER]);
+});
+
+test("unknown events are listed in the diagnostics and left alone", () => {
+    const { page, posted } = startedPage();
+    page.receive('451-["updateCharts",{"_placeholder":true,"num":0}]');
+    page.receive({ anything: true });
+    page.receive('42["successupdateBalance",{"isDemo":1,"balance":250}]');
+    page.receive('451-["updateStream",{');
+    page.post({ belobot: true, act: "readDiagnostics" });
+    page.flush();
+
+    const seen = posted.filter(data => data.diagnostics).pop().diagnostics;
+    assert.equal(seen.version, protocol.VERSION);
+    assert.equal(seen.in.updateCharts.known, false);
+    assert.equal(seen.in.successupdateBalance.count, 2);
+    assert.equal(seen.in.successupdateBalance.known, true);
+    assert.deepEqual(seen.failures.map(failure => [failure.event, failure.problem]), [[null, "the event is not JSON"]]);
+    assert.ok(!posted.some(data => data.protocol));
+});
+
+test("event names that are Object.prototype keys are counted like any other", () => {
+    const seen = diagnostics.create();
+    ["__proto__", "constructor", "__proto__"].forEach(name => diagnostics.seen(seen, "in", { name, action: null }, 1000));
+    assert.deepEqual(Object.keys(seen.in), ["__proto__", "constructor"]);
+    assert.equal(seen.in.__proto__.count, 2);
+    assert.equal(seen.in.constructor.count, 1);
+    assert.equal(Object.getPrototypeOf(seen.out), null);
+});
@@ -0,0 +1,79 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const registry = require("../src/strategies/registry");
+const { build } = require("../build");
+const { startedPage } = require("./helpers");
+
+function declaration(overrides) {
+    return Object.assign({
+        id: "sample",
+        name: "sample",
+        events: ["stream"],
+        params: {
+            count: { type: "integer", min: 1, max: 5, default: 2 }
+        },
+        decide() {
+            return "up";
+        }
+    }, overrides);
+}
+
+test("the built-in strategies are registered", () => {
+    assert.deepEqual(registry.list().map(strategy => strategy.id), ["signals", "cci", "candles", "pinBar", "rsiReversal", "bollingerTouch", "macdCross", "emaCross", "martin"]);
+    assert.deepEqual(registry.get("signals").events, ["signals"]);
+    assert.equal(registry.get("nope"), undefined);
+});
+
+test("validate rejects incomplete declarations", () => {
+    assert.throws(() => registry.validate(declaration({ id: "two words" })), /the id must be a word/);
+    assert.throws(() => registry.validate(declaration({ name: "" })), /a name is required/);
+    assert.throws(() => registry.validate(declaration({ events: ["ticks"] })), /events must be a list of stream, history, signals/);
+    assert.throws(() => registry.validate(declaration({ timeframe: 120 })), /timeframe must be one of 5, 15, 30, 60, 300, 900/);
+    assert.throws(() => registry.validate(declaration({ decide: "up" })), /decide must be a function/);
+    assert.throws(() => registry.validate(declaration({ params: { count: { type: "string" } } })), /"count" must be of type/);
+    assert.throws(() => registry.validate(declaration({ params: { count: { type: "number", min: 1, max: 5, default: 9 } } })), /min <= default <= max/);
+    assert.throws(() => registry.validate(declaration({ params: { on: { type: "boolean" } } })), /boolean default/);
+    assert.doesNotThrow(() => registry.validate(declaration()));
+});
+
+test("load registers good strategies and reports broken or duplicate ones", t => {
+    const error = t.mock.method(console, "error", () => {});
+    registry.load([declaration({ id: "loaded" }), declaration({ id: "broken", decide: null }), declaration({ id: "cci" })]);
+    assert.ok(registry.get("loaded"));
+    assert.equal(registry.get("broken"), undefined);
+    assert.deepEqual(error.mock.calls.map(call => call.arguments[1]), [
+        "strategy \"broken\": decide must be a function",
+        "strategy \"cci\": already registered"
+    ]);
+});
+
+test("params fills in defaults and keeps stored values within bounds", () => {
+    const strategy = registry.get("candles");
+    assert.deepEqual(registry.params(strategy), { count: 4, against: true });
+    assert.deepEqual(registry.params(strategy, { count: 40, against: false }), { count: 10, against: false });
+    assert.deepEqual(registry.params(strategy, { count: "2.6", against: "no" }), { count: 3, against: true });
+    assert.deepEqual(registry.params(registry.get("cci"), { lower: "x" }), { period: 20, upper: 115, lower: -105 });
+});
+
+test("a bundled user strategy trades with its stored parameters", () => {
+    const source = build({ write: false, strategies: path.join(__dirname, "fixtures", "strategies", "index.js") })["web_accessible_resources.js"];
+    const { page, posted } = startedPage({ strategy: "risingCloses", params: { risingCloses: { count: 4 } } }, { source });
+    const now = page.clock.now / 1000;
+    page.receive('451-["updateHistoryNew",{"_placeholder":true,"num":0}]');
+    page.receive({ asset: "EURUSD_otc", period: 60, candles: [[now - 180, 1, 1.1, 1.1, 1], [now - 120, 1.1, 1.2, 1.2, 1.1], [now - 60, 1.2, 1.3, 1.3, 1.2]], history: [] });
+    page.flush();
+
+    const tick = price => {
+        page.receive('451-["updateStream",{"_placeholder":true,"num":0}]');
+        page.receive([["EURUSD_otc", page.clock.now / 1000 + 1, price]]);
+        page.flush();
+    };
+    tick(1.3);
+    assert.ok(!posted.some(data => "newDeal" == data.act));
+    tick(1.4);
+    assert.equal(posted.filter(data => "newDeal" == data.act).length, 1);
+    assert.deepEqual(page.errors, []);
+});
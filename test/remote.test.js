@@ -0,0 +1,248 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const remote = require("../src/content/remote");
+const path = require("path");
+const { build } = require("../build");
+const { startedPage, ORDER } = require("./helpers");
+
+const COMMAND = {
+    type: "trade",
+    id: 42,
+    source: "vip",
+    asset: "EURUSD_otc",
+    direction: "PUT",
+    expiry: 120,
+    amount: 3,
+    martingale: { steps: 1 }
+};
+
+function command(fields) {
+    return Object.assign({}, COMMAND, fields);
+}
+
+function bridgeSignal(page, fields) {
+    page.post({ belobot: true, act: "signal", signal: remote.toSignal(command(fields)) });
+    page.flush();
+}
+
+function messages(posted) {
+    return posted.filter(data => data.remote).map(data => data.remote);
+}
+
+test("toSignal reads a trade command", () => {
+    assert.deepEqual(remote.toSignal(COMMAND), {
+        id: "42",
+        source: "vip",
+        asset: "EURUSD_otc",
+        direction: "down",
+        expiry: 120,
+        amount: 3,
+        martingale: { steps: 1 }
+    });
+    assert.deepEqual(remote.toSignal(command({ expiry: null, amount: undefined, martingale: false })), {
+        id: "42",
+        source: "vip",
+        asset: "EURUSD_otc",
+        direction: "down",
+        expiry: null,
+        amount: null,
+        martingale: { steps: 0 }
+    });
+});
+
+test("toSignal rejects malformed commands", () => {
+    assert.throws(() => remote.toSignal(command({ type: "order" })), /type must be "trade" or "text"/);
+    assert.throws(() => remote.toSignal(command({ id: "" })), /an id is required/);
+    assert.throws(() => remote.toSignal(command({ source: 7 })), /a source is required/);
+    assert.throws(() => remote.toSignal(command({ asset: "" })), /an asset is required/);
+    assert.throws(() => remote.toSignal(command({ direction: "sideways" })), /direction must be/);
+    assert.throws(() => remote.toSignal(command({ expiry: 2.5 })), /expiry must be whole seconds from 5 to 14400/);
+    assert.throws(() => remote.toSignal(command({ amount: -1 })), /amount must be a positive number/);
+    assert.throws(() => remote.toSignal(command({ martingale: { steps: 11 } })), /martingale.steps/);
+});
+
+test("connect refuses invalid commands and reconnects with a growing delay", t => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    const sockets = [];
+    function FakeSocket(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        this.listeners = {};
+        sockets.push(this);
+    }
+    FakeSocket.OPEN = 1;
+    FakeSocket.prototype.addEventListener = function(type, fn) {
+        this.listeners[type] = fn;
+    };
+    FakeSocket.prototype.send = function(text) {
+        this.sent.push(JSON.parse(text));
+    };
+    FakeSocket.prototype.close = function() {};
+    FakeSocket.prototype.emit = function(type, data) {
+        if ("open" == type) this.readyState = 1;
+        this.listeners[type]({ data });
+    };
+
+    const signals = [];
+    const statuses = [];
+    const bridge = remote.connect("ws://127.0.0.1:8765", {
+        signal: signal => signals.push(signal),
+        status: status => statuses.push(status)
+    }, FakeSocket);
+    sockets[0].emit("open");
+    sockets[0].emit("message", JSON.stringify(COMMAND));
+    sockets[0].emit("message", JSON.stringify(command({ id: 43, direction: "left" })));
+    sockets[0].emit("message", "not json");
+    assert.deepEqual(signals.map(signal => signal.id), ["42"]);
+    assert.deepEqual(sockets[0].sent, [
+        { type: "hello", client: "belobot" },
+        { type: "ack", id: "43", accepted: false, reason: "invalid", error: "direction must be up, down, call or put" },
+        { type: "ack", id: null, accepted: false, reason: "invalid", error: sockets[0].sent[2].error }
+    ]);
+
+    sockets[0].emit("close");
+    t.mock.timers.tick(remote.RETRY_MIN);
+    sockets[1].emit("close");
+    t.mock.timers.tick(remote.RETRY_MIN);
+    assert.equal(sockets.length, 2);
+    t.mock.timers.tick(remote.RETRY_MIN);
+    assert.equal(sockets.length, 3);
+    assert.deepEqual(statuses, ["connecting", "open", "closed", "connecting", "closed", "connecting"]);
+
+    bridge.close();
+    sockets[2].emit("close");
+    t.mock.timers.tick(remote.RETRY_MAX);
+    assert.equal(sockets.length, 3);
+});
+
+test("a bridge signal is acknowledged and rewrites the next order", () => {
+    const { page, sent, posted } = startedPage({ useMartin: false });
+    bridgeSignal(page);
+    assert.deepEqual(messages(posted), [{ type: "ack", id: "42", source: "vip", accepted: true }]);
+    assert.ok(posted.some(data => "newDeal" == data.act));
+
+    page.send(ORDER);
+    const order = JSON.parse(sent[0].slice(2))[1];
+    assert.equal(order.asset, "EURUSD_otc");
+    assert.equal(order.action, "put");
+    assert.equal(order.amount, 3);
+    assert.equal(order.time, 120);
+});
+
+test("a bridge signal is refused for what the bot itself would not trade", () => {
+    const { page, posted } = startedPage({ use_otc: false });
+    bridgeSignal(page, { asset: "GBPUSD" });
+    bridgeSignal(page);
+    page.receive('451-["updateAssets",{"_placeholder":true,"num":0}]');
+    page.receive([[1, "EURUSD_otc", "EUR/USD OTC", 0, 0, 85, 0, 0, 0, 0, 0, 0, 0, 0, true]]);
+    page.post({ belobot: true, act: "setState", settings: { use_otc: true, min_profit: 90 } });
+    bridgeSignal(page);
+    page.post({ belobot: true, act: "setState", settings: { min_profit: 80, martin_exposure: 2 } });
+    bridgeSignal(page);
+    assert.deepEqual(messages(posted).map(ack => ack.reason), ["unknown_asset", "otc", "min_profit", "martin_exposure"]);
+    assert.ok(!posted.some(data => "newDeal" == data.act));
+});
+
+test("a bridge signal reports every deal of its Martingale policy", () => {
+    const { page, sent, posted } = startedPage({ useMartin: false });
+    bridgeSignal(page);
+    page.send(ORDER);
+    page.receive('451-["successopenOrder",{"_placeholder":true,"num":0}]');
+    page.receive({ id: "deal-1", asset: "EURUSD_otc", amount: 3, command: 1 });
+    page.advance(120000);
+    page.receive('451-["successcloseOrder",{"_placeholder":true,"num":0}]');
+    page.receive({ profit: -3, deals: [{ id: "deal-1", asset: "EURUSD_otc", amount: 3, command: 1, profit: -3 }] });
+    page.flush();
+
+    page.send(ORDER);
+    const order = JSON.parse(sent[1].slice(2))[1];
+    assert.equal(order.amount, 6);
+    assert.equal(order.time, 120);
+    page.receive('451-["successopenOrder",{"_placeholder":true,"num":0}]');
+    page.receive({ id: "deal-2", asset: "EURUSD_otc", amount: 6, command: 1 });
+    page.advance(120000);
+    page.receive('451-["successcloseOrder",{"_placeholder":true,"num":0}]');
+    page.receive({ profit: -6, deals: [{ id: "deal-2", asset: "EURUSD_otc", amount: 6, command: 1, profit: -6 }] });
+    page.flush();
+
+    const results = messages(posted).filter(message => "result" == message.type);
+    assert.deepEqual(results, [
+        { type: "result", id: "42", source: "vip", deal: "deal-1", asset: "EURUSD_otc", direction: "down", amount: 3, step: 0, profit: -3, paper: false },
+        { type: "result", id: "42", source: "vip", deal: "deal-2", asset: "EURUSD_otc", direction: "down", amount: 6, step: 1, profit: -6, paper: false }
+    ]);
+    // One re-entry was all the policy allowed.
+    assert.equal(posted.filter(data => "newDeal" == data.act).length, 2);
+    const entry = posted.filter(data => data.journal).pop().journal;
+    assert.equal(entry.strategy, "remote");
+    assert.equal(entry.signal.source, "vip");
+});
+
+function textSignal(page, text, fields) {
+    const command = Object.assign({ type: "text", id: "t1", source: "vip", text }, fields);
+    page.post({ belobot: true, act: "signal", signal: remote.toSignal(command) });
+    page.flush();
+}
+
+test("a text signal is traded as its channel's profile reads it", () => {
+    const { page, sent, posted } = startedPage({ useMartin: false });
+    textSignal(page, "EUR/USD OTC 🔽 PUT 2 min, up to 1 gale", { amount: 4 });
+    assert.deepEqual(messages(posted), [{
+        type: "ack",
+        id: "t1",
+        source: "vip",
+        accepted: true,
+        signal: { asset: "EURUSD_otc", direction: "down", expiry: 120, entry: null, martingale: { steps: 1 } }
+    }]);
+    page.send(ORDER);
+    const order = JSON.parse(sent[0].slice(2))[1];
+    assert.equal(order.action, "put");
+    assert.equal(order.amount, 4);
+    assert.equal(order.time, 120);
+
+    textSignal(page, "good morning, traders");
+    assert.deepEqual(messages(posted).pop(), { type: "ack", id: "t1", source: "vip", accepted: false, reason: "unparsed", error: "no known asset" });
+});
+
+test("bundled channel profiles read their channel's messages", t => {
+    const errors = t.mock.method(console, "error", () => {});
+    const source = build({ write: false, channels: path.join(__dirname, "fixtures", "channels", "index.js") })["web_accessible_resources.js"];
+    const { page, posted } = startedPage({ useMartin: false }, { source });
+    assert.deepEqual(errors.mock.calls.map(call => call.arguments.join(" ")), ["belobot: a profile needs an id"]);
+
+    textSignal(page, "EUR/USD OTC|PUT|M2", { source: "pipes-vip" });
+    assert.deepEqual(messages(posted).pop().signal, { asset: "EURUSD_otc", direction: "down", expiry: 120, entry: null, martingale: null });
+    assert.deepEqual(page.errors, []);
+});
+
+test("a text signal waits for its entry time and is refused once late", () => {
+    // 10:00 UTC is 07:00 in the semicolon profile's Brasília time.
+    const { page, posted } = startedPage();
+    textSignal(page, "M1;EURUSD-OTC;07:02;CALL", { profile: "semicolon" });
+    assert.equal(messages(posted)[0].scheduled, Date.UTC(2025, 0, 6, 10, 2));
+    assert.ok(!posted.some(data => "newDeal" == data.act));
+
+    page.advance(60000);
+    page.flush();
+    assert.ok(!posted.some(data => "newDeal" == data.act));
+    page.advance(60000);
+    page.flush();
+    assert.equal(messages(posted)[1].accepted, true);
+    assert.ok(posted.some(data => "newDeal" == data.act));
+
+    textSignal(page, "M1;EURUSD-OTC;06:59;CALL", { profile: "semicolon" });
+    assert.equal(messages(posted).pop().reason, "late");
+});
+
+test("channels scoring below min_score are ignored", () => {
+    const { page, posted } = startedPage({ min_score: 50 });
+    page.post({ belobot: true, act: "signal", signal: Object.assign(remote.toSignal(COMMAND), { score: 40 }) });
+    page.flush();
+    assert.equal(messages(posted).pop().reason, "low_score");
+    // Channels without enough deals for a score yet are let through.
+    page.post({ belobot: true, act: "signal", signal: Object.assign(remote.toSignal(COMMAND), { score: null }) });
+    page.flush();
+    assert.equal(messages(posted).pop().accepted, true);
+});
@@ -0,0 +1,27 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { replay, compare } = require("../tools/replay");
+const { pageSource } = require("./helpers");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+
+fs.readdirSync(FIXTURES).filter(name => name.endsWith(".recording.json")).forEach(function(name) {
+    test(`replaying ${name} matches its snapshot`, () => {
+        const recording = JSON.parse(fs.readFileSync(path.join(FIXTURES, name), "utf8"));
+        const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, name.replace(".recording.", ".snapshot.")), "utf8"));
+        const snapshot = replay(recording, { source: pageSource() });
+        assert.equal(compare(expected, snapshot), null);
+        assert.deepEqual(snapshot.divergences, []);
+        assert.deepEqual(snapshot.errors, []);
+    });
+});
+
+test("compare points at the first difference", () => {
+    assert.equal(compare({ a: [1, 2] }, { a: [1, 2] }), null);
+    assert.deepEqual(compare({ a: [1, 2] }, { a: [1, 3] }), { path: "$.a[1]", expected: 2, actual: 3 });
+    assert.deepEqual(compare({ a: 1 }, { a: 1, b: 2 }), { path: "$.b", expected: undefined, actual: 2 });
+});
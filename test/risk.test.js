@@ -0,0 +1,140 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startedPage, signal, open, close, ORDER } = require("./helpers");
+
+function risks(posted) {
+    return posted.filter(data => data.risk).map(data => data.risk);
+}
+
+function lastSettings(posted) {
+    return posted.filter(data => "robotSettings" == data.act).pop().settings;
+}
+
+// Opens a deal of `amount` from a fresh signal and closes it with `profit`.
+function trade(page, sent, id, amount, profit) {
+    signal(page);
+    page.send(ORDER);
+    close(page, open(page, id, amount), profit);
+    return sent.length;
+}
+
+test("the stop loss stops the bot instead of doubling into the loss", () => {
+    const { page, sent, posted } = startedPage({ useMartin: true, stop_loss_sum: 5 });
+    trade(page, sent, "deal-1", 5, -5);
+
+    assert.deepEqual(risks(posted), [{ reason: "stop_loss", limit: 5 }]);
+    assert.equal(lastSettings(posted).started, false);
+    assert.equal(posted.filter(data => "newDeal" == data.act).length, 1);
+    assert.deepEqual(page.errors, []);
+});
+
+test("the percent stop loss is taken from the starting balance", () => {
+    const { page, sent, posted } = startedPage({ useMartin: false, stop_loss: 10 });
+    trade(page, sent, "deal-1", 5, -5);
+    assert.deepEqual(risks(posted), []);
+    page.advance(60000);
+    trade(page, sent, "deal-2", 5, -5);
+    assert.deepEqual(risks(posted), [{ reason: "stop_loss", limit: "10%" }]);
+});
+
+test("the daily loss cap holds after a reload", () => {
+    const first = startedPage({ useMartin: false, daily_loss: 8 });
+    trade(first.page, first.sent, "deal-1", 5, -5);
+    assert.deepEqual(risks(first.posted), []);
+
+    const reloaded = startedPage({ useMartin: false, daily_loss: 8 }, {
+        now: first.page.clock.now,
+        localStorage: Object.fromEntries(first.page.storage)
+    });
+    trade(reloaded.page, reloaded.sent, "deal-2", 5, -5);
+    assert.deepEqual(risks(reloaded.posted), [{ reason: "daily_loss", limit: 8 }]);
+
+    const again = startedPage({ useMartin: false, daily_loss: 8 }, {
+        now: reloaded.page.clock.now,
+        localStorage: Object.fromEntries(reloaded.page.storage)
+    });
+    assert.deepEqual(risks(again.posted), [{ reason: "daily_loss", limit: 8 }]);
+    assert.equal(lastSettings(again.posted).started, false);
+
+    const tomorrow = startedPage({ useMartin: false, daily_loss: 8 }, {
+        now: reloaded.page.clock.now + 86400000,
+        localStorage: Object.fromEntries(reloaded.page.storage)
+    });
+    assert.deepEqual(risks(tomorrow.posted), []);
+});
+
+test("the daily loss of the demo account does not stop the real one", () => {
+    const first = startedPage({ useMartin: false, daily_loss: 8 });
+    trade(first.page, first.sent, "deal-1", 5, -5);
+    first.page.advance(60000);
+    trade(first.page, first.sent, "deal-2", 5, -5);
+    assert.deepEqual(risks(first.posted), [{ reason: "daily_loss", limit: 8 }]);
+
+    const { page, posted } = startedPage({ useMartin: false, daily_loss: 8 }, {
+        now: first.page.clock.now,
+        localStorage: Object.fromEntries(first.page.storage),
+        confirmed: true
+    });
+    assert.deepEqual(risks(posted), [{ reason: "daily_loss", limit: 8 }]);
+    page.receive('451-["successupdateBalance",{"_placeholder":true,"num":0}]');
+    page.receive({ isDemo: 0, balance: 100 });
+    page.post({ belobot: true, act: "start_stop" });
+    page.flush();
+    signal(page);
+    assert.deepEqual(risks(posted), [{ reason: "daily_loss", limit: 8 }]);
+    assert.equal(posted.filter(data => "newDeal" == data.act).length, 1);
+});
+
+test("the daily loss kept before accounts were told apart carries over once", () => {
+    const now = Date.UTC(2025, 0, 6, 10);
+    const day = new Date(now);
+    const legacy = JSON.stringify({ day: [day.getFullYear(), day.getMonth() + 1, day.getDate()].join("-"), net: -8 });
+    const { page, posted } = startedPage({ useMartin: false, daily_loss: 8 }, { now, localStorage: { belobot_daily: legacy } });
+
+    assert.deepEqual(risks(posted), [{ reason: "daily_loss", limit: 8 }]);
+    assert.equal(page.storage.has("belobot_daily"), false);
+    assert.equal(page.storage.get("belobot_daily_demo"), legacy);
+    assert.equal(page.storage.has("belobot_daily_real"), false);
+});
+
+test("a Martingale chain stops at the exposure limit", () => {
+    const { page, sent, posted } = startedPage({ useMartin: true, martin_exposure: 15 });
+    trade(page, sent, "deal-1", 5, -5);
+    page.send(ORDER);
+    assert.equal(JSON.parse(sent[sent.length - 1].slice(2))[1].amount, 10);
+
+    close(page, open(page, "deal-2", 10), -10);
+    assert.deepEqual(risks(posted), [{ reason: "martin_exposure", limit: 15, asset: "EURUSD_otc" }]);
+    assert.equal(posted.filter(data => "newDeal" == data.act).length, 2);
+    assert.ok(!posted.some(data => "robotSettings" == data.act));
+});
+
+test("losses in a row pause the bot for the cooldown", () => {
+    const { page, sent, posted } = startedPage({ useMartin: false, loss_streak: 2, cooldown: 5 });
+    trade(page, sent, "deal-1", 5, -5);
+    page.advance(60000);
+    trade(page, sent, "deal-2", 5, -5);
+    const until = page.clock.now + 5 * 60000;
+    assert.deepEqual(risks(posted), [{ reason: "cooldown", limit: 2, until }]);
+
+    page.advance(60000);
+    signal(page);
+    assert.equal(posted.filter(data => "newDeal" == data.act).length, 2);
+
+    page.advance(4 * 60000);
+    signal(page);
+    assert.equal(posted.filter(data => "newDeal" == data.act).length, 3);
+    assert.equal(risks(posted).length, 1);
+});
+
+test("the take profit stops the bot and says so", () => {
+    const { page, posted } = startedPage();
+    page.receive('42["successupdateBalance",{"isDemo":1,"balance":1000}]');
+    signal(page);
+
+    assert.equal(risks(posted).pop().reason, "take_profit");
+    assert.equal(lastSettings(posted).started, false);
+    assert.ok(!posted.some(data => "newDeal" == data.act));
+});
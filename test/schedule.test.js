@@ -0,0 +1,176 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const schedule = require("../src/page/schedule");
+const windows = require("../src/content/schedule");
+const { startedPage, signal, open, close, ORDER } = require("./helpers");
+
+const MINUTE = 60000;
+const START = Date.UTC(2025, 0, 6, 10);
+
+function settings(fields) {
+    return Object.assign({
+        schedule: [],
+        asset_mode: "all",
+        assets: [],
+        blackouts: [],
+        blackout_before: 15,
+        blackout_after: 15
+    }, fields);
+}
+
+// Monday 6 January 2025 at `hours`:`minutes`, local time.
+function monday(hours, minutes = 0) {
+    return new Date(2025, 0, 6, hours, minutes).getTime();
+}
+
+// A window opening `from` minutes after the page's start time and closing
+// `to` minutes after it, on the start's day in local time.
+function around(from, to) {
+    const start = new Date(START);
+    const minutes = 60 * start.getHours() + start.getMinutes();
+    return [{ days: [start.getDay()], from: minutes + from, to: minutes + to }];
+}
+
+test("trading is open inside the weekly windows only", () => {
+    const office = settings({ schedule: [{ days: [1, 2, 3, 4, 5], from: 480, to: 1020 }] });
+    assert.equal(schedule.check(office, monday(10)), null);
+    assert.deepEqual(schedule.check(office, monday(7, 59)), { reason: "schedule" });
+    assert.deepEqual(schedule.check(office, monday(17)), { reason: "schedule" });
+    assert.deepEqual(schedule.check(office, new Date(2025, 0, 5, 10).getTime()), { reason: "schedule" });
+    assert.equal(schedule.check(settings(), monday(3)), null);
+
+    // Sunday 22:00 to Monday 02:00.
+    const overnight = settings({ schedule: [{ days: [0], from: 1320, to: 120 }] });
+    assert.equal(schedule.check(overnight, new Date(2025, 0, 5, 23).getTime()), null);
+    assert.equal(schedule.check(overnight, monday(1, 30)), null);
+    assert.deepEqual(schedule.check(overnight, monday(2)), { reason: "schedule" });
+});
+
+test("news events black out trading around them", () => {
+    const news = settings({
+        blackouts: [
+            { title: "NFP", start: monday(14, 30), end: null },
+            { title: "ECB", start: monday(16), end: monday(17) }
+        ]
+    });
+    assert.equal(schedule.check(news, monday(14, 14)), null);
+    assert.deepEqual(schedule.check(news, monday(14, 15)), { reason: "blackout", title: "NFP" });
+    assert.deepEqual(schedule.check(news, monday(14, 44)), { reason: "blackout", title: "NFP" });
+    assert.equal(schedule.check(news, monday(14, 45)), null);
+    assert.deepEqual(schedule.check(news, monday(17, 10)), { reason: "blackout", title: "ECB" });
+    assert.equal(schedule.reopens(news, monday(16)), monday(17, 15));
+});
+
+test("reopens finds the next window opening past any blackout", () => {
+    const week = settings({
+        schedule: [{ days: [1, 2, 3, 4, 5], from: 480, to: 1020 }],
+        blackouts: [{ title: "CPI", start: new Date(2025, 0, 7, 8).getTime(), end: null }]
+    });
+    assert.equal(schedule.reopens(week, monday(18)), new Date(2025, 0, 7, 8, 15).getTime());
+    assert.equal(schedule.reopens(week, new Date(2025, 0, 4, 12).getTime()), monday(8));
+    assert.equal(schedule.reopens(settings({ schedule: [{ days: [], from: 0, to: 60 }] }), monday(3)), null);
+});
+
+test("the asset list lets through or blocks pairs and their OTC variants", () => {
+    const allow = settings({ asset_mode: "allow", assets: ["EURUSD", "gbpjpy_otc"] });
+    assert.ok(schedule.allowsAsset(allow, "EURUSD"));
+    assert.ok(schedule.allowsAsset(allow, "EURUSD_otc"));
+    assert.ok(schedule.allowsAsset(allow, "GBPJPY_otc"));
+    assert.ok(!schedule.allowsAsset(allow, "GBPJPY"));
+    const block = Object.assign({}, allow, { asset_mode: "block" });
+    assert.ok(!schedule.allowsAsset(block, "EURUSD_otc"));
+    assert.ok(schedule.allowsAsset(block, "AUDCAD_otc"));
+    assert.ok(schedule.allowsAsset(settings({ assets: ["EURUSD"] }), "AUDCAD"));
+});
+
+test("weekly hours are read from and written back to text", () => {
+    const parsed = windows.parseWindows("Mon-Fri 08:00-12:00 14:00-17:30; sat,SUN 22:00-24:00\nFri-Mon 23:00-01:00");
+    assert.deepEqual(parsed, [
+        { days: [1, 2, 3, 4, 5], from: 480, to: 720 },
+        { days: [1, 2, 3, 4, 5], from: 840, to: 1050 },
+        { days: [6, 0], from: 1320, to: 0 },
+        { days: [5, 6, 0, 1], from: 1380, to: 60 }
+    ]);
+    const text = windows.formatWindows(parsed);
+    assert.equal(text, "Mon-Fri 08:00-12:00 14:00-17:30; Sat-Sun 22:00-00:00; Mon,Fri-Sun 23:00-01:00");
+    assert.deepEqual(windows.parseWindows(text).map(window => window.from), [480, 840, 1320, 1380]);
+    assert.deepEqual(windows.parseWindows("  "), []);
+
+    assert.throws(() => windows.parseWindows("08:00-12:00"), /needs days and hours/);
+    assert.throws(() => windows.parseWindows("Mon-Fry 08:00-12:00"), /"Fry" is not a day/);
+    assert.throws(() => windows.parseWindows("Mon 08:00"), /not a range of hours/);
+    assert.throws(() => windows.parseWindows("Mon 08:00-25:00"), /"25:00" is not a time/);
+    assert.throws(() => windows.parseWindows("Mon 08:00-08:00"), /is empty/);
+});
+
+test("news calendars are imported from JSON and ICS", () => {
+    const now = Date.UTC(2025, 0, 6);
+    const json = JSON.stringify({
+        events: [
+            { title: "ECB", start: "2025-01-07T13:15:00Z", end: "2025-01-07T14:00:00Z" },
+            { name: "NFP", time: Date.UTC(2025, 0, 6, 13, 30) },
+            { title: "old", start: "2024-12-01T10:00:00Z" }
+        ]
+    });
+    assert.deepEqual(windows.parseCalendar(json, now), [
+        { title: "NFP", start: Date.UTC(2025, 0, 6, 13, 30), end: null },
+        { title: "ECB", start: Date.UTC(2025, 0, 7, 13, 15), end: Date.UTC(2025, 0, 7, 14) }
+    ]);
+    assert.throws(() => windows.parseCalendar('[{"title": "x", "start": "soon"}]', now), /event 1: start is not a date/);
+    assert.throws(() => windows.parseCalendar('{"title": "x"}', now), /must be a list of events/);
+
+    const ics = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "BEGIN:VEVENT",
+        "DTSTART:20250110T133000Z",
+        "SUMMARY:Non-Farm Payrolls\\, US",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "DTSTART;TZID=Europe/London:20250108T090000",
+        "DTEND;TZID=Europe/London:20250108T093000",
+        "SUMMARY:UK CPI with a long description that the calendar fo",
+        " lded",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "DTSTART;VALUE=DATE:20250109",
+        "SUMMARY:Holiday",
+        "END:VEVENT",
+        "END:VCALENDAR"
+    ].join("\r\n");
+    assert.deepEqual(windows.parseCalendar(ics, now), [
+        { title: "UK CPI with a long description that the calendar folded", start: new Date(2025, 0, 8, 9).getTime(), end: new Date(2025, 0, 8, 9, 30).getTime() },
+        { title: "Holiday", start: new Date(2025, 0, 9).getTime(), end: new Date(2025, 0, 10).getTime() },
+        { title: "Non-Farm Payrolls, US", start: Date.UTC(2025, 0, 10, 13, 30), end: null }
+    ]);
+});
+
+test("the bot opens no deal while the schedule is closed and says until when", () => {
+    const { page, posted } = startedPage({ schedule: around(5, 60) });
+    signal(page);
+    assert.ok(!posted.some(data => "newDeal" == data.act));
+    assert.deepEqual(posted.filter(data => data.schedule).map(data => data.schedule), [{ reason: "schedule", until: START + 5 * MINUTE }]);
+
+    page.advance(5 * MINUTE);
+    signal(page);
+    assert.ok(posted.some(data => "newDeal" == data.act));
+    assert.deepEqual(posted.filter(data => data.schedule).pop().schedule, { reason: "open" });
+});
+
+test("open deals run to their expiry when a blackout starts, without a re-entry", () => {
+    const blackouts = [{ title: "NFP", start: START + 30 * MINUTE, end: null }];
+    const { page, sent, posted } = startedPage({ useMartin: true, blackouts, blackout_before: 20 });
+    signal(page);
+    page.send(ORDER);
+    const deal = open(page, "deal-1", 5);
+    page.advance(10 * MINUTE);
+    close(page, deal, -5);
+
+    assert.equal(posted.filter(data => data.journal).pop().journal.id, "deal-1");
+    assert.equal(posted.filter(data => "newDeal" == data.act).length, 1);
+    assert.deepEqual(posted.filter(data => data.schedule).pop().schedule, { reason: "blackout", title: "NFP", until: START + 45 * MINUTE });
+    page.send(ORDER);
+    assert.equal(JSON.parse(sent[1].slice(2))[1].asset, "AUDCAD_otc");
+});
@@ -0,0 +1,117 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const settings = require("../src/page/settings");
+const profiles = require("../src/content/profiles");
+const { createBot } = require("../src/page/bot");
+const { startedPage } = require("./helpers");
+
+test("settings are validated and clamped against the schema", () => {
+    const { values, problems } = settings.sanitize({
+        min_profit: 95,
+        delay: "3.4",
+        deals_limit: "many",
+        signals: [2, 2, 1, 0, 0],
+        martinSteps: [2, 2, 2, 2, 2, 2, 2, 2, 20],
+        strategy: "nope",
+        stake_mode: "kelly",
+        schedule: [{ days: [1, 9], from: 60, to: 120 }],
+        blackouts: [{ title: "NFP", start: 1736515800000, end: null }],
+        params: { cci: { period: 100 } },
+        started: true,
+        shared: true
+    });
+    assert.deepEqual(values, {
+        min_profit: 92,
+        delay: 3,
+        martinSteps: [2, 2, 2, 2, 2, 2, 2, 2, 10],
+        stake_mode: "kelly",
+        schedule: [{ days: [1, 6], from: 60, to: 120 }],
+        blackouts: [{ title: "NFP", start: 1736515800000, end: null }],
+        params: { cci: { period: 50, upper: 115, lower: -105 } }
+    });
+    assert.deepEqual(problems, [
+        "min_profit was 95, set to 92",
+        "deals_limit must be a number",
+        "signals must have 6 items",
+        "martinSteps[8] was 20, set to 10",
+        'strategy: there is no strategy "nope"',
+        "schedule[0].days[1] was 9, set to 6"
+    ]);
+});
+
+test("setState keeps the current value of a refused setting", () => {
+    const bot = createBot();
+    bot.setState({ take_profit: 50, deals_limit: 0, use_otc: "no", started: true });
+    assert.equal(bot.settings.take_profit.percent, 50);
+    assert.equal(bot.settings.deals_limit, 1);
+    assert.equal(bot.settings.use_otc, true);
+    assert.equal(bot.settings.started, false);
+});
+
+test("what setState refused or clamped is posted to the modal", () => {
+    const { page, posted } = startedPage({ deals_limit: 0, use_otc: "no" });
+    const problems = posted.filter(data => data.settingsProblems).map(data => Array.from(data.settingsProblems));
+    assert.deepEqual(problems, [["deals_limit was 0, set to 1", "use_otc must be true or false"]]);
+    assert.deepEqual(page.errors, []);
+});
+
+test("a profile replaces every setting, back to the defaults where it says nothing", () => {
+    const { page, posted } = startedPage({ delay: 30, min_score: 40, strategy: "cci" });
+    page.post({ belobot: true, act: "setState", settings: { delay: 5 }, replace: true });
+    page.post({ belobot: true, act: "readState" });
+    page.flush();
+    const applied = posted.filter(data => "robotSettings" == data.act).pop().settings;
+    assert.equal(applied.delay, 5);
+    assert.equal(applied.min_score, 0);
+    assert.equal(applied.strategy, "signals");
+    // The bot keeps running with its new settings.
+    assert.equal(applied.started, true);
+});
+
+test("the flat keys stored before profiles become the default profile", () => {
+    const { profiles: migrated, migrated: changed } = profiles.migrate({
+        min_profit: 85,
+        take_profit: 30,
+        martinSteps: [2, 2, 2, 2, 2, 2, 2, 2, 2],
+        use_otc: false,
+        // Kept in the page script only, never stored before profiles.
+        useMartin: true,
+        shared: true,
+        bridge_url: "ws://127.0.0.1:8765"
+    });
+    assert.equal(changed, true);
+    assert.deepEqual(migrated, {
+        version: settings.VERSION,
+        active: "default",
+        list: {
+            default: { min_profit: 85, take_profit: 30, martinSteps: [2, 2, 2, 2, 2, 2, 2, 2, 2], use_otc: false }
+        }
+    });
+    assert.deepEqual(profiles.migrate({ profiles: migrated, min_profit: 10 }), { profiles: migrated, migrated: false });
+    assert.deepEqual(profiles.migrate({}).profiles.list, { default: {} });
+});
+
+test("profiles are exported and imported as JSON", () => {
+    const values = settings.pick(createBot().settings);
+    const exported = profiles.toJson("news days", values);
+    assert.deepEqual(JSON.parse(exported), { schema: settings.VERSION, name: "news days", settings: values });
+    assert.deepEqual(profiles.fromJson(exported, "file"), { name: "news days", settings: values, problems: [] });
+
+    // A file of version 1 settings, as they were stored before profiles.
+    assert.deepEqual(profiles.fromJson('{"min_profit": 99, "delay": 5}', "old"), {
+        name: "old",
+        settings: { min_profit: 92, delay: 5 },
+        problems: ["min_profit was 99, set to 92"]
+    });
+    assert.throws(() => profiles.fromJson('{"schema": 3, "settings": {}}', "x"), /needs a newer bot/);
+    assert.throws(() => profiles.fromJson("[]", "x"), /must be an object/);
+    assert.throws(() => profiles.fromJson("{", "x"), SyntaxError);
+
+    const store = { list: { default: {}, "news days": {} } };
+    assert.equal(profiles.uniqueName(store, "night"), "night");
+    assert.equal(profiles.uniqueName(store, "news days"), "news days (2)");
+    assert.equal(profiles.uniqueName(store, "__proto__"), "__proto__ (2)");
+    assert.equal(profiles.uniqueName(store, "toString"), "toString (2)");
+});
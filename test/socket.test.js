@@ -0,0 +1,73 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startedPage, signal, open, close, ORDER } = require("./helpers");
+
+test("frames pass through untouched while no deal is queued", () => {
+    const { page, sent } = startedPage();
+    page.send(ORDER);
+    page.send('42["changeSymbol",{"asset":"AUDCAD_otc","period":60}]');
+    assert.deepEqual(sent.slice(1), ['42["changeSymbol",{"asset":"AUDCAD_otc","period":60}]']);
+});
+
+test("a queued deal rewrites the next order the platform sends", () => {
+    const { page, sent, posted } = startedPage();
+    signal(page);
+    assert.ok(posted.some(data => "newDeal" == data.act));
+    page.send(ORDER);
+    const order = JSON.parse(sent[0].slice(2))[1];
+    assert.equal(order.asset, "EURUSD_otc");
+    assert.equal(order.action, "call");
+    assert.equal(order.amount, 5);
+    assert.equal(order.isDemo, 1);
+});
+
+test("a lost robot deal re-enters at the next Martingale step", () => {
+    const { page, sent, posted } = startedPage();
+    signal(page);
+    page.send(ORDER);
+    close(page, open(page, "deal-1", 5), -5);
+
+    assert.deepEqual(posted.filter(data => data.robotDeals).pop().robotDeals, { opened: [], closed: [-5] });
+    page.send(ORDER);
+    const order = JSON.parse(sent[1].slice(2))[1];
+    assert.equal(order.asset, "EURUSD_otc");
+    assert.equal(order.action, "call");
+    assert.equal(order.amount, 10);
+});
+
+test("a large binary frame is recorded and still handled", () => {
+    const { page, posted } = startedPage({ paper: true });
+    page.post({ belobot: true, act: "record", enabled: true });
+    page.flush();
+    const ticks = new Array(50000).fill(0).map((_, i) => ["EURUSD_otc", page.clock.now / 1000 - 50000 + i, 1.1]);
+    page.receive('451-["updateStream",{"_placeholder":true,"num":0}]');
+    page.receive(ticks);
+    signal(page);
+    page.post({ belobot: true, act: "record", enabled: false });
+    page.flush();
+
+    assert.deepEqual(page.errors, []);
+    assert.deepEqual(posted.filter(data => data.paperDeals).pop().paperDeals, { opened: 1, closed: [] });
+    const frames = JSON.parse(page.downloads.pop().text).frames;
+    assert.equal(frames.find(frame => null != frame.binary).binary.length, JSON.stringify(ticks).length);
+});
+
+test("a deal's own stake and expiry rewrite the order and carry into its re-entry", () => {
+    const { page, sent, posted } = startedPage({ useMartin: true, stake_mode: "fixed", stake_amount: 3, signals: [0, 2, 0, 0, 0, 0], params: { signals: { forecastExpiry: true } } });
+    signal(page);
+    page.send(ORDER);
+    let order = JSON.parse(sent[0].slice(2))[1];
+    assert.equal(order.amount, 3);
+    assert.equal(order.time, 120);
+    close(page, open(page, "deal-1", 3), -3);
+
+    const entry = posted.filter(data => data.journal).pop().journal;
+    assert.equal(entry.expiry, 120);
+    assert.equal(entry.base, 3);
+    page.send(ORDER);
+    order = JSON.parse(sent[1].slice(2))[1];
+    assert.equal(order.amount, 6);
+    assert.equal(order.time, 120);
+});
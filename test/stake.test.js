@@ -0,0 +1,52 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const stake = require("../src/page/stake");
+const { createBot } = require("../src/page/bot");
+const { checkRate } = require("../src/page/candles");
+
+function stakedBot(settings) {
+    const bot = createBot();
+    Object.assign(bot.settings, settings);
+    bot.userInfo.balance.demo = 1000;
+    checkRate(bot.rates, "EURUSD_otc").profit = 90;
+    return bot;
+}
+
+// `wins` won deals and `losses` lost ones, with a draw that does not count.
+function results(wins, losses) {
+    return Array(wins).fill(0.9).concat(Array(losses).fill(-1), [0]);
+}
+
+test("the platform's amount is kept unless a stake mode is chosen", () => {
+    assert.equal(stake.amount(stakedBot({}), "EURUSD_otc"), null);
+    assert.equal(stake.amount(stakedBot({ stake_mode: "fixed", stake_amount: 2.555 }), "EURUSD_otc"), 2.55);
+    assert.equal(stake.amount(stakedBot({ stake_mode: "percent", stake_percent: 2.5 }), "EURUSD_otc"), 25);
+    // Never below the platform's minimum.
+    assert.equal(stake.amount(stakedBot({ stake_mode: "percent", stake_percent: 0.05 }), "EURUSD_otc"), stake.MIN_STAKE);
+});
+
+test("kelly stakes a fraction of the Kelly criterion from the recent win rate", () => {
+    assert.ok(Math.abs(stake.kelly(0.6, 90) - (0.6 - 0.4 / 0.9)) < 1e-12);
+
+    const bot = stakedBot({ stake_mode: "kelly", stake_amount: 2, stake_percent: 10, kelly_fraction: 50 });
+    bot.userInfo.robotDeals.closed = results(5, 4);
+    assert.equal(stake.amount(bot, "EURUSD_otc"), 2);
+
+    bot.userInfo.robotDeals.closed = results(12, 8);
+    // Half of (0.6 - 0.4 / 0.9) of 1000.
+    assert.equal(stake.amount(bot, "EURUSD_otc"), 77.77);
+    bot.settings.stake_percent = 5;
+    assert.equal(stake.amount(bot, "EURUSD_otc"), 50);
+
+    bot.userInfo.robotDeals.closed = results(8, 12);
+    assert.equal(stake.amount(bot, "EURUSD_otc"), stake.MIN_STAKE);
+});
+
+test("kelly looks at the paper deals in paper mode", () => {
+    const bot = stakedBot({ stake_mode: "kelly", stake_percent: 100, kelly_fraction: 100, paper: true });
+    bot.userInfo.robotDeals.closed = results(0, 20);
+    bot.paper.closed = results(15, 5);
+    assert.equal(stake.amount(bot, "EURUSD_otc"), Math.floor(1000 * stake.kelly(0.75, 90) * 100) / 100);
+});
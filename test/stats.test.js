@@ -0,0 +1,74 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const stats = require("../src/content/stats");
+const { statsPanel } = require("../src/content/templates");
+const messages = require("../src/content/locales/en.json").stats;
+
+function entry(asset, strategy, hour, step, profit) {
+    const openTime = new Date(2025, 0, 6, hour, step).getTime();
+    return { asset, strategy, step, profit, openTime, closeTime: openTime + 60000 };
+}
+
+const ENTRIES = [
+    entry("EURUSD_otc", "cci", 9, 0, -1),
+    entry("EURUSD_otc", "cci", 9, 1, -2),
+    entry("EURUSD_otc", "cci", 9, 2, 3.6),
+    entry("GBPUSD", "signals", 14, 0, 0.9),
+    entry("GBPUSD", "signals", 14, 1, 0),
+    entry("AUDCAD_otc", "signals", 15, 0, -1)
+];
+
+test("compute breaks results down by strategy, asset, hour and market", () => {
+    const result = stats.compute(ENTRIES);
+    assert.deepEqual(result.total, { trades: 6, wins: 2, losses: 3, net: 0.5, winRate: 40 });
+    assert.deepEqual(result.strategy.cci, { trades: 3, wins: 1, losses: 2, net: 0.6, winRate: 33 });
+    assert.deepEqual(result.strategy.signals, { trades: 3, wins: 1, losses: 1, net: -0.1, winRate: 50 });
+    assert.equal(result.asset.GBPUSD.net, 0.9);
+    assert.deepEqual(Object.keys(result.hour), ["9", "14", "15"]);
+    assert.equal(result.hour[15].winRate, 0);
+    assert.deepEqual(result.market.otc, { trades: 4, wins: 1, losses: 3, net: -0.4, winRate: 25 });
+    assert.deepEqual(result.market.regular, { trades: 2, wins: 1, losses: 0, net: 0.9, winRate: 100 });
+});
+
+test("compute counts Martingale steps and follows the equity curve", () => {
+    const result = stats.compute(ENTRIES);
+    assert.deepEqual(result.steps, { 0: 3, 1: 2, 2: 1 });
+    assert.deepEqual(result.equity, [0, -1, -3, 0.6, 1.5, 1.5, 0.5]);
+    assert.equal(result.maxDrawdown, 3);
+});
+
+test("compute orders deals by close time and skips open ones", () => {
+    const late = entry("EURUSD", "cci", 10, 0, 5);
+    const open = Object.assign(entry("EURUSD", "cci", 8, 0, null), { closeTime: null });
+    const result = stats.compute([late, open, entry("EURUSD", "cci", 9, 0, -2)]);
+    assert.deepEqual(result.equity, [0, -2, 3]);
+    assert.equal(result.maxDrawdown, 2);
+    assert.equal(result.total.trades, 2);
+});
+
+test("the panel renders every breakdown, or a note while the journal is empty", () => {
+    assert.match(statsPanel(stats.compute([]), messages), /No closed robot deals yet/);
+    const html = statsPanel(stats.compute(ENTRIES), messages);
+    ["cci", "AUDCAD_otc", "OTC", "regular", "14:00", "Martingale step", "<polyline"].forEach(text => assert.ok(html.includes(text), text));
+});
+
+test("compute scores bridge channels by the lower bound of their win rate", () => {
+    function signalEntry(source, profit) {
+        return Object.assign(entry("EURUSD_otc", "remote", 10, 0, profit), { signal: { id: "1", source } });
+    }
+    const entries = ENTRIES.slice();
+    for (let i = 0; i < 20; i++) {
+        entries.push(signalEntry("steady", i < 15 ? 0.9 : -1));
+    }
+    for (let i = 0; i < 9; i++) {
+        entries.push(signalEntry("new", 0.9));
+    }
+    const result = stats.compute(entries);
+    assert.deepEqual(Object.keys(result.channel), ["steady", "new"]);
+    assert.equal(result.channel.steady.winRate, 75);
+    assert.equal(result.channel.steady.score, 53);
+    assert.equal(result.channel.new.score, null);
+    assert.equal(stats.score({ wins: 10, losses: 0 }), 72);
+});
@@ -0,0 +1,52 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const strategies = require("../src/page/strategies");
+const { series } = require("./helpers");
+
+const NOW = 1700000040;
+
+test("candles needs the live candle and four before it in one direction", () => {
+    const rising = series(NOW, new Array(5).fill([1, 1.1, 1.2, 0.9]));
+    assert.equal(strategies.candles(rising, NOW + 10, 4), "up");
+    const falling = series(NOW, new Array(5).fill([1.1, 1, 1.2, 0.9]));
+    assert.equal(strategies.candles(falling, NOW + 10, 4), "down");
+    assert.equal(strategies.candles(series(NOW, new Array(4).fill([1, 1.1, 1.2, 0.9])), NOW, 4), false);
+});
+
+test("candles stops at a flat or opposite candle", () => {
+    const mixed = series(NOW, [[1, 1.1, 1.2, 0.9], [1.1, 1, 1.2, 0.9], [1, 1.1, 1.2, 0.9], [1, 1.1, 1.2, 0.9], [1, 1.1, 1.2, 0.9]]);
+    assert.equal(strategies.candles(mixed, NOW, 4), false);
+    const flat = series(NOW, [[1, 1.1, 1.2, 0.9], [1, 1.1, 1.2, 0.9], [1, 1, 1.2, 0.9], [1, 1.1, 1.2, 0.9], [1, 1.1, 1.2, 0.9]]);
+    assert.equal(strategies.candles(flat, NOW, 4), false);
+});
+
+test("pinBar is false when the live candle does not exist yet", () => {
+    assert.equal(strategies.pinBar({}, NOW + 50, 4), false);
+    assert.equal(strategies.pinBar(series(NOW - 60, [[1, 1.01, 1.2, 1]]), NOW + 50, 4), false);
+});
+
+test("pinBar waits for the 40th second of the candle", () => {
+    const candles = series(NOW, [[1, 1.01, 1.2, 1]]);
+    assert.equal(strategies.pinBar(candles, NOW + 39, 4), false);
+    assert.equal(strategies.pinBar(candles, NOW + 40, 4), "down");
+});
+
+test("pinBar trades against the long shadow", () => {
+    assert.equal(strategies.pinBar(series(NOW, [[1.19, 1.2, 1.2, 1]]), NOW + 45, 4), "up");
+    assert.equal(strategies.pinBar(series(NOW, [[1, 1.1, 1.2, 0.95]]), NOW + 45, 4), false);
+});
+
+test("signals agrees on every timeframe with a level set", () => {
+    assert.equal(strategies.signals({ 1: 2, 2: 2, 3: 1 }, [2, 2, 1, 0, 0, 0]), "up");
+    assert.equal(strategies.signals({ 1: 4, 2: 4, 3: 3, 5: 1 }, [2, 2, 1, 0, 0, 0]), "down");
+    assert.equal(strategies.signals({ 1: 2, 2: 1, 3: 1 }, [2, 2, 1, 0, 0, 0]), false);
+    assert.equal(strategies.signals({ 1: 2, 2: 4, 3: 1 }, [2, 2, 1, 0, 0, 0]), false);
+    assert.equal(strategies.signals({ 1: 0, 2: 2, 3: 1 }, [2, 2, 1, 0, 0, 0]), false);
+});
+
+test("signals lets a timeframe without a forecast through", () => {
+    assert.equal(strategies.signals({ 1: 2 }, [2, 2, 1, 0, 0, 0]), "up");
+    assert.equal(strategies.signals({}, [2, 2, 1, 0, 0, 0]), false);
+});
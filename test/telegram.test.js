@@ -0,0 +1,56 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const telegram = require("../src/page/telegram");
+const corpus = require("./fixtures/telegram/messages.json");
+
+const NOW = Date.parse(corpus.now);
+
+// An entry time as HH:MM in the profile's time zone.
+function clock(entry, profile) {
+    const date = new Date(null == profile.utcOffset ? entry : entry + 60000 * profile.utcOffset);
+    const [hours, minutes] = null == profile.utcOffset
+        ? [date.getHours(), date.getMinutes()]
+        : [date.getUTCHours(), date.getUTCMinutes()];
+    return String(hours).padStart(2, "0") + ":" + String(minutes).padStart(2, "0");
+}
+
+test("every message of the corpus parses as recorded", () => {
+    corpus.messages.forEach(function(message) {
+        const profile = telegram.profile(message.profile);
+        if (message.error) {
+            assert.throws(() => telegram.parse(message.text, corpus.assets, profile, NOW), new RegExp(message.error), message.text);
+            return;
+        }
+        const signal = telegram.parse(message.text, corpus.assets, profile, NOW);
+        if (null != signal.entry) {
+            assert.ok(Math.abs(signal.entry - NOW) <= 43200000, message.text);
+            signal.entry = clock(signal.entry, profile);
+        }
+        assert.deepEqual(signal, message.signal, message.text);
+    });
+});
+
+test("an entry time is taken on the day nearest to now", () => {
+    const profile = telegram.profile("semicolon");
+    const late = Date.UTC(2025, 0, 7, 2, 50);
+    // 23:55 in Brasília, which is 02:55 UTC the next day.
+    assert.equal(telegram.parse("M1;EURUSD;23:55;CALL", { EURUSD: "EUR/USD" }, profile, late).entry, Date.UTC(2025, 0, 7, 2, 55));
+    assert.equal(telegram.parse("M1;EURUSD;00:05;CALL", { EURUSD: "EUR/USD" }, profile, late).entry, Date.UTC(2025, 0, 7, 3, 5));
+});
+
+test("profiles are picked by name, then by channel", () => {
+    telegram.register({ id: "pipes", channels: ["pipes-vip"], pattern: /^(?<asset>[^|]+)\|(?<direction>[^|]+)\|(?<expiry>[^|]+)$/ });
+    assert.throws(() => telegram.register({ id: "pipes" }), /already registered/);
+    assert.equal(telegram.profile("semicolon", "pipes-vip").id, "semicolon");
+    assert.equal(telegram.profile(null, "pipes-vip").id, "pipes");
+    assert.equal(telegram.profile("missing", "other").id, "default");
+    assert.deepEqual(telegram.parse("EURUSD|put|3m", corpus.assets, telegram.profile(null, "pipes-vip"), NOW), {
+        asset: "EURUSD",
+        direction: "down",
+        expiry: 180,
+        entry: null,
+        martingale: null
+    });
+});
@@ -0,0 +1,28 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { checkNumber, message } = require("../src/content/validate");
+const { SCHEMA } = require("../src/page/settings");
+const locales = require("../src/content/locales");
+
+test("numbers in range are taken as typed, a decimal comma included", () => {
+    assert.deepEqual(checkNumber("45", SCHEMA.min_profit), { value: 45 });
+    assert.deepEqual(checkNumber(" 2,5 ", SCHEMA.martinSteps.of), { value: 2.5 });
+    assert.deepEqual(checkNumber("0", SCHEMA.stop_loss), { value: 0 });
+});
+
+test("anything else is refused with the reason instead of clamped", () => {
+    assert.equal(checkNumber("", SCHEMA.delay).error, "number");
+    assert.equal(checkNumber("abc", SCHEMA.delay).error, "number");
+    assert.equal(checkNumber("1.5", SCHEMA.deals_limit).error, "integer");
+    assert.deepEqual(checkNumber("95", SCHEMA.min_profit), { error: "range", values: { min: 10, max: 92 } });
+    assert.equal(checkNumber("-1", { type: "integer", min: 5, max: 50 }).error, "range");
+});
+
+test("refusals read in the page's language", () => {
+    const result = checkNumber("95", SCHEMA.min_profit);
+    assert.equal(message(result, locales.catalog("en")), "Enter a value from 10 to 92.");
+    assert.equal(message(result, locales.catalog("es")), "Introduce un valor de 10 a 92.");
+    assert.equal(message({ value: 45 }, locales.catalog("en")), "");
+});
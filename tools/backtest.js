@@ -0,0 +1,267 @@
+"use strict";
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { createPage } = require("./sandbox");
+const { Broker } = require("./broker");
+const registry = require("../src/strategies/registry");
+
+// Every built-in strategy that trades on stream ticks.
+const STRATEGIES = registry.list().filter(strategy => strategy.events.includes("stream")).map(strategy => strategy.id);
+
+// Stored candles carry no ticks, so each one reaches the bot as history and
+// is then closed by a single stream tick at its last second. Strategies are
+// evaluated and orders filled at candle closes only: a tick path made up from
+// the high and low would hand contrarian strategies fills at the extremes.
+const CLOSE_OFFSET = 59;
+
+/**
+ * Replays stored candles through the injected bundle once per strategy and
+ * settles the resulting orders as fixed-expiry binary options.
+ *
+ * `candles` maps an asset to the `{ts: [open, close, high, low]}` series that
+ * `addRate` builds. The bot itself applies `delay`, `deals_limit`,
+ * `take_profit` and the Martingale ladder from `settings`; the simulated
+ * broker only fills and settles what it sends.
+ */
+function runBacktest(candles, options = {}) {
+    const strategies = options.strategies || STRATEGIES;
+    const report = {
+        payout: options.payout,
+        expiry: options.expiry || 60,
+        amount: options.amount || 1,
+        strategies: {}
+    };
+    const frames = toFrames(candles);
+
+    strategies.forEach(function(strategy) {
+        const result = runStrategy(strategy, Object.keys(candles), frames, options);
+        result.verdict = judge(result.total, options.criteria || {});
+        report.strategies[strategy] = result;
+    });
+
+    return report;
+}
+
+function runStrategy(strategy, assets, frames, options) {
+    const first = frames.length > 0 ? frames[0][0] : 0;
+    const page = createPage({ source: options.source, now: 1000 * first });
+    page.connect();
+    const broker = new Broker(page, {
+        payout: options.payout,
+        expiry: options.expiry,
+        amount: options.amount,
+        balance: options.balance
+    });
+    let stoppedAt = null;
+
+    page.observe(data => {
+        if (data.belobot && "robotSettings" == data.act && !data.settings.started && null == stoppedAt) {
+            stoppedAt = page.clock.now / 1000;
+        }
+    });
+
+    broker.assets(assets);
+    broker.updateBalance();
+    page.post({
+        belobot: true,
+        act: "setState",
+        settings: Object.assign({}, options.settings, { strategy })
+    });
+    page.post({ belobot: true, act: "start_stop" });
+    page.flush();
+
+    frames.forEach(function([ts, batch]) {
+        const time = ts + CLOSE_OFFSET;
+        page.clock.now = 1000 * time;
+        batch.forEach(([asset, candle]) => {
+            broker.message("updateHistoryNew", {
+                asset,
+                period: 60,
+                candles: [[ts].concat(candle)],
+                history: []
+            });
+            broker.tick(asset, time, candle[1]);
+        });
+        broker.message("updateStream", batch.map(([asset, candle]) => [asset, time, candle[1]]));
+        page.flush();
+        broker.settle(time);
+        page.flush();
+    });
+
+    const byAsset = {};
+    assets.forEach(asset => {
+        byAsset[asset] = summarize(broker.closed.filter(deal => deal.asset == asset));
+    });
+
+    return {
+        total: summarize(broker.closed),
+        assets: byAsset,
+        balance: broker.balance,
+        open: broker.opened.length,
+        stoppedAt,
+        errors: page.errors.length,
+        firstError: page.errors.length > 0 ? String(page.errors[0]) : null
+    };
+}
+
+function toFrames(candles) {
+    const frames = new Map();
+    for (const asset in candles) {
+        for (const ts in candles[asset]) {
+            const time = Number(ts);
+            if (!frames.has(time)) frames.set(time, []);
+            frames.get(time).push([asset, candles[asset][ts]]);
+        }
+    }
+    return Array.from(frames.entries()).sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Win rate, net P&L, maximum drawdown of the running P&L and the longest run
+ * of losses for a list of settled deals, in the order they closed. Draws are
+ * refunds and neither extend nor break a losing streak.
+ */
+function summarize(deals) {
+    const stats = {
+        trades: deals.length,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        winRate: 0,
+        net: 0,
+        maxDrawdown: 0,
+        longestLosingStreak: 0
+    };
+    let peak = 0;
+    let streak = 0;
+
+    deals.forEach(function(deal) {
+        if (deal.profit > 0) {
+            stats.wins++;
+            streak = 0;
+        } else if (deal.profit < 0) {
+            stats.losses++;
+            streak++;
+            stats.longestLosingStreak = Math.max(stats.longestLosingStreak, streak);
+        } else {
+            stats.draws++;
+        }
+        stats.net = Math.round((stats.net + deal.profit) * 100) / 100;
+        peak = Math.max(peak, stats.net);
+        stats.maxDrawdown = Math.max(stats.maxDrawdown, Math.round((peak - stats.net) * 100) / 100);
+    });
+
+    stats.winRate = Math.round(stats.wins / Math.max(stats.wins + stats.losses, 1) * 10000) / 100;
+    return stats;
+}
+
+function judge(stats, criteria) {
+    const reasons = [];
+    if (null != criteria.minTrades && stats.trades < criteria.minTrades) {
+        reasons.push(`${stats.trades} trades, fewer than ${criteria.minTrades}`);
+    }
+    if (null != criteria.minWinRate && stats.winRate < criteria.minWinRate) {
+        reasons.push(`win rate ${stats.winRate}% is below ${criteria.minWinRate}%`);
+    }
+    if (null != criteria.maxDrawdown && stats.maxDrawdown > criteria.maxDrawdown) {
+        reasons.push(`drawdown ${stats.maxDrawdown} exceeds ${criteria.maxDrawdown}`);
+    }
+    if (null != criteria.maxLosingStreak && stats.longestLosingStreak > criteria.maxLosingStreak) {
+        reasons.push(`${stats.longestLosingStreak} losses in a row, more than ${criteria.maxLosingStreak}`);
+    }
+    if (null != criteria.minNet && stats.net < criteria.minNet) {
+        reasons.push(`net ${stats.net} is below ${criteria.minNet}`);
+    }
+    return {
+        rejected: reasons.length > 0,
+        reasons
+    };
+}
+
+function formatReport(report) {
+    const columns = ["trades", "wins", "losses", "draws", "winRate", "net", "maxDrawdown", "longestLosingStreak"];
+    const rows = [["strategy", "asset"].concat(columns)];
+
+    for (const strategy in report.strategies) {
+        const result = report.strategies[strategy];
+        for (const asset in result.assets) {
+            rows.push([strategy, asset].concat(columns.map(key => result.assets[asset][key])));
+        }
+        rows.push([strategy, "TOTAL"].concat(columns.map(key => result.total[key])));
+    }
+
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(row => String(row[i]).length)));
+    const lines = rows.map(row => row.map((cell, i) => String(cell).padEnd(widths[i])).join("  "));
+
+    for (const strategy in report.strategies) {
+        const result = report.strategies[strategy];
+        let line = `${strategy}: ${result.verdict.rejected ? "REJECTED" : "passed"}`;
+        if (result.verdict.rejected) line += ` (${result.verdict.reasons.join("; ")})`;
+        if (null != result.stoppedAt) line += `, stopped at ${new Date(1000 * result.stoppedAt).toISOString()}`;
+        if (result.open > 0) line += `, ${result.open} deals still open`;
+        if (result.errors > 0) line += `, ${result.errors} strategy errors (${result.firstError})`;
+        lines.push(line);
+    }
+
+    return lines.join("\n");
+}
+
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            payout: { type: "string", default: "80" },
+            expiry: { type: "string", default: "60" },
+            amount: { type: "string", default: "1" },
+            balance: { type: "string", default: "1000" },
+            strategy: { type: "string" },
+            settings: { type: "string" },
+            "min-trades": { type: "string" },
+            "min-win-rate": { type: "string" },
+            "max-drawdown": { type: "string" },
+            "max-losing-streak": { type: "string" },
+            "min-net": { type: "string" },
+            json: { type: "boolean", default: false }
+        }
+    });
+
+    if (1 != positionals.length) {
+        console.error("usage: node tools/backtest.js <candles.json> [--payout 80] [--expiry 60] [--amount 1]"
+            + " [--balance 1000] [--strategy cci,candles,...] [--settings settings.json]"
+            + " [--min-trades N] [--min-win-rate %] [--max-drawdown SUM] [--max-losing-streak N] [--min-net SUM] [--json]");
+        return 2;
+    }
+
+    const number = key => null == values[key] ? undefined : Number(values[key]);
+    const report = runBacktest(JSON.parse(fs.readFileSync(positionals[0], "utf8")), {
+        payout: number("payout"),
+        expiry: number("expiry"),
+        amount: number("amount"),
+        balance: number("balance"),
+        strategies: values.strategy ? values.strategy.split(",") : STRATEGIES,
+        settings: values.settings ? JSON.parse(fs.readFileSync(values.settings, "utf8")) : {},
+        criteria: {
+            minTrades: number("min-trades"),
+            minWinRate: number("min-win-rate"),
+            maxDrawdown: number("max-drawdown"),
+            maxLosingStreak: number("max-losing-streak"),
+            minNet: number("min-net")
+        }
+    });
+
+    console.log(values.json ? JSON.stringify(report, null, 2) : formatReport(report));
+    return Object.values(report.strategies).some(result => result.verdict.rejected) ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    runBacktest,
+    summarize,
+    toFrames,
+    STRATEGIES
+};
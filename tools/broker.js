@@ -0,0 +1,145 @@
+"use strict";
+
+const ORDER_EXPIRY = 60;
+
+/**
+ * Plays the broker's side of the socket for a sandboxed page: answers the
+ * order frames the bot sends with `successopenOrder`, keeps the balance and
+ * settles fixed-expiry deals with `successcloseOrder` once their close time
+ * has been reached by the price feed.
+ */
+class Broker {
+    constructor(page, options = {}) {
+        this.page = page;
+        this.balance = options.balance || 1000;
+        this.amount = options.amount || 1;
+        this.expiry = options.expiry || ORDER_EXPIRY;
+        this.payout = options.payout || {};
+        this.prices = {};
+        this.opened = [];
+        this.closed = [];
+        this.rejected = [];
+        this.nextId = 1;
+        this.nextRequestId = 1;
+        this.selected = null;
+
+        page.onSend(frame => this.handleOrder(frame));
+        page.observe(data => {
+            if (data.belobot && "newDeal" == data.act) this.click();
+        });
+    }
+
+    message(name, payload) {
+        this.page.receive(`451-["${name}",{"_placeholder":true,"num":0}]`);
+        this.page.receive(payload);
+    }
+
+    assets(list) {
+        this.selected = list[0];
+        this.message("updateAssets", list.map(function(asset, i) {
+            const row = new Array(15).fill(0);
+            row[0] = i + 1;
+            row[1] = asset;
+            row[2] = asset.replace("_otc", " OTC");
+            row[5] = this.payoutFor(asset);
+            row[14] = true;
+            return row;
+        }, this));
+    }
+
+    updateBalance() {
+        this.message("successupdateBalance", { isDemo: 1, balance: this.balance });
+    }
+
+    payoutFor(asset) {
+        return "number" == typeof this.payout ? this.payout : this.payout[asset] || 0;
+    }
+
+    // The content script answers `newDeal` by clicking the platform's CALL
+    // button, which sends an order for the stake and expiry shown in the UI.
+    click() {
+        this.page.send("42" + JSON.stringify(["openOrder", {
+            asset: this.selected,
+            amount: this.amount,
+            action: "call",
+            isDemo: 1,
+            requestId: this.nextRequestId++,
+            optionType: 100,
+            time: this.expiry
+        }]));
+    }
+
+    handleOrder(frame) {
+        if ("[" != frame[2]) return;
+        const order = JSON.parse(frame.slice(2))[1];
+        const price = this.prices[order.asset];
+        if (null == price) {
+            this.rejected.push(order);
+            return;
+        }
+        const deal = {
+            id: `sim-${this.nextId++}`,
+            asset: order.asset,
+            amount: order.amount,
+            command: "call" == order.action ? 0 : 1,
+            openPrice: price.value,
+            openTimestamp: price.time,
+            closeTimestamp: price.time + Number(order.time || this.expiry),
+            percentProfit: this.payoutFor(order.asset),
+            isDemo: order.isDemo,
+            requestId: order.requestId
+        };
+        this.opened.push(deal);
+        this.balance = round(this.balance - deal.amount);
+        this.message("successopenOrder", deal);
+        this.message("updateOpenedDeals", this.opened);
+        this.updateBalance();
+    }
+
+    tick(asset, time, value) {
+        const price = this.prices[asset];
+        this.prices[asset] = {
+            time,
+            value,
+            previous: price ? price.value : value
+        };
+    }
+
+    priceAt(asset, time) {
+        const price = this.prices[asset];
+        return price.time <= time ? price.value : price.previous;
+    }
+
+    settle(time) {
+        const due = this.opened.filter(deal => deal.closeTimestamp <= time);
+        if (0 == due.length) return;
+        this.opened = this.opened.filter(deal => deal.closeTimestamp > time);
+        due.forEach(function(deal) {
+            deal.closePrice = this.priceAt(deal.asset, deal.closeTimestamp);
+            const diff = deal.closePrice - deal.openPrice;
+            if (0 == diff) {
+                deal.profit = 0;
+            } else if ((0 == deal.command) == (diff > 0)) {
+                deal.profit = round(deal.amount * deal.percentProfit / 100);
+            } else {
+                deal.profit = -deal.amount;
+            }
+            this.balance = round(this.balance + deal.amount + deal.profit);
+            this.closed.push(deal);
+        }, this);
+        this.message("successcloseOrder", {
+            profit: round(due.reduce((sum, deal) => sum + deal.profit, 0)),
+            deals: due
+        });
+        this.message("updateOpenedDeals", this.opened);
+        this.updateBalance();
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    Broker
+};
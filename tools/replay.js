@@ -0,0 +1,178 @@
+"use strict";
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { createPage } = require("./sandbox");
+
+/**
+ * Feeds a recording made with the "record traffic" switch into a fresh copy of
+ * the injected bundle and returns what the bot did with it: every frame it
+ * sent to the broker after rewriting, every `newDeal` it asked the content
+ * script for, the `robotDeals` and `robotSettings` it posted and the settings
+ * it ended with.
+ *
+ * Outbound frames are replayed as the page handed them to `send`, so the bot
+ * rewrites them again; where that no longer matches what it sent during the
+ * recording, the frame is listed under `divergences`. `options.source` replaces
+ * the built bundle, as for `createPage`.
+ */
+function replay(recording, options = {}) {
+    const page = createPage({
+        source: options.source,
+        now: recording.startedAt,
+        uid: recording.uid || 1,
+        confirmed: !recording.onlyDemo
+    });
+    const snapshot = {
+        sent: [],
+        newDeals: [],
+        robotDeals: [],
+        settings: [],
+        final: null,
+        divergences: [],
+        errors: []
+    };
+    let sent = null;
+    let last = null;
+
+    page.connect();
+    page.onSend(frame => {
+        sent = frame;
+    });
+    page.observe(data => {
+        if (!data.belobot) return;
+        const t = page.clock.now;
+        if ("newDeal" == data.act) snapshot.newDeals.push(t);
+        if (data.robotDeals) snapshot.robotDeals.push({ t, opened: data.robotDeals.opened, closed: data.robotDeals.closed });
+        if ("robotSettings" == data.act) {
+            const settings = JSON.stringify(data.settings);
+            if (settings != last) snapshot.settings.push({ t, settings: data.settings });
+            last = settings;
+        }
+    });
+
+    prime(page, recording);
+
+    recording.frames.forEach(function(frame) {
+        page.clock.now = frame.t;
+        if ("in" == frame.dir) {
+            null != frame.binary
+                ? page.receiveBinary(Uint8Array.from(frame.binary, c => c.charCodeAt(0)))
+                : page.receive(frame.text);
+        } else if ("out" == frame.dir) {
+            sent = null;
+            page.send(frame.text);
+            snapshot.sent.push({ t: frame.t, frame: sent });
+            if (sent != (frame.sent || frame.text)) {
+                snapshot.divergences.push({ t: frame.t, recorded: frame.sent || frame.text, replayed: sent });
+            }
+        } else if ("ctl" == frame.dir) {
+            page.post(frame.data);
+        }
+        page.flush();
+    });
+
+    page.observe(data => {
+        if (data.belobot && "robotSettings" == data.act) snapshot.final = data.settings;
+    });
+    page.post({ belobot: true, act: "readState" });
+    page.flush();
+
+    snapshot.errors = page.errors.map(String);
+    return snapshot;
+}
+
+// A recording may start mid-session, after the broker has already sent the
+// asset list and balance. Its header carries what the bot knew by then.
+function prime(page, recording) {
+    if (recording.assets && recording.assets.length > 0) {
+        page.receive('451-["updateAssets",{"_placeholder":true,"num":0}]');
+        page.receive(recording.assets.map(function([asset, name, profit, active], i) {
+            const row = new Array(15).fill(0);
+            row[0] = i + 1;
+            row[1] = asset;
+            row[2] = name;
+            row[5] = profit;
+            row[14] = active;
+            return row;
+        }));
+    }
+    if (recording.uid) {
+        page.receive('451-["successupdateBalance",{"_placeholder":true,"num":0}]');
+        page.receive({
+            isDemo: recording.isDemo ? 1 : 0,
+            balance: recording.isDemo ? recording.balance.demo : recording.balance.real
+        });
+    }
+    if (recording.settings) {
+        const settings = Object.assign({}, recording.settings, { take_profit: recording.settings.take_profit.percent });
+        delete settings.started;
+        page.post({ belobot: true, act: "setState", settings });
+        if (recording.settings.started) page.post({ belobot: true, act: "start_stop" });
+    }
+    page.flush();
+}
+
+/**
+ * Path and values of the first difference between two JSON values, or null.
+ */
+function compare(expected, actual, path = "$") {
+    if (JSON.stringify(expected) === JSON.stringify(actual)) return null;
+    if (expected && actual && "object" == typeof expected && "object" == typeof actual
+        && Array.isArray(expected) == Array.isArray(actual)) {
+        const keys = new Set(Object.keys(expected).concat(Object.keys(actual)));
+        for (const key of keys) {
+            const diff = compare(expected[key], actual[key], Array.isArray(expected) ? `${path}[${key}]` : `${path}.${key}`);
+            if (diff) return diff;
+        }
+    }
+    return { path, expected, actual };
+}
+
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            expect: { type: "string" },
+            update: { type: "boolean", default: false }
+        }
+    });
+
+    if (1 != positionals.length) {
+        console.error("usage: node tools/replay.js <recording.json> [--expect snapshot.json [--update]]");
+        return 2;
+    }
+
+    const snapshot = replay(JSON.parse(fs.readFileSync(positionals[0], "utf8")));
+
+    if (!values.expect) {
+        console.log(JSON.stringify(snapshot, null, 2));
+        return 0;
+    }
+
+    if (values.update || !fs.existsSync(values.expect)) {
+        fs.writeFileSync(values.expect, JSON.stringify(snapshot, null, 2) + "\n");
+        console.log(`wrote ${values.expect}`);
+        return 0;
+    }
+
+    const diff = compare(JSON.parse(fs.readFileSync(values.expect, "utf8")), snapshot);
+    if (diff) {
+        console.error(`snapshot mismatch at ${diff.path}`);
+        console.error(`  expected: ${JSON.stringify(diff.expected)}`);
+        console.error(`  actual:   ${JSON.stringify(diff.actual)}`);
+        return 1;
+    }
+    console.log(`${snapshot.sent.length} sent frames, ${snapshot.newDeals.length} deals, ${snapshot.settings.length} settings changes match`);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    replay,
+    compare
+};
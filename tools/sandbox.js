@@ -0,0 +1,362 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { PORT_EVENT } = require("../src/page/channel");
+
+const BUNDLE = path.join(__dirname, "..", "web_accessible_resources.js");
+const PAGE_URL = "https://pocketoption.com/en/cabinet/demo-quick-high-low/";
+const PAGE_ORIGIN = "https://pocketoption.com";
+const SOCKET_URL = "wss://api-eu.po.market/socket.io/?EIO=4&transport=websocket";
+
+/**
+ * Loads the injected bundle into a VM context that stands in for the broker page.
+ *
+ * The context gets a fake WebSocket, a virtual clock behind `Date` and a task
+ * queue for `window.postMessage` and MessagePorts, delivered on `flush()` the
+ * way the browser delivers it after the current task. The sandbox plays the
+ * content scripts: document_start.js meets the bundle in the hand-over of
+ * src/page/channel.js, before the bundle runs or, with `options.contentLast`,
+ * after it, so `post()` sends commands and `observe()` sees messages the way
+ * the modal does; with `options.content` false they never run. `postWindow()`
+ * posts to the window and `offerPort()` offers a port as any script on the
+ * page could. `load()` ends the parsing of the document. `setTimeout` callbacks run on the
+ * first `flush()` once the clock has reached them. Exceptions thrown by page listeners are
+ * collected in `errors` instead of aborting the run, as the browser would only
+ * report them.
+ */
+function createPage(options = {}) {
+    const source = options.source || fs.readFileSync(options.bundle || BUNDLE, "utf8");
+    const clock = { now: options.now || 0 };
+    const tasks = [];
+    const timers = [];
+    // The window's listeners by event type.
+    const windowListeners = {};
+    const documentListeners = {};
+    // The content script's end of the channel, null until the hand-over, and
+    // the commands waiting for it.
+    const content = { port: null, queue: [] };
+    const observers = [];
+    const sendHooks = [];
+    const errors = [];
+    const downloads = [];
+
+    const page = {
+        clock,
+        errors,
+        downloads,
+        socket: null,
+
+        connect(url = SOCKET_URL) {
+            page.socket = new context.WebSocket(url);
+            return page.socket;
+        },
+
+        receive(data) {
+            const frame = typeof data === "string" ? data : toBinary(JSON.stringify(data));
+            page.socket.emit("message", { data: frame });
+        },
+
+        receiveBinary(bytes) {
+            page.socket.emit("message", { data: copyBytes(bytes) });
+        },
+
+        send(frame) {
+            page.socket.send(frame);
+        },
+
+        post(data) {
+            content.port ? content.port.postMessage(data) : content.queue.push(data);
+        },
+
+        postWindow(data, event = {}) {
+            tasks.push(() => dispatchMessage(data, Object.assign({ ports: [] }, event)));
+        },
+
+        // A MessageChannel as a script on the page would make one.
+        createChannel() {
+            return new FakeMessageChannel();
+        },
+
+        // Offers `port` as the other end of the channel; true if it was taken.
+        offerPort(port) {
+            return !dispatchWindow(new FakeMessageEvent(PORT_EVENT, { ports: [port], cancelable: true }));
+        },
+
+        // The document is parsed: DOMContentLoaded fires.
+        load() {
+            document.readyState = "interactive";
+            (documentListeners.DOMContentLoaded || []).slice().forEach(fn => guard(() => fn({ type: "DOMContentLoaded" })));
+        },
+
+        observe(fn) {
+            observers.push(fn);
+        },
+
+        onSend(fn) {
+            sendHooks.push(fn);
+        },
+
+        flush() {
+            for (;;) {
+                while (tasks.length > 0) {
+                    tasks.shift()();
+                }
+                const due = timers.findIndex(timer => timer.at <= clock.now);
+                if (-1 == due) break;
+                timers.splice(due, 1)[0].fn();
+            }
+        },
+
+        advance(ms) {
+            clock.now += ms;
+        }
+    };
+
+    class FakeWebSocket {
+        constructor(url, protocols) {
+            this.url = url;
+            this.protocols = protocols;
+            this.listeners = {};
+        }
+
+        addEventListener(type, fn) {
+            (this.listeners[type] = this.listeners[type] || []).push(fn);
+        }
+
+        emit(type, event) {
+            (this.listeners[type] || []).forEach(function(fn) {
+                guard(() => fn.call(this, event));
+            }, this);
+        }
+
+        send(data) {
+            sendHooks.forEach(fn => fn(data));
+        }
+    }
+
+    class FakeMessagePort {
+        constructor() {
+            this.listeners = [];
+            this.onmessage = null;
+            this.other = null;
+            this.closed = false;
+        }
+
+        addEventListener(type, fn) {
+            if ("message" == type) this.listeners.push(fn);
+        }
+
+        start() {}
+
+        close() {
+            this.closed = true;
+        }
+
+        postMessage(data, transfer = []) {
+            const target = this.other;
+            const event = { data: structuredClone(data), ports: transfer };
+            tasks.push(() => {
+                if (this.closed || target.closed) return;
+                target.listeners.forEach(fn => guard(() => fn(event)));
+                if (target.onmessage) guard(() => target.onmessage(event));
+            });
+        }
+    }
+
+    class FakeMessageEvent {
+        constructor(type, init = {}) {
+            this.type = type;
+            this.ports = init.ports || [];
+            this.cancelable = !!init.cancelable;
+            this.defaultPrevented = false;
+        }
+
+        preventDefault() {
+            if (this.cancelable) this.defaultPrevented = true;
+        }
+    }
+
+    class FakeMessageChannel {
+        constructor() {
+            this.port1 = new FakeMessagePort();
+            this.port2 = new FakeMessagePort();
+            this.port1.other = this.port2;
+            this.port2.other = this.port1;
+        }
+    }
+
+    class FakeXMLHttpRequest {
+        open(method, url) {
+            this.url = url;
+        }
+
+        setRequestHeader() {}
+
+        send(body) {
+            tasks.push(() => {
+                this.readyState = FakeXMLHttpRequest.DONE;
+                this.status = 200;
+                this.response = JSON.stringify({
+                    confirm: Boolean(options.confirmed),
+                    message: options.infoText || ""
+                });
+                guard(() => this.onreadystatechange());
+            });
+        }
+    }
+    FakeXMLHttpRequest.DONE = 4;
+
+    // Exposed as `page.storage`; pass `Object.fromEntries(page.storage)` as the
+    // `localStorage` option to reload the page.
+    const storage = new Map(Object.entries(options.localStorage || {}));
+    page.storage = storage;
+    const blobs = new Map();
+
+    // Just enough DOM for the bundle to hand a file to the user: the text of
+    // every clicked download link ends up in `page.downloads`.
+    const document = {
+        readyState: "loading",
+        addEventListener(type, fn) {
+            (documentListeners[type] = documentListeners[type] || []).push(fn);
+        },
+        removeEventListener(type, fn) {
+            documentListeners[type] = (documentListeners[type] || []).filter(listener => listener !== fn);
+        },
+        body: { appendChild() {} },
+        createElement() {
+            return {
+                click() {
+                    downloads.push({ name: this.download, text: blobs.get(this.href) });
+                },
+                remove() {}
+            };
+        }
+    };
+
+    const context = vm.createContext({
+        console,
+        AppData: { uid: options.uid || 1 },
+        XMLHttpRequest: FakeXMLHttpRequest,
+        WebSocket: FakeWebSocket,
+        MessageChannel: FakeMessageChannel,
+        MessageEvent: FakeMessageEvent,
+        TextDecoder,
+        localStorage: {
+            getItem: key => storage.has(key) ? storage.get(key) : null,
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        document,
+        Blob: class Blob {
+            constructor(parts) {
+                this.text = parts.join("");
+            }
+        },
+        URL: {
+            createObjectURL(blob) {
+                const url = `blob:${PAGE_ORIGIN}/${blobs.size + 1}`;
+                blobs.set(url, blob.text);
+                return url;
+            },
+            revokeObjectURL(url) {
+                blobs.delete(url);
+            }
+        },
+        setTimeout(fn, delay = 0) {
+            timers.push({ at: clock.now + delay, fn });
+        },
+        location: { href: PAGE_URL, origin: PAGE_ORIGIN },
+        addEventListener(type, fn) {
+            (windowListeners[type] = windowListeners[type] || []).push(fn);
+        },
+        removeEventListener(type, fn) {
+            windowListeners[type] = (windowListeners[type] || []).filter(listener => listener !== fn);
+        },
+        dispatchEvent: event => dispatchWindow(event),
+        postMessage(data, targetOrigin, transfer = []) {
+            tasks.push(() => dispatchMessage(data, { ports: transfer }));
+        }
+    });
+    context.window = context;
+    // The window as the bundle sees it, the source of its messages.
+    const pageWindow = vm.runInContext("window", context);
+
+    vm.runInContext(`(function(clock) {
+        const RealDate = Date;
+        globalThis.Date = class Date extends RealDate {
+            constructor(...args) {
+                args.length ? super(...args) : super(clock.now);
+            }
+            static now() {
+                return clock.now;
+            }
+        };
+    })`, context)(clock);
+
+    const copyBytes = vm.runInContext(`(function(bytes) {
+        const buffer = new ArrayBuffer(bytes.length);
+        new Uint8Array(buffer).set(bytes);
+        return buffer;
+    })`, context);
+
+    function toBinary(text) {
+        return copyBytes(new TextEncoder().encode(text));
+    }
+
+    function guard(fn) {
+        try {
+            fn();
+        } catch (err) {
+            errors.push(err);
+            if (options.onError) options.onError(err);
+        }
+    }
+
+    // Runs the window's listeners of `event` at once, as dispatchEvent does;
+    // false if one of them cancelled it.
+    function dispatchWindow(event) {
+        (windowListeners[event.type] || []).slice().forEach(fn => guard(() => fn(event)));
+        return !event.defaultPrevented;
+    }
+
+    function dispatchMessage(data, fields) {
+        dispatchWindow(Object.assign({ type: "message", data: structuredClone(data), origin: PAGE_ORIGIN, source: pageWindow }, fields));
+    }
+
+    // The content scripts' side of the hand-over, as document_start.js does
+    // it with channel.handOver, and document_end.js taking the port.
+    function connectContent() {
+        const channel = new FakeMessageChannel();
+        if (page.offerPort(channel.port2)) {
+            takePort(channel.port1);
+            return;
+        }
+        context.addEventListener(PORT_EVENT, function accept(event) {
+            if (!event.ports[0]) return;
+            context.removeEventListener(PORT_EVENT, accept);
+            event.preventDefault();
+            takePort(event.ports[0]);
+        });
+    }
+
+    function takePort(port) {
+        port.onmessage = message => observers.forEach(fn => fn(message.data));
+        content.port = port;
+        content.queue.splice(0).forEach(message => content.port.postMessage(message));
+    }
+
+    const withContent = false !== options.content;
+    withContent && !options.contentLast && connectContent();
+    vm.runInContext(source, context, { filename: path.basename(options.bundle || BUNDLE) });
+    withContent && options.contentLast && connectContent();
+
+    return page;
+}
+
+module.exports = {
+    createPage,
+    PAGE_ORIGIN,
+    PAGE_URL
+};
@@ -1 +1 @@
-(()=>{"use strict";const t={settings:{strategy:"signals",min_profit:80,delay:0,deals_limit:10,take_profit:{percent:20,sum:0},signals:[2,2,1,0,0,0],use_otc:!0,started:!1,martinSteps:[2,2,2,2,2,2,2,2,2],useMartin:!1},rates:{},action:!1,userInfo:{uid:!1,isDemo:!0,balance:{demo:0,real:0},openedDials:0,futureDeals:[],onlyDemo:!0,robotDeals:{opened:[],closed:[]},startSum:!1},getNextMartingaleStep(t,e){let s=t;for(let t=0;t<this.settings.martinSteps.length;t++){if(e===s)return Math.floor(s*this.settings.martinSteps[t]*100)/100;s=Math.floor(this.settings.martinSteps[t]*s*100)/100}return 2*e},checkDial(e,s){if(!this.settings.started)return!1;if("otc"==e.slice(-3)&&!this.settings.use_otc)return!1;if(!this.rates[e].active)return!1;if(this.userInfo.openedDials+this.userInfo.futureDeals.length>=this.settings.deals_limit)return!1;if(this.rates[e].nextDealTime>new Date)return!1;if(this.rates[e].profit<this.settings.min_profit)return!1;if(this.userInfo.isDemo&&this.userInfo.balance.demo>=this.settings.take_profit.sum)return this.settings.started=!1,window.postMessage({belobot:!0,act:"robotSettings",settings:t.settings},window.location.href),!1;if(!this.userInfo.isDemo&&this.userInfo.balance.real>=this.settings.take_profit.sum)return this.settings.started=!1,window.postMessage({belobot:!0,act:"robotSettings",settings:t.settings},window.location.href),!1;if("updateStream"==this.action){if("candles"==this.settings.strategy){let t=this.strategies.candles(this.rates[e].rates,Math.trunc(s),4);t&&("down"==t?this.deal(e,"up"):this.deal(e,"down"))}if("cci"==this.settings.strategy){let t=this.strategies.cci(this.rates[e].rates,Math.trunc(s),20);t&&(t<115&&this.rates[e].last_cci>115&&this.deal(e,"down"),t>-105&&this.rates[e].last_cci<-105&&this.deal(e,"up"),this.rates[e].last_cci=t)}if("pinBar"==this.settings.strategy){let t=this.strategies.pinBar(this.rates[e].rates,Math.trunc(s),4);t&&this.deal(e,t)}}if("signals"==this.action&&"signals"==this.settings.strategy){let t=this.strategies.signals(this.rates[e].signals,this.settings.signals);t&&this.deal(e,t)}},check_reg(t){var e=this,s=new XMLHttpRequest;s.open("POST","https://2bot.top/check_user/",!0),s.setRequestHeader("Content-type","application/json; charset=utf-8"),s.onreadystatechange=function(){if(s.readyState==XMLHttpRequest.DONE)if(200==s.status){var t=JSON.parse(s.response);t.confirm?e.userInfo.onlyDemo=!1:e.userInfo.onlyDemo=!0,window.postMessage({belobot:!0,info_text:t.message})}else window.postMessage({belobot:!0,info_text:'Server <a href="https://2bot.top">https://2bot.top</a> is not available. Please report a problem trader.vitaly@gmail.com'})},s.send(JSON.stringify({user_id:t}))},deal(t,e,s){e="up"==e?"call":"put",this.userInfo.futureDeals.push({pair:t,dur:e,sum:s});let a=new Date;a.setSeconds(a.getSeconds()+this.settings.delay),this.rates[t].nextDealTime=a,window.postMessage({belobot:!0,act:"newDeal"},window.location.href)},addRate(t){this.rates[t.name].rates[t.elm[0]]=[t.elm[1],t.elm[2],t.elm[3],t.elm[4]]},addCurrentRate(t){var e=60*parseInt(t.elm[0]/60);this.checkRate(t.name),null==this.rates[t.name].rates[e]&&(this.rates[t.name].rates[e]=[t.elm[1],t.elm[1],t.elm[1],t.elm[1]]),t.elm[1]>this.rates[t.name].rates[e][2]?this.rates[t.name].rates[e][2]=t.elm[1]:t.elm[1]<this.rates[t.name].rates[e][3]&&(this.rates[t.name].rates[e][3]=t.elm[1]),this.rates[t.name].rates[e][1]=t.elm[1]},checkRate(t){null==this.rates[t]&&(this.rates[t]={rates:{}}),null==this.rates[t].signals&&(this.rates[t].signals={}),null==this.rates[t].nextDealTime&&(this.rates[t].nextDealTime=new Date),null==this.rates[t].last_cci&&(this.rates[t].last_cci=!1)},update(e){return"updateHistory"==this.action&&(this.checkRate(e.asset),e.candles.forEach((function(t){this.addRate({name:e.asset,elm:t})}),this),e.history.forEach((function(t){this.addCurrentRate({name:e.asset,elm:t})}),this)),"updateStream"==this.action&&e.forEach((function(t){this.checkRate(t[0]),this.addCurrentRate({name:t[0],elm:[t[1],t[2]]}),this.checkDial(t[0],t[1])}),this),"updateAssets"==this.action&&e.forEach((function(t){this.checkRate(t[1]),this.rates[t[1]].profit=t[5],this.rates[t[1]].active=t[14],this.rates[t[1]].fullname=t[2]}),this),"updateBalance"==this.action&&(this.userInfo.uid||(this.userInfo.uid=AppData.uid,this.check_reg(this.userInfo.uid)),e.isDemo?this.userInfo.balance.demo=e.balance:this.userInfo.balance.real=e.balance,this.userInfo.isDemo=e.isDemo),"updateOpenedDeals"===this.action&&(this.userInfo.openedDials=e.length),"successopenOrder"===this.action&&this.settings.started&&this.userInfo.robotDeals.opened.push(e.id),"successcloseOrder"===this.action&&(e.deals.forEach((function(t){var e=this.userInfo.robotDeals.opened.indexOf(t.id);if(e>-1&&(this.userInfo.robotDeals.opened.splice(e,1),this.userInfo.robotDeals.closed.push(t.profit),("martin"===this.settings.strategy||this.settings.useMartin)&&this.settings.started)){if(t.profit<0){let e=this.getNextMartingaleStep(this.userInfo.startSum,t.amount);0==t.command?this.deal(t.asset,"up",e):this.deal(t.asset,"down",e)}0==t.profit&&(0==t.command?this.deal(t.asset,"up",t.amount):this.deal(t.asset,"down",t.amount))}this.userInfo.openedDials--}),this),window.postMessage({belobot:!0,robotDeals:t.userInfo.robotDeals},window.location.href)),"signals"===this.action&&e.signals.forEach((function(t){this.checkRate(t[0]),t[1].forEach((function(e){this.rates[t[0]].signals[e[0]]=e[1]}),this),this.checkDial(t[0])}),this),this.action=!1,!1},getState(){window.postMessage({belobot:!0,data:{settings:this.settings}},window.location.href)},setState(t){for(var e in t)this.settings=t[e]},strategies:{cci:function(t,e,s){if(t.length<s)return!1;let a=[],i=60*parseInt(e/60);for(let e=i-60*(s-1);e<=i;e+=60)a.push(t[e]);const n=a.map((t=>(t[0]+t[2]+t[3]+t[1])/4)),r=n.reduce(((t,e)=>t+e),0)/s,o=n.reduce(((t,e)=>t+Math.abs(e-r)),0)/s;return(n[s-1]-r)/(.02*o)},candles:function(t,e,s){var a=!1;for(let i=0,n=60*parseInt(e/60);i<=s;i++,n-=60){if(null==t[n])return!1;if(t[n][0]==t[n][1])return!1;if(t[n][0]<t[n][1])if(a){if("down"==a)return!1}else a="up";if(t[n][0]>t[n][1])if(a){if("up"==a)return!1}else a="down"}return a},pinBar:function(t,e,s){let a=60*parseInt(e/60),i=new Date(1e3*e).getSeconds(),n=t[a];if(i<40)return!1;const r=Math.abs(n[1]-n[0]),o=n[2]-Math.max(n[0],n[1]),l=Math.min(n[0],n[1])-n[3];return o>l&&o>r*s?"down":o<l&&l>r*s&&"up"},signals:function(t,e){let s=[t[1],t[2],t[3],t[5],t[10],t[15]],a=!1;for(var i=0;i<s.length;i++)if(0!=e[i]){if(s[i]>0)if(s[i]>2){if("up"==a)return!1;a||(a="down"),s[i]-=2}else{if("down"==a)return!1;a||(a="up")}if(s[i]<e[i])return!1}return a}}},e=t;window.addEventListener("message",(function(t){if(t.data.belobot){if("readState"==t.data.act&&window.postMessage({belobot:!0,act:"robotSettings",settings:e.settings},window.location.href),"setState"==t.data.act)for(let s in t.data.settings)"take_profit"==s?e.settings.take_profit.percent=t.data.settings[s]:e.settings[s]=t.data.settings[s];if("start_stop"==t.data.act){if(!e.userInfo.isDemo&&e.userInfo.onlyDemo)return!1;e.userInfo.isDemo?e.settings.take_profit.sum=Math.floor(e.userInfo.balance.demo*(e.settings.take_profit.percent+100)/100):e.settings.take_profit.sum=Math.floor(e.userInfo.balance.real*(e.settings.take_profit.percent+100)/100),e.settings.started=!e.settings.started,e.userInfo.futureDeals=[],e.settings.started||window.postMessage({belobot:!0,robotDeals:e.userInfo.robotDeals},window.location.href)}}}));var s=window.WebSocket;window.WebSocket=function(t,a){var i=a?new s(t,a):new s(t);return i.addEventListener("open",(function(t){})),i.addEventListener("message",(function(t){if(t.data instanceof ArrayBuffer&&e.action){let a=JSON.parse((s=t.data,String.fromCharCode.apply(null,new Uint8Array(s))));e.update(a)}else if(t.data.length>6)try{let s=JSON.parse(t.data.slice(4));"updateHistoryNew"===s[0]?e.action="updateHistory":"updateStream"===s[0]?e.action="updateStream":"updateAssets"===s[0]?e.action="updateAssets":"successupdateBalance"===s[0]?e.action="updateBalance":"updateOpenedDeals"===s[0]?e.action="updateOpenedDeals":"successopenOrder"===s[0]?e.action="successopenOrder":"successcloseOrder"===s[0]?e.action="successcloseOrder":"upsignals"!==s[0]&&"updateSignalForecast"!==s[0]&&"signals/load"!==s[0]&&"signals/update"!==s[0]||(e.action="signals")}catch{}var s})),i.addEventListener("send",(function(t){})),i.oldSend=s.prototype.send,i.send=function(t){if(e.settings.started&&(e.userInfo.futureDeals.length>0||!e.userInfo.startSum)&&"["==t[2])try{var s=JSON.parse(t.slice(2)),a=e.userInfo.futureDeals.pop(),n=t.slice(0,2);e.userInfo.startSum=s[1].amount,s[1].asset=a.pair,s[1].action=a.dur,a.sum&&(s[1].amount=a.sum),e.userInfo.onlyDemo&&(s[1].isDemo=1),n+=JSON.stringify(s),e.userInfo.openedDials++,i.oldSend.apply(this,[n])}catch{i.oldSend.apply(this,[t])}else i.oldSend.apply(this,[t])},i}})();
\ No newline at end of file
+"use strict";(()=>{var d=(e,t)=>()=>(t||e((t={exports:{}}).exports,t),t.exports);var M=d((Fr,Le)=>{"use strict";var j=[5,15,30,60,300,900],re=1e3;function je(e,t=60){return t*Math.floor(e/t)}function ie(e,t){e[t]==null&&(e[t]={rates:{}});let s=e[t];return s.series==null&&(s.series={},s.sizes={},j.forEach(function(n){s.series[n]=n==60?s.rates:{},s.sizes[n]=Object.keys(s.series[n]).length})),s.signals==null&&(s.signals={}),s.nextDealTime==null&&(s.nextDealTime=new Date),s.indicators==null&&(s.indicators={}),s.state==null&&(s.state={}),s}function Ds(e,t,s){for(let n in e.indicators){let r=e.indicators[n];r.timeframe==t&&r.at>=s&&delete e.indicators[n]}}function ks(e,t){let s=e.series[t],n=e.sizes[t]-re;for(let r in s){if(n--<=0)break;delete s[r],e.sizes[t]--}}function ve(e,t,s,n,r){let i=je(s,t),o=e.series[t],a=o[i];a==null||n==t?(a==null&&e.sizes[t]++,o[i]=r.slice()):(n>0&&s==i&&(a[0]=r[0]),(s+n>=i+t||n==0)&&(a[1]=r[1]),a[2]=Math.max(a[2],r[2]),a[3]=Math.min(a[3],r[3])),Ds(e,t,i),e.sizes[t]>re&&ks(e,t)}function Is(e,t,s,n=60){let r=ie(e,t),i=[s[1],s[2],s[3],s[4]];j.forEach(function(o){o>=n&&o%n==0&&ve(r,o,s[0],n,i)})}function As(e,t,s){let n=ie(e,t),r=s[1];j.forEach(function(i){ve(n,i,s[0],0,[r,r,r,r])})}function Os(e,t){let s=e[t]&&e[t].rates;if(!s)return null;let n=null;for(let r in s)(n==null||Number(r)>Number(n))&&(n=r);return n==null?null:s[n][1]}Le.exports={PERIOD:60,TIMEFRAMES:j,MAX_CANDLES:re,candleStart:je,checkRate:ie,addRate:Is,addCurrentRate:As,lastPrice:Os}});var Fe=d((Xr,Ke)=>{"use strict";var{PERIOD:Pe,candleStart:Ue}=M();function Ms(e,t,s,n=Pe){let r=!1;for(let i=0,o=Ue(t,n);i<=s;i++,o-=n){let a=e[o];if(a==null||a[0]==a[1])return!1;let u=a[0]<a[1]?"up":"down";if(r&&r!=u)return!1;r=u}return r}function Ts(e,t,s,n=Pe){let r=Ue(t,n),i=e[r];if(i==null||3*(t-r)<2*n)return!1;let o=Math.abs(i[1]-i[0]),a=i[2]-Math.max(i[0],i[1]),u=Math.min(i[0],i[1])-i[3];return a>u&&a>o*s?"down":a<u&&u>o*s&&"up"}var v=[1,2,3,5,10,15];function Ns(e,t){let s=!1;for(let n=0;n<v.length;n++){if(t[n]==0)continue;let r=e[v[n]];if(r>0)if(r>2){if(s=="up")return!1;s="down",r-=2}else{if(s=="down")return!1;s="up"}if(r<t[n])return!1}return s}function Rs(e){let t=e.findIndex(s=>s>0);return t==-1?null:60*v[t]}Ke.exports={candles:Ms,pinBar:Ts,signals:Ns,signalExpiry:Rs,SIGNAL_TIMEFRAMES:v}});var Be=d((Yr,He)=>{"use strict";var L=Fe(),{candleStart:$s}=M();function Xe(e,t,s,n){let r=!1;return t<s&&e.last>s&&(r="down"),t>n&&e.last<n&&(r="up"),e.last=t,r}function Ye(e,t,s){let n=t>s?"up":t<s?"down":!1,r=n&&e.side&&n!=e.side&&n;return n&&(e.side=n),r}He.exports=[{id:"signals",name:"signals",description:"The bot will trade based on platform signals. Specify the signal level on each timeframe. After launching the bot, close and reopen the signals window.",events:["signals"],params:{forecastExpiry:{type:"boolean",default:!1,name:"expire with the shortest forecast"}},decide({signals:e,settings:t,params:s}){let n=L.signals(e,t.signals);return!n||!s.forecastExpiry?n:{direction:n,expiry:L.signalExpiry(t.signals)}}},{id:"cci",name:"cci20",description:"Trading using the CCI20 indicator. After launching the bot, alternately switch through the pairs that need to be analyzed. The robot will automatically enter into transactions.",events:["stream"],params:{period:{type:"integer",min:5,max:50,default:20,name:"period"},upper:{type:"number",min:0,max:300,default:115,name:"upper level"},lower:{type:"number",min:-300,max:0,default:-105,name:"lower level"}},decide({indicators:e,state:t,params:s}){let n=e.cci({period:s.period,constant:.02,open:!0});return n!==!1&&Xe(t,n,s.upper,s.lower)}},{id:"candles",name:"4 candles",description:"The robot will make a deal when 4 candles in a row point in the same direction. The trade goes in the opposite direction. After launching the bot, alternately switch through the pairs that need to be analyzed. The robot will automatically enter into transactions.",events:["stream"],params:{count:{type:"integer",min:1,max:10,default:4,name:"candles"},against:{type:"boolean",default:!0,name:"trade against the run"}},decide({candles:e,time:t,timeframe:s,params:n}){let r=L.candles(e,t,n.count,s);return!r||!n.against?r:r=="down"?"up":"down"}},{id:"pinBar",name:"pinBar",description:"Trades against the long shadow of a pin bar, 40 seconds into the candle.",events:["stream"],params:{ratio:{type:"number",min:1,max:20,default:4,name:"shadow to body"}},decide({candles:e,time:t,timeframe:s,params:n}){return L.pinBar(e,t,n.ratio,s)}},{id:"rsiReversal",name:"RSI reversal",description:"Trades against the move when RSI comes back from overbought or oversold.",events:["stream"],params:{period:{type:"integer",min:2,max:50,default:14,name:"period"},overbought:{type:"number",min:50,max:100,default:70,name:"overbought"},oversold:{type:"number",min:0,max:50,default:30,name:"oversold"}},decide({indicators:e,state:t,params:s}){let n=e.rsi({period:s.period});return n!==!1&&Xe(t,n,s.overbought,s.oversold)}},{id:"bollingerTouch",name:"Bollinger touch",description:"Trades back towards the middle when the price closes outside the Bollinger Bands.",events:["stream"],params:{period:{type:"integer",min:5,max:50,default:20,name:"period"},width:{type:"number",min:.5,max:4,default:2,name:"deviations"}},decide({indicators:e,candles:t,time:s,timeframe:n,params:r}){let i=e.bollinger(r);if(!i)return!1;let o=t[$s(s,n)][1];return o>i.upper?"down":o<i.lower&&"up"}},{id:"macdCross",name:"MACD cross",description:"Trades with the MACD line when it crosses its signal line.",events:["stream"],params:{fast:{type:"integer",min:2,max:50,default:12,name:"fast EMA"},slow:{type:"integer",min:3,max:100,default:26,name:"slow EMA"},signal:{type:"integer",min:2,max:50,default:9,name:"signal EMA"}},decide({indicators:e,state:t,params:s}){let n=s.fast<s.slow&&e.macd(s);return n&&Ye(t,n.macd,n.signal)}},{id:"emaCross",name:"EMA cross",description:"Trades with the fast EMA when it crosses the slow one.",events:["stream"],params:{fast:{type:"integer",min:2,max:50,default:9,name:"fast EMA"},slow:{type:"integer",min:3,max:200,default:21,name:"slow EMA"}},decide({indicators:e,state:t,params:s}){let n=e.ema({period:s.fast}),r=e.ema({period:s.slow});return n!==!1&&r!==!1&&Ye(t,n,r)}},{id:"martin",name:"martingale",description:"Repeats every lost deal at the next stake of the Martingale ladder.",events:[],decide(){return!1}}]});var U=d((Hr,Ze)=>{"use strict";var{PERIOD:qs,TIMEFRAMES:ze}=M(),oe=["stream","history","signals"],Je=["number","integer","boolean"],Cs=["up","down"],P=new Map;function x(e,t){throw new TypeError(`strategy "${e}": ${t}`)}function Ve(e){let t=e&&e.id;(typeof t!="string"||!/^[A-Za-z][\w-]*$/.test(t))&&x(t,"the id must be a word"),(typeof e.name!="string"||e.name=="")&&x(t,"a name is required"),(!Array.isArray(e.events)||e.events.some(n=>!oe.includes(n)))&&x(t,`events must be a list of ${oe.join(", ")}`),e.timeframe!=null&&!ze.includes(e.timeframe)&&x(t,`timeframe must be one of ${ze.join(", ")}`),typeof e.decide!="function"&&x(t,"decide must be a function");let s=e.params||{};for(let n in s){let r=s[n];if(Je.includes(r.type)||x(t,`parameter "${n}" must be of type ${Je.join(", ")}`),r.type=="boolean"){typeof r.default!="boolean"&&x(t,`parameter "${n}" needs a boolean default`);continue}r.min<=r.default&&r.default<=r.max||x(t,`parameter "${n}" needs min <= default <= max`)}}function ae(e){Ve(e),P.has(e.id)&&x(e.id,"already registered"),P.set(e.id,Object.assign({description:"",timeframe:qs,params:{}},e))}function js(e){e.forEach(function(t){try{ae(t)}catch(s){console.error("belobot:",s.message)}})}function vs(e){return P.get(e)}function Ls(){return Array.from(P.values())}function Ps(e,t={}){let s={};for(let n in e.params){let r=e.params[n],i=t[n];if(r.type=="boolean"){s[n]=typeof i=="boolean"?i:r.default;continue}i=Number(i),(t[n]==null||Number.isNaN(i))&&(i=r.default),r.type=="integer"&&(i=Math.round(i)),s[n]=Math.min(Math.max(i,r.min),r.max)}return s}function Us(e){return Cs.includes(e)}Be().forEach(ae);Ze.exports={EVENTS:oe,validate:Ve,register:ae,load:js,get:vs,list:Ls,params:Ps,isDirection:Us}});var le=d((Br,et)=>{"use strict";var ce={updateHistoryNew:"updateHistory",updateStream:"updateStream",updateAssets:"updateAssets",successupdateBalance:"updateBalance",updateOpenedDeals:"updateOpenedDeals",successopenOrder:"successopenOrder",successcloseOrder:"successcloseOrder",upsignals:"signals",updateSignalForecast:"signals","signals/load":"signals","signals/update":"signals"},Ks=/^4(\d)(?:(\d+)-)?(?:\/[^,]*,)?\d*(\[[\s\S]*)?$/,Fs="2",We="5";function ue(e){throw new TypeError(e)}function p(e,t){e||ue(t)}function D(e){return!!e&&typeof e=="object"&&!Array.isArray(e)}function Ge(e){return typeof e=="string"&&e!=""||Number.isFinite(e)}function w(e,t,s){p(Array.isArray(e),`${t} must be a list`),e.forEach((n,r)=>s(n,`${t}[${r}]`))}function K(e,t,s){p(Array.isArray(e)&&e.length>=s,`${t} must have ${s} numbers`);for(let n=0;n<s;n++)p(Number.isFinite(e[n]),`${t}[${n}] must be a number`)}var Xs={updateHistory(e){return p(D(e),"the history must be an object"),p(typeof e.asset=="string","asset must be a symbol"),p(Number.isInteger(e.period)&&e.period>0,"period must be whole seconds"),w(e.candles,"candles",(t,s)=>K(t,s,5)),w(e.history,"history",(t,s)=>K(t,s,2)),e},updateStream(e){return w(e,"ticks",function(t,s){p(Array.isArray(t)&&typeof t[0]=="string",`${s}[0] must be a symbol`),K(t.slice(1),s,2)}),e.map(t=>({asset:t[0],time:t[1],price:t[2]}))},updateAssets(e){return w(e,"assets",function(t,s){p(Array.isArray(t)&&t.length>=15,`${s} must have 15 fields`),p(typeof t[1]=="string"&&t[1]!="",`${s}[1] must be a symbol`),p(typeof t[2]=="string",`${s}[2] must be a name`),p(Number.isFinite(t[5]),`${s}[5] must be a payout`),p(typeof t[14]=="boolean",`${s}[14] must be true or false`)}),e.map(t=>({symbol:t[1],name:t[2],payout:t[5],active:t[14]}))},updateBalance(e){return p(D(e),"the balance must be an object"),p(Number.isFinite(e.balance),"balance must be a number"),p([0,1,!0,!1].includes(e.isDemo),"isDemo must be 0 or 1"),e},updateOpenedDeals(e){return p(Array.isArray(e),"the opened deals must be a list"),e},successopenOrder(e){return p(D(e),"the deal must be an object"),p(Ge(e.id),"id is required"),p(typeof e.asset=="string","asset must be a symbol"),p(Number.isFinite(e.amount),"amount must be a number"),p(e.command==0||e.command==1,"command must be 0 or 1"),e},successcloseOrder(e){return p(D(e),"the closed deals must be an object"),w(e.deals,"deals",function(t,s){p(D(t)&&Ge(t.id),`${s}.id is required`),p(Number.isFinite(t.profit),`${s}.profit must be a number`)}),e},signals(e){return p(D(e),"the signals must be an object"),w(e.signals,"signals",function(t,s){p(Array.isArray(t)&&typeof t[0]=="string",`${s}[0] must be a symbol`),w(t[1],`${s}[1]`,(n,r)=>K(n,r,2))}),e.signals.map(t=>({asset:t[0],forecasts:t[1]}))}};function Qe(e){let t=Ks.exec(e);if(!t||Fs!=t[1]&&We!=t[1])return null;let s;try{s=JSON.parse(t[3])}catch{ue("the event is not JSON")}p(Array.isArray(s)&&typeof s[0]=="string","the event has no name");let n=s[0];return{name:n,action:Object.prototype.hasOwnProperty.call(ce,n)?ce[n]:null,binary:We==t[1],attachments:Number(t[2]||0),args:s}}function Ys(e){return!e.binary||!e.action?null:(p(e.attachments==1,`${e.name} carries ${e.attachments} binary payloads instead of one`),e.action)}function Hs(e){try{return JSON.parse(new TextDecoder().decode(e))}catch{ue("the payload is not JSON")}}function Bs(e,t){return Xs[e](t)}var zs=["call","put"];function Js(e){let t=Qe(e);if(!t||t.name!="openOrder")return null;p(!t.binary,"openOrder carries a binary payload");let s=t.args[1];return p(D(s),"openOrder has no parameters"),p(typeof s.asset=="string","openOrder: asset must be a symbol"),p(Number.isFinite(s.amount)&&s.amount>0,"openOrder: amount must be a positive number"),p(zs.includes(s.action),"openOrder: action must be call or put"),p(Number.isInteger(s.time)&&s.time>0,"openOrder: time must be whole seconds"),{prefix:e.slice(0,e.indexOf("[")),message:t.args}}function Vs(e){return e.prefix+JSON.stringify(e.message)}et.exports={VERSION:1,EVENTS:ce,parseEvent:Qe,binaryAction:Ys,decodePayload:Hs,readPayload:Bs,parseOrder:Js,buildOrder:Vs}});var fe=d((zr,nt)=>{"use strict";var Zs=le(),tt=100,st=20;function Ws(){return{version:Zs.VERSION,in:Object.create(null),out:Object.create(null),failures:[]}}function Gs(e,t,s,n=Date.now()){let r=e[t],i=r[s.name];i?(i.count++,i.last=n):Object.keys(r).length<tt&&(r[s.name]={count:1,last:n,known:!!s.action||s.name=="openOrder"})}function Qs(e,t,s,n=Date.now()){let r={time:n,event:t,problem:s};return e.failures.push(r),e.failures.length>st&&e.failures.shift(),r}nt.exports={MAX_EVENTS:tt,MAX_FAILURES:st,create:Ws,seen:Gs,failed:Qs}});var N=d((Jr,it)=>{"use strict";var F="belobot:port",Y=null,X=[];function rt(e){let t=new MessageChannel,s=new MessageEvent(F,{ports:[t.port2],cancelable:!0});if(!window.dispatchEvent(s)){e(t.port1);return}if(document.readyState!="loading")return;function n(){window.removeEventListener(F,r),document.removeEventListener("DOMContentLoaded",n)}function r(i){!i.ports||!i.ports[0]||(n(),i.preventDefault(),e(i.ports[0]))}window.addEventListener(F,r),document.addEventListener("DOMContentLoaded",n)}function en(e){let t=Object.assign({belobot:!0},e);if(Y){Y.postMessage(t);return}X.push(t),X.length>200&&X.shift()}function tn(e){rt(function(t){t.onmessage=s=>e(s.data),Y=t,X.splice(0).forEach(s=>Y.postMessage(s))})}it.exports={PORT_EVENT:F,MAX_QUEUE:200,handOver:rt,post:en,open:tn}});var de=d((Vr,ut)=>{"use strict";var{post:ot}=N(),at=12e4,pe=3e4;function sn(){return{since:0,stale:!1}}function nn(e,t=Date.now()){e.feed.since=t,e.feed.stale&&(e.feed.stale=!1,ot({feed:{stale:!1,since:t}}))}function rn(e,t=Date.now()){e.feed.since=Math.max(e.feed.since,t)}function ct(e,t=Date.now()){!e.settings.started||e.feed.stale||t-e.feed.since<at||(e.feed.stale=!0,ot({feed:{stale:!0,since:e.feed.since}}))}function on(e){setTimeout(function t(){ct(e),setTimeout(t,pe)},pe)}ut.exports={STALE:at,CHECK:pe,createFeed:sn,tick:nn,started:rn,check:ct,watch:on}});var pt=d((Zr,ft)=>{"use strict";var{PERIOD:ge,candleStart:lt}=M(),an=1e3;function g(e){return e[1]}function H(e,t,s,n=ge){let r=[];for(let i=s-1,o=lt(t,n);i>=0;i--){let a=e[o-n*i];if(a==null)return!1;r.push(a)}return r}function E(e){return e.reduce((t,s)=>t+s,0)/e.length}function cn(e,t,{period:s,timeframe:n}){let r=H(e,t,s,n);return r&&E(r.map(g))}function un(e,t,{period:s,width:n,timeframe:r}){let i=H(e,t,s,r);if(!i)return!1;let o=i.map(g),a=E(o),u=Math.sqrt(E(o.map(l=>(l-a)**2)));return{middle:a,upper:a+n*u,lower:a-n*u}}function ln(e,t,{period:s,smooth:n,timeframe:r}){let i=H(e,t,s+n-1,r);if(!i)return!1;let o=[];for(let a=s;a<=i.length;a++){let u=i.slice(a-s,a),l=Math.max(...u.map(f=>f[2])),c=Math.min(...u.map(f=>f[3]));o.push(l==c?50:(g(u[s-1])-c)/(l-c)*100)}return{k:o[o.length-1],d:E(o)}}function fn(e,t,{period:s,timeframe:n,constant:r=.015,open:i=!1}){let o=H(e,t,s,n);if(!o)return!1;let a=o.map(c=>i?(c[0]+c[1]+c[2]+c[3])/4:(c[2]+c[3]+c[1])/3),u=E(a),l=E(a.map(c=>Math.abs(c-u)));return l==0?0:(a[s-1]-u)/(r*l)}function B(e,t,s,n,r,i=ge){r=`${i}:${r}`;let o=lt(t,i),a=e[o];if(a==null)return!1;let u=n&&n[r];if(u&&u.at<o){for(let c=u.at+i;c<o;c+=i)if(e[c]==null){u=null;break}}else u=null;let l;if(u){l=u.state;for(let c=u.at+i;c<o;c+=i)l=s.step(l,e[c])}else{let c=o;for(;o-c<i*an&&e[c-i]!=null;)c-=i;let f=[];for(let h=c;h<o;h+=i)f.push(e[h]);if(f.length<s.warmup)return!1;l=s.seed(f.slice(0,s.warmup)),f.slice(s.warmup).forEach(function(h){l=s.step(l,h)})}return n&&(n[r]={timeframe:i,at:o-i,state:l}),s.value(s.step(l,a))}function me(e){let t=2/(e+1);return{warmup:e,seed:s=>E(s.map(g)),step:(s,n)=>s+t*(g(n)-s),value:s=>s}}function pn(e,t,{period:s,timeframe:n},r){return B(e,t,me(s),r,`ema:${s}`,n)}function dn(e,t,{period:s,timeframe:n},r){return B(e,t,{warmup:s+1,seed(i){let o=0,a=0;for(let u=1;u<i.length;u++){let l=g(i[u])-g(i[u-1]);l>0?o+=l:a-=l}return{gain:o/s,loss:a/s,close:g(i[i.length-1])}},step(i,o){let a=g(o)-i.close;return{gain:(i.gain*(s-1)+Math.max(a,0))/s,loss:(i.loss*(s-1)+Math.max(-a,0))/s,close:g(o)}},value(i){return i.loss==0?i.gain==0?50:100:100-100/(1+i.gain/i.loss)}},r,`rsi:${s}`,n)}function mn(e,t,{fast:s,slow:n,signal:r,timeframe:i},o){let a=me(s),u=me(n),l=2/(r+1);return B(e,t,{warmup:n+r-1,seed(c){let f={fast:E(c.slice(n-s,n).map(g)),slow:E(c.slice(0,n).map(g))},h=[f.fast-f.slow];return c.slice(n).forEach(function(C){f={fast:a.step(f.fast,C),slow:u.step(f.slow,C)},h.push(f.fast-f.slow)}),f.signal=E(h),f},step(c,f){let h={fast:a.step(c.fast,f),slow:u.step(c.slow,f)};return h.signal=c.signal+l*(h.fast-h.slow-c.signal),h},value(c){let f=c.fast-c.slow;return{macd:f,signal:c.signal,histogram:f-c.signal}}},o,`macd:${s}:${n}:${r}`,i)}function hn(e,t,{period:s,timeframe:n},r){let i=(o,a)=>Math.max(o[2],a)-Math.min(o[3],a);return B(e,t,{warmup:s+1,seed(o){let a=0;for(let u=1;u<o.length;u++)a+=i(o[u],g(o[u-1]));return{atr:a/s,close:g(o[o.length-1])}},step:(o,a)=>({atr:(o.atr*(s-1)+i(a,o.close))/s,close:g(a)}),value:o=>o.atr},r,`atr:${s}`,n)}function gn(e,t,s=ge){let n={};for(let r in he)n[r]=i=>he[r](e.series[s],t,Object.assign({},i,{timeframe:s}),e.indicators);return n}var he={sma:cn,ema:pn,rsi:dn,bollinger:un,macd:mn,stochastic:ln,atr:hn,cci:fn};ft.exports=Object.assign({bind:gn},he)});var J=d((Wr,Et)=>{"use strict";var{post:ye}=N(),dt=1e4,mt=3e4,ht=6e4,gt=14400,yn=3e5,yt=["planned","sent","confirmed"],bn=["not_sent","not_confirmed","not_closed"];function _n(){return{list:[],nextId:1}}function be(e,t,s){t.state="failed",t.reason=s,t.failedAt=Date.now(),ye({orderFailed:{id:t.id,asset:t.asset,direction:t.direction,reason:s}}),_e(e)}function R(e,t){return e.state=="failed"&&t==e.reason}function z(e){let t=Date.now();e.orders.list=e.orders.list.filter(s=>yt.includes(s.state)||bn.some(n=>R(s,n))&&s.failedAt>t-yn)}function _e(e){z(e);let t=e.orders.list.filter(n=>n.state=="planned");if(t.length==0||t.some(n=>n.requestedAt))return;let s=t[0];s.requestedAt=Date.now(),ye({act:"newDeal",order:s.id}),setTimeout(()=>s.state=="planned"&&be(e,s,"not_sent"),dt)}function En(e,t){let s=Object.assign({id:e.orders.nextId++,state:"planned",plannedAt:Date.now(),requestedAt:null,requestId:null,dealId:null},t);return e.orders.list.push(s),_e(e),s}function xn(e){return z(e),e.orders.list.find(t=>t.state=="planned"&&t.requestedAt)||e.orders.list.find(t=>R(t,"not_sent"))||null}function Sn(e,t,s){t.state="sent",t.reason=null,t.requestId=s??null,t.sentAt=Date.now(),setTimeout(()=>t.state=="sent"&&be(e,t,"not_confirmed"),mt),_e(e)}function bt(e,t,s){let n=Date.now();t.state="confirmed",t.reason=null,t.dealId=s.id,t.confirmedAt=n;let r=s.closeTimestamp?1e3*s.closeTimestamp:n+1e3*(t.expiry||gt);return setTimeout(function(){t.state=="confirmed"&&(be(e,t,"not_closed"),e.userInfo.robotDeals.opened=_t(e),ye({robotDeals:e.userInfo.robotDeals}))},Math.max(0,r-n)+ht),t}function wn(e,t){let s=e.orders.list.filter(r=>r.state=="sent"||R(r,"not_confirmed")),n=t.requestId!=null?s.find(r=>r.requestId==t.requestId):s.find(r=>r.asset==t.asset);return n?bt(e,n,t):null}function Dn(e,t,s){let n={id:e.orders.nextId++,asset:t.asset,direction:t.command==0?"call":"put",amount:t.amount,expiry:t.openTimestamp&&t.closeTimestamp?t.closeTimestamp-t.openTimestamp:null,base:t.amount,strategy:s,step:0,signal:null,plannedAt:Date.now(),requestedAt:null,requestId:t.requestId!=null?t.requestId:null};return e.orders.list.push(n),bt(e,n,t)}function kn(e,t){let s=e.orders.list.find(n=>(n.state=="confirmed"||R(n,"not_closed"))&&n.dealId==t.id);return s?(s.state="closed",s.profit=t.profit,z(e),s):null}function In(e){e.orders.list.forEach(function(t){t.state!="planned"&&!R(t,"not_sent")||(t.state="failed",t.reason="stopped")}),z(e)}function An(e){return e.orders.list.filter(t=>yt.includes(t.state)).length}function _t(e){return e.orders.list.filter(t=>t.state=="confirmed").map(t=>t.dealId)}Et.exports={SEND_TIMEOUT:dt,CONFIRM_TIMEOUT:mt,CLOSE_GRACE:ht,MAX_EXPIRY:gt,createOrders:_n,plan:En,next:xn,sent:Sn,confirm:wn,adopt:Dn,close:kn,stop:In,count:An,dealIds:_t}});var Ee=d((Gr,wt)=>{"use strict";function On(e,t){let s=t.getDay(),n=60*t.getHours()+t.getMinutes();return e.from<e.to?e.days.includes(s)&&n>=e.from&&n<e.to:e.days.includes(s)&&n>=e.from||e.days.includes((s+6)%7)&&n<e.to}function xt(e,t){return(t.end==null?t.start:t.end)+e.blackout_after*6e4}function Mn(e,t){return e.blackouts.find(s=>s.start-e.blackout_before*6e4<=t&&t<xt(e,s))||null}function St(e,t){let s=new Date(t);if(e.schedule.length>0&&!e.schedule.some(r=>On(r,s)))return{reason:"schedule"};let n=Mn(e,t);return n?{reason:"blackout",title:n.title}:null}function Tn(e,t){let s=e.blackouts.map(r=>xt(e,r));for(let r=0;r<8;r++){let i=new Date(t);i.setDate(i.getDate()+r),e.schedule.forEach(function(o){o.days.includes(i.getDay())&&(i.setHours(0,o.from,0,0),s.push(i.getTime()))})}let n=s.filter(r=>r>t).sort((r,i)=>r-i).find(r=>!St(e,r));return n===void 0?null:n}function Nn(e,t){if(e.asset_mode!="allow"&&e.asset_mode!="block")return!0;let s=t.toUpperCase();return e.assets.some(function(r){let i=r.toUpperCase();return i==s||`${i}_OTC`==s})==(e.asset_mode=="allow")}wt.exports={check:St,reopens:Tn,allowsAsset:Nn}});var Se=d((Qr,At)=>{"use strict";var Rn=pt(),kt=J(),V=U(),Dt=Ee(),{MAX_EXPIRY:xe}=kt,$n={updateStream:"stream",updateHistory:"history",signals:"signals"};function It(e,t){let{settings:s}=e,n=e.rates[t];if(!s.started)return"stopped";let r=Dt.check(s,Date.now());return r?r.reason:n?Dt.allowsAsset(s,t)?t.slice(-3)=="otc"&&!s.use_otc?"otc":n.active?kt.count(e)+e.paper.opened.length>=s.deals_limit?"deals_limit":n.nextDealTime>new Date?"delay":n.profit<s.min_profit?"min_profit":!1:"inactive":"asset_blocked":"unknown_asset"}function qn(e,t){return!It(e,t)}function Cn(e){let{balance:t,isDemo:s}=e.userInfo;return(s?t.demo:t.real)>=e.settings.take_profit.sum}function jn(e){let t=V.isDirection(e)?{direction:e}:e;if(!t||!V.isDirection(t.direction))return!1;let{expiry:s=null,amount:n=null}=t;if(s!=null&&!(Number.isInteger(s)&&s>0&&s<=xe))throw new TypeError(`expiry must be whole seconds up to ${xe}`);if(n!=null&&!(n>0))throw new TypeError("amount must be a positive number");return{direction:t.direction,expiry:s,amount:n==null?null:Math.floor(n*100)/100}}function vn(e,t,s){let n=V.get(e.settings.strategy),r=$n[e.action];if(!n||!n.events.includes(r))return!1;let i=e.rates[t],o=Math.trunc(s??Date.now()/1e3);i.state[n.id]=i.state[n.id]||{};let a={event:r,asset:t,time:o,candles:i.series[n.timeframe],timeframe:n.timeframe,signals:i.signals,rate:i,indicators:Rn.bind(i,o,n.timeframe),state:i.state[n.id],params:V.params(n,(e.settings.params||{})[n.id]),settings:e.settings};try{return jn(n.decide(a))}catch(u){return console.error("belobot:",n.id,u),!1}}function Ln(e,t,s={}){let{settings:n}=e,{step:r=0,expiry:i=null,signal:o=null}=s,a=o&&o.martingale;if(!(a?r<a.steps:n.strategy==="martin"||n.useMartin)||!n.started||t.profit>0)return null;let l=s.base||e.userInfo.startSum,c=t.profit<0;return{asset:t.asset,direction:t.command==0?"up":"down",amount:c?e.getNextMartingaleStep(l,t.amount):t.amount,expiry:i,base:l,step:c?r+1:r,signal:o}}At.exports={MAX_EXPIRY:xe,refusal:It,canTrade:qn,reachedTakeProfit:Cn,planDeal:vn,planReentry:Ln}});var Mt=d((ei,Ot)=>{"use strict";function Pn(e,t,s){let n=e.rates[t.asset];e.journal[t.id]={id:t.id,asset:t.asset,direction:t.command==0?"call":"put",amount:t.amount,openTime:t.openTimestamp?1e3*t.openTimestamp:Date.now(),closeTime:null,payout:t.percentProfit!=null?t.percentProfit:n&&n.profit,profit:null,strategy:s.strategy,step:s.step,expiry:s.expiry||null,base:s.base||t.amount,signal:s.signal||null,isDemo:!!(t.isDemo!=null?t.isDemo:e.userInfo.isDemo)}}function Un(e,t){let s=e.journal[t.id];return s?(delete e.journal[t.id],s.closeTime=t.closeTimestamp?1e3*t.closeTimestamp:Date.now(),s.profit=t.profit,s):null}Ot.exports={opened:Pn,closed:Un}});var Nt=d((ti,Tt)=>{"use strict";function Kn(){return{opened:[],closed:[],last:new Map}}function Fn(e,t,s,n){let r=e.paper.last.get(t);if(!r)return!1;let i={asset:t,command:s=="up"?0:1,amount:n.amount,openPrice:r.price,closePrice:r.price,openTime:r.time,closeTime:r.time+(n.expiry||60),payout:e.rates[t].profit,expiry:n.expiry||60,step:n.step||0,base:n.base||n.amount,signal:n.signal||null};return e.paper.opened.push(i),i}function Xn(e,t,s,n){let r=[];return e.paper.last.set(t,{time:s,price:n}),e.paper.opened=e.paper.opened.filter(function(i){if(i.asset!=t||(s<=i.closeTime&&(i.closePrice=n),s<i.closeTime))return!0;let o=i.closePrice-i.openPrice;return o==0?i.profit=0:i.command==0==o>0?i.profit=Math.round(i.amount*i.payout)/100:i.profit=-i.amount,e.paper.closed.push(i.profit),e.paper.closed.length>1e3&&e.paper.closed.splice(0,e.paper.closed.length-1e3),r.push(i),!1}),r}Tt.exports={EXPIRY:60,MAX_CLOSED:1e3,createPaper:Kn,open:Fn,tick:Xn}});var De=d((si,Rt)=>{"use strict";var we="belobot_record";function Yn(e){let t=new Uint8Array(e),s="";for(let n=0;n<t.length;n+=8192)s+=String.fromCharCode.apply(null,t.subarray(n,n+8192));return s}function Hn(e,t,s,n){let r=e.recording;if(!r)return;if(r.frames.length>=2e5){r.truncated=!0;return}let i={t:Date.now(),dir:t};s instanceof ArrayBuffer?i.binary=Yn(s):t=="ctl"?i.data=s:i.text=s,n&&n!==s&&(i.sent=n),r.frames.push(i)}function Bn(e){if(localStorage.setItem(we,"1"),e.recording)return;let t=[];for(let s in e.rates){let n=e.rates[s];n.profit!=null&&t.push([s,n.fullname,n.profit,n.active])}e.recording={version:1,url:window.location.href,startedAt:Date.now(),uid:e.userInfo.uid,isDemo:e.userInfo.isDemo,onlyDemo:e.userInfo.onlyDemo,balance:Object.assign({},e.userInfo.balance),settings:JSON.parse(JSON.stringify(e.settings)),assets:t,frames:[],truncated:!1}}function zn(e){if(localStorage.removeItem(we),!e.recording)return;let t=e.recording;e.recording=!1,Jn("belobot-"+new Date(t.startedAt).toISOString().replace(/[:.]/g,"-")+".json",JSON.stringify(t))}function Jn(e,t){let s=document.createElement("a");s.href=URL.createObjectURL(new Blob([t],{type:"application/json"})),s.download=e,document.body.appendChild(s),s.click(),s.remove(),setTimeout(function(){URL.revokeObjectURL(s.href)},1e3)}Rt.exports={RECORD_KEY:we,record:Hn,startRecording:Bn,stopRecording:zn}});var Ie=d((ni,vt)=>{"use strict";var $={demo:"belobot_daily_demo",real:"belobot_daily_real"},$t="belobot_daily",Vn=["stop_loss","daily_loss"];function qt(){let e=new Date;return[e.getFullYear(),e.getMonth()+1,e.getDate()].join("-")}function Ct(){return{start:0,net:0,streak:0,cooldownUntil:0,exposure:{},limit:!1}}function ke(e){return e?$.demo:$.real}function Zn(e){let t=localStorage.getItem($t);t!=null&&(localStorage.getItem($.demo)==null&&localStorage.getItem($.real)==null&&localStorage.setItem(ke(e),t),localStorage.removeItem($t))}function jt(e){Zn(e);let t=null;try{t=JSON.parse(localStorage.getItem(ke(e)))}catch{}return t&&qt()==t.day?t:{day:qt(),net:0}}function Wn(e){let{balance:t,isDemo:s}=e.userInfo;Object.assign(e.session,Ct(),{start:s?t.demo:t.real,cooldownUntil:e.session.cooldownUntil})}function Gn(e,t,{daily:s=!0}={}){let{settings:n,session:r}=e;if(s){let i=t.isDemo!=null?!!t.isDemo:e.userInfo.isDemo,o=jt(i);o.net+=t.profit,localStorage.setItem(ke(i),JSON.stringify(o))}r.net+=t.profit,t.profit<0?(r.streak++,r.exposure[t.asset]=(r.exposure[t.asset]||0)+t.amount):t.profit>0&&(r.streak=0,delete r.exposure[t.asset]),n.loss_streak>0&&r.streak>=n.loss_streak&&(r.cooldownUntil=Date.now()+6e4*n.cooldown,r.streak=0)}function Qn(e){let{settings:t,session:s}=e,n=-s.net;if(n>0&&t.stop_loss>0&&s.start>0&&n>=s.start*t.stop_loss/100)return{reason:"stop_loss",limit:t.stop_loss+"%"};if(n>0&&t.stop_loss_sum>0&&n>=t.stop_loss_sum)return{reason:"stop_loss",limit:t.stop_loss_sum};let r=jt(e.userInfo.isDemo);return r.net<0&&t.daily_loss>0&&-r.net>=t.daily_loss?{reason:"daily_loss",limit:t.daily_loss}:s.cooldownUntil>Date.now()?{reason:"cooldown",limit:t.loss_streak,until:s.cooldownUntil}:!1}function er(e,t,s){let n=e.settings.martin_exposure;return!(n>0&&(e.session.exposure[t]||0)+s>n)}function tr(e){return Vn.includes(e.reason)}vt.exports={DAILY_KEYS:$,createSession:Ct,startSession:Wn,settle:Gn,check:Qn,allowsStake:er,isStopping:tr}});var W=d((ri,Ut)=>{"use strict";var sr=["platform","fixed","percent","kelly"];function Lt(e){let{balance:t,isDemo:s}=e.userInfo;return s?t.demo:t.real}function Z(e){return Math.floor(e*100)/100}function Pt(e,t){return e-(1-e)/(t/100)}function nr(e,t){let{settings:s}=e;if(s.stake_mode=="fixed")return Math.max(Z(s.stake_amount),1);if(s.stake_mode!="percent"&&s.stake_mode!="kelly")return null;let n=Math.max(Z(Lt(e)*s.stake_percent/100),1);if(s.stake_mode=="percent")return n;let r=(s.paper?e.paper.closed:e.userInfo.robotDeals.closed).slice(-50).filter(a=>a!=0);if(r.length<10)return Math.max(Z(s.stake_amount),1);let i=r.filter(a=>a>0).length/r.length,o=Pt(i,e.rates[t].profit)*s.kelly_fraction/100;return Math.min(Math.max(Z(Lt(e)*o),1),n)}Ut.exports={MODES:sr,MIN_STAKE:1,KELLY_DEALS:50,KELLY_MIN_DEALS:10,kelly:Pt,amount:nr}});var Ae=d((ii,Xt)=>{"use strict";var Ft={id:"default",channels:[],utcOffset:null,pattern:null,up:/\b(?:call|buy|up|higher|compra|acima)\b|🔼|⬆|📈|🟢/iu,down:/\b(?:put|sell|down|lower|venda|abaixo)\b|🔽|⬇|📉|🔴/iu,expiry:[[/\b(\d{1,3})\s*(?:min(?:ute)?s?|m)\b/i,60],[/\b(\d{1,3})\s*(?:sec(?:ond)?s?|s)\b/i,1],[/\b(\d{1,2})\s*(?:hours?|h)\b/i,3600],[/\bM(\d{1,2})\b/i,60],[/\bS(\d{1,2})\b/i,1],[/\bH(\d)\b/i,3600]],entry:/\b([01]?\d|2[0-3])[:h]([0-5]\d)\b/i,martingale:/\b(?:up to|max(?:imum)?|até|hasta)?\s*(\d)\s*(?:gales?|martingales?)\b|\b(?:gale|martingale|mg)\s*(\d)\b/i,noMartingale:/\b(?:no|without|sem|sin)\s+(?:gales?|martingales?)\b/i},k=new Map;function ee(e){if(typeof e.id!="string"||e.id=="")throw new TypeError("a profile needs an id");if(k.has(e.id))throw new TypeError(`profile "${e.id}" is already registered`);k.set(e.id,Object.assign({},Ft,e))}function rr(e){e.forEach(function(t){try{ee(t)}catch(s){console.error("belobot:",s.message)}})}function ir(e,t){if(e&&k.has(e))return k.get(e);for(let s of k.values())if(s.channels.includes(t))return s;return k.get("default")}function G(e){throw new TypeError(e)}function Q(e,t){let s=t.exec(e);return s?{match:s,rest:e.slice(0,s.index)+" ".repeat(s[0].length)+e.slice(s.index+s[0].length)}:{match:null,rest:e}}function Kt(e){return e.replace(/[.*+?^${}()|[\]\\]/g,"\\$&")}function or(e,t){let s=e.replace(/^#/,"").replace(/_otc$/i,""),n=[];if(/^[A-Z]{6}$/i.test(s)?n.push(`${s.slice(0,3)}\\s*[/\\-_.]?\\s*${s.slice(3)}`):n.push(Kt(s)),t){let r=t.replace(/\s*\bOTC\b\s*/i," ").trim();r&&r.toUpperCase()!=s.toUpperCase()&&n.push(Kt(r).replace(/\s+/g,"\\s*"))}return{base:s.toUpperCase(),pattern:n.join("|")}}function ar(e,t){let s=null;for(let a in t){let{base:u,pattern:l}=or(a,t[a]),c=new RegExp(`(?:^|[^A-Z0-9])(${l})(?![A-Z0-9])`,"i").exec(e);if(!c)continue;let f=c.index+c[0].length-c[1].length;(!s||f<s.index||f==s.index&&c[1].length>s.length)&&(s={base:u,index:f,length:c[1].length})}s||G("no known asset");let n=/^[\s\-_([]*OTC\b\)?/i.exec(e.slice(s.index+s.length)),r=!!n,i=s.index+s.length+(n?n[0].length:0),o=Object.keys(t).find(function(a){return a.replace(/^#/,"").replace(/_otc$/i,"").toUpperCase()==s.base&&r==/_otc$/i.test(a)});return o||G(`${s.base}${r?" OTC":""} is not offered`),{asset:o,rest:e.slice(0,s.index)+" ".repeat(i-s.index)+e.slice(i)}}function cr(e,{up:t,down:s}){let n=t.test(e),r=s.test(e);return n==r&&G(n?"both directions":"no direction"),n?"up":"down"}function ur(e,t){for(let[s,n]of t){let{match:r,rest:i}=Q(e,s);if(r&&Number(r[1])>0)return{expiry:n*Number(r[1]),rest:i}}return{expiry:null,rest:e}}function lr(e,{martingale:t,noMartingale:s}){let n=Q(e,s);if(n.match)return{martingale:0,rest:n.rest};let{match:r,rest:i}=Q(e,t);return{martingale:r?Number(r[1]||r[2]):null,rest:i}}function fr(e,t,s,n){let{match:r,rest:i}=Q(e,t);if(!r)return{entry:null,rest:i};let o=new Date(n);s==null?o.setHours(Number(r[1]),Number(r[2]),0,0):(o.setTime(n+6e4*s),o.setUTCHours(Number(r[1]),Number(r[2]),0,0),o.setTime(o.getTime()-6e4*s));let a=864e5;return{entry:[o.getTime()-a,o.getTime(),o.getTime()+a].reduce((l,c)=>Math.abs(c-n)<Math.abs(l-n)?c:l),rest:i}}function pr(e,t){let s={asset:e,direction:e,expiry:e,entry:e,martingale:e};if(!t)return s;let n=t.exec(e);n||G("the message does not have the channel's format");let r=n.groups||{};for(let i in s)s[i]=r[i]==null?"":r[i];return s}function dr(e,t,s=k.get("default"),n=Date.now()){let r=pr(String(e),s.pattern),i=!s.pattern,o=lr(r.martingale,s),a=fr(i?o.rest:r.entry,s.entry,s.utcOffset,n),u=ur(i?a.rest:r.expiry,s.expiry),l=ar(i?u.rest:r.asset,t);return{asset:l.asset,direction:cr(i?l.rest:r.direction,s),expiry:u.expiry,entry:a.entry,martingale:o.martingale}}ee({id:"default"});ee({id:"semicolon",utcOffset:-180,pattern:/^\s*(?<expiry>[MSH]\d+)\s*;\s*(?<asset>[^;]+?)\s*;\s*(?<entry>\d{1,2}:\d{2})\s*;\s*(?<direction>\w+)\s*(?:;(?<martingale>.*))?$/iu});Xt.exports={DEFAULT:Ft,register:ee,load:rr,profile:ir,parse:dr}});var Zt=d((oi,Vt)=>{"use strict";var mr=Se(),hr=Ie(),Ht=W(),Yt=Ae(),Bt=6e4;function gr(e,t,s){if(t.text==null)return t;let n={};for(let i in e.rates)n[i]=e.rates[i].fullname;let r=Yt.parse(t.text,n,Yt.profile(t.profile,t.source),s);return Object.assign({},t,r,{martingale:r.martingale==null?null:{steps:r.martingale}})}function zt(e,t,s=Date.now()){let{min_score:n}=e.settings;if(n>0&&t.score!=null&&t.score<n)return"low_score";if(t.entry&&t.entry<s-Bt)return"late";let r=mr.refusal(e,t.asset);if(r)return r;if(!e.checkTakeProfit())return"take_profit";if(!e.checkRisk())return e.session.limit.reason;let i=t.amount||Ht.amount(e,t.asset);return i&&!hr.allowsStake(e,t.asset,i)?"martin_exposure":!1}function Jt(e,t){return!e.deal(t.asset,t.direction,{amount:t.amount||Ht.amount(e,t.asset),expiry:t.expiry||e.settings.expiry||null,signal:t})&&"no_price"}function Oe(e,t){return Object.assign({type:"ack",id:e.id,source:e.source},t,e.text==null||e.asset==null?{}:{signal:{asset:e.asset,direction:e.direction,expiry:e.expiry,entry:e.entry,martingale:e.martingale}})}function yr(e,t){let s=zt(e,t)||Jt(e,t);return Oe(t,Object.assign({accepted:!s},s?{reason:s}:{}))}function br(e,t){return Oe(e,{accepted:!1,reason:"unparsed",error:t.message})}function _r(e){return Oe(e,{accepted:!0,scheduled:e.entry})}function Er(e,t,s,n){return{type:"result",id:e.id,source:e.source,deal:n?null:t.id,asset:t.asset,direction:t.command==0?"up":"down",amount:t.amount,step:s,profit:t.profit,paper:n}}Vt.exports={LATE:Bt,read:gr,refusal:zt,open:Jt,execute:yr,unread:br,scheduled:_r,result:Er}});var Qt=d((ai,Gt)=>{"use strict";var Me=U(),xr=W(),Sr=2;function y(e,t){return{type:"number",min:e,max:t}}function S(e,t){return{type:"integer",min:e,max:t}}var Te={type:"boolean"},te={strategy:{type:"strategy"},min_profit:y(10,92),delay:S(0,900),deals_limit:S(1,10),take_profit:y(1,900),signals:{type:"list",of:S(0,2),length:6},use_otc:Te,martinSteps:{type:"list",of:y(1,10),length:9},useMartin:Te,stop_loss:y(0,100),stop_loss_sum:y(0,1e5),daily_loss:y(0,1e5),martin_exposure:y(0,1e5),loss_streak:S(0,20),cooldown:y(1,1440),params:{type:"params"},paper:Te,paper_amount:y(1,1e4),min_score:y(0,100),expiry:S(0,14400),stake_mode:{type:"choice",values:xr.MODES},stake_amount:y(1,1e4),stake_percent:y(.1,100),kelly_fraction:y(1,100),schedule:{type:"list",max:50,of:{type:"object",fields:{days:{type:"list",max:7,of:S(0,6)},from:S(0,1439),to:S(0,1439)}}},asset_mode:{type:"choice",values:["all","allow","block"]},assets:{type:"list",max:200,of:{type:"symbol"}},blackouts:{type:"list",max:500,of:{type:"object",fields:{title:{type:"string"},start:{type:"time"},end:{type:"time",optional:!0}}}},blackout_before:y(0,240),blackout_after:y(0,240)};function b(e){throw new TypeError(e)}function Wt(e,t,s,n){let r=typeof t=="number"?t:typeof t=="string"&&t.trim()!=""?Number(t):NaN;Number.isFinite(r)||b(`${s} must be a number`),e.type=="integer"&&(r=Math.round(r));let i=Math.min(Math.max(r,e.min),e.max);return i!=r&&n.push(`${s} was ${r}, set to ${i}`),i}var wr={number:Wt,integer:Wt,boolean(e,t,s){return typeof t!="boolean"&&b(`${s} must be true or false`),t},string(e,t,s){return typeof t!="string"&&b(`${s} must be a text`),t},symbol(e,t,s){return(typeof t!="string"||!/^#?[A-Za-z0-9_.]+$/.test(t))&&b(`${s} must be an asset symbol`),t},time(e,t,s){return t==null&&e.optional?null:(Number.isFinite(t)||b(`${s} must be a time in ms`),t)},choice(e,t,s){return e.values.includes(t)||b(`${s} must be one of ${e.values.join(", ")}`),t},strategy(e,t,s){return Me.get(t)||b(`${s}: there is no strategy "${t}"`),t},list(e,t,s,n){return Array.isArray(t)||b(`${s} must be a list`),e.length!=null&&t.length!=e.length&&b(`${s} must have ${e.length} items`),e.max!=null&&t.length>e.max&&b(`${s} may have at most ${e.max} items`),t.map((r,i)=>Ne(e.of,r,`${s}[${i}]`,n))},object(e,t,s,n){(!t||typeof t!="object")&&b(`${s} must be an object`);let r={};for(let i in e.fields)r[i]=Ne(e.fields[i],t[i],`${s}.${i}`,n);return r},params(e,t,s){(!t||typeof t!="object")&&b(`${s} must be an object`);let n={};for(let r in t){let i=Me.get(r);n[r]=i?Me.params(i,t[r]):t[r]}return n}};function Ne(e,t,s,n){return wr[e.type](e,t,s,n)}function Dr(e){let t={},s=[];for(let n in e)if(Object.prototype.hasOwnProperty.call(te,n))try{t[n]=Ne(te[n],e[n],n,s)}catch(r){s.push(r.message)}return{values:t,problems:s}}function kr(e){let t={};for(let s in te)t[s]=s=="take_profit"?e.take_profit.percent:e[s];return t}Gt.exports={VERSION:Sr,SCHEMA:te,sanitize:Dr,pick:kr}});var ts=d((ci,es)=>{"use strict";function Ir(e,t,s){let n=t;for(let r=0;r<e.length;r++){if(s===n)return Math.floor(n*e[r]*100)/100;n=Math.floor(e[r]*n*100)/100}return 2*s}es.exports={getNextMartingaleStep:Ir}});var cs=d((ui,as)=>{"use strict";var Re=M(),ss=fe(),$e=de(),{post:m}=N(),q=Se(),ns=Mt(),_=J(),qe=Nt(),Ce=De(),I=Zt(),A=Ie(),rs=Ee(),is=Qt(),Ar=W(),{getNextMartingaleStep:Or}=ts();function os(){return{settings:{strategy:"signals",min_profit:80,delay:0,deals_limit:10,take_profit:{percent:20,sum:0},signals:[2,2,1,0,0,0],use_otc:!0,started:!1,martinSteps:[2,2,2,2,2,2,2,2,2],useMartin:!1,stop_loss:0,stop_loss_sum:0,daily_loss:0,martin_exposure:0,loss_streak:0,cooldown:15,params:{},paper:!1,paper_amount:1,min_score:0,expiry:0,stake_mode:"platform",stake_amount:1,stake_percent:1,kelly_fraction:50,schedule:[],asset_mode:"all",assets:[],blackouts:[],blackout_before:15,blackout_after:15},rates:{},action:!1,diagnostics:ss.create(),feed:$e.createFeed(),recording:!1,userInfo:{uid:!1,isDemo:!0,balance:{demo:0,real:0},onlyDemo:!0,robotDeals:{opened:[],closed:[]},startSum:!1},orders:_.createOrders(),session:A.createSession(),offSchedule:null,journal:{},paper:qe.createPaper(),getNextMartingaleStep(e,t){return Or(this.settings.martinSteps,e,t)},checkDial(e,t){if(!this.checkSchedule()||!q.canTrade(this,e)||!this.checkTakeProfit()||!this.checkRisk())return!1;let s=q.planDeal(this,e,t);s&&this.deal(e,s.direction,{amount:s.amount||Ar.amount(this,e),expiry:s.expiry||this.settings.expiry||null})},checkTakeProfit(){return q.reachedTakeProfit(this)?(this.settings.started=!1,_.stop(this),m({act:"robotSettings",settings:this.settings}),m({risk:{reason:"take_profit",limit:this.settings.take_profit.sum}}),!1):!0},checkSchedule(){let e=Date.now(),t=this.settings.started?rs.check(this.settings,e):null,s=this.offSchedule;return this.offSchedule=t,t&&(!s||s.reason!=t.reason||s.title!=t.title)?m({schedule:Object.assign({until:rs.reopens(this.settings,e)},t)}):!t&&s&&m({schedule:{reason:"open"}}),!t},signal(e){let t;try{t=I.read(this,e,Date.now())}catch(s){m({remote:I.unread(e,s)});return}if(t.entry>Date.now()){m({remote:I.scheduled(t)}),setTimeout(()=>m({remote:I.execute(this,t)}),t.entry-Date.now());return}m({remote:I.execute(this,t)})},check_reg(e){let t=this,s=new XMLHttpRequest;s.open("POST","https://2bot.top/check_user/",!0),s.setRequestHeader("Content-type","application/json; charset=utf-8"),s.onreadystatechange=function(){if(s.readyState==XMLHttpRequest.DONE)if(s.status==200){let n=JSON.parse(s.response);t.userInfo.onlyDemo=!n.confirm,m({info_text:String(n.message||"")})}else m({info_text:"Server https://2bot.top is not available. Please report a problem trader.vitaly@gmail.com"})},s.send(JSON.stringify({user_id:e}))},deal(e,t,s={}){let{amount:n=null,expiry:r=null,step:i=0,signal:o=null}=s;if(!this.checkRisk())return!1;if(n&&!A.allowsStake(this,e,n))return delete this.session.exposure[e],m({risk:{reason:"martin_exposure",limit:this.settings.martin_exposure,asset:e}}),!1;if(this.settings.paper){let u=n||this.settings.paper_amount;if(!qe.open(this,e,t,{amount:u,expiry:r,step:i,base:s.base||u,signal:o}))return!1;this.postPaper()}else _.plan(this,{asset:e,direction:t=="up"?"call":"put",amount:n,expiry:r,base:s.base||n,strategy:o?"remote":this.settings.strategy,step:i,signal:o});let a=new Date;return a.setSeconds(a.getSeconds()+this.settings.delay),this.rates[e].nextDealTime=a,!0},failSafe(e,t){let s=ss.failed(this.diagnostics,e,t.message);!e||!this.settings.started||(this.settings.started=!1,_.stop(this),m({act:"robotSettings",settings:this.settings}),m({protocol:s}))},checkRisk(){let e=A.check(this),t=this.session.limit;return this.session.limit=e,e?(A.isStopping(e)&&(this.settings.started=!1,_.stop(this),m({act:"robotSettings",settings:this.settings})),(!t||t.reason!=e.reason)&&m({risk:e}),!1):!0},settlePaper(e,t,s){let n=qe.tick(this,e,t,s);n.forEach(function(r){if(A.settle(this,r,{daily:!1}),r.signal&&m({remote:I.result(r.signal,r,r.step,!0)}),this.settings.started&&this.checkRisk()&&this.checkSchedule()){let i=q.planReentry(this,r,r);i&&this.deal(i.asset,i.direction,i)}},this),n.length>0&&this.postPaper()},postPaper(){m({paperDeals:{opened:this.paper.opened.length,closed:this.paper.closed}})},record(e,t,s){try{Ce.record(this,e,t,s)}catch(n){console.error("belobot: recording",n)}},startRecording(){Ce.startRecording(this)},stopRecording(){Ce.stopRecording(this)},addRate(e){Re.addRate(this.rates,e.name,e.elm,e.period)},addCurrentRate(e){Re.addCurrentRate(this.rates,e.name,e.elm)},checkRate(e){Re.checkRate(this.rates,e)},update(e){if(this.action=="updateHistory"&&(this.checkRate(e.asset),e.candles.forEach(function(t){this.addRate({name:e.asset,elm:t,period:e.period})},this),e.history.forEach(function(t){this.addCurrentRate({name:e.asset,elm:t})},this),this.checkDial(e.asset)),this.action=="updateStream"&&(e.length>0&&$e.tick(this),e.forEach(function(t){this.checkRate(t.asset),this.addCurrentRate({name:t.asset,elm:[t.time,t.price]}),this.settlePaper(t.asset,t.time,t.price),this.checkDial(t.asset,t.time)},this)),this.action=="updateAssets"&&e.forEach(function(t){this.checkRate(t.symbol),this.rates[t.symbol].profit=t.payout,this.rates[t.symbol].active=t.active,this.rates[t.symbol].fullname=t.name},this),this.action=="updateBalance"&&(this.userInfo.uid||(this.userInfo.uid=AppData.uid,this.check_reg(this.userInfo.uid)),e.isDemo?this.userInfo.balance.demo=e.balance:this.userInfo.balance.real=e.balance,this.userInfo.isDemo=e.isDemo),this.action==="successopenOrder"){let t=_.confirm(this,e)||(this.settings.started&&!this.settings.paper&&this.settings.strategy=="martin"?_.adopt(this,e,"martin"):null);t&&(this.userInfo.robotDeals.opened=_.dealIds(this),ns.opened(this,e,t),m({robotDeals:this.userInfo.robotDeals}))}return this.action==="successcloseOrder"&&(e.deals.forEach(function(t){if(_.close(this,t)){this.userInfo.robotDeals.opened=_.dealIds(this),this.userInfo.robotDeals.closed.push(t.profit),A.settle(this,t);let s=ns.closed(this,t);s&&m({journal:s});let n=s&&s.signal;if(n&&m({remote:I.result(n,t,s.step,!1)}),this.settings.started&&this.checkRisk()&&this.checkSchedule()){let r=q.planReentry(this,t,s||{});r&&this.deal(r.asset,r.direction,r)}}},this),m({robotDeals:this.userInfo.robotDeals})),this.action==="signals"&&e.forEach(function(t){this.checkRate(t.asset),t.forecasts.forEach(function(s){this.rates[t.asset].signals[s[0]]=s[1]},this),this.checkDial(t.asset)},this),this.action=!1,!1},getState(){m({data:{settings:this.settings}})},setState(e,t=!1){let{values:s,problems:n}=is.sanitize(t?Object.assign(is.pick(os().settings),e):e);n.length>0&&m({settingsProblems:n});for(let r in s)r=="take_profit"?this.settings.take_profit.percent=s[r]:this.settings[r]=s[r]},startStop(){if(!this.userInfo.isDemo&&this.userInfo.onlyDemo)return!1;let e=this.userInfo.isDemo?this.userInfo.balance.demo:this.userInfo.balance.real;this.settings.take_profit.sum=Math.floor(e*(this.settings.take_profit.percent+100)/100),this.settings.started=!this.settings.started,_.stop(this),this.settings.started?($e.started(this),A.startSession(this),this.checkRisk()):m({robotDeals:this.userInfo.robotDeals})}}}as.exports={createBot:os}});var ms=d((li,ds)=>{"use strict";var fs=N(),{post:us}=fs;function se(e){return!!e&&typeof e=="object"&&!Array.isArray(e)}function T(e,t){return e==null||t(e)}function Mr(e){return!se(e)||typeof e.id!="string"||typeof e.source!="string"||!T(e.amount,t=>typeof t=="number"&&t>0)||!T(e.score,Number.isFinite)?!1:e.text!=null?typeof e.text=="string"&&T(e.profile,t=>typeof t=="string"):typeof e.asset=="string"&&(e.direction=="up"||e.direction=="down")&&T(e.expiry,Number.isInteger)&&T(e.martingale,t=>se(t)&&Number.isInteger(t.steps))}var ls={readState:()=>!0,readDiagnostics:()=>!0,start_stop:()=>!0,record:e=>typeof e.enabled=="boolean",setState:e=>se(e.settings)&&T(e.replace,t=>typeof t=="boolean"),signal:e=>Mr(e.signal)};function ps(e){return se(e)&&e.belobot===!0&&Object.prototype.hasOwnProperty.call(ls,e.act)&&ls[e.act](e)}function Tr(e){fs.open(function(t){if(!ps(t)){console.warn("belobot: dropped a malformed command",t&&t.act);return}(t.act=="readState"||t.act=="setState"||t.act=="start_stop"||t.act=="signal")&&e.record("ctl",t),t.act=="readState"&&us({act:"robotSettings",settings:e.settings,recording:!!e.recording}),t.act=="readDiagnostics"&&us({diagnostics:e.diagnostics}),t.act=="record"&&(t.enabled?e.startRecording():e.stopRecording()),t.act=="setState"&&e.setState(t.settings,!!t.replace),t.act=="start_stop"&&e.startStop(),t.act=="signal"&&e.signal(t.signal)})}ds.exports={isCommand:ps,listen:Tr}});var _s=d((fi,bs)=>{"use strict";var gs=fe(),hs=J(),O=le();function ys(e,t,s){let n;try{n=O.readPayload(t,s())}catch(r){e.failSafe(t,r);return}e.action=t,e.update(n)}function Nr(e,t){let s;try{s=O.parseEvent(t)}catch(n){e.failSafe(null,n);return}if(s)if(gs.seen(e.diagnostics,"in",s),s.binary){e.action=!1;try{e.action=O.binaryAction(s)||!1}catch(n){e.failSafe(s.action,n)}}else s.action&&ys(e,s.action,()=>s.args[1])}function Rr(e,t){if(typeof t!="string")return null;let s;try{s=O.parseEvent(t)}catch(n){return e.failSafe(null,n),null}return s?(gs.seen(e.diagnostics,"out",s),O.parseOrder(t)):null}function $r(e){let t=window.WebSocket;window.WebSocket=function(s,n){let r=n?new t(s,n):new t(s);return r.addEventListener("message",function(i){if(e.record("in",i.data),i.data instanceof ArrayBuffer){let o=e.action;e.action=!1,o&&ys(e,o,()=>O.decodePayload(i.data))}else typeof i.data=="string"&&Nr(e,i.data)}),r.oldSend=t.prototype.send,r.send=function(i){let{settings:o,userInfo:a}=e,u=null,l=null;try{u=Rr(e,i)}catch(C){l=C}let c=hs.next(e);if(!o.started||o.paper||!(c||!a.startSum)||!(u||l)){e.record("out",i),r.oldSend.apply(this,[i]);return}if(l){e.failSafe("openOrder",l),e.record("out",i),c||r.oldSend.apply(this,[i]);return}let f=u.message[1];if(a.startSum=f.amount,!c){e.record("out",i),r.oldSend.apply(this,[i]);return}f.asset=c.asset,f.action=c.direction,c.amount&&(f.amount=c.amount),c.expiry?f.time=c.expiry:c.expiry=f.time,c.base=c.base||a.startSum,a.onlyDemo&&(f.isDemo=1);let h=O.buildOrder(u);hs.sent(e,c,f.requestId),e.record("out",i,h),r.oldSend.apply(this,[h])},r}}bs.exports={patchWebSocket:$r}});var xs=d((pi,Es)=>{"use strict";Es.exports=[]});var ws=d((di,Ss)=>{"use strict";Ss.exports=[]});var qr=U(),{createBot:Cr}=cs(),{listen:jr}=ms(),vr=de(),{patchWebSocket:Lr}=_s(),{RECORD_KEY:Pr}=De(),Ur=Ae();qr.load(xs());Ur.load(ws());var ne=Cr();localStorage.getItem(Pr)&&ne.startRecording();jr(ne);Lr(ne);vr.watch(ne);})();